@@ -6,21 +6,30 @@ import {AuthProvider, useAuth} from '../context/AuthContext';
 import {useSettings} from '../context/SettingsContext';
 import * as playback from '../services/playback';
 import * as connectionPool from '../services/connectionPool';
+import {getAudioPlayer} from '../services/audioPlayer';
 import {isBackKey, KEYS} from '../utils/keys';
 import {isTizen, isWebOS} from '../platform';
 import {initVideo, cleanupVideoElement, setupVisibilityHandler, setupPlatformLifecycle} from '../services/video';
 import {SettingsProvider} from '../context/SettingsContext';
+import {I18nProvider} from '../context/I18nContext';
 import {JellyseerrProvider} from '../context/JellyseerrContext';
+import {ServerEventsProvider} from '../context/ServerEventsContext';
+import {PlaylistProvider, usePlaylists} from '../context/PlaylistContext';
+import {ParentalControlProvider, useParentalControls} from '../context/ParentalControlContext';
 import {useVersionCheck} from '../hooks/useVersionCheck';
 import UpdateNotification from '../components/UpdateNotification';
 import NavBar from '../components/NavBar';
 import Sidebar from '../components/Sidebar';
 import AccountModal from '../components/AccountModal';
 import ExitDialog from '../components/ExitDialog';
+import PlaylistDialog from '../components/PlaylistDialog';
+import PinDialog from '../components/PinDialog';
 import LoadingSpinner from '../components/LoadingSpinner';
 import Screensaver from '../components/Screensaver';
 import PhotoViewer from '../components/PhotoViewer';
 import ComicViewer from '../components/ComicViewer';
+import MiniPlayer from '../components/MiniPlayer';
+import ReminderToast from '../components/ReminderToast';
 import useInactivityTimer from '../hooks/useInactivityTimer';
 import Login from '../views/Login';
 import Browse from '../views/Browse';
@@ -30,6 +39,7 @@ const Library = lazy(() => import('../views/Library'));
 const Search = lazy(() => import('../views/Search'));
 const Settings = lazy(() => import('../views/Settings'));
 const Player = lazy(() => import('../views/Player'));
+const NowPlaying = lazy(() => import('../views/NowPlaying'));
 const Favorites = lazy(() => import('../views/Favorites'));
 const Genres = lazy(() => import('../views/Genres'));
 const GenreBrowse = lazy(() => import('../views/GenreBrowse'));
@@ -72,11 +82,17 @@ const PANELS = {
 	JELLYSEERR_BROWSE: 16,
 	JELLYSEERR_PERSON: 17,
 	ADD_SERVER: 18,
-	ADD_USER: 19
+	ADD_USER: 19,
+	NOW_PLAYING: 20
 };
 
 const AppContent = (props) => {
 	const {isAuthenticated, isLoading, logout, serverUrl, serverName, api, user, hasMultipleServers, accessToken} = useAuth();
+	const {playlistTarget, closeAddToPlaylist} = usePlaylists();
+	const {
+		isSettingsLocked, isLibraryLocked, isItemRestricted,
+		pinPrompt, requestPin, submitPin, cancelPin, lock: lockParentalControls
+	} = useParentalControls();
 	const {settings} = useSettings();
 	const unifiedMode = settings.unifiedLibraryMode && hasMultipleServers;
 	const [panelIndex, setPanelIndex] = useState(PANELS.LOGIN);
@@ -91,6 +107,8 @@ const AppContent = (props) => {
 	const [jellyseerrBrowse, setJellyseerrBrowse] = useState(null);
 	const [jellyseerrPerson, setJellyseerrPerson] = useState(null);
 	const [authChecked, setAuthChecked] = useState(false);
+	// Smart Hub link waiting for the session to be restored: {id, type, serverId}
+	const [pendingDeepLink, setPendingDeepLink] = useState(null);
 	const [libraries, setLibraries] = useState([]);
 	const [showAccountModal, setShowAccountModal] = useState(false);
 	const [showExitDialog, setShowExitDialog] = useState(false);
@@ -136,7 +154,8 @@ const AppContent = (props) => {
 	const screensaverActive = isAuthenticated &&
 		settings.screensaverEnabled &&
 		panelIndex !== PANELS.LOGIN &&
-		panelIndex !== PANELS.PLAYER;
+		panelIndex !== PANELS.PLAYER &&
+		panelIndex !== PANELS.NOW_PLAYING;
 	const {isInactive: showScreensaver, dismiss: dismissScreensaver} = useInactivityTimer(
 		settings.screensaverTimeout || 90,
 		screensaverActive
@@ -159,6 +178,8 @@ const AppContent = (props) => {
 			}
 		}
 
+		getAudioPlayer().stop();
+
 		// Clean up any video elements to release hardware decoder
 		const videoElements = document.querySelectorAll('video');
 		videoElements.forEach(video => {
@@ -258,10 +279,11 @@ const AppContent = (props) => {
 
 		if (user.Id !== prevUserIdRef.current) {
 			prevUserIdRef.current = user.Id;
+			lockParentalControls();
 			setPanelHistory([]);
 			setPanelIndex(PANELS.BROWSE);
 		}
-	}, [user?.Id, isAuthenticated]);
+	}, [user?.Id, isAuthenticated, lockParentalControls]);
 
 
 	useEffect(() => {
@@ -273,7 +295,7 @@ const AppContent = (props) => {
 		}
 	}, [isLoading, isAuthenticated, authChecked]);
 
-	const navigateTo = useCallback((panel, addToHistory = true) => {
+	const showPanel = useCallback((panel, addToHistory = true) => {
 		if (addToHistory && panelIndex !== PANELS.LOGIN) {
 			setPanelHistory(prev => {
 				const newHistory = [...prev, panelIndex];
@@ -286,6 +308,32 @@ const AppContent = (props) => {
 		setPanelIndex(panel);
 	}, [panelIndex]);
 
+	// Settings and locked libraries sit behind the parental PIN
+	const navigateTo = useCallback((panel, addToHistory = true, library = null) => {
+		let pinTitle = null;
+		if (panel === PANELS.SETTINGS && isSettingsLocked) {
+			pinTitle = 'Enter PIN to open Settings';
+		} else if (library?.Id && isLibraryLocked(library.Id)) {
+			pinTitle = 'Enter PIN to open this library';
+		}
+		if (!pinTitle) {
+			showPanel(panel, addToHistory);
+			return;
+		}
+		requestPin(pinTitle).then(allowed => {
+			if (allowed) showPanel(panel, addToHistory);
+		});
+	}, [showPanel, isSettingsLocked, isLibraryLocked, requestPin]);
+
+	// Runs start() straight away unless the item is above the parental rating limit
+	const guardPlayback = useCallback(async (item, start) => {
+		if (!(await isItemRestricted(item))) {
+			start();
+			return;
+		}
+		if (await requestPin('Enter PIN to play this title')) start();
+	}, [isItemRestricted, requestPin]);
+
 	const handleBack = useCallback(() => {
 		detailsItemStackRef.current = [];
 		jellyseerrItemStackRef.current = [];
@@ -316,11 +364,21 @@ const AppContent = (props) => {
 					return;
 				}
 
+				if (pinPrompt) {
+					cancelPin();
+					return;
+				}
+
 				if (showAccountModal) {
 					setShowAccountModal(false);
 					return;
 				}
 
+				if (playlistTarget) {
+					closeAddToPlaylist();
+					return;
+				}
+
 				if (panelIndex === PANELS.BROWSE || panelIndex === PANELS.LOGIN) {
 					setShowExitDialog(true);
 					return;
@@ -344,7 +402,7 @@ const AppContent = (props) => {
 
 		window.addEventListener('keydown', handleKeyDown, true);
 		return () => window.removeEventListener('keydown', handleKeyDown, true);
-	}, [panelIndex, handleBack, performAppCleanup, showAccountModal, showExitDialog]);
+	}, [panelIndex, handleBack, performAppCleanup, showAccountModal, showExitDialog, playlistTarget, closeAddToPlaylist, pinPrompt, cancelPin]);
 
 	const handleLoggedIn = useCallback(() => {
 		setPanelHistory([]);
@@ -431,38 +489,68 @@ const AppContent = (props) => {
 
 	const handleSelectLibrary = useCallback((library) => {
 		if (library.CollectionType === 'livetv') {
-			navigateTo(PANELS.LIVETV);
+			navigateTo(PANELS.LIVETV, true, library);
 			return;
 		}
 		setSelectedLibrary(library);
 		setGenreFilter(null);
-		navigateTo(PANELS.LIBRARY);
+		navigateTo(PANELS.LIBRARY, true, library);
 	}, [navigateTo]);
 
 	const [playbackOptions, setPlaybackOptions] = useState(null);
 	const [isResume, setIsResume] = useState(false);
 
-	const handlePlay = useCallback((item, resume, options) => {
+	const startPlayback = useCallback((item, resume, options) => {
 		if (item.MediaType === 'Book' && item.Path?.toLowerCase().endsWith('.cbz')) {
 			setComicViewerItem(item);
 			return;
 		}
+		const audioPlayer = getAudioPlayer();
+		// Music goes through the audio player and its now-playing screen
+		if (item.MediaType === 'Audio' || item.Type === 'Audio') {
+			const tracks = options?.audioPlaylist || [item];
+			const startIndex = Math.max(0, tracks.findIndex(t => t.Id === item.Id));
+			audioPlayer.playItems(tracks, startIndex, {shuffle: !!options?.shuffle});
+			navigateTo(PANELS.NOW_PLAYING);
+			return;
+		}
+		if (audioPlayer.isActive()) {
+			audioPlayer.stop();
+		}
 		setPlayingItem(item);
 		setPlaybackOptions(options || null);
 		setIsResume(!!resume);
 		navigateTo(PANELS.PLAYER);
 	}, [navigateTo]);
 
-	const handlePlayNext = useCallback((item) => {
-		setPlayingItem(item);
-		setIsResume(false);
-	}, []);
+	const handlePlay = useCallback((item, resume, options) => {
+		guardPlayback(item, () => startPlayback(item, resume, options));
+	}, [guardPlayback, startPlayback]);
+
+	// Leaving the player keeps the music going; the mini-player takes over
+	const handleNowPlayingClose = useCallback(() => {
+		handleBack();
+	}, [handleBack]);
+
+	const handleOpenNowPlaying = useCallback(() => {
+		navigateTo(PANELS.NOW_PLAYING);
+	}, [navigateTo]);
 
 	const handlePlayerEnd = useCallback(() => {
 		setPlayingItem(null);
 		handleBack();
 	}, [handleBack]);
 
+	const handlePlayNext = useCallback(async (item) => {
+		// Autoplay must not walk past the rating limit; leave the player if the PIN is refused
+		if (await isItemRestricted(item) && !(await requestPin('Enter PIN to play this title'))) {
+			handlePlayerEnd();
+			return;
+		}
+		setPlayingItem(item);
+		setIsResume(false);
+	}, [isItemRestricted, requestPin, handlePlayerEnd]);
+
 	const handleOpenSearch = useCallback(() => {
 		navigateTo(PANELS.SEARCH);
 	}, [navigateTo]);
@@ -508,7 +596,7 @@ const AppContent = (props) => {
 		} else {
 			setSelectedLibrary(null);
 		}
-		navigateTo(PANELS.LIBRARY);
+		navigateTo(PANELS.LIBRARY, true, library);
 	}, [navigateTo]);
 
 	const handleSelectPerson = useCallback((person) => {
@@ -517,18 +605,50 @@ const AppContent = (props) => {
 	}, [navigateTo]);
 
 	const handlePlayChannel = useCallback((channel) => {
-		setPlayingItem(channel);
-		navigateTo(PANELS.PLAYER);
-	}, [navigateTo]);
+		guardPlayback(channel, () => {
+			setPlayingItem(channel);
+			navigateTo(PANELS.PLAYER);
+		});
+	}, [guardPlayback, navigateTo]);
+
+	// Already in the player the channel replaces what's playing, like autoplay does
+	const handleReminderWatch = useCallback((channel) => {
+		if (panelIndex === PANELS.PLAYER) {
+			handlePlayNext(channel);
+		} else {
+			handlePlayChannel(channel);
+		}
+	}, [panelIndex, handlePlayNext, handlePlayChannel]);
+
+	// Smart Hub reminder tiles open their channel. A tile that cold-launches the
+	// app links before the session is restored, so the link waits for sign-in;
+	// the listener is up before the lazily loaded smarthub module dispatches.
+	useEffect(() => {
+		const handleDeepLink = (e) => {
+			if (e.detail?.type === 'channel' && e.detail.id) setPendingDeepLink(e.detail);
+		};
+		window.addEventListener('moonfin:deepLink', handleDeepLink);
+		return () => window.removeEventListener('moonfin:deepLink', handleDeepLink);
+	}, []);
+
+	useEffect(() => {
+		if (!pendingDeepLink || !authChecked || !isAuthenticated || !api) return;
+		setPendingDeepLink(null);
+		api.getItem(pendingDeepLink.id)
+			.then(handleReminderWatch)
+			.catch(err => console.warn('[App] Deep link channel failed:', err.message));
+	}, [pendingDeepLink, authChecked, isAuthenticated, api, handleReminderWatch]);
 
 	const handleOpenRecordings = useCallback(() => {
 		navigateTo(PANELS.RECORDINGS);
 	}, [navigateTo]);
 
 	const handlePlayRecording = useCallback((recording) => {
-		setPlayingItem(recording);
-		navigateTo(PANELS.PLAYER);
-	}, [navigateTo]);
+		guardPlayback(recording, () => {
+			setPlayingItem(recording);
+			navigateTo(PANELS.PLAYER);
+		});
+	}, [guardPlayback, navigateTo]);
 
 	const handleOpenJellyseerr = useCallback(() => {
 		navigateTo(PANELS.JELLYSEERR_DISCOVER);
@@ -646,6 +766,7 @@ const AppContent = (props) => {
 
 	const showNavBar = panelIndex !== PANELS.LOGIN &&
 		panelIndex !== PANELS.PLAYER &&
+		panelIndex !== PANELS.NOW_PLAYING &&
 		panelIndex !== PANELS.LIBRARY &&
 		panelIndex !== PANELS.ADD_SERVER &&
 		panelIndex !== PANELS.ADD_USER &&
@@ -653,6 +774,14 @@ const AppContent = (props) => {
 		panelIndex !== PANELS.FAVORITES &&
 		!(panelIndex === PANELS.DETAILS && ['Playlist', 'MusicAlbum', 'MusicArtist'].includes(selectedItem?.Type));
 
+	const showMiniPlayer = panelIndex !== PANELS.LOGIN &&
+		panelIndex !== PANELS.PLAYER &&
+		panelIndex !== PANELS.NOW_PLAYING &&
+		panelIndex !== PANELS.ADD_SERVER &&
+		panelIndex !== PANELS.ADD_USER &&
+		!photoViewerItem &&
+		!comicViewerItem;
+
 	return (
 		<div className={css.app} {...props}>
 			{showNavBar && settings.navbarPosition === 'left' ? (
@@ -726,7 +855,7 @@ const AppContent = (props) => {
 					</Panel>
 					<Panel>
 						{panelIndex === PANELS.SETTINGS && (
-							<Settings onBack={handleBack} onLibrariesChanged={fetchLibraries} />
+							<Settings onBack={handleBack} onLibrariesChanged={fetchLibraries} libraries={libraries} />
 						)}
 					</Panel>
 					<Panel>
@@ -853,8 +982,14 @@ const AppContent = (props) => {
 							/>
 						)}
 					</Panel>
+					<Panel>
+						{panelIndex === PANELS.NOW_PLAYING && (
+							<NowPlaying onClose={handleNowPlayingClose} backHandlerRef={backHandlerRef} />
+						)}
+					</Panel>
 				</Panels>
 			</Suspense>
+			<MiniPlayer visible={showMiniPlayer} onOpen={handleOpenNowPlaying} />
 			<AccountModal
 				open={showAccountModal}
 				onClose={handleCloseAccountModal}
@@ -867,6 +1002,16 @@ const AppContent = (props) => {
 				onCancel={handleCancelExitDialog}
 				onExit={performAppCleanup}
 			/>
+			<PlaylistDialog
+				item={playlistTarget}
+				onClose={closeAddToPlaylist}
+			/>
+			<PinDialog
+				prompt={pinPrompt}
+				onSubmit={submitPin}
+				onCancel={cancelPin}
+			/>
+			<ReminderToast onWatchChannel={handleReminderWatch} />
 			<UpdateNotification
 				updateInfo={updateInfo}
 				formattedNotes={formattedNotes}
@@ -903,11 +1048,19 @@ const AppContent = (props) => {
 
 const AppBase = (props) => (
 	<SettingsProvider>
-		<AuthProvider>
-			<JellyseerrProvider>
-				<AppContent {...props} />
-			</JellyseerrProvider>
-		</AuthProvider>
+		<I18nProvider>
+			<AuthProvider>
+				<ServerEventsProvider>
+					<JellyseerrProvider>
+						<PlaylistProvider>
+							<ParentalControlProvider>
+								<AppContent {...props} />
+							</ParentalControlProvider>
+						</PlaylistProvider>
+					</JellyseerrProvider>
+				</ServerEventsProvider>
+			</AuthProvider>
+		</I18nProvider>
 	</SettingsProvider>
 );
 
@@ -3,6 +3,8 @@ import Spottable from '@enact/spotlight/Spottable';
 import Popup from '@enact/sandstone/Popup';
 import Button from '@enact/sandstone/Button';
 import {useAuth} from '../../context/AuthContext';
+import {useParentalControls} from '../../context/ParentalControlContext';
+import {useI18n} from '../../context/I18nContext';
 import {parseUrl} from '../../utils/urlCompat';
 
 import css from './AccountModal.module.less';
@@ -29,6 +31,8 @@ const AccountModal = ({
 		hasMultipleUsers,
 		startAddServerFlow
 	} = useAuth();
+	const {isUserLocked, requestPin} = useParentalControls();
+	const {t} = useI18n();
 
 	const [showConfirmRemove, setShowConfirmRemove] = useState(false);
 	const [serverToRemove, setServerToRemove] = useState(null);
@@ -64,10 +68,15 @@ const AccountModal = ({
 		const serverId = e.currentTarget.dataset.serverId;
 		const userId = e.currentTarget.dataset.userId;
 		if (serverId && userId) {
+			if (isUserLocked(userId)) {
+				// The PIN dialog can't sit on top of this popup, so close it first
+				onClose?.();
+				if (!(await requestPin('Enter PIN to switch to this user'))) return;
+			}
 			await switchUser(serverId, userId);
 			onClose?.();
 		}
-	}, [switchUser, onClose]);
+	}, [switchUser, onClose, isUserLocked, requestPin]);
 
 	const handleRemoveUserClick = useCallback((e) => {
 		const serverId = e.currentTarget.dataset.serverId;
@@ -107,7 +116,7 @@ const AccountModal = ({
 			>
 				<div className={css.modal}>
 					<div className={css.header}>
-						<h2 className={css.title}>Account</h2>
+						<h2 className={css.title}>{t('Account')}</h2>
 						<SpottableButton className={css.closeBtn} onClick={onClose} spotlightId="account-close">
 							<svg viewBox="0 0 24 24" fill="currentColor" width="24" height="24">
 								<path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z" />
@@ -128,10 +137,10 @@ const AccountModal = ({
 							</div>
 						)}
 						<div className={css.userInfo}>
-							<div className={css.userName}>{user?.Name || 'Not logged in'}</div>
+							<div className={css.userName}>{user?.Name || t('Not logged in')}</div>
 							<div className={css.serverDetails}>
 								{serverName && <span className={css.serverName}>{serverName}</span>}
-								<span className={css.serverUrl}>{serverUrl || 'Not connected'}</span>
+								<span className={css.serverUrl}>{serverUrl || t('Not connected')}</span>
 							</div>
 						</div>
 					</div>
@@ -139,7 +148,7 @@ const AccountModal = ({
 					{servers.length > 1 && (
 						<div className={css.section}>
 							<h3 className={css.sectionTitle}>
-								Servers & Users ({servers.length})
+								{t('Servers & Users ({count})', {count: servers.length})}
 							</h3>
 							<div className={css.serverList}>
 								{servers.map((server, index) => {
@@ -180,7 +189,7 @@ const AccountModal = ({
 														onClick={handleSwitchUserClick}
 														spotlightId={`account-switch-${index}`}
 													>
-														Switch
+														{t('Switch')}
 													</SpottableButton>
 												)}
 												{(servers.length > 1 || !isActive) && (
@@ -193,11 +202,11 @@ const AccountModal = ({
 														onClick={handleRemoveUserClick}
 														spotlightId={`account-remove-${index}`}
 													>
-														Remove
+														{t('Remove')}
 													</SpottableButton>
 												)}
 												{isActive && (
-													<span className={css.activeLabel}>Active</span>
+													<span className={css.activeLabel}>{t('Active')}</span>
 												)}
 											</div>
 										</div>
@@ -209,14 +218,14 @@ const AccountModal = ({
 
 					<div className={css.actions}>
 						<SpottableButton className={css.actionBtn} onClick={handleAddUser} spotlightId="account-add-user">
-							+ Add User
+							+ {t('Add User')}
 						</SpottableButton>
 						<SpottableButton className={css.actionBtn} onClick={handleAddServer} spotlightId="account-add-server">
-							Change Server
+							{t('Change Server')}
 						</SpottableButton>
 						<div className={css.divider} />
 						<SpottableButton className={css.actionBtn} onClick={handleLogout} spotlightId="account-logout">
-							Sign Out
+							{t('Sign Out')}
 						</SpottableButton>
 						{hasMultipleUsers && (
 							<SpottableButton
@@ -224,7 +233,7 @@ const AccountModal = ({
 								onClick={handleLogoutAll}
 								spotlightId="account-logout-all"
 							>
-								Sign Out All Users
+								{t('Sign Out All Users')}
 							</SpottableButton>
 						)}
 					</div>
@@ -240,17 +249,16 @@ const AccountModal = ({
 					noAutoDismiss
 				>
 					<div className={css.confirmModal}>
-						<h2 className={css.title}>Remove User</h2>
+						<h2 className={css.title}>{t('Remove User')}</h2>
 						<p className={css.confirmText}>
-							Are you sure you want to remove <strong>{serverToRemove.username}</strong> from
-							<strong> {serverToRemove.serverName}</strong>?
+							{t('Are you sure you want to remove {user} from {server}?', {user: serverToRemove.username, server: serverToRemove.serverName})}
 						</p>
 						<p className={css.confirmWarning}>
-							You will need to sign in again to use this account.
+							{t('You will need to sign in again to use this account.')}
 						</p>
 						<div className={css.confirmButtons}>
 							<Button onClick={handleCancelRemove} size="small" spotlightId="account-cancel-remove">
-								Cancel
+								{t('Cancel')}
 							</Button>
 							<Button
 								onClick={handleConfirmRemove}
@@ -258,7 +266,7 @@ const AccountModal = ({
 								className={css.dangerBtn}
 								spotlightId="account-confirm-remove"
 							>
-								Remove
+								{t('Remove')}
 							</Button>
 						</div>
 					</div>
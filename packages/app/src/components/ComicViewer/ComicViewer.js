@@ -1,11 +1,13 @@
 import {useState, useEffect, useCallback, useRef} from 'react';
 import JSZip from 'jszip';
+import {useI18n} from '../../context/I18nContext';
 import {KEYS} from '../../utils/keys';
 import css from './ComicViewer.module.less';
 
 const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'jpe', 'jif', 'jfif', 'png', 'avif', 'gif', 'bmp', 'tiff', 'tif', 'webp'];
 
 const ComicViewer = ({item, serverUrl, accessToken, onClose}) => {
+	const {t} = useI18n();
 	const [pages, setPages] = useState([]);
 	const [currentPage, setCurrentPage] = useState(0);
 	const [loading, setLoading] = useState(true);
@@ -149,7 +151,7 @@ const ComicViewer = ({item, serverUrl, accessToken, onClose}) => {
 			<div className={css.viewer}>
 				<div className={css.loadingContainer}>
 					<div className={css.spinner} />
-					<div className={css.loadingText}>Opening comic...</div>
+					<div className={css.loadingText}>{t('Opening comic...')}</div>
 				</div>
 			</div>
 		);
@@ -159,8 +161,8 @@ const ComicViewer = ({item, serverUrl, accessToken, onClose}) => {
 		return (
 			<div className={css.viewer}>
 				<div className={css.loadingContainer}>
-					<div className={css.errorText}>{error}</div>
-					<div className={css.loadingText}>Press Back to close</div>
+					<div className={css.errorText}>{t(error)}</div>
+					<div className={css.loadingText}>{t('Press Back to close')}</div>
 				</div>
 			</div>
 		);
@@ -170,8 +172,8 @@ const ComicViewer = ({item, serverUrl, accessToken, onClose}) => {
 		return (
 			<div className={css.viewer}>
 				<div className={css.loadingContainer}>
-					<div className={css.errorText}>No pages found</div>
-					<div className={css.loadingText}>Press Back to close</div>
+					<div className={css.errorText}>{t('No pages found')}</div>
+					<div className={css.loadingText}>{t('Press Back to close')}</div>
 				</div>
 			</div>
 		);
@@ -183,7 +185,7 @@ const ComicViewer = ({item, serverUrl, accessToken, onClose}) => {
 				<img
 					key={currentPage}
 					src={pages[currentPage]}
-					alt={`Page ${currentPage + 1}`}
+					alt={t('Page {number}', {number: currentPage + 1})}
 					className={css.page + (imageLoaded ? ' ' + css.pageLoaded : '')}
 					onLoad={handleImageLoad}
 				/>
@@ -196,13 +198,13 @@ const ComicViewer = ({item, serverUrl, accessToken, onClose}) => {
 
 			<div className={css.infoOverlay + (showInfo ? ' ' + css.infoVisible : '')}>
 				<div className={css.topBar}>
-					<div className={css.title}>{item.Name || 'Comic'}</div>
+					<div className={css.title}>{item.Name || t('Comic')}</div>
 				</div>
 				<div className={css.bottomBar}>
 					<div className={css.pageCounter}>
 						{currentPage + 1} / {pages.length}
 					</div>
-					<div className={css.navHint}>◀ ▶ Navigate &nbsp; OK Toggle info &nbsp; Back Close</div>
+					<div className={css.navHint}>◀ ▶ {t('Navigate')} &nbsp; OK {t('Toggle info')} &nbsp; {t('Back')} {t('Close')}</div>
 				</div>
 			</div>
 		</div>
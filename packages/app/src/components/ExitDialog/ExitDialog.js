@@ -5,6 +5,7 @@ import Spotlight from '@enact/spotlight';
 import SpotlightContainerDecorator from '@enact/spotlight/SpotlightContainerDecorator';
 import {isTizen} from '../../platform';
 import {isBackKey, KEYS} from '../../utils/keys';
+import {useI18n} from '../../context/I18nContext';
 
 import css from './ExitDialog.module.less';
 
@@ -25,10 +26,12 @@ const exitApp = () => {
 };
 
 const ExitDialog = ({open, onCancel, onExit}) => {
+	const {t} = useI18n();
+
 	useEffect(() => {
 		if (open) {
-			const t = setTimeout(() => Spotlight.focus('exit-cancel-btn'), 100);
-			return () => clearTimeout(t);
+			const timer = setTimeout(() => Spotlight.focus('exit-cancel-btn'), 100);
+			return () => clearTimeout(timer);
 		}
 	}, [open]);
 
@@ -71,22 +74,22 @@ const ExitDialog = ({open, onCancel, onExit}) => {
 	return (
 		<div className={css.overlay}>
 			<DialogContainer className={css.dialog} spotlightId="exit-dialog">
-				<h2 className={css.title}>Exit Moonfin?</h2>
-				<p className={css.message}>Are you sure you want to exit?</p>
+				<h2 className={css.title}>{t('Exit Moonfin?')}</h2>
+				<p className={css.message}>{t('Are you sure you want to exit?')}</p>
 				<div className={css.buttons}>
 					<SpottableButton
 						className={css.btn}
 						onClick={onCancel}
 						spotlightId="exit-cancel-btn"
 					>
-						Cancel
+						{t('Cancel')}
 					</SpottableButton>
 					<SpottableButton
 						className={`${css.btn} ${css.exitBtn} spottable-default`}
 						onClick={handleExit}
 						spotlightId="exit-confirm-btn"
 					>
-						Exit
+						{t('Exit')}
 					</SpottableButton>
 				</div>
 			</DialogContainer>
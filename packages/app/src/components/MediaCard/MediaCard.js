@@ -1,21 +1,32 @@
 import {memo, useCallback, useMemo, useRef, useEffect} from 'react';
 import Spottable from '@enact/spotlight/Spottable';
+import {usePlaylists} from '../../context/PlaylistContext';
+import {canAddToPlaylist} from '../../services/playlists';
 import {getImageUrl} from '../../utils/helpers';
+import {KEYS} from '../../utils/keys';
 
 import css from './MediaCard.module.less';
 
 const SpottableDiv = Spottable('div');
 
+// Holding OK this long opens the card's context action (add to playlist)
+const LONG_PRESS_MS = 800;
+
 const MediaCard = ({item, serverUrl, cardType = 'portrait', onSelect, onFocusItem, showServerBadge = false}) => {
 	const isLandscape = cardType === 'landscape';
 	const isSquare = cardType === 'square' || (cardType === 'portrait' && (item.Type === 'MusicAlbum' || item.Type === 'MusicArtist' || item.Type === 'Audio'));
 	const focusTimeoutRef = useRef(null);
+	const longPressTimerRef = useRef(null);
+	const longPressFiredRef = useRef(false);
+	const {openAddToPlaylist} = usePlaylists();
+	const hasContextAction = canAddToPlaylist(item);
 
 	useEffect(() => {
 		return () => {
 			if (focusTimeoutRef.current) {
 				clearTimeout(focusTimeoutRef.current);
 			}
+			clearTimeout(longPressTimerRef.current);
 		};
 	}, []);
 
@@ -48,10 +59,31 @@ const MediaCard = ({item, serverUrl, cardType = 'portrait', onSelect, onFocusIte
 	}, [isLandscape, item.Type, item.ImageTags?.Primary, item.Id, item.ParentThumbItemId, item.ParentBackdropItemId, item.AlbumId, item.AlbumPrimaryImageTag, itemServerUrl]);
 
 	const handleClick = useCallback(() => {
+		if (longPressFiredRef.current) {
+			longPressFiredRef.current = false;
+			return;
+		}
 		onSelect?.(item);
 	}, [item, onSelect]);
 
+	const handleKeyDown = useCallback((e) => {
+		if (!hasContextAction || e.keyCode !== KEYS.ENTER || e.repeat) return;
+		longPressFiredRef.current = false;
+		clearTimeout(longPressTimerRef.current);
+		longPressTimerRef.current = setTimeout(() => {
+			longPressFiredRef.current = true;
+			openAddToPlaylist(item);
+		}, LONG_PRESS_MS);
+	}, [hasContextAction, item, openAddToPlaylist]);
+
+	const handleKeyUp = useCallback((e) => {
+		if (e.keyCode === KEYS.ENTER) {
+			clearTimeout(longPressTimerRef.current);
+		}
+	}, []);
+
 	const handleFocus = useCallback(() => {
+		longPressFiredRef.current = false;
 		if (focusTimeoutRef.current) {
 			clearTimeout(focusTimeoutRef.current);
 		}
@@ -89,7 +121,7 @@ const MediaCard = ({item, serverUrl, cardType = 'portrait', onSelect, onFocusIte
 	const cardClass = `${css.card} ${isLandscape ? css.landscape : isSquare ? css.square : css.portrait}`;
 
 	return (
-		<SpottableDiv className={cardClass} onClick={handleClick} onFocus={handleFocus}>
+		<SpottableDiv className={cardClass} onClick={handleClick} onFocus={handleFocus} onKeyDown={handleKeyDown} onKeyUp={handleKeyUp}>
 			<div className={css.imageContainer}>
 				{imageUrl ? (
 					<img className={css.image} src={imageUrl} alt={item.Name} loading="lazy" />
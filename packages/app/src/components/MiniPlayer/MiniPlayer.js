@@ -0,0 +1,84 @@
+import {memo, useCallback} from 'react';
+import Spottable from '@enact/spotlight/Spottable';
+import SpotlightContainerDecorator from '@enact/spotlight/SpotlightContainerDecorator';
+import {useAudioPlayer, useAudioMediaKeys} from '../../hooks/useAudioPlayer';
+import {getServerUrl} from '../../services/jellyfinApi';
+import {getImageUrl, getPrimaryImageId} from '../../utils/helpers';
+import {useI18n} from '../../context/I18nContext';
+
+import css from './MiniPlayer.module.less';
+
+const MiniPlayerContainer = SpotlightContainerDecorator({enterTo: 'last-focused'}, 'div');
+const SpottableButton = Spottable('button');
+const SpottableDiv = Spottable('div');
+
+const TICKS_PER_SECOND = 10000000;
+
+/**
+ * Persistent now-playing bar shown over the app while music plays in the background.
+ * @param {boolean} visible - Hide while a full-screen player owns the screen
+ * @param {Function} onOpen - Open the now-playing screen
+ */
+const MiniPlayer = ({visible, onOpen}) => {
+	const {audioState, audioPlayer} = useAudioPlayer();
+	const {t} = useI18n();
+	const {item, isPlaying, isLoading, positionTicks, durationTicks, hasNext, hasPrevious} = audioState;
+	const shown = visible && !!item;
+
+	useAudioMediaKeys(shown);
+
+	const handlePlayPause = useCallback(() => audioPlayer.togglePlayPause(), [audioPlayer]);
+	const handleNext = useCallback(() => audioPlayer.next(), [audioPlayer]);
+	const handlePrevious = useCallback(() => audioPlayer.previous(), [audioPlayer]);
+	const handleStop = useCallback(() => audioPlayer.stop(), [audioPlayer]);
+
+	if (!shown) return null;
+
+	const imageId = getPrimaryImageId(item);
+	const artUrl = imageId ? getImageUrl(item._serverUrl || getServerUrl(), imageId, 'Primary', {maxHeight: 120, quality: 80}) : null;
+	const artist = item.Artists?.join(', ') || item.AlbumArtist || '';
+	const progress = durationTicks > 0 ? Math.min(100, (positionTicks / durationTicks) * 100) : 0;
+
+	return (
+		<MiniPlayerContainer className={css.miniPlayer} spotlightId="mini-player">
+			<SpottableDiv className={css.info} onClick={onOpen} aria-label={t('Open now playing')}>
+				<div className={css.art}>
+					{artUrl ? (
+						<img src={artUrl} alt="" />
+					) : (
+						<svg viewBox="0 -960 960 960" fill="currentColor" width="32" height="32">
+							<path d="M400-120q-66 0-113-47t-47-113q0-66 47-113t113-47q23 0 42.5 5.5T480-418v-422h240v160H560v400q0 66-47 113t-113 47Z"/>
+						</svg>
+					)}
+				</div>
+				<div className={css.text}>
+					<span className={css.title}>{item.Name}</span>
+					{artist && <span className={css.artist}>{artist}</span>}
+				</div>
+			</SpottableDiv>
+			<div className={css.buttons}>
+				<SpottableButton className={css.btn} onClick={handlePrevious} disabled={!hasPrevious && positionTicks < TICKS_PER_SECOND} aria-label={t('Previous')}>
+					<svg viewBox="0 -960 960 960" fill="currentColor"><path d="M220-240v-480h80v480h-80Zm520 0L380-480l360-240v480Z"/></svg>
+				</SpottableButton>
+				<SpottableButton className={css.btn} onClick={handlePlayPause} aria-label={isPlaying ? t('Pause') : t('Play')}>
+					{isPlaying || isLoading ? (
+						<svg viewBox="0 -960 960 960" fill="currentColor"><path d="M560-200v-560h160v560H560Zm-320 0v-560h160v560H240Z"/></svg>
+					) : (
+						<svg viewBox="0 -960 960 960" fill="currentColor"><path d="M320-200v-560l440 280-440 280Z"/></svg>
+					)}
+				</SpottableButton>
+				<SpottableButton className={css.btn} onClick={handleNext} disabled={!hasNext} aria-label={t('Next')}>
+					<svg viewBox="0 -960 960 960" fill="currentColor"><path d="M660-240v-480h80v480h-80Zm-440 0v-480l360 240-360 240Z"/></svg>
+				</SpottableButton>
+				<SpottableButton className={css.btn} onClick={handleStop} aria-label={t('Stop')}>
+					<svg viewBox="0 -960 960 960" fill="currentColor"><path d="m256-200-56-56 224-224-224-224 56-56 224 224 224-224 56 56-224 224 224 224-56 56-224-224-224 224Z"/></svg>
+				</SpottableButton>
+			</div>
+			<div className={css.progress}>
+				<div className={css.progressFill} style={{width: `${progress}%`}} />
+			</div>
+		</MiniPlayerContainer>
+	);
+};
+
+export default memo(MiniPlayer);
@@ -1,9 +1,11 @@
 import {useState, useEffect, useCallback, useRef, useMemo} from 'react';
 import {getImageUrl} from '../../utils/helpers';
+import {useI18n} from '../../context/I18nContext';
 import {KEYS} from '../../utils/keys';
 import css from './PhotoViewer.module.less';
 
 const PhotoViewer = ({item, items, serverUrl, onClose}) => {
+	const {t} = useI18n();
 	const [currentIndex, setCurrentIndex] = useState(0);
 	const [showInfo, setShowInfo] = useState(true);
 	const [imageLoaded, setImageLoaded] = useState(false);
@@ -154,7 +156,7 @@ const PhotoViewer = ({item, items, serverUrl, onClose}) => {
 					{formattedDate && <div className={css.photoDate}>{formattedDate}</div>}
 					{dimensions && <div className={css.photoMeta}>{dimensions}</div>}
 					{photoItems.length > 1 && (
-						<div className={css.navHint}>◀ ▶ Navigate &nbsp; OK Toggle info &nbsp; Back Close</div>
+						<div className={css.navHint}>◀ ▶ {t('Navigate')} &nbsp; OK {t('Toggle info')} &nbsp; {t('Back')} {t('Close')}</div>
 					)}
 				</div>
 			</div>
@@ -0,0 +1,109 @@
+import {memo, useState, useEffect, useCallback} from 'react';
+import Spottable from '@enact/spotlight/Spottable';
+import Spotlight from '@enact/spotlight';
+import SpotlightContainerDecorator from '@enact/spotlight/SpotlightContainerDecorator';
+import {KEYS} from '../../utils/keys';
+import {useI18n} from '../../context/I18nContext';
+
+import css from './PinDialog.module.less';
+
+const DialogContainer = SpotlightContainerDecorator({
+	enterTo: 'last-focused',
+	restrict: 'self-only'
+}, 'div');
+
+const SpottableButton = Spottable('button');
+const SpottableInput = Spottable('input');
+
+const MIN_PIN_LENGTH = 4;
+const MAX_PIN_LENGTH = 8;
+
+/**
+ * PIN entry for parental controls
+ * @param {Object} prompt - {mode: 'verify'|'create', title}; the dialog is hidden while null
+ * @param {Function} onSubmit - Receives the PIN, returns false if it was rejected
+ * @param {Function} onCancel
+ */
+const PinDialog = ({prompt, onSubmit, onCancel}) => {
+	const {t} = useI18n();
+	const [pin, setPin] = useState('');
+	const [firstPin, setFirstPin] = useState(null);
+	const [error, setError] = useState('');
+
+	useEffect(() => {
+		setPin('');
+		setFirstPin(null);
+		setError('');
+		if (!prompt) return;
+		const timer = setTimeout(() => Spotlight.focus('pin-input'), 100);
+		return () => clearTimeout(timer);
+	}, [prompt]);
+
+	const handleChange = useCallback((e) => {
+		setPin(e.target.value.replace(/\D/g, '').slice(0, MAX_PIN_LENGTH));
+		setError('');
+	}, []);
+
+	const handleConfirm = useCallback(() => {
+		if (pin.length < MIN_PIN_LENGTH) {
+			setError(t('PIN must be at least {count} digits', {count: MIN_PIN_LENGTH}));
+			return;
+		}
+		if (prompt.mode === 'create' && firstPin === null) {
+			setFirstPin(pin);
+			setPin('');
+			return;
+		}
+		if (prompt.mode === 'create' && pin !== firstPin) {
+			setFirstPin(null);
+			setPin('');
+			setError(t('PINs did not match. Try again.'));
+			return;
+		}
+		if (onSubmit(pin) === false) {
+			setPin('');
+			setError(t('Incorrect PIN'));
+		}
+	}, [pin, firstPin, prompt, onSubmit, t]);
+
+	const handleKeyDown = useCallback((e) => {
+		if (e.keyCode === KEYS.ENTER) {
+			e.preventDefault();
+			handleConfirm();
+		}
+	}, [handleConfirm]);
+
+	if (!prompt) return null;
+
+	const isConfirmStep = prompt.mode === 'create' && firstPin !== null;
+
+	return (
+		<div className={css.overlay}>
+			<DialogContainer className={css.dialog} spotlightId="pin-dialog">
+				<h2 className={css.title}>{isConfirmStep ? t('Confirm PIN') : t(prompt.title)}</h2>
+				<p className={css.subtitle}>{t('Parental Controls')}</p>
+				<SpottableInput
+					type="password"
+					inputMode="numeric"
+					className={css.input}
+					value={pin}
+					onChange={handleChange}
+					onKeyDown={handleKeyDown}
+					spotlightId="pin-input"
+				/>
+				<p className={`${css.status} ${error ? css.error : ''}`}>{error}</p>
+				<div className={css.buttons}>
+					<SpottableButton className={css.btn} onClick={onCancel}>
+						{t('Cancel')}
+					</SpottableButton>
+					<SpottableButton className={`${css.btn} ${css.primary}`} onClick={handleConfirm} disabled={!pin}>
+						{t('OK')}
+					</SpottableButton>
+				</div>
+				<p className={css.footer}>{t('Press BACK to close')}</p>
+			</DialogContainer>
+		</div>
+	);
+};
+
+export default memo(PinDialog);
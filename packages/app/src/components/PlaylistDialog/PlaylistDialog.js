@@ -0,0 +1,192 @@
+import {memo, useState, useEffect, useCallback, useRef} from 'react';
+import Spottable from '@enact/spotlight/Spottable';
+import Spotlight from '@enact/spotlight';
+import SpotlightContainerDecorator from '@enact/spotlight/SpotlightContainerDecorator';
+import {Scroller} from '@enact/sandstone/Scroller';
+import {fetchPlaylistsFor, addToPlaylist, createPlaylistWith, getPlaylistMediaType} from '../../services/playlists';
+import {KEYS} from '../../utils/keys';
+import {useI18n} from '../../context/I18nContext';
+
+import css from './PlaylistDialog.module.less';
+
+const DialogContainer = SpotlightContainerDecorator({
+	enterTo: 'last-focused',
+	restrict: 'self-only'
+}, 'div');
+
+const SpottableButton = Spottable('button');
+const SpottableInput = Spottable('input');
+
+const CLOSE_DELAY_MS = 1200;
+
+/**
+ * Pick a playlist for an item, or create a new one with it
+ * @param {Object} item - Item to add; the dialog is hidden while null
+ * @param {Function} onClose
+ */
+const PlaylistDialog = ({item, onClose}) => {
+	const {t, tn} = useI18n();
+	const [playlists, setPlaylists] = useState([]);
+	const [isLoading, setIsLoading] = useState(false);
+	const [isSaving, setIsSaving] = useState(false);
+	const [isCreating, setIsCreating] = useState(false);
+	const [newName, setNewName] = useState('');
+	const [status, setStatus] = useState(null);
+	const closeTimerRef = useRef(null);
+
+	useEffect(() => {
+		if (!item) return;
+		let cancelled = false;
+		setPlaylists([]);
+		setIsCreating(false);
+		setNewName('');
+		setStatus(null);
+		setIsLoading(true);
+
+		fetchPlaylistsFor(item).then(result => {
+			if (!cancelled) setPlaylists(result);
+		}).catch(err => {
+			console.warn('[Playlists] Failed to load playlists:', err.message);
+			if (!cancelled) setStatus({error: true, message: t('Could not load playlists')});
+		}).finally(() => {
+			if (!cancelled) setIsLoading(false);
+		});
+
+		return () => {
+			cancelled = true;
+		};
+	}, [item, t]);
+
+	useEffect(() => {
+		return () => clearTimeout(closeTimerRef.current);
+	}, []);
+
+	useEffect(() => {
+		if (!item || isLoading) return;
+		const timer = setTimeout(() => Spotlight.focus(isCreating ? 'playlist-name-input' : 'playlist-dialog'), 100);
+		return () => clearTimeout(timer);
+	}, [item, isLoading, isCreating]);
+
+	const finish = useCallback((message) => {
+		setStatus({message});
+		closeTimerRef.current = setTimeout(() => onClose?.(), CLOSE_DELAY_MS);
+	}, [onClose]);
+
+	const handleSelectPlaylist = useCallback(async (e) => {
+		const playlist = playlists.find(p => p.Id === e.currentTarget.dataset.playlistId);
+		if (!playlist || isSaving) return;
+		setIsSaving(true);
+		try {
+			await addToPlaylist(playlist, item);
+			finish(t('Added to {name}', {name: playlist.Name}));
+		} catch (err) {
+			console.warn('[Playlists] Failed to add to playlist:', err.message);
+			setStatus({error: true, message: t('Could not add to {name}', {name: playlist.Name})});
+		} finally {
+			setIsSaving(false);
+		}
+	}, [playlists, item, isSaving, finish, t]);
+
+	const handleStartCreate = useCallback(() => {
+		setNewName(item?.Name || '');
+		setStatus(null);
+		setIsCreating(true);
+	}, [item]);
+
+	const handleCancelCreate = useCallback(() => {
+		setIsCreating(false);
+	}, []);
+
+	const handleNameChange = useCallback((e) => {
+		setNewName(e.target.value);
+	}, []);
+
+	const handleCreate = useCallback(async () => {
+		const name = newName.trim();
+		if (!name || isSaving) return;
+		setIsSaving(true);
+		try {
+			await createPlaylistWith(name, item);
+			finish(t('Created {name}', {name}));
+		} catch (err) {
+			console.warn('[Playlists] Failed to create playlist:', err.message);
+			setStatus({error: true, message: t('Could not create the playlist')});
+		} finally {
+			setIsSaving(false);
+		}
+	}, [newName, item, isSaving, finish, t]);
+
+	const handleNameKeyDown = useCallback((e) => {
+		if (e.keyCode === KEYS.ENTER) {
+			e.preventDefault();
+			handleCreate();
+		}
+	}, [handleCreate]);
+
+	if (!item) return null;
+
+	const isAudio = getPlaylistMediaType(item) === 'Audio';
+
+	return (
+		<div className={css.overlay}>
+			<DialogContainer className={css.dialog} spotlightId="playlist-dialog">
+				<h2 className={css.title}>{t('Add to Playlist')}</h2>
+				<p className={css.subtitle}>{item.Name}</p>
+
+				{isCreating ? (
+					<div className={css.createForm}>
+						<SpottableInput
+							type="text"
+							className={css.input}
+							placeholder={t('Playlist name')}
+							value={newName}
+							onChange={handleNameChange}
+							onKeyDown={handleNameKeyDown}
+							spotlightId="playlist-name-input"
+						/>
+						<div className={css.buttons}>
+							<SpottableButton className={css.btn} onClick={handleCancelCreate}>
+								{t('Cancel')}
+							</SpottableButton>
+							<SpottableButton className={`${css.btn} ${css.primary}`} onClick={handleCreate} disabled={!newName.trim() || isSaving}>
+								{isSaving ? t('Creating...') : t('Create')}
+							</SpottableButton>
+						</div>
+					</div>
+				) : isLoading ? (
+					<p className={css.message}>{t('Loading playlists...')}</p>
+				) : (
+					<Scroller className={css.list} direction="vertical" horizontalScrollbar="hidden" verticalScrollbar="hidden">
+						<SpottableButton className={`${css.playlistBtn} ${css.newPlaylist}`} onClick={handleStartCreate}>
+							<span className={css.playlistName}>{t('+ New Playlist')}</span>
+						</SpottableButton>
+						{playlists.map(playlist => (
+							<SpottableButton
+								key={playlist.Id}
+								className={css.playlistBtn}
+								data-playlist-id={playlist.Id}
+								onClick={handleSelectPlaylist}
+								disabled={isSaving}
+							>
+								<span className={css.playlistName}>{playlist.Name}</span>
+								{playlist.ChildCount != null && (
+									<span className={css.playlistCount}>{tn('{count} item', '{count} items', playlist.ChildCount)}</span>
+								)}
+							</SpottableButton>
+						))}
+						{playlists.length === 0 && (
+							<p className={css.message}>{isAudio ? t('No music playlists yet') : t('No video playlists yet')}</p>
+						)}
+					</Scroller>
+				)}
+
+				{status && (
+					<p className={`${css.status} ${status.error ? css.error : ''}`}>{status.message}</p>
+				)}
+				<p className={css.footer}>{t('Press BACK to close')}</p>
+			</DialogContainer>
+		</div>
+	);
+};
+
+export default memo(PlaylistDialog);
@@ -0,0 +1,129 @@
+import {memo, useState, useEffect, useCallback, useRef} from 'react';
+import {useAuth} from '../../context/AuthContext';
+import {useSettings} from '../../context/SettingsContext';
+import {useI18n} from '../../context/I18nContext';
+import {subscribeReminders, markReminderNotified} from '../../services/reminders';
+import {KEYS, isBackKey} from '../../utils/keys';
+
+import css from './ReminderToast.module.less';
+
+const CHECK_INTERVAL_MS = 15000;
+const TOAST_DURATION_MS = 30000;
+
+const BUTTONS = ['watch', 'dismiss'];
+
+/**
+ * Raises program reminders a set number of minutes before they start, one at
+ * a time. The toast reads the remote itself instead of going through Spotlight
+ * so it works the same over the player, whose key handler would otherwise see
+ * the keys first; it's mounted with the app so its listener is registered first.
+ * @param {Function} onWatchChannel - Called with the reminder's channel
+ */
+const ReminderToast = ({onWatchChannel}) => {
+	const {api} = useAuth();
+	const {settings} = useSettings();
+	const {t, tn, formatTimeOfDay} = useI18n();
+	const [reminders, setReminders] = useState([]);
+	const [active, setActive] = useState(null);
+	const [selected, setSelected] = useState(0);
+	const [now, setNow] = useState(Date.now);
+	const keyStateRef = useRef({});
+
+	useEffect(() => subscribeReminders(setReminders), []);
+
+	useEffect(() => {
+		const interval = setInterval(() => setNow(Date.now()), CHECK_INTERVAL_MS);
+		return () => clearInterval(interval);
+	}, []);
+
+	useEffect(() => {
+		// Nothing to watch with until someone is signed in
+		if (active || !api) return;
+		const leadMs = settings.reminderLeadMinutes * 60000;
+		const due = reminders.find(reminder =>
+			!reminder.notified &&
+			new Date(reminder.startDate).getTime() - leadMs <= now &&
+			new Date(reminder.endDate).getTime() > now
+		);
+		if (!due) return;
+		setActive(due);
+		setSelected(0);
+		markReminderNotified(due.programId);
+	}, [reminders, now, active, api, settings.reminderLeadMinutes]);
+
+	useEffect(() => {
+		if (!active) return;
+		const timer = setTimeout(() => setActive(null), TOAST_DURATION_MS);
+		return () => clearTimeout(timer);
+	}, [active]);
+
+	const handleDismiss = useCallback(() => {
+		setActive(null);
+	}, []);
+
+	const handleWatch = useCallback(async () => {
+		const reminder = active;
+		setActive(null);
+		if (!reminder) return;
+		try {
+			const channel = await api.getItem(reminder.channelId);
+			onWatchChannel(channel);
+		} catch (err) {
+			console.warn('[Reminders] Failed to load channel:', err.message);
+		}
+	}, [active, api, onWatchChannel]);
+
+	keyStateRef.current = {active, selected, handleWatch, handleDismiss};
+
+	useEffect(() => {
+		const handleKeyDown = (e) => {
+			const {active: shown, selected: index, handleWatch: watch, handleDismiss: dismiss} = keyStateRef.current;
+			if (!shown) return;
+			const code = e.keyCode;
+			if (isBackKey(e)) {
+				dismiss();
+			} else if (code === KEYS.LEFT || code === KEYS.RIGHT) {
+				setSelected(code === KEYS.LEFT ? 0 : BUTTONS.length - 1);
+			} else if (code === KEYS.ENTER) {
+				if (BUTTONS[index] === 'watch') watch();
+				else dismiss();
+			} else if (code !== KEYS.UP && code !== KEYS.DOWN) {
+				// Anything else (media keys, numbers) still reaches the app
+				return;
+			}
+			e.preventDefault();
+			e.stopImmediatePropagation();
+		};
+		window.addEventListener('keydown', handleKeyDown, true);
+		return () => window.removeEventListener('keydown', handleKeyDown, true);
+	}, []);
+
+	if (!active) return null;
+
+	const minutesToStart = Math.round((new Date(active.startDate).getTime() - now) / 60000);
+	const channelLabel = [active.channelNumber, active.channelName].filter(Boolean).join(' ');
+
+	return (
+		<div className={css.toast}>
+			<p className={css.label}>
+				{minutesToStart > 0
+					? tn('Starts in {count} minute', 'Starts in {count} minutes', minutesToStart)
+					: t('Starting now')}
+			</p>
+			<p className={css.title}>{active.name}</p>
+			<p className={css.details}>
+				{[active.episodeTitle, channelLabel, formatTimeOfDay(new Date(active.startDate))].filter(Boolean).join(' · ')}
+			</p>
+			<div className={css.buttons}>
+				<button className={`${css.btn} ${selected === 0 ? css.selected : ''}`} onClick={handleWatch}>
+					{t('Watch Now')}
+				</button>
+				<button className={`${css.btn} ${selected === 1 ? css.selected : ''}`} onClick={handleDismiss}>
+					{t('Dismiss')}
+				</button>
+			</div>
+		</div>
+	);
+};
+
+export default memo(ReminderToast);
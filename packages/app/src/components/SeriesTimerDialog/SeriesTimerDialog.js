@@ -0,0 +1,136 @@
+import {memo, useState, useEffect, useCallback} from 'react';
+import Spottable from '@enact/spotlight/Spottable';
+import Spotlight from '@enact/spotlight';
+import SpotlightContainerDecorator from '@enact/spotlight/SpotlightContainerDecorator';
+import {useI18n} from '../../context/I18nContext';
+
+import css from './SeriesTimerDialog.module.less';
+
+const DialogContainer = SpotlightContainerDecorator({
+	enterTo: 'last-focused',
+	restrict: 'self-only'
+}, 'div');
+
+const SpottableButton = Spottable('button');
+
+// 0 keeps every recording
+const KEEP_UP_TO_OPTIONS = [0, 1, 2, 3, 5, 10, 20];
+const PADDING_OPTIONS = [0, 60, 120, 300, 600, 900, 1800, 3600];
+
+// Step to the next option, or the first one above a value set elsewhere (e.g. the web client)
+const nextOption = (options, value) =>
+	options.find(option => option > (value || 0)) ?? options[0];
+
+/**
+ * Edit a series recording rule: which airings to record, how many to keep and
+ * how much padding to add around each one
+ * @param {Object} seriesTimer - Rule to edit, or server defaults for a new one; the dialog is hidden while null
+ * @param {boolean} isNew - Show Create instead of Save and hide Delete
+ * @param {Function} onSave - Called with the edited rule; may return a promise
+ * @param {Function} [onDelete] - Called to delete an existing rule
+ * @param {Function} onClose
+ */
+const SeriesTimerDialog = ({seriesTimer, isNew, onSave, onDelete, onClose}) => {
+	const {t, tn} = useI18n();
+	const [draft, setDraft] = useState(null);
+	const [isSaving, setIsSaving] = useState(false);
+	const [error, setError] = useState(null);
+
+	useEffect(() => {
+		setDraft(seriesTimer);
+		setError(null);
+		if (!seriesTimer) return;
+		const timer = setTimeout(() => Spotlight.focus('series-timer-dialog'), 100);
+		return () => clearTimeout(timer);
+	}, [seriesTimer]);
+
+	const handleToggleNewOnly = useCallback(() => {
+		setDraft(prev => ({...prev, RecordNewOnly: !prev.RecordNewOnly}));
+	}, []);
+
+	const handleToggleAnyChannel = useCallback(() => {
+		setDraft(prev => ({...prev, RecordAnyChannel: !prev.RecordAnyChannel}));
+	}, []);
+
+	const handleCycleKeepUpTo = useCallback(() => {
+		setDraft(prev => ({...prev, KeepUpTo: nextOption(KEEP_UP_TO_OPTIONS, prev.KeepUpTo)}));
+	}, []);
+
+	const handleCyclePrePadding = useCallback(() => {
+		setDraft(prev => ({...prev, PrePaddingSeconds: nextOption(PADDING_OPTIONS, prev.PrePaddingSeconds)}));
+	}, []);
+
+	const handleCyclePostPadding = useCallback(() => {
+		setDraft(prev => ({...prev, PostPaddingSeconds: nextOption(PADDING_OPTIONS, prev.PostPaddingSeconds)}));
+	}, []);
+
+	const runAction = useCallback(async (action, failureMessage) => {
+		if (isSaving) return;
+		setIsSaving(true);
+		setError(null);
+		try {
+			await action();
+		} catch (err) {
+			console.warn('[LiveTV] Series recording update failed:', err.message);
+			setError(failureMessage);
+		} finally {
+			setIsSaving(false);
+		}
+	}, [isSaving]);
+
+	const handleSave = useCallback(() => {
+		runAction(() => onSave(draft), t('Could not save the series recording'));
+	}, [runAction, onSave, draft, t]);
+
+	const handleDelete = useCallback(() => {
+		runAction(() => onDelete(draft), t('Could not delete the series recording'));
+	}, [runAction, onDelete, draft, t]);
+
+	if (!draft) return null;
+
+	const formatPadding = (seconds) => (seconds
+		? tn('{count} minute', '{count} minutes', Math.round(seconds / 60))
+		: t('None'));
+
+	const renderOption = (label, value, onClick, spotlightId) => (
+		<SpottableButton className={css.option} onClick={onClick} spotlightId={spotlightId} disabled={isSaving}>
+			<span className={css.optionLabel}>{label}</span>
+			<span className={css.optionValue}>{value}</span>
+		</SpottableButton>
+	);
+
+	return (
+		<div className={css.overlay}>
+			<DialogContainer className={css.dialog} spotlightId="series-timer-dialog">
+				<h2 className={css.title}>{isNew ? t('Record Series') : t('Series Recording')}</h2>
+				<p className={css.subtitle}>{draft.Name}</p>
+
+				{renderOption(t('Record'), draft.RecordNewOnly ? t('New episodes only') : t('All episodes'), handleToggleNewOnly, 'series-timer-new-only')}
+				{renderOption(t('Channel'), draft.RecordAnyChannel ? t('Any channel') : (draft.ChannelName || t('This channel')), handleToggleAnyChannel, 'series-timer-any-channel')}
+				{renderOption(t('Keep'), draft.KeepUpTo ? tn('Up to {count} episode', 'Up to {count} episodes', draft.KeepUpTo) : t('All episodes'), handleCycleKeepUpTo, 'series-timer-keep')}
+				{renderOption(t('Start Early'), formatPadding(draft.PrePaddingSeconds), handleCyclePrePadding, 'series-timer-pre-padding')}
+				{renderOption(t('End Late'), formatPadding(draft.PostPaddingSeconds), handleCyclePostPadding, 'series-timer-post-padding')}
+
+				{error && <p className={css.error}>{error}</p>}
+
+				<div className={css.buttons}>
+					<SpottableButton className={`${css.btn} ${css.primary}`} onClick={handleSave} disabled={isSaving}>
+						{isNew ? t('Create') : t('Save')}
+					</SpottableButton>
+					{!isNew && onDelete && (
+						<SpottableButton className={`${css.btn} ${css.danger}`} onClick={handleDelete} disabled={isSaving}>
+							{t('Delete')}
+						</SpottableButton>
+					)}
+					<SpottableButton className={css.btn} onClick={onClose}>
+						{t('Cancel')}
+					</SpottableButton>
+				</div>
+
+				<p className={css.footer}>{t('Press BACK to close')}</p>
+			</DialogContainer>
+		</div>
+	);
+};
+
+export default memo(SeriesTimerDialog);
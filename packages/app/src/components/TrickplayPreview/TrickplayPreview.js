@@ -1,12 +1,11 @@
 import {useState, useEffect, useCallback} from 'react';
-import * as jellyfinApi from '../../services/jellyfinApi';
+import {getItemServer} from '../../services/playback';
 
 import css from './TrickplayPreview.module.less';
 
 export const getTrickplayManifest = async (itemId, mediaSourceId) => {
 	try {
-		const serverUrl = jellyfinApi.getServerUrl();
-		const apiKey = jellyfinApi.getApiKey();
+		const {serverUrl, apiKey} = getItemServer(itemId);
 
 		const response = await fetch(
 			`${serverUrl}/Videos/${itemId}/${mediaSourceId}/Trickplay`,
@@ -104,8 +103,7 @@ const TrickplayPreview = ({
 		if (newPosition) {
 			setPosition(newPosition);
 
-			const serverUrl = jellyfinApi.getServerUrl();
-			const apiKey = jellyfinApi.getApiKey();
+			const {serverUrl, apiKey} = getItemServer(itemId);
 			const imageUrl = `${serverUrl}/Videos/${itemId}/${mediaSourceId}/Trickplay/${selectedWidth}/${newPosition.imageIndex}.jpg?api_key=${apiKey}`;
 			setCurrentImage(imageUrl);
 		}
@@ -9,6 +9,7 @@ import Button from '@enact/sandstone/Button';
 import Heading from '@enact/sandstone/Heading';
 import Scroller from '@enact/sandstone/Scroller';
 import Spotlight from '@enact/spotlight';
+import {useI18n} from '../../context/I18nContext';
 
 import css from './UpdateNotification.module.less';
 
@@ -31,6 +32,7 @@ const markdownToHtml = (text) => {
 };
 
 const UpdateNotification = ({updateInfo, formattedNotes, onDismiss}) => {
+	const {t} = useI18n();
 	const buttonRef = useRef(null);
 
 	const handleDismiss = useCallback(() => {
@@ -77,13 +79,13 @@ const UpdateNotification = ({updateInfo, formattedNotes, onDismiss}) => {
 					}}
 				>
 					<Heading size="small" className={css.title}>
-						Update Available
+						{t('Update Available')}
 					</Heading>
 
 					<div className={css.versionInfo}>
-						<span className={css.newVersion}>Version {updateInfo.latestVersion}</span>
+						<span className={css.newVersion}>{t('Version {version}', {version: updateInfo.latestVersion})}</span>
 						<span className={css.currentVersion}>
-							(Current: {updateInfo.currentVersion})
+							({t('Current: {version}', {version: updateInfo.currentVersion})})
 						</span>
 					</div>
 
@@ -104,7 +106,7 @@ const UpdateNotification = ({updateInfo, formattedNotes, onDismiss}) => {
 							size="small"
 							onClick={handleDismiss}
 						>
-							OK
+							{t('OK')}
 						</Button>
 					</div>
 				</div>
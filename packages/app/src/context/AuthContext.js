@@ -3,6 +3,8 @@ import * as jellyfinApi from '../services/jellyfinApi';
 import {initStorage, getFromStorage, saveToStorage, removeFromStorage} from '../services/storage';
 import * as multiServerManager from '../services/multiServerManager';
 import {clearImageCache} from '../services/imageProxy';
+import {clearResponseCache} from '../services/responseCache';
+import {getSyncPlayEngine} from '../services/syncPlay';
 import {clearProxiedImageCache} from '../hooks/useProxiedImage';
 import {parseUrl} from '../utils/urlCompat';
 
@@ -10,9 +12,23 @@ import {parseUrl} from '../utils/urlCompat';
 const clearAllCaches = () => {
 	clearImageCache();
 	clearProxiedImageCache();
+	clearResponseCache();
 	console.log('[AuthContext] All caches cleared');
 };
 
+// Leave the SyncPlay group while the session's token is still valid, then drop the connection
+const endSyncPlaySession = async () => {
+	const engine = getSyncPlayEngine();
+	if (engine.isInGroup()) {
+		try {
+			await engine.leaveGroup();
+		} catch (e) {
+			console.warn('[AuthContext] Failed to leave SyncPlay group:', e);
+		}
+	}
+	engine.disconnect();
+};
+
 const AuthContext = createContext(null);
 
 export const AuthProvider = ({children}) => {
@@ -327,6 +343,9 @@ export const AuthProvider = ({children}) => {
 	}, []);
 
 	const logout = useCallback(async () => {
+		// The SyncPlay group belongs to the session being logged out, even when another user takes over
+		await endSyncPlaySession();
+
 		if (activeServerInfo) {
 			await multiServerManager.removeServer(activeServerInfo.serverId, activeServerInfo.userId);
 		}
@@ -358,6 +377,8 @@ export const AuthProvider = ({children}) => {
 	 * Full logout - remove all servers and users
 	 */
 	const logoutAll = useCallback(async () => {
+		await endSyncPlaySession();
+
 		// Clear all caches first
 		clearAllCaches();
 
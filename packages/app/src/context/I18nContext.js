@@ -0,0 +1,41 @@
+import {createContext, useContext, useMemo} from 'react';
+import * as i18n from '../services/i18n';
+import {useSettings} from './SettingsContext';
+
+const I18nContext = createContext(null);
+
+/**
+ * Applies the language setting and re-renders consumers when it changes.
+ * An empty setting follows the TV's system language.
+ */
+export const I18nProvider = ({children}) => {
+	const {settings} = useSettings();
+	const languageSetting = settings.language || '';
+
+	const contextValue = useMemo(() => {
+		const locale = i18n.setLanguage(languageSetting);
+		return {
+			locale,
+			languageSetting,
+			t: (text, params) => i18n.t(text, params),
+			tn: (singular, plural, count, params) => i18n.tn(singular, plural, count, params),
+			formatNumber: (value, options) => i18n.formatNumber(value, options),
+			formatDate: (value, options) => i18n.formatDate(value, options),
+			formatTimeOfDay: (value, options) => i18n.formatTimeOfDay(value, options)
+		};
+	}, [languageSetting]);
+
+	return (
+		<I18nContext.Provider value={contextValue}>
+			{children}
+		</I18nContext.Provider>
+	);
+};
+
+export const useI18n = () => {
+	const context = useContext(I18nContext);
+	if (!context) {
+		throw new Error('useI18n must be used within I18nProvider');
+	}
+	return context;
+};
@@ -0,0 +1,163 @@
+import {createContext, useContext, useState, useEffect, useCallback, useMemo, useRef} from 'react';
+import {
+	DEFAULT_PARENTAL_CONFIG, loadParentalConfig, saveParentalConfig,
+	hashPin, verifyPin, isRatingRestricted
+} from '../services/parentalControls';
+import {getItemServer} from '../services/playback';
+
+// A correct PIN keeps the controls unlocked for a while so a parent isn't asked again on every screen
+const UNLOCK_DURATION_MS = 5 * 60 * 1000;
+
+const ParentalControlContext = createContext(null);
+
+const toggleId = (ids, id) => (ids.includes(id) ? ids.filter(existing => existing !== id) : [...ids, id]);
+
+// Episodes rarely carry a rating of their own, so they are judged by their series'
+const loadSeriesRating = async (item) => {
+	try {
+		const series = await getItemServer(item).api.getItem(item.SeriesId);
+		return series?.OfficialRating;
+	} catch (e) {
+		console.warn('[Parental] Failed to load series rating:', e);
+		return undefined;
+	}
+};
+
+/**
+ * Owns the parental-control config and the PIN prompt App renders.
+ * requestPin() resolves true straight away when no PIN is set or the
+ * controls were unlocked recently.
+ */
+export const ParentalControlProvider = ({children}) => {
+	const [config, setConfig] = useState(DEFAULT_PARENTAL_CONFIG);
+	const [pinPrompt, setPinPrompt] = useState(null);
+	const configRef = useRef(DEFAULT_PARENTAL_CONFIG);
+	const resolveRef = useRef(null);
+	const unlockedUntilRef = useRef(0);
+
+	useEffect(() => {
+		loadParentalConfig().then(loaded => {
+			configRef.current = loaded;
+			setConfig(loaded);
+		});
+	}, []);
+
+	const applyConfig = useCallback((updates) => {
+		const next = {...configRef.current, ...updates};
+		configRef.current = next;
+		setConfig(next);
+		saveParentalConfig(next);
+	}, []);
+
+	const openPrompt = useCallback((mode, title) => new Promise(resolve => {
+		resolveRef.current?.(false);
+		resolveRef.current = resolve;
+		setPinPrompt({mode, title});
+	}), []);
+
+	const finishPrompt = useCallback((result) => {
+		const resolve = resolveRef.current;
+		resolveRef.current = null;
+		setPinPrompt(null);
+		resolve?.(result);
+	}, []);
+
+	const requestPin = useCallback((title = 'Enter PIN') => {
+		if (!configRef.current.pinHash || Date.now() < unlockedUntilRef.current) {
+			return Promise.resolve(true);
+		}
+		return openPrompt('verify', title);
+	}, [openPrompt]);
+
+	/**
+	 * Called by the PIN dialog
+	 * @returns {boolean} false when the PIN is wrong and the dialog should stay open
+	 */
+	const submitPin = useCallback((pin) => {
+		if (pinPrompt?.mode === 'create') {
+			applyConfig({pinHash: hashPin(pin)});
+		} else if (!verifyPin(pin, configRef.current)) {
+			return false;
+		}
+		unlockedUntilRef.current = Date.now() + UNLOCK_DURATION_MS;
+		finishPrompt(true);
+		return true;
+	}, [pinPrompt, applyConfig, finishPrompt]);
+
+	const cancelPin = useCallback(() => {
+		finishPrompt(false);
+	}, [finishPrompt]);
+
+	const setPin = useCallback(async () => {
+		if (!(await requestPin('Enter current PIN'))) return false;
+		return openPrompt('create', 'Choose a new PIN');
+	}, [requestPin, openPrompt]);
+
+	const removePin = useCallback(async () => {
+		if (!(await requestPin('Enter PIN to turn off parental controls'))) return false;
+		applyConfig({pinHash: null});
+		unlockedUntilRef.current = 0;
+		return true;
+	}, [requestPin, applyConfig]);
+
+	const lock = useCallback(() => {
+		unlockedUntilRef.current = 0;
+	}, []);
+
+	const toggleLockedUser = useCallback((userId) => {
+		applyConfig({lockedUserIds: toggleId(configRef.current.lockedUserIds, userId)});
+	}, [applyConfig]);
+
+	const toggleLockedLibrary = useCallback((libraryId) => {
+		applyConfig({lockedLibraryIds: toggleId(configRef.current.lockedLibraryIds, libraryId)});
+	}, [applyConfig]);
+
+	/**
+	 * Whether an item is above the rating limit
+	 * @returns {Promise<boolean>}
+	 */
+	const isItemRestricted = useCallback(async (item) => {
+		const current = configRef.current;
+		let seriesRating;
+		if (current.pinHash && current.maxRating && item?.SeriesId && !item.OfficialRating) {
+			seriesRating = await loadSeriesRating(item);
+		}
+		return isRatingRestricted(item, current, seriesRating);
+	}, []);
+
+	const contextValue = useMemo(() => {
+		const isEnabled = !!config.pinHash;
+		return {
+			config,
+			isEnabled,
+			isSettingsLocked: isEnabled && config.lockSettings,
+			isUserLocked: (userId) => isEnabled && config.lockedUserIds.includes(userId),
+			isLibraryLocked: (libraryId) => isEnabled && config.lockedLibraryIds.includes(libraryId),
+			isItemRestricted,
+			pinPrompt,
+			requestPin,
+			submitPin,
+			cancelPin,
+			setPin,
+			removePin,
+			lock,
+			updateConfig: applyConfig,
+			toggleLockedUser,
+			toggleLockedLibrary
+		};
+	}, [config, pinPrompt, requestPin, submitPin, cancelPin, setPin, removePin, lock, applyConfig, toggleLockedUser, toggleLockedLibrary, isItemRestricted]);
+
+	return (
+		<ParentalControlContext.Provider value={contextValue}>
+			{children}
+		</ParentalControlContext.Provider>
+	);
+};
+
+export const useParentalControls = () => {
+	const context = useContext(ParentalControlContext);
+	if (!context) {
+		throw new Error('useParentalControls must be used within ParentalControlProvider');
+	}
+	return context;
+};
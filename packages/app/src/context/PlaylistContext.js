@@ -0,0 +1,39 @@
+import {createContext, useContext, useState, useCallback, useMemo} from 'react';
+
+const PlaylistContext = createContext(null);
+
+/**
+ * Holds the item the add-to-playlist dialog is open for, so any screen or card
+ * can open the one dialog App renders.
+ */
+export const PlaylistProvider = ({children}) => {
+	const [playlistTarget, setPlaylistTarget] = useState(null);
+
+	const openAddToPlaylist = useCallback((item) => {
+		setPlaylistTarget(item);
+	}, []);
+
+	const closeAddToPlaylist = useCallback(() => {
+		setPlaylistTarget(null);
+	}, []);
+
+	const contextValue = useMemo(() => ({
+		playlistTarget,
+		openAddToPlaylist,
+		closeAddToPlaylist
+	}), [playlistTarget, openAddToPlaylist, closeAddToPlaylist]);
+
+	return (
+		<PlaylistContext.Provider value={contextValue}>
+			{children}
+		</PlaylistContext.Provider>
+	);
+};
+
+export const usePlaylists = () => {
+	const context = useContext(PlaylistContext);
+	if (!context) {
+		throw new Error('usePlaylists must be used within PlaylistProvider');
+	}
+	return context;
+};
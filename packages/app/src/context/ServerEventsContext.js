@@ -0,0 +1,122 @@
+/**
+ * Server Events Context
+ * Keeps one persistent socket open per connected server and dispatches
+ * server-pushed messages (LibraryChanged, UserDataChanged, RefreshProgress, ...)
+ * to subscribed views.
+ */
+
+import {createContext, useContext, useEffect, useCallback, useMemo, useRef} from 'react';
+import {useAuth} from './AuthContext';
+import * as serverSocket from '../services/serverSocket';
+import {invalidateCache} from '../services/responseCache';
+
+const ServerEventsContext = createContext(null);
+
+const normalizeUrl = (url) => (url || '').replace(/\/+$/, '').toLowerCase();
+
+// Cached responses a pushed change makes out of date
+const CACHE_INVALIDATIONS = {
+	LibraryChanged: ['views', 'latest', 'items'],
+	UserDataChanged: ['resume', 'latest', 'items']
+};
+
+export const ServerEventsProvider = ({children}) => {
+	const {isAuthenticated, servers, serverUrl, accessToken, user} = useAuth();
+
+	// MessageType -> Set of handlers
+	const handlersRef = useRef({});
+
+	// One socket per server; the signed-in user's session is preferred for the active server
+	useEffect(() => {
+		if (!isAuthenticated) {
+			serverSocket.disconnectAll();
+			return;
+		}
+
+		const wanted = {};
+		if (serverUrl && accessToken) {
+			wanted[normalizeUrl(serverUrl)] = {serverUrl, accessToken, serverId: null};
+		}
+		(servers || []).forEach(server => {
+			const key = normalizeUrl(server.url);
+			if (!server.url || !server.accessToken) return;
+			if (wanted[key]) {
+				if (!wanted[key].serverId) wanted[key].serverId = server.serverId;
+				return;
+			}
+			wanted[key] = {serverUrl: server.url, accessToken: server.accessToken, serverId: server.serverId};
+		});
+
+		serverSocket.getConnectedServers().forEach(url => {
+			if (!wanted[normalizeUrl(url)]) serverSocket.disconnectServer(url);
+		});
+		Object.keys(wanted).forEach(key => serverSocket.connectServer(wanted[key]));
+	}, [isAuthenticated, servers, serverUrl, accessToken, user]);
+
+	useEffect(() => () => serverSocket.disconnectAll(), []);
+
+	useEffect(() => serverSocket.addMessageListener((message, info) => {
+		// Before any view refetches, so it doesn't get the old response back
+		const staleCategories = CACHE_INVALIDATIONS[message.MessageType];
+		if (staleCategories) invalidateCache(info.serverUrl, staleCategories);
+
+		const handlers = handlersRef.current[message.MessageType];
+		if (!handlers || handlers.size === 0) return;
+		const meta = {...info, messageType: message.MessageType};
+		Array.from(handlers).forEach(handler => {
+			try {
+				handler(message.Data, meta);
+			} catch (e) {
+				console.warn('[ServerEvents] Handler error:', e);
+			}
+		});
+	}), []);
+
+	/**
+	 * Subscribe to one or more message types
+	 * @param {string|Array<string>} types - MessageType(s) to receive
+	 * @param {Function} handler - (data, {serverId, serverUrl, messageType}) => void
+	 * @returns {Function} Unsubscribe function
+	 */
+	const subscribe = useCallback((types, handler) => {
+		const list = Array.isArray(types) ? types : [types];
+		list.forEach(type => {
+			if (!handlersRef.current[type]) handlersRef.current[type] = new Set();
+			handlersRef.current[type].add(handler);
+		});
+		return () => {
+			list.forEach(type => handlersRef.current[type]?.delete(handler));
+		};
+	}, []);
+
+	const contextValue = useMemo(() => ({subscribe}), [subscribe]);
+
+	return (
+		<ServerEventsContext.Provider value={contextValue}>
+			{children}
+		</ServerEventsContext.Provider>
+	);
+};
+
+export const useServerEvents = () => {
+	const context = useContext(ServerEventsContext);
+	if (!context) {
+		throw new Error('useServerEvents must be used within ServerEventsProvider');
+	}
+	return context;
+};
+
+/**
+ * Run a handler whenever the server pushes one of the given message types.
+ * The latest handler is always called, so it does not need to be memoized.
+ * @param {string|Array<string>} types - MessageType(s) to receive
+ * @param {Function} handler - (data, {serverId, serverUrl, messageType}) => void
+ */
+export const useServerEvent = (types, handler) => {
+	const {subscribe} = useServerEvents();
+	const handlerRef = useRef(handler);
+	handlerRef.current = handler;
+	const typesKey = Array.isArray(types) ? types.join(',') : types;
+
+	useEffect(() => subscribe(typesKey.split(','), (data, meta) => handlerRef.current(data, meta)), [subscribe, typesKey]);
+};
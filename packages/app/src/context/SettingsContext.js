@@ -14,6 +14,8 @@ const defaultSettings = {
 	preferTranscode: false,
 	forceDirectPlay: false,
 	maxBitrate: 0,
+	autoQuality: true,
+	showPlaybackStats: false,
 	audioLanguage: '',
 	subtitleLanguage: '',
 	subtitleMode: 'default',
@@ -27,11 +29,22 @@ const defaultSettings = {
 	subtitleShadowOpacity: 100,
 	subtitleShadowBlur: 0.1,
 	subtitlePositionAbsolute: 90,
+	subtitleForceStyle: false,
+	secondarySubtitlePosition: 'top',
+	secondarySubtitleSize: 'small',
+	secondarySubtitleColor: '#ffff00',
 	seekStep: 10,
-	skipIntro: true,
-	skipCredits: false,
+	introSegmentAction: 'ask',
+	recapSegmentAction: 'ask',
+	previewSegmentAction: 'ask',
+	commercialSegmentAction: 'ask',
+	outroSegmentAction: 'ask',
+	recordingPrePadding: 'server',
+	recordingPostPadding: 'server',
+	reminderLeadMinutes: 5,
 	autoPlay: true,
 	theme: 'dark',
+	language: '',
 	homeRows: DEFAULT_HOME_ROWS,
 	showShuffleButton: true,
 	shuffleContentType: 'both',
@@ -179,6 +192,18 @@ const pushTvProfile = (updated, credsRef) => {
 	);
 };
 
+// The old skipIntro/skipCredits toggles became per-type segment actions
+const migrateSettings = (stored) => {
+	const {skipIntro, skipCredits, ...rest} = stored;
+	if (skipIntro === false && rest.introSegmentAction === undefined) {
+		rest.introSegmentAction = 'ignore';
+	}
+	if (skipCredits === true && rest.outroSegmentAction === undefined) {
+		rest.outroSegmentAction = 'skip';
+	}
+	return rest;
+};
+
 const SettingsContext = createContext(null);
 
 export function SettingsProvider({children}) {
@@ -189,7 +214,7 @@ export function SettingsProvider({children}) {
 	useEffect(() => {
 		getFromStorage('settings').then((stored) => {
 			if (stored) {
-				setSettings({...defaultSettings, ...stored});
+				setSettings({...defaultSettings, ...migrateSettings(stored)});
 			}
 			setLoaded(true);
 		});
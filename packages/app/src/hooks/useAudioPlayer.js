@@ -0,0 +1,59 @@
+import {useState, useEffect} from 'react';
+import {getAudioPlayer} from '../services/audioPlayer';
+import {MEDIA_KEYS} from '../utils/keys';
+
+/**
+ * Subscribe to the music player.
+ * @returns {{audioState: Object, audioPlayer: AudioPlayer}}
+ */
+export function useAudioPlayer() {
+	const audioPlayer = getAudioPlayer();
+	const [audioState, setAudioState] = useState(() => audioPlayer.getState());
+
+	useEffect(() => {
+		setAudioState(audioPlayer.getState());
+		return audioPlayer.subscribe(setAudioState);
+	}, [audioPlayer]);
+
+	return {audioState, audioPlayer};
+}
+
+/**
+ * Route the remote's media keys to the music player while `enabled`.
+ */
+export function useAudioMediaKeys(enabled) {
+	useEffect(() => {
+		if (!enabled) return;
+		const audioPlayer = getAudioPlayer();
+		const handleKeyDown = (e) => {
+			if (!audioPlayer.isActive()) return;
+			switch (e.keyCode) {
+				case MEDIA_KEYS.PLAY:
+					audioPlayer.play();
+					break;
+				case MEDIA_KEYS.PAUSE:
+					audioPlayer.pause();
+					break;
+				case MEDIA_KEYS.PLAY_PAUSE:
+					audioPlayer.togglePlayPause();
+					break;
+				case MEDIA_KEYS.FAST_FORWARD:
+					audioPlayer.next();
+					break;
+				case MEDIA_KEYS.REWIND:
+					audioPlayer.previous();
+					break;
+				case MEDIA_KEYS.STOP:
+					audioPlayer.stop();
+					break;
+				default:
+					return;
+			}
+			e.preventDefault();
+		};
+		window.addEventListener('keydown', handleKeyDown);
+		return () => window.removeEventListener('keydown', handleKeyDown);
+	}, [enabled]);
+}
+
+export default useAudioPlayer;
@@ -0,0 +1,106 @@
+import {getAdaptiveBitrate, stepDownBitrate, BITRATE_LADDER} from '../bandwidth';
+
+const CEILING = 60000000;
+
+const flushPromises = async () => {
+	for (let i = 0; i < 10; i++) await Promise.resolve();
+};
+
+// A body that hands over the given chunk sizes, then waits forever
+const streamingResponse = (chunks) => {
+	const reader = {
+		read: jest.fn(() => (chunks.length ?
+			Promise.resolve({done: false, value: new Uint8Array(chunks.shift())}) :
+			new Promise(() => {}))),
+		cancel: jest.fn(() => Promise.resolve())
+	};
+	return {response: {ok: true, body: {getReader: () => reader}}, reader};
+};
+
+describe('getAdaptiveBitrate', () => {
+	let serverCount = 0;
+	let serverUrl;
+
+	beforeEach(() => {
+		jest.useFakeTimers();
+		jest.spyOn(console, 'log').mockImplementation(() => {});
+		jest.spyOn(console, 'warn').mockImplementation(() => {});
+		// Estimates are cached per server, so each test measures a fresh one
+		serverUrl = `http://server-${++serverCount}`;
+	});
+
+	afterEach(() => {
+		jest.useRealTimers();
+		jest.restoreAllMocks();
+		delete global.fetch;
+	});
+
+	test('estimates from the bytes received when the test times out', async () => {
+		const {response, reader} = streamingResponse([6250000, 6250000]);
+		global.fetch = jest.fn(() => Promise.resolve(response));
+
+		const result = getAdaptiveBitrate(serverUrl, 'key', CEILING);
+		await flushPromises();
+		jest.advanceTimersByTime(10000);
+		await flushPromises();
+
+		// 12.5 MB in 10s is 10 Mbps; with headroom that is the 4 Mbps step
+		await expect(result).resolves.toBe(4000000);
+		expect(reader.cancel).toHaveBeenCalled();
+		expect(global.fetch).toHaveBeenCalledTimes(1);
+	});
+
+	test('falls back to a conservative step when nothing arrives before the timeout', async () => {
+		global.fetch = jest.fn(() => new Promise(() => {}));
+
+		const result = getAdaptiveBitrate(serverUrl, 'key', CEILING);
+		await flushPromises();
+		jest.advanceTimersByTime(10000);
+		await flushPromises();
+
+		const bitrate = await result;
+		expect(bitrate).toBeLessThan(CEILING);
+		expect(bitrate).toBeLessThanOrEqual(4000000);
+		expect(BITRATE_LADDER).toContain(bitrate);
+	});
+
+	test('falls back to a conservative step when the test fails', async () => {
+		global.fetch = jest.fn(() => Promise.resolve({ok: false, status: 404}));
+
+		const bitrate = await getAdaptiveBitrate(serverUrl, 'key', CEILING);
+
+		expect(bitrate).toBeLessThanOrEqual(4000000);
+	});
+
+	test('never goes above the ceiling on a fast link', async () => {
+		global.fetch = jest.fn(() => Promise.resolve({ok: true, arrayBuffer: () => Promise.resolve(new ArrayBuffer(3000000))}));
+
+		await expect(getAdaptiveBitrate(serverUrl, 'key', CEILING)).resolves.toBe(CEILING);
+	});
+
+	test('measures once per server while the estimate is fresh', async () => {
+		global.fetch = jest.fn(() => Promise.resolve({ok: true, arrayBuffer: () => Promise.resolve(new ArrayBuffer(3000000))}));
+
+		await Promise.all([getAdaptiveBitrate(serverUrl, 'key', CEILING), getAdaptiveBitrate(serverUrl, 'key', CEILING)]);
+		const calls = global.fetch.mock.calls.length;
+		await getAdaptiveBitrate(serverUrl, 'key', CEILING);
+
+		expect(global.fetch).toHaveBeenCalledTimes(calls);
+	});
+
+	test('stays at a stepped-down bitrate', async () => {
+		global.fetch = jest.fn(() => Promise.resolve({ok: true, arrayBuffer: () => Promise.resolve(new ArrayBuffer(3000000))}));
+		await getAdaptiveBitrate(serverUrl, 'key', CEILING);
+
+		expect(stepDownBitrate(serverUrl, CEILING)).toBe(40000000);
+		await expect(getAdaptiveBitrate(serverUrl, 'key', CEILING)).resolves.toBe(40000000);
+	});
+});
+
+describe('stepDownBitrate', () => {
+	test('returns null at the lowest step', () => {
+		jest.spyOn(console, 'log').mockImplementation(() => {});
+		expect(stepDownBitrate('http://lowest', BITRATE_LADDER[BITRATE_LADDER.length - 1])).toBeNull();
+		jest.restoreAllMocks();
+	});
+});
@@ -0,0 +1,289 @@
+import {TimeSync, SyncPlayEngine, GroupState} from '../syncPlay';
+
+// The engine only reaches these through its defaults, which the tests replace
+jest.mock('../jellyfinApi', () => ({}));
+jest.mock('../playback', () => ({getCurrentSession: () => null}));
+jest.mock('../serverSocket', () => ({}));
+
+const TICKS_PER_MS = 10000;
+
+const iso = (ms) => new Date(ms).toISOString();
+
+const flushPromises = async () => {
+	for (let i = 0; i < 10; i++) await Promise.resolve();
+};
+
+describe('TimeSync', () => {
+	test('derives the offset and round trip from one exchange', async () => {
+		let clock = 1000;
+		// 500ms ahead of the local clock, 20ms spent on the server, 100ms round trip
+		const getUtcTime = jest.fn(async () => {
+			clock += 100;
+			return {RequestReceptionTime: iso(1540), ResponseTransmissionTime: iso(1560)};
+		});
+		const timeSync = new TimeSync(getUtcTime, () => clock);
+
+		await timeSync.update();
+
+		expect(timeSync.getOffset()).toBe(500);
+		expect(timeSync.getRoundTrip()).toBe(80);
+		expect(timeSync.localToServer(2000)).toBe(2500);
+		expect(timeSync.serverToLocal(2500)).toBe(2000);
+	});
+
+	test('keeps the sample with the lowest round trip', async () => {
+		let clock = 0;
+		const responses = [
+			{rtt: 200, offset: 300},
+			{rtt: 40, offset: 250},
+			{rtt: 120, offset: 100}
+		];
+		const getUtcTime = jest.fn(async () => {
+			const {rtt, offset} = responses.shift();
+			const sent = clock;
+			clock += rtt;
+			const serverTime = sent + rtt / 2 + offset;
+			return {RequestReceptionTime: iso(serverTime), ResponseTransmissionTime: iso(serverTime)};
+		});
+		const timeSync = new TimeSync(getUtcTime, () => clock);
+
+		await timeSync.update();
+		await timeSync.update();
+		await timeSync.update();
+
+		expect(timeSync.getOffset()).toBe(250);
+		expect(timeSync.getRoundTrip()).toBe(40);
+	});
+
+	test('ignores responses without server times', async () => {
+		const timeSync = new TimeSync(async () => ({}), () => 0);
+
+		await timeSync.update();
+
+		expect(timeSync.getOffset()).toBe(0);
+	});
+});
+
+describe('SyncPlayEngine', () => {
+	let clock;
+	let api;
+	let socket;
+	let server;
+	let engine;
+
+	const createApi = () => ({
+		getUtcTime: jest.fn(async () => ({RequestReceptionTime: iso(clock), ResponseTransmissionTime: iso(clock)})),
+		getSyncPlayGroups: jest.fn(async () => []),
+		joinSyncPlayGroup: jest.fn(async () => {}),
+		leaveSyncPlayGroup: jest.fn(async () => {}),
+		syncPlayPause: jest.fn(async () => {}),
+		syncPlayUnpause: jest.fn(async () => {}),
+		syncPlaySeek: jest.fn(async () => {}),
+		syncPlayReady: jest.fn(async () => {}),
+		syncPlayBuffering: jest.fn(async () => {}),
+		syncPlayPing: jest.fn(async () => {}),
+		syncPlaySetNewQueue: jest.fn(async () => {})
+	});
+
+	const createPlayer = (positionTicks = 0) => ({
+		positionTicks,
+		playing: false,
+		getPositionTicks () { return this.positionTicks; },
+		isPlaying () { return this.playing; },
+		play: jest.fn(function () { this.playing = true; }),
+		pause: jest.fn(function () { this.playing = false; }),
+		seek: jest.fn(function (ticks) { this.positionTicks = ticks; })
+	});
+
+	const groupUpdate = (Type, Data) => socket.onMessage({MessageType: 'SyncPlayGroupUpdate', Data: {Type, Data}});
+	const command = (Command, when, PositionTicks) => socket.onMessage({
+		MessageType: 'SyncPlayCommand',
+		Data: {GroupId: 'group-1', Command, When: iso(when), PositionTicks}
+	});
+
+	const joinGroup = async (state = GroupState.Paused) => {
+		await engine.joinGroup('group-1');
+		groupUpdate('GroupJoined', {GroupId: 'group-1', GroupName: 'Movie night', State: state, Participants: ['alice']});
+		groupUpdate('PlayQueue', {PlayingItemIndex: 0, Playlist: [{ItemId: 'item-1', PlaylistItemId: 'pl-1'}]});
+	};
+
+	beforeEach(() => {
+		jest.useFakeTimers();
+		clock = 100000;
+		api = createApi();
+		server = {api, serverUrl: 'http://server-a', accessToken: 'token-a', userId: 'user-a', isCrossServer: false};
+		socket = null;
+		engine = new SyncPlayEngine({
+			resolveServer: () => server,
+			createSocket: jest.fn((serverUrl, accessToken, onMessage) => {
+				socket = {serverUrl, accessToken, onMessage, close: jest.fn()};
+				return socket;
+			}),
+			now: () => clock
+		});
+	});
+
+	afterEach(() => {
+		engine.detachPlayer();
+		engine.disconnect();
+		jest.useRealTimers();
+	});
+
+	test('joins a group and reports its state to subscribers', async () => {
+		const listener = jest.fn();
+		engine.subscribe(listener);
+
+		await joinGroup();
+
+		expect(api.joinSyncPlayGroup).toHaveBeenCalledWith('group-1');
+		expect(socket.serverUrl).toBe('http://server-a');
+		expect(socket.accessToken).toBe('token-a');
+		expect(engine.getState()).toMatchObject({
+			isInGroup: true,
+			groupId: 'group-1',
+			groupName: 'Movie night',
+			groupState: GroupState.Paused,
+			participants: ['alice'],
+			playingItemId: 'item-1'
+		});
+		expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({isInGroup: true, playingItemId: 'item-1'}));
+
+		groupUpdate('UserJoined', 'bob');
+		expect(engine.getState().participants).toEqual(['alice', 'bob']);
+
+		groupUpdate('GroupLeft');
+		expect(engine.getState().isInGroup).toBe(false);
+	});
+
+	test('syncs the clock with the server when connecting', async () => {
+		await engine.listGroups();
+		await flushPromises();
+
+		expect(api.getUtcTime).toHaveBeenCalled();
+	});
+
+	test('reports ready once a player for the group item is attached', async () => {
+		await joinGroup();
+		const player = createPlayer(5000 * TICKS_PER_MS);
+
+		engine.attachPlayer(player, 'item-1');
+
+		expect(player.pause).toHaveBeenCalled();
+		expect(api.syncPlayReady).toHaveBeenCalledWith(expect.objectContaining({
+			PositionTicks: 5000 * TICKS_PER_MS,
+			IsPlaying: false,
+			PlaylistItemId: 'pl-1'
+		}));
+	});
+
+	test('pauses and seeks on a pause command', async () => {
+		await joinGroup(GroupState.Playing);
+		const player = createPlayer(0);
+		player.playing = true;
+		engine.attachPlayer(player, 'item-1');
+
+		command('Pause', clock, 60000 * TICKS_PER_MS);
+
+		expect(player.pause).toHaveBeenCalled();
+		expect(player.seek).toHaveBeenCalledWith(60000 * TICKS_PER_MS);
+		expect(player.isPlaying()).toBe(false);
+	});
+
+	test('ignores a repeated command', async () => {
+		await joinGroup();
+		const player = createPlayer(0);
+		engine.attachPlayer(player, 'item-1');
+
+		command('Pause', clock, 1000 * TICKS_PER_MS);
+		command('Pause', clock, 1000 * TICKS_PER_MS);
+
+		expect(player.seek).toHaveBeenCalledTimes(1);
+	});
+
+	test('seeks on a seek command and reports ready afterwards', async () => {
+		await joinGroup();
+		const player = createPlayer(0);
+		engine.attachPlayer(player, 'item-1');
+		api.syncPlayReady.mockClear();
+
+		command('Seek', clock, 90000 * TICKS_PER_MS);
+		await flushPromises();
+
+		expect(player.pause).toHaveBeenCalled();
+		expect(player.seek).toHaveBeenCalledWith(90000 * TICKS_PER_MS);
+		expect(api.syncPlayReady).toHaveBeenCalledWith(expect.objectContaining({PositionTicks: 90000 * TICKS_PER_MS}));
+	});
+
+	test('waits until the scheduled time to unpause', async () => {
+		await joinGroup();
+		const player = createPlayer(10000 * TICKS_PER_MS);
+		engine.attachPlayer(player, 'item-1');
+
+		command('Unpause', clock + 2000, 10000 * TICKS_PER_MS);
+		expect(player.play).not.toHaveBeenCalled();
+
+		clock += 2000;
+		jest.advanceTimersByTime(2000);
+
+		expect(player.play).toHaveBeenCalled();
+		expect(player.seek).not.toHaveBeenCalled();
+	});
+
+	test('handles a player seek that rejects', async () => {
+		const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+		await joinGroup();
+		const player = createPlayer(0);
+		player.seek = jest.fn(() => Promise.reject(new Error('seek failed')));
+		engine.attachPlayer(player, 'item-1');
+
+		command('Unpause', clock, 10000 * TICKS_PER_MS);
+		command('Pause', clock, 20000 * TICKS_PER_MS);
+		await flushPromises();
+
+		expect(player.seek).toHaveBeenCalledTimes(2);
+		expect(warn).toHaveBeenCalledTimes(2);
+		warn.mockRestore();
+	});
+
+	test('sends one group seek for a burst of seek requests', async () => {
+		await joinGroup();
+
+		expect(engine.requestSeek(1000 * TICKS_PER_MS)).toBe(true);
+		engine.requestSeek(2000 * TICKS_PER_MS);
+		engine.requestSeek(3000 * TICKS_PER_MS);
+		jest.advanceTimersByTime(1000);
+
+		expect(api.syncPlaySeek).toHaveBeenCalledTimes(1);
+		expect(api.syncPlaySeek).toHaveBeenCalledWith(3000 * TICKS_PER_MS);
+	});
+
+	test('leaves pause and seek to the player outside a group', () => {
+		expect(engine.requestPause()).toBe(false);
+		expect(engine.requestSeek(1000)).toBe(false);
+		expect(api.syncPlayPause).not.toHaveBeenCalled();
+	});
+
+	test('reconnects when the session changes', async () => {
+		await joinGroup();
+		const firstSocket = socket;
+
+		server = {...server, api: createApi(), accessToken: 'token-b', userId: 'user-b'};
+		await engine.listGroups();
+
+		expect(firstSocket.close).toHaveBeenCalled();
+		expect(socket).not.toBe(firstSocket);
+		expect(socket.accessToken).toBe('token-b');
+		expect(engine.getState().isInGroup).toBe(false);
+		expect(server.api.getSyncPlayGroups).toHaveBeenCalled();
+	});
+
+	test('keeps the connection while the session is unchanged', async () => {
+		await engine.listGroups();
+		const firstSocket = socket;
+
+		await engine.listGroups();
+
+		expect(socket).toBe(firstSocket);
+		expect(firstSocket.close).not.toHaveBeenCalled();
+	});
+});
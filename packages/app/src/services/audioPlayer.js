@@ -0,0 +1,564 @@
+/**
+ * Audio Player
+ * Music playback engine driven by an AudioQueue. Plays through HTML5 audio
+ * elements and keeps a second element loaded with the next track so it can
+ * start the moment the current one ends.
+ */
+
+import * as jellyfinApi from './jellyfinApi';
+import * as playback from './playback';
+import {getApiForItem} from './connectionPool';
+import {AudioQueue, RepeatMode} from './audioQueue';
+
+const TICKS_PER_SECOND = 10000000;
+const PREFETCH_BEFORE_END_SECONDS = 30;
+const RESTART_THRESHOLD_SECONDS = 3;
+const PROGRESS_INTERVAL = 10000;
+const INSTANT_MIX_LIMIT = 100;
+const ARTIST_TRACK_LIMIT = 200;
+
+const SERVER_FIELDS = ['_serverUrl', '_serverAccessToken', '_serverUserId', '_serverName', '_serverId'];
+
+// Tracks fetched for a cross-server item belong to that item's server
+const tagWithServer = (items, source) => {
+	if (!source?._serverUrl) return items;
+	return items.map(item => {
+		const tagged = {...item};
+		SERVER_FIELDS.forEach(field => {
+			tagged[field] = source[field];
+		});
+		return tagged;
+	});
+};
+
+const isAudioItem = (item) => item?.MediaType === 'Audio' || item?.Type === 'Audio';
+
+/**
+ * Resolve the playable tracks for an item
+ * @param {Object} item - Audio, MusicAlbum, Playlist, MusicArtist or any item with an instant mix
+ * @returns {Promise<Array>} Audio tracks in play order
+ */
+export const fetchTracks = async (item) => {
+	if (!item) return [];
+	if (isAudioItem(item)) return [item];
+
+	const api = getApiForItem(item) || jellyfinApi.api;
+	let result;
+	switch (item.Type) {
+		case 'MusicAlbum':
+			result = await api.getAlbumTracks(item.Id);
+			break;
+		case 'Playlist':
+			result = await api.getPlaylistItems(item.Id);
+			break;
+		case 'MusicArtist':
+			result = await api.getArtistItems(item.Id, ARTIST_TRACK_LIMIT);
+			break;
+		default:
+			result = await api.getInstantMix(item.Id, INSTANT_MIX_LIMIT);
+	}
+	return tagWithServer((result?.Items || []).filter(isAudioItem), item);
+};
+
+/**
+ * Build an instant mix (similar tracks) seeded from any music item
+ */
+export const fetchInstantMix = async (item) => {
+	const api = getApiForItem(item) || jellyfinApi.api;
+	const result = await api.getInstantMix(item.Id, INSTANT_MIX_LIMIT);
+	return tagWithServer((result?.Items || []).filter(isAudioItem), item);
+};
+
+/**
+ * Fetch a track's lyrics (Jellyfin 10.9+)
+ * @param {Object} track - Audio item
+ * @returns {Promise<Object|null>} {lines: [{text, startTicks}], synced}, or null when the track has none
+ */
+export const fetchLyrics = async (track) => {
+	const api = getApiForItem(track) || jellyfinApi.api;
+	let result;
+	try {
+		result = await api.getLyrics(track.Id);
+	} catch (err) {
+		// 404 means no lyrics; older servers don't have the endpoint at all
+		if (err.status === 404) return null;
+		throw err;
+	}
+
+	const entries = result?.Lyrics || [];
+	const synced = entries.length > 0 && entries.every(entry => typeof entry.Start === 'number');
+	let lines;
+	if (synced) {
+		lines = entries
+			.map(entry => ({text: entry.Text || '', startTicks: entry.Start}))
+			.sort((a, b) => a.startTicks - b.startTicks);
+	} else {
+		// Plain lyrics can arrive as a single block
+		lines = entries
+			.flatMap(entry => (entry.Text || '').split(/\r?\n/))
+			.map(text => ({text, startTicks: null}));
+	}
+
+	if (!lines.some(line => line.text.trim())) return null;
+	return {lines, synced};
+};
+
+const startElement = (element) => {
+	const promise = element.play();
+	if (promise && promise.catch) {
+		promise.catch(e => console.warn('[AudioPlayer] play() rejected:', e.message));
+	}
+};
+
+const resetElement = (element) => {
+	element.pause();
+	element.removeAttribute('src');
+	element.load();
+};
+
+export class AudioPlayer {
+	constructor() {
+		this.queue = new AudioQueue();
+		this.listeners = new Set();
+		this.active = null;
+		this.standby = null;
+		this.loadToken = 0;
+		this.hasSession = false;
+		this.reportChain = Promise.resolve();
+		this.currentInfo = null;
+		this.retriedTranscode = false;
+		this.prefetched = null;
+		this.prefetchingId = null;
+		this.prefetchFailedId = null;
+		// Set while the queue advances because a track ended, read by handleQueueChange
+		this.pendingTransition = null;
+		this.state = {
+			item: null,
+			isPlaying: false,
+			isLoading: false,
+			positionTicks: 0,
+			durationTicks: 0,
+			error: null
+		};
+		this.queue.subscribe(() => this.handleQueueChange());
+	}
+
+	ensureElements() {
+		if (this.active) return;
+		this.active = this.createElement();
+		this.standby = this.createElement();
+	}
+
+	createElement() {
+		const element = document.createElement('audio');
+		element.preload = 'auto';
+		// Only the active element drives player state; the standby one is just buffering
+		const whenActive = (handler) => (event) => {
+			if (event.target === this.active) handler(event);
+		};
+		element.addEventListener('timeupdate', whenActive(() => this.handleTimeUpdate()));
+		element.addEventListener('playing', whenActive(() => this.setState({isPlaying: true, isLoading: false})));
+		element.addEventListener('pause', whenActive(() => this.setState({isPlaying: false})));
+		element.addEventListener('waiting', whenActive(() => this.setState({isLoading: true})));
+		element.addEventListener('durationchange', whenActive(() => {
+			if (isFinite(element.duration) && element.duration > 0) {
+				this.setState({durationTicks: Math.round(element.duration * TICKS_PER_SECOND)});
+			}
+		}));
+		element.addEventListener('ended', whenActive(() => this.handleEnded()));
+		element.addEventListener('error', whenActive(() => this.handleError()));
+		return element;
+	}
+
+	// === State ===
+
+	getState() {
+		const queueState = this.queue.getState();
+		return {
+			...this.state,
+			queue: queueState.items,
+			currentIndex: queueState.currentIndex,
+			shuffle: queueState.shuffle,
+			repeatMode: queueState.repeatMode,
+			hasNext: this.queue.hasNext(),
+			hasPrevious: this.queue.hasPrevious()
+		};
+	}
+
+	setState(partial) {
+		this.state = {...this.state, ...partial};
+		this.emit();
+	}
+
+	subscribe(listener) {
+		this.listeners.add(listener);
+		return () => this.listeners.delete(listener);
+	}
+
+	emit() {
+		const state = this.getState();
+		this.listeners.forEach(listener => {
+			try {
+				listener(state);
+			} catch (e) {
+				console.warn('[AudioPlayer] Listener error:', e);
+			}
+		});
+	}
+
+	isActive() {
+		return !!this.state.item;
+	}
+
+	getPositionTicks() {
+		if (!this.active || !this.state.item) return 0;
+		return Math.round((this.active.currentTime || 0) * TICKS_PER_SECOND);
+	}
+
+	// === Session reporting ===
+
+	// Reports run one at a time so a stop never clears the session of the track after it
+	queueReport(fn) {
+		this.reportChain = this.reportChain.then(fn).catch(e => {
+			console.warn('[AudioPlayer] Playback report failed:', e);
+		});
+		return this.reportChain;
+	}
+
+	endSession(positionTicks) {
+		if (!this.hasSession) return;
+		this.hasSession = false;
+		this.queueReport(() => playback.reportStop(positionTicks));
+	}
+
+	beginSession(info, token) {
+		this.queueReport(() => {
+			if (token !== this.loadToken) return;
+			this.hasSession = true;
+			playback.activateSession(info.session);
+			playback.startProgressReporting(
+				() => this.getPositionTicks(),
+				PROGRESS_INTERVAL,
+				() => ({isPaused: !this.state.isPlaying})
+			);
+			return playback.reportStart(0);
+		});
+	}
+
+	// === Loading ===
+
+	async playCurrent(options = {}) {
+		const entry = this.queue.getCurrent();
+		if (!entry) {
+			this.halt();
+			return;
+		}
+		this.ensureElements();
+
+		const token = ++this.loadToken;
+		this.endSession(options.endedTicks != null ? options.endedTicks : this.getPositionTicks());
+		this.retriedTranscode = false;
+		this.setState({
+			item: entry,
+			isLoading: true,
+			isPlaying: false,
+			positionTicks: 0,
+			durationTicks: entry.RunTimeTicks || 0,
+			error: null
+		});
+
+		const prefetched = this.prefetched?.queueId === entry._queueId ? this.prefetched : null;
+		this.prefetched = null;
+		this.prefetchingId = null;
+		this.prefetchFailedId = null;
+
+		if (prefetched) {
+			// Gapless: the next track is already buffered on the standby element
+			const previous = this.active;
+			this.active = this.standby;
+			this.standby = previous;
+			resetElement(this.standby);
+			startElement(this.active);
+			this.currentInfo = prefetched.info;
+			this.beginSession(prefetched.info, token);
+			return;
+		}
+
+		resetElement(this.active);
+		resetElement(this.standby);
+		await this.loadInto(entry, token, options.playbackOptions);
+	}
+
+	async loadInto(entry, token, playbackOptions = {}) {
+		try {
+			const info = await playback.getPlaybackInfo(entry.Id, {
+				...playbackOptions,
+				item: entry,
+				deferSession: true
+			});
+			if (token !== this.loadToken) return;
+			this.currentInfo = info;
+			this.active.src = info.url;
+			startElement(this.active);
+			this.beginSession(info, token);
+		} catch (e) {
+			if (token !== this.loadToken) return;
+			console.error('[AudioPlayer] Failed to load track:', e);
+			this.setState({isLoading: false, error: 'Unable to play this track'});
+			this.skipAfterError();
+		}
+	}
+
+	handleError() {
+		const entry = this.state.item;
+		if (!entry) return;
+		const token = this.loadToken;
+		if (!this.retriedTranscode && this.currentInfo?.playMethod !== playback.PlayMethod.Transcode) {
+			console.warn('[AudioPlayer] Playback error, retrying with transcoding');
+			this.retriedTranscode = true;
+			this.endSession(this.getPositionTicks());
+			resetElement(this.active);
+			this.loadInto(entry, token, {enableDirectPlay: false, enableDirectStream: false});
+			return;
+		}
+		console.error('[AudioPlayer] Playback error:', this.active.error);
+		this.setState({isLoading: false, isPlaying: false, error: 'Unable to play this track'});
+		this.skipAfterError();
+	}
+
+	skipAfterError() {
+		if (this.queue.hasNext()) {
+			this.queue.advance(false);
+		}
+	}
+
+	// === Prefetch ===
+
+	handleTimeUpdate() {
+		this.state = {...this.state, positionTicks: this.getPositionTicks()};
+		this.emit();
+
+		const element = this.active;
+		if (!isFinite(element.duration) || element.duration - element.currentTime > PREFETCH_BEFORE_END_SECONDS) return;
+		this.prefetchNext();
+	}
+
+	prefetchNext() {
+		if (this.prefetched || this.prefetchingId) return;
+		const next = this.queue.getNext(true);
+		if (!next || next._queueId === this.state.item?._queueId || next._queueId === this.prefetchFailedId) return;
+
+		const queueId = next._queueId;
+		this.prefetchingId = queueId;
+		playback.getPlaybackInfo(next.Id, {item: next, deferSession: true}).then(info => {
+			if (this.prefetchingId !== queueId) return;
+			this.prefetchingId = null;
+			this.standby.src = info.url;
+			this.standby.load();
+			this.prefetched = {queueId, info};
+			console.log('[AudioPlayer] Prefetched next track:', next.Name);
+		}).catch(e => {
+			if (this.prefetchingId !== queueId) return;
+			console.warn('[AudioPlayer] Prefetch failed:', e);
+			this.prefetchingId = null;
+			this.prefetchFailedId = queueId;
+		});
+	}
+
+	// Queue edits can change what comes next; drop a prefetch that no longer matches
+	discardStalePrefetch() {
+		const nextId = this.queue.getNext(true)?._queueId;
+		if (this.prefetchingId && this.prefetchingId !== nextId) {
+			this.prefetchingId = null;
+		}
+		if (this.prefetched && this.prefetched.queueId !== nextId) {
+			this.prefetched = null;
+			if (this.standby) resetElement(this.standby);
+		}
+	}
+
+	// === Transitions ===
+
+	handleQueueChange() {
+		const current = this.queue.getCurrent();
+		if ((current?._queueId || null) !== (this.state.item?._queueId || null)) {
+			if (current) {
+				this.playCurrent(this.pendingTransition || {});
+			} else {
+				this.halt();
+			}
+		}
+		this.pendingTransition = null;
+		this.discardStalePrefetch();
+		this.emit();
+	}
+
+	handleEnded() {
+		const endedTicks = this.state.durationTicks || this.getPositionTicks();
+		const next = this.queue.getNext(true);
+		if (!next) {
+			this.stop();
+			return;
+		}
+		if (next._queueId === this.state.item?._queueId) {
+			// RepeatOne
+			this.active.currentTime = 0;
+			startElement(this.active);
+			return;
+		}
+		this.pendingTransition = {endedTicks};
+		this.queue.advance(true);
+	}
+
+	// Stop the current track but keep the queue
+	halt() {
+		this.loadToken++;
+		this.endSession(this.getPositionTicks());
+		this.prefetched = null;
+		this.prefetchingId = null;
+		this.currentInfo = null;
+		if (this.active) {
+			resetElement(this.active);
+			resetElement(this.standby);
+		}
+		this.setState({item: null, isPlaying: false, isLoading: false, positionTicks: 0, durationTicks: 0});
+	}
+
+	// === Controls ===
+
+	/**
+	 * Replace the queue and start playing
+	 * @param {Array} items - Tracks
+	 * @param {number} [startIndex] - Track to start on
+	 * @param {Object} [options]
+	 * @param {boolean} [options.shuffle] - Shuffle the queue
+	 */
+	playItems(items, startIndex = 0, options = {}) {
+		const tracks = (items || []).filter(isAudioItem);
+		if (!tracks.length) return;
+		const start = Math.max(0, tracks.findIndex(track => track.Id === items[startIndex]?.Id));
+		this.queue.setQueue(tracks, start, !!options.shuffle);
+	}
+
+	/**
+	 * Play an album, playlist, artist or track, replacing the queue
+	 */
+	async playItem(item, options = {}) {
+		const tracks = await fetchTracks(item);
+		const startIndex = options.startItemId ? Math.max(0, tracks.findIndex(t => t.Id === options.startItemId)) : 0;
+		this.playItems(tracks, startIndex, options);
+		return tracks.length > 0;
+	}
+
+	async playInstantMix(item) {
+		const tracks = await fetchInstantMix(item);
+		this.playItems(tracks, 0);
+		return tracks.length > 0;
+	}
+
+	/**
+	 * Queue an item's tracks right after the current track
+	 */
+	async playNext(item) {
+		const tracks = Array.isArray(item) ? item : await fetchTracks(item);
+		if (tracks.length) this.queue.playNext(tracks);
+		return tracks.length > 0;
+	}
+
+	/**
+	 * Queue an item's tracks at the end of the queue
+	 */
+	async addToQueue(item) {
+		const tracks = Array.isArray(item) ? item : await fetchTracks(item);
+		if (tracks.length) this.queue.addToQueue(tracks);
+		return tracks.length > 0;
+	}
+
+	play() {
+		if (!this.state.item || !this.active) return;
+		startElement(this.active);
+	}
+
+	pause() {
+		if (this.active) this.active.pause();
+	}
+
+	togglePlayPause() {
+		if (this.state.isPlaying) this.pause();
+		else this.play();
+	}
+
+	seek(positionTicks) {
+		if (!this.active || !this.state.item) return;
+		this.active.currentTime = Math.max(0, positionTicks / TICKS_PER_SECOND);
+		this.setState({positionTicks: this.getPositionTicks()});
+	}
+
+	seekBy(seconds) {
+		this.seek(this.getPositionTicks() + seconds * TICKS_PER_SECOND);
+	}
+
+	next() {
+		this.queue.advance(false);
+	}
+
+	previous() {
+		if (this.active && this.active.currentTime > RESTART_THRESHOLD_SECONDS) {
+			this.seek(0);
+			return;
+		}
+		if (!this.queue.previous()) this.seek(0);
+	}
+
+	jumpTo(index) {
+		if (index === this.queue.currentIndex) {
+			this.seek(0);
+			this.play();
+			return;
+		}
+		this.queue.jumpTo(index);
+	}
+
+	moveItem(fromIndex, toIndex) {
+		this.queue.moveItem(fromIndex, toIndex);
+	}
+
+	removeItem(index) {
+		this.queue.removeItem(index);
+	}
+
+	toggleShuffle() {
+		this.queue.toggleShuffle();
+	}
+
+	cycleRepeatMode() {
+		this.queue.cycleRepeatMode();
+	}
+
+	/**
+	 * Stop playback and clear the queue
+	 */
+	stop() {
+		this.halt();
+		this.queue.clear();
+	}
+}
+
+let audioPlayerInstance = null;
+
+export const getAudioPlayer = () => {
+	if (!audioPlayerInstance) {
+		audioPlayerInstance = new AudioPlayer();
+	}
+	return audioPlayerInstance;
+};
+
+export {RepeatMode};
+
+export default {
+	getAudioPlayer,
+	fetchTracks,
+	fetchInstantMix,
+	fetchLyrics,
+	RepeatMode
+};
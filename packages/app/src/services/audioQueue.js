@@ -0,0 +1,250 @@
+/**
+ * Audio Queue
+ * Play queue for the music player: ordering, shuffle and repeat.
+ * Holds no media elements, so it can be driven and inspected on its own.
+ */
+
+export const RepeatMode = {
+	None: 'RepeatNone',
+	All: 'RepeatAll',
+	One: 'RepeatOne'
+};
+
+const REPEAT_CYCLE = [RepeatMode.None, RepeatMode.All, RepeatMode.One];
+
+// Fisher-Yates shuffle
+const shuffleArray = (items) => {
+	const shuffled = [...items];
+	for (let i = shuffled.length - 1; i > 0; i--) {
+		const j = Math.floor(Math.random() * (i + 1));
+		[shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+	}
+	return shuffled;
+};
+
+export class AudioQueue {
+	constructor() {
+		this.nextQueueId = 1;
+		this.listeners = new Set();
+		this.items = [];
+		// Unshuffled order, kept while shuffle is on so it can be restored
+		this.originalItems = null;
+		this.currentIndex = -1;
+		this.repeatMode = RepeatMode.None;
+	}
+
+	// The same track can be queued twice, so entries get their own id
+	wrap(items) {
+		return items.map(item => ({...item, _queueId: this.nextQueueId++}));
+	}
+
+	getState() {
+		return {
+			items: this.items,
+			currentIndex: this.currentIndex,
+			currentItem: this.getCurrent(),
+			shuffle: !!this.originalItems,
+			repeatMode: this.repeatMode
+		};
+	}
+
+	subscribe(listener) {
+		this.listeners.add(listener);
+		return () => this.listeners.delete(listener);
+	}
+
+	emit() {
+		const state = this.getState();
+		this.listeners.forEach(listener => listener(state));
+	}
+
+	getCurrent() {
+		return this.items[this.currentIndex] || null;
+	}
+
+	/**
+	 * Replace the queue
+	 * @param {Array} items - Tracks in play order
+	 * @param {number} [startIndex] - Track to start on
+	 * @param {boolean} [shuffle] - Shuffle the queue, starting on the chosen track
+	 */
+	setQueue(items, startIndex = 0, shuffle = false) {
+		const wrapped = this.wrap(items);
+		const start = Math.max(0, Math.min(startIndex, wrapped.length - 1));
+		if (shuffle && wrapped.length > 1) {
+			const first = wrapped[start];
+			this.originalItems = wrapped;
+			this.items = [first, ...shuffleArray(wrapped.filter(entry => entry !== first))];
+			this.currentIndex = 0;
+		} else {
+			this.originalItems = null;
+			this.items = wrapped;
+			this.currentIndex = wrapped.length ? start : -1;
+		}
+		this.emit();
+	}
+
+	clear() {
+		this.items = [];
+		this.originalItems = null;
+		this.currentIndex = -1;
+		this.emit();
+	}
+
+	/**
+	 * Insert tracks right after the current one
+	 */
+	playNext(items) {
+		const wrapped = this.wrap(items);
+		if (this.originalItems) {
+			const current = this.getCurrent();
+			const originalIndex = current ? this.originalItems.indexOf(current) : -1;
+			this.originalItems.splice(originalIndex + 1, 0, ...wrapped);
+		}
+		this.items.splice(this.currentIndex + 1, 0, ...wrapped);
+		if (this.currentIndex < 0) this.currentIndex = 0;
+		this.items = [...this.items];
+		this.emit();
+	}
+
+	/**
+	 * Append tracks to the end of the queue
+	 */
+	addToQueue(items) {
+		const wrapped = this.wrap(items);
+		if (this.originalItems) {
+			this.originalItems = [...this.originalItems, ...wrapped];
+		}
+		this.items = [...this.items, ...wrapped];
+		if (this.currentIndex < 0) this.currentIndex = 0;
+		this.emit();
+	}
+
+	/**
+	 * Move a queue entry, keeping the current track current
+	 */
+	moveItem(fromIndex, toIndex) {
+		if (fromIndex === toIndex || fromIndex < 0 || toIndex < 0 ||
+			fromIndex >= this.items.length || toIndex >= this.items.length) return;
+		const current = this.getCurrent();
+		const items = [...this.items];
+		const [moved] = items.splice(fromIndex, 1);
+		items.splice(toIndex, 0, moved);
+		this.items = items;
+		this.currentIndex = items.indexOf(current);
+		this.emit();
+	}
+
+	/**
+	 * Remove a queue entry. Removing the current track makes the following one current.
+	 * @returns {boolean} True if the current track changed
+	 */
+	removeItem(index) {
+		if (index < 0 || index >= this.items.length) return false;
+		const removed = this.items[index];
+		if (this.originalItems) {
+			this.originalItems = this.originalItems.filter(entry => entry !== removed);
+		}
+		this.items = this.items.filter((_, i) => i !== index);
+
+		let currentChanged = false;
+		if (index < this.currentIndex) {
+			this.currentIndex--;
+		} else if (index === this.currentIndex) {
+			currentChanged = true;
+			if (this.currentIndex >= this.items.length) {
+				this.currentIndex = this.repeatMode === RepeatMode.All && this.items.length ? 0 : -1;
+			}
+		}
+		if (!this.items.length) {
+			this.originalItems = null;
+			this.currentIndex = -1;
+		}
+		this.emit();
+		return currentChanged;
+	}
+
+	jumpTo(index) {
+		if (index < 0 || index >= this.items.length) return null;
+		this.currentIndex = index;
+		this.emit();
+		return this.getCurrent();
+	}
+
+	/**
+	 * Index of the track that follows the current one
+	 * @param {boolean} [auto] - Track ended on its own (RepeatOne replays it)
+	 * @returns {number} -1 at the end of the queue
+	 */
+	getNextIndex(auto = false) {
+		if (this.currentIndex < 0) return -1;
+		if (auto && this.repeatMode === RepeatMode.One) return this.currentIndex;
+		if (this.currentIndex + 1 < this.items.length) return this.currentIndex + 1;
+		return this.repeatMode === RepeatMode.All && this.items.length ? 0 : -1;
+	}
+
+	getNext(auto = false) {
+		const index = this.getNextIndex(auto);
+		return index >= 0 ? this.items[index] : null;
+	}
+
+	/**
+	 * Move to the next track
+	 * @returns {Object|null} The new current track, or null at the end of the queue
+	 */
+	advance(auto = false) {
+		const index = this.getNextIndex(auto);
+		if (index < 0) return null;
+		return this.jumpTo(index);
+	}
+
+	/**
+	 * Move to the previous track (wraps with RepeatAll)
+	 */
+	previous() {
+		if (this.currentIndex > 0) return this.jumpTo(this.currentIndex - 1);
+		if (this.repeatMode === RepeatMode.All && this.items.length) return this.jumpTo(this.items.length - 1);
+		return null;
+	}
+
+	hasNext() {
+		return this.getNextIndex(false) >= 0;
+	}
+
+	hasPrevious() {
+		return this.currentIndex > 0 || (this.repeatMode === RepeatMode.All && this.items.length > 1);
+	}
+
+	setShuffle(enabled) {
+		if (enabled === !!this.originalItems) return;
+		const current = this.getCurrent();
+		if (enabled) {
+			this.originalItems = this.items;
+			const upcoming = this.items.filter(entry => entry !== current);
+			this.items = current ? [current, ...shuffleArray(upcoming)] : shuffleArray(upcoming);
+			this.currentIndex = current ? 0 : -1;
+		} else {
+			this.items = this.originalItems;
+			this.originalItems = null;
+			this.currentIndex = current ? this.items.indexOf(current) : -1;
+		}
+		this.emit();
+	}
+
+	toggleShuffle() {
+		this.setShuffle(!this.originalItems);
+	}
+
+	setRepeatMode(mode) {
+		if (!REPEAT_CYCLE.includes(mode) || mode === this.repeatMode) return;
+		this.repeatMode = mode;
+		this.emit();
+	}
+
+	cycleRepeatMode() {
+		const next = REPEAT_CYCLE[(REPEAT_CYCLE.indexOf(this.repeatMode) + 1) % REPEAT_CYCLE.length];
+		this.setRepeatMode(next);
+	}
+}
+
+export default AudioQueue;
@@ -0,0 +1,126 @@
+/**
+ * Bandwidth Estimator
+ * Picks the streaming bitrate from a timed download of the server's bitrate
+ * test endpoint, and lowers it when playback keeps buffering. Estimates are
+ * kept per server since each one sits behind a different connection.
+ */
+
+// Steps the streaming bitrate moves between, highest first
+export const BITRATE_LADDER = [
+	120000000, 80000000, 60000000, 40000000, 20000000,
+	10000000, 8000000, 4000000, 2000000, 1000000
+];
+
+// Downloads grow until one takes long enough to measure reliably
+const TEST_SIZES = [500000, 1000000, 3000000];
+const MIN_TEST_DURATION_MS = 1000;
+const TEST_TIMEOUT_MS = 10000;
+
+// Re-measure after this, which also lifts any step-down from buffering
+const ESTIMATE_TTL_MS = 10 * 60 * 1000;
+
+// Leave room for audio, subtitles and throughput swings
+const HEADROOM = 0.7;
+
+// Used when the test gets nothing back; a link that slow shouldn't be handed the ceiling
+const FALLBACK_BITRATE = 4000000;
+
+const estimates = new Map();
+const pendingTests = new Map();
+
+const toLadderStep = (bitrate) =>
+	BITRATE_LADDER.find(step => step <= bitrate) || BITRATE_LADDER[BITRATE_LADDER.length - 1];
+
+// A slow link may not finish a download in time; what arrived by then still gives a rate
+const timeDownload = async (serverUrl, apiKey, size) => {
+	const start = Date.now();
+	let received = 0;
+	let reader = null;
+	const download = fetch(`${serverUrl}/Playback/BitrateTest?Size=${size}&api_key=${apiKey}`, {cache: 'no-store'})
+		.then(async response => {
+			if (!response.ok) throw new Error(`Bitrate test failed: ${response.status}`);
+			// Older TV browsers have no streamed body and only report once everything has arrived
+			if (!response.body?.getReader) {
+				received = (await response.arrayBuffer()).byteLength;
+				return;
+			}
+			reader = response.body.getReader();
+			for (;;) {
+				const {done, value} = await reader.read();
+				if (done) return;
+				received += value.byteLength;
+			}
+		});
+	let timer;
+	const timeout = new Promise(resolve => {
+		timer = setTimeout(() => resolve(true), TEST_TIMEOUT_MS);
+	});
+	const timedOut = await Promise.race([download.then(() => false), timeout]).finally(() => clearTimeout(timer));
+	if (timedOut) {
+		download.catch(() => {});
+		if (reader) reader.cancel().catch(() => {});
+		if (!received) throw new Error('Bitrate test timed out');
+	}
+	const duration = Math.max(Date.now() - start, 1);
+	return {bitrate: Math.round((received * 8 * 1000) / duration), duration, timedOut};
+};
+
+const runBitrateTest = async (serverUrl, apiKey) => {
+	let result = null;
+	for (const size of TEST_SIZES) {
+		result = await timeDownload(serverUrl, apiKey, size);
+		if (result.duration >= MIN_TEST_DURATION_MS || result.timedOut) break;
+	}
+	console.log(`[Bandwidth] Measured ${Math.round(result.bitrate / 1000)} kbps to ${serverUrl}`);
+	return result.bitrate;
+};
+
+const getEstimate = async (serverUrl, apiKey) => {
+	const cached = estimates.get(serverUrl);
+	if (cached && Date.now() - cached.measuredAt < ESTIMATE_TTL_MS) return cached;
+
+	if (!pendingTests.has(serverUrl)) {
+		pendingTests.set(serverUrl, runBitrateTest(serverUrl, apiKey)
+			.catch(err => {
+				console.warn('[Bandwidth] Bitrate test failed:', err.message);
+				return null;
+			})
+			.then(bitrate => {
+				const estimate = {bitrate, cap: null, measuredAt: Date.now()};
+				estimates.set(serverUrl, estimate);
+				pendingTests.delete(serverUrl);
+				return estimate;
+			}));
+	}
+	return pendingTests.get(serverUrl);
+};
+
+/**
+ * Streaming bitrate for a server: the measured bandwidth minus headroom,
+ * lowered further by any step-down since, and never above the ceiling.
+ * When nothing could be measured a conservative step is used instead.
+ * @param {string} serverUrl
+ * @param {string} apiKey
+ * @param {number} ceiling - Highest bitrate the device handles
+ * @returns {Promise<number>}
+ */
+export const getAdaptiveBitrate = async (serverUrl, apiKey, ceiling) => {
+	const {bitrate, cap} = await getEstimate(serverUrl, apiKey);
+	const limit = Math.min(ceiling, bitrate ? bitrate * HEADROOM : FALLBACK_BITRATE, cap || ceiling);
+	return limit >= ceiling ? ceiling : toLadderStep(limit);
+};
+
+/**
+ * Lower the bitrate for a server by one step after repeated buffering
+ * @param {string} serverUrl
+ * @param {number} currentBitrate - Bitrate of the stream that buffered
+ * @returns {number|null} The new bitrate, or null when already at the lowest step
+ */
+export const stepDownBitrate = (serverUrl, currentBitrate) => {
+	const lower = BITRATE_LADDER.find(step => step < currentBitrate);
+	if (!lower) return null;
+	const estimate = estimates.get(serverUrl) || {bitrate: null, measuredAt: Date.now()};
+	estimates.set(serverUrl, {...estimate, cap: lower});
+	console.log(`[Bandwidth] Buffering at ${Math.round(currentBitrate / 1000)} kbps, stepping down to ${Math.round(lower / 1000)} kbps`);
+	return lower;
+};
@@ -0,0 +1,180 @@
+/**
+ * i18n
+ * String catalogs, plurals and locale-aware number/date formatting.
+ *
+ * Strings are looked up by their English source text, so untranslated
+ * strings fall back to English. Catalogs live in src/locales/<code>.json and
+ * are picked up at build time; adding a language is a matter of adding a file:
+ *
+ *   {
+ *     "_meta": {"name": "Español"},
+ *     "Settings": "Ajustes",
+ *     "{count} Items": {"one": "{count} elemento", "other": "{count} elementos"}
+ *   }
+ */
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const catalogs = {};
+
+const catalogContext = require.context('../locales', false, /\.json$/);
+catalogContext.keys().forEach(path => {
+	const code = path.replace(/^\.\//, '').replace(/\.json$/, '');
+	catalogs[code.toLowerCase()] = catalogContext(path);
+});
+
+let currentLanguage = DEFAULT_LANGUAGE;
+let currentCatalog = catalogs[DEFAULT_LANGUAGE] || {};
+let pluralRules = null;
+
+/**
+ * Language the TV is set to, as a BCP 47 tag
+ */
+export const getSystemLanguage = () => {
+	if (typeof navigator === 'undefined') return DEFAULT_LANGUAGE;
+	return navigator.languages?.[0] || navigator.language || DEFAULT_LANGUAGE;
+};
+
+// Most specific catalog for a tag: pt-BR, then pt, then English
+const findCatalogCode = (tag) => {
+	const lower = (tag || '').toLowerCase().replace('_', '-');
+	if (catalogs[lower]) return lower;
+	const base = lower.split('-')[0];
+	if (catalogs[base]) return base;
+	return DEFAULT_LANGUAGE;
+};
+
+/**
+ * Languages the user can pick
+ * @returns {Array<{code: string, name: string}>}
+ */
+export const getAvailableLanguages = () => {
+	const languages = Object.keys(catalogs).map(code => ({
+		code,
+		name: catalogs[code]._meta?.name || code
+	}));
+	if (!catalogs[DEFAULT_LANGUAGE]) {
+		languages.push({code: DEFAULT_LANGUAGE, name: 'English'});
+	}
+	return languages.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Switch the active language
+ * @param {string} [language] - Language code; empty follows the system locale
+ * @returns {string} The locale now in use
+ */
+export const setLanguage = (language) => {
+	const locale = language || getSystemLanguage();
+	currentCatalog = catalogs[findCatalogCode(locale)] || {};
+	currentLanguage = locale;
+	try {
+		pluralRules = typeof Intl !== 'undefined' && Intl.PluralRules ? new Intl.PluralRules(locale) : null;
+	} catch (e) {
+		pluralRules = null;
+	}
+	return currentLanguage;
+};
+
+export const getLanguage = () => currentLanguage;
+
+const interpolate = (text, params) => {
+	if (!params) return text;
+	return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+};
+
+// Older TV browsers lack Intl.PluralRules; fall back to English rules
+const getPluralCategory = (count) => {
+	if (pluralRules) return pluralRules.select(count);
+	return count === 1 ? 'one' : 'other';
+};
+
+/**
+ * Format a number for the active locale
+ * @param {number} value
+ * @param {Object} [options] - Intl.NumberFormat options
+ */
+export const formatNumber = (value, options) => {
+	if (typeof value !== 'number' || isNaN(value)) return '';
+	try {
+		return new Intl.NumberFormat(currentLanguage, options).format(value);
+	} catch (e) {
+		return String(value);
+	}
+};
+
+/**
+ * Translate a string
+ * @param {string} text - English source text, may contain {placeholders}
+ * @param {Object} [params] - Placeholder values
+ */
+export const t = (text, params) => {
+	const entry = currentCatalog[text];
+	const translated = typeof entry === 'string' ? entry : entry?.other;
+	return interpolate(translated || text, params);
+};
+
+/**
+ * Translate a string that depends on a count
+ * @param {string} singular - English text for one
+ * @param {string} plural - English text for other counts; also the catalog key
+ * @param {number} count - Also available to the text as {count}
+ * @param {Object} [params] - Other placeholder values
+ */
+export const tn = (singular, plural, count, params) => {
+	const values = {count: formatNumber(count), ...params};
+	const entry = currentCatalog[plural];
+	if (entry && typeof entry === 'object') {
+		const form = entry[getPluralCategory(count)] || entry.other;
+		if (form) return interpolate(form, values);
+	}
+	if (typeof entry === 'string') return interpolate(entry, values);
+	return interpolate(count === 1 ? singular : plural, values);
+};
+
+/**
+ * Format a date for the active locale
+ * @param {Date|string|number} value
+ * @param {Object} [options] - Intl.DateTimeFormat options (defaults to a short date)
+ */
+export const formatDate = (value, options) => {
+	if (value === null || value === undefined || value === '') return '';
+	const date = value instanceof Date ? value : new Date(value);
+	if (isNaN(date.getTime())) return '';
+	try {
+		return date.toLocaleDateString(currentLanguage, options);
+	} catch (e) {
+		return date.toLocaleDateString();
+	}
+};
+
+/**
+ * Format a time of day for the active locale
+ * @param {Date|string|number} value
+ * @param {Object} [options] - Intl.DateTimeFormat options (defaults to hours and minutes)
+ */
+export const formatTimeOfDay = (value, options = {hour: 'numeric', minute: '2-digit'}) => {
+	if (value === null || value === undefined || value === '') return '';
+	const date = value instanceof Date ? value : new Date(value);
+	if (isNaN(date.getTime())) return '';
+	try {
+		return date.toLocaleTimeString(currentLanguage, options);
+	} catch (e) {
+		return date.toLocaleTimeString();
+	}
+};
+
+setLanguage('');
+
+export default {
+	DEFAULT_LANGUAGE,
+	getSystemLanguage,
+	getAvailableLanguages,
+	setLanguage,
+	getLanguage,
+	t,
+	tn,
+	formatNumber,
+	formatDate,
+	formatTimeOfDay
+};
@@ -1,6 +1,7 @@
 import packageJson from '../../package.json';
 import {parseUrl, buildQueryString} from '../utils/urlCompat';
 import {isTizen} from '../platform';
+import {cachedRequest, invalidateForMutation} from './responseCache';
 const APP_VERSION = packageJson.version;
 
 const APP_NAME = isTizen() ? 'Moonfin for Tizen' : 'Moonfin for webOS';
@@ -76,7 +77,7 @@ export const getUserId = () => currentUser;
 export const getApiKey = () => accessToken;
 export const getDeviceId = () => deviceId;
 
-const request = async (endpoint, options = {}) => {
+const sendRequest = async (endpoint, options = {}) => {
 	const url = `${currentServer}${endpoint}`;
 
 	const response = await fetch(url, {
@@ -102,6 +103,16 @@ const request = async (endpoint, options = {}) => {
 	return response.json();
 };
 
+// GETs go through the response cache; writes invalidate what they change
+const request = async (endpoint, options = {}) => {
+	if (!options.method || options.method === 'GET') {
+		return cachedRequest(currentServer, currentUser, endpoint, () => sendRequest(endpoint, options));
+	}
+	const result = await sendRequest(endpoint, options);
+	invalidateForMutation(currentServer, endpoint);
+	return result;
+};
+
 export const api = {
 	getPublicInfo: () => request('/System/Info/Public'),
 
@@ -187,6 +198,16 @@ export const api = {
 		body: data
 	}),
 
+	getDeviceSessions: () => request(`/Sessions?DeviceId=${encodeURIComponent(deviceId)}`),
+
+	searchRemoteSubtitles: (itemId, language) =>
+		request(`/Items/${itemId}/RemoteSearch/Subtitles/${encodeURIComponent(language)}`),
+
+	downloadRemoteSubtitle: (itemId, subtitleId) =>
+		request(`/Items/${itemId}/RemoteSearch/Subtitles/${encodeURIComponent(subtitleId)}`, {
+			method: 'POST'
+		}),
+
 	search: async (query, limit = 150) => {
 		const [itemsResult, peopleResult] = await Promise.all([
 			request(`/Users/${currentUser}/Items?searchTerm=${encodeURIComponent(query)}&Limit=${limit}&Recursive=true&IncludeItemTypes=Movie,Series,Episode,MusicAlbum,MusicArtist,Audio&Fields=PrimaryImageAspectRatio,ProductionYear,AlbumArtist`),
@@ -273,19 +294,37 @@ export const api = {
 		return request(`/LiveTv/Programs?UserId=${currentUser}&ChannelIds=${channelParam}&MinStartDate=${start}&MaxEndDate=${end}&EnableTotalRecordCount=false`);
 	},
 
+	// What's airing on the channels now and what follows, in start order
+	getLiveTvNowAndNext: (channelIds, hoursAhead = 4) => {
+		const now = new Date();
+		const until = new Date(now.getTime() + hoursAhead * 3600000);
+		return request(`/LiveTv/Programs?UserId=${currentUser}&ChannelIds=${channelIds.join(',')}&MinEndDate=${now.toISOString()}&MaxStartDate=${until.toISOString()}&SortBy=StartDate&EnableTotalRecordCount=false`);
+	},
+
 	getLiveTvProgram: (programId) =>
 		request(`/LiveTv/Programs/${programId}?UserId=${currentUser}`),
 
+	// categoryFlag narrows to one program type: IsMovie, IsSports, IsNews, IsKids or IsSeries
+	searchLiveTvPrograms: (searchTerm, categoryFlag = null, limit = 100) =>
+		request(`/Users/${currentUser}/Items?searchTerm=${encodeURIComponent(searchTerm)}&IncludeItemTypes=LiveTvProgram&Recursive=true&Fields=Overview,Genres,ChannelInfo&Limit=${limit}&EnableTotalRecordCount=false${categoryFlag ? `&${categoryFlag}=true` : ''}`),
+
+	getLiveTvProgramsAiring: (categoryFlag = null, limit = 200) =>
+		request(`/LiveTv/Programs?UserId=${currentUser}&IsAiring=true&Fields=Overview,Genres,ChannelInfo&Limit=${limit}&EnableTotalRecordCount=false${categoryFlag ? `&${categoryFlag}=true` : ''}`),
+
 	getLiveTvRecordings: () =>
 		request(`/LiveTv/Recordings?UserId=${currentUser}`),
 
 	getLiveTvTimers: () =>
 		request(`/LiveTv/Timers`),
 
-	createLiveTvTimer: (programId) =>
+	// Server defaults for recording a program, shaped as a series timer (padding, RecordNewOnly, Days...)
+	getLiveTvTimerDefaults: (programId) =>
+		request(`/LiveTv/Timers/Defaults?programId=${programId}`),
+
+	createLiveTvTimer: (programId, options = {}) =>
 		request(`/LiveTv/Timers`, {
 			method: 'POST',
-			body: {ProgramId: programId}
+			body: {ProgramId: programId, ...options}
 		}),
 
 	cancelLiveTvTimer: (timerId) =>
@@ -293,6 +332,29 @@ export const api = {
 			method: 'DELETE'
 		}),
 
+	getLiveTvSeriesTimers: () =>
+		request(`/LiveTv/SeriesTimers?SortBy=SortName&SortOrder=Ascending`),
+
+	getLiveTvSeriesTimer: (seriesTimerId) =>
+		request(`/LiveTv/SeriesTimers/${seriesTimerId}`),
+
+	createLiveTvSeriesTimer: (seriesTimer) =>
+		request(`/LiveTv/SeriesTimers`, {
+			method: 'POST',
+			body: seriesTimer
+		}),
+
+	updateLiveTvSeriesTimer: (seriesTimerId, seriesTimer) =>
+		request(`/LiveTv/SeriesTimers/${seriesTimerId}`, {
+			method: 'POST',
+			body: seriesTimer
+		}),
+
+	cancelLiveTvSeriesTimer: (seriesTimerId) =>
+		request(`/LiveTv/SeriesTimers/${seriesTimerId}`, {
+			method: 'DELETE'
+		}),
+
 	deleteItem: (itemId) =>
 		request(`/Items/${itemId}`, {
 			method: 'DELETE'
@@ -332,7 +394,79 @@ export const api = {
 	movePlaylistItem: (playlistId, itemId, newIndex) =>
 		request(`/Playlists/${playlistId}/Items/${itemId}/Move/${newIndex}`, {
 			method: 'POST'
-		})
+		}),
+
+	getLyrics: (itemId) => request(`/Audio/${itemId}/Lyrics`),
+
+	getPlaylists: () =>
+		request(`/Users/${currentUser}/Items?IncludeItemTypes=Playlist&Recursive=true&SortBy=SortName&SortOrder=Ascending&Fields=ChildCount`),
+
+	createPlaylist: (name, itemIds = [], mediaType) => request('/Playlists', {
+		method: 'POST',
+		body: {Name: name, Ids: itemIds, UserId: currentUser, MediaType: mediaType}
+	}),
+
+	addToPlaylist: (playlistId, itemIds) =>
+		request(`/Playlists/${playlistId}/Items?Ids=${itemIds.join(',')}&UserId=${currentUser}`, {
+			method: 'POST'
+		}),
+
+	removeFromPlaylist: (playlistId, entryIds) =>
+		request(`/Playlists/${playlistId}/Items?EntryIds=${entryIds.join(',')}`, {
+			method: 'DELETE'
+		}),
+
+	// SyncPlay API methods
+	getUtcTime: () => request('/GetUtcTime'),
+
+	getSyncPlayGroups: () => request('/SyncPlay/List'),
+
+	createSyncPlayGroup: (groupName) => request('/SyncPlay/New', {
+		method: 'POST',
+		body: {GroupName: groupName}
+	}),
+
+	joinSyncPlayGroup: (groupId) => request('/SyncPlay/Join', {
+		method: 'POST',
+		body: {GroupId: groupId}
+	}),
+
+	leaveSyncPlayGroup: () => request('/SyncPlay/Leave', {
+		method: 'POST'
+	}),
+
+	syncPlaySetNewQueue: (itemIds, startPositionTicks = 0) => request('/SyncPlay/SetNewQueue', {
+		method: 'POST',
+		body: {PlayingQueue: itemIds, PlayingItemPosition: 0, StartPositionTicks: startPositionTicks}
+	}),
+
+	syncPlayPause: () => request('/SyncPlay/Pause', {
+		method: 'POST'
+	}),
+
+	syncPlayUnpause: () => request('/SyncPlay/Unpause', {
+		method: 'POST'
+	}),
+
+	syncPlaySeek: (positionTicks) => request('/SyncPlay/Seek', {
+		method: 'POST',
+		body: {PositionTicks: positionTicks}
+	}),
+
+	syncPlayBuffering: (data) => request('/SyncPlay/Buffering', {
+		method: 'POST',
+		body: data
+	}),
+
+	syncPlayReady: (data) => request('/SyncPlay/Ready', {
+		method: 'POST',
+		body: data
+	}),
+
+	syncPlayPing: (ping) => request('/SyncPlay/Ping', {
+		method: 'POST',
+		body: {Ping: ping}
+	})
 };
 
 /**
@@ -361,7 +495,7 @@ export const createApiForServer = (serverUrl, token, userId) => {
 		return header;
 	};
 
-	const serverRequest = async (endpoint, options = {}) => {
+	const sendServerRequest = async (endpoint, options = {}) => {
 		const requestUrl = `${url}${endpoint}`;
 
 		const response = await fetch(requestUrl, {
@@ -387,6 +521,15 @@ export const createApiForServer = (serverUrl, token, userId) => {
 		return response.json();
 	};
 
+	const serverRequest = async (endpoint, options = {}) => {
+		if (!options.method || options.method === 'GET') {
+			return cachedRequest(url, userId, endpoint, () => sendServerRequest(endpoint, options));
+		}
+		const result = await sendServerRequest(endpoint, options);
+		invalidateForMutation(url, endpoint);
+		return result;
+	};
+
 	return {
 		getLibraries: () => serverRequest(`/Users/${userId}/Views`),
 
@@ -482,6 +625,16 @@ export const createApiForServer = (serverUrl, token, userId) => {
 			body: data
 		}),
 
+		getDeviceSessions: () => serverRequest(`/Sessions?DeviceId=${encodeURIComponent(deviceId)}`),
+
+		searchRemoteSubtitles: (itemId, language) =>
+			serverRequest(`/Items/${itemId}/RemoteSearch/Subtitles/${encodeURIComponent(language)}`),
+
+		downloadRemoteSubtitle: (itemId, subtitleId) =>
+			serverRequest(`/Items/${itemId}/RemoteSearch/Subtitles/${encodeURIComponent(subtitleId)}`, {
+				method: 'POST'
+			}),
+
 		setFavorite: (itemId, isFavorite) => serverRequest(`/Users/${userId}/FavoriteItems/${itemId}`, {
 			method: isFavorite ? 'POST' : 'DELETE'
 		}),
@@ -517,6 +670,78 @@ export const createApiForServer = (serverUrl, token, userId) => {
 				method: 'POST'
 			}),
 
+		getLyrics: (itemId) => serverRequest(`/Audio/${itemId}/Lyrics`),
+
+		getPlaylists: () =>
+			serverRequest(`/Users/${userId}/Items?IncludeItemTypes=Playlist&Recursive=true&SortBy=SortName&SortOrder=Ascending&Fields=ChildCount`),
+
+		createPlaylist: (name, itemIds = [], mediaType) => serverRequest('/Playlists', {
+			method: 'POST',
+			body: {Name: name, Ids: itemIds, UserId: userId, MediaType: mediaType}
+		}),
+
+		addToPlaylist: (playlistId, itemIds) =>
+			serverRequest(`/Playlists/${playlistId}/Items?Ids=${itemIds.join(',')}&UserId=${userId}`, {
+				method: 'POST'
+			}),
+
+		removeFromPlaylist: (playlistId, entryIds) =>
+			serverRequest(`/Playlists/${playlistId}/Items?EntryIds=${entryIds.join(',')}`, {
+				method: 'DELETE'
+			}),
+
+		// SyncPlay API methods
+		getUtcTime: () => serverRequest('/GetUtcTime'),
+
+		getSyncPlayGroups: () => serverRequest('/SyncPlay/List'),
+
+		createSyncPlayGroup: (groupName) => serverRequest('/SyncPlay/New', {
+			method: 'POST',
+			body: {GroupName: groupName}
+		}),
+
+		joinSyncPlayGroup: (groupId) => serverRequest('/SyncPlay/Join', {
+			method: 'POST',
+			body: {GroupId: groupId}
+		}),
+
+		leaveSyncPlayGroup: () => serverRequest('/SyncPlay/Leave', {
+			method: 'POST'
+		}),
+
+		syncPlaySetNewQueue: (itemIds, startPositionTicks = 0) => serverRequest('/SyncPlay/SetNewQueue', {
+			method: 'POST',
+			body: {PlayingQueue: itemIds, PlayingItemPosition: 0, StartPositionTicks: startPositionTicks}
+		}),
+
+		syncPlayPause: () => serverRequest('/SyncPlay/Pause', {
+			method: 'POST'
+		}),
+
+		syncPlayUnpause: () => serverRequest('/SyncPlay/Unpause', {
+			method: 'POST'
+		}),
+
+		syncPlaySeek: (positionTicks) => serverRequest('/SyncPlay/Seek', {
+			method: 'POST',
+			body: {PositionTicks: positionTicks}
+		}),
+
+		syncPlayBuffering: (data) => serverRequest('/SyncPlay/Buffering', {
+			method: 'POST',
+			body: data
+		}),
+
+		syncPlayReady: (data) => serverRequest('/SyncPlay/Ready', {
+			method: 'POST',
+			body: data
+		}),
+
+		syncPlayPing: (ping) => serverRequest('/SyncPlay/Ping', {
+			method: 'POST',
+			body: {Ping: ping}
+		}),
+
 		// Return server info for playback routing
 		getServerInfo: () => ({
 			serverUrl: url,
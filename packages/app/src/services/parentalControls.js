@@ -0,0 +1,129 @@
+/**
+ * Parental Controls
+ * Local, per-TV restrictions guarded by a PIN. Nothing here is sent to the
+ * server: the config lives in device storage under its own key so resetting
+ * or syncing app settings never touches it.
+ */
+import {getFromStorage, saveToStorage} from './storage';
+
+const STORAGE_KEY = 'parental_controls';
+
+export const DEFAULT_PARENTAL_CONFIG = {
+	pinHash: null,
+	lockSettings: true,
+	maxRating: '',
+	blockUnrated: false,
+	lockedUserIds: [],
+	lockedLibraryIds: []
+};
+
+// Minimum viewer age for the common US movie and TV ratings
+const RATING_AGES = {
+	'G': 0,
+	'TV-Y': 0,
+	'TV-G': 0,
+	'U': 0,
+	'ALL': 0,
+	'APPROVED': 0,
+	'TV-Y7': 7,
+	'TV-Y7-FV': 7,
+	'PG': 10,
+	'TV-PG': 10,
+	'PG-13': 13,
+	'TV-14': 14,
+	'R': 17,
+	'TV-MA': 17,
+	'NC-17': 18,
+	'X': 18,
+	'XXX': 18
+};
+
+export const RATING_LIMIT_OPTIONS = [
+	{value: '', label: 'No Limit'},
+	{value: 'G', label: 'G / TV-G'},
+	{value: 'TV-Y7', label: 'TV-Y7'},
+	{value: 'PG', label: 'PG / TV-PG'},
+	{value: 'PG-13', label: 'PG-13'},
+	{value: 'TV-14', label: 'TV-14'},
+	{value: 'R', label: 'R / TV-MA'}
+];
+
+/**
+ * Minimum age for an OfficialRating string
+ * Handles US ratings plus country-prefixed and numeric ones (DE-12, FSK-16, GB-15, 12A)
+ * @param {string} rating
+ * @returns {number|null} null when the rating is missing or not recognised
+ */
+export const getRatingAge = (rating) => {
+	if (!rating || typeof rating !== 'string') return null;
+	const normalized = rating.trim().toUpperCase();
+	if (RATING_AGES[normalized] !== undefined) return RATING_AGES[normalized];
+
+	const withoutCountry = normalized.replace(/^[A-Z]{2,3}[-: ]/, '');
+	if (RATING_AGES[withoutCountry] !== undefined) return RATING_AGES[withoutCountry];
+
+	const match = withoutCountry.match(/\d{1,2}/);
+	return match ? parseInt(match[0], 10) : null;
+};
+
+/**
+ * Whether an item's rating is above the configured limit
+ * @param {Object} item - Jellyfin item
+ * @param {Object} config - Parental config
+ * @param {string} [seriesRating] - Rating of the item's series, used when the item has none
+ */
+export const isRatingRestricted = (item, config, seriesRating) => {
+	if (!item || !config?.pinHash || !config.maxRating) return false;
+	const maxAge = getRatingAge(config.maxRating);
+	if (maxAge === null) return false;
+	const age = getRatingAge(item.OfficialRating || item.CurrentProgram?.OfficialRating || seriesRating);
+	if (age === null) return !!config.blockUnrated;
+	return age > maxAge;
+};
+
+/**
+ * Hash a PIN for storage
+ * FNV-1a rather than a real KDF: older TV browsers have no SubtleCrypto, and a
+ * short numeric PIN is not a secret the hash could protect anyway. This only
+ * keeps the PIN from sitting in storage in plain text.
+ */
+export const hashPin = (pin) => {
+	const input = `moonfin-pin:${pin}`;
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < input.length; i++) {
+		hash ^= input.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return (hash >>> 0).toString(16);
+};
+
+export const verifyPin = (pin, config) => !!config?.pinHash && hashPin(pin) === config.pinHash;
+
+export const loadParentalConfig = async () => {
+	try {
+		const stored = await getFromStorage(STORAGE_KEY);
+		return {...DEFAULT_PARENTAL_CONFIG, ...(stored || {})};
+	} catch (e) {
+		console.warn('[Parental] Failed to load config:', e);
+		return {...DEFAULT_PARENTAL_CONFIG};
+	}
+};
+
+export const saveParentalConfig = async (config) => {
+	try {
+		await saveToStorage(STORAGE_KEY, config);
+	} catch (e) {
+		console.warn('[Parental] Failed to save config:', e);
+	}
+};
+
+export default {
+	DEFAULT_PARENTAL_CONFIG,
+	RATING_LIMIT_OPTIONS,
+	getRatingAge,
+	isRatingRestricted,
+	hashPin,
+	verifyPin,
+	loadParentalConfig,
+	saveParentalConfig
+};
@@ -1,6 +1,11 @@
 import * as jellyfinApi from './jellyfinApi';
 import {getJellyfinDeviceProfile, getDeviceCapabilities} from './deviceProfile';
-import {getPlayMethod, getMimeType, findCompatibleAudioStreamIndex, getSupportedAudioCodecs} from './video';
+import {getPlayMethod, checkCompatibility, getMimeType, findCompatibleAudioStreamIndex, getSupportedAudioCodecs} from './video';
+import {normalizeSegmentType} from '../utils/segmentConstants';
+import {parseAss} from '../utils/assParser';
+import {decodePgs, decodeVobSub, parseVobSubPalette} from '../utils/bitmapSubtitles';
+import {resolveSeriesTracks} from './trackPreferences';
+import {getAdaptiveBitrate, stepDownBitrate} from './bandwidth';
 
 export const PlayMethod = {
 	DirectPlay: 'DirectPlay',
@@ -12,14 +17,6 @@ let currentSession = null;
 let progressInterval = null;
 let healthMonitor = null;
 
-// Cross-server support: get API instance based on item or options
-const getApiForItem = (item) => {
-	if (item?._serverUrl && item?._serverAccessToken && item?._serverUserId) {
-		return jellyfinApi.createApiForServer(item._serverUrl, item._serverAccessToken, item._serverUserId);
-	}
-	return jellyfinApi.api;
-};
-
 // Get server credentials from item (only for cross-server items)
 const getServerCredentials = (item) => {
 	if (item?._serverUrl && item?._serverAccessToken) {
@@ -32,6 +29,37 @@ const getServerCredentials = (item) => {
 	return null;
 };
 
+/**
+ * Resolve the server a per-item playback request goes to.
+ * Cross-server items carry their own credentials; the item that is playing uses
+ * the session's serverCredentials; anything else goes to the active server.
+ * @param {Object|string} [itemOrId] - Item, item ID, or nothing for the current session
+ * @returns {{api: Object, serverUrl: string, apiKey: string, credentials: Object|null}}
+ */
+export const getItemServer = (itemOrId) => {
+	const item = itemOrId && typeof itemOrId === 'object' ? itemOrId : null;
+	const itemId = item ? item.Id : itemOrId;
+	const sessionCredentials = currentSession && (!itemId || itemId === currentSession.itemId)
+		? currentSession.serverCredentials
+		: null;
+	const credentials = getServerCredentials(item) || sessionCredentials;
+
+	if (!credentials) {
+		return {
+			api: jellyfinApi.api,
+			serverUrl: jellyfinApi.getServerUrl(),
+			apiKey: jellyfinApi.getApiKey(),
+			credentials: null
+		};
+	}
+	return {
+		api: jellyfinApi.createApiForServer(credentials.serverUrl, credentials.accessToken, credentials.userId),
+		serverUrl: credentials.serverUrl,
+		apiKey: credentials.accessToken,
+		credentials
+	};
+};
+
 const selectMediaSource = (mediaSources, capabilities, options) => {
 	if (options.mediaSourceId) {
 		const source = mediaSources.find(s => s.Id === options.mediaSourceId);
@@ -221,9 +249,8 @@ const extractAudioStreams = (mediaSource) => {
 		}));
 };
 
-const extractSubtitleStreams = (mediaSource) => {
+const extractSubtitleStreams = (mediaSource, serverUrl) => {
 	if (!mediaSource.MediaStreams) return [];
-	const serverUrl = jellyfinApi.getServerUrl();
 
 	return mediaSource.MediaStreams
 		.filter(s => s.Type === 'Subtitle')
@@ -268,19 +295,28 @@ const getAutoMaxBitrate = (capabilities) => {
 	return 40_000_000;
 };
 
+// Asking again for a live item must not open a second live stream (and tuner)
+// while the one from the first request stays open, so reuse that one
+const reuseLiveStream = (mediaSource) => ({
+	AutoOpenLiveStream: false,
+	LiveStreamId: mediaSource.LiveStreamId
+});
+
 export const getPlaybackInfo = async (itemId, options = {}) => {
 	const deviceProfile = options.deviceProfile || await getJellyfinDeviceProfile();
 	const capabilities = await getDeviceCapabilities();
 
 	// Cross-server: use item's server if available
-	const api = options.item ? getApiForItem(options.item) : jellyfinApi.api;
-	const creds = options.item ? getServerCredentials(options.item) : null;
+	const {api, serverUrl, apiKey, credentials: creds} = getItemServer(options.item || itemId);
 
-	// maxBitrate: user-set value (>0), or auto-detect from device capabilities
+	// maxBitrate: user-set value (>0), else device capabilities. The measured
+	// bandwidth only lowers the bitrate of a transcode (see below), so it never
+	// talks the server out of direct playing a file above the estimate.
 	const maxBitrate = options.maxBitrate > 0 ? options.maxBitrate : getAutoMaxBitrate(capabilities);
+	const isAdaptive = !(options.maxBitrate > 0) && !!options.adaptiveBitrate;
 
 	const requestedStartTime = options.startPositionTicks || 0;
-	const subtitleStreamIndex = options.subtitleStreamIndex != null ? options.subtitleStreamIndex : -1;
+	let subtitleStreamIndex = options.subtitleStreamIndex != null ? options.subtitleStreamIndex : -1;
 	console.log('[playback] getPlaybackInfo called:', {
 		itemId,
 		startPositionTicks: requestedStartTime,
@@ -326,10 +362,50 @@ export const getPlaybackInfo = async (itemId, options = {}) => {
 
 	let mediaSource = selectMediaSource(playbackInfo.MediaSources, capabilities, options);
 
+	// Reapply the tracks picked earlier in this series, unless the caller chose explicitly
+	let audioStreamIndex = options.audioStreamIndex;
+	let rememberedAudioStreamIndex;
+	let rememberedSubtitleStreamIndex;
+	if (options.item?.SeriesId && (options.audioStreamIndex == null || options.subtitleStreamIndex == null)) {
+		const remembered = await resolveSeriesTracks(
+			options.item.SeriesId,
+			extractAudioStreams(mediaSource),
+			extractSubtitleStreams(mediaSource, serverUrl),
+			options.audioStreamIndex ?? mediaSource.DefaultAudioStreamIndex
+		);
+		if (options.audioStreamIndex == null) rememberedAudioStreamIndex = remembered.audioIndex;
+		if (options.subtitleStreamIndex == null) rememberedSubtitleStreamIndex = remembered.subtitleIndex;
+		// A remembered audio track also skips the compatible-codec auto-selection below
+		audioStreamIndex = rememberedAudioStreamIndex ?? audioStreamIndex;
+
+		// The server decides direct play against the requested tracks, so ask again with them
+		const audioChanged = rememberedAudioStreamIndex != null && rememberedAudioStreamIndex !== mediaSource.DefaultAudioStreamIndex;
+		const subtitleChanged = rememberedSubtitleStreamIndex != null && rememberedSubtitleStreamIndex !== subtitleStreamIndex;
+		if (audioChanged || subtitleChanged) {
+			console.log('[playback] Reapplying series tracks - audio:', rememberedAudioStreamIndex, 'subtitle:', rememberedSubtitleStreamIndex);
+			subtitleStreamIndex = rememberedSubtitleStreamIndex ?? subtitleStreamIndex;
+			const rememberedInfo = await api.getPlaybackInfo(itemId, {
+				DeviceProfile: deviceProfile,
+				StartTimeTicks: requestedStartTime,
+				...reuseLiveStream(mediaSource),
+				EnableDirectPlay: options.enableDirectPlay !== false,
+				EnableDirectStream: options.enableDirectStream !== false,
+				EnableTranscoding: options.enableTranscoding !== false,
+				AudioStreamIndex: audioStreamIndex,
+				SubtitleStreamIndex: subtitleStreamIndex,
+				MaxStreamingBitrate: maxBitrate,
+				MediaSourceId: options.mediaSourceId || mediaSource.Id
+			});
+			if (rememberedInfo.MediaSources?.length) {
+				mediaSource = selectMediaSource(rememberedInfo.MediaSources, capabilities, options);
+				playbackInfo = rememberedInfo;
+			}
+		}
+	}
+
 	// Auto-select a compatible audio stream if the user hasn't explicitly chosen one.
 	// This prevents the server from forcing transcode when the default audio track
 	// is unsupported (e.g., TrueHD primary + AC3 secondary in a 4K HDR remux).
-	let audioStreamIndex = options.audioStreamIndex;
 	if (audioStreamIndex == null && mediaSource.DefaultAudioStreamIndex != null) {
 		const defaultAudioStream = mediaSource.MediaStreams?.find(
 			s => s.Type === 'Audio' && s.Index === mediaSource.DefaultAudioStreamIndex
@@ -416,32 +492,70 @@ export const getPlaybackInfo = async (itemId, options = {}) => {
 		console.log('[playback] After forcing transcode - TranscodingUrl:', mediaSource.TranscodingUrl ? 'present' : 'none');
 	}
 
+	// A transcode starts at what the connection to the server can carry
+	let streamingBitrate = maxBitrate;
+	if (playMethod === PlayMethod.Transcode && isAdaptive) {
+		const adaptiveBitrate = await getAdaptiveBitrate(serverUrl, apiKey, maxBitrate);
+		if (adaptiveBitrate < maxBitrate) {
+			console.log(`[playback] Transcoding at measured bandwidth: ${Math.round(adaptiveBitrate / 1000)} kbps`);
+			const adaptiveInfo = await api.getPlaybackInfo(itemId, {
+				DeviceProfile: deviceProfile,
+				StartTimeTicks: requestedStartTime,
+				...reuseLiveStream(mediaSource),
+				EnableDirectPlay: false,
+				EnableDirectStream: false,
+				EnableTranscoding: true,
+				AudioStreamIndex: audioStreamIndex,
+				SubtitleStreamIndex: subtitleStreamIndex,
+				MaxStreamingBitrate: adaptiveBitrate,
+				MediaSourceId: options.mediaSourceId || mediaSource.Id
+			});
+			const adaptiveSource = adaptiveInfo.MediaSources?.[0];
+			if (adaptiveSource?.TranscodingUrl) {
+				playbackInfo = adaptiveInfo;
+				mediaSource = adaptiveSource;
+				streamingBitrate = adaptiveBitrate;
+			}
+		}
+	}
+
 	const isAudio = options.item?.MediaType === 'Audio' || options.item?.Type === 'Audio';
+	// Live TV has no runtime; the player seeks within whatever window the stream keeps
+	const isLive = !!mediaSource.IsInfiniteStream || options.item?.Type === 'TvChannel';
 	const url = buildPlaybackUrl(itemId, mediaSource, playbackInfo.PlaySessionId, playMethod, creds, isAudio);
 
 	const audioStreams = extractAudioStreams(mediaSource);
-	const subtitleStreams = extractSubtitleStreams(mediaSource);
+	const subtitleStreams = extractSubtitleStreams(mediaSource, serverUrl);
 	const chapters = extractChapters(mediaSource);
 
-	currentSession = {
+	const session = {
 		itemId,
 		playSessionId: playbackInfo.PlaySessionId,
 		mediaSourceId: mediaSource.Id,
 		mediaSource,
+		mediaSources: playbackInfo.MediaSources,
 		playMethod,
+		isLive,
 		startPositionTicks: options.startPositionTicks || 0,
 		capabilities,
 		audioStreamIndex: audioStreamIndex ?? mediaSource.DefaultAudioStreamIndex,
 		subtitleStreamIndex: subtitleStreamIndex,
 		maxBitrate: options.maxBitrate,
+		adaptiveBitrate: options.adaptiveBitrate,
+		streamingBitrate,
 		serverCredentials: creds
 	};
 
-	console.log(`[playback] Playing ${itemId} via ${playMethod}`);
+	// Prefetched streams (e.g. the next queued track) become current only once they start
+	if (!options.deferSession) {
+		currentSession = session;
+	}
+
+	console.log(`[playback] ${options.deferSession ? 'Prepared' : 'Playing'} ${itemId} via ${playMethod}`);
 
 	let mimeType;
 	if (playMethod === PlayMethod.Transcode) {
-		if (url.includes('/master.m3u8') || url.includes('TranscodingProtocol=hls')) {
+		if (url.includes('/master.m3u8') || url.includes('/live.m3u8') || url.includes('TranscodingProtocol=hls')) {
 			mimeType = 'application/x-mpegURL';
 		} else if (url.includes('.ts') || mediaSource.TranscodingContainer === 'ts') {
 			mimeType = 'video/mp2t';
@@ -474,6 +588,7 @@ export const getPlaybackInfo = async (itemId, options = {}) => {
 		playMethod,
 		mimeType,
 		isAudio,
+		isLive,
 		runTimeTicks: mediaSource.RunTimeTicks,
 		audioStreams,
 		subtitleStreams,
@@ -481,7 +596,11 @@ export const getPlaybackInfo = async (itemId, options = {}) => {
 		defaultAudioStreamIndex: mediaSource.DefaultAudioStreamIndex,
 		selectedAudioStreamIndex: audioStreamIndex ?? mediaSource.DefaultAudioStreamIndex,
 		defaultSubtitleStreamIndex: mediaSource.DefaultSubtitleStreamIndex,
-		startPositionTicks: requestedStartTime
+		// From the series' remembered picks: -1 means subtitles off, undefined means no preference
+		rememberedAudioStreamIndex,
+		rememberedSubtitleStreamIndex,
+		startPositionTicks: requestedStartTime,
+		session
 	};
 };
 
@@ -502,9 +621,8 @@ export const getPlaybackInfoWithFallback = async (itemId, options = {}) => {
 export const getSubtitleUrl = (subtitleStream) => {
 	if (!subtitleStream || !currentSession) return null;
 
-	const {itemId, mediaSourceId, serverCredentials} = currentSession;
-	const serverUrl = serverCredentials?.serverUrl || jellyfinApi.getServerUrl();
-	const apiKey = serverCredentials?.accessToken || jellyfinApi.getApiKey();
+	const {itemId, mediaSourceId} = currentSession;
+	const {serverUrl, apiKey} = getItemServer();
 
 	// Request WebVTT for any text-based subtitle - server converts ASS/SSA/SRT as needed
 	if (subtitleStream.isTextBased) {
@@ -522,9 +640,8 @@ export const getSubtitleUrl = (subtitleStream) => {
 export const fetchSubtitleData = async (subtitleStream) => {
 	if (!subtitleStream || !currentSession) return null;
 
-	const {itemId, mediaSourceId, serverCredentials} = currentSession;
-	const serverUrl = serverCredentials?.serverUrl || jellyfinApi.getServerUrl();
-	const apiKey = serverCredentials?.accessToken || jellyfinApi.getApiKey();
+	const {itemId, mediaSourceId} = currentSession;
+	const {serverUrl, apiKey} = getItemServer();
 
 	if (!subtitleStream.isTextBased) {
 		console.log('[Playback] Subtitle stream is not text-based, cannot fetch as JSON');
@@ -549,6 +666,158 @@ export const fetchSubtitleData = async (subtitleStream) => {
 	}
 };
 
+export const isStyledSubtitle = (subtitleStream) =>
+	['ass', 'ssa'].includes(subtitleStream?.codec?.toLowerCase());
+
+/**
+ * Fetch the original ASS/SSA script of a subtitle stream for the in-app renderer.
+ * The .js format flattens styling and positioning, so styled streams are requested as-is.
+ * @returns {Promise<Object|null>} Parsed script (see utils/assParser), or null to fall back to fetchSubtitleData
+ */
+export const fetchStyledSubtitle = async (subtitleStream) => {
+	if (!isStyledSubtitle(subtitleStream) || !currentSession) return null;
+
+	const {itemId, mediaSourceId} = currentSession;
+	const {serverUrl, apiKey} = getItemServer();
+	const format = subtitleStream.codec.toLowerCase();
+	const url = `${serverUrl}/Videos/${itemId}/${mediaSourceId}/Subtitles/${subtitleStream.index}/Stream.${format}?api_key=${apiKey}`;
+
+	try {
+		console.log('[Playback] Fetching styled subtitle from:', url);
+		const response = await fetch(url);
+		if (!response.ok) {
+			throw new Error(`Failed to fetch subtitles: ${response.status}`);
+		}
+		const script = parseAss(await response.text());
+		console.log(`[Playback] Loaded ${script?.events.length || 0} styled subtitle events`);
+		return script?.events.length ? script : null;
+	} catch (err) {
+		console.error('[Playback] Failed to fetch styled subtitle:', err);
+		return null;
+	}
+};
+
+// Image-based codecs the app can decode itself; DVB subtitles still need burn-in
+const BITMAP_SUBTITLE_FORMATS = {
+	pgssub: 'sup',
+	pgs: 'sup',
+	dvdsub: 'sub',
+	vobsub: 'sub'
+};
+
+export const isBitmapSubtitle = (subtitleStream) =>
+	!!BITMAP_SUBTITLE_FORMATS[subtitleStream?.codec?.toLowerCase()];
+
+const fetchVobSubPalette = async (url) => {
+	try {
+		const response = await fetch(url);
+		if (!response.ok) return null;
+		return parseVobSubPalette(await response.text());
+	} catch (err) {
+		console.warn('[Playback] Failed to fetch VobSub palette:', err);
+		return null;
+	}
+};
+
+/**
+ * Fetch and decode a PGS or VobSub stream so it can be drawn client-side
+ * instead of being burned in by a transcode.
+ * @returns {Promise<Array|null>} Cues (see utils/bitmapSubtitles), or null if the server can't deliver the stream
+ */
+export const fetchBitmapSubtitle = async (subtitleStream) => {
+	if (!isBitmapSubtitle(subtitleStream) || !currentSession) return null;
+
+	const {itemId, mediaSourceId} = currentSession;
+	const {serverUrl, apiKey} = getItemServer();
+	const format = BITMAP_SUBTITLE_FORMATS[subtitleStream.codec.toLowerCase()];
+	const url = `${serverUrl}/Videos/${itemId}/${mediaSourceId}/Subtitles/${subtitleStream.index}/Stream.${format}?api_key=${apiKey}`;
+
+	// VobSub colours live in the .idx next to the .sub; without it the decoder falls back to role colours
+	const palettePromise = format === 'sub' ? fetchVobSubPalette(url.replace('/Stream.sub?', '/Stream.idx?')) : null;
+
+	try {
+		console.log('[Playback] Fetching bitmap subtitle from:', url);
+		const response = await fetch(url);
+		if (!response.ok) {
+			throw new Error(`Failed to fetch subtitles: ${response.status}`);
+		}
+		const buffer = await response.arrayBuffer();
+		const cues = format === 'sup' ? decodePgs(buffer) : decodeVobSub(buffer, await palettePromise);
+		console.log(`[Playback] Decoded ${cues.length} bitmap subtitle cues`);
+		return cues.length ? cues : null;
+	} catch (err) {
+		console.error('[Playback] Failed to fetch bitmap subtitle:', err);
+		return null;
+	}
+};
+
+/**
+ * Search the server's subtitle providers for the playing item
+ * @param {string} language - ISO 639-2 code
+ * @returns {Promise<Array>} Hash matches first, then by rating and downloads
+ */
+export const searchRemoteSubtitles = async (language) => {
+	if (!currentSession) return [];
+	const {api} = getItemServer();
+	const results = await api.searchRemoteSubtitles(currentSession.itemId, language);
+	return (results || [])
+		.map(r => ({
+			id: r.Id,
+			name: r.Name,
+			provider: r.ProviderName,
+			format: r.Format,
+			rating: r.CommunityRating,
+			downloads: r.DownloadCount,
+			isHashMatch: !!r.IsHashMatch,
+			isForced: !!r.IsForced
+		}))
+		.sort((a, b) => (b.isHashMatch - a.isHashMatch) ||
+			((b.rating || 0) - (a.rating || 0)) ||
+			((b.downloads || 0) - (a.downloads || 0)));
+};
+
+// The server saves the file and then refreshes the item, so new tracks show up with a delay
+const SUBTITLE_REFRESH_ATTEMPTS = 6;
+const SUBTITLE_REFRESH_INTERVAL_MS = 2000;
+
+const subtitleStreamKey = (s) => `${s.index}|${s.codec}|${s.language}|${s.displayTitle}|${s.isExternal}`;
+
+/**
+ * Have the server download a remote subtitle, then re-read the item's subtitle
+ * streams. The playback session itself is left alone.
+ * @param {string} subtitleId - id from searchRemoteSubtitles
+ * @param {Array} currentStreams - Subtitle streams before the download
+ * @returns {Promise<{subtitleStreams: Array, addedStream: Object|null}>}
+ */
+export const downloadRemoteSubtitle = async (subtitleId, currentStreams = []) => {
+	if (!currentSession) throw new Error('No active playback session');
+
+	const {itemId, mediaSourceId} = currentSession;
+	const {api, serverUrl} = getItemServer();
+	await api.downloadRemoteSubtitle(itemId, subtitleId);
+
+	const known = new Set(currentStreams.map(subtitleStreamKey));
+	let subtitleStreams = currentStreams;
+	for (let attempt = 0; attempt < SUBTITLE_REFRESH_ATTEMPTS; attempt++) {
+		await new Promise(resolve => setTimeout(resolve, SUBTITLE_REFRESH_INTERVAL_MS));
+		try {
+			const item = await api.getItem(itemId);
+			const mediaSource = item?.MediaSources?.find(s => s.Id === mediaSourceId) || item?.MediaSources?.[0];
+			if (mediaSource) subtitleStreams = extractSubtitleStreams(mediaSource, serverUrl);
+		} catch (err) {
+			console.warn('[Playback] Failed to refresh subtitle streams:', err.message);
+		}
+		const added = subtitleStreams.filter(s => !known.has(subtitleStreamKey(s)));
+		if (added.length) {
+			console.log('[Playback] Downloaded subtitle is available as stream', added[added.length - 1].index);
+			return {subtitleStreams, addedStream: added.find(s => s.isExternal) || added[added.length - 1]};
+		}
+	}
+
+	console.warn('[Playback] Downloaded subtitle did not show up on the item yet');
+	return {subtitleStreams, addedStream: null};
+};
+
 const mapChapters = (chapters) => chapters.map((c, i) => ({
 	index: i,
 	name: c.Name || `Chapter ${i + 1}`,
@@ -564,7 +833,7 @@ export const fetchItemChapters = async (itemId, item) => {
 		return mapChapters(item.Chapters);
 	}
 	try {
-		const api = item ? getApiForItem(item) : jellyfinApi.api;
+		const {api} = getItemServer(item || itemId);
 		const fullItem = await api.getItem(itemId);
 		if (fullItem?.Chapters?.length > 0) {
 			return mapChapters(fullItem.Chapters);
@@ -575,16 +844,14 @@ export const fetchItemChapters = async (itemId, item) => {
 	return [];
 };
 
-export const getChapterImageUrl = (itemId, chapterIndex, width = 320) => {
-	const serverUrl = jellyfinApi.getServerUrl();
-	const apiKey = jellyfinApi.getApiKey();
+export const getChapterImageUrl = (itemId, chapterIndex, width = 320, item) => {
+	const {serverUrl, apiKey} = getItemServer(item || itemId);
 	return `${serverUrl}/Items/${itemId}/Images/Chapter/${chapterIndex}?maxWidth=${width}&api_key=${apiKey}`;
 };
 
-export const getTrickplayInfo = async (itemId) => {
+export const getTrickplayInfo = async (itemId, item) => {
 	try {
-		const serverUrl = jellyfinApi.getServerUrl();
-		const apiKey = jellyfinApi.getApiKey();
+		const {serverUrl, apiKey} = getItemServer(item || itemId);
 		const response = await fetch(`${serverUrl}/Videos/${itemId}/Trickplay?api_key=${apiKey}`);
 		if (response.ok) {
 			return response.json();
@@ -593,27 +860,29 @@ export const getTrickplayInfo = async (itemId) => {
 	return null;
 };
 
-export const getMediaSegments = async (itemId) => {
-	const segments = {
-		introStart: null,
-		introEnd: null,
-		creditsStart: null
-	};
+/**
+ * Get the skippable segments of an item
+ * @param {string} itemId
+ * @param {Object} [item] - Full item, for items from another server
+ * @returns {Promise<Array<{type: string, startTicks: number, endTicks: number}>>}
+ *   Sorted by start; type is one of SEGMENT_TYPES (Intro, Recap, Preview, Commercial, Outro)
+ */
+export const getMediaSegments = async (itemId, item) => {
+	const segments = [];
+	const {api} = getItemServer(item || itemId);
 
 	// Try the Media Segments API first (uses authenticated request)
 	try {
-		const data = await jellyfinApi.api.getMediaSegments(itemId);
+		const data = await api.getMediaSegments(itemId);
 		if (data?.Items && data.Items.length > 0) {
 			for (const seg of data.Items) {
-				const type = seg.Type?.toLowerCase();
-				if (type === 'intro') {
-					segments.introStart = seg.StartTicks;
-					segments.introEnd = seg.EndTicks;
-				} else if (type === 'outro' || type === 'credits') {
-					segments.creditsStart = seg.StartTicks;
+				const type = normalizeSegmentType(seg.Type);
+				if (type && seg.EndTicks > seg.StartTicks) {
+					segments.push({type, startTicks: seg.StartTicks, endTicks: seg.EndTicks});
 				}
 			}
-			if (segments.introStart !== null || segments.creditsStart !== null) {
+			if (segments.length > 0) {
+				segments.sort((a, b) => a.startTicks - b.startTicks);
 				console.log('[Playback] Media segments found:', segments);
 				return segments;
 			}
@@ -622,33 +891,32 @@ export const getMediaSegments = async (itemId) => {
 		console.warn('[Playback] Media Segments API not available, falling back to chapters:', e.message);
 	}
 
-	// Fallback: check chapter markers
+	// Fallback: check chapter markers (only intro and credits can be told apart)
 	try {
-		const item = await jellyfinApi.api.getItemWithChapters(itemId);
+		const fullItem = await api.getItemWithChapters(itemId);
 
-		if (item?.Chapters) {
-			const introIndex = item.Chapters.findIndex(c =>
+		if (fullItem?.Chapters) {
+			const introIndex = fullItem.Chapters.findIndex(c =>
 				c.MarkerType === 'IntroStart' ||
 				c.Name?.toLowerCase().includes('intro')
 			);
 			if (introIndex >= 0) {
-				segments.introStart = item.Chapters[introIndex].StartPositionTicks;
-				if (introIndex + 1 < item.Chapters.length) {
-					segments.introEnd = item.Chapters[introIndex + 1].StartPositionTicks;
-				} else {
-					segments.introEnd = segments.introStart + 1200000000; // 2 minutes
-				}
+				const startTicks = fullItem.Chapters[introIndex].StartPositionTicks;
+				const endTicks = introIndex + 1 < fullItem.Chapters.length
+					? fullItem.Chapters[introIndex + 1].StartPositionTicks
+					: startTicks + 1200000000; // 2 minutes
+				segments.push({type: 'Intro', startTicks, endTicks});
 			}
 
-			const creditsChapter = item.Chapters.find(c =>
+			const creditsChapter = fullItem.Chapters.find(c =>
 				c.MarkerType === 'Credits' ||
 				c.Name?.toLowerCase().includes('credit')
 			);
-			if (creditsChapter) {
-				segments.creditsStart = creditsChapter.StartPositionTicks;
+			if (creditsChapter && fullItem.RunTimeTicks > creditsChapter.StartPositionTicks) {
+				segments.push({type: 'Outro', startTicks: creditsChapter.StartPositionTicks, endTicks: fullItem.RunTimeTicks});
 			}
 
-			if (segments.introStart !== null || segments.creditsStart !== null) {
+			if (segments.length > 0) {
 				console.log('[Playback] Segments found via chapters:', segments);
 			}
 		}
@@ -659,16 +927,30 @@ export const getMediaSegments = async (itemId) => {
 	return segments;
 };
 
+// Items fetched for a cross-server item belong to that item's server
+const withServerOf = (fetched, source) => {
+	if (!fetched || !source?._serverUrl) return fetched;
+	return {
+		...fetched,
+		_serverUrl: source._serverUrl,
+		_serverAccessToken: source._serverAccessToken,
+		_serverUserId: source._serverUserId,
+		_serverName: source._serverName,
+		_serverId: source._serverId
+	};
+};
+
 export const getNextEpisode = async (item) => {
 	if (item.Type !== 'Episode' || !item.SeriesId) return null;
+	const {api} = getItemServer(item);
 	try {
 		// Try NextUp API first - returns the next unwatched episode
-		const result = await jellyfinApi.api.getNextEpisode(item.SeriesId, item.Id);
+		const result = await api.getNextEpisode(item.SeriesId, item.Id);
 		const nextUp = result.Items?.[0];
 
 		// If NextUp returned a different episode, use it
 		if (nextUp && nextUp.Id !== item.Id) {
-			return nextUp;
+			return withServerOf(nextUp, item);
 		}
 
 		// NextUp returned the same episode (current episode not marked as watched yet)
@@ -676,24 +958,24 @@ export const getNextEpisode = async (item) => {
 		const seasonId = item.SeasonId || item.ParentId;
 		if (!seasonId) return null;
 
-		const episodesResult = await jellyfinApi.api.getEpisodes(item.SeriesId, seasonId);
+		const episodesResult = await api.getEpisodes(item.SeriesId, seasonId);
 		const episodes = episodesResult.Items || [];
 		const currentIndex = episodes.findIndex(ep => ep.Id === item.Id);
 
 		if (currentIndex >= 0 && currentIndex < episodes.length - 1) {
 			// Return the next episode in the same season
-			return episodes[currentIndex + 1];
+			return withServerOf(episodes[currentIndex + 1], item);
 		}
 
 		// At end of season - try the next season
-		const seasonsResult = await jellyfinApi.api.getSeasons(item.SeriesId);
+		const seasonsResult = await api.getSeasons(item.SeriesId);
 		const seasons = seasonsResult.Items || [];
 		const currentSeasonIndex = seasons.findIndex(s => s.Id === seasonId);
 
 		if (currentSeasonIndex >= 0 && currentSeasonIndex < seasons.length - 1) {
 			const nextSeason = seasons[currentSeasonIndex + 1];
-			const nextSeasonEpisodes = await jellyfinApi.api.getEpisodes(item.SeriesId, nextSeason.Id);
-			return nextSeasonEpisodes.Items?.[0] || null;
+			const nextSeasonEpisodes = await api.getEpisodes(item.SeriesId, nextSeason.Id);
+			return withServerOf(nextSeasonEpisodes.Items?.[0] || null, item);
 		}
 
 		return null;
@@ -739,13 +1021,7 @@ export const reportStart = async (positionTicks = 0) => {
 
 	try {
 		// Use session's server credentials for cross-server support
-		const api = currentSession.serverCredentials
-			? jellyfinApi.createApiForServer(
-				currentSession.serverCredentials.serverUrl,
-				currentSession.serverCredentials.accessToken,
-				currentSession.serverCredentials.userId
-			)
-			: jellyfinApi.api;
+		const {api} = getItemServer();
 
 		await api.reportPlaybackStart({
 			ItemId: currentSession.itemId,
@@ -768,13 +1044,7 @@ export const reportProgress = async (positionTicks, options = {}) => {
 
 	try {
 		// Use session's server credentials for cross-server support
-		const api = currentSession.serverCredentials
-			? jellyfinApi.createApiForServer(
-				currentSession.serverCredentials.serverUrl,
-				currentSession.serverCredentials.accessToken,
-				currentSession.serverCredentials.userId
-			)
-			: jellyfinApi.api;
+		const {api} = getItemServer();
 
 		const info = {
 			ItemId: currentSession.itemId,
@@ -819,13 +1089,7 @@ export const reportStop = async (positionTicks) => {
 
 	try {
 		// Use session's server credentials for cross-server support
-		const api = currentSession.serverCredentials
-			? jellyfinApi.createApiForServer(
-				currentSession.serverCredentials.serverUrl,
-				currentSession.serverCredentials.accessToken,
-				currentSession.serverCredentials.userId
-			)
-			: jellyfinApi.api;
+		const {api} = getItemServer();
 
 		await api.reportPlaybackStopped({
 			ItemId: currentSession.itemId,
@@ -858,6 +1122,7 @@ class PlaybackHealthMonitor {
 		this.bufferEvents = [];
 		this.lastProgressTime = Date.now();
 		this.isHealthy = true;
+		this.isBufferingRepeatedly = false;
 	}
 
 	recordBuffer() {
@@ -867,6 +1132,7 @@ class PlaybackHealthMonitor {
 
 		if (this.bufferEvents.length > 5) {
 			this.isHealthy = false;
+			this.isBufferingRepeatedly = true;
 		}
 	}
 
@@ -893,11 +1159,18 @@ class PlaybackHealthMonitor {
 		this.bufferEvents = [];
 		this.lastProgressTime = Date.now();
 		this.isHealthy = true;
+		this.isBufferingRepeatedly = false;
 	}
 
 	shouldFallbackToTranscode() {
 		return !this.isHealthy && currentSession?.playMethod !== PlayMethod.Transcode;
 	}
+
+	// A transcode that keeps buffering needs a lower bitrate rather than a different play method
+	shouldStepDownBitrate() {
+		return this.isBufferingRepeatedly && currentSession?.playMethod === PlayMethod.Transcode &&
+			!!currentSession.adaptiveBitrate && !(currentSession.maxBitrate > 0);
+	}
 }
 
 let healthMonitorInstance = null;
@@ -909,7 +1182,11 @@ export const getHealthMonitor = () => {
 	return healthMonitorInstance;
 };
 
-export const startHealthMonitoring = (onUnhealthy) => {
+/**
+ * @param {Function} onUnhealthy - Direct play is failing and should fall back to transcoding
+ * @param {Function} [onBuffering] - An adaptive transcode keeps buffering; call stepDownStreamingBitrate and restart
+ */
+export const startHealthMonitoring = (onUnhealthy, onBuffering) => {
 	stopHealthMonitoring();
 
 	const monitor = getHealthMonitor();
@@ -919,13 +1196,113 @@ export const startHealthMonitoring = (onUnhealthy) => {
 		if (!monitor.checkHealth()) {
 			if (onUnhealthy && monitor.shouldFallbackToTranscode()) {
 				onUnhealthy();
+			} else if (onBuffering && monitor.shouldStepDownBitrate()) {
+				onBuffering();
 			}
 		}
 	}, 5000);
 };
 
+/**
+ * Lower the bitrate for the current server by one step. The next
+ * adaptive getPlaybackInfo call for that server streams at it.
+ * @returns {number|null} The new bitrate, or null when already at the lowest step
+ */
+export const stepDownStreamingBitrate = () => {
+	if (!currentSession?.streamingBitrate) return null;
+	const {serverUrl} = getItemServer();
+	return stepDownBitrate(serverUrl, currentSession.streamingBitrate);
+};
+
+/**
+ * Why the server is transcoding the current stream, from the TranscodeReasons
+ * in the transcoding URL
+ * @returns {Array<string>} Reason codes (e.g. VideoCodecNotSupported); empty unless transcoding
+ */
+export const getTranscodeReasons = () => {
+	const url = currentSession?.mediaSource?.TranscodingUrl || '';
+	const match = url.match(/TranscodeReasons=([^&]+)/);
+	return match ? decodeURIComponent(match[1]).split(',').filter(Boolean) : [];
+};
+
+/**
+ * Why the current stream is transcoding and what could avoid it. Combines the
+ * server's TranscodeReasons with the device capability check behind getPlayMethod.
+ * @returns {{reasons: Array<string>, issues: Array<string>, remedies: Array<Object>}|null}
+ *   issues: failed device checks (video, audio, container, hdr, bitrate, codecContainer).
+ *   remedies: {type: 'audio', audioStreamIndex, label} | {type: 'subtitlesOff'} | {type: 'version', mediaSourceId, label}.
+ *   null unless transcoding.
+ */
+export const explainTranscode = () => {
+	if (currentSession?.playMethod !== PlayMethod.Transcode) return null;
+	const {mediaSource, capabilities, audioStreamIndex, subtitleStreamIndex} = currentSession;
+	const reasons = getTranscodeReasons();
+
+	const checks = checkCompatibility(mediaSource, capabilities);
+	const issues = Object.keys(checks)
+		.filter(key => checks[key] === false)
+		.map(key => key.replace(/Ok$/, ''));
+
+	const remedies = [];
+
+	// The picked audio track can need transcoding even when another track wouldn't
+	const audioStream = mediaSource.MediaStreams?.find(s => s.Type === 'Audio' && s.Index === audioStreamIndex);
+	const supportedAudio = getSupportedAudioCodecs(capabilities, (mediaSource.Container || '').toLowerCase());
+	const audioUnsupported = audioStream?.Codec && !supportedAudio.includes(audioStream.Codec.toLowerCase());
+	if (audioUnsupported || reasons.some(r => r.startsWith('Audio'))) {
+		const compatibleIndex = findCompatibleAudioStreamIndex(mediaSource, capabilities);
+		const compatibleStream = mediaSource.MediaStreams?.find(s => s.Index === compatibleIndex);
+		if (compatibleStream && compatibleIndex !== audioStreamIndex) {
+			remedies.push({
+				type: 'audio',
+				audioStreamIndex: compatibleIndex,
+				label: compatibleStream.DisplayTitle || compatibleStream.Language || compatibleStream.Codec
+			});
+		}
+	}
+
+	// Subtitles the server has to draw into the picture
+	const subtitleStream = subtitleStreamIndex >= 0
+		? mediaSource.MediaStreams?.find(s => s.Type === 'Subtitle' && s.Index === subtitleStreamIndex)
+		: null;
+	if (subtitleStream && (subtitleStream.DeliveryMethod === 'Encode' || reasons.some(r => r.startsWith('Subtitle')))) {
+		remedies.push({type: 'subtitlesOff'});
+	}
+
+	// Other versions of the item that this TV can play without transcoding
+	(currentSession.mediaSources || [])
+		.filter(source => source.Id !== mediaSource.Id && getPlayMethod(source, capabilities) !== PlayMethod.Transcode)
+		.forEach(source => {
+			remedies.push({type: 'version', mediaSourceId: source.Id, label: source.Name || source.Container});
+		});
+
+	return {reasons, issues, remedies};
+};
+
+/**
+ * The server's live view of the transcode for this device: output codecs,
+ * bitrate, framerate, hardware acceleration and progress
+ * @returns {Promise<Object|null>} TranscodingInfo, or null when not transcoding
+ */
+export const getTranscodingInfo = async () => {
+	if (currentSession?.playMethod !== PlayMethod.Transcode) return null;
+	const {api} = getItemServer();
+	const sessions = await api.getDeviceSessions();
+	const session = (sessions || []).find(s => s.PlayState?.MediaSourceId === currentSession.mediaSourceId) ||
+		(sessions || []).find(s => s.TranscodingInfo);
+	return session?.TranscodingInfo || null;
+};
+
 export const getCurrentSession = () => currentSession;
 
+/**
+ * Make a session prepared with `deferSession` the current one, so reportStart,
+ * reportProgress and reportStop apply to it.
+ */
+export const activateSession = (session) => {
+	currentSession = session;
+};
+
 export const isDirectPlay = () => currentSession?.playMethod === PlayMethod.DirectPlay;
 
 export const getPlaybackUrl = async (itemId, startPositionTicks = 0, options = {}) => {
@@ -939,7 +1316,14 @@ export default {
 	getPlaybackInfo,
 	getPlaybackInfoWithFallback,
 	getPlaybackUrl,
+	getItemServer,
 	getSubtitleUrl,
+	isStyledSubtitle,
+	fetchStyledSubtitle,
+	isBitmapSubtitle,
+	fetchBitmapSubtitle,
+	searchRemoteSubtitles,
+	downloadRemoteSubtitle,
 	fetchItemChapters,
 	getChapterImageUrl,
 	getTrickplayInfo,
@@ -956,6 +1340,11 @@ export default {
 	getHealthMonitor,
 	startHealthMonitoring,
 	stopHealthMonitoring,
+	stepDownStreamingBitrate,
+	getTranscodeReasons,
+	getTranscodingInfo,
+	explainTranscode,
 	getCurrentSession,
+	activateSession,
 	isDirectPlay
 };
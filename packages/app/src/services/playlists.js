@@ -0,0 +1,50 @@
+/**
+ * Playlists
+ * Find, create and add to playlists. Every call goes to the server
+ * the item came from, so cross-server items land in that server's playlists.
+ */
+
+import * as jellyfinApi from './jellyfinApi';
+import {getApiForItem} from './connectionPool';
+
+const AUDIO_TYPES = ['Audio', 'MusicAlbum', 'MusicArtist'];
+const PLAYLIST_ITEM_TYPES = [...AUDIO_TYPES, 'Movie', 'Episode', 'Season', 'Series', 'Video', 'MusicVideo'];
+
+const getApi = (item) => getApiForItem(item) || jellyfinApi.api;
+
+export const canAddToPlaylist = (item) => PLAYLIST_ITEM_TYPES.includes(item?.Type);
+
+/**
+ * Playlist media type an item belongs in
+ * @returns {'Audio'|'Video'}
+ */
+export const getPlaylistMediaType = (item) => (AUDIO_TYPES.includes(item?.Type) ? 'Audio' : 'Video');
+
+/**
+ * Playlists on the item's server that can hold it
+ * @returns {Promise<Array>} Playlists of the same media type, plus any without one yet
+ */
+export const fetchPlaylistsFor = async (item) => {
+	const mediaType = getPlaylistMediaType(item);
+	const result = await getApi(item).getPlaylists();
+	return (result?.Items || []).filter(playlist =>
+		!playlist.MediaType || playlist.MediaType === 'Unknown' || playlist.MediaType === mediaType
+	);
+};
+
+export const addToPlaylist = (playlist, item) => getApi(item).addToPlaylist(playlist.Id, [item.Id]);
+
+/**
+ * Create a playlist containing the item
+ * @returns {Promise<Object>} {Id} of the new playlist
+ */
+export const createPlaylistWith = (name, item) =>
+	getApi(item).createPlaylist(name, [item.Id], getPlaylistMediaType(item));
+
+export default {
+	canAddToPlaylist,
+	getPlaylistMediaType,
+	fetchPlaylistsFor,
+	addToPlaylist,
+	createPlaylistWith
+};
@@ -0,0 +1,102 @@
+/**
+ * Program Reminders
+ * Reminders for upcoming Live TV programs, kept on the device rather than the
+ * server. ReminderToast raises each one shortly before the program starts,
+ * and on Tizen the Smart Hub preview lists the ones still to come.
+ */
+import {getFromStorage, saveToStorage} from './storage';
+
+const STORAGE_KEY = 'livetv_reminders';
+
+// Minutes before the start a reminder can be raised; labels are formatted where shown
+export const REMINDER_LEAD_MINUTES = [1, 2, 5, 10, 15, 30];
+
+let reminders = null;
+const listeners = new Set();
+
+// Programs that have ended have nothing left to remind about
+const dropEnded = (list) => {
+	const now = Date.now();
+	return list.filter(reminder => new Date(reminder.endDate).getTime() > now);
+};
+
+const load = async () => {
+	if (!reminders) {
+		try {
+			reminders = dropEnded((await getFromStorage(STORAGE_KEY)) || []);
+		} catch (e) {
+			console.warn('[Reminders] Failed to load:', e);
+			reminders = [];
+		}
+	}
+	return reminders;
+};
+
+const persist = async (next) => {
+	reminders = dropEnded(next).sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+	listeners.forEach(listener => {
+		try {
+			listener(reminders);
+		} catch (e) {
+			console.warn('[Reminders] Listener error:', e);
+		}
+	});
+	try {
+		await saveToStorage(STORAGE_KEY, reminders);
+	} catch (e) {
+		console.warn('[Reminders] Failed to save:', e);
+	}
+};
+
+/**
+ * Reminders for programs that haven't ended, soonest first
+ * @returns {Promise<Array>}
+ */
+export const getReminders = async () => dropEnded(await load());
+
+/**
+ * Listen for reminder changes; the listener also gets the current list once loaded
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeReminders = (listener) => {
+	listeners.add(listener);
+	getReminders().then(list => {
+		if (listeners.has(listener)) listener(list);
+	});
+	return () => listeners.delete(listener);
+};
+
+/**
+ * Remind about a guide program. Only what the toast and the Smart Hub tile
+ * need is kept, so a reminder outlives the guide data it was made from.
+ * @param {Object} program - Guide program
+ * @param {Object} [channel] - Channel it airs on, when the program doesn't name it
+ */
+export const addReminder = async (program, channel) => {
+	const all = await load();
+	const reminder = {
+		programId: program.Id,
+		name: program.Name,
+		episodeTitle: program.EpisodeTitle || null,
+		startDate: program.StartDate,
+		endDate: program.EndDate,
+		channelId: program.ChannelId || channel?.Id,
+		channelName: channel?.Name || program.ChannelName || null,
+		channelNumber: channel?.ChannelNumber || null,
+		serverId: program.ServerId || channel?.ServerId || null,
+		imageItemId: program.ImageTags?.Primary ? program.Id : (program.SeriesId || null),
+		notified: false
+	};
+	await persist([...all.filter(r => r.programId !== program.Id), reminder]);
+};
+
+export const removeReminder = async (programId) => {
+	const all = await load();
+	await persist(all.filter(r => r.programId !== programId));
+};
+
+// Keeps a reminder from being raised again, e.g. after the app restarts
+export const markReminderNotified = async (programId) => {
+	const all = await load();
+	await persist(all.map(r => (r.programId === programId ? {...r, notified: true} : r)));
+};
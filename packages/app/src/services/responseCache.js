@@ -0,0 +1,235 @@
+/**
+ * Response Cache
+ *
+ * Sits under jellyfinApi's request functions and keeps GET responses for the
+ * endpoints that drive home rows and library browsing. Responses are served
+ * stale-while-revalidate: an expired entry is returned immediately and
+ * refreshed in the background, and a window event tells views to re-read it.
+ * When the server can't be reached, any cached copy is served instead of
+ * failing. Entries are persisted to platform storage within a size budget.
+ */
+import {getFromStorage, saveToStorage, removeFromStorage} from './storage';
+
+const STORAGE_KEY = 'response_cache';
+const STORAGE_VERSION = 1;
+
+export const CACHE_UPDATED_EVENT = 'moonfin:responseCacheUpdated';
+
+// How long a response counts as fresh, per endpoint class
+const CACHE_TTL = {
+	views: 30 * 60 * 1000,
+	latest: 10 * 60 * 1000,
+	resume: 60 * 1000,
+	items: 5 * 60 * 1000
+};
+
+export const CACHE_CATEGORIES = Object.keys(CACHE_TTL);
+
+// Stale entries are still better than an empty screen, but not forever
+const MAX_STALE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Budget for the persisted cache (serialized characters); oldest-used entries go first
+const MAX_CACHE_CHARS = 1024 * 1024;
+
+// Single responses above this (e.g. the full item list for Genres) aren't worth the space
+const MAX_ENTRY_CHARS = 256 * 1024;
+
+const PERSIST_DELAY_MS = 2000;
+
+// Successful writes that make cached reads out of date
+const MUTATION_INVALIDATIONS = [
+	{pattern: /\/FavoriteItems\//, categories: ['latest', 'items']},
+	{pattern: /\/PlayedItems\//, categories: ['resume', 'latest', 'items']},
+	{pattern: /^\/Sessions\/Playing\/Stopped/, categories: ['resume', 'latest', 'items']},
+	{pattern: /^\/Playlists/, categories: ['items']}
+];
+
+// key -> {category, data, size, storedAt, invalid}; Map order doubles as LRU order
+const entries = new Map();
+const inFlight = new Map();
+let totalSize = 0;
+let loadPromise = null;
+let persistTimer = null;
+
+const normalizeUrl = (url) => (url || '').replace(/\/+$/, '').toLowerCase();
+
+const makeKey = (serverUrl, userId, endpoint) => `${normalizeUrl(serverUrl)}|${userId || ''}|${endpoint}`;
+
+/**
+ * Endpoint class for a GET endpoint
+ * @param {string} endpoint - Path and query, as passed to request()
+ * @returns {string|null} One of CACHE_CATEGORIES, or null if the endpoint isn't cached
+ */
+export const getCacheCategory = (endpoint) => {
+	const [path, query = ''] = endpoint.split('?');
+	// Random picks and searches should never repeat a previous answer
+	if (/SortBy=Random|searchTerm=|StartItemId=/i.test(query)) return null;
+	if (/^\/Users\/[^/]+\/Views$/.test(path)) return 'views';
+	if (/^\/Users\/[^/]+\/Items\/Latest$/.test(path)) return 'latest';
+	if (/^\/Users\/[^/]+\/Items\/Resume$/.test(path) || path === '/Shows/NextUp') return 'resume';
+	if (/^\/Users\/[^/]+\/Items$/.test(path) || path === '/Artists/AlbumArtists' || path === '/Genres') return 'items';
+	return null;
+};
+
+// Network failures and gateway errors mean "unreachable"; 4xx answers are real
+const isUnreachableError = (err) => !err?.status || err.status >= 500;
+
+const removeEntry = (key) => {
+	const entry = entries.get(key);
+	if (!entry) return;
+	totalSize -= entry.size;
+	entries.delete(key);
+};
+
+const persist = () => {
+	if (persistTimer) clearTimeout(persistTimer);
+	persistTimer = setTimeout(() => {
+		persistTimer = null;
+		saveToStorage(STORAGE_KEY, {
+			version: STORAGE_VERSION,
+			entries: Array.from(entries.entries())
+		}).catch(e => console.warn('[ResponseCache] Failed to save:', e));
+	}, PERSIST_DELAY_MS);
+};
+
+const storeEntry = (key, category, data) => {
+	const size = JSON.stringify(data ?? null).length;
+	removeEntry(key);
+	if (size > MAX_ENTRY_CHARS) return;
+	entries.set(key, {category, data, size, storedAt: Date.now(), invalid: false});
+	totalSize += size;
+	while (totalSize > MAX_CACHE_CHARS && entries.size > 1) {
+		removeEntry(entries.keys().next().value);
+	}
+	persist();
+};
+
+const ensureLoaded = () => {
+	if (!loadPromise) {
+		const load = getFromStorage(STORAGE_KEY)
+			.then(stored => {
+				// Cleared while the read was pending
+				if (loadPromise !== load) return;
+				if (stored?.version !== STORAGE_VERSION || !Array.isArray(stored.entries)) return;
+				const now = Date.now();
+				stored.entries.forEach(([key, entry]) => {
+					if (entries.has(key) || !entry || now - entry.storedAt > MAX_STALE_MS) return;
+					entries.set(key, entry);
+					totalSize += entry.size || 0;
+				});
+				console.log(`[ResponseCache] Loaded ${entries.size} cached responses`);
+			})
+			.catch(e => console.warn('[ResponseCache] Failed to load:', e));
+		loadPromise = load;
+	}
+	return loadPromise;
+};
+
+const fetchAndStore = (key, category, fetcher) => {
+	if (inFlight.has(key)) return inFlight.get(key);
+	const promise = fetcher()
+		.then(data => {
+			storeEntry(key, category, data);
+			return data;
+		})
+		.finally(() => inFlight.delete(key));
+	inFlight.set(key, promise);
+	return promise;
+};
+
+const revalidate = (key, category, serverUrl, previousData, fetcher) => {
+	fetchAndStore(key, category, fetcher)
+		.then(data => {
+			if (JSON.stringify(data ?? null) === JSON.stringify(previousData ?? null)) return;
+			window.dispatchEvent(new CustomEvent(CACHE_UPDATED_EVENT, {detail: {serverUrl, category}}));
+		})
+		.catch(() => {
+			// Keep serving what we have; the next read tries again
+		});
+};
+
+/**
+ * Run a GET through the cache
+ * @param {string} serverUrl - Server the request goes to
+ * @param {string} userId - Signed-in user, so users on one TV never share entries
+ * @param {string} endpoint - Path and query
+ * @param {Function} fetcher - Performs the network request
+ * @returns {Promise<*>} Response data
+ */
+export const cachedRequest = async (serverUrl, userId, endpoint, fetcher) => {
+	const category = getCacheCategory(endpoint);
+	if (!category) return fetcher();
+
+	await ensureLoaded();
+	const key = makeKey(serverUrl, userId, endpoint);
+	const entry = entries.get(key);
+
+	if (entry && !entry.invalid) {
+		// Touch for LRU
+		entries.delete(key);
+		entries.set(key, entry);
+		if (Date.now() - entry.storedAt >= CACHE_TTL[category]) {
+			revalidate(key, category, serverUrl, entry.data, fetcher);
+		}
+		return entry.data;
+	}
+
+	try {
+		return await fetchAndStore(key, category, fetcher);
+	} catch (err) {
+		if (entry && isUnreachableError(err)) {
+			console.warn('[ResponseCache] Server unreachable, serving cached response for', endpoint);
+			return entry.data;
+		}
+		throw err;
+	}
+};
+
+/**
+ * Mark entries as out of date. They are refetched on next read but still
+ * served if the server turns out to be unreachable.
+ * @param {string} serverUrl - Only entries for this server
+ * @param {Array<string>} [categories] - Defaults to every category
+ */
+export const invalidateCache = (serverUrl, categories = CACHE_CATEGORIES) => {
+	const prefix = `${normalizeUrl(serverUrl)}|`;
+	let changed = false;
+	entries.forEach((entry, key) => {
+		if (key.startsWith(prefix) && categories.includes(entry.category) && !entry.invalid) {
+			entry.invalid = true;
+			changed = true;
+		}
+	});
+	if (changed) persist();
+};
+
+/**
+ * Invalidate whatever a successful write to `endpoint` changed
+ */
+export const invalidateForMutation = (serverUrl, endpoint) => {
+	MUTATION_INVALIDATIONS.forEach(({pattern, categories}) => {
+		if (pattern.test(endpoint)) invalidateCache(serverUrl, categories);
+	});
+};
+
+export const clearResponseCache = () => {
+	if (persistTimer) {
+		clearTimeout(persistTimer);
+		persistTimer = null;
+	}
+	entries.clear();
+	inFlight.clear();
+	totalSize = 0;
+	loadPromise = Promise.resolve();
+	removeFromStorage(STORAGE_KEY).catch(() => {});
+};
+
+export default {
+	CACHE_UPDATED_EVENT,
+	CACHE_CATEGORIES,
+	getCacheCategory,
+	cachedRequest,
+	invalidateCache,
+	invalidateForMutation,
+	clearResponseCache
+};
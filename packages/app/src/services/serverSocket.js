@@ -0,0 +1,251 @@
+/**
+ * Server Socket
+ * Persistent WebSocket connection to each Jellyfin server's /socket endpoint.
+ * Answers the server's KeepAlive handshake, reconnects with exponential
+ * backoff and fans incoming messages out to registered listeners.
+ */
+
+import {getDeviceId} from './jellyfinApi';
+
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 60000;
+const DEFAULT_KEEPALIVE_SECONDS = 60;
+
+// Normalized server URL -> connection
+const connections = {};
+let listeners = [];
+let onlineHandlerAttached = false;
+
+const normalizeUrl = (url) => (url || '').trim().replace(/\/+$/, '').toLowerCase();
+
+const getSocketUrl = (serverUrl, accessToken) =>
+	serverUrl.replace(/\/+$/, '').replace(/^http/i, 'ws') +
+	`/socket?api_key=${accessToken}&deviceId=${encodeURIComponent(getDeviceId() || '')}`;
+
+const notify = (message, connection) => {
+	const info = {serverId: connection.serverId, serverUrl: connection.serverUrl};
+	listeners.forEach(listener => {
+		try {
+			listener(message, info);
+		} catch (e) {
+			console.warn('[ServerSocket] Listener error:', e);
+		}
+	});
+};
+
+const clearTimers = (connection) => {
+	if (connection.keepAliveTimer) {
+		clearInterval(connection.keepAliveTimer);
+		connection.keepAliveTimer = null;
+	}
+	if (connection.reconnectTimer) {
+		clearTimeout(connection.reconnectTimer);
+		connection.reconnectTimer = null;
+	}
+};
+
+const send = (connection, messageType, data) => {
+	const ws = connection.ws;
+	if (!ws || ws.readyState !== 1) return false;
+	const message = {MessageType: messageType};
+	if (data !== undefined) message.Data = data;
+	ws.send(JSON.stringify(message));
+	return true;
+};
+
+const scheduleReconnect = (connection) => {
+	if (connection.closed || connection.reconnectTimer) return;
+	const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * Math.pow(2, connection.attempts));
+	connection.attempts++;
+	console.log(`[ServerSocket] Reconnecting to ${connection.serverUrl} in ${delay}ms`);
+	connection.reconnectTimer = setTimeout(() => {
+		connection.reconnectTimer = null;
+		open(connection); // eslint-disable-line no-use-before-define
+	}, delay);
+};
+
+const open = (connection) => {
+	if (connection.closed) return;
+	let ws;
+	try {
+		ws = new WebSocket(getSocketUrl(connection.serverUrl, connection.accessToken));
+	} catch (e) {
+		console.warn('[ServerSocket] Failed to open socket:', e);
+		scheduleReconnect(connection);
+		return;
+	}
+	connection.ws = ws;
+
+	ws.onopen = () => {
+		connection.attempts = 0;
+		console.log('[ServerSocket] Connected to', connection.serverUrl);
+	};
+
+	ws.onmessage = (event) => {
+		let message;
+		try {
+			message = JSON.parse(event.data);
+		} catch (e) {
+			return;
+		}
+		if (!message?.MessageType) return;
+
+		if (message.MessageType === 'ForceKeepAlive') {
+			// Server expects a KeepAlive at least once per timeout; send at half the interval
+			const seconds = message.Data || DEFAULT_KEEPALIVE_SECONDS;
+			if (connection.keepAliveTimer) clearInterval(connection.keepAliveTimer);
+			send(connection, 'KeepAlive');
+			connection.keepAliveTimer = setInterval(() => send(connection, 'KeepAlive'), seconds * 500);
+			return;
+		}
+		if (message.MessageType === 'KeepAlive') return;
+
+		notify(message, connection);
+	};
+
+	ws.onerror = () => {
+		console.warn('[ServerSocket] Socket error on', connection.serverUrl);
+	};
+
+	ws.onclose = () => {
+		if (connection.ws !== ws) return;
+		connection.ws = null;
+		if (connection.keepAliveTimer) {
+			clearInterval(connection.keepAliveTimer);
+			connection.keepAliveTimer = null;
+		}
+		scheduleReconnect(connection);
+	};
+};
+
+// Retry waiting connections as soon as the network comes back
+const handleOnline = () => {
+	Object.keys(connections).forEach(key => {
+		const connection = connections[key];
+		if (connection.reconnectTimer) {
+			clearTimeout(connection.reconnectTimer);
+			connection.reconnectTimer = null;
+			connection.attempts = 0;
+			open(connection);
+		}
+	});
+};
+
+/**
+ * Open (or reuse) the socket for a server. Reconnects if the token changed.
+ * @param {Object} server
+ * @param {string} server.serverUrl - Server URL
+ * @param {string} server.accessToken - Access token
+ * @param {string} [server.serverId] - multiServerManager server ID
+ */
+export const connectServer = ({serverUrl, accessToken, serverId = null}) => {
+	if (!serverUrl || !accessToken) return;
+	const key = normalizeUrl(serverUrl);
+	const existing = connections[key];
+
+	if (existing) {
+		if (serverId) existing.serverId = serverId;
+		if (existing.accessToken === accessToken) return;
+		disconnectServer(serverUrl); // eslint-disable-line no-use-before-define
+	}
+
+	if (!onlineHandlerAttached && typeof window !== 'undefined') {
+		window.addEventListener('online', handleOnline);
+		onlineHandlerAttached = true;
+	}
+
+	const connection = {
+		serverUrl,
+		serverId,
+		accessToken,
+		ws: null,
+		attempts: 0,
+		closed: false,
+		keepAliveTimer: null,
+		reconnectTimer: null
+	};
+	connections[key] = connection;
+	open(connection);
+};
+
+/**
+ * Close the socket for a server and stop reconnecting
+ * @param {string} serverUrl - Server URL
+ */
+export const disconnectServer = (serverUrl) => {
+	const key = normalizeUrl(serverUrl);
+	const connection = connections[key];
+	if (!connection) return;
+	connection.closed = true;
+	clearTimers(connection);
+	if (connection.ws) {
+		const ws = connection.ws;
+		connection.ws = null;
+		ws.onclose = null;
+		try {
+			ws.close();
+		} catch (e) {
+			void e;
+		}
+	}
+	delete connections[key];
+};
+
+export const disconnectAll = () => {
+	Object.keys(connections).forEach(key => disconnectServer(connections[key].serverUrl));
+};
+
+/**
+ * @returns {Array<string>} URLs of servers with an open or reconnecting socket
+ */
+export const getConnectedServers = () => Object.keys(connections).map(key => connections[key].serverUrl);
+
+export const isConnected = (serverUrl) => {
+	const connection = connections[normalizeUrl(serverUrl)];
+	return !!connection?.ws && connection.ws.readyState === 1;
+};
+
+/**
+ * Send a message to a server over its socket
+ * @returns {boolean} True if the message was sent
+ */
+export const sendMessage = (serverUrl, messageType, data) => {
+	const connection = connections[normalizeUrl(serverUrl)];
+	return connection ? send(connection, messageType, data) : false;
+};
+
+/**
+ * Listen for messages from every connected server
+ * @param {Function} listener - (message, {serverId, serverUrl}) => void
+ * @returns {Function} Unsubscribe function
+ */
+export const addMessageListener = (listener) => {
+	listeners.push(listener);
+	return () => {
+		listeners = listeners.filter(l => l !== listener);
+	};
+};
+
+/**
+ * Listen for messages from one server
+ * @returns {Function} Unsubscribe function
+ */
+export const addServerMessageListener = (serverUrl, listener) => {
+	const key = normalizeUrl(serverUrl);
+	return addMessageListener((message, info) => {
+		if (normalizeUrl(info.serverUrl) === key) {
+			listener(message, info);
+		}
+	});
+};
+
+export default {
+	connectServer,
+	disconnectServer,
+	disconnectAll,
+	getConnectedServers,
+	isConnected,
+	sendMessage,
+	addMessageListener,
+	addServerMessageListener
+};
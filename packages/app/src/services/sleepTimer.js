@@ -0,0 +1,118 @@
+/**
+ * Sleep Timer
+ * Stops playback after a set time or a number of episodes. The timer lives
+ * outside the player so it keeps counting across autoplayed episodes and
+ * also covers music playing in the background.
+ */
+import {getAudioPlayer} from './audioPlayer';
+
+export const SLEEP_TIMER_OPTIONS = [
+	{value: 'off', label: 'Off'},
+	{value: '15', label: '15 minutes', minutes: 15},
+	{value: '30', label: '30 minutes', minutes: 30},
+	{value: '60', label: '60 minutes', minutes: 60},
+	{value: '90', label: '90 minutes', minutes: 90},
+	{value: 'episode', label: 'End of current episode', episodes: 1},
+	{value: 'episodes-2', label: 'After 2 episodes', episodes: 2},
+	{value: 'episodes-3', label: 'After 3 episodes', episodes: 3},
+	{value: 'episodes-5', label: 'After 5 episodes', episodes: 5}
+];
+
+const OFF_STATE = {option: 'off', endsAt: null, episodesLeft: null, expired: false};
+
+let state = OFF_STATE;
+let expiryTimer = null;
+const listeners = new Set();
+
+const setState = (updates) => {
+	state = {...state, ...updates};
+	listeners.forEach(listener => {
+		try {
+			listener(state);
+		} catch (e) {
+			console.warn('[SleepTimer] Listener error:', e);
+		}
+	});
+};
+
+const clearExpiryTimer = () => {
+	if (expiryTimer) {
+		clearTimeout(expiryTimer);
+		expiryTimer = null;
+	}
+};
+
+const handleExpired = () => {
+	expiryTimer = null;
+	console.log('[SleepTimer] Time is up');
+	// Nobody to ask while music plays; the video player asks "still watching?" itself
+	getAudioPlayer().pause();
+	setState({endsAt: null, expired: true});
+};
+
+/**
+ * Start (or replace) the sleep timer
+ * @param {string} value - One of SLEEP_TIMER_OPTIONS values; 'off' cancels
+ */
+export const startSleepTimer = (value) => {
+	clearExpiryTimer();
+	const option = SLEEP_TIMER_OPTIONS.find(o => o.value === value);
+	if (!option || option.value === 'off') {
+		setState(OFF_STATE);
+		return;
+	}
+	console.log('[SleepTimer] Started:', option.value);
+	if (option.minutes) {
+		const durationMs = option.minutes * 60 * 1000;
+		expiryTimer = setTimeout(handleExpired, durationMs);
+		setState({option: option.value, endsAt: Date.now() + durationMs, episodesLeft: null, expired: false});
+	} else {
+		setState({option: option.value, endsAt: null, episodesLeft: option.episodes, expired: false});
+	}
+};
+
+export const cancelSleepTimer = () => startSleepTimer('off');
+
+// "Keep watching" starts a timed option over; episode counts just stop
+export const restartSleepTimer = () => {
+	const option = SLEEP_TIMER_OPTIONS.find(o => o.value === state.option);
+	startSleepTimer(option?.minutes ? option.value : 'off');
+};
+
+export const getSleepTimerState = () => state;
+
+/**
+ * Whether autoplay may move on to another episode
+ * @param {Object} [timerState] - Snapshot to check, defaults to the current state
+ */
+export const allowsAutoplay = (timerState = state) =>
+	!timerState.expired && (timerState.episodesLeft === null || timerState.episodesLeft > 1);
+
+/**
+ * Count an episode as watched; call when playback moves on to the next one
+ */
+export const countEpisode = () => {
+	if (state.episodesLeft !== null && state.episodesLeft > 1) {
+		setState({episodesLeft: state.episodesLeft - 1});
+	}
+};
+
+/**
+ * @param {Function} listener - Receives the new state on every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeSleepTimer = (listener) => {
+	listeners.add(listener);
+	return () => listeners.delete(listener);
+};
+
+export default {
+	SLEEP_TIMER_OPTIONS,
+	startSleepTimer,
+	cancelSleepTimer,
+	restartSleepTimer,
+	getSleepTimerState,
+	allowsAutoplay,
+	countEpisode,
+	subscribeSleepTimer
+};
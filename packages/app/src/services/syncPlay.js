@@ -0,0 +1,630 @@
+/**
+ * SyncPlay Engine
+ * Keeps the local player in step with a Jellyfin SyncPlay group.
+ *
+ * The engine is player-agnostic: TizenPlayer and WebOSPlayer attach a small
+ * adapter ({getPositionTicks, isPlaying, play, pause, seek, setRate}) and the
+ * engine drives it from the group commands pushed over the server socket.
+ * Server access, the socket and the clock are injected through the
+ * constructor so the engine can run against a mocked server.
+ */
+
+import * as jellyfinApi from './jellyfinApi';
+import {getCurrentSession} from './playback';
+import {connectServer, addServerMessageListener} from './serverSocket';
+
+const TICKS_PER_MS = 10000;
+
+// Time sync
+const TIME_SYNC_SAMPLES = 8;
+const TIME_SYNC_BURST = 3;
+const TIME_SYNC_INTERVAL = 60000;
+
+// Drift correction
+const DRIFT_CHECK_INTERVAL = 1000;
+const DRIFT_IGNORE_MS = 80;
+const SPEED_TO_SYNC_MAX_MS = 1000;
+const SPEED_TO_SYNC_DURATION = 1000;
+const SKIP_TO_SYNC_MIN_MS = 400;
+const CORRECTION_COOLDOWN = 3000;
+
+// Coalesce rapid seek requests (e.g. holding an arrow key) into one group seek
+const SEEK_REQUEST_DELAY = 500;
+
+export const GroupState = {
+	Idle: 'Idle',
+	Waiting: 'Waiting',
+	Paused: 'Paused',
+	Playing: 'Playing'
+};
+
+const parseTime = (value) => (value ? new Date(value).getTime() : 0);
+
+/**
+ * Estimate the offset between the local clock and the server clock.
+ * Uses NTP-style round trips against /GetUtcTime and keeps the sample
+ * with the lowest round-trip time, which has the smallest error bound.
+ */
+export class TimeSync {
+	constructor(getUtcTime, now = Date.now) {
+		this.getUtcTime = getUtcTime;
+		this.now = now;
+		this.samples = [];
+		this.best = null;
+	}
+
+	async update() {
+		const sent = this.now();
+		const result = await this.getUtcTime();
+		const received = this.now();
+
+		const serverReceived = parseTime(result?.RequestReceptionTime);
+		const serverSent = parseTime(result?.ResponseTransmissionTime);
+		if (!serverReceived || !serverSent) return this.best;
+
+		const offset = ((serverReceived - sent) + (serverSent - received)) / 2;
+		const roundTrip = Math.max(0, (received - sent) - (serverSent - serverReceived));
+
+		this.samples.push({offset, roundTrip});
+		if (this.samples.length > TIME_SYNC_SAMPLES) {
+			this.samples.shift();
+		}
+		this.best = this.samples.reduce((a, b) => (b.roundTrip < a.roundTrip ? b : a));
+		return this.best;
+	}
+
+	getOffset() {
+		return this.best ? this.best.offset : 0;
+	}
+
+	getRoundTrip() {
+		return this.best ? this.best.roundTrip : 0;
+	}
+
+	serverToLocal(serverMs) {
+		return serverMs - this.getOffset();
+	}
+
+	localToServer(localMs) {
+		return localMs + this.getOffset();
+	}
+
+	reset() {
+		this.samples = [];
+		this.best = null;
+	}
+}
+
+// Use the server of the active playback session so cross-server items join
+// groups on the server they are streamed from.
+const defaultResolveServer = () => {
+	const creds = getCurrentSession()?.serverCredentials;
+	if (creds?.serverUrl && creds?.accessToken) {
+		return {
+			api: jellyfinApi.createApiForServer(creds.serverUrl, creds.accessToken, creds.userId),
+			serverUrl: creds.serverUrl,
+			accessToken: creds.accessToken,
+			userId: creds.userId,
+			isCrossServer: true
+		};
+	}
+	return {
+		api: jellyfinApi.api,
+		serverUrl: jellyfinApi.getServerUrl(),
+		accessToken: jellyfinApi.getApiKey(),
+		userId: jellyfinApi.getUserId(),
+		isCrossServer: false
+	};
+};
+
+// SyncPlay rides on the shared server socket; closing only drops the listener
+// since the socket stays up for live library updates.
+const defaultCreateSocket = (serverUrl, accessToken, onMessage) => {
+	connectServer({serverUrl, accessToken});
+	const unsubscribe = addServerMessageListener(serverUrl, onMessage);
+	return {close: unsubscribe};
+};
+
+export class SyncPlayEngine {
+	/**
+	 * @param {Object} [options]
+	 * @param {Function} [options.resolveServer] - Returns {api, serverUrl, accessToken, userId, isCrossServer}
+	 * @param {Function} [options.createSocket] - (serverUrl, accessToken, onMessage) => {close()}
+	 * @param {Function} [options.now] - Local clock in milliseconds
+	 */
+	constructor({resolveServer, createSocket, now} = {}) {
+		this.resolveServer = resolveServer || defaultResolveServer;
+		this.createSocket = createSocket || defaultCreateSocket;
+		this.now = now || Date.now;
+
+		this.server = null;
+		this.socket = null;
+		this.timeSync = null;
+		this.group = null;
+		this.playQueue = null;
+		this.lastCommand = null;
+		this.player = null;
+		this.currentItemId = null;
+		this.isBuffering = false;
+		this.lastCorrectionTime = 0;
+		this.listeners = [];
+
+		this.commandTimer = null;
+		this.speedTimer = null;
+		this.seekTimer = null;
+		this.driftInterval = null;
+		this.timeSyncInterval = null;
+	}
+
+	// --- State & listeners ---
+
+	getState() {
+		const playlist = this.playQueue?.Playlist || [];
+		const playing = playlist[this.playQueue?.PlayingItemIndex];
+		return {
+			isInGroup: !!this.group,
+			groupId: this.group?.GroupId || null,
+			groupName: this.group?.GroupName || null,
+			groupState: this.group?.State || GroupState.Idle,
+			participants: this.group?.Participants || [],
+			playingItemId: playing?.ItemId || null,
+			timeOffset: this.timeSync ? this.timeSync.getOffset() : 0,
+			roundTrip: this.timeSync ? this.timeSync.getRoundTrip() : 0
+		};
+	}
+
+	subscribe(listener) {
+		this.listeners.push(listener);
+		return () => {
+			this.listeners = this.listeners.filter(l => l !== listener);
+		};
+	}
+
+	emit() {
+		const state = this.getState();
+		this.listeners.forEach(listener => {
+			try {
+				listener(state);
+			} catch (e) {
+				console.warn('[SyncPlay] Listener error:', e);
+			}
+		});
+	}
+
+	isInGroup() {
+		return !!this.group;
+	}
+
+	// --- Connection ---
+
+	/**
+	 * Connect to the server resolved for the current session. An existing
+	 * connection is kept while the server and token are unchanged; after a
+	 * logout, user switch or move to another server's item it is replaced.
+	 */
+	connect() {
+		const server = this.resolveServer();
+		if (this.socket) {
+			if (server?.serverUrl === this.server.serverUrl && server?.accessToken === this.server.accessToken) return;
+			console.log('[SyncPlay] Server or session changed, reconnecting');
+			this.disconnect();
+		}
+		if (!server?.serverUrl || !server?.accessToken) {
+			throw new Error('SyncPlay: no server available');
+		}
+		this.server = server;
+
+		this.timeSync = new TimeSync(() => this.server.api.getUtcTime(), this.now);
+		this.socket = this.createSocket(this.server.serverUrl, this.server.accessToken, (message) => this.handleMessage(message));
+		this.startTimeSync();
+		console.log('[SyncPlay] Connected to', this.server.serverUrl);
+	}
+
+	disconnect() {
+		const wasInGroup = this.isInGroup();
+		this.clearGroup();
+		this.stopTimeSync();
+		if (this.socket) {
+			this.socket.close();
+			this.socket = null;
+		}
+		this.server = null;
+		this.timeSync = null;
+		if (wasInGroup) this.emit();
+	}
+
+	startTimeSync() {
+		this.stopTimeSync();
+		const burst = async () => {
+			for (let i = 0; i < TIME_SYNC_BURST; i++) {
+				await this.updateTimeSync();
+			}
+		};
+		burst();
+		this.timeSyncInterval = setInterval(() => this.updateTimeSync(), TIME_SYNC_INTERVAL);
+	}
+
+	stopTimeSync() {
+		if (this.timeSyncInterval) {
+			clearInterval(this.timeSyncInterval);
+			this.timeSyncInterval = null;
+		}
+	}
+
+	async updateTimeSync() {
+		if (!this.timeSync) return;
+		try {
+			await this.timeSync.update();
+			if (this.group) {
+				await this.server.api.syncPlayPing(Math.round(this.timeSync.getRoundTrip()));
+			}
+		} catch (e) {
+			console.warn('[SyncPlay] Time sync failed:', e);
+		}
+	}
+
+	// --- Groups ---
+
+	async listGroups() {
+		this.connect();
+		const groups = await this.server.api.getSyncPlayGroups();
+		return Array.isArray(groups) ? groups : [];
+	}
+
+	async createGroup(groupName) {
+		this.connect();
+		await this.server.api.createSyncPlayGroup(groupName);
+	}
+
+	async joinGroup(groupId) {
+		this.connect();
+		await this.server.api.joinSyncPlayGroup(groupId);
+	}
+
+	async leaveGroup() {
+		if (!this.server) return;
+		try {
+			await this.server.api.leaveSyncPlayGroup();
+		} finally {
+			this.clearGroup();
+			this.emit();
+		}
+	}
+
+	async setNewQueue(itemIds, startPositionTicks = 0) {
+		if (!this.group) return;
+		await this.server.api.syncPlaySetNewQueue(itemIds, startPositionTicks);
+	}
+
+	/**
+	 * Fetch the group's playing item from the group's server, tagged with
+	 * cross-server fields so playback streams it from the same server.
+	 * @returns {Promise<Object|null>}
+	 */
+	async fetchPlayingItem() {
+		const {playingItemId} = this.getState();
+		if (!playingItemId || !this.server) return null;
+		const item = await this.server.api.getItem(playingItemId);
+		if (item && this.server.isCrossServer) {
+			item._serverUrl = this.server.serverUrl;
+			item._serverAccessToken = this.server.accessToken;
+			item._serverUserId = this.server.userId;
+		}
+		return item;
+	}
+
+	clearGroup() {
+		this.group = null;
+		this.playQueue = null;
+		this.lastCommand = null;
+		this.clearCommandTimer();
+		this.clearSpeedCorrection();
+		if (this.seekTimer) {
+			clearTimeout(this.seekTimer);
+			this.seekTimer = null;
+		}
+	}
+
+	// --- Player attachment ---
+
+	/**
+	 * Attach a player once its media is loaded.
+	 * @param {Object} player - Adapter with getPositionTicks, isPlaying, play, pause, seek and optional setRate
+	 * @param {string} itemId - Item currently loaded in the player
+	 */
+	attachPlayer(player, itemId) {
+		this.player = player;
+		this.currentItemId = itemId;
+		this.isBuffering = false;
+		this.startDriftCorrection();
+
+		if (!this.group) return;
+
+		const {playingItemId} = this.getState();
+		if (playingItemId && playingItemId !== itemId) {
+			// Playing something new while grouped replaces the group's queue
+			this.setNewQueue([itemId], player.getPositionTicks()).catch(e => {
+				console.warn('[SyncPlay] Failed to set group queue:', e);
+			});
+			return;
+		}
+
+		if (this.group.State !== GroupState.Playing) {
+			player.pause();
+		}
+		this.sendReady();
+	}
+
+	detachPlayer() {
+		this.stopDriftCorrection();
+		this.clearCommandTimer();
+		this.clearSpeedCorrection();
+		this.player = null;
+		this.currentItemId = null;
+	}
+
+	// --- Outgoing requests (return true when the group handles the action) ---
+
+	requestPlay() {
+		if (!this.group) return false;
+		this.server.api.syncPlayUnpause().catch(e => console.warn('[SyncPlay] Unpause request failed:', e));
+		return true;
+	}
+
+	requestPause() {
+		if (!this.group) return false;
+		this.server.api.syncPlayPause().catch(e => console.warn('[SyncPlay] Pause request failed:', e));
+		return true;
+	}
+
+	requestSeek(positionTicks) {
+		if (!this.group) return false;
+		if (this.seekTimer) clearTimeout(this.seekTimer);
+		this.seekTimer = setTimeout(() => {
+			this.seekTimer = null;
+			if (!this.group) return;
+			this.server.api.syncPlaySeek(Math.max(0, Math.floor(positionTicks))).catch(e => {
+				console.warn('[SyncPlay] Seek request failed:', e);
+			});
+		}, SEEK_REQUEST_DELAY);
+		return true;
+	}
+
+	reportBuffering(isBuffering) {
+		if (this.isBuffering === isBuffering) return;
+		this.isBuffering = isBuffering;
+		if (isBuffering) {
+			this.sendBufferState('syncPlayBuffering');
+		} else {
+			this.sendReady();
+		}
+	}
+
+	sendReady() {
+		this.sendBufferState('syncPlayReady');
+	}
+
+	sendBufferState(method) {
+		if (!this.group || !this.player) return;
+		const playlistItem = (this.playQueue?.Playlist || [])[this.playQueue?.PlayingItemIndex];
+		this.server.api[method]({
+			When: new Date(this.timeSync.localToServer(this.now())).toISOString(),
+			PositionTicks: Math.floor(this.player.getPositionTicks()),
+			IsPlaying: this.player.isPlaying(),
+			PlaylistItemId: playlistItem?.PlaylistItemId || null
+		}).catch(e => console.warn('[SyncPlay] Buffer state report failed:', e));
+	}
+
+	// --- Incoming messages ---
+
+	handleMessage(message) {
+		if (!message) return;
+		switch (message.MessageType) {
+			case 'SyncPlayCommand':
+				this.handleCommand(message.Data);
+				break;
+			case 'SyncPlayGroupUpdate':
+				this.handleGroupUpdate(message.Data);
+				break;
+			default:
+				break;
+		}
+	}
+
+	handleGroupUpdate(update) {
+		if (!update) return;
+		switch (update.Type) {
+			case 'GroupJoined':
+				this.group = update.Data;
+				console.log('[SyncPlay] Joined group:', this.group?.GroupName);
+				break;
+			case 'UserJoined':
+				if (this.group && !this.group.Participants?.includes(update.Data)) {
+					this.group = {...this.group, Participants: [...(this.group.Participants || []), update.Data]};
+				}
+				break;
+			case 'UserLeft':
+				if (this.group) {
+					this.group = {...this.group, Participants: (this.group.Participants || []).filter(p => p !== update.Data)};
+				}
+				break;
+			case 'StateUpdate':
+				if (this.group) {
+					this.group = {...this.group, State: update.Data?.State};
+				}
+				break;
+			case 'PlayQueue':
+				this.handlePlayQueue(update.Data);
+				break;
+			case 'GroupLeft':
+			case 'NotInGroup':
+			case 'GroupDoesNotExist':
+			case 'LibraryAccessDenied':
+				console.log('[SyncPlay] Left group:', update.Type);
+				this.clearGroup();
+				break;
+			default:
+				return;
+		}
+		this.emit();
+	}
+
+	handlePlayQueue(queue) {
+		if (!this.group || !queue) return;
+		this.playQueue = queue;
+		const playing = (queue.Playlist || [])[queue.PlayingItemIndex];
+		// A different item is picked up by the player through the emitted state
+		if (playing && playing.ItemId === this.currentItemId) {
+			this.sendReady();
+		}
+	}
+
+	handleCommand(command) {
+		if (!command || !this.group || command.GroupId !== this.group.GroupId) return;
+
+		const last = this.lastCommand;
+		if (last && last.When === command.When && last.Command === command.Command &&
+			last.PositionTicks === command.PositionTicks) {
+			return;
+		}
+		this.lastCommand = command;
+		this.clearCommandTimer();
+		this.clearSpeedCorrection();
+
+		if (!this.player) return;
+
+		const whenLocal = this.timeSync.serverToLocal(parseTime(command.When));
+		const delay = Math.max(0, whenLocal - this.now());
+		const run = () => {
+			this.commandTimer = null;
+			this.executeCommand(command, whenLocal);
+		};
+
+		if (delay > 0) {
+			this.commandTimer = setTimeout(run, delay);
+		} else {
+			run();
+		}
+	}
+
+	executeCommand(command, whenLocal) {
+		const player = this.player;
+		if (!player) return;
+
+		switch (command.Command) {
+			case 'Unpause': {
+				const expected = this.getExpectedTicks(command, whenLocal);
+				if (Math.abs(player.getPositionTicks() - expected) / TICKS_PER_MS > SKIP_TO_SYNC_MIN_MS) {
+					Promise.resolve(player.seek(expected))
+						.catch(e => console.warn('[SyncPlay] Seek before unpause failed:', e));
+				}
+				player.play();
+				this.lastCorrectionTime = this.now();
+				break;
+			}
+			case 'Pause':
+				player.pause();
+				Promise.resolve(player.seek(command.PositionTicks))
+					.catch(e => console.warn('[SyncPlay] Seek on pause failed:', e));
+				break;
+			case 'Seek':
+				player.pause();
+				Promise.resolve(player.seek(command.PositionTicks))
+					.then(() => this.sendReady())
+					.catch(e => console.warn('[SyncPlay] Seek failed:', e));
+				break;
+			case 'Stop':
+				player.pause();
+				break;
+			default:
+				break;
+		}
+	}
+
+	getExpectedTicks(command, whenLocal) {
+		const elapsed = Math.max(0, this.now() - whenLocal);
+		return command.PositionTicks + elapsed * TICKS_PER_MS;
+	}
+
+	clearCommandTimer() {
+		if (this.commandTimer) {
+			clearTimeout(this.commandTimer);
+			this.commandTimer = null;
+		}
+	}
+
+	// --- Drift correction ---
+
+	startDriftCorrection() {
+		this.stopDriftCorrection();
+		this.driftInterval = setInterval(() => this.checkDrift(), DRIFT_CHECK_INTERVAL);
+	}
+
+	stopDriftCorrection() {
+		if (this.driftInterval) {
+			clearInterval(this.driftInterval);
+			this.driftInterval = null;
+		}
+	}
+
+	/**
+	 * Compare the player position against the group timeline. Small drift is
+	 * absorbed by nudging the playback rate (when the player supports it),
+	 * larger drift by seeking to the expected position.
+	 * @returns {number|null} Drift in milliseconds (positive = ahead), null when not checked
+	 */
+	checkDrift() {
+		const command = this.lastCommand;
+		const player = this.player;
+		if (!this.group || !player || !command || command.Command !== 'Unpause') return null;
+		if (this.isBuffering || this.commandTimer || this.speedTimer || !player.isPlaying()) return null;
+		if (this.now() - this.lastCorrectionTime < CORRECTION_COOLDOWN) return null;
+
+		const whenLocal = this.timeSync.serverToLocal(parseTime(command.When));
+		if (this.now() < whenLocal) return null;
+
+		const expected = this.getExpectedTicks(command, whenLocal);
+		const drift = (player.getPositionTicks() - expected) / TICKS_PER_MS;
+		const absDrift = Math.abs(drift);
+		if (absDrift < DRIFT_IGNORE_MS) return drift;
+
+		if (player.setRate && absDrift < SPEED_TO_SYNC_MAX_MS) {
+			const rate = Math.min(1.5, Math.max(0.5, 1 - drift / SPEED_TO_SYNC_DURATION));
+			player.setRate(rate);
+			this.speedTimer = setTimeout(() => {
+				this.speedTimer = null;
+				this.player?.setRate(1);
+				this.lastCorrectionTime = this.now();
+			}, SPEED_TO_SYNC_DURATION);
+		} else if (absDrift >= SKIP_TO_SYNC_MIN_MS) {
+			Promise.resolve(player.seek(expected))
+				.catch(e => console.warn('[SyncPlay] Drift correction seek failed:', e));
+			this.lastCorrectionTime = this.now();
+		}
+		return drift;
+	}
+
+	clearSpeedCorrection() {
+		if (this.speedTimer) {
+			clearTimeout(this.speedTimer);
+			this.speedTimer = null;
+			this.player?.setRate?.(1);
+		}
+	}
+}
+
+let syncPlayEngineInstance = null;
+
+export const getSyncPlayEngine = () => {
+	if (!syncPlayEngineInstance) {
+		syncPlayEngineInstance = new SyncPlayEngine();
+	}
+	return syncPlayEngineInstance;
+};
+
+export default {
+	GroupState,
+	TimeSync,
+	SyncPlayEngine,
+	getSyncPlayEngine
+};
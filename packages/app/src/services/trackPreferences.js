@@ -0,0 +1,163 @@
+/**
+ * Track Preferences
+ * Remembers audio and subtitle choices per series so the next episode starts
+ * the way the last one was left. Stream indexes differ between episodes, so
+ * tracks are stored by language, title and codec and matched again when an
+ * episode loads. Subtitle picks are kept per audio language, so watching dubbed
+ * and subtitled can each keep their own subtitle choice.
+ */
+import {getFromStorage, saveToStorage} from './storage';
+
+const STORAGE_KEY = 'series_track_preferences';
+
+// Oldest-used series are dropped past this
+const MAX_SERIES = 200;
+
+let preferences = null;
+
+// Subtitle picks are keyed by audio language; untagged audio shares one key
+const langKey = (language) => language || 'Unknown';
+
+const load = async () => {
+	if (!preferences) {
+		try {
+			preferences = (await getFromStorage(STORAGE_KEY)) || {};
+		} catch (e) {
+			console.warn('[TrackPreferences] Failed to load:', e);
+			preferences = {};
+		}
+	}
+	return preferences;
+};
+
+const persist = async (next) => {
+	preferences = next;
+	try {
+		await saveToStorage(STORAGE_KEY, next);
+	} catch (e) {
+		console.warn('[TrackPreferences] Failed to save:', e);
+	}
+};
+
+const updateSeries = async (item, update) => {
+	if (!item?.SeriesId) return;
+	const all = await load();
+	const {[item.SeriesId]: existing = {}, ...rest} = all;
+	// Re-insert last so key order doubles as recently-used order
+	const next = {...rest, [item.SeriesId]: {...update(existing), seriesName: item.SeriesName || existing.seriesName}};
+	const ids = Object.keys(next);
+	ids.slice(0, Math.max(0, ids.length - MAX_SERIES)).forEach(id => delete next[id]);
+	await persist(next);
+};
+
+/**
+ * Describe a stream so it can be found again in another episode
+ */
+export const describeStream = (stream) =>
+	stream ? {language: stream.language, displayTitle: stream.displayTitle, codec: stream.codec, isForced: !!stream.isForced} : null;
+
+/**
+ * Find the stream in this episode that best matches a remembered one.
+ * The language has to match; title, then codec, then the forced flag break ties.
+ * @param {Array} streams - Audio or subtitle streams of the episode
+ * @param {Object} remembered - From describeStream
+ * @param {Function} [filter] - Limit candidates (e.g. text-based only)
+ * @returns {Object|null}
+ */
+export const matchStream = (streams, remembered, filter = () => true) => {
+	if (!remembered || !streams?.length) return null;
+	const score = (s) =>
+		(s.displayTitle === remembered.displayTitle ? 4 : 0) +
+		(s.codec === remembered.codec ? 2 : 0) +
+		(!!s.isForced === !!remembered.isForced ? 1 : 0);
+	return streams
+		.filter(s => s.language === remembered.language && filter(s))
+		.reduce((best, s) => (!best || score(s) > score(best) ? s : best), null);
+};
+
+/**
+ * Remembered choices for a series
+ * @param {string} seriesId
+ * @returns {Promise<Object>} {audio, subtitles: {[audioLanguage]: stream | null}, secondarySubtitle}; {} when nothing is stored
+ */
+export const getSeriesTrackPreferences = async (seriesId) => {
+	if (!seriesId) return {};
+	const all = await load();
+	return all[seriesId] || {};
+};
+
+/**
+ * All remembered series, most recently used first
+ * @returns {Promise<Array>} [{seriesId, seriesName, audio, subtitles, secondarySubtitle}]
+ */
+export const getAllSeriesTrackPreferences = async () => {
+	const all = await load();
+	return Object.keys(all).reverse().map(seriesId => ({seriesId, ...all[seriesId]}));
+};
+
+/**
+ * Remember the audio track picked for an episode's series
+ * @param {Object} item - Episode being played
+ * @param {Object} stream - Audio stream from getPlaybackInfo
+ */
+export const rememberAudioTrack = (item, stream) =>
+	updateSeries(item, prefs => ({...prefs, audio: describeStream(stream)}));
+
+/**
+ * Remember the subtitle picked while listening in a given audio language
+ * @param {Object} item - Episode being played
+ * @param {string} audioLanguage - Language of the current audio track
+ * @param {Object|null} stream - Subtitle stream, or null for Off
+ */
+export const rememberSubtitleTrack = (item, audioLanguage, stream) =>
+	updateSeries(item, prefs => ({
+		...prefs,
+		subtitles: {...prefs.subtitles, [langKey(audioLanguage)]: describeStream(stream)}
+	}));
+
+/**
+ * Remember the secondary subtitle track, or null for Off
+ */
+export const rememberSecondarySubtitleTrack = (item, stream) =>
+	updateSeries(item, prefs => ({...prefs, secondarySubtitle: describeStream(stream)}));
+
+/**
+ * Stream indexes to start an episode with, from what was picked earlier in the series
+ * @param {string} seriesId
+ * @param {Array} audioStreams
+ * @param {Array} subtitleStreams
+ * @param {number} [currentAudioIndex] - Audio track that plays when no audio was remembered
+ * @returns {Promise<{audioIndex: number|undefined, subtitleIndex: number|undefined}>}
+ *   subtitleIndex is -1 when subtitles were turned off, undefined when nothing applies
+ */
+export const resolveSeriesTracks = async (seriesId, audioStreams, subtitleStreams, currentAudioIndex) => {
+	const prefs = await getSeriesTrackPreferences(seriesId);
+	const audio = matchStream(audioStreams, prefs.audio);
+	const audioKey = langKey((audio || audioStreams.find(s => s.index === currentAudioIndex))?.language);
+
+	let subtitleIndex;
+	if (prefs.subtitles && audioKey in prefs.subtitles) {
+		const remembered = prefs.subtitles[audioKey];
+		const subtitle = matchStream(subtitleStreams, remembered);
+		if (!remembered) {
+			subtitleIndex = -1;
+		} else if (subtitle) {
+			subtitleIndex = subtitle.index;
+		}
+	}
+
+	return {audioIndex: audio?.index, subtitleIndex};
+};
+
+/**
+ * Forget the choices for one series, or for all of them when no id is given
+ */
+export const clearSeriesTrackPreferences = async (seriesId) => {
+	if (!seriesId) {
+		await persist({});
+		return;
+	}
+	const next = {...await load()};
+	delete next[seriesId];
+	await persist(next);
+};
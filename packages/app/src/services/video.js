@@ -22,6 +22,7 @@ loadImpl();
 export const initVideo = () => loadImpl();
 
 export const getPlayMethod = (...args) => impl.getPlayMethod(...args);
+export const checkCompatibility = (...args) => impl.checkCompatibility(...args);
 export const getMimeType = (...args) => impl.getMimeType(...args);
 export const findCompatibleAudioStreamIndex = (...args) => impl.findCompatibleAudioStreamIndex(...args);
 export const getSupportedAudioCodecs = (...args) => impl.getSupportedAudioCodecs(...args);
@@ -0,0 +1,213 @@
+import {decodePgs, decodeVobSub, decodeBitmapImage, parseVobSubPalette, getActiveBitmapCue} from '../bitmapSubtitles';
+
+const toBuffer = (bytes) => new Uint8Array(bytes).buffer;
+
+const u16 = (value) => [(value >> 8) & 0xff, value & 0xff];
+const u32 = (value) => [...u16(value >>> 16), ...u16(value & 0xffff)];
+
+const pixelAt = (pixels, width, x, y) => {
+	const o = (y * width + x) * 4;
+	return Array.from(pixels.slice(o, o + 4));
+};
+
+describe('decodePgs', () => {
+	const segment = (seconds, type, payload) => [
+		0x50, 0x47, ...u32(seconds * 90000), ...u32(0), type, ...u16(payload.length), ...payload
+	];
+
+	const composition = (seconds, objects) => segment(seconds, 0x16, [
+		...u16(1920), ...u16(1080), 0x10, ...u16(0),
+		objects.length ? 0x80 : 0x00, 0x00, 0x00, objects.length,
+		...objects.flatMap(({id, x, y}) => [...u16(id), 0x00, 0x00, ...u16(x), ...u16(y)])
+	]);
+
+	// Entry 1 is opaque white, entry 2 half-transparent mid grey
+	const palette = (seconds) => segment(seconds, 0x14, [
+		0x00, 0x00,
+		0x01, 235, 128, 128, 255,
+		0x02, 128, 128, 128, 128
+	]);
+
+	// 4x2: line 0 is two white pixels then a run of two transparent,
+	// line 1 is a run of four grey
+	const object = (seconds) => {
+		const rle = [
+			0x01, 0x01, 0x00, 0x02, 0x00, 0x00,
+			0x00, 0x84, 0x02, 0x00, 0x00
+		];
+		return segment(seconds, 0x15, [
+			...u16(7), 0x00, 0xc0, 0x00, ...u16(rle.length + 4), ...u16(4), ...u16(2), ...rle
+		]);
+	};
+
+	const end = (seconds) => segment(seconds, 0x80, []);
+
+	const sample = [
+		...composition(1, [{id: 7, x: 100, y: 900}]),
+		...palette(1),
+		...object(1),
+		...end(1),
+		...composition(3, []),
+		...end(3)
+	];
+
+	test('reads cue timing, screen size and image position', () => {
+		const cues = decodePgs(toBuffer(sample));
+
+		expect(cues).toHaveLength(1);
+		expect(cues[0].start).toBe(1);
+		expect(cues[0].end).toBe(3);
+		expect(cues[0].screenWidth).toBe(1920);
+		expect(cues[0].screenHeight).toBe(1080);
+		expect(cues[0].images).toHaveLength(1);
+		expect(cues[0].images[0]).toMatchObject({type: 'pgs', x: 100, y: 900, width: 4, height: 2});
+	});
+
+	test('gives a cue with no clear a default duration', () => {
+		const cues = decodePgs(toBuffer(sample.slice(0, sample.length - composition(3, []).length - end(3).length)));
+
+		expect(cues).toHaveLength(1);
+		expect(cues[0].start).toBe(1);
+		expect(cues[0].end).toBe(6);
+	});
+
+	test('decodes the image with palette colours', () => {
+		const [cue] = decodePgs(toBuffer(sample));
+		const pixels = decodeBitmapImage(cue.images[0]);
+
+		expect(pixels).toHaveLength(4 * 2 * 4);
+		expect(pixelAt(pixels, 4, 0, 0)).toEqual([235, 235, 235, 255]);
+		expect(pixelAt(pixels, 4, 1, 0)).toEqual([235, 235, 235, 255]);
+		expect(pixelAt(pixels, 4, 2, 0)).toEqual([0, 0, 0, 0]);
+		expect(pixelAt(pixels, 4, 3, 0)).toEqual([0, 0, 0, 0]);
+		for (let x = 0; x < 4; x++) {
+			expect(pixelAt(pixels, 4, x, 1)).toEqual([128, 128, 128, 128]);
+		}
+	});
+
+	test('stops at data that is not PGS', () => {
+		expect(decodePgs(toBuffer([0x00, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07, 0x08, 0x09, 0x0a, 0x0b, 0x0c]))).toEqual([]);
+	});
+});
+
+describe('decodeVobSub', () => {
+	const pts = (seconds) => {
+		const value = seconds * 90000;
+		return [
+			0x21 | ((Math.floor(value / 1073741824) & 0x07) << 1),
+			(value >> 22) & 0xff,
+			((value >> 14) & 0xfe) | 1,
+			(value >> 7) & 0xff,
+			((value << 1) & 0xfe) | 1
+		];
+	};
+
+	// 4x2 at (10, 400): line 0 is four pattern pixels, line 1 two emphasis-1 then two background
+	const spu = () => {
+		const pixels = [0x11, 0xa8];
+		const controlOffset = 4 + pixels.length;
+		const first = [
+			0x01,
+			0x03, 0x32, 0x10,
+			0x04, 0xff, 0xf0,
+			0x05, 10 >> 4, ((10 & 0x0f) << 4) | (13 >> 8), 13 & 0xff, 400 >> 4, ((400 & 0x0f) << 4) | (401 >> 8), 401 & 0xff,
+			0x06, ...u16(4), ...u16(5),
+			0xff
+		];
+		const stopOffset = controlOffset + 4 + first.length;
+		const control = [
+			...u16(0), ...u16(stopOffset), ...first,
+			// Stop 176 ticks (of 1024/90000s) after the start
+			...u16(176), ...u16(stopOffset), 0x02, 0xff
+		];
+		const size = 4 + pixels.length + control.length;
+		return [...u16(size), ...u16(controlOffset), ...pixels, ...control];
+	};
+
+	const packet = (seconds, data) => {
+		const payload = [0x81, 0x80, 0x05, ...pts(seconds), 0x20, ...data];
+		return [
+			0x00, 0x00, 0x01, 0xba, 0x44, 0x00, 0x04, 0x00, 0x04, 0x01, 0x01, 0x89, 0xc3, 0xf8,
+			0x00, 0x00, 0x01, 0xbd, ...u16(payload.length), ...payload
+		];
+	};
+
+	const sample = packet(2, spu());
+
+	test('reads cue timing, DVD screen size and image area', () => {
+		const cues = decodeVobSub(toBuffer(sample));
+
+		expect(cues).toHaveLength(1);
+		expect(cues[0].start).toBe(2);
+		expect(cues[0].end).toBeCloseTo(2 + (176 * 1024) / 90000, 5);
+		expect(cues[0].screenWidth).toBe(720);
+		expect(cues[0].screenHeight).toBe(480);
+		expect(cues[0].images[0]).toMatchObject({type: 'vobsub', x: 10, y: 400, width: 4, height: 2});
+	});
+
+	test('draws in role colours without a palette', () => {
+		const [cue] = decodeVobSub(toBuffer(sample));
+		const pixels = decodeBitmapImage(cue.images[0]);
+
+		for (let x = 0; x < 4; x++) {
+			expect(pixelAt(pixels, 4, x, 0)).toEqual([255, 255, 255, 255]);
+		}
+		expect(pixelAt(pixels, 4, 0, 1)).toEqual([0, 0, 0, 255]);
+		expect(pixelAt(pixels, 4, 1, 1)).toEqual([0, 0, 0, 255]);
+		expect(pixelAt(pixels, 4, 2, 1)).toEqual([0, 0, 0, 0]);
+		expect(pixelAt(pixels, 4, 3, 1)).toEqual([0, 0, 0, 0]);
+	});
+
+	test('draws in the .idx palette colours when given one', () => {
+		const palette = Array.from({length: 16}, (_, i) => [i * 10, i * 10 + 1, i * 10 + 2]);
+		const [cue] = decodeVobSub(toBuffer(sample), palette);
+		const pixels = decodeBitmapImage(cue.images[0]);
+
+		// Pattern uses palette entry 1, emphasis-1 entry 2, background entry 0 (transparent)
+		expect(pixelAt(pixels, 4, 0, 0)).toEqual([10, 11, 12, 255]);
+		expect(pixelAt(pixels, 4, 0, 1)).toEqual([20, 21, 22, 255]);
+		expect(pixelAt(pixels, 4, 3, 1)).toEqual([0, 1, 2, 0]);
+	});
+
+	test('skips data before the first start code', () => {
+		const cues = decodeVobSub(toBuffer([0xff, 0xff, ...sample]));
+
+		expect(cues).toHaveLength(1);
+		expect(cues[0].start).toBe(2);
+	});
+});
+
+describe('parseVobSubPalette', () => {
+	const entries = ['000000', 'ffffff', '808080', 'ff0000', '00ff00', '0000ff', 'ffff00', '00ffff',
+		'ff00ff', '101010', '202020', '303030', '404040', '505050', '606060', '707070'];
+
+	test('reads the 16 RGB entries', () => {
+		const palette = parseVobSubPalette(`# VobSub index file, v7\nsize: 720x480\npalette: ${entries.join(', ')}\n`);
+
+		expect(palette).toHaveLength(16);
+		expect(palette[0]).toEqual([0, 0, 0]);
+		expect(palette[1]).toEqual([255, 255, 255]);
+		expect(palette[3]).toEqual([255, 0, 0]);
+		expect(palette[5]).toEqual([0, 0, 255]);
+	});
+
+	test('returns null without a complete palette line', () => {
+		expect(parseVobSubPalette('size: 720x480\n')).toBeNull();
+		expect(parseVobSubPalette(`palette: ${entries.slice(0, 8).join(', ')}`)).toBeNull();
+		expect(parseVobSubPalette(null)).toBeNull();
+	});
+});
+
+describe('getActiveBitmapCue', () => {
+	const cues = [{start: 1, end: 3}, {start: 5, end: 6}];
+
+	test('finds the cue showing at a time', () => {
+		expect(getActiveBitmapCue(cues, 2)).toBe(cues[0]);
+		expect(getActiveBitmapCue(cues, 5.5)).toBe(cues[1]);
+	});
+
+	test('returns null between cues', () => {
+		expect(getActiveBitmapCue(cues, 4)).toBeNull();
+		expect(getActiveBitmapCue(null, 4)).toBeNull();
+	});
+});
@@ -0,0 +1,380 @@
+/**
+ * ASS/SSA subtitle parser
+ * Turns a script into timed events with resolved styles, positioning and
+ * karaoke timing so they can be drawn over the video. Covers the override
+ * tags that matter for typical fansubs; drawings (\p) and clips are dropped.
+ */
+
+const DEFAULT_PLAY_RES_X = 384;
+const DEFAULT_PLAY_RES_Y = 288;
+
+const DEFAULT_STYLE = {
+	name: 'Default',
+	fontName: 'Arial',
+	fontSize: 20,
+	primaryColor: 'rgba(255, 255, 255, 1)',
+	secondaryColor: 'rgba(255, 0, 0, 1)',
+	outlineColor: 'rgba(0, 0, 0, 1)',
+	backColor: 'rgba(0, 0, 0, 1)',
+	bold: false,
+	italic: false,
+	underline: false,
+	strikeOut: false,
+	scaleX: 100,
+	scaleY: 100,
+	spacing: 0,
+	angle: 0,
+	borderStyle: 1,
+	outline: 2,
+	shadow: 2,
+	blur: 0,
+	alignment: 2,
+	marginL: 10,
+	marginR: 10,
+	marginV: 10
+};
+
+// Longest names first so \fscx isn't read as \fs and \an as \a
+const TAG_NAMES = [
+	'iclip', 'alpha', 'fscx', 'fscy', 'bord', 'shad', 'blur', 'fade', 'move', 'clip',
+	'fsp', 'frx', 'fry', 'frz', 'fad', 'pos', 'org',
+	'1c', '2c', '3c', '4c', '1a', '2a', '3a', '4a',
+	'an', 'be', 'fn', 'fs', 'fr', 'kf', 'ko', 'c', 'a', 'b', 'i', 'u', 's', 'k', 'K', 'p', 'q', 'r'
+];
+
+const clampAlpha = (value) => Math.max(0, Math.min(1, value));
+
+// &HAABBGGRR (alpha inverted: 00 is opaque), &HBBGGRR& in overrides, or a decimal BGR on SSA
+const parseColor = (value, fallbackAlpha = 1) => {
+	if (value == null) return null;
+	const trimmed = String(value).trim().replace(/&$/, '');
+	let num;
+	if (/^&H/i.test(trimmed)) {
+		num = parseInt(trimmed.slice(2), 16);
+	} else {
+		num = parseInt(trimmed, 10);
+	}
+	if (isNaN(num)) return null;
+	const hasAlpha = /^&H/i.test(trimmed) && trimmed.length > 8;
+	const r = num & 0xff;
+	const g = (num >> 8) & 0xff;
+	const b = (num >> 16) & 0xff;
+	const alpha = hasAlpha ? 1 - ((num >>> 24) & 0xff) / 255 : fallbackAlpha;
+	return `rgba(${r}, ${g}, ${b}, ${clampAlpha(alpha)})`;
+};
+
+const parseAlpha = (value) => {
+	const num = parseInt(String(value).replace(/&|H/gi, ''), 16);
+	return isNaN(num) ? 1 : clampAlpha(1 - num / 255);
+};
+
+const withAlpha = (color, alpha) => color.replace(/[\d.]+\)$/, `${alpha})`);
+
+// H:MM:SS.cc to seconds
+const parseTime = (value) => {
+	const match = /(\d+):(\d+):(\d+(?:\.\d+)?)/.exec(value || '');
+	if (!match) return 0;
+	return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseFloat(match[3]);
+};
+
+// SSA v4 alignment: 1-3 bottom, +4 top, +8 middle; ASS uses numpad layout
+const fromLegacyAlignment = (value) => {
+	if (value >= 9) return value - 5;
+	if (value >= 5) return value + 2;
+	return value;
+};
+
+const parseBool = (value) => value === '-1' || value === '1';
+
+const parseStyle = (format, values, legacy) => {
+	const raw = {};
+	format.forEach((key, i) => {
+		raw[key] = (values[i] || '').trim();
+	});
+	const num = (key, fallback) => {
+		const parsed = parseFloat(raw[key]);
+		return isNaN(parsed) ? fallback : parsed;
+	};
+	const alignment = num('alignment', DEFAULT_STYLE.alignment);
+	return {
+		name: raw.name || DEFAULT_STYLE.name,
+		fontName: raw.fontname || DEFAULT_STYLE.fontName,
+		fontSize: num('fontsize', DEFAULT_STYLE.fontSize),
+		primaryColor: parseColor(raw.primarycolour) || DEFAULT_STYLE.primaryColor,
+		secondaryColor: parseColor(raw.secondarycolour) || DEFAULT_STYLE.secondaryColor,
+		outlineColor: parseColor(raw.outlinecolour || raw.tertiarycolour) || DEFAULT_STYLE.outlineColor,
+		backColor: parseColor(raw.backcolour) || DEFAULT_STYLE.backColor,
+		bold: parseBool(raw.bold),
+		italic: parseBool(raw.italic),
+		underline: parseBool(raw.underline),
+		strikeOut: parseBool(raw.strikeout),
+		scaleX: num('scalex', 100),
+		scaleY: num('scaley', 100),
+		spacing: num('spacing', 0),
+		angle: num('angle', 0),
+		borderStyle: num('borderstyle', 1),
+		outline: num('outline', DEFAULT_STYLE.outline),
+		shadow: num('shadow', DEFAULT_STYLE.shadow),
+		blur: 0,
+		alignment: legacy ? fromLegacyAlignment(alignment) : alignment,
+		marginL: num('marginl', DEFAULT_STYLE.marginL),
+		marginR: num('marginr', DEFAULT_STYLE.marginR),
+		marginV: num('marginv', DEFAULT_STYLE.marginV)
+	};
+};
+
+const splitArgs = (value) => value.replace(/^\(|\)$/g, '').split(',').map(v => v.trim());
+
+// Split "\fs40\c&H00FF00&\pos(10,20)" into [name, argument] pairs
+const parseTags = (block) => {
+	const tags = [];
+	const parts = block.split('\\').slice(1);
+	for (const part of parts) {
+		const name = TAG_NAMES.find(n => part.startsWith(n));
+		if (name) tags.push([name, part.slice(name.length).trim()]);
+	}
+	return tags;
+};
+
+const textStyleFrom = (style) => ({
+	fontName: style.fontName,
+	fontSize: style.fontSize,
+	primaryColor: style.primaryColor,
+	secondaryColor: style.secondaryColor,
+	outlineColor: style.outlineColor,
+	backColor: style.backColor,
+	bold: style.bold,
+	italic: style.italic,
+	underline: style.underline,
+	strikeOut: style.strikeOut,
+	scaleX: style.scaleX,
+	scaleY: style.scaleY,
+	spacing: style.spacing,
+	angle: style.angle,
+	borderStyle: style.borderStyle,
+	outline: style.outline,
+	shadow: style.shadow,
+	blur: style.blur
+});
+
+/**
+ * Parse the text of one Dialogue line into styled segments plus event-level
+ * positioning (\pos, \move, \an, \fad)
+ */
+const parseDialogueText = (text, baseStyle, styles, wrapStyle) => {
+	const event = {alignment: baseStyle.alignment, pos: null, move: null, fade: null, segments: []};
+	let current = textStyleFrom(baseStyle);
+	let karaokeTime = 0;
+	let karaoke = null;
+	let drawing = false;
+
+	const pushText = (raw) => {
+		if (!raw || drawing) return;
+		const content = raw
+			.replace(/\\N/g, '\n')
+			.replace(/\\n/g, wrapStyle === 2 ? '\n' : ' ')
+			.replace(/\\h/g, ' ');
+		event.segments.push({text: content, style: {...current}, karaoke});
+		karaoke = null;
+	};
+
+	const applyTag = (name, arg) => {
+		switch (name) {
+			case 'b': current.bold = arg === '' ? baseStyle.bold : (arg === '1' || parseInt(arg, 10) >= 700); break;
+			case 'i': current.italic = arg === '' ? baseStyle.italic : arg === '1'; break;
+			case 'u': current.underline = arg === '' ? baseStyle.underline : arg === '1'; break;
+			case 's': current.strikeOut = arg === '' ? baseStyle.strikeOut : arg === '1'; break;
+			case 'fn': current.fontName = arg || baseStyle.fontName; break;
+			case 'fs': current.fontSize = parseFloat(arg) || baseStyle.fontSize; break;
+			case 'fscx': current.scaleX = arg === '' ? baseStyle.scaleX : parseFloat(arg); break;
+			case 'fscy': current.scaleY = arg === '' ? baseStyle.scaleY : parseFloat(arg); break;
+			case 'fsp': current.spacing = parseFloat(arg) || 0; break;
+			case 'fr':
+			case 'frz': current.angle = parseFloat(arg) || 0; break;
+			case 'bord': current.outline = arg === '' ? baseStyle.outline : parseFloat(arg); break;
+			case 'shad': current.shadow = arg === '' ? baseStyle.shadow : parseFloat(arg); break;
+			case 'be':
+			case 'blur': current.blur = parseFloat(arg) || 0; break;
+			case 'c':
+			case '1c': current.primaryColor = arg ? withAlpha(parseColor(arg) || baseStyle.primaryColor, current.primaryColor.match(/([\d.]+)\)$/)[1]) : baseStyle.primaryColor; break;
+			case '2c': current.secondaryColor = parseColor(arg) || baseStyle.secondaryColor; break;
+			case '3c': current.outlineColor = parseColor(arg) || baseStyle.outlineColor; break;
+			case '4c': current.backColor = parseColor(arg) || baseStyle.backColor; break;
+			case 'alpha': {
+				const alpha = parseAlpha(arg);
+				current.primaryColor = withAlpha(current.primaryColor, alpha);
+				current.secondaryColor = withAlpha(current.secondaryColor, alpha);
+				current.outlineColor = withAlpha(current.outlineColor, alpha);
+				current.backColor = withAlpha(current.backColor, alpha);
+				break;
+			}
+			case '1a': current.primaryColor = withAlpha(current.primaryColor, parseAlpha(arg)); break;
+			case '2a': current.secondaryColor = withAlpha(current.secondaryColor, parseAlpha(arg)); break;
+			case '3a': current.outlineColor = withAlpha(current.outlineColor, parseAlpha(arg)); break;
+			case '4a': current.backColor = withAlpha(current.backColor, parseAlpha(arg)); break;
+			case 'an': event.alignment = parseInt(arg, 10) || event.alignment; break;
+			case 'a': event.alignment = fromLegacyAlignment(parseInt(arg, 10)) || event.alignment; break;
+			case 'pos': {
+				const [x, y] = splitArgs(arg).map(parseFloat);
+				if (!event.pos && !event.move && !isNaN(x) && !isNaN(y)) event.pos = {x, y};
+				break;
+			}
+			case 'move': {
+				const [x1, y1, x2, y2, t1, t2] = splitArgs(arg).map(parseFloat);
+				if (!event.pos && !event.move && !isNaN(y2)) {
+					event.move = {x1, y1, x2, y2, t1: isNaN(t1) ? null : t1 / 1000, t2: isNaN(t2) ? null : t2 / 1000};
+				}
+				break;
+			}
+			case 'fad': {
+				const [fadeIn, fadeOut] = splitArgs(arg).map(parseFloat);
+				if (!isNaN(fadeIn)) event.fade = {fadeIn: fadeIn / 1000, fadeOut: (fadeOut || 0) / 1000};
+				break;
+			}
+			case 'k':
+			case 'K':
+			case 'kf':
+			case 'ko': {
+				const duration = (parseFloat(arg) || 0) / 100;
+				karaoke = {start: karaokeTime, end: karaokeTime + duration};
+				karaokeTime += duration;
+				break;
+			}
+			case 'p': drawing = parseInt(arg, 10) > 0; break;
+			case 'r': {
+				const reset = (arg && styles[arg]) || baseStyle;
+				current = textStyleFrom(reset);
+				break;
+			}
+			default: break;
+		}
+	};
+
+	const blockRegex = /\{([^}]*)\}/g;
+	let lastIndex = 0;
+	let match;
+	while ((match = blockRegex.exec(text)) !== null) {
+		pushText(text.slice(lastIndex, match.index));
+		parseTags(match[1]).forEach(([name, arg]) => applyTag(name, arg));
+		lastIndex = blockRegex.lastIndex;
+	}
+	pushText(text.slice(lastIndex));
+
+	return event;
+};
+
+/**
+ * Parse an ASS/SSA script
+ * @param {string} text - Script contents
+ * @returns {{playResX: number, playResY: number, styles: Object, events: Array}|null}
+ *   Events are sorted by start time; times are in seconds
+ */
+export const parseAss = (text) => {
+	if (!text || !/\[(Script Info|V4\+? Styles|Events)\]/i.test(text)) return null;
+
+	const info = {};
+	const styles = {};
+	const events = [];
+	let section = '';
+	let styleFormat = null;
+	let eventFormat = null;
+
+	for (const rawLine of text.split(/\r?\n/)) {
+		const line = rawLine.trim();
+		if (!line || line.startsWith(';')) continue;
+
+		const sectionMatch = /^\[(.+)\]$/.exec(line);
+		if (sectionMatch) {
+			section = sectionMatch[1].toLowerCase();
+			continue;
+		}
+
+		const colon = line.indexOf(':');
+		if (colon < 0) continue;
+		const key = line.slice(0, colon).trim();
+		const value = line.slice(colon + 1).trim();
+
+		if (section === 'script info') {
+			info[key.toLowerCase()] = value;
+		} else if (section === 'v4+ styles' || section === 'v4 styles') {
+			if (key === 'Format') {
+				styleFormat = value.split(',').map(v => v.trim().toLowerCase());
+			} else if (key === 'Style' && styleFormat) {
+				const style = parseStyle(styleFormat, value.split(','), section === 'v4 styles');
+				styles[style.name] = style;
+			}
+		} else if (section === 'events') {
+			if (key === 'Format') {
+				eventFormat = value.split(',').map(v => v.trim().toLowerCase());
+			} else if (key === 'Dialogue' && eventFormat) {
+				// Text is last and may itself contain commas
+				const parts = value.split(',');
+				const fields = {};
+				eventFormat.forEach((name, i) => {
+					fields[name] = i === eventFormat.length - 1
+						? parts.slice(i).join(',')
+						: (parts[i] || '').trim();
+				});
+				events.push(fields);
+			}
+		}
+	}
+
+	const playResX = parseFloat(info.playresx) || (parseFloat(info.playresy) ? parseFloat(info.playresy) * 4 / 3 : DEFAULT_PLAY_RES_X);
+	const playResY = parseFloat(info.playresy) || (parseFloat(info.playresx) ? parseFloat(info.playresx) * 3 / 4 : DEFAULT_PLAY_RES_Y);
+	const wrapStyle = parseInt(info.wrapstyle, 10) || 0;
+
+	const parsedEvents = events.map((fields) => {
+		const style = styles[fields.style] || styles[(fields.style || '').replace(/^\*/, '')] || styles.Default || DEFAULT_STYLE;
+		const margin = (name, fallback) => {
+			const value = parseInt(fields[name], 10);
+			return value > 0 ? value : fallback;
+		};
+		return {
+			start: parseTime(fields.start),
+			end: parseTime(fields.end),
+			layer: parseInt(fields.layer || fields.marked, 10) || 0,
+			marginL: margin('marginl', style.marginL),
+			marginR: margin('marginr', style.marginR),
+			marginV: margin('marginv', style.marginV),
+			...parseDialogueText(fields.text || '', style, styles, wrapStyle)
+		};
+	}).filter(event => event.end > event.start && event.segments.some(seg => seg.text.trim()));
+
+	parsedEvents.sort((a, b) => a.start - b.start || a.layer - b.layer);
+
+	return {playResX, playResY, styles, events: parsedEvents};
+};
+
+/**
+ * Plain text of an event, for rendering with the user's own subtitle style
+ */
+export const getAssEventText = (event) =>
+	event.segments.map(seg => seg.text).join('');
+
+/**
+ * Events showing at the given time (seconds)
+ */
+export const getActiveAssEvents = (script, time) => {
+	if (!script) return [];
+	const active = [];
+	for (const event of script.events) {
+		if (event.start > time) break;
+		if (time < event.end) active.push(event);
+	}
+	return active;
+};
+
+/**
+ * Dialogue text at the given time for the plain subtitle overlay, used when the
+ * user forces their own style. Positioned signs are left out since they only
+ * make sense where the script puts them.
+ * @returns {string|null}
+ */
+export const getAssPlainText = (script, time) => {
+	const lines = getActiveAssEvents(script, time)
+		.filter(event => !event.pos && !event.move)
+		.map(event => getAssEventText(event).trim())
+		.filter(Boolean);
+	return lines.length ? lines.join('\n') : null;
+};
@@ -0,0 +1,425 @@
+/**
+ * Bitmap subtitle decoders
+ * PGS (.sup, Blu-ray) and VobSub (.sub, DVD) streams are parsed into timed
+ * cues that keep their images run-length encoded; decodeBitmapImage expands
+ * one image to RGBA when it is about to be drawn.
+ */
+
+const PGS_MAGIC = 0x5047; // "PG"
+const PGS_PALETTE = 0x14;
+const PGS_OBJECT = 0x15;
+const PGS_COMPOSITION = 0x16;
+const PGS_END = 0x80;
+
+const PTS_CLOCK = 90000;
+// Cues without an explicit end (last in stream, or a missing clear) stay this long
+const DEFAULT_CUE_DURATION = 5;
+
+const clampByte = (value) => Math.max(0, Math.min(255, Math.round(value)));
+
+// BT.709, which Blu-ray authoring tools use for subtitle palettes
+const yCrCbToRgba = (y, cr, cb, alpha) => [
+	clampByte(y + 1.5748 * (cr - 128)),
+	clampByte(y - 0.1873 * (cb - 128) - 0.4681 * (cr - 128)),
+	clampByte(y + 1.8556 * (cb - 128)),
+	alpha
+];
+
+const concatChunks = (chunks) => {
+	if (chunks.length === 1) return chunks[0];
+	const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+	const out = new Uint8Array(total);
+	let offset = 0;
+	for (const chunk of chunks) {
+		out.set(chunk, offset);
+		offset += chunk.length;
+	}
+	return out;
+};
+
+// Close cues that never got a clear with the start of the next one
+const finalizeCues = (cues) => {
+	cues.sort((a, b) => a.start - b.start);
+	cues.forEach((cue, i) => {
+		const next = cues[i + 1];
+		if (cue.end == null || cue.end <= cue.start) {
+			cue.end = next ? Math.min(next.start, cue.start + DEFAULT_CUE_DURATION) : cue.start + DEFAULT_CUE_DURATION;
+		}
+	});
+	return cues;
+};
+
+/**
+ * Decode a PGS (.sup) stream
+ * @param {ArrayBuffer} buffer
+ * @returns {Array<{start: number, end: number, screenWidth: number, screenHeight: number, images: Array}>}
+ *   Times in seconds; images are positioned in screen pixels
+ */
+export const decodePgs = (buffer) => {
+	const bytes = new Uint8Array(buffer);
+	const view = new DataView(buffer);
+	const cues = [];
+	let palettes = {};
+	let objects = {};
+	let composition = null;
+	let openCue = null;
+	let offset = 0;
+
+	while (offset + 13 <= bytes.length) {
+		if (view.getUint16(offset) !== PGS_MAGIC) break;
+		const pts = view.getUint32(offset + 2) / PTS_CLOCK;
+		const type = bytes[offset + 10];
+		const size = view.getUint16(offset + 11);
+		const start = offset + 13;
+		const end = start + size;
+		if (end > bytes.length) break;
+
+		if (type === PGS_COMPOSITION && size >= 11) {
+			const state = bytes[start + 7];
+			// Epoch start: earlier palettes and objects no longer apply
+			if (state & 0x80) {
+				palettes = {};
+				objects = {};
+			}
+			composition = {
+				pts,
+				width: view.getUint16(start),
+				height: view.getUint16(start + 2),
+				paletteId: bytes[start + 9],
+				objects: []
+			};
+			let p = start + 11;
+			for (let i = 0; i < bytes[start + 10] && p + 8 <= end; i++) {
+				const cropped = bytes[p + 3] & 0x80;
+				composition.objects.push({
+					id: view.getUint16(p),
+					x: view.getUint16(p + 4),
+					y: view.getUint16(p + 6)
+				});
+				p += cropped ? 16 : 8;
+			}
+		} else if (type === PGS_PALETTE && size >= 2) {
+			const id = bytes[start];
+			const palette = palettes[id] ? palettes[id].slice() : new Uint8ClampedArray(256 * 4);
+			for (let p = start + 2; p + 5 <= end; p += 5) {
+				const rgba = yCrCbToRgba(bytes[p + 1], bytes[p + 2], bytes[p + 3], bytes[p + 4]);
+				palette.set(rgba, bytes[p] * 4);
+			}
+			palettes[id] = palette;
+		} else if (type === PGS_OBJECT && size >= 4) {
+			const id = view.getUint16(start);
+			const sequence = bytes[start + 3];
+			if (sequence & 0x80) {
+				if (size < 11) break;
+				objects[id] = {
+					width: view.getUint16(start + 7),
+					height: view.getUint16(start + 9),
+					chunks: [bytes.subarray(start + 11, end)]
+				};
+			} else if (objects[id]) {
+				objects[id].chunks.push(bytes.subarray(start + 4, end));
+			}
+		} else if (type === PGS_END && composition) {
+			if (openCue) {
+				openCue.end = composition.pts;
+				openCue = null;
+			}
+			const palette = palettes[composition.paletteId];
+			const images = palette ? composition.objects
+				.filter(ref => objects[ref.id])
+				.map(ref => {
+					const object = objects[ref.id];
+					return {
+						type: 'pgs',
+						x: ref.x,
+						y: ref.y,
+						width: object.width,
+						height: object.height,
+						rle: concatChunks(object.chunks),
+						palette
+					};
+				}) : [];
+			if (images.length) {
+				openCue = {
+					start: composition.pts,
+					end: null,
+					screenWidth: composition.width,
+					screenHeight: composition.height,
+					images
+				};
+				cues.push(openCue);
+			}
+			composition = null;
+		}
+
+		offset = end;
+	}
+
+	return finalizeCues(cues);
+};
+
+const decodePgsImage = ({width, height, rle, palette}) => {
+	const out = new Uint8ClampedArray(width * height * 4);
+	const total = width * height;
+	let pixel = 0;
+	let line = 0;
+	let i = 0;
+
+	const put = (color, count) => {
+		const end = Math.min(pixel + count, (line + 1) * width, total);
+		const base = color * 4;
+		for (; pixel < end; pixel++) {
+			const o = pixel * 4;
+			out[o] = palette[base];
+			out[o + 1] = palette[base + 1];
+			out[o + 2] = palette[base + 2];
+			out[o + 3] = palette[base + 3];
+		}
+	};
+
+	while (i < rle.length && line < height) {
+		const first = rle[i++];
+		if (first !== 0) {
+			put(first, 1);
+			continue;
+		}
+		const flags = rle[i++];
+		if (flags === 0) {
+			line++;
+			pixel = line * width;
+			continue;
+		}
+		let run = flags & 0x3f;
+		if (flags & 0x40) run = (run << 8) | rle[i++];
+		const color = (flags & 0x80) ? rle[i++] : 0;
+		put(color, run);
+	}
+
+	return out;
+};
+
+// Without the .idx palette, draw by role: background, text, outline, anti-alias
+const VOBSUB_ROLE_COLORS = [[0, 0, 0], [255, 255, 255], [0, 0, 0], [128, 128, 128]];
+
+/**
+ * Read the 16-colour palette from a VobSub .idx file
+ * ("palette: 000000, f0f0f0, ..." with RRGGBB hex entries)
+ * @param {string} idxText
+ * @returns {Array<[number, number, number]>|null} RGB entries, or null if the file has no usable palette
+ */
+export const parseVobSubPalette = (idxText) => {
+	const match = /^\s*palette:\s*(.+)$/mi.exec(idxText || '');
+	if (!match) return null;
+	const palette = match[1].split(',')
+		.map(entry => entry.trim())
+		.filter(entry => /^[0-9a-f]{6}$/i.test(entry))
+		.map(entry => {
+			const value = parseInt(entry, 16);
+			return [value >> 16, (value >> 8) & 0xff, value & 0xff];
+		});
+	return palette.length === 16 ? palette : null;
+};
+
+const readPts = (bytes, p) =>
+	((bytes[p] >> 1) & 0x07) * 1073741824 +
+	bytes[p + 1] * 4194304 +
+	(bytes[p + 2] >> 1) * 32768 +
+	bytes[p + 3] * 128 +
+	(bytes[p + 4] >> 1);
+
+// Nibble pairs are stored as [e2 e1] [pattern background]
+const readNibbleQuad = (bytes, p) => [bytes[p + 1] & 0x0f, bytes[p + 1] >> 4, bytes[p] & 0x0f, bytes[p] >> 4];
+
+const parseSpu = (data, pts, palette) => {
+	const u16 = (p) => (data[p] << 8) | data[p + 1];
+	let startDelay = 0;
+	let stopDelay = null;
+	let colors = [0, 1, 2, 3];
+	let alpha = [0, 15, 15, 15];
+	let area = null;
+	let fields = null;
+	let pos = u16(2);
+
+	for (let guard = 0; pos + 4 <= data.length && guard < 64; guard++) {
+		const delay = (u16(pos) * 1024) / PTS_CLOCK;
+		const next = u16(pos + 2);
+		let p = pos + 4;
+		let done = false;
+		while (p < data.length && !done) {
+			const cmd = data[p++];
+			switch (cmd) {
+				case 0x00:
+				case 0x01: startDelay = delay; break;
+				case 0x02: stopDelay = delay; break;
+				case 0x03: colors = readNibbleQuad(data, p); p += 2; break;
+				case 0x04: alpha = readNibbleQuad(data, p); p += 2; break;
+				case 0x05:
+					area = {
+						x1: (data[p] << 4) | (data[p + 1] >> 4),
+						x2: ((data[p + 1] & 0x0f) << 8) | data[p + 2],
+						y1: (data[p + 3] << 4) | (data[p + 4] >> 4),
+						y2: ((data[p + 4] & 0x0f) << 8) | data[p + 5]
+					};
+					p += 6;
+					break;
+				case 0x06: fields = [u16(p), u16(p + 2)]; p += 4; break;
+				default: done = true; break; // 0xFF ends the sequence
+			}
+		}
+		if (next === pos) break;
+		pos = next;
+	}
+
+	if (!area || !fields) return null;
+
+	const rgba = [0, 1, 2, 3].map((role) => {
+		const rgb = palette ? (palette[colors[role]] || VOBSUB_ROLE_COLORS[role]) : VOBSUB_ROLE_COLORS[role];
+		return [rgb[0], rgb[1], rgb[2], alpha[role] * 17];
+	});
+
+	return {
+		start: pts + startDelay,
+		end: stopDelay != null ? pts + stopDelay : null,
+		image: {
+			type: 'vobsub',
+			x: area.x1,
+			y: area.y1,
+			width: area.x2 - area.x1 + 1,
+			height: area.y2 - area.y1 + 1,
+			data,
+			fields,
+			colors: rgba
+		}
+	};
+};
+
+/**
+ * Decode a VobSub (.sub) stream, an MPEG program stream of DVD subpicture units.
+ * Only the first subtitle track in the stream is read.
+ * @param {ArrayBuffer} buffer
+ * @param {Array<[number, number, number]>} [palette] - 16 RGB entries from the .idx file
+ * @returns {Array} Cues in the same shape as decodePgs
+ */
+export const decodeVobSub = (buffer, palette) => {
+	const bytes = new Uint8Array(buffer);
+	const cues = [];
+	let trackId = null;
+	let pending = null;
+	let offset = 0;
+
+	while (offset + 6 <= bytes.length) {
+		if (bytes[offset] !== 0 || bytes[offset + 1] !== 0 || bytes[offset + 2] !== 1) {
+			offset++;
+			continue;
+		}
+		const code = bytes[offset + 3];
+		if (code === 0xba) {
+			// Pack header: MPEG-2 has stuffing bytes, MPEG-1 is fixed size
+			offset += (bytes[offset + 4] & 0xc0) === 0x40 ? 14 + (bytes[offset + 13] & 0x07) : 12;
+			continue;
+		}
+		if (code === 0xb9) {
+			offset += 4;
+			continue;
+		}
+
+		const payload = offset + 6;
+		const next = payload + ((bytes[offset + 4] << 8) | bytes[offset + 5]);
+
+		if (code === 0xbd && next <= bytes.length) {
+			const hasPts = bytes[payload + 1] & 0x80;
+			const dataStart = payload + 3 + bytes[payload + 2];
+			const streamId = bytes[dataStart];
+			if ((streamId & 0xe0) === 0x20 && (trackId === null || trackId === streamId)) {
+				trackId = streamId;
+				const chunk = bytes.subarray(dataStart + 1, next);
+				if (hasPts) {
+					pending = {pts: readPts(bytes, payload + 3) / PTS_CLOCK, size: (chunk[0] << 8) | chunk[1], chunks: [chunk], length: chunk.length};
+				} else if (pending) {
+					pending.chunks.push(chunk);
+					pending.length += chunk.length;
+				}
+				if (pending && pending.length >= pending.size) {
+					const spu = parseSpu(concatChunks(pending.chunks).subarray(0, pending.size), pending.pts, palette);
+					if (spu) cues.push({start: spu.start, end: spu.end, images: [spu.image]});
+					pending = null;
+				}
+			}
+		}
+
+		offset = next;
+	}
+
+	// DVD frames are 720 wide; height depends on NTSC/PAL, which the .sub doesn't say
+	const maxBottom = cues.reduce((max, cue) => Math.max(max, cue.images[0].y + cue.images[0].height), 0);
+	const screenHeight = maxBottom > 480 ? 576 : 480;
+	cues.forEach((cue) => {
+		cue.screenWidth = 720;
+		cue.screenHeight = screenHeight;
+	});
+
+	return finalizeCues(cues);
+};
+
+const decodeVobSubImage = ({width, height, data, fields, colors}) => {
+	const out = new Uint8ClampedArray(width * height * 4);
+
+	// Interlaced: even lines come from the first field, odd lines from the second
+	fields.forEach((fieldOffset, field) => {
+		let nibble = fieldOffset * 2;
+		const read = () => {
+			const b = data[nibble >> 1];
+			const value = (nibble & 1) ? b & 0x0f : b >> 4;
+			nibble++;
+			return value;
+		};
+
+		for (let y = field; y < height; y += 2) {
+			let x = 0;
+			while (x < width && (nibble >> 1) < data.length) {
+				let v = read();
+				if (v < 0x4) {
+					v = (v << 4) | read();
+					if (v < 0x10) {
+						v = (v << 4) | read();
+						if (v < 0x40) v = (v << 4) | read();
+					}
+				}
+				const color = colors[v & 0x03];
+				// A zero run fills the rest of the line
+				const run = (v >> 2) || (width - x);
+				const end = Math.min(x + run, width);
+				for (; x < end; x++) {
+					const o = (y * width + x) * 4;
+					out[o] = color[0];
+					out[o + 1] = color[1];
+					out[o + 2] = color[2];
+					out[o + 3] = color[3];
+				}
+			}
+			// Lines start on a byte boundary
+			if (nibble & 1) nibble++;
+		}
+	});
+
+	return out;
+};
+
+/**
+ * Expand one cue image to RGBA pixels (width * height * 4)
+ * @returns {Uint8ClampedArray}
+ */
+export const decodeBitmapImage = (image) =>
+	image.type === 'pgs' ? decodePgsImage(image) : decodeVobSubImage(image);
+
+/**
+ * Cue showing at the given time (seconds), or null
+ */
+export const getActiveBitmapCue = (cues, time) => {
+	if (!cues) return null;
+	for (const cue of cues) {
+		if (cue.start > time) break;
+		if (time < cue.end) return cue;
+	}
+	return null;
+};
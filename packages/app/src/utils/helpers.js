@@ -1,4 +1,5 @@
 import {buildQueryString} from './urlCompat';
+import i18n from '../services/i18n';
 
 export const formatDuration = (ticks) => {
 	if (!ticks) return '';
@@ -12,9 +13,7 @@ export const formatDuration = (ticks) => {
 };
 
 export const formatDate = (dateString) => {
-	if (!dateString) return '';
-	const date = new Date(dateString);
-	return date.toLocaleDateString();
+	return i18n.formatDate(dateString);
 };
 
 export const getImageUrl = (serverUrl, itemId, imageType = 'Primary', options = {}) => {
@@ -56,6 +55,10 @@ export const getPrimaryImageId = (item) => {
 	if (item.Type === 'Season' && item.SeriesId && item.SeriesPrimaryImageTag) {
 		return item.SeriesId;
 	}
+	// Audio track without image - use album art
+	if (item.AlbumId && item.AlbumPrimaryImageTag) {
+		return item.AlbumId;
+	}
 	return null;
 };
 
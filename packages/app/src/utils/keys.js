@@ -37,10 +37,14 @@ const TIZEN_KEYS = {
 	BLUE: 406,
 	CHANNEL_UP: 427,
 	CHANNEL_DOWN: 428,
+	PREVIOUS_CHANNEL: 10190,
 };
 
+// webOS remotes send the channel rocker as Page Up / Page Down
 const WEBOS_KEYS = {
 	BACK: 461,
+	CHANNEL_UP: 33,
+	CHANNEL_DOWN: 34,
 };
 
 export const KEYS = {
@@ -49,6 +53,16 @@ export const KEYS = {
 	BACK: getPlatform() === 'tizen' ? 10009 : 461,
 };
 
+// Remote media keys share these codes on Tizen and webOS; play/pause toggle is Tizen only
+export const MEDIA_KEYS = {
+	PLAY: 415,
+	PAUSE: 19,
+	PLAY_PAUSE: 10252,
+	STOP: 413,
+	REWIND: 412,
+	FAST_FORWARD: 417
+};
+
 export const isBackKey = (e) => {
 	const code = e.keyCode || e.which;
 	return code === KEYS.BACK || code === 27 || code === 8;
@@ -74,6 +88,14 @@ export const ESSENTIAL_KEY_NAMES = [
 	'Search'
 ];
 
+// Registered only while a live channel is playing, so the TV keeps them everywhere else
+export const LIVE_TV_KEY_NAMES = [
+	'ChannelUp',
+	'ChannelDown',
+	'PreviousChannel',
+	'0', '1', '2', '3', '4', '5', '6', '7', '8', '9'
+];
+
 export const registerKeys = (keyNames = ESSENTIAL_KEY_NAMES) => {
 	if (getPlatform() !== 'tizen') return;
 	if (typeof tizen === 'undefined' || !tizen.tvinputdevice) return;
@@ -95,3 +117,16 @@ export const registerKeys = (keyNames = ESSENTIAL_KEY_NAMES) => {
 		console.error('Error registering TV keys:', e);
 	}
 };
+
+export const unregisterKeys = (keyNames) => {
+	if (getPlatform() !== 'tizen') return;
+	if (typeof tizen === 'undefined' || !tizen.tvinputdevice) return;
+
+	keyNames.forEach(keyName => {
+		try {
+			tizen.tvinputdevice.unregisterKey(keyName);
+		} catch (e) {
+			// Keys that were never registered throw; nothing to undo
+		}
+	});
+};
@@ -0,0 +1,49 @@
+// Jellyfin media segment types, in the order they're listed in settings
+export const SEGMENT_TYPES = ['Intro', 'Recap', 'Preview', 'Commercial', 'Outro'];
+
+export const SEGMENT_ACTION_OPTIONS = [
+	{ value: 'skip', label: 'Skip Automatically' },
+	{ value: 'ask', label: 'Show Skip Button' },
+	{ value: 'ignore', label: 'Do Nothing' }
+];
+
+export const SEGMENT_SETTING_KEYS = {
+	Intro: 'introSegmentAction',
+	Recap: 'recapSegmentAction',
+	Preview: 'previewSegmentAction',
+	Commercial: 'commercialSegmentAction',
+	Outro: 'outroSegmentAction'
+};
+
+export const SEGMENT_LABELS = {
+	Intro: 'Intro',
+	Recap: 'Recap',
+	Preview: 'Preview',
+	Commercial: 'Commercial',
+	Outro: 'Credits'
+};
+
+export const SEGMENT_SKIP_LABELS = {
+	Intro: 'Skip Intro',
+	Recap: 'Skip Recap',
+	Preview: 'Skip Preview',
+	Commercial: 'Skip Commercial',
+	Outro: 'Skip Credits'
+};
+
+/**
+ * Normalize a segment type from the server (MediaSegmentType) or chapter markers
+ * @returns {string|null} One of SEGMENT_TYPES, or null for unknown types
+ */
+export const normalizeSegmentType = (type) => {
+	const lower = (type || '').toLowerCase();
+	if (lower === 'credits') return 'Outro';
+	return SEGMENT_TYPES.find(t => t.toLowerCase() === lower) || null;
+};
+
+/**
+ * What the player should do when it reaches a segment of this type
+ * @returns {'skip'|'ask'|'ignore'}
+ */
+export const getSegmentAction = (settings, type) =>
+	settings[SEGMENT_SETTING_KEYS[type]] || 'ask';
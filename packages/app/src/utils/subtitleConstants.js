@@ -66,6 +66,57 @@ export const getSubtitleTextStyle = (settings) => {
 	};
 };
 
+// Secondary track: own size and color, shadow and background shared with the primary
+export const getSecondarySubtitleTextStyle = (settings) => getSubtitleTextStyle({
+	...settings,
+	subtitleSize: settings.secondarySubtitleSize,
+	subtitleColor: settings.secondarySubtitleColor
+});
+
+/**
+ * Text of the JSON track event covering a position
+ * @param {Array} events - TrackEvents from fetchSubtitleData
+ * @param {number} ticks - Position in ticks, subtitle offset already applied
+ */
+export const getSubtitleEventText = (events, ticks) => {
+	if (!events) return null;
+	const event = events.find(e => ticks >= e.StartPositionTicks && ticks <= e.EndPositionTicks);
+	return event ? event.Text : null;
+};
+
+// Languages offered for remote subtitle search; Jellyfin takes ISO 639-2 codes
+export const SUBTITLE_SEARCH_LANGUAGES = [
+	{ value: 'eng', code: 'en', label: 'English' },
+	{ value: 'spa', code: 'es', label: 'Spanish' },
+	{ value: 'fre', code: 'fr', label: 'French' },
+	{ value: 'ger', code: 'de', label: 'German' },
+	{ value: 'ita', code: 'it', label: 'Italian' },
+	{ value: 'por', code: 'pt', label: 'Portuguese' },
+	{ value: 'dut', code: 'nl', label: 'Dutch' },
+	{ value: 'swe', code: 'sv', label: 'Swedish' },
+	{ value: 'nor', code: 'no', label: 'Norwegian' },
+	{ value: 'dan', code: 'da', label: 'Danish' },
+	{ value: 'fin', code: 'fi', label: 'Finnish' },
+	{ value: 'pol', code: 'pl', label: 'Polish' },
+	{ value: 'rus', code: 'ru', label: 'Russian' },
+	{ value: 'tur', code: 'tr', label: 'Turkish' },
+	{ value: 'ara', code: 'ar', label: 'Arabic' },
+	{ value: 'jpn', code: 'ja', label: 'Japanese' },
+	{ value: 'kor', code: 'ko', label: 'Korean' },
+	{ value: 'chi', code: 'zh', label: 'Chinese' }
+];
+
+/**
+ * Language to search first: the preferred subtitle language, else the app's locale
+ */
+export const getDefaultSubtitleSearchLanguage = (settings, locale) => {
+	if (SUBTITLE_SEARCH_LANGUAGES.some(l => l.value === settings.subtitleLanguage)) {
+		return settings.subtitleLanguage;
+	}
+	const code = (locale || '').split('-')[0].toLowerCase();
+	return SUBTITLE_SEARCH_LANGUAGES.find(l => l.code === code)?.value || 'eng';
+};
+
 export const sanitizeSubtitleHtml = (text) =>
 	text
 		.replace(/\\N/gi, '<br/>')
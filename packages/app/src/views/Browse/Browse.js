@@ -3,11 +3,14 @@ import Spottable from '@enact/spotlight/Spottable';
 import Spotlight from '@enact/spotlight';
 import {useAuth} from '../../context/AuthContext';
 import {useSettings} from '../../context/SettingsContext';
+import {useI18n} from '../../context/I18nContext';
+import {useServerEvent} from '../../context/ServerEventsContext';
 import MediaRow from '../../components/MediaRow';
 import LoadingSpinner from '../../components/LoadingSpinner';
 import {getImageUrl, getBackdropId, getLogoUrl} from '../../utils/helpers';
 import {getFromStorage, saveToStorage} from '../../services/storage';
 import * as connectionPool from '../../services/connectionPool';
+import {CACHE_UPDATED_EVENT} from '../../services/responseCache';
 import RatingsRow from '../../components/RatingsRow';
 import {KEYS} from '../../utils/keys';
 import {extractYouTubeId, fetchSponsorSegments, fetchVideoStreamUrl, getTrailerStartTime} from '../../services/youtubeTrailer';
@@ -23,8 +26,10 @@ const DETAIL_GENRES_LIMIT = 2;
 const TRANSITION_DELAY_MS = 450;
 const PRELOAD_ADJACENT_SLIDES = 2;
 const TRAILER_REVEAL_MS = 4000;
+const LIVE_REFRESH_DEBOUNCE_MS = 2000;
 
-// Cache TTL in milliseconds (5 minutes for volatile data, 30 minutes for libraries)
+// Cache TTL in milliseconds (5 minutes for volatile data, 30 minutes for libraries).
+// Older rows are still shown straight away while a full refresh runs.
 const CACHE_TTL_VOLATILE = 5 * 60 * 1000;
 const CACHE_TTL_LIBRARIES = 30 * 60 * 1000;
 const STORAGE_KEY_BROWSE = 'browse_cache';
@@ -49,6 +54,7 @@ const Browse = ({
 }) => {
 	const {api, serverUrl, accessToken, hasMultipleServers, user} = useAuth();
 	const {settings} = useSettings();
+	const {t} = useI18n();
 	const unifiedMode = settings.unifiedLibraryMode && hasMultipleServers;
 	const isLegacy = typeof document !== 'undefined' && (' ' + document.documentElement.className + ' ').indexOf(' legacy ') >= 0;
 	const [isLoading, setIsLoading] = useState(true);
@@ -79,6 +85,9 @@ const Browse = ({
 	const trailerVideoIdRef = useRef(null);
 	const trailerRevealTimerRef = useRef(null);
 	const sponsorSegmentsRef = useRef([]);
+	const liveRefreshRef = useRef(null);
+	const liveRefreshTimerRef = useRef(null);
+	const pendingLiveRefreshRef = useRef(null);
 
 	// Helper to get the correct server URL for an item (supports cross-server items)
 	const getItemServerUrl = useCallback((item) => {
@@ -376,6 +385,58 @@ const Browse = ({
 		};
 	}, []);
 
+	// Live updates pushed over the server socket. Bursts (e.g. a library scan)
+	// are coalesced; a library change wins over a user-data-only refresh.
+	const scheduleLiveRefresh = useCallback((kind) => {
+		if (pendingLiveRefreshRef.current !== 'full') {
+			pendingLiveRefreshRef.current = kind;
+		}
+		if (liveRefreshTimerRef.current) clearTimeout(liveRefreshTimerRef.current);
+		liveRefreshTimerRef.current = setTimeout(() => {
+			const pending = pendingLiveRefreshRef.current;
+			liveRefreshTimerRef.current = null;
+			pendingLiveRefreshRef.current = null;
+			const handlers = liveRefreshRef.current;
+			if (!handlers) return;
+			if (pending === 'full') {
+				console.log('[Browse] Library changed on server, refreshing rows');
+				handlers.fetchAllData({background: true});
+			} else {
+				handlers.refreshVolatileData();
+			}
+		}, LIVE_REFRESH_DEBOUNCE_MS);
+	}, []);
+
+	useEffect(() => () => {
+		if (liveRefreshTimerRef.current) clearTimeout(liveRefreshTimerRef.current);
+	}, []);
+
+	const isFromCurrentServer = useCallback((eventServerUrl) => {
+		if (unifiedMode) return true;
+		return (eventServerUrl || '').replace(/\/+$/, '').toLowerCase() === (serverUrl || '').replace(/\/+$/, '').toLowerCase();
+	}, [unifiedMode, serverUrl]);
+
+	useServerEvent('LibraryChanged', (data, {serverUrl: eventServerUrl}) => {
+		if (!isFromCurrentServer(eventServerUrl)) return;
+		scheduleLiveRefresh('full');
+	});
+
+	useServerEvent('UserDataChanged', (data, {serverUrl: eventServerUrl}) => {
+		if (!isFromCurrentServer(eventServerUrl)) return;
+		if (!unifiedMode && data?.UserId && user?.Id && data.UserId !== user.Id) return;
+		scheduleLiveRefresh('volatile');
+	});
+
+	// The API response cache refreshed something in the background; re-read it in place
+	useEffect(() => {
+		const handleCacheUpdated = (e) => {
+			if (!isFromCurrentServer(e.detail?.serverUrl)) return;
+			scheduleLiveRefresh(e.detail.category === 'resume' ? 'volatile' : 'full');
+		};
+		window.addEventListener(CACHE_UPDATED_EVENT, handleCacheUpdated);
+		return () => window.removeEventListener(CACHE_UPDATED_EVENT, handleCacheUpdated);
+	}, [isFromCurrentServer, scheduleLiveRefresh]);
+
 	// Helper to check if cache is still valid
 	const isCacheValid = useCallback((timestamp, ttl) => {
 		if (!timestamp) return false;
@@ -430,10 +491,9 @@ const Browse = ({
 			}
 
 			const persistedCache = await loadBrowseCache();
-			const hasValidPersistedCache = persistedCache && isCacheValid(persistedCache.timestamp, CACHE_TTL_LIBRARIES);
 
-			// If we have valid persisted cache, show it immediately
-			if (hasValidPersistedCache) {
+			// If we have persisted rows, show them immediately
+			if (persistedCache?.rowData) {
 				console.log('[Browse] Using persisted cache, will refresh in background');
 				setAllRowData(persistedCache.rowData);
 				await fetchFreshFeaturedItems(persistedCache.featuredItems);
@@ -442,8 +502,11 @@ const Browse = ({
 				cacheTimestamp = persistedCache.timestamp;
 				setIsLoading(false);
 
-				// If volatile data is stale, refresh in background
-				if (!isCacheValid(persistedCache.timestamp, CACHE_TTL_VOLATILE)) {
+				if (!isCacheValid(persistedCache.timestamp, CACHE_TTL_LIBRARIES)) {
+					console.log('[Browse] Persisted cache stale, refreshing rows in background');
+					fetchAllData({background: true}); // eslint-disable-line no-use-before-define
+				} else if (!isCacheValid(persistedCache.timestamp, CACHE_TTL_VOLATILE)) {
+					// If volatile data is stale, refresh in background
 					console.log('[Browse] Volatile cache stale, refreshing in background');
 					refreshVolatileData(); // eslint-disable-line no-use-before-define
 				}
@@ -511,8 +574,9 @@ const Browse = ({
 			}
 		};
 
-		// Full data fetch
-		const fetchAllData = async () => {
+		// Full data fetch. Background refreshes keep the current rows and featured
+		// items on screen until the complete row set is ready.
+		const fetchAllData = async ({background = false} = {}) => {
 			try {
 				let libs, resumeItems, nextUp, userConfig, randomItems;
 
@@ -535,7 +599,7 @@ const Browse = ({
 						api.getResumeItems(),
 						api.getNextUp(),
 						api.getUserConfiguration().catch(() => null),
-						api.getRandomItems(settings.featuredContentType, settings.featuredItemCount)
+						api.getRandomItems(settings.featuredContentType, settings.featuredItemCount).catch(() => null)
 					]);
 					libs = results[0].Items || [];
 					resumeItems = results[1];
@@ -592,12 +656,16 @@ const Browse = ({
 						...item,
 						LogoUrl: getLogoUrl(getItemServerUrl(item), item, {maxWidth: 800, quality: 90})
 					}));
-					setFeaturedItems(featuredWithLogos);
-					cachedFeaturedItems = featuredWithLogos;
+					if (!background) {
+						setFeaturedItems(featuredWithLogos);
+						cachedFeaturedItems = featuredWithLogos;
+					}
 				}
 
-				setAllRowData(rowData);
-				setIsLoading(false);
+				if (!background) {
+					setAllRowData(rowData);
+					setIsLoading(false);
+				}
 
 				const eligibleLibraries = libs.filter(lib => {
 					if (EXCLUDED_COLLECTION_TYPES.includes(lib.CollectionType?.toLowerCase())) {
@@ -659,7 +727,8 @@ const Browse = ({
 							: result.lib.Name;
 						completeRowData.push({
 							id: `latest-${result.lib.Id}${result.lib._serverName ? '-' + result.lib._serverName : ''}`,
-							title: `Latest in ${libraryTitle}`,
+							title: 'Latest in {library}',
+							titleParams: {library: libraryTitle},
 							items: result.latest,
 							library: result.lib,
 							type: result.lib.CollectionType?.toLowerCase() === 'music' ? 'square' : 'portrait',
@@ -709,6 +778,7 @@ const Browse = ({
 			}
 		};
 
+		liveRefreshRef.current = {refreshVolatileData, fetchAllData};
 		loadData();
 	}, [api, serverUrl, accessToken, settings.featuredContentType, settings.featuredItemCount, isCacheValid, loadBrowseCache, saveBrowseCache, fetchFreshFeaturedItems, unifiedMode, getItemServerUrl]);
 
@@ -1029,9 +1099,9 @@ const Browse = ({
 		if (segments.length > 0) {
 			trailerSkipIntervalRef.current = setInterval(() => {
 				if (!video || video.paused) return;
-				const t = video.currentTime;
+				const position = video.currentTime;
 				for (let i = 0; i < segments.length; i++) {
-					if (t >= segments[i].start && t < segments[i].end - 0.5) {
+					if (position >= segments[i].start && position < segments[i].end - 0.5) {
 						video.currentTime = segments[i].end;
 						break;
 					}
@@ -1104,7 +1174,7 @@ const Browse = ({
 			<div className={css.page}>
 				<div className={css.loadingContainer}>
 					<LoadingSpinner />
-					<p>Loading your library...</p>
+					<p>{t('Loading your library...')}</p>
 				</div>
 			</div>
 		);
@@ -1227,7 +1297,7 @@ const Browse = ({
 										<RatingsRow item={currentFeatured} serverUrl={getItemServerUrl(currentFeatured)} compact />
 									)}
 									<p className={css.featuredOverview}>
-										{currentFeatured.Overview || 'No description available.'}
+										{currentFeatured.Overview || t('No description available.')}
 									</p>
 								</div>
 
@@ -1278,12 +1348,12 @@ const Browse = ({
 								<RatingsRow item={focusedItem} serverUrl={getItemServerUrl(focusedItem)} compact />
 							)}
 							<p className={css.detailSummary}>
-								{focusedItem.Overview || 'No description available.'}
+								{focusedItem.Overview || t('No description available.')}
 							</p>
 						</>
 					) : (
 						<div className={css.detailPlaceholder}>
-							<p>Navigate to an item to see details</p>
+							<p>{t('Navigate to an item to see details')}</p>
 						</div>
 					)}
 				</div>
@@ -1296,7 +1366,7 @@ const Browse = ({
 						<MediaRow
 							key={row.id}
 							rowId={row.id}
-							title={row.title}
+							title={t(row.title, row.titleParams)}
 							items={row.items}
 							serverUrl={serverUrl}
 							cardType={row.type}
@@ -1310,7 +1380,7 @@ const Browse = ({
 						/>
 					))}
 					{filteredRows.length === 0 && (
-						<div className={css.empty}>No content found</div>
+						<div className={css.empty}>{t('No content found')}</div>
 					)}
 				</div>
 			</div>
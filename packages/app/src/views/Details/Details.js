@@ -6,6 +6,9 @@ import {Scroller} from '@enact/sandstone/Scroller';
 
 import {useAuth} from '../../context/AuthContext';
 import {useSettings} from '../../context/SettingsContext';
+import {useServerEvent} from '../../context/ServerEventsContext';
+import {usePlaylists} from '../../context/PlaylistContext';
+import {useI18n} from '../../context/I18nContext';
 import * as jellyfinApi from '../../services/jellyfinApi';
 import MediaRow from '../../components/MediaRow';
 import LoadingSpinner from '../../components/LoadingSpinner';
@@ -13,6 +16,8 @@ import RatingsRow from '../../components/RatingsRow';
 import {formatDuration, getImageUrl, getBackdropId, getLogoUrl} from '../../utils/helpers';
 import {KEYS, isBackKey} from '../../utils/keys';
 import {fetchVideoStreamUrl} from '../../services/youtubeTrailer';
+import {getAudioPlayer, fetchInstantMix} from '../../services/audioPlayer';
+import {canAddToPlaylist} from '../../services/playlists';
 
 import css from './Details.module.less';
 
@@ -107,9 +112,27 @@ const getMediaBadges = (item) => {
 	return badges;
 };
 
+const sameServer = (a, b) => (a || '').replace(/\/+$/, '').toLowerCase() === (b || '').replace(/\/+$/, '').toLowerCase();
+
+// Apply a UserDataChanged payload (ItemId -> user data) to a list of items
+const mergeUserData = (items, userDataById) => {
+	let changed = false;
+	const merged = items.map(entry => {
+		const userData = userDataById[entry.Id];
+		if (!userData) return entry;
+		changed = true;
+		return {...entry, UserData: {...entry.UserData, ...userData}};
+	});
+	return changed ? merged : items;
+};
+
+const QUEUE_FEEDBACK_MS = 2000;
+
 const Details = ({itemId, initialItem, onPlay, onSelectItem, onSelectPerson, backHandlerRef}) => {
 	const {api, serverUrl} = useAuth();
 	const {settings} = useSettings();
+	const {openAddToPlaylist} = usePlaylists();
+	const {t, tn, formatDate} = useI18n();
 
 	// Cross-server support
 	const effectiveApi = useMemo(() => {
@@ -155,6 +178,8 @@ const Details = ({itemId, initialItem, onPlay, onSelectItem, onSelectPerson, bac
 	const [activeModal, setActiveModal] = useState(null);
 	const [trailerOverlay, setTrailerOverlay] = useState(null);
 	const [trailerStreamUrl, setTrailerStreamUrl] = useState(null);
+	const [queueFeedback, setQueueFeedback] = useState(null);
+	const [isRemovingPlaylistItems, setIsRemovingPlaylistItems] = useState(false);
 
 	// Refs
 	const pageScrollerRef = useRef(null);
@@ -173,6 +198,7 @@ const Details = ({itemId, initialItem, onPlay, onSelectItem, onSelectPerson, bac
 			setAlbumTracks([]);
 			setArtistAlbums([]);
 			setPlaylistItems([]);
+			setIsRemovingPlaylistItems(false);
 			setShowMediaInfo(false);
 
 			try {
@@ -307,6 +333,51 @@ const Details = ({itemId, initialItem, onPlay, onSelectItem, onSelectPerson, bac
 		}
 	}, [isLoading, item]);
 
+	// Live updates from the server socket
+	const reloadItemQuietly = useCallback(async () => {
+		try {
+			const data = await effectiveApi.getItem(itemId);
+			setItem(tagWithServerInfo(data));
+		} catch (err) {
+			console.warn('[Details] Failed to refresh item', err);
+		}
+	}, [effectiveApi, itemId, tagWithServerInfo]);
+
+	useServerEvent('UserDataChanged', (data, {serverUrl: eventServerUrl}) => {
+		if (!sameServer(eventServerUrl, effectiveServerUrl)) return;
+		const userId = initialItem?._serverUserId || jellyfinApi.getUserId();
+		if (data?.UserId && userId && data.UserId !== userId) return;
+
+		const userDataById = {};
+		(data?.UserDataList || []).forEach(userData => {
+			if (userData.ItemId) userDataById[userData.ItemId] = userData;
+		});
+		if (Object.keys(userDataById).length === 0) return;
+
+		setItem(prev => {
+			const userData = prev && userDataById[prev.Id];
+			return userData ? {...prev, UserData: {...prev.UserData, ...userData}} : prev;
+		});
+		setSeasons(prev => mergeUserData(prev, userDataById));
+		setEpisodes(prev => mergeUserData(prev, userDataById));
+		setAlbumTracks(prev => mergeUserData(prev, userDataById));
+		setPlaylistItems(prev => mergeUserData(prev, userDataById));
+	});
+
+	useServerEvent('LibraryChanged', (data, {serverUrl: eventServerUrl}) => {
+		if (!item || !sameServer(eventServerUrl, effectiveServerUrl)) return;
+		if (data?.ItemsUpdated?.includes(item.Id)) {
+			reloadItemQuietly();
+		}
+	});
+
+	useServerEvent('RefreshProgress', (data, {serverUrl: eventServerUrl}) => {
+		if (!item || data?.ItemId !== item.Id || !sameServer(eventServerUrl, effectiveServerUrl)) return;
+		if (parseFloat(data.Progress) >= 100) {
+			reloadItemQuietly();
+		}
+	});
+
 	// === HANDLERS ===
 
 	const handlePlay = useCallback(() => {
@@ -384,9 +455,61 @@ const Details = ({itemId, initialItem, onPlay, onSelectItem, onSelectPerson, bac
 	}, [item, onPlay, selectedAudioIndex, selectedSubtitleIndex, selectedVersionIndex]);
 
 	const handleShuffle = useCallback(() => {
-		if (item) {
+		if (item?.Type === 'MusicAlbum') {
+			if (albumTracks.length > 0) {
+				onPlay?.(albumTracks[0], false, {audioPlaylist: albumTracks, shuffle: true});
+			}
+		} else if (item) {
 			onPlay?.(item, false, true);
 		}
+	}, [item, albumTracks, onPlay]);
+
+	// Music queue actions
+	const getQueueTracks = useCallback(() => {
+		if (item?.Type === 'MusicAlbum') return albumTracks;
+		if (item?.Type === 'Playlist') return playlistItems.filter(entry => entry.MediaType === 'Audio');
+		return [];
+	}, [item, albumTracks, playlistItems]);
+
+	const showQueueFeedback = useCallback((action) => {
+		setQueueFeedback(action);
+		setTimeout(() => setQueueFeedback(current => (current === action ? null : current)), QUEUE_FEEDBACK_MS);
+	}, []);
+
+	const handlePlayNext = useCallback(() => {
+		const tracks = getQueueTracks();
+		if (!tracks.length) return;
+		const audioPlayer = getAudioPlayer();
+		if (!audioPlayer.isActive()) {
+			onPlay?.(tracks[0], false, {audioPlaylist: tracks});
+			return;
+		}
+		audioPlayer.playNext(tracks);
+		showQueueFeedback('next');
+	}, [getQueueTracks, onPlay, showQueueFeedback]);
+
+	const handleAddToQueue = useCallback(() => {
+		const tracks = getQueueTracks();
+		if (!tracks.length) return;
+		const audioPlayer = getAudioPlayer();
+		if (!audioPlayer.isActive()) {
+			onPlay?.(tracks[0], false, {audioPlaylist: tracks});
+			return;
+		}
+		audioPlayer.addToQueue(tracks);
+		showQueueFeedback('add');
+	}, [getQueueTracks, onPlay, showQueueFeedback]);
+
+	const handleInstantMix = useCallback(async () => {
+		if (!item) return;
+		try {
+			const mix = await fetchInstantMix(item);
+			if (mix.length > 0) {
+				onPlay?.(mix[0], false, {audioPlaylist: mix});
+			}
+		} catch (err) {
+			console.error('[Details] Failed to load instant mix', err);
+		}
 	}, [item, onPlay]);
 
 	const handleTrailer = useCallback(() => {
@@ -416,6 +539,10 @@ const Details = ({itemId, initialItem, onPlay, onSelectItem, onSelectPerson, bac
 		window.requestAnimationFrame(() => Spotlight.focus('details-favorite-btn') || Spotlight.focus('season-favorite-btn'));
 	}, [effectiveApi, item]);
 
+	const handleAddToPlaylist = useCallback(() => {
+		if (item) openAddToPlaylist(item);
+	}, [item, openAddToPlaylist]);
+
 	const handleToggleWatched = useCallback(async () => {
 		if (!item) return;
 		const newState = !item.UserData?.Played;
@@ -568,7 +695,7 @@ const Details = ({itemId, initialItem, onPlay, onSelectItem, onSelectPerson, bac
 
 	const handleTrackPlay = useCallback((ev) => {
 		const trackId = ev.currentTarget.dataset.trackId;
-		const track = albumTracks.find(t => t.Id === trackId);
+		const track = albumTracks.find(entry => entry.Id === trackId);
 		if (track) {
 			onPlay?.(track, false, {audioPlaylist: albumTracks});
 		}
@@ -621,9 +748,47 @@ const Details = ({itemId, initialItem, onPlay, onSelectItem, onSelectPerson, bac
 		}
 	}, [onSelectPerson]);
 
+	const handleRemovePlaylistItem = useCallback(async (itemIndex) => {
+		const removedItem = playlistItems[itemIndex];
+		if (!removedItem?.PlaylistItemId) return;
+
+		const newItems = playlistItems.filter((_, idx) => idx !== itemIndex);
+		setPlaylistItems(newItems);
+
+		window.requestAnimationFrame(() => {
+			const listEl = document.querySelector(`.${css.playlistItemsList}`);
+			const items = listEl?.querySelectorAll('.spottable');
+			const nextFocus = items?.[Math.min(itemIndex, items.length - 1)];
+			if (nextFocus) {
+				Spotlight.focus(nextFocus);
+			} else {
+				Spotlight.focus('playlist-remove-btn');
+			}
+		});
+
+		try {
+			await effectiveApi.removeFromPlaylist(item.Id, [removedItem.PlaylistItemId]);
+		} catch (e) {
+			console.error('[Details] Failed to remove playlist item', e);
+			setPlaylistItems(prev => {
+				const revertItems = [...prev];
+				revertItems.splice(itemIndex, 0, removedItem);
+				return revertItems;
+			});
+		}
+	}, [playlistItems, effectiveApi, item]);
+
+	const handleToggleRemovePlaylistItems = useCallback(() => {
+		setIsRemovingPlaylistItems(prev => !prev);
+	}, []);
+
 	const handlePlaylistItemSelect = useCallback((ev) => {
+		if (isRemovingPlaylistItems) {
+			handleRemovePlaylistItem(parseInt(ev.currentTarget.dataset.playlistIndex, 10));
+			return;
+		}
 		const plItemId = ev.currentTarget.dataset.playlistItemId;
-		const plItem = playlistItems.find(t => t.Id === plItemId);
+		const plItem = playlistItems.find(entry => entry.Id === plItemId);
 		if (plItem) {
 			if (plItem.MediaType === 'Audio') {
 				onPlay?.(plItem, false, {audioPlaylist: playlistItems});
@@ -631,7 +796,7 @@ const Details = ({itemId, initialItem, onPlay, onSelectItem, onSelectPerson, bac
 				onSelectItem?.(plItem);
 			}
 		}
-	}, [playlistItems, onPlay, onSelectItem]);
+	}, [playlistItems, onPlay, onSelectItem, isRemovingPlaylistItems, handleRemovePlaylistItem]);
 
 	const handlePlaylistShuffle = useCallback(() => {
 		if (playlistItems.length < 2) return;
@@ -889,11 +1054,11 @@ const handleSectionKeyDown = useCallback((ev) => {
 			const ampm = hours >= 12 ? 'PM' : 'AM';
 			const h = hours % 12 || 12;
 			const m = minutes < 10 ? '0' + minutes : minutes;
-			return `Ends at ${h}:${m} ${ampm}`;
+			return t('Ends at {time}', {time: `${h}:${m} ${ampm}`});
 		} else {
 			const h = hours.toString().padStart(2, '0');
 			const m = minutes < 10 ? '0' + minutes : minutes;
-			return `Ends at ${h}:${m}`;
+			return t('Ends at {time}', {time: `${h}:${m}`});
 		}
 	})();
 	const officialRating = item.OfficialRating || '';
@@ -956,9 +1121,9 @@ const handleSectionKeyDown = useCallback((ev) => {
 		return (
 			<div className={css.modalOverlay} onClick={handleCloseMediaInfo}>
 				<div className={css.mediaInfoMenu} onClick={handleStopPropagation}>
-					<h3 className={css.modalTitle}>Media Info</h3>
+					<h3 className={css.modalTitle}>{t('Media Info')}</h3>
 					<div className={css.mediaInfoContent}>
-						{streams.length === 0 && <p className={css.mediaInfoRow}>No media info available</p>}
+						{streams.length === 0 && <p className={css.mediaInfoRow}>{t('No media info available')}</p>}
 						{streams.map((stream, i) => (
 							<div key={i} className={css.mediaInfoStream}>
 								<div className={css.mediaInfoStreamHeader}>
@@ -988,7 +1153,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 								)}
 								{stream.Type === 'Subtitle' && (
 									<div className={css.mediaInfoRow}>
-										{[stream.Codec?.toUpperCase(), stream.IsExternal ? 'External' : 'Embedded'].filter(Boolean).join(' · ')}
+										{[stream.Codec?.toUpperCase(), stream.IsExternal ? t('External') : t('Embedded')].filter(Boolean).join(' · ')}
 									</div>
 								)}
 							</div>
@@ -996,7 +1161,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 					</div>
 					<div className={css.mediaInfoClose}>
 						<SpottableDiv className={css.mediaInfoCloseBtn} onClick={handleCloseMediaInfo} spotlightId="media-info-close">
-							Close
+							{t('Close')}
 						</SpottableDiv>
 					</div>
 				</div>
@@ -1004,6 +1169,17 @@ const handleSectionKeyDown = useCallback((ev) => {
 		);
 	};
 
+	const renderAddToPlaylistButton = () => canAddToPlaylist(item) && (
+		<SpottableDiv className={css.btnWrapper} onClick={handleAddToPlaylist}>
+			<div className={css.btnAction}>
+				<svg className={css.btnIcon} viewBox="0 -960 960 960" fill="currentColor">
+					<path d="M440-400h80v-120h120v-80H520v-120h-80v120H320v80h120v120ZM320-240q-33 0-56.5-23.5T240-320v-480q0-33 23.5-56.5T320-880h480q33 0 56.5 23.5T880-800v480q0 33-23.5 56.5T800-240H320Zm0-80h480v-480H320v480ZM160-80q-33 0-56.5-23.5T80-160v-560h80v560h560v80H160Zm160-720v480-480Z"/>
+				</svg>
+			</div>
+			<span className={css.btnLabel}>{t('Add to Playlist')}</span>
+		</SpottableDiv>
+	);
+
 	const renderActionButtons = (showPlayButtons = true) => (
 		<HorizontalContainer className={css.actionButtons} onKeyDown={handleButtonRowKeyDown} onFocus={handleButtonRowFocus} spotlightId="details-action-buttons">
 			{showPlayButtons && !isBook && hasPlaybackPosition && (
@@ -1011,7 +1187,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 					<div className={css.btnAction}>
 						<span className={css.btnIcon}>▶</span>
 					</div>
-					<span className={css.btnLabel}>Resume</span>
+					<span className={css.btnLabel}>{t('Resume')}</span>
 					<span className={css.btnDetail}>{resumeTimeText}</span>
 				</SpottableDiv>
 			)}
@@ -1030,7 +1206,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 							<span className={css.btnIcon}>▶</span>
 						)}
 					</div>
-					<span className={css.btnLabel}>{isBook ? 'Read' : hasPlaybackPosition ? 'Restart' : 'Play'}</span>
+					<span className={css.btnLabel}>{isBook ? t('Read') : hasPlaybackPosition ? t('Restart') : t('Play')}</span>
 				</SpottableDiv>
 			)}
 			{(isSeries || isSeason) && (
@@ -1040,7 +1216,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 							<path d="M560-160v-80h104L537-367l57-57 126 126v-102h80v240H560Zm-344 0-56-56 504-504H560v-80h240v240h-80v-104L216-160Zm151-377L160-744l56-56 207 207-56 56Z"/>
 						</svg>
 					</div>
-					<span className={css.btnLabel}>Shuffle</span>
+					<span className={css.btnLabel}>{t('Shuffle')}</span>
 				</SpottableDiv>
 			)}
 			{hasMultipleVersions && (
@@ -1050,8 +1226,8 @@ const handleSectionKeyDown = useCallback((ev) => {
 							<path d="M320-240h320v-80H320v80Zm0-160h320v-80H320v80ZM240-80q-33 0-56.5-23.5T160-160v-640q0-33 23.5-56.5T240-880h320l240 240v480q0 33-23.5 56.5T740-80H240Zm280-520v-200H240v640h500v-440H520ZM240-800v200-200 640-640Z"/>
 						</svg>
 					</div>
-					<span className={css.btnLabel}>Version</span>
-					<span className={css.btnDetail}>{mediaSource?.Name || `Version ${selectedVersionIndex + 1}`}</span>
+					<span className={css.btnLabel}>{t('Version')}</span>
+					<span className={css.btnDetail}>{mediaSource?.Name || t('Version {number}', {number: selectedVersionIndex + 1})}</span>
 				</SpottableDiv>
 			)}
 			{hasMultipleAudio && (
@@ -1061,10 +1237,10 @@ const handleSectionKeyDown = useCallback((ev) => {
 							<path d="M400-120q-66 0-113-47t-47-113q0-66 47-113t113-47q23 0 42.5 5.5T480-418v-422h240v160H560v400q0 66-47 113t-113 47Z"/>
 						</svg>
 					</div>
-					<span className={css.btnLabel}>Audio</span>
+					<span className={css.btnLabel}>{t('Audio')}</span>
 					{currentAudioStream && (
 						<span className={css.btnDetail}>
-							{currentAudioStream.DisplayTitle || currentAudioStream.Language || 'Track ' + (selectedAudioIndex + 1)}
+							{currentAudioStream.DisplayTitle || currentAudioStream.Language || t('Track {number}', {number: selectedAudioIndex + 1})}
 						</span>
 					)}
 				</SpottableDiv>
@@ -1076,13 +1252,13 @@ const handleSectionKeyDown = useCallback((ev) => {
 							<path d="M200-160q-33 0-56.5-23.5T120-240v-480q0-33 23.5-56.5T200-800h560q33 0 56.5 23.5T840-720v480q0 33-23.5 56.5T760-160H200Zm0-80h560v-480H200v480Zm80-120h120q17 0 28.5-11.5T440-400v-40h-60v20h-80v-120h80v20h60v-40q0-17-11.5-28.5T400-600H280q-17 0-28.5 11.5T240-560v160q0 17 11.5 28.5T280-360Zm280 0h120q17 0 28.5-11.5T720-400v-40h-60v20h-80v-120h80v20h60v-40q0-17-11.5-28.5T680-600H560q-17 0-28.5 11.5T520-560v160q0 17 11.5 28.5T560-360ZM200-240v-480 480Z"/>
 						</svg>
 					</div>
-					<span className={css.btnLabel}>Subtitle</span>
+					<span className={css.btnLabel}>{t('Subtitle')}</span>
 					{currentSubtitleStream ? (
 						<span className={css.btnDetail}>
-							{currentSubtitleStream.DisplayTitle || currentSubtitleStream.Language || 'Track ' + (selectedSubtitleIndex + 1)}
+							{currentSubtitleStream.DisplayTitle || currentSubtitleStream.Language || t('Track {number}', {number: selectedSubtitleIndex + 1})}
 						</span>
 					) : (
-						<span className={css.btnDetail}>Off</span>
+						<span className={css.btnDetail}>{t('Off')}</span>
 					)}
 				</SpottableDiv>
 			)}
@@ -1093,7 +1269,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 							<path d="M160-120v-720h80v80h80v-80h320v80h80v-80h80v720h-80v-80h-80v80H320v-80h-80v80h-80Zm80-160h80v-80h-80v80Zm0-160h80v-80h-80v80Zm0-160h80v-80h-80v80Zm400 320h80v-80h-80v80Zm0-160h80v-80h-80v80Zm0-160h80v-80h-80v80ZM400-200h160v-560H400v560Zm0-560h160-160Z"/>
 						</svg>
 					</div>
-					<span className={css.btnLabel}>Trailer</span>
+					<span className={css.btnLabel}>{t('Trailer')}</span>
 				</SpottableDiv>
 			)}
 			<SpottableDiv className={css.btnWrapper} onClick={handleToggleWatched} spotlightId="details-watched-btn">
@@ -1102,7 +1278,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 						<path d="M382-240 154-468l57-57 171 171 367-367 57 57-424 424Z"/>
 					</svg>
 				</div>
-				<span className={css.btnLabel}>{item.UserData?.Played ? 'Watched' : 'Mark Watched'}</span>
+				<span className={css.btnLabel}>{item.UserData?.Played ? t('Watched') : t('Mark Watched')}</span>
 			</SpottableDiv>
 			<SpottableDiv className={css.btnWrapper} onClick={handleToggleFavorite} spotlightId="details-favorite-btn">
 				<div className={css.btnAction}>
@@ -1110,8 +1286,9 @@ const handleSectionKeyDown = useCallback((ev) => {
 						<path d="m480-120-58-52q-101-91-167-157T150-447.5Q111-500 95.5-544T80-634q0-94 63-157t157-63q52 0 99 22t81 62q34-40 81-62t99-22q94 0 157 63t63 157q0 46-15.5 90T810-447.5Q771-395 705-329T538-172l-58 52Z"/>
 					</svg>
 				</div>
-				<span className={css.btnLabel}>{item.UserData?.IsFavorite ? 'Favorited' : 'Favorite'}</span>
+				<span className={css.btnLabel}>{item.UserData?.IsFavorite ? t('Favorited') : t('Favorite')}</span>
 			</SpottableDiv>
+			{renderAddToPlaylistButton()}
 			{isEpisode && item.SeriesId && (
 				<SpottableDiv className={css.btnWrapper} onClick={handleGoToSeries}>
 					<div className={css.btnAction}>
@@ -1119,7 +1296,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 							<path d="M240-120v-80l40-40H160q-33 0-56.5-23.5T80-320v-440q0-33 23.5-56.5T160-840h640q33 0 56.5 23.5T880-760v440q0 33-23.5 56.5T800-240H680l40 40v80H240Zm-80-200h640v-440H160v440Zm0 0v-440 440Z"/>
 						</svg>
 					</div>
-					<span className={css.btnLabel}>Series</span>
+					<span className={css.btnLabel}>{t('Series')}</span>
 				</SpottableDiv>
 			)}
 			{supportsMediaSourceSelection && (
@@ -1129,7 +1306,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 							<path d="M440-280h80v-240h-80v240Zm40-320q17 0 28.5-11.5T520-640q0-17-11.5-28.5T480-680q-17 0-28.5 11.5T440-640q0 17 11.5 28.5T480-600Zm0 520q-83 0-156-31.5T197-197q-54-54-85.5-127T80-480q0-83 31.5-156T197-763q54-54 127-85.5T480-880q83 0 156 31.5T763-763q54 54 85.5 127T880-480q0 83-31.5 156T763-197q-54 54-127 85.5T480-80Z"/>
 						</svg>
 					</div>
-					<span className={css.btnLabel}>Media Info</span>
+					<span className={css.btnLabel}>{t('Media Info')}</span>
 				</SpottableDiv>
 			)}
 		</HorizontalContainer>
@@ -1137,10 +1314,10 @@ const handleSectionKeyDown = useCallback((ev) => {
 
 	const renderMetadata = () => {
 		const metaItems = [];
-		if (genres.length > 0) metaItems.push({label: 'Genres', value: genres.slice(0, 3).join(', ')});
-		if (directors.length > 0) metaItems.push({label: 'Director', value: directors.map(d => d.Name).join(', ')});
-		if (writers.length > 0) metaItems.push({label: 'Writers', value: writers.map(w => w.Name).join(', ')});
-		if (studios.length > 0) metaItems.push({label: 'Studio', value: studios.map(s => s.Name).join(', ')});
+		if (genres.length > 0) metaItems.push({label: t('Genres'), value: genres.slice(0, 3).join(', ')});
+		if (directors.length > 0) metaItems.push({label: t('Director'), value: directors.map(d => d.Name).join(', ')});
+		if (writers.length > 0) metaItems.push({label: t('Writers'), value: writers.map(w => w.Name).join(', ')});
+		if (studios.length > 0) metaItems.push({label: t('Studio'), value: studios.map(s => s.Name).join(', ')});
 		if (metaItems.length === 0) return null;
 		return (
 			<div className={css.metadataGroup}>
@@ -1181,8 +1358,10 @@ const handleSectionKeyDown = useCallback((ev) => {
 								<div className={css.infoRow}>
 									{birthDate && (
 										<span className={css.infoItem}>
-											Born {birthDate.toLocaleDateString()}
-											{' '}(age {Math.floor((Date.now() - birthDate.getTime()) / 31557600000)})
+											{t('Born {date} (age {age})', {
+												date: formatDate(birthDate),
+												age: Math.floor((Date.now() - birthDate.getTime()) / 31557600000)
+											})}
 										</span>
 									)}
 									{birthPlace && <span className={css.infoItem}>{birthPlace}</span>}
@@ -1195,7 +1374,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 						<div className={css.sectionsContainer}>
 							{personMovies.length > 0 && (
 								<MediaRow
-									title={`Movies (${personMovies.length})`}
+									title={t('Movies ({count})', {count: personMovies.length})}
 									items={personMovies}
 									serverUrl={effectiveServerUrl}
 									onSelectItem={onSelectItem}
@@ -1204,7 +1383,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 							)}
 							{personSeries.length > 0 && (
 								<MediaRow
-									title={`Series (${personSeries.length})`}
+									title={t('Series ({count})', {count: personSeries.length})}
 									items={personSeries}
 									serverUrl={effectiveServerUrl}
 									onSelectItem={onSelectItem}
@@ -1249,7 +1428,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 									<div className={css.btnAction}>
 										<span className={css.btnIcon}>▶</span>
 									</div>
-									<span className={css.btnLabel}>Play</span>
+									<span className={css.btnLabel}>{t('Play')}</span>
 								</SpottableDiv>
 								<SpottableDiv className={css.btnWrapper} onClick={handleShuffle}>
 									<div className={css.btnAction}>
@@ -1257,7 +1436,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 											<path d="M560-160v-80h104L537-367l57-57 126 126v-102h80v240H560Zm-344 0-56-56 504-504H560v-80h240v240h-80v-104L216-160Zm151-377L160-744l56-56 207 207-56 56Z"/>
 										</svg>
 									</div>
-									<span className={css.btnLabel}>Shuffle</span>
+									<span className={css.btnLabel}>{t('Shuffle')}</span>
 								</SpottableDiv>
 								<SpottableDiv className={css.btnWrapper} onClick={handleToggleWatched} spotlightId="season-watched-btn">
 									<div className={css.btnAction}>
@@ -1265,7 +1444,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 											<path d="M382-240 154-468l57-57 171 171 367-367 57 57-424 424Z"/>
 										</svg>
 									</div>
-									<span className={css.btnLabel}>{item.UserData?.Played ? 'Watched' : 'Unwatched'}</span>
+									<span className={css.btnLabel}>{item.UserData?.Played ? t('Watched') : t('Unwatched')}</span>
 								</SpottableDiv>
 								<SpottableDiv className={css.btnWrapper} onClick={handleToggleFavorite} spotlightId="season-favorite-btn">
 									<div className={css.btnAction}>
@@ -1273,8 +1452,9 @@ const handleSectionKeyDown = useCallback((ev) => {
 											<path d="m480-120-58-52q-101-91-167-157T150-447.5Q111-500 95.5-544T80-634q0-94 63-157t157-63q52 0 99 22t81 62q34-40 81-62t99-22q94 0 157 63t63 157q0 46-15.5 90T810-447.5Q771-395 705-329T538-172l-58 52Z"/>
 										</svg>
 									</div>
-									<span className={css.btnLabel}>{item.UserData?.IsFavorite ? 'Favorited' : 'Favorite'}</span>
+									<span className={css.btnLabel}>{item.UserData?.IsFavorite ? t('Favorited') : t('Favorite')}</span>
 								</SpottableDiv>
+								{renderAddToPlaylistButton()}
 							</HorizontalContainer>
 						)}
 
@@ -1315,7 +1495,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 										</div>
 										<div className={css.seasonEpBody}>
 											<div className={css.seasonEpTop}>
-												<span className={css.seasonEpNumber}>Episode {ep.IndexNumber || '?'}</span>
+												<span className={css.seasonEpNumber}>{t('Episode {number}', {number: ep.IndexNumber || '?'})}</span>
 												<span className={css.seasonEpMeta}>
 													{epRuntime && <span>{epRuntime}</span>}
 												</span>
@@ -1334,8 +1514,9 @@ const handleSectionKeyDown = useCallback((ev) => {
 	}
 
 	if (isPlaylist) {
+		const hasAudioPlaylistItems = playlistItems.some(entry => entry.MediaType === 'Audio');
 		const playlistItemCount = playlistItems.length;
-		const totalDuration = playlistItems.reduce((sum, t) => sum + (t.RunTimeTicks || 0), 0);
+		const totalDuration = playlistItems.reduce((sum, entry) => sum + (entry.RunTimeTicks || 0), 0);
 
 		return (
 			<div className={css.page}>
@@ -1352,7 +1533,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 							<div className={css.seasonDetailInfo}>
 								<h1 className={css.seasonDetailTitle}>{item.Name}</h1>
 								<span className={css.seasonDetailCount}>
-									{playlistItemCount} Item{playlistItemCount !== 1 ? 's' : ''}
+									{tn('{count} Item', '{count} Items', playlistItemCount)}
 									{totalDuration > 0 ? ` · ${formatDuration(totalDuration)}` : ''}
 								</span>
 								{genres.length > 0 && (
@@ -1368,7 +1549,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 									<div className={css.btnAction}>
 										<span className={css.btnIcon}>▶</span>
 									</div>
-									<span className={css.btnLabel}>Play</span>
+									<span className={css.btnLabel}>{t('Play')}</span>
 								</SpottableDiv>
 							)}
 							{playlistItems.length > 1 && (
@@ -1378,7 +1559,35 @@ const handleSectionKeyDown = useCallback((ev) => {
 											<path d="M560-160v-80h104L537-367l57-57 126 126v-102h80v240H560Zm-344 0-56-56 504-504H560v-80h240v240h-80v-104L216-160Zm151-377L160-744l56-56 207 207-56 56Z"/>
 										</svg>
 									</div>
-									<span className={css.btnLabel}>Shuffle</span>
+									<span className={css.btnLabel}>{t('Shuffle')}</span>
+								</SpottableDiv>
+							)}
+							{hasAudioPlaylistItems && (
+								<SpottableDiv className={css.btnWrapper} onClick={handlePlayNext}>
+									<div className={css.btnAction}>
+										<svg className={css.btnIcon} viewBox="0 -960 960 960" fill="currentColor"><path d="M120-320v-80h280v80H120Zm0-160v-80h440v80H120Zm0-160v-80h440v80H120Zm520 480v-320l240 160-240 160Z"/></svg>
+									</div>
+									<span className={css.btnLabel}>{queueFeedback === 'next' ? t('Queued') : t('Play Next')}</span>
+								</SpottableDiv>
+							)}
+							{hasAudioPlaylistItems && (
+								<SpottableDiv className={css.btnWrapper} onClick={handleAddToQueue}>
+									<div className={css.btnAction}>
+										<svg className={css.btnIcon} viewBox="0 -960 960 960" fill="currentColor"><path d="M120-320v-80h280v80H120Zm0-160v-80h440v80H120Zm0-160v-80h440v80H120Zm520 480v-160H480v-80h160v-160h80v160h160v80H720v160h-80Z"/></svg>
+									</div>
+									<span className={css.btnLabel}>{queueFeedback === 'add' ? t('Added') : t('Add to Queue')}</span>
+								</SpottableDiv>
+							)}
+							{playlistItems.length > 0 && (
+								<SpottableDiv className={css.btnWrapper} onClick={handleToggleRemovePlaylistItems} spotlightId="playlist-remove-btn">
+									<div className={css.btnAction}>
+										{isRemovingPlaylistItems ? (
+											<svg className={css.btnIcon} viewBox="0 -960 960 960" fill="currentColor"><path d="M382-240 154-468l57-57 171 171 367-367 57 57-424 424Z"/></svg>
+										) : (
+											<svg className={css.btnIcon} viewBox="0 -960 960 960" fill="currentColor"><path d="M280-120q-33 0-56.5-23.5T200-200v-520h-40v-80h200v-40h240v40h200v80h-40v520q0 33-23.5 56.5T680-120H280Zm400-600H280v520h400v-520ZM360-280h80v-360h-80v360Zm160 0h80v-360h-80v360ZM280-720v520-520Z"/></svg>
+										)}
+									</div>
+									<span className={css.btnLabel}>{isRemovingPlaylistItems ? t('Done') : t('Remove Items')}</span>
 								</SpottableDiv>
 							)}
 							<SpottableDiv className={css.btnWrapper} onClick={handleToggleFavorite} spotlightId="details-favorite-btn">
@@ -1387,11 +1596,13 @@ const handleSectionKeyDown = useCallback((ev) => {
 										<path d="m480-120-58-52q-101-91-167-157T150-447.5Q111-500 95.5-544T80-634q0-94 63-157t157-63q52 0 99 22t81 62q34-40 81-62t99-22q94 0 157 63t63 157q0 46-15.5 90T810-447.5Q771-395 705-329T538-172l-58 52Z"/>
 									</svg>
 								</div>
-								<span className={css.btnLabel}>{item.UserData?.IsFavorite ? 'Favorited' : 'Favorite'}</span>
+								<span className={css.btnLabel}>{item.UserData?.IsFavorite ? t('Favorited') : t('Favorite')}</span>
 							</SpottableDiv>
 						</HorizontalContainer>
 
-						<p className={css.playlistHint}>Use ◀ and ▶ to re-order items</p>
+						<p className={css.playlistHint}>
+							{isRemovingPlaylistItems ? t('Select an item to remove it from the playlist') : t('Use ◀ and ▶ to re-order items')}
+						</p>
 
 						<div className={`${css.trackList} ${css.playlistItemsList}`} onKeyDown={handlePlaylistItemKeyDown}>
 							{playlistItems.map((plItem, idx) => {
@@ -1422,10 +1633,14 @@ const handleSectionKeyDown = useCallback((ev) => {
 											{!isAudio && plItem.Type && <span className={css.trackArtist}>{plItem.Type}</span>}
 										</div>
 										<span className={css.trackDuration}>{plDuration}</span>
-										<div className={css.playlistReorderArrows}>
-											<span className={`${css.reorderArrow} ${idx === 0 ? css.reorderArrowDisabled : ''}`}>▲</span>
-											<span className={`${css.reorderArrow} ${idx === playlistItems.length - 1 ? css.reorderArrowDisabled : ''}`}>▼</span>
-										</div>
+										{isRemovingPlaylistItems ? (
+											<span className={css.playlistRemoveMark}>✕</span>
+										) : (
+											<div className={css.playlistReorderArrows}>
+												<span className={`${css.reorderArrow} ${idx === 0 ? css.reorderArrowDisabled : ''}`}>▲</span>
+												<span className={`${css.reorderArrow} ${idx === playlistItems.length - 1 ? css.reorderArrowDisabled : ''}`}>▼</span>
+											</div>
+										)}
 									</SpottableDiv>
 								);
 							})}
@@ -1441,7 +1656,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 	if (isAlbum) {
 		const albumArtist = item.AlbumArtist || item.AlbumArtists?.[0]?.Name || '';
 		const trackCount = albumTracks.length;
-		const totalDuration = albumTracks.reduce((sum, t) => sum + (t.RunTimeTicks || 0), 0);
+		const totalDuration = albumTracks.reduce((sum, track) => sum + (track.RunTimeTicks || 0), 0);
 
 		return (
 			<div className={css.page}>
@@ -1459,7 +1674,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 								{albumArtist && <span className={css.seasonDetailSeries}>{albumArtist}</span>}
 								<h1 className={css.seasonDetailTitle}>{item.Name}</h1>
 								<span className={css.seasonDetailCount}>
-									{year ? `${year} · ` : ''}{trackCount} Track{trackCount !== 1 ? 's' : ''}
+									{year ? `${year} · ` : ''}{tn('{count} Track', '{count} Tracks', trackCount)}
 									{totalDuration > 0 ? ` · ${formatDuration(totalDuration)}` : ''}
 								</span>
 								{genres.length > 0 && (
@@ -1475,7 +1690,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 									<div className={css.btnAction}>
 										<span className={css.btnIcon}>▶</span>
 									</div>
-									<span className={css.btnLabel}>Play</span>
+									<span className={css.btnLabel}>{t('Play')}</span>
 								</SpottableDiv>
 							)}
 							{albumTracks.length > 1 && (
@@ -1485,7 +1700,31 @@ const handleSectionKeyDown = useCallback((ev) => {
 											<path d="M560-160v-80h104L537-367l57-57 126 126v-102h80v240H560Zm-344 0-56-56 504-504H560v-80h240v240h-80v-104L216-160Zm151-377L160-744l56-56 207 207-56 56Z"/>
 										</svg>
 									</div>
-									<span className={css.btnLabel}>Shuffle</span>
+									<span className={css.btnLabel}>{t('Shuffle')}</span>
+								</SpottableDiv>
+							)}
+							{albumTracks.length > 0 && (
+								<SpottableDiv className={css.btnWrapper} onClick={handlePlayNext}>
+									<div className={css.btnAction}>
+										<svg className={css.btnIcon} viewBox="0 -960 960 960" fill="currentColor"><path d="M120-320v-80h280v80H120Zm0-160v-80h440v80H120Zm0-160v-80h440v80H120Zm520 480v-320l240 160-240 160Z"/></svg>
+									</div>
+									<span className={css.btnLabel}>{queueFeedback === 'next' ? t('Queued') : t('Play Next')}</span>
+								</SpottableDiv>
+							)}
+							{albumTracks.length > 0 && (
+								<SpottableDiv className={css.btnWrapper} onClick={handleAddToQueue}>
+									<div className={css.btnAction}>
+										<svg className={css.btnIcon} viewBox="0 -960 960 960" fill="currentColor"><path d="M120-320v-80h280v80H120Zm0-160v-80h440v80H120Zm0-160v-80h440v80H120Zm520 480v-160H480v-80h160v-160h80v160h160v80H720v160h-80Z"/></svg>
+									</div>
+									<span className={css.btnLabel}>{queueFeedback === 'add' ? t('Added') : t('Add to Queue')}</span>
+								</SpottableDiv>
+							)}
+							{albumTracks.length > 0 && (
+								<SpottableDiv className={css.btnWrapper} onClick={handleInstantMix}>
+									<div className={css.btnAction}>
+										<svg className={css.btnIcon} viewBox="0 -960 960 960" fill="currentColor"><path d="M280-240v-480h80v480h-80ZM440-80v-800h80v800h-80ZM120-400v-160h80v160h-80Zm480 160v-480h80v480h-80Zm160-160v-160h80v160h-80Z"/></svg>
+									</div>
+									<span className={css.btnLabel}>{t('Instant Mix')}</span>
 								</SpottableDiv>
 							)}
 							<SpottableDiv className={css.btnWrapper} onClick={handleToggleFavorite} spotlightId="details-favorite-btn">
@@ -1494,8 +1733,9 @@ const handleSectionKeyDown = useCallback((ev) => {
 										<path d="m480-120-58-52q-101-91-167-157T150-447.5Q111-500 95.5-544T80-634q0-94 63-157t157-63q52 0 99 22t81 62q34-40 81-62t99-22q94 0 157 63t63 157q0 46-15.5 90T810-447.5Q771-395 705-329T538-172l-58 52Z"/>
 									</svg>
 								</div>
-								<span className={css.btnLabel}>{item.UserData?.IsFavorite ? 'Favorited' : 'Favorite'}</span>
+								<span className={css.btnLabel}>{item.UserData?.IsFavorite ? t('Favorited') : t('Favorite')}</span>
 							</SpottableDiv>
+							{renderAddToPlaylistButton()}
 						</HorizontalContainer>
 
 						<div className={css.trackList}>
@@ -1532,7 +1772,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 						<div className={css.sectionsContainer}>
 							{similar.length > 0 && (
 								<MediaRow
-									title="More Like This"
+									title={t('More Like This')}
 									items={similar}
 									serverUrl={effectiveServerUrl}
 									onSelectItem={onSelectItem}
@@ -1578,7 +1818,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 											<div className={css.btnAction}>
 												<span className={css.btnIcon}>▶</span>
 											</div>
-											<span className={css.btnLabel}>Play</span>
+											<span className={css.btnLabel}>{t('Play')}</span>
 										</SpottableDiv>
 									)}
 									{artistAlbums.length > 0 && (
@@ -1586,7 +1826,15 @@ const handleSectionKeyDown = useCallback((ev) => {
 											<div className={css.btnAction}>
 												<svg className={css.btnIcon} viewBox="0 -960 960 960" fill="currentColor"><path d="M560-160v-80h104L537-367l57-57 126 126v-102h80v240H560Zm-344 0-56-56 568-568H624v-80h240v240h-80v-104L216-160Zm151-377L160-744l56-56 207 207-56 56Z"/></svg>
 											</div>
-											<span className={css.btnLabel}>Shuffle</span>
+											<span className={css.btnLabel}>{t('Shuffle')}</span>
+										</SpottableDiv>
+									)}
+									{artistAlbums.length > 0 && (
+										<SpottableDiv className={css.btnWrapper} onClick={handleInstantMix}>
+											<div className={css.btnAction}>
+												<svg className={css.btnIcon} viewBox="0 -960 960 960" fill="currentColor"><path d="M280-240v-480h80v480h-80ZM440-80v-800h80v800h-80ZM120-400v-160h80v160h-80Zm480 160v-480h80v480h-80Zm160-160v-160h80v160h-80Z"/></svg>
+											</div>
+											<span className={css.btnLabel}>{t('Instant Mix')}</span>
 										</SpottableDiv>
 									)}
 									<SpottableDiv className={css.btnWrapper} onClick={handleToggleFavorite} spotlightId="details-favorite-btn">
@@ -1595,8 +1843,9 @@ const handleSectionKeyDown = useCallback((ev) => {
 												<path d="m480-120-58-52q-101-91-167-157T150-447.5Q111-500 95.5-544T80-634q0-94 63-157t157-63q52 0 99 22t81 62q34-40 81-62t99-22q94 0 157 63t63 157q0 46-15.5 90T810-447.5Q771-395 705-329T538-172l-58 52Z"/>
 											</svg>
 										</div>
-										<span className={css.btnLabel}>{item.UserData?.IsFavorite ? 'Favorited' : 'Favorite'}</span>
+										<span className={css.btnLabel}>{item.UserData?.IsFavorite ? t('Favorited') : t('Favorite')}</span>
 									</SpottableDiv>
+									{renderAddToPlaylistButton()}
 								</HorizontalContainer>
 							</div>
 						</div>
@@ -1635,7 +1884,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 
 							{similar.length > 0 && (
 								<MediaRow
-									title="Similar Artists"
+									title={t('Similar Artists')}
 									items={similar}
 									serverUrl={effectiveServerUrl}
 									onSelectItem={onSelectItem}
@@ -1697,7 +1946,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 								<div className={css.btnAction}>
 									<span className={css.btnIcon}>▶</span>
 								</div>
-								<span className={css.btnLabel}>Play</span>
+								<span className={css.btnLabel}>{t('Play')}</span>
 							</SpottableDiv>
 							<SpottableDiv className={css.btnWrapper} onClick={handleToggleFavorite} spotlightId="details-favorite-btn">
 								<div className={css.btnAction}>
@@ -1705,8 +1954,9 @@ const handleSectionKeyDown = useCallback((ev) => {
 										<path d="m480-120-58-52q-101-91-167-157T150-447.5Q111-500 95.5-544T80-634q0-94 63-157t157-63q52 0 99 22t81 62q34-40 81-62t99-22q94 0 157 63t63 157q0 46-15.5 90T810-447.5Q771-395 705-329T538-172l-58 52Z"/>
 									</svg>
 								</div>
-								<span className={css.btnLabel}>{item.UserData?.IsFavorite ? 'Favorited' : 'Favorite'}</span>
+								<span className={css.btnLabel}>{item.UserData?.IsFavorite ? t('Favorited') : t('Favorite')}</span>
 							</SpottableDiv>
+							{renderAddToPlaylistButton()}
 						</HorizontalContainer>
 					</div>
 				</Scroller>
@@ -1817,7 +2067,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 						{/* Next Up (for Series) */}
 						{nextUp.length > 0 && (
 							<MediaRow
-								title="Next Up"
+								title={t('Next Up')}
 								items={nextUp}
 								serverUrl={effectiveServerUrl}
 								onSelectItem={onSelectItem}
@@ -1830,7 +2080,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 						{isSeries && seasons.length > 0 && (
 							<RowContainer className={css.section}>
 								<div className={css.sectionHeader}>
-									<h3 className={css.sectionTitle}>Seasons</h3>
+									<h3 className={css.sectionTitle}>{t('Seasons')}</h3>
 								</div>
 								<div className={css.sectionScroll} onFocus={handleScrollerFocus}>
 									{seasons.map(season => {
@@ -1872,7 +2122,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 							<RowContainer className={css.section}>
 								<div className={css.sectionHeader}>
 									<h3 className={css.sectionTitle}>
-										{item.ParentIndexNumber !== undefined ? `Season ${item.ParentIndexNumber} Episodes` : 'Episodes'}
+										{item.ParentIndexNumber !== undefined ? t('Season {number} Episodes', {number: item.ParentIndexNumber}) : t('Episodes')}
 									</h3>
 								</div>
 								<div className={css.sectionScroll} onFocus={handleScrollerFocus}>
@@ -1930,7 +2180,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 						{/* Collection items (for BoxSet) */}
 						{isBoxSet && collectionItems.length > 0 && (
 							<MediaRow
-								title="Items in Collection"
+								title={t('Items in Collection')}
 								items={collectionItems}
 								serverUrl={effectiveServerUrl}
 								onSelectItem={onSelectItem}
@@ -1942,7 +2192,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 						{cast.length > 0 && (
 							<RowContainer className={css.section}>
 								<div className={css.sectionHeader}>
-									<h3 className={css.sectionTitle}>Cast & Crew</h3>
+									<h3 className={css.sectionTitle}>{t('Cast & Crew')}</h3>
 								</div>
 								<div className={css.castScroller} onFocus={handleScrollerFocus}>
 									{cast.map(person => (
@@ -1971,7 +2221,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 						{/* More Like This */}
 						{similar.length > 0 && (
 							<MediaRow
-								title="More Like This"
+								title={t('More Like This')}
 								items={similar}
 								serverUrl={effectiveServerUrl}
 								onSelectItem={onSelectItem}
@@ -1986,7 +2236,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 			{activeModal === 'version' && (
 				<div className={css.trackModal} onClick={closeModal}>
 					<ModalContainer className={css.trackModalPanel} onClick={handleStopPropagation} data-modal="version" spotlightId="version-modal">
-						<h2 className={css.trackModalTitle}>Select Version</h2>
+						<h2 className={css.trackModalTitle}>{t('Select Version')}</h2>
 						<div className={css.trackList}>
 							{item.MediaSources.map((source, i) => {
 								const video = source.MediaStreams?.find(s => s.Type === 'Video');
@@ -2005,14 +2255,14 @@ const handleSectionKeyDown = useCallback((ev) => {
 								);
 							})}
 						</div>
-						<p className={css.trackModalFooter}>Press BACK to close</p>
+						<p className={css.trackModalFooter}>{t('Press BACK to close')}</p>
 					</ModalContainer>
 				</div>
 			)}
 			{activeModal === 'audio' && (
 				<div className={css.trackModal} onClick={closeModal}>
 					<ModalContainer className={css.trackModalPanel} onClick={handleStopPropagation} data-modal="audio" spotlightId="audio-modal">
-						<h2 className={css.trackModalTitle}>Select Audio Track</h2>
+						<h2 className={css.trackModalTitle}>{t('Select Audio Track')}</h2>
 						<div className={css.trackList}>
 							{audioStreams.map((stream, i) => (
 								<SpottableButton
@@ -2022,19 +2272,19 @@ const handleSectionKeyDown = useCallback((ev) => {
 									data-selected={i === selectedAudioIndex ? 'true' : undefined}
 									onClick={handleSelectAudio}
 								>
-									<span className={css.trackName}>{stream.DisplayTitle || stream.Language || `Track ${i + 1}`}</span>
+									<span className={css.trackName}>{stream.DisplayTitle || stream.Language || t('Track {number}', {number: i + 1})}</span>
 									{stream.Channels && <span className={css.trackInfo}>{stream.Channels}ch</span>}
 								</SpottableButton>
 							))}
 						</div>
-						<p className={css.trackModalFooter}>Press BACK to close</p>
+						<p className={css.trackModalFooter}>{t('Press BACK to close')}</p>
 					</ModalContainer>
 				</div>
 			)}
 			{activeModal === 'subtitle' && (
 				<div className={css.trackModal} onClick={closeModal}>
 					<ModalContainer className={css.trackModalPanel} onClick={handleStopPropagation} data-modal="subtitle" spotlightId="subtitle-modal">
-						<h2 className={css.trackModalTitle}>Select Subtitle</h2>
+						<h2 className={css.trackModalTitle}>{t('Select Subtitle')}</h2>
 						<div className={css.trackList}>
 							<SpottableButton
 								className={`${css.trackItem} ${selectedSubtitleIndex === -1 ? css.selected : ''}`}
@@ -2042,7 +2292,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 								data-selected={selectedSubtitleIndex === -1 ? 'true' : undefined}
 								onClick={handleSelectSubtitle}
 							>
-								<span className={css.trackName}>Off</span>
+								<span className={css.trackName}>{t('Off')}</span>
 							</SpottableButton>
 							{subtitleStreams.map((stream, i) => (
 								<SpottableButton
@@ -2052,12 +2302,12 @@ const handleSectionKeyDown = useCallback((ev) => {
 									data-selected={i === selectedSubtitleIndex ? 'true' : undefined}
 									onClick={handleSelectSubtitle}
 								>
-									<span className={css.trackName}>{stream.DisplayTitle || stream.Language || `Track ${i + 1}`}</span>
-									{stream.IsForced && <span className={css.trackInfo}>Forced</span>}
+									<span className={css.trackName}>{stream.DisplayTitle || stream.Language || t('Track {number}', {number: i + 1})}</span>
+									{stream.IsForced && <span className={css.trackInfo}>{t('Forced')}</span>}
 								</SpottableButton>
 							))}
 						</div>
-						<p className={css.trackModalFooter}>Press BACK to close</p>
+						<p className={css.trackModalFooter}>{t('Press BACK to close')}</p>
 					</ModalContainer>
 				</div>
 			)}
@@ -2083,7 +2333,7 @@ const handleSectionKeyDown = useCallback((ev) => {
 							/>
 						) : (
 							<div className={css.trailerLoading}>
-								Loading trailer...
+								{t('Loading trailer...')}
 							</div>
 						)}
 					</div>
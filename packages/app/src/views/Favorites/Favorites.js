@@ -5,6 +5,7 @@ import Spotlight from '@enact/spotlight';
 import {VirtualGridList} from '@enact/sandstone/VirtualList';
 import {useAuth} from '../../context/AuthContext';
 import {useSettings} from '../../context/SettingsContext';
+import {useI18n} from '../../context/I18nContext';
 import * as connectionPool from '../../services/connectionPool';
 import LoadingSpinner from '../../components/LoadingSpinner';
 import {getImageUrl, getPrimaryImageId} from '../../utils/helpers';
@@ -45,6 +46,7 @@ const LETTERS = ['#', 'A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L'
 const Favorites = ({onSelectItem, onSelectPerson, onHome, backHandlerRef}) => {
 const {api, serverUrl, hasMultipleServers} = useAuth();
 const {settings} = useSettings();
+const {t, tn} = useI18n();
 const unifiedMode = settings.unifiedLibraryMode && hasMultipleServers;
 
 const [allItems, setAllItems] = useState([]);
@@ -97,7 +99,7 @@ return sorted;
 }, []);
 
 const activeTypeFilter = useMemo(() => {
-return TYPE_FILTERS.find(t => t.key === typeFilterKey) || TYPE_FILTERS[0];
+return TYPE_FILTERS.find(f => f.key === typeFilterKey) || TYPE_FILTERS[0];
 }, [typeFilterKey]);
 
 const loadItems = useCallback(async (startIndex = 0, append = false) => {
@@ -375,16 +377,16 @@ loading="lazy"
 }, [serverUrl, handleItemClick, items.length, totalCount, isLoading, loadItems, imageType, posterHeight, unifiedMode]);
 
 const currentSort = SORT_OPTIONS.find(o => o.key === sortKey);
-const sortLabel = currentSort?.label || 'Name';
-const typeLabel = activeTypeFilter.key === 'all' ? '' : ` · ${activeTypeFilter.label}`;
-const statusText = `${totalCount} favorites sorted by ${sortLabel}${typeLabel}`;
+const sortLabel = t(currentSort?.label || 'Name');
+const typeLabel = activeTypeFilter.key === 'all' ? '' : ` · ${t(activeTypeFilter.label)}`;
+const statusText = tn('{count} favorite sorted by {sort}', '{count} favorites sorted by {sort}', totalCount, {sort: sortLabel}) + typeLabel;
 
 return (
 <div className={css.page}>
 <div className={css.content}>
 <div className={css.header}>
-<div className={css.title}>Favorites</div>
-<div className={css.itemCount}>{totalCount} Items</div>
+<div className={css.title}>{t('Favorites')}</div>
+<div className={css.itemCount}>{tn('{count} Item', '{count} Items', totalCount)}</div>
 </div>
 
 <ToolbarContainer className={css.toolbar} spotlightId="favorites-toolbar" onKeyDown={handleToolbarKeyDown}>
@@ -427,7 +429,7 @@ spotlightId={index === 0 ? 'favorites-letter-hash' : undefined}
 <LoadingSpinner />
 </div>
 ) : items.length === 0 ? (
-<div className={css.empty}>No favorites found</div>
+<div className={css.empty}>{t('No favorites found')}</div>
 ) : (
 <div className={css.gridWrapper}>
 <VirtualGridList
@@ -460,10 +462,10 @@ className={css.sortPanel}
 spotlightId="fav-sort-panel"
 onClick={stopPropagation}
 >
-<h2 className={css.sortPanelTitle}>Sort & Filter</h2>
+<h2 className={css.sortPanelTitle}>{t('Sort & Filter')}</h2>
 
 <div className={css.sortSection}>
-<div className={css.sortSectionLabel}>Sort By</div>
+<div className={css.sortSectionLabel}>{t('Sort By')}</div>
 {SORT_OPTIONS.map((option, index) => (
 <SpottableButton
 key={option.key}
@@ -475,13 +477,13 @@ spotlightId={`fav-sort-option-${index}`}
 <span className={css.radioCircle}>
 {sortKey === option.key && <span className={css.radioFill} />}
 </span>
-<span className={css.sortOptionLabel}>{option.label}</span>
+<span className={css.sortOptionLabel}>{t(option.label)}</span>
 </SpottableButton>
 ))}
 </div>
 
 <div className={css.filterSection}>
-<div className={css.sortSectionLabel}>Type</div>
+<div className={css.sortSectionLabel}>{t('Type')}</div>
 {TYPE_FILTERS.map((filter, index) => (
 <SpottableButton
 key={filter.key}
@@ -493,7 +495,7 @@ spotlightId={`fav-filter-option-${index}`}
 <span className={css.radioCircle}>
 {typeFilterKey === filter.key && <span className={css.radioFill} />}
 </span>
-<span className={css.sortOptionLabel}>{filter.label}</span>
+<span className={css.sortOptionLabel}>{t(filter.label)}</span>
 </SpottableButton>
 ))}
 </div>
@@ -508,16 +510,16 @@ className={css.sortPanel}
 spotlightId="fav-settings-panel"
 onClick={stopPropagation}
 >
-<div className={css.settingsHeader}>FAVORITES</div>
-<h2 className={css.sortPanelTitle}>Settings</h2>
+<div className={css.settingsHeader}>{t('FAVORITES')}</div>
+<h2 className={css.sortPanelTitle}>{t('Settings')}</h2>
 
 <SpottableButton
 className={css.settingRow}
 onClick={handleCycleImageSize}
 spotlightId="fav-settings-image-size"
 >
-<div className={css.settingLabel}>Image size</div>
-<div className={css.settingValue}>{capitalize(imageSize)}</div>
+<div className={css.settingLabel}>{t('Image size')}</div>
+<div className={css.settingValue}>{t(capitalize(imageSize))}</div>
 </SpottableButton>
 
 <SpottableButton
@@ -525,8 +527,8 @@ className={css.settingRow}
 onClick={handleCycleImageType}
 spotlightId="fav-settings-image-type"
 >
-<div className={css.settingLabel}>Image type</div>
-<div className={css.settingValue}>{capitalize(imageType)}</div>
+<div className={css.settingLabel}>{t('Image type')}</div>
+<div className={css.settingValue}>{t(capitalize(imageType))}</div>
 </SpottableButton>
 
 <SpottableButton
@@ -534,8 +536,8 @@ className={css.settingRow}
 onClick={handleCycleGridDirection}
 spotlightId="fav-settings-grid-direction"
 >
-<div className={css.settingLabel}>Grid direction</div>
-<div className={css.settingValue}>{capitalize(gridDirection)}</div>
+<div className={css.settingLabel}>{t('Grid direction')}</div>
+<div className={css.settingValue}>{t(capitalize(gridDirection))}</div>
 </SpottableButton>
 </SettingsPanelContainer>
 </div>
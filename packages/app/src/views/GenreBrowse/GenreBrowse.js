@@ -6,6 +6,7 @@ import Popup from '@enact/sandstone/Popup';
 import Button from '@enact/sandstone/Button';
 import {useAuth} from '../../context/AuthContext';
 import {useSettings} from '../../context/SettingsContext';
+import {useI18n} from '../../context/I18nContext';
 import * as connectionPool from '../../services/connectionPool';
 import LoadingSpinner from '../../components/LoadingSpinner';
 import {getImageUrl, getBackdropId, getPrimaryImageId} from '../../utils/helpers';
@@ -39,6 +40,7 @@ const BACKDROP_DEBOUNCE_MS = 300;
 const GenreBrowse = ({genre, libraryId, onSelectItem, backHandlerRef}) => {
 	const {api, serverUrl} = useAuth();
 	const {settings} = useSettings();
+	const {t, tn} = useI18n();
 	const [items, setItems] = useState([]);
 	const [itemsVersion, setItemsVersion] = useState(0);
 	const [isLoading, setIsLoading] = useState(true);
@@ -377,7 +379,7 @@ const GenreBrowse = ({genre, libraryId, onSelectItem, backHandlerRef}) => {
 	if (!genre) {
 		return (
 			<div className={css.page}>
-				<div className={css.empty}>No genre selected</div>
+				<div className={css.empty}>{t('No genre selected')}</div>
 			</div>
 		);
 	}
@@ -401,11 +403,11 @@ const GenreBrowse = ({genre, libraryId, onSelectItem, backHandlerRef}) => {
 					<div className={css.titleSection}>
 						<div className={css.title}>{genre.name}</div>
 						<div className={css.subtitle}>
-							{currentSort?.label} • {currentFilter?.label}
-							{startLetter && ` • Starting with "${startLetter}"`}
+							{t(currentSort?.label)} • {t(currentFilter?.label)}
+							{startLetter && ` • ${t('Starting with "{letter}"', {letter: startLetter})}`}
 						</div>
 					</div>
-					<div className={css.counter}>{serverTotalCount} items</div>
+					<div className={css.counter}>{tn('{count} item', '{count} items', serverTotalCount)}</div>
 				</div>
 
 				<ToolbarContainer className={css.toolbar} spotlightId="genre-toolbar">
@@ -416,7 +418,7 @@ const GenreBrowse = ({genre, libraryId, onSelectItem, backHandlerRef}) => {
 						<svg viewBox="0 0 24 24">
 							<path d="M3 18h6v-2H3v2zM3 6v2h18V6H3zm0 7h12v-2H3v2z" />
 						</svg>
-						{currentSort?.label}
+						{t(currentSort?.label)}
 					</SpottableButton>
 
 					<SpottableButton
@@ -426,7 +428,7 @@ const GenreBrowse = ({genre, libraryId, onSelectItem, backHandlerRef}) => {
 						<svg viewBox="0 0 24 24">
 							<path d="M10 18h4v-2h-4v2zM3 6v2h18V6H3zm3 7h12v-2H6v2z" />
 						</svg>
-						{currentFilter?.label}
+						{t(currentFilter?.label)}
 					</SpottableButton>
 
 					<div className={css.letterNav}>
@@ -449,7 +451,7 @@ const GenreBrowse = ({genre, libraryId, onSelectItem, backHandlerRef}) => {
 							<LoadingSpinner />
 						</div>
 					) : items.length === 0 ? (
-						<div className={css.empty}>No items found</div>
+						<div className={css.empty}>{t('No items found')}</div>
 					) : (
 						<div className={css.gridWrapper}>
 						<VirtualGridList
@@ -473,7 +475,7 @@ const GenreBrowse = ({genre, libraryId, onSelectItem, backHandlerRef}) => {
 				noAutoDismiss
 			>
 				<div className={css.popupContent}>
-					<div className={css.modalTitle}>Sort By</div>
+					<div className={css.modalTitle}>{t('Sort By')}</div>
 					{SORT_OPTIONS.map((option) => (
 						<Button
 							key={option.key}
@@ -482,7 +484,7 @@ const GenreBrowse = ({genre, libraryId, onSelectItem, backHandlerRef}) => {
 							onClick={handleSortSelect}
 							data-sort-key={option.key}
 						>
-							{option.label}
+							{t(option.label)}
 						</Button>
 					))}
 				</div>
@@ -496,7 +498,7 @@ const GenreBrowse = ({genre, libraryId, onSelectItem, backHandlerRef}) => {
 				noAutoDismiss
 			>
 				<div className={css.popupContent}>
-					<div className={css.modalTitle}>Filter</div>
+					<div className={css.modalTitle}>{t('Filter')}</div>
 					{FILTER_OPTIONS.map((option) => (
 						<Button
 							key={option.key}
@@ -505,7 +507,7 @@ const GenreBrowse = ({genre, libraryId, onSelectItem, backHandlerRef}) => {
 							onClick={handleFilterSelect}
 							data-filter-key={option.key}
 						>
-							{option.label}
+							{t(option.label)}
 						</Button>
 					))}
 				</div>
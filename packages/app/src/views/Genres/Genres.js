@@ -5,6 +5,7 @@ import Spotlight from '@enact/spotlight';
 import {VirtualGridList} from '@enact/sandstone/VirtualList';
 import {useAuth} from '../../context/AuthContext';
 import {useSettings} from '../../context/SettingsContext';
+import {useI18n} from '../../context/I18nContext';
 import * as connectionPool from '../../services/connectionPool';
 import LoadingSpinner from '../../components/LoadingSpinner';
 import {getImageUrl, getBackdropId} from '../../utils/helpers';
@@ -33,6 +34,7 @@ const SORT_OPTIONS = [
 const Genres = ({onSelectGenre, onHome, backHandlerRef}) => {
 const {api, serverUrl, hasMultipleServers} = useAuth();
 const {settings} = useSettings();
+const {t, tn} = useI18n();
 const unifiedMode = settings.unifiedLibraryMode && hasMultipleServers;
 const [genres, setGenres] = useState([]);
 const [isLoading, setIsLoading] = useState(true);
@@ -372,25 +374,25 @@ loading="lazy"
 <div className={css.genreInfo}>
 <div className={css.genreName}>{genre.name}</div>
 {genre.itemCount > 0 && (
-<div className={css.genreCount}>{genre.itemCount} items</div>
+<div className={css.genreCount}>{tn('{count} item', '{count} items', genre.itemCount)}</div>
 )}
 </div>
 </SpottableDiv>
 );
-}, [handleGenreClick, cardHeight]);
+}, [handleGenreClick, cardHeight, tn]);
 
 const currentSort = SORT_OPTIONS.find(o => o.key === sortOrder);
 const statusText = selectedLibrary
-? `${sortedGenres.length} genres in '${selectedLibrary.Name}' sorted by ${currentSort?.label}`
-: `${sortedGenres.length} genres sorted by ${currentSort?.label}`;
+? tn('{count} genre in \'{library}\' sorted by {sort}', '{count} genres in \'{library}\' sorted by {sort}', sortedGenres.length, {library: selectedLibrary.Name, sort: t(currentSort?.label)})
+: tn('{count} genre sorted by {sort}', '{count} genres sorted by {sort}', sortedGenres.length, {sort: t(currentSort?.label)});
 
 return (
 <div className={css.page}>
 <div className={css.content}>
 <div className={css.header}>
-<div className={css.title}>Genres</div>
+<div className={css.title}>{t('Genres')}</div>
 {selectedLibrary && <div className={css.subtitle}>{selectedLibrary.Name}</div>}
-<div className={css.counter}>{sortedGenres.length} genres</div>
+<div className={css.counter}>{tn('{count} genre', '{count} genres', sortedGenres.length)}</div>
 </div>
 
 <ToolbarContainer className={css.toolbar} spotlightId="genres-toolbar" onKeyDown={handleToolbarKeyDown}>
@@ -417,7 +419,7 @@ return (
 {isLoading ? (
 <div className={css.loading}><LoadingSpinner /></div>
 ) : sortedGenres.length === 0 ? (
-<div className={css.empty}>No genres found</div>
+<div className={css.empty}>{t('No genres found')}</div>
 ) : (
 <div className={css.gridWrapper}>
 <VirtualGridList
@@ -446,10 +448,10 @@ className={css.sortPanel}
 spotlightId="genres-sort-panel"
 onClick={stopPropagation}
 >
-<h2 className={css.sortPanelTitle}>Sort & Filter</h2>
+<h2 className={css.sortPanelTitle}>{t('Sort & Filter')}</h2>
 
 <div className={css.sortSection}>
-<div className={css.sortSectionLabel}>Sort By</div>
+<div className={css.sortSectionLabel}>{t('Sort By')}</div>
 {SORT_OPTIONS.map((option, index) => (
 <SpottableButton
 key={option.key}
@@ -461,14 +463,14 @@ spotlightId={`genre-sort-option-${index}`}
 <span className={css.radioCircle}>
 {sortOrder === option.key && <span className={css.radioFill} />}
 </span>
-<span className={css.sortOptionLabel}>{option.label}</span>
+<span className={css.sortOptionLabel}>{t(option.label)}</span>
 </SpottableButton>
 ))}
 </div>
 
 {libraries.length > 0 && (
 <div className={css.filterSection}>
-<div className={css.sortSectionLabel}>Library</div>
+<div className={css.sortSectionLabel}>{t('Library')}</div>
 <SpottableButton
 className={`${css.sortOption} ${!selectedLibrary ? css.sortOptionActive : ''}`}
 onClick={handleLibrarySelect}
@@ -478,7 +480,7 @@ spotlightId="genre-lib-all"
 <span className={css.radioCircle}>
 {!selectedLibrary && <span className={css.radioFill} />}
 </span>
-<span className={css.sortOptionLabel}>All Libraries</span>
+<span className={css.sortOptionLabel}>{t('All Libraries')}</span>
 </SpottableButton>
 {libraries.map((lib, index) => (
 <SpottableButton
@@ -509,16 +511,16 @@ className={css.sortPanel}
 spotlightId="genres-settings-panel"
 onClick={stopPropagation}
 >
-<div className={css.settingsHeader}>GENRES</div>
-<h2 className={css.sortPanelTitle}>Settings</h2>
+<div className={css.settingsHeader}>{t('GENRES')}</div>
+<h2 className={css.sortPanelTitle}>{t('Settings')}</h2>
 
 <SpottableButton
 className={css.settingRow}
 onClick={handleCycleCardSize}
 spotlightId="genres-settings-card-size"
 >
-<div className={css.settingLabel}>Card size</div>
-<div className={css.settingValue}>{capitalize(cardSize)}</div>
+<div className={css.settingLabel}>{t('Card size')}</div>
+<div className={css.settingValue}>{t(capitalize(cardSize))}</div>
 </SpottableButton>
 </SettingsPanelContainer>
 </div>
@@ -5,6 +5,7 @@ import Popup from '@enact/sandstone/Popup';
 import Button from '@enact/sandstone/Button';
 import {useJellyseerr} from '../../context/JellyseerrContext';
 import {useSettings} from '../../context/SettingsContext';
+import {useI18n} from '../../context/I18nContext';
 import LoadingSpinner from '../../components/LoadingSpinner';
 import * as jellyseerrApi from '../../services/jellyseerrApi';
 
@@ -34,6 +35,7 @@ const MAX_PAGES = 25;
 const JellyseerrBrowse = ({browseType, item, mediaType: initialMediaType, onSelectItem, backHandlerRef}) => {
 	const {isEnabled} = useJellyseerr();
 	const {settings} = useSettings();
+	const {t, tn} = useI18n();
 	const [items, setItems] = useState([]);
 	const [isLoading, setIsLoading] = useState(true);
 	const [totalCount, setTotalCount] = useState(0);
@@ -289,7 +291,7 @@ const JellyseerrBrowse = ({browseType, item, mediaType: initialMediaType, onSele
 	if (!item) {
 		return (
 			<div className={css.page}>
-				<div className={css.empty}>No {getBrowseTypeLabel().toLowerCase()} selected</div>
+				<div className={css.empty}>{t('No {type} selected', {type: t(getBrowseTypeLabel()).toLowerCase()})}</div>
 			</div>
 		);
 	}
@@ -297,7 +299,7 @@ const JellyseerrBrowse = ({browseType, item, mediaType: initialMediaType, onSele
 	if (!isEnabled) {
 		return (
 			<div className={css.page}>
-				<div className={css.empty}>Jellyseerr is not configured</div>
+				<div className={css.empty}>{t('Jellyseerr is not configured')}</div>
 			</div>
 		);
 	}
@@ -319,11 +321,11 @@ const JellyseerrBrowse = ({browseType, item, mediaType: initialMediaType, onSele
 			<div className={css.content}>
 				<div className={css.header}>
 					<div className={css.titleSection}>
-						<div className={css.browseTypeLabel}>{getBrowseTypeLabel()}</div>
+						<div className={css.browseTypeLabel}>{t(getBrowseTypeLabel())}</div>
 						<div className={css.title}>{item.name}</div>
 						<div className={css.subtitle}>
-							{currentFilter?.label}
-							{totalCount > 0 && ` • ${totalCount} items`}
+							{t(currentFilter?.label)}
+							{totalCount > 0 && ` • ${tn('{count} item', '{count} items', totalCount)}`}
 						</div>
 					</div>
 				</div>
@@ -337,7 +339,7 @@ const JellyseerrBrowse = ({browseType, item, mediaType: initialMediaType, onSele
 							<svg viewBox="0 0 24 24">
 								<path d="M10 18h4v-2h-4v2zM3 6v2h18V6H3zm3 7h12v-2H6v2z" />
 							</svg>
-							{currentFilter?.label}
+							{t(currentFilter?.label)}
 						</SpottableButton>
 					</div>
 				)}
@@ -348,7 +350,7 @@ const JellyseerrBrowse = ({browseType, item, mediaType: initialMediaType, onSele
 							<LoadingSpinner />
 						</div>
 					) : items.length === 0 ? (
-						<div className={css.empty}>No items found</div>
+						<div className={css.empty}>{t('No items found')}</div>
 					) : (
 						<div className={css.gridWrapper}>
 						<VirtualGridList
@@ -372,7 +374,7 @@ const JellyseerrBrowse = ({browseType, item, mediaType: initialMediaType, onSele
 				noAutoDismiss
 			>
 				<div className={css.popupContent}>
-					<div className={css.modalTitle}>Media Type</div>
+					<div className={css.modalTitle}>{t('Media Type')}</div>
 					{FILTER_OPTIONS.map((option) => (
 						<Button
 							key={option.key}
@@ -381,7 +383,7 @@ const JellyseerrBrowse = ({browseType, item, mediaType: initialMediaType, onSele
 							onClick={handleFilterSelect}
 							data-filter-key={option.key}
 						>
-							{option.label}
+							{t(option.label)}
 						</Button>
 					))}
 				</div>
@@ -7,6 +7,8 @@ import Popup from '@enact/sandstone/Popup';
 import Button from '@enact/sandstone/Button';
 import jellyseerrApi, {canRequestMovies, canRequestTv, canRequest4kMovies, canRequest4kTv, hasAdvancedRequestPermission} from '../../services/jellyseerrApi';
 import {useJellyseerr} from '../../context/JellyseerrContext';
+import {useI18n} from '../../context/I18nContext';
+import i18n from '../../services/i18n';
 import LoadingSpinner from '../../components/LoadingSpinner';
 import {KEYS} from '../../utils/keys';
 import css from './JellyseerrDetails.module.less';
@@ -111,18 +113,12 @@ const isStatusBlocked = (currentStatus) => {
 };
 
 const formatDate = (dateStr) => {
-	if (!dateStr) return null;
-	try {
-		const date = new Date(dateStr);
-		return date.toLocaleDateString('en-US', {year: 'numeric', month: 'long', day: 'numeric'});
-	} catch {
-		return null;
-	}
+	return i18n.formatDate(dateStr, {year: 'numeric', month: 'long', day: 'numeric'}) || null;
 };
 
 const formatCurrency = (amount) => {
 	if (!amount || amount <= 0) return null;
-	return new Intl.NumberFormat('en-US', {style: 'currency', currency: 'USD', maximumFractionDigits: 0}).format(amount);
+	return i18n.formatNumber(amount, {style: 'currency', currency: 'USD', maximumFractionDigits: 0});
 };
 
 const formatRuntime = (minutes) => {
@@ -239,14 +235,16 @@ const HorizontalMediaRow = memo(({title, items, onSelect, rowIndex, onNavigateUp
 });
 
 const QualitySelectionPopup = memo(({open, title, hdStatus, status4k, canRequestHd, canRequest4k, onSelect, onClose}) => {
+	const {t} = useI18n();
+
 	const getButtonLabel = useCallback((is4k, currentStatus) => {
 		const quality = is4k ? '4K' : 'HD';
-		if (currentStatus === STATUS.PENDING) return `${quality} (Pending)`;
-		if (currentStatus === STATUS.PROCESSING) return `${quality} (Processing)`;
-		if (currentStatus === STATUS.AVAILABLE) return `${quality} (Available)`;
-		if (currentStatus === STATUS.PARTIALLY_AVAILABLE) return `Request More ${quality}`;
-		return `Request ${quality}`;
-	}, []);
+		if (currentStatus === STATUS.PENDING) return t('{quality} (Pending)', {quality});
+		if (currentStatus === STATUS.PROCESSING) return t('{quality} (Processing)', {quality});
+		if (currentStatus === STATUS.AVAILABLE) return t('{quality} (Available)', {quality});
+		if (currentStatus === STATUS.PARTIALLY_AVAILABLE) return t('Request More {quality}', {quality});
+		return t('Request {quality}', {quality});
+	}, [t]);
 
 	const handleHdClick = useCallback(() => {
 		if (canRequestHd) onSelect(false);
@@ -259,8 +257,8 @@ const QualitySelectionPopup = memo(({open, title, hdStatus, status4k, canRequest
 	return (
 		<Popup open={open} onClose={onClose} position="center" className={css.qualityPopup}>
 			<div className={css.qualityPopupContent}>
-				<h2 className={css.qualityPopupTitle}>Request {title}</h2>
-				<p className={css.qualityPopupSubtitle}>Select quality to request</p>
+				<h2 className={css.qualityPopupTitle}>{t('Request {title}', {title})}</h2>
+				<p className={css.qualityPopupSubtitle}>{t('Select quality to request')}</p>
 				<div className={css.qualityButtons}>
 					<Button
 						className={`${css.qualityButton} ${!canRequestHd ? css.qualityButtonDisabled : ''}`}
@@ -278,7 +276,7 @@ const QualitySelectionPopup = memo(({open, title, hdStatus, status4k, canRequest
 					</Button>
 				</div>
 				<Button className={css.qualityCancelButton} onClick={onClose}>
-					Cancel
+					{t('Cancel')}
 				</Button>
 			</div>
 		</Popup>
@@ -290,6 +288,7 @@ const SeasonSelectionContainer = SpotlightContainerDecorator({
 }, 'div');
 
 const SeasonSelectionPopup = memo(({open, title, seasons, seasonStatusMap, onConfirm, onClose}) => {
+	const {t, tn} = useI18n();
 	const [selectedSeasons, setSelectedSeasons] = useState(new Set());
 
 	const availableSeasons = useMemo(() =>
@@ -354,7 +353,7 @@ const SeasonSelectionPopup = memo(({open, title, seasons, seasonStatusMap, onCon
 	return (
 		<Popup open={open} onClose={onClose} position="center" className={css.seasonPopup}>
 			<div className={css.seasonPopupContent}>
-				<h2 className={css.seasonPopupTitle}>Select Seasons</h2>
+				<h2 className={css.seasonPopupTitle}>{t('Select Seasons')}</h2>
 				<p className={css.seasonPopupSubtitle}>{title}</p>
 
 				<SeasonSelectionContainer className={css.seasonsList} spotlightId="season-selection">
@@ -367,7 +366,7 @@ const SeasonSelectionPopup = memo(({open, title, seasons, seasonStatusMap, onCon
 							<div className={`${css.seasonCheckbox} ${allSelected ? css.seasonCheckboxChecked : ''}`}>
 								{allSelected && '✓'}
 							</div>
-							<span className={css.seasonCheckLabel}>Select All</span>
+							<span className={css.seasonCheckLabel}>{t('Select All')}</span>
 						</SpottableDiv>
 					)}
 
@@ -392,14 +391,14 @@ const SeasonSelectionPopup = memo(({open, title, seasons, seasonStatusMap, onCon
 									{isUnavailable && '—'}
 								</div>
 								<div className={css.seasonCheckInfo}>
-									<span className={css.seasonCheckLabel}>{season.name || `Season ${season.seasonNumber}`}</span>
+									<span className={css.seasonCheckLabel}>{season.name || t('Season {number}', {number: season.seasonNumber})}</span>
 									<span className={css.seasonCheckMeta}>
-										{season.episodeCount} episode{season.episodeCount !== 1 ? 's' : ''}
+										{tn('{count} episode', '{count} episodes', season.episodeCount)}
 									</span>
 								</div>
 								{statusLabel && (
 									<span className={`${css.seasonStatusBadge} ${css[`seasonStatus${statusColor}`]}`}>
-										{statusLabel}
+										{t(statusLabel)}
 									</span>
 								)}
 							</SpottableDiv>
@@ -413,10 +412,10 @@ const SeasonSelectionPopup = memo(({open, title, seasons, seasonStatusMap, onCon
 						onClick={handleConfirm}
 						disabled={!canConfirm}
 					>
-						Request {selectedSeasons.size} Season{selectedSeasons.size !== 1 ? 's' : ''}
+						{tn('Request {count} Season', 'Request {count} Seasons', selectedSeasons.size)}
 					</Button>
 					<Button className={css.seasonCancelButton} onClick={onClose}>
-						Cancel
+						{t('Cancel')}
 					</Button>
 				</div>
 			</div>
@@ -429,6 +428,7 @@ const AdvancedOptionsContainer = SpotlightContainerDecorator({
 }, 'div');
 
 const AdvancedOptionsPopup = memo(({open, title, servers, is4k, onConfirm, onClose}) => {
+	const {t} = useI18n();
 	const [selectedServerId, setSelectedServerId] = useState(null);
 	const [serverDetails, setServerDetails] = useState(null);
 	const [loadingDetails, setLoadingDetails] = useState(false);
@@ -517,17 +517,17 @@ const AdvancedOptionsPopup = memo(({open, title, servers, is4k, onConfirm, onClo
 	return (
 		<Popup open={open} onClose={onClose} position="center" className={css.advancedPopup}>
 			<div className={css.advancedPopupContent}>
-				<h2 className={css.advancedPopupTitle}>Request Options</h2>
+				<h2 className={css.advancedPopupTitle}>{t('Request Options')}</h2>
 				<p className={css.advancedPopupSubtitle}>{title} ({is4k ? '4K' : 'HD'})</p>
 
 				{loadingDetails ? (
-					<div className={css.advancedLoading}>Loading server options...</div>
+					<div className={css.advancedLoading}>{t('Loading server options...')}</div>
 				) : (
 					<AdvancedOptionsContainer className={css.advancedOptionsList} spotlightId="advanced-options">
 						{/* Server Selection (if multiple) */}
 						{availableServers.length > 1 && (
 							<div className={css.advancedOptionGroup}>
-								<label className={css.advancedOptionLabel}>Server</label>
+								<label className={css.advancedOptionLabel}>{t('Server')}</label>
 								<div className={css.advancedOptionButtons}>
 									{availableServers.map(server => (
 										<SpottableDiv
@@ -546,7 +546,7 @@ const AdvancedOptionsPopup = memo(({open, title, servers, is4k, onConfirm, onClo
 						{/* Quality Profile Selection */}
 						{serverDetails?.profiles?.length > 0 && (
 							<div className={css.advancedOptionGroup}>
-								<label className={css.advancedOptionLabel}>Quality Profile</label>
+								<label className={css.advancedOptionLabel}>{t('Quality Profile')}</label>
 								<div className={css.advancedOptionButtons}>
 									{serverDetails.profiles.map(profile => (
 										<SpottableDiv
@@ -565,7 +565,7 @@ const AdvancedOptionsPopup = memo(({open, title, servers, is4k, onConfirm, onClo
 						{/* Root Folder Selection */}
 						{serverDetails?.rootFolders?.length > 0 && (
 							<div className={css.advancedOptionGroup}>
-								<label className={css.advancedOptionLabel}>Download Location</label>
+								<label className={css.advancedOptionLabel}>{t('Download Location')}</label>
 								<div className={css.advancedOptionButtons}>
 									{serverDetails.rootFolders.map(folder => (
 										<SpottableDiv
@@ -589,13 +589,13 @@ const AdvancedOptionsPopup = memo(({open, title, servers, is4k, onConfirm, onClo
 						onClick={handleConfirm}
 						disabled={!canConfirm || loadingDetails}
 					>
-						Continue with Options
+						{t('Continue with Options')}
 					</Button>
 					<Button className={css.advancedSkipButton} onClick={handleSkip}>
-						Use Defaults
+						{t('Use Defaults')}
 					</Button>
 					<Button className={css.advancedCancelButton} onClick={onClose}>
-						Cancel
+						{t('Cancel')}
 					</Button>
 				</div>
 			</div>
@@ -604,32 +604,34 @@ const AdvancedOptionsPopup = memo(({open, title, servers, is4k, onConfirm, onClo
 });
 
 const CancelRequestPopup = memo(({open, pendingRequests, title, onConfirm, onClose}) => {
+	const {t} = useI18n();
+
 	const description = useMemo(() => {
 		if (!pendingRequests || pendingRequests.length === 0) return '';
 		if (pendingRequests.length === 1) {
 			const req = pendingRequests[0];
 			const quality = req.is4k ? '4K' : 'HD';
-			return `Cancel ${quality} request for "${title}"?`;
+			return t('Cancel {quality} request for "{title}"?', {quality, title});
 		}
 		const hdCount = pendingRequests.filter(r => !r.is4k).length;
 		const fourKCount = pendingRequests.filter(r => r.is4k).length;
 		const parts = [];
 		if (hdCount > 0) parts.push(`${hdCount} HD`);
 		if (fourKCount > 0) parts.push(`${fourKCount} 4K`);
-		return `Cancel ${parts.join(' and ')} request${pendingRequests.length > 1 ? 's' : ''} for "${title}"?`;
-	}, [pendingRequests, title]);
+		return t('Cancel {requests} requests for "{title}"?', {requests: parts.join(` ${t('and')} `), title});
+	}, [pendingRequests, title, t]);
 
 	return (
 		<Popup open={open} onClose={onClose} position="center" className={css.cancelPopup}>
 			<div className={css.cancelPopupContent}>
-				<h2 className={css.cancelPopupTitle}>Cancel Request</h2>
+				<h2 className={css.cancelPopupTitle}>{t('Cancel Request')}</h2>
 				<p className={css.cancelPopupDescription}>{description}</p>
 				<div className={css.cancelButtons}>
 					<Button className={css.cancelConfirmButton} onClick={onConfirm}>
-						Cancel Request
+						{t('Cancel Request')}
 					</Button>
 					<Button className={css.cancelKeepButton} onClick={onClose}>
-						Keep Request
+						{t('Keep Request')}
 					</Button>
 				</div>
 			</div>
@@ -639,6 +641,7 @@ const CancelRequestPopup = memo(({open, pendingRequests, title, onConfirm, onClo
 
 const JellyseerrDetails = ({mediaType, mediaId, onClose, onSelectItem, onSelectPerson, onSelectKeyword, onBack, backHandlerRef}) => {
 	const {isAuthenticated, user: contextUser} = useJellyseerr();
+	const {t, tn} = useI18n();
 	const [details, setDetails] = useState(null);
 	const [loading, setLoading] = useState(true);
 	const [requesting, setRequesting] = useState(false);
@@ -737,14 +740,14 @@ const JellyseerrDetails = ({mediaType, mediaId, onClose, onSelectItem, onSelectP
 				setSimilar(similarData.slice(0, 20));
 			} catch (err) {
 				console.error('Failed to load details:', err);
-				setError(err.message || 'Failed to load details');
+				setError(err.message || t('Failed to load details'));
 			} finally {
 				setLoading(false);
 			}
 		};
 
 		loadDetails();
-	}, [mediaId, mediaType, contextUser]);
+	}, [mediaId, mediaType, contextUser, t]);
 
 	useEffect(() => {
 		if (!loading && details) {
@@ -868,11 +871,11 @@ const JellyseerrDetails = ({mediaType, mediaId, onClose, onSelectItem, onSelectP
 			setDetails(updated);
 		} catch (err) {
 			console.error('Request failed:', err);
-			setError(err.message || 'Request failed');
+			setError(err.message || t('Request failed'));
 		} finally {
 			setRequesting(false);
 		}
-	}, [mediaId, mediaType, requesting]);
+	}, [mediaId, mediaType, requesting, t]);
 
 	const proceedWithRequest = useCallback((is4K, seasons = null) => {
 		if (hasAdvanced) {
@@ -906,8 +909,9 @@ const JellyseerrDetails = ({mediaType, mediaId, onClose, onSelectItem, onSelectP
 		if (!canRequestAny) return;
 
 		if (!hasHdServer && !has4kServer) {
-			const mediaTypeName = mediaType === 'movie' ? 'movies' : 'TV shows';
-			setError(`No Radarr/Sonarr server configured for ${mediaTypeName} in Jellyseerr`);
+			setError(mediaType === 'movie' ?
+				t('No Radarr/Sonarr server configured for movies in Jellyseerr') :
+				t('No Radarr/Sonarr server configured for TV shows in Jellyseerr'));
 			return;
 		}
 
@@ -928,7 +932,7 @@ const JellyseerrDetails = ({mediaType, mediaId, onClose, onSelectItem, onSelectP
 				proceedWithRequest(false);
 			}
 		}
-	}, [canRequestAny, canRequestHd, canRequest4k, proceedWithRequest, hasHdServer, has4kServer, mediaType, details?.seasons]);
+	}, [canRequestAny, canRequestHd, canRequest4k, proceedWithRequest, hasHdServer, has4kServer, mediaType, details?.seasons, t]);
 
 	const handleCancelRequestClick = useCallback(() => {
 		if (pendingRequests.length > 0) {
@@ -948,9 +952,9 @@ const JellyseerrDetails = ({mediaType, mediaId, onClose, onSelectItem, onSelectP
 			setDetails(updated);
 		} catch (err) {
 			console.error('Cancel failed:', err);
-			setError(err.message || 'Failed to cancel request');
+			setError(err.message || t('Failed to cancel request'));
 		}
-	}, [pendingRequests, mediaId, mediaType]);
+	}, [pendingRequests, mediaId, mediaType, t]);
 
 	const handleTrailer = useCallback(() => {
 		const mediaTitle = details?.title || details?.name || 'Unknown';
@@ -1129,7 +1133,7 @@ const JellyseerrDetails = ({mediaType, mediaId, onClose, onSelectItem, onSelectP
 				<div className={css.error}>
 					<p>{error}</p>
 					<SpottableDiv className={css.errorButton} onClick={onClose || onBack}>
-						Go Back
+						{t('Go Back')}
 					</SpottableDiv>
 				</div>
 			</div>
@@ -1140,7 +1144,7 @@ const JellyseerrDetails = ({mediaType, mediaId, onClose, onSelectItem, onSelectP
 		return (
 			<div className={css.container}>
 				<div className={css.error}>
-					<p>No details available</p>
+					<p>{t('No details available')}</p>
 				</div>
 			</div>
 		);
@@ -1235,7 +1239,7 @@ const JellyseerrDetails = ({mediaType, mediaId, onClose, onSelectItem, onSelectP
 
 						{/* Status Badge - Combined HD/4K status */}
 						<div className={`${css.statusBadge} ${css[`badge${statusBadge.color}`]}`}>
-							{statusBadge.text}
+							{t(statusBadge.text)}
 						</div>
 
 						{/* Metadata Row */}
@@ -1248,7 +1252,7 @@ const JellyseerrDetails = ({mediaType, mediaId, onClose, onSelectItem, onSelectP
 							)}
 							{details.numberOfSeasons && (
 								<span className={css.metadataItem}>
-									{details.numberOfSeasons} Season{details.numberOfSeasons > 1 ? 's' : ''}
+									{tn('{count} Season', '{count} Seasons', details.numberOfSeasons)}
 								</span>
 							)}
 						</div>
@@ -1271,8 +1275,8 @@ const JellyseerrDetails = ({mediaType, mediaId, onClose, onSelectItem, onSelectP
 				<div className={css.overviewSection}>
 					{/* Left side - Overview text and action buttons */}
 					<div className={css.overviewLeft}>
-						<h2 className={css.overviewHeading}>Overview</h2>
-						<p className={css.overview}>{details.overview || 'Overview unavailable.'}</p>
+						<h2 className={css.overviewHeading}>{t('Overview')}</h2>
+						<p className={css.overview}>{details.overview || t('Overview unavailable.')}</p>
 
 						{/* Action Buttons */}
 						<ActionButtonsContainer
@@ -1293,7 +1297,7 @@ const JellyseerrDetails = ({mediaType, mediaId, onClose, onSelectItem, onSelectP
 									</svg>
 								</span>
 								</SpottableDiv>
-								<span className={css.btnLabel}>{requestButtonLabel}</span>
+								<span className={css.btnLabel}>{t(requestButtonLabel)}</span>
 							</div>
 
 							{/* Cancel Request Button - show if pending requests exist */}
@@ -1306,7 +1310,7 @@ const JellyseerrDetails = ({mediaType, mediaId, onClose, onSelectItem, onSelectP
 											</svg>
 										</span>
 									</SpottableDiv>
-									<span className={css.btnLabel}>Cancel Request</span>
+									<span className={css.btnLabel}>{t('Cancel Request')}</span>
 								</div>
 							)}
 
@@ -1319,7 +1323,7 @@ const JellyseerrDetails = ({mediaType, mediaId, onClose, onSelectItem, onSelectP
 										</svg>
 									</span>
 								</SpottableDiv>
-								<span className={css.btnLabel}>Watch Trailer</span>
+								<span className={css.btnLabel}>{t('Watch Trailer')}</span>
 							</div>
 
 							{/* Play in Moonfin Button (if available) */}
@@ -1332,7 +1336,7 @@ const JellyseerrDetails = ({mediaType, mediaId, onClose, onSelectItem, onSelectP
 											</svg>
 										</span>
 									</SpottableDiv>
-									<span className={css.btnLabel}>Play in Moonfin</span>
+									<span className={css.btnLabel}>{t('Play in Moonfin')}</span>
 								</div>
 							)}
 						</ActionButtonsContainer>
@@ -1346,7 +1350,7 @@ const JellyseerrDetails = ({mediaType, mediaId, onClose, onSelectItem, onSelectP
 									key={fact.label}
 									className={`${css.factRow} ${index === 0 ? css.factRowFirst : ''} ${index === mediaFacts.length - 1 ? css.factRowLast : ''}`}
 								>
-									<span className={css.factLabel}>{fact.label}</span>
+									<span className={css.factLabel}>{t(fact.label)}</span>
 									<span className={css.factValue}>{fact.value}</span>
 								</div>
 							))}
@@ -1361,7 +1365,7 @@ const JellyseerrDetails = ({mediaType, mediaId, onClose, onSelectItem, onSelectP
 						spotlightId="cast-section"
 						onKeyDown={handleCastSectionKeyDown}
 					>
-						<h2 className={css.sectionTitle}>Cast</h2>
+						<h2 className={css.sectionTitle}>{t('Cast')}</h2>
 						<div className={css.castScroller}>
 							<div className={css.castList}>
 								{details.credits.cast.slice(0, 10).map(person => (
@@ -1375,7 +1379,7 @@ const JellyseerrDetails = ({mediaType, mediaId, onClose, onSelectItem, onSelectP
 				{/* Recommendations Section */}
 				{recommendations.length > 0 && (
 					<HorizontalMediaRow
-						title="Recommendations"
+						title={t('Recommendations')}
 						items={recommendations}
 						onSelect={handleSelectRelated}
 						rowIndex={0}
@@ -1388,7 +1392,7 @@ const JellyseerrDetails = ({mediaType, mediaId, onClose, onSelectItem, onSelectP
 				{/* Similar Section */}
 				{similar.length > 0 && (
 					<HorizontalMediaRow
-						title={mediaType === 'tv' ? 'Similar Series' : 'Similar Titles'}
+						title={mediaType === 'tv' ? t('Similar Series') : t('Similar Titles')}
 						items={similar}
 						onSelect={handleSelectRelated}
 						rowIndex={1}
@@ -1405,7 +1409,7 @@ const JellyseerrDetails = ({mediaType, mediaId, onClose, onSelectItem, onSelectP
 						spotlightId="keywords-section"
 						onKeyDown={handleKeywordsSectionKeyDown}
 					>
-						<h2 className={css.sectionTitle}>Keywords</h2>
+						<h2 className={css.sectionTitle}>{t('Keywords')}</h2>
 						<div className={css.keywordsList}>
 							{keywords.map(keyword => (
 								<KeywordTag key={keyword.id} keyword={keyword} onSelect={handleSelectKeyword} />
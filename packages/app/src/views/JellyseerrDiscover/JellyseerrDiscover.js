@@ -4,6 +4,7 @@ import SpotlightContainerDecorator from '@enact/spotlight/SpotlightContainerDeco
 import Spotlight from '@enact/spotlight';
 import {useJellyseerr} from '../../context/JellyseerrContext';
 import {useSettings} from '../../context/SettingsContext';
+import {useI18n} from '../../context/I18nContext';
 import jellyseerrApi from '../../services/jellyseerrApi';
 import LoadingSpinner from '../../components/LoadingSpinner';
 import {KEYS} from '../../utils/keys';
@@ -60,6 +61,7 @@ let lastFocusedRowIndex = null;
 
 // Memoized card components for performance
 const MediaCard = memo(function MediaCard({item, mediaType, onSelect, onFocus}) {
+	const {t} = useI18n();
 	const posterUrl = jellyseerrApi.getImageUrl(item.poster_path || item.posterPath, 'w342');
 	const title = item.title || item.name;
 	const status = item.mediaInfo?.status;
@@ -83,7 +85,7 @@ const MediaCard = memo(function MediaCard({item, mediaType, onSelect, onFocus})
 				)}
 				{itemMediaType && (
 					<div className={`${css.mediaTypeBadge} ${itemMediaType === 'movie' ? css.movieBadge : css.seriesBadge}`}>
-						{itemMediaType === 'movie' ? 'MOVIE' : 'SERIES'}
+						{itemMediaType === 'movie' ? t('MOVIE') : t('SERIES')}
 					</div>
 				)}
 				{status && [3, 4, 5].includes(status) && (
@@ -150,9 +152,10 @@ const StudioCard = memo(function StudioCard({studio, onSelect}) {
 
 // Request card component - shows user's requests with status
 const RequestCard = memo(function RequestCard({request, onSelect, onFocus}) {
+	const {t} = useI18n();
 	const media = request.media;
 	const posterUrl = media?.posterPath ? jellyseerrApi.getImageUrl(media.posterPath, 'w342') : null;
-	const title = media?.title || media?.name || 'Unknown';
+	const title = media?.title || media?.name || t('Unknown');
 	const status = request.status;
 	const mediaType = request.type;
 
@@ -168,11 +171,11 @@ const RequestCard = memo(function RequestCard({request, onSelect, onFocus}) {
 
 	const getStatusText = () => {
 		switch (status) {
-			case 1: return '⏳ Pending';
-			case 2: return '✓ Approved';
-			case 3: return '✗ Declined';
-			case 4: return '✓ Available';
-			default: return 'Unknown';
+			case 1: return `⏳ ${t('Pending')}`;
+			case 2: return `✓ ${t('Approved')}`;
+			case 3: return `✗ ${t('Declined')}`;
+			case 4: return `✓ ${t('Available')}`;
+			default: return t('Unknown');
 		}
 	};
 
@@ -209,7 +212,7 @@ const RequestCard = memo(function RequestCard({request, onSelect, onFocus}) {
 				)}
 				{mediaType && (
 					<div className={`${css.mediaTypeBadge} ${mediaType === 'movie' ? css.movieBadge : css.seriesBadge}`}>
-						{mediaType === 'movie' ? 'MOVIE' : 'SERIES'}
+						{mediaType === 'movie' ? t('MOVIE') : t('SERIES')}
 					</div>
 				)}
 				<div className={`${css.requestStatusBadge} ${getStatusClass()}`}>
@@ -236,6 +239,7 @@ const DiscoverRow = memo(function DiscoverRow({
 	onLoadMore,
 	onRowFocus
 }) {
+	const {t} = useI18n();
 	const scrollerRef = useRef(null);
 
 	const handleKeyDown = useCallback((e) => {
@@ -325,7 +329,7 @@ const DiscoverRow = memo(function DiscoverRow({
 
 	return (
 		<div className={css.contentRow} data-row-index={rowIndex}>
-			<h2 className={css.rowTitle}>{config.title}</h2>
+			<h2 className={css.rowTitle}>{t(config.title)}</h2>
 			<div className={css.rowScroller} ref={scrollerRef}>
 				<RowContainer
 					className={css.rowItems}
@@ -336,7 +340,7 @@ const DiscoverRow = memo(function DiscoverRow({
 					{renderCards}
 					{isLoading && (
 						<div className={css.rowLoadingIndicator}>
-							<span>Loading...</span>
+							<span>{t('Loading...')}</span>
 						</div>
 					)}
 				</RowContainer>
@@ -348,6 +352,7 @@ const DiscoverRow = memo(function DiscoverRow({
 const JellyseerrDiscover = ({onSelectItem, onSelectGenre, onSelectNetwork, onSelectStudio}) => {
 	const {isAuthenticated, isEnabled, user: contextUser} = useJellyseerr();
 	const {settings} = useSettings();
+	const {t} = useI18n();
 	const [rows, setRows] = useState({});
 	const [rowPages, setRowPages] = useState({});
 	const [rowHasMore, setRowHasMore] = useState({});
@@ -571,8 +576,8 @@ const JellyseerrDiscover = ({onSelectItem, onSelectGenre, onSelectNetwork, onSel
 		return (
 			<div className={css.container}>
 				<div className={css.notConfigured}>
-					<p>Jellyseerr is not enabled.</p>
-					<p>Go to Settings to configure Jellyseerr.</p>
+					<p>{t('Jellyseerr is not enabled.')}</p>
+					<p>{t('Go to Settings to configure Jellyseerr.')}</p>
 				</div>
 			</div>
 		);
@@ -582,8 +587,8 @@ const JellyseerrDiscover = ({onSelectItem, onSelectGenre, onSelectNetwork, onSel
 		return (
 			<div className={css.container}>
 				<div className={css.notConfigured}>
-					<p>Jellyseerr is not authenticated.</p>
-					<p>Go to Settings to log in to Jellyseerr.</p>
+					<p>{t('Jellyseerr is not authenticated.')}</p>
+					<p>{t('Go to Settings to log in to Jellyseerr.')}</p>
 				</div>
 			</div>
 		);
@@ -627,7 +632,7 @@ const JellyseerrDiscover = ({onSelectItem, onSelectGenre, onSelectNetwork, onSel
 								)}
 							</>
 						) : (
-							<h2 className={css.detailTitle}>Discover</h2>
+							<h2 className={css.detailTitle}>{t('Discover')}</h2>
 						)}
 					</div>
 					<div className={css.rowsContainer}>
@@ -3,12 +3,14 @@ import Spottable from '@enact/spotlight/Spottable';
 import Spotlight from '@enact/spotlight';
 import Image from '@enact/sandstone/Image';
 import jellyseerrApi from '../../services/jellyseerrApi';
+import {useI18n} from '../../context/I18nContext';
 import LoadingSpinner from '../../components/LoadingSpinner';
 import css from './JellyseerrPerson.module.less';
 
 const SpottableDiv = Spottable('div');
 
 const JellyseerrPerson = ({personId, personName, onClose, onSelectItem, onBack}) => {
+	const {t} = useI18n();
 	const [details, setDetails] = useState(null);
 	const [loading, setLoading] = useState(true);
 	const [error, setError] = useState(null);
@@ -26,14 +28,14 @@ const JellyseerrPerson = ({personId, personName, onClose, onSelectItem, onBack})
 				setDetails(data);
 			} catch (err) {
 				console.error('Failed to load person details:', err);
-				setError(err.message || 'Failed to load details');
+				setError(err.message || t('Failed to load details'));
 			} finally {
 				setLoading(false);
 			}
 		};
 
 		loadDetails();
-	}, [personId]);
+	}, [personId, t]);
 
 	useEffect(() => {
 		if (!loading && details) {
@@ -81,7 +83,7 @@ const JellyseerrPerson = ({personId, personName, onClose, onSelectItem, onBack})
 					{/* Media type badge - top left */}
 					{itemMediaType && (
 						<div className={`${css.mediaTypeBadge} ${itemMediaType === 'movie' ? css.movieBadge : css.seriesBadge}`}>
-							{itemMediaType === 'movie' ? 'MOVIE' : 'SERIES'}
+							{itemMediaType === 'movie' ? t('MOVIE') : t('SERIES')}
 						</div>
 					)}
 					{/* Availability badge - top right */}
@@ -96,7 +98,7 @@ const JellyseerrPerson = ({personId, personName, onClose, onSelectItem, onBack})
 				</div>
 			</SpottableDiv>
 		);
-	}, [handleSelectMedia]);
+	}, [handleSelectMedia, t]);
 
 	if (loading) {
 		return (
@@ -112,7 +114,7 @@ const JellyseerrPerson = ({personId, personName, onClose, onSelectItem, onBack})
 				<div className={css.error}>
 					<p>{error}</p>
 					<SpottableDiv className={css.errorButton} onClick={onClose || onBack}>
-						Go Back
+						{t('Go Back')}
 					</SpottableDiv>
 				</div>
 			</div>
@@ -123,7 +125,7 @@ const JellyseerrPerson = ({personId, personName, onClose, onSelectItem, onBack})
 		return (
 			<div className={css.container}>
 				<div className={css.error}>
-					<p>No details available</p>
+					<p>{t('No details available')}</p>
 				</div>
 			</div>
 		);
@@ -144,7 +146,7 @@ const JellyseerrPerson = ({personId, personName, onClose, onSelectItem, onBack})
 		...crew
 	]
 		.filter((item, index, self) =>
-			index === self.findIndex(t => t.id === item.id && (t.mediaType || t.media_type) === (item.mediaType || item.media_type))
+			index === self.findIndex(other => other.id === item.id && (other.mediaType || other.media_type) === (item.mediaType || item.media_type))
 		)
 		.sort((a, b) => (b.popularity || 0) - (a.popularity || 0))
 		.slice(0, 50);
@@ -170,14 +172,14 @@ const JellyseerrPerson = ({personId, personName, onClose, onSelectItem, onBack})
 						<div className={css.metaInfo}>
 							{birthYear && (
 								<span className={css.birthInfo}>
-									{deathYear ? `${birthYear} - ${deathYear}` : `Born ${birthYear}`}
+									{deathYear ? `${birthYear} - ${deathYear}` : t('Born {year}', {year: birthYear})}
 								</span>
 							)}
 							{details.placeOfBirth && (
 								<span className={css.placeOfBirth}>{details.placeOfBirth}</span>
 							)}
 							{knownFor && (
-								<span className={css.knownFor}>Known for: {knownFor}</span>
+								<span className={css.knownFor}>{t('Known for: {department}', {department: knownFor})}</span>
 							)}
 						</div>
 					</div>
@@ -186,13 +188,13 @@ const JellyseerrPerson = ({personId, personName, onClose, onSelectItem, onBack})
 				{/* Biography Section */}
 				{biography && (
 					<div className={css.biographySection}>
-						<h2 className={css.sectionTitle}>Biography</h2>
+						<h2 className={css.sectionTitle}>{t('Biography')}</h2>
 						<p className={`${css.biographyText} ${biographyExpanded ? css.expanded : ''}`}>
 							{biography}
 						</p>
 						{biography.length > 500 && (
 							<SpottableDiv className={css.biographyToggle} onClick={toggleBiography}>
-								{biographyExpanded ? 'Show Less' : 'Show More'}
+								{biographyExpanded ? t('Show Less') : t('Show More')}
 							</SpottableDiv>
 						)}
 					</div>
@@ -201,7 +203,7 @@ const JellyseerrPerson = ({personId, personName, onClose, onSelectItem, onBack})
 				{/* Appearances Section */}
 				{appearances.length > 0 && (
 					<div className={css.appearancesSection}>
-						<h2 className={css.sectionTitle}>Appearances ({appearances.length})</h2>
+						<h2 className={css.sectionTitle}>{t('Appearances ({count})', {count: appearances.length})}</h2>
 						<div className={css.appearancesList} data-spotlight-id="person-appearances">
 							{appearances.map((item, index) => renderAppearanceCard(item, index))}
 						</div>
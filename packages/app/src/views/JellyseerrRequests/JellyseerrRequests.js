@@ -12,6 +12,7 @@ import Spotlight from '@enact/spotlight';
 import Spottable from '@enact/spotlight/Spottable';
 import jellyseerrApi from '../../services/jellyseerrApi';
 import {useJellyseerr} from '../../context/JellyseerrContext';
+import {useI18n} from '../../context/I18nContext';
 import css from './JellyseerrRequests.module.less';
 
 const SpottableRow = Spottable('div');
@@ -32,6 +33,7 @@ const MEDIA_STATUS_LABELS = {
 
 // Memoized request item component to avoid arrow functions in JSX props
 const RequestItem = memo(function RequestItem({request, index, onSelect, onCancel}) {
+	const {t, formatDate} = useI18n();
 	const media = request.media;
 	const posterUrl = media?.posterPath
 		? jellyseerrApi.getImageUrl(media.posterPath, 'w185')
@@ -56,29 +58,29 @@ const RequestItem = memo(function RequestItem({request, index, onSelect, onCance
 			)}
 			<Column className={css.requestInfo}>
 				<BodyText className={css.title}>
-					{media?.title || media?.name || 'Unknown'}
+					{media?.title || media?.name || t('Unknown')}
 				</BodyText>
 				<Row className={css.meta}>
 					<span className={css.type}>
-						{media?.mediaType === 'movie' ? 'Movie' : 'TV Show'}
+						{media?.mediaType === 'movie' ? t('Movie') : t('TV Show')}
 					</span>
 					<span
 						className={css.status}
 						data-status={request.status}
 					>
-						{STATUS_LABELS[request.status] || 'Unknown'}
+						{t(STATUS_LABELS[request.status] || 'Unknown')}
 					</span>
 					{media?.status && (
 						<span
 							className={css.mediaStatus}
 							data-media-status={media.status}
 						>
-							{MEDIA_STATUS_LABELS[media.status]}
+							{t(MEDIA_STATUS_LABELS[media.status])}
 						</span>
 					)}
 				</Row>
 				<BodyText className={css.date}>
-					Requested: {new Date(request.createdAt).toLocaleDateString()}
+					{t('Requested: {date}', {date: formatDate(request.createdAt)})}
 				</BodyText>
 			</Column>
 			{request.status === 1 && (
@@ -88,7 +90,7 @@ const RequestItem = memo(function RequestItem({request, index, onSelect, onCance
 					icon="trash"
 					onClick={handleCancelClick}
 				>
-					Cancel
+					{t('Cancel')}
 				</Button>
 			)}
 		</SpottableRow>
@@ -97,6 +99,7 @@ const RequestItem = memo(function RequestItem({request, index, onSelect, onCance
 
 const JellyseerrRequests = ({onSelectItem, onClose, ...rest}) => {
 	const {isAuthenticated} = useJellyseerr();
+	const {t} = useI18n();
 	const [requests, setRequests] = useState([]);
 	const [loading, setLoading] = useState(true);
 	const [error, setError] = useState(null);
@@ -112,11 +115,11 @@ const JellyseerrRequests = ({onSelectItem, onClose, ...rest}) => {
 			setRequests(data.results || []);
 		} catch (err) {
 			console.error('Failed to load requests:', err);
-			setError(err.message || 'Failed to load requests');
+			setError(err.message || t('Failed to load requests'));
 		} finally {
 			setLoading(false);
 		}
-	}, [isAuthenticated]);
+	}, [isAuthenticated, t]);
 
 	useEffect(() => {
 		loadRequests();
@@ -179,20 +182,20 @@ const JellyseerrRequests = ({onSelectItem, onClose, ...rest}) => {
 		if (!isAuthenticated) {
 			return (
 				<Column align="center center" className={css.message}>
-					<BodyText>Please configure Jellyseerr in Settings</BodyText>
+					<BodyText>{t('Please configure Jellyseerr in Settings')}</BodyText>
 				</Column>
 			);
 		}
 
 		if (loading) {
-			return <Spinner centered>Loading requests...</Spinner>;
+			return <Spinner centered>{t('Loading requests...')}</Spinner>;
 		}
 
 		if (error) {
 			return (
 				<Column align="center center" className={css.error}>
 					<BodyText>{error}</BodyText>
-					<Button onClick={loadRequests}>Retry</Button>
+					<Button onClick={loadRequests}>{t('Retry')}</Button>
 				</Column>
 			);
 		}
@@ -200,7 +203,7 @@ const JellyseerrRequests = ({onSelectItem, onClose, ...rest}) => {
 		if (filteredRequests.length === 0) {
 			return (
 				<Column align="center center" className={css.message}>
-					<BodyText>No requests found</BodyText>
+					<BodyText>{t('No requests found')}</BodyText>
 				</Column>
 			);
 		}
@@ -219,23 +222,23 @@ const JellyseerrRequests = ({onSelectItem, onClose, ...rest}) => {
 	return (
 		<Panel {...rest}>
 			<Header
-				title="My Requests"
+				title={t('My Requests')}
 				onClose={onClose}
 				type="compact"
 			/>
 			<TabLayout
 				onSelect={handleTabSelect}
 			>
-				<Tab title="All">
+				<Tab title={t('All')}>
 					{renderContent()}
 				</Tab>
-				<Tab title="Pending">
+				<Tab title={t('Pending')}>
 					{renderContent()}
 				</Tab>
-				<Tab title="Approved">
+				<Tab title={t('Approved')}>
 					{renderContent()}
 				</Tab>
-				<Tab title="Available">
+				<Tab title={t('Available')}>
 					{renderContent()}
 				</Tab>
 			</TabLayout>
@@ -5,9 +5,12 @@ import Spotlight from '@enact/spotlight';
 import {VirtualGridList} from '@enact/sandstone/VirtualList';
 import {useAuth} from '../../context/AuthContext';
 import {createApiForServer} from '../../services/jellyfinApi';
+import {CACHE_UPDATED_EVENT} from '../../services/responseCache';
 import LoadingSpinner from '../../components/LoadingSpinner';
 import {getImageUrl, getPrimaryImageId, formatDuration} from '../../utils/helpers';
 import {useSettings} from '../../context/SettingsContext';
+import {useI18n} from '../../context/I18nContext';
+import {useServerEvent} from '../../context/ServerEventsContext';
 import {fetchRatings, buildDisplayRatings} from '../../services/mdblistApi';
 import {useStorage} from '../../hooks/useStorage';
 import {KEYS} from '../../utils/keys';
@@ -47,11 +50,17 @@ const MUSIC_CONTENT_TYPES = [
 	{key: 'artists', label: 'Artists', itemType: 'MusicArtist'}
 ];
 
+const LIVE_REFRESH_DEBOUNCE_MS = 2000;
+const PAGE_SIZE = 150;
+
+const sameServer = (a, b) => (a || '').replace(/\/+$/, '').toLowerCase() === (b || '').replace(/\/+$/, '').toLowerCase();
+
 const LETTERS = ['#', 'A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L', 'M', 'N', 'O', 'P', 'Q', 'R', 'S', 'T', 'U', 'V', 'W', 'X', 'Y', 'Z'];
 
 const Library = ({library, genreFilter, onSelectItem, onViewPhoto, onHome, backHandlerRef}) => {
 const {api, serverUrl} = useAuth();
 const {settings} = useSettings();
+const {t, tn} = useI18n();
 
 const effectiveApi = useMemo(() => {
 	if (library?._serverUrl && library?._serverAccessToken) {
@@ -95,6 +104,7 @@ const apiFetchIndexRef = useRef(0);
 const initialFocusDoneRef = useRef(false);
 const ratingsTimeoutRef = useRef(null);
 const ratingsAbortRef = useRef(null);
+const liveRefreshTimerRef = useRef(null);
 
 const items = useMemo(() => {
 if (!startLetter) {
@@ -176,7 +186,7 @@ if (isFolderView) {
 	const params = {
 		ParentId: currentFolderId,
 		StartIndex: startIndex,
-		Limit: 150,
+		Limit: PAGE_SIZE,
 		SortBy: `IsFolder,${sortOption.field}`,
 		SortOrder: sortOption.order,
 		EnableTotalRecordCount: true,
@@ -192,7 +202,7 @@ if (isFolderView) {
 } else {
 	const params = {
 		StartIndex: startIndex,
-		Limit: 150,
+		Limit: PAGE_SIZE,
 		SortBy: sortOption.field,
 		SortOrder: sortOption.order,
 		Recursive: true,
@@ -218,7 +228,7 @@ if (isFolderView) {
 		? await effectiveApi.getAlbumArtists({
 			ParentId: library.Id,
 			StartIndex: startIndex,
-			Limit: 150,
+			Limit: PAGE_SIZE,
 			SortBy: sortOption.field,
 			SortOrder: sortOption.order,
 			EnableTotalRecordCount: true,
@@ -255,6 +265,70 @@ loadItems(0, false);
 }
 }, [library, sortKey, favoritesOnly, watchedOnly, musicContentType, isFolderView, currentFolderId, loadItems, genreFilter]);
 
+// Live updates from the server socket
+useServerEvent('UserDataChanged', (data, {serverUrl: eventServerUrl}) => {
+if (!sameServer(eventServerUrl, effectiveServerUrl)) return;
+const userDataById = {};
+(data?.UserDataList || []).forEach(userData => {
+	if (userData.ItemId) userDataById[userData.ItemId] = userData;
+});
+if (Object.keys(userDataById).length === 0) return;
+setAllItems(prev => {
+	let changed = false;
+	const next = prev.map(entry => {
+		if (!userDataById[entry.Id]) return entry;
+		changed = true;
+		return {...entry, UserData: {...entry.UserData, ...userDataById[entry.Id]}};
+	});
+	return changed ? next : prev;
+});
+});
+
+useServerEvent('LibraryChanged', (data, {serverUrl: eventServerUrl}) => {
+if (!data || !sameServer(eventServerUrl, effectiveServerUrl)) return;
+const folderIds = [library?.Id, currentFolderId].filter(Boolean);
+const touchesFolder = (ids) => (ids || []).some(id => folderIds.includes(id));
+const affected = genreFilter
+	? (data.ItemsAdded?.length > 0 || data.ItemsRemoved?.length > 0)
+	: (touchesFolder(data.CollectionFolders) || touchesFolder(data.FoldersAddedTo) || touchesFolder(data.FoldersRemovedFrom));
+const removed = data.ItemsRemoved || [];
+
+if (removed.length > 0) {
+	setAllItems(prev => {
+		const next = prev.filter(entry => !removed.includes(entry.Id));
+		return next.length === prev.length ? prev : next;
+	});
+}
+if (!affected) return;
+
+// Reload the first page in place; once the user has paged further a reload
+// would drop their position, so additions wait for the next visit.
+if (liveRefreshTimerRef.current) clearTimeout(liveRefreshTimerRef.current);
+liveRefreshTimerRef.current = setTimeout(() => {
+	liveRefreshTimerRef.current = null;
+	if (apiFetchIndexRef.current <= PAGE_SIZE && !loadingMoreRef.current) {
+		loadItems(0, false);
+	}
+}, LIVE_REFRESH_DEBOUNCE_MS);
+});
+
+useEffect(() => () => {
+if (liveRefreshTimerRef.current) clearTimeout(liveRefreshTimerRef.current);
+}, []);
+
+// Cached pages render straight away; when the background refresh brings
+// something new, reload the first page in place (same rule as live updates)
+useEffect(() => {
+const handleCacheUpdated = (e) => {
+	if (e.detail?.category !== 'items' || !sameServer(e.detail.serverUrl, effectiveServerUrl)) return;
+	if (apiFetchIndexRef.current <= PAGE_SIZE && !loadingMoreRef.current) {
+		loadItems(0, false);
+	}
+};
+window.addEventListener(CACHE_UPDATED_EVENT, handleCacheUpdated);
+return () => window.removeEventListener(CACHE_UPDATED_EVENT, handleCacheUpdated);
+}, [effectiveServerUrl, loadItems]);
+
 useEffect(() => {
 if (items.length > 0 && !isLoading && !initialFocusDoneRef.current) {
 setTimeout(() => {
@@ -571,23 +645,25 @@ loading="lazy"
 }, [effectiveServerUrl, handleItemClick, items.length, totalCount, isLoading, loadItems, effectiveImageType, posterHeight, isSquareImage, isFolderView, settings]);
 
 const currentSort = activeSortOptions.find(o => o.key === sortKey);
-const sortLabel = currentSort?.label || 'Name';
+const sortLabel = t(currentSort?.label || 'Name');
 const filterParts = [];
-if (favoritesOnly) filterParts.push('Favorites');
-if (watchedOnly) filterParts.push('Watched');
-const filterLabel = filterParts.length > 0 ? filterParts.join(' & ') : 'All items';
+if (favoritesOnly) filterParts.push(t('Favorites'));
+if (watchedOnly) filterParts.push(t('Watched'));
+const filterLabel = filterParts.length > 0 ? filterParts.join(' & ') : t('All items');
 const folderName = folderStack.length > 0 ? folderStack[folderStack.length - 1].name : library?.Name;
 const displayName = genreFilter || library?.Name || '';
 const statusText = isFolderView
-	? `Browsing folders in '${folderName}' sorted by ${sortLabel}`
+	? t('Browsing folders in \'{folder}\' sorted by {sort}', {folder: folderName, sort: sortLabel})
 	: genreFilter
-		? `Showing ${filterLabel} from '${genreFilter}'${library ? ` in '${library.Name}'` : ''} sorted by ${sortLabel}`
-		: `Showing ${filterLabel} from '${library?.Name}' sorted by ${sortLabel}`;
+		? library
+			? t('Showing {filter} from \'{genre}\' in \'{library}\' sorted by {sort}', {filter: filterLabel, genre: genreFilter, library: library.Name, sort: sortLabel})
+			: t('Showing {filter} from \'{genre}\' sorted by {sort}', {filter: filterLabel, genre: genreFilter, sort: sortLabel})
+		: t('Showing {filter} from \'{library}\' sorted by {sort}', {filter: filterLabel, library: library?.Name, sort: sortLabel});
 
 if (!library && !genreFilter) {
 return (
 <div className={css.page}>
-<div className={css.empty}>No library selected</div>
+<div className={css.empty}>{t('No library selected')}</div>
 </div>
 );
 }
@@ -637,12 +713,12 @@ return (
 	)}
 </span>
 ))}
-<div className={css.itemCount}>{totalCount} Items</div>
+<div className={css.itemCount}>{tn('{count} Item', '{count} Items', totalCount)}</div>
 </div>
 ) : (
 <>
 <div className={css.libraryTitle}>{displayName}</div>
-<div className={css.itemCount}>{totalCount} Items</div>
+<div className={css.itemCount}>{tn('{count} Item', '{count} Items', totalCount)}</div>
 </>
 )}
 </div>
@@ -714,7 +790,7 @@ spotlightId={index === 0 ? 'library-letter-hash' : undefined}
 <LoadingSpinner />
 </div>
 ) : items.length === 0 ? (
-<div className={css.empty}>No items found</div>
+<div className={css.empty}>{t('No items found')}</div>
 ) : (
 <div className={css.gridWrapper}>
 <VirtualGridList
@@ -747,10 +823,10 @@ className={css.sortPanel}
 spotlightId="sort-panel"
 onClick={stopPropagation}
 >
-<h2 className={css.sortPanelTitle}>Sort & Filter</h2>
+<h2 className={css.sortPanelTitle}>{t('Sort & Filter')}</h2>
 
 <div className={css.sortSection}>
-<div className={css.sortSectionLabel}>Sort By</div>
+<div className={css.sortSectionLabel}>{t('Sort By')}</div>
 {activeSortOptions.map((option, index) => (
 <SpottableButton
 key={option.key}
@@ -762,14 +838,14 @@ spotlightId={`sort-option-${index}`}
 <span className={css.radioCircle}>
 {sortKey === option.key && <span className={css.radioFill} />}
 </span>
-<span className={css.sortOptionLabel}>{option.label}</span>
+<span className={css.sortOptionLabel}>{t(option.label)}</span>
 </SpottableButton>
 ))}
 </div>
 
 {isMusicLibrary && (
 <div className={css.filterSection}>
-<div className={css.sortSectionLabel}>Show</div>
+<div className={css.sortSectionLabel}>{t('Show')}</div>
 {MUSIC_CONTENT_TYPES.map((ct) => (
 <SpottableButton
 key={ct.key}
@@ -781,14 +857,14 @@ spotlightId={`music-content-${ct.key}`}
 <span className={css.radioCircle}>
 {musicContentType === ct.key && <span className={css.radioFill} />}
 </span>
-<span className={css.sortOptionLabel}>{ct.label}</span>
+<span className={css.sortOptionLabel}>{t(ct.label)}</span>
 </SpottableButton>
 ))}
 </div>
 )}
 
 <div className={css.filterSection}>
-<div className={css.sortSectionLabel}>Filters</div>
+<div className={css.sortSectionLabel}>{t('Filters')}</div>
 <SpottableButton
 className={`${css.sortOption} ${favoritesOnly ? css.sortOptionActive : ''}`}
 onClick={handleToggleFavorites}
@@ -801,7 +877,7 @@ spotlightId="filter-favorites"
 </svg>
 )}
 </span>
-<span className={css.sortOptionLabel}>Favorites Only</span>
+<span className={css.sortOptionLabel}>{t('Favorites Only')}</span>
 </SpottableButton>
 <SpottableButton
 className={`${css.sortOption} ${watchedOnly ? css.sortOptionActive : ''}`}
@@ -815,7 +891,7 @@ spotlightId="filter-watched"
 </svg>
 )}
 </span>
-<span className={css.sortOptionLabel}>Watched Only</span>
+<span className={css.sortOptionLabel}>{t('Watched Only')}</span>
 </SpottableButton>
 </div>
 </SortPanelContainer>
@@ -829,7 +905,7 @@ className={css.sortPanel}
 spotlightId="settings-panel"
 onClick={stopPropagation}
 >
-<div className={css.settingsHeader}>{isGenreMode ? 'GENRE' : 'LIBRARIES'}</div>
+<div className={css.settingsHeader}>{isGenreMode ? t('GENRE') : t('LIBRARIES')}</div>
 <h2 className={css.sortPanelTitle}>{displayName}</h2>
 
 <SpottableButton
@@ -837,8 +913,8 @@ className={css.settingRow}
 onClick={handleCycleImageSize}
 spotlightId="settings-image-size"
 >
-<div className={css.settingLabel}>Image size</div>
-<div className={css.settingValue}>{capitalize(imageSize)}</div>
+<div className={css.settingLabel}>{t('Image size')}</div>
+<div className={css.settingValue}>{t(capitalize(imageSize))}</div>
 </SpottableButton>
 
 {!isSquareDefault && (
@@ -847,8 +923,8 @@ className={css.settingRow}
 onClick={handleCycleImageType}
 spotlightId="settings-image-type"
 >
-<div className={css.settingLabel}>Image type</div>
-<div className={css.settingValue}>{capitalize(imageType)}</div>
+<div className={css.settingLabel}>{t('Image type')}</div>
+<div className={css.settingValue}>{t(capitalize(imageType))}</div>
 </SpottableButton>
 )}
 
@@ -857,8 +933,8 @@ className={css.settingRow}
 onClick={handleCycleGridDirection}
 spotlightId="settings-grid-direction"
 >
-<div className={css.settingLabel}>Grid direction</div>
-<div className={css.settingValue}>{capitalize(gridDirection)}</div>
+<div className={css.settingLabel}>{t('Grid direction')}</div>
+<div className={css.settingValue}>{t(capitalize(gridDirection))}</div>
 </SpottableButton>
 {!isGenreMode && (
 <SpottableButton
@@ -866,8 +942,8 @@ spotlightId="settings-grid-direction"
 	onClick={handleToggleFolderView}
 	spotlightId="settings-folder-view"
 >
-<div className={css.settingLabel}>Folder view</div>
-<div className={css.settingValue}>{isFolderView ? 'On' : 'Off'}</div>
+<div className={css.settingLabel}>{t('Folder view')}</div>
+<div className={css.settingValue}>{isFolderView ? t('On') : t('Off')}</div>
 </SpottableButton>
 )}
 </SettingsPanelContainer>
@@ -3,8 +3,14 @@ import Spottable from '@enact/spotlight/Spottable';
 import SpotlightContainerDecorator from '@enact/spotlight/SpotlightContainerDecorator';
 import Spotlight from '@enact/spotlight';
 import {useAuth} from '../../context/AuthContext';
+import {useSettings} from '../../context/SettingsContext';
+import {useI18n} from '../../context/I18nContext';
 import LoadingSpinner from '../../components/LoadingSpinner';
+import SeriesTimerDialog from '../../components/SeriesTimerDialog';
+import ProgramListPanel from './ProgramListPanel';
+import {subscribeReminders, addReminder, removeReminder} from '../../services/reminders';
 import {KEYS} from '../../utils/keys';
+import i18n from '../../services/i18n';
 
 import css from './LiveTV.module.less';
 
@@ -20,25 +26,33 @@ const HOURS_TO_DISPLAY = 6;
 const PIXELS_PER_HOUR = 600;
 const MINUTES_PER_PIXEL = 60 / PIXELS_PER_HOUR;
 const CHANNELS_PER_BATCH = 50;
-
-const ProgramCell = ({program, channel, style, isCurrent, onProgramClick}) => {
+// Keep paging channels in while a category leaves fewer rows than this, since scrolling is what loads more
+const MIN_CATEGORY_ROWS = 10;
+
+// Flags the server sets on guide programs
+const PROGRAM_CATEGORIES = [
+	{id: 'all', label: 'All', flag: null},
+	{id: 'movies', label: 'Movies', flag: 'IsMovie'},
+	{id: 'sports', label: 'Sports', flag: 'IsSports'},
+	{id: 'news', label: 'News', flag: 'IsNews'},
+	{id: 'kids', label: 'Kids', flag: 'IsKids'},
+	{id: 'series', label: 'Series', flag: 'IsSeries'}
+];
+
+const ProgramCell = ({program, channel, style, isCurrent, isDimmed, onProgramClick}) => {
 	const handleClick = useCallback(() => {
 		onProgramClick(program, channel);
 	}, [program, channel, onProgramClick]);
 
 	return (
 		<SpottableDiv
-			className={`${css.programCell} ${isCurrent ? css.current : ''}`}
+			className={`${css.programCell} ${isCurrent ? css.current : ''} ${isDimmed ? css.dimmed : ''}`}
 			style={style}
 			onClick={handleClick}
 			data-program-id={program.Id}
 		>
 			<div className={css.programTime}>
-				{new Date(program.StartDate).toLocaleTimeString('en-US', {
-					hour: 'numeric',
-					minute: '2-digit',
-					hour12: true
-				})}
+				{i18n.formatTimeOfDay(new Date(program.StartDate))}
 			</div>
 			<div className={css.programTitle}>{program.Name}</div>
 			{program.EpisodeTitle && (
@@ -50,25 +64,36 @@ const ProgramCell = ({program, channel, style, isCurrent, onProgramClick}) => {
 
 const LiveTV = ({onPlayChannel, onRecordings, backHandlerRef}) => {
 	const {api, serverUrl} = useAuth();
+	const {settings} = useSettings();
+	const {t} = useI18n();
 	const [channels, setChannels] = useState([]);
 	const [programs, setPrograms] = useState({});
 	const [currentDate, setCurrentDate] = useState(new Date());
 	const [isLoading, setIsLoading] = useState(true);
 	const [showFavoritesOnly, setShowFavoritesOnly] = useState(false);
+	const [categoryId, setCategoryId] = useState('all');
+	const [programListMode, setProgramListMode] = useState(null);
+	const [pendingJump, setPendingJump] = useState(null);
 	const [selectedProgram, setSelectedProgram] = useState(null);
 	const [focusMode, setFocusMode] = useState('grid');
 	const [channelNumberBuffer, setChannelNumberBuffer] = useState('');
+	const [seriesTimerEdit, setSeriesTimerEdit] = useState(null);
+	const [recordingStatus, setRecordingStatus] = useState(null);
+	const [isRecordingBusy, setIsRecordingBusy] = useState(false);
+	const [reminderIds, setReminderIds] = useState(() => new Set());
 
 	const guideContentRef = useRef(null);
 	const timeSlotsRef = useRef(null);
 	const channelNumberTimeoutRef = useRef(null);
 	const currentChannelIndexRef = useRef(0);
 	const hasMoreChannelsRef = useRef(true);
+	const isLoadingMoreRef = useRef(false);
+
+	const category = PROGRAM_CATEGORIES.find(c => c.id === categoryId);
 
 	const getGuideStartTime = useCallback(() => {
 		const start = new Date(currentDate);
-		const currentHour = new Date().getHours();
-		start.setHours(currentHour, 0, 0, 0);
+		start.setHours(start.getHours(), 0, 0, 0);
 		return start;
 	}, [currentDate]);
 
@@ -94,6 +119,9 @@ const LiveTV = ({onPlayChannel, onRecordings, backHandlerRef}) => {
 		}
 
 		if (!hasMoreChannelsRef.current) return;
+		// Scrolling, category paging and jumps can all ask for the next batch at once
+		if (!reset && isLoadingMoreRef.current) return;
+		isLoadingMoreRef.current = !reset;
 
 		try {
 			const result = await api.getLiveTvChannels(currentChannelIndexRef.current, CHANNELS_PER_BATCH);
@@ -129,9 +157,15 @@ const LiveTV = ({onPlayChannel, onRecordings, backHandlerRef}) => {
 			}
 		} catch (err) {
 			console.error('Failed to load channels:', err);
+		} finally {
+			if (!reset) isLoadingMoreRef.current = false;
 		}
 	}, [api, getGuideStartTime, getGuideEndTime]);
 
+	useEffect(() => subscribeReminders(reminders => {
+		setReminderIds(new Set(reminders.map(r => r.programId)));
+	}), []);
+
 	useEffect(() => {
 		const init = async () => {
 			setIsLoading(true);
@@ -161,24 +195,40 @@ const LiveTV = ({onPlayChannel, onRecordings, backHandlerRef}) => {
 		}, 1500);
 	}, [channelNumberBuffer, channels]);
 
+	const handleClosePopup = useCallback(() => {
+		setSelectedProgram(null);
+		setRecordingStatus(null);
+		if (programListMode) {
+			setTimeout(() => Spotlight.focus('livetv-program-list'), 100);
+		}
+	}, [programListMode]);
+
 	useEffect(() => {
 		if (!backHandlerRef) return;
 		backHandlerRef.current = () => {
+			if (seriesTimerEdit) {
+				setSeriesTimerEdit(null);
+				return true;
+			}
 			if (selectedProgram) {
-				setSelectedProgram(null);
+				handleClosePopup();
+				return true;
+			}
+			if (programListMode) {
+				setProgramListMode(null);
 				return true;
 			}
 			return false;
 		};
 		return () => { if (backHandlerRef) backHandlerRef.current = null; };
-	}, [backHandlerRef, selectedProgram]);
+	}, [backHandlerRef, selectedProgram, seriesTimerEdit, programListMode, handleClosePopup]);
 
 	useEffect(() => {
 		const handleKeyDown = (e) => {
 			const keyCode = e.keyCode;
 
-			// Block all input when program detail is shown
-			if (selectedProgram) return;
+			// Block all input when program detail or the program list is shown
+			if (selectedProgram || programListMode) return;
 
 			if (keyCode >= KEYS.NUM_0 && keyCode <= KEYS.NUM_9) {
 				e.preventDefault();
@@ -199,7 +249,7 @@ const LiveTV = ({onPlayChannel, onRecordings, backHandlerRef}) => {
 					const programCell = focused?.closest('[data-program-id]');
 					if (programCell) {
 						e.preventDefault();
-						Spotlight.focus('livetv-guide');
+						Spotlight.focus('livetv-filters');
 						return;
 					}
 				}
@@ -216,7 +266,7 @@ const LiveTV = ({onPlayChannel, onRecordings, backHandlerRef}) => {
 
 		window.addEventListener('keydown', handleKeyDown, true);
 		return () => window.removeEventListener('keydown', handleKeyDown, true);
-	}, [selectedProgram, focusMode, handleChannelNumber]);
+	}, [selectedProgram, programListMode, focusMode, handleChannelNumber]);
 
 	const handleScroll = useCallback(() => {
 		const guideContent = guideContentRef.current;
@@ -250,19 +300,174 @@ const LiveTV = ({onPlayChannel, onRecordings, backHandlerRef}) => {
 		setShowFavoritesOnly(prev => !prev);
 	}, []);
 
+	const handleCategoryClick = useCallback((e) => {
+		setCategoryId(e.currentTarget.dataset.category);
+	}, []);
+
+	const handleOpenSearch = useCallback(() => {
+		setProgramListMode('search');
+	}, []);
+
+	const handleOpenOnNow = useCallback(() => {
+		setProgramListMode('onNow');
+	}, []);
+
+	// Guide data goes stale once recordings are scheduled, so re-read the program's timer ids
+	const refreshSelectedProgram = useCallback(async (programId) => {
+		try {
+			const fresh = await api.getLiveTvProgram(programId);
+			setSelectedProgram(prev => (prev?.program.Id === programId
+				? {...prev, program: {...prev.program, TimerId: fresh.TimerId, SeriesTimerId: fresh.SeriesTimerId}}
+				: prev));
+		} catch (err) {
+			console.warn('[LiveTV] Failed to refresh program:', err.message);
+		}
+	}, [api]);
+
 	const handleProgramClick = useCallback((program, channel) => {
 		setSelectedProgram({program, channel});
+		setRecordingStatus(null);
+		refreshSelectedProgram(program.Id);
 		setTimeout(() => {
 			Spotlight.focus('livetv-popup');
 		}, 100);
+	}, [refreshSelectedProgram]);
+
+	// Results can come from channels the guide hasn't paged in yet
+	const handleListSelect = useCallback(async (program) => {
+		let channel = channels.find(ch => ch.Id === program.ChannelId);
+		if (!channel) {
+			try {
+				channel = await api.getItem(program.ChannelId);
+			} catch (err) {
+				console.warn('[LiveTV] Failed to load channel:', err.message);
+				channel = {Id: program.ChannelId, Name: program.ChannelName, Type: 'TvChannel'};
+			}
+		}
+		handleProgramClick(program, channel);
+	}, [channels, api, handleProgramClick]);
+
+	// Move the guide to a program's hour when it's outside the window, then let the jump effect find its row
+	const jumpToProgram = useCallback((program) => {
+		const programStart = new Date(program.StartDate);
+		const programEnd = new Date(program.EndDate);
+		if (programStart >= getGuideEndTime() || programEnd <= getGuideStartTime() || programEnd > getGuideEndTime()) {
+			// Loading now keeps the jump effect off the old window's rows until the reload lands
+			setIsLoading(true);
+			setCurrentDate(new Date(Math.max(programStart.getTime(), Date.now())));
+		}
+		setPendingJump({channelId: program.ChannelId, programId: program.Id});
+	}, [getGuideStartTime, getGuideEndTime]);
+
+	// Server recording defaults for a program, with the padding from Settings unless left to the server
+	const getRecordingDefaults = useCallback(async (programId) => {
+		const defaults = await api.getLiveTvTimerDefaults(programId);
+		return {
+			...defaults,
+			...(settings.recordingPrePadding !== 'server' && {PrePaddingSeconds: settings.recordingPrePadding}),
+			...(settings.recordingPostPadding !== 'server' && {PostPaddingSeconds: settings.recordingPostPadding})
+		};
+	}, [api, settings.recordingPrePadding, settings.recordingPostPadding]);
+
+	const runRecordingAction = useCallback(async (action, successMessage, failureMessage) => {
+		if (!selectedProgram || isRecordingBusy) return;
+		const programId = selectedProgram.program.Id;
+		setIsRecordingBusy(true);
+		setRecordingStatus(null);
+		try {
+			await action(selectedProgram.program);
+			setRecordingStatus(successMessage);
+			await refreshSelectedProgram(programId);
+		} catch (err) {
+			console.error('[LiveTV] Recording action failed:', err);
+			setRecordingStatus(failureMessage);
+		} finally {
+			setIsRecordingBusy(false);
+		}
+	}, [selectedProgram, isRecordingBusy, refreshSelectedProgram]);
+
+	const handleRecord = useCallback(() => {
+		runRecordingAction(async (program) => {
+			const defaults = await getRecordingDefaults(program.Id);
+			await api.createLiveTvTimer(program.Id, defaults);
+		}, 'Recording scheduled', 'Could not schedule the recording');
+	}, [runRecordingAction, getRecordingDefaults, api]);
+
+	const handleCancelRecording = useCallback(() => {
+		runRecordingAction(
+			(program) => api.cancelLiveTvTimer(program.TimerId),
+			'Recording cancelled',
+			'Could not cancel the recording'
+		);
+	}, [runRecordingAction, api]);
+
+	const handleRecordSeries = useCallback(() => {
+		runRecordingAction(async (program) => {
+			const defaults = await getRecordingDefaults(program.Id);
+			setSeriesTimerEdit({seriesTimer: defaults, isNew: true});
+		}, null, 'Could not load the recording options');
+	}, [runRecordingAction, getRecordingDefaults]);
+
+	const handleEditSeries = useCallback(() => {
+		runRecordingAction(async (program) => {
+			const seriesTimer = await api.getLiveTvSeriesTimer(program.SeriesTimerId);
+			setSeriesTimerEdit({seriesTimer, isNew: false});
+		}, null, 'Could not load the series recording');
+	}, [runRecordingAction, api]);
+
+	const closeSeriesTimerDialog = useCallback((status) => {
+		setSeriesTimerEdit(null);
+		if (status) setRecordingStatus(status);
+		setTimeout(() => Spotlight.focus('livetv-popup'), 100);
 	}, []);
 
+	const handleCloseSeriesTimer = useCallback(() => {
+		closeSeriesTimerDialog();
+	}, [closeSeriesTimerDialog]);
+
+	const handleSaveSeriesTimer = useCallback(async (seriesTimer) => {
+		if (seriesTimerEdit?.isNew) {
+			await api.createLiveTvSeriesTimer(seriesTimer);
+		} else {
+			await api.updateLiveTvSeriesTimer(seriesTimer.Id, seriesTimer);
+		}
+		closeSeriesTimerDialog(seriesTimerEdit?.isNew ? 'Series recording created' : 'Series recording saved');
+		if (selectedProgram) refreshSelectedProgram(selectedProgram.program.Id);
+	}, [api, seriesTimerEdit, selectedProgram, closeSeriesTimerDialog, refreshSelectedProgram]);
+
+	const handleDeleteSeriesTimer = useCallback(async (seriesTimer) => {
+		await api.cancelLiveTvSeriesTimer(seriesTimer.Id);
+		closeSeriesTimerDialog('Series recording deleted');
+		if (selectedProgram) refreshSelectedProgram(selectedProgram.program.Id);
+	}, [api, selectedProgram, closeSeriesTimerDialog, refreshSelectedProgram]);
+
+	const handleToggleReminder = useCallback(async () => {
+		if (!selectedProgram) return;
+		const {program, channel} = selectedProgram;
+		if (reminderIds.has(program.Id)) {
+			await removeReminder(program.Id);
+			setRecordingStatus('Reminder removed');
+		} else {
+			await addReminder(program, channel);
+			setRecordingStatus('Reminder set');
+		}
+	}, [selectedProgram, reminderIds]);
+
 	const handleWatchChannel = useCallback(() => {
 		if (selectedProgram?.channel) {
 			onPlayChannel?.(selectedProgram.channel);
 		}
 	}, [selectedProgram, onPlayChannel]);
 
+	const handleShowInGuide = useCallback(() => {
+		if (!selectedProgram) return;
+		const {program} = selectedProgram;
+		setSelectedProgram(null);
+		setRecordingStatus(null);
+		setProgramListMode(null);
+		jumpToProgram(program);
+	}, [selectedProgram, jumpToProgram]);
+
 	const handlePrevDay = useCallback(() => {
 		changeDay(-1);
 	}, [changeDay]);
@@ -271,13 +476,9 @@ const LiveTV = ({onPlayChannel, onRecordings, backHandlerRef}) => {
 		changeDay(1);
 	}, [changeDay]);
 
-	const handleClosePopup = useCallback(() => {
-		setSelectedProgram(null);
-	}, []);
-
 	const formatDate = useCallback((date) => {
 		const options = {weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'};
-		return date.toLocaleDateString('en-US', options);
+		return i18n.formatDate(date, options);
 	}, []);
 
 	const timeSlots = useMemo(() => {
@@ -290,20 +491,23 @@ const LiveTV = ({onPlayChannel, onRecordings, backHandlerRef}) => {
 			slotTime.setMinutes(slotTime.getMinutes() + (i * 30));
 			slots.push({
 				time: slotTime,
-				label: slotTime.toLocaleTimeString('en-US', {
-					hour: 'numeric',
-					minute: '2-digit',
-					hour12: true
-				})
+				label: i18n.formatTimeOfDay(slotTime)
 			});
 		}
 		return slots;
 	}, [getGuideStartTime]);
 
 	const filteredChannels = useMemo(() => {
-		if (!showFavoritesOnly) return channels;
-		return channels.filter(ch => ch.UserData?.IsFavorite);
-	}, [channels, showFavoritesOnly]);
+		const visible = showFavoritesOnly ? channels.filter(ch => ch.UserData?.IsFavorite) : channels;
+		if (!category.flag) return visible;
+		return visible.filter(ch => (programs[ch.Id] || []).some(program => program[category.flag]));
+	}, [channels, programs, showFavoritesOnly, category.flag]);
+
+	useEffect(() => {
+		if (category.flag && !isLoading && filteredChannels.length < MIN_CATEGORY_ROWS && hasMoreChannelsRef.current) {
+			loadChannels();
+		}
+	}, [category.flag, isLoading, channels.length, filteredChannels.length, loadChannels]);
 
 	const calculateProgramStyle = useCallback((program) => {
 		const startTime = getGuideStartTime();
@@ -332,6 +536,37 @@ const LiveTV = ({onPlayChannel, onRecordings, backHandlerRef}) => {
 		};
 	}, [getGuideStartTime, getGuideEndTime]);
 
+	useEffect(() => {
+		if (!pendingJump || isLoading) return;
+		const channel = channels.find(ch => ch.Id === pendingJump.channelId);
+		if (!channel) {
+			if (hasMoreChannelsRef.current) {
+				loadChannels();
+			} else {
+				setPendingJump(null);
+			}
+			return;
+		}
+		if (!filteredChannels.includes(channel)) {
+			// The target is hidden by a filter; clearing them brings the jump back here
+			setShowFavoritesOnly(false);
+			setCategoryId('all');
+			return;
+		}
+
+		setPendingJump(null);
+		const row = document.querySelector(`[data-channel-id="${channel.Id}"]`);
+		if (!row) return;
+		row.scrollIntoView({block: 'center'});
+		const program = (programs[channel.Id] || []).find(p => p.Id === pendingJump.programId);
+		const style = program && calculateProgramStyle(program);
+		if (style && guideContentRef.current) {
+			guideContentRef.current.scrollLeft = parseFloat(style.left);
+		}
+		const cell = row.querySelector(`[data-program-id="${pendingJump.programId}"]`);
+		Spotlight.focus(cell || 'program-grid');
+	}, [pendingJump, isLoading, channels, programs, filteredChannels, loadChannels, calculateProgramStyle]);
+
 	const isCurrentProgram = useCallback((program) => {
 		const now = new Date();
 		const start = new Date(program.StartDate);
@@ -349,7 +584,7 @@ const LiveTV = ({onPlayChannel, onRecordings, backHandlerRef}) => {
 			<div className={css.page}>
 				<div className={css.loadingContainer}>
 					<LoadingSpinner />
-					<p>Loading TV Guide...</p>
+					<p>{t('Loading TV Guide...')}</p>
 				</div>
 			</div>
 		);
@@ -359,14 +594,14 @@ const LiveTV = ({onPlayChannel, onRecordings, backHandlerRef}) => {
 		<div className={css.page}>
 			<div className={css.guideContainer}>
 				<div className={css.guideHeader}>
-					<div className={css.guideTitle}>Live TV Guide</div>
+					<div className={css.guideTitle}>{t('Live TV Guide')}</div>
 					<GuideControls className={css.guideControls} spotlightId="livetv-guide">
 						<SpottableButton
 							className={css.guideBtn}
 							onClick={handlePrevDay}
 							spotlightId="prev-day"
 						>
-							◀ Previous Day
+							◀ {t('Previous Day')}
 						</SpottableButton>
 						<div className={css.guideDate}>{formatDate(currentDate)}</div>
 						<SpottableButton
@@ -374,32 +609,61 @@ const LiveTV = ({onPlayChannel, onRecordings, backHandlerRef}) => {
 							onClick={handleNextDay}
 							spotlightId="next-day"
 						>
-							Next Day ▶
+							{t('Next Day')} ▶
 						</SpottableButton>
 						<SpottableButton
 							className={css.guideBtn}
 							onClick={goToToday}
 							spotlightId="today"
 						>
-							Today
+							{t('Today')}
 						</SpottableButton>
 						<SpottableButton
 							className={`${css.guideBtn} ${showFavoritesOnly ? css.active : ''}`}
 							onClick={toggleFavorites}
 							spotlightId="filter"
 						>
-							{showFavoritesOnly ? 'All Channels' : 'Favorites'}
+							{showFavoritesOnly ? t('All Channels') : t('Favorites')}
 						</SpottableButton>
 						<SpottableButton
 							className={`${css.guideBtn} ${css.recordingsBtn}`}
 							onClick={onRecordings}
 							spotlightId="recordings"
 						>
-							Recordings
+							{t('Recordings')}
 						</SpottableButton>
 					</GuideControls>
 				</div>
 
+				<GuideControls className={css.guideFilters} spotlightId="livetv-filters">
+					{PROGRAM_CATEGORIES.map(c => (
+						<SpottableButton
+							key={c.id}
+							className={`${css.filterChip} ${c.id === categoryId ? css.active : ''}`}
+							onClick={handleCategoryClick}
+							data-category={c.id}
+							spotlightId={`category-${c.id}`}
+						>
+							{t(c.label)}
+						</SpottableButton>
+					))}
+					<div className={css.filterSpacer} />
+					<SpottableButton
+						className={css.guideBtn}
+						onClick={handleOpenSearch}
+						spotlightId="search-programs"
+					>
+						{t('Search')}
+					</SpottableButton>
+					<SpottableButton
+						className={css.guideBtn}
+						onClick={handleOpenOnNow}
+						spotlightId="on-now"
+					>
+						{t('What\'s On Now')}
+					</SpottableButton>
+				</GuideControls>
+
 				<div className={css.guideGridContainer}>
 					<div className={css.timeHeader}>
 						<div className={css.channelColumnSpacer} />
@@ -463,6 +727,7 @@ const LiveTV = ({onPlayChannel, onRecordings, backHandlerRef}) => {
 												channel={channel}
 												style={style}
 												isCurrent={isCurrent}
+												isDimmed={!!category.flag && !program[category.flag]}
 												onProgramClick={handleProgramClick}
 											/>
 										);
@@ -473,7 +738,8 @@ const LiveTV = ({onPlayChannel, onRecordings, backHandlerRef}) => {
 
 						{filteredChannels.length === 0 && (
 							<div className={css.empty}>
-								{showFavoritesOnly ? 'No favorite channels' : 'No channels available'}
+								{showFavoritesOnly ? t('No favorite channels') :
+									category.flag ? t('No {category} programs in this time range', {category: t(category.label)}) : t('No channels available')}
 							</div>
 						)}
 					</div>
@@ -486,6 +752,13 @@ const LiveTV = ({onPlayChannel, onRecordings, backHandlerRef}) => {
 				</div>
 			)}
 
+			<ProgramListPanel
+				mode={programListMode}
+				category={category}
+				channels={channels}
+				onSelectProgram={handleListSelect}
+			/>
+
 			{selectedProgram && (
 				<div className={css.programPopup}>
 				<PopupContainer className={css.popupContent} spotlightId="livetv-popup">
@@ -500,17 +773,9 @@ const LiveTV = ({onPlayChannel, onRecordings, backHandlerRef}) => {
 								<div className={css.popupSubtitle}>{selectedProgram.program.EpisodeTitle}</div>
 							)}
 							<div className={css.popupTime}>
-								{new Date(selectedProgram.program.StartDate).toLocaleTimeString('en-US', {
-									hour: 'numeric',
-									minute: '2-digit',
-									hour12: true
-								})}
+								{i18n.formatTimeOfDay(new Date(selectedProgram.program.StartDate))}
 								{' - '}
-								{new Date(selectedProgram.program.EndDate).toLocaleTimeString('en-US', {
-									hour: 'numeric',
-									minute: '2-digit',
-									hour12: true
-								})}
+								{i18n.formatTimeOfDay(new Date(selectedProgram.program.EndDate))}
 							</div>
 						</div>
 
@@ -525,28 +790,28 @@ const LiveTV = ({onPlayChannel, onRecordings, backHandlerRef}) => {
 							)}
 							<div className={css.popupInfo}>
 								<div className={css.popupOverview}>
-									{selectedProgram.program.Overview || 'No description available.'}
+									{selectedProgram.program.Overview || t('No description available.')}
 								</div>
 								<div className={css.popupMetadata}>
 									<div className={css.metadataItem}>
-										<span className={css.metadataLabel}>Channel:</span>
+										<span className={css.metadataLabel}>{t('Channel:')}</span>
 										<span className={css.metadataValue}>{selectedProgram.channel.Name}</span>
 									</div>
 									{selectedProgram.program.ProductionYear && (
 										<div className={css.metadataItem}>
-											<span className={css.metadataLabel}>Year:</span>
+											<span className={css.metadataLabel}>{t('Year:')}</span>
 											<span className={css.metadataValue}>{selectedProgram.program.ProductionYear}</span>
 										</div>
 									)}
 									{selectedProgram.program.OfficialRating && (
 										<div className={css.metadataItem}>
-											<span className={css.metadataLabel}>Rating:</span>
+											<span className={css.metadataLabel}>{t('Rating:')}</span>
 											<span className={css.metadataValue}>{selectedProgram.program.OfficialRating}</span>
 										</div>
 									)}
 									{selectedProgram.program.Genres?.length > 0 && (
 										<div className={css.metadataItem}>
-											<span className={css.metadataLabel}>Genres:</span>
+											<span className={css.metadataLabel}>{t('Genres:')}</span>
 											<span className={css.metadataValue}>{selectedProgram.program.Genres.join(', ')}</span>
 										</div>
 									)}
@@ -554,6 +819,10 @@ const LiveTV = ({onPlayChannel, onRecordings, backHandlerRef}) => {
 							</div>
 						</div>
 
+						{recordingStatus && (
+							<div className={css.popupStatus}>{t(recordingStatus)}</div>
+						)}
+
 						<div className={css.popupActions}>
 							{isCurrentProgram(selectedProgram.program) && (
 								<SpottableButton
@@ -561,7 +830,47 @@ const LiveTV = ({onPlayChannel, onRecordings, backHandlerRef}) => {
 									onClick={handleWatchChannel}
 									spotlightId="popup-watch"
 								>
-									Watch Now
+									{t('Watch Now')}
+								</SpottableButton>
+							)}
+							{new Date(selectedProgram.program.StartDate) > new Date() && (
+								<SpottableButton
+									className={css.popupBtn}
+									onClick={handleToggleReminder}
+									spotlightId="popup-reminder"
+								>
+									{reminderIds.has(selectedProgram.program.Id) ? t('Cancel Reminder') : t('Remind Me')}
+								</SpottableButton>
+							)}
+							{new Date(selectedProgram.program.EndDate) > new Date() && (
+								<>
+									<SpottableButton
+										className={css.popupBtn}
+										onClick={selectedProgram.program.TimerId ? handleCancelRecording : handleRecord}
+										disabled={isRecordingBusy}
+										spotlightId="popup-record"
+									>
+										{selectedProgram.program.TimerId ? t('Cancel Recording') : t('Record')}
+									</SpottableButton>
+									{(selectedProgram.program.IsSeries || selectedProgram.program.SeriesTimerId) && (
+										<SpottableButton
+											className={css.popupBtn}
+											onClick={selectedProgram.program.SeriesTimerId ? handleEditSeries : handleRecordSeries}
+											disabled={isRecordingBusy}
+											spotlightId="popup-record-series"
+										>
+											{selectedProgram.program.SeriesTimerId ? t('Edit Series Recording') : t('Record Series')}
+										</SpottableButton>
+									)}
+								</>
+							)}
+							{programListMode && (
+								<SpottableButton
+									className={css.popupBtn}
+									onClick={handleShowInGuide}
+									spotlightId="popup-show-in-guide"
+								>
+									{t('Show in Guide')}
 								</SpottableButton>
 							)}
 							<SpottableButton
@@ -569,12 +878,20 @@ const LiveTV = ({onPlayChannel, onRecordings, backHandlerRef}) => {
 								onClick={handleClosePopup}
 								spotlightId="popup-close"
 							>
-								Close
+								{t('Close')}
 							</SpottableButton>
 						</div>
 					</PopupContainer>
 				</div>
 			)}
+
+			<SeriesTimerDialog
+				seriesTimer={seriesTimerEdit?.seriesTimer || null}
+				isNew={seriesTimerEdit?.isNew}
+				onSave={handleSaveSeriesTimer}
+				onDelete={handleDeleteSeriesTimer}
+				onClose={handleCloseSeriesTimer}
+			/>
 		</div>
 	);
 };
@@ -0,0 +1,204 @@
+import {useState, useEffect, useCallback} from 'react';
+import Spottable from '@enact/spotlight/Spottable';
+import SpotlightContainerDecorator from '@enact/spotlight/SpotlightContainerDecorator';
+import Spotlight from '@enact/spotlight';
+import {useAuth} from '../../context/AuthContext';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import {useI18n} from '../../context/I18nContext';
+import {KEYS} from '../../utils/keys';
+
+import css from './LiveTV.module.less';
+
+const SpottableInput = Spottable('input');
+const SpottableDiv = Spottable('div');
+const PanelContainer = SpotlightContainerDecorator({
+	enterTo: 'last-focused',
+	restrict: 'self-only'
+}, 'div');
+
+const SEARCH_DEBOUNCE_MS = 400;
+const MIN_SEARCH_LENGTH = 2;
+
+const byStartDate = (a, b) => new Date(a.StartDate) - new Date(b.StartDate);
+const byEndDate = (a, b) => new Date(a.EndDate) - new Date(b.EndDate);
+
+const formatStart = (program, now, {t, formatDate, formatTimeOfDay}) => {
+	const start = new Date(program.StartDate);
+	if (start <= now) return t('Airing now');
+	return `${formatDate(start, {weekday: 'short'})} ${formatTimeOfDay(start)}`;
+};
+
+const formatTimeLeft = (program, now, {t, tn}) => {
+	const minutes = Math.max(1, Math.ceil((new Date(program.EndDate) - now) / 60000));
+	if (minutes < 60) return tn('{count} min left', '{count} min left', minutes);
+	return t('{hours} h {minutes} min left', {hours: Math.floor(minutes / 60), minutes: minutes % 60});
+};
+
+const ProgramRow = ({program, channel, index, when, onSelect}) => {
+	const handleClick = useCallback(() => {
+		onSelect(program);
+	}, [program, onSelect]);
+
+	return (
+		<SpottableDiv
+			className={css.listRow}
+			onClick={handleClick}
+			spotlightId={`livetv-program-result-${index}`}
+		>
+			<div className={css.listRowTime}>{when}</div>
+			<div className={css.listRowInfo}>
+				<div className={css.programTitle}>{program.Name}</div>
+				{program.EpisodeTitle && (
+					<div className={css.programEpisode}>{program.EpisodeTitle}</div>
+				)}
+			</div>
+			<div className={css.listRowChannel}>
+				{channel ? `${channel.ChannelNumber || ''} ${channel.Name}`.trim() : program.ChannelName}
+			</div>
+		</SpottableDiv>
+	);
+};
+
+/**
+ * Program search and a "What's on now" list for the guide. Search covers every
+ * program the server has guide data for that hasn't ended yet, soonest first;
+ * the on-now list is sorted by time left so programs about to end come first.
+ * @param {'search'|'onNow'|null} mode - Which list to show; hidden while null
+ * @param {Object} category - Active guide category; its flag narrows the list the same way it narrows the grid
+ * @param {Array} channels - Channels loaded into the guide, for their numbers
+ * @param {Function} onSelectProgram - Called with the picked program
+ */
+const ProgramListPanel = ({mode, category, channels, onSelectProgram}) => {
+	const {api} = useAuth();
+	const i18n = useI18n();
+	const {t} = i18n;
+	const [query, setQuery] = useState('');
+	const [results, setResults] = useState([]);
+	const [isLoading, setIsLoading] = useState(false);
+	const [loadFailed, setLoadFailed] = useState(false);
+
+	useEffect(() => {
+		setResults([]);
+		if (!mode) return;
+		const timer = setTimeout(() => {
+			Spotlight.focus(mode === 'search' ? 'livetv-search-input' : 'livetv-program-list');
+		}, 100);
+		return () => clearTimeout(timer);
+	}, [mode]);
+
+	useEffect(() => {
+		if (!mode) return;
+		const searchTerm = query.trim();
+		if (mode === 'search' && searchTerm.length < MIN_SEARCH_LENGTH) {
+			setResults([]);
+			setIsLoading(false);
+			setLoadFailed(false);
+			return;
+		}
+
+		let cancelled = false;
+		setIsLoading(true);
+		setLoadFailed(false);
+		const timer = setTimeout(async () => {
+			try {
+				const result = mode === 'search'
+					? await api.searchLiveTvPrograms(searchTerm, category.flag)
+					: await api.getLiveTvProgramsAiring(category.flag);
+				if (cancelled) return;
+				const fetchedAt = new Date();
+				const upcoming = (result.Items || []).filter(program => new Date(program.EndDate) > fetchedAt);
+				setResults(upcoming.sort(mode === 'search' ? byStartDate : byEndDate));
+			} catch (err) {
+				console.error('[LiveTV] Program list failed:', err);
+				if (!cancelled) {
+					setResults([]);
+					setLoadFailed(true);
+				}
+			} finally {
+				if (!cancelled) setIsLoading(false);
+			}
+		}, mode === 'search' ? SEARCH_DEBOUNCE_MS : 0);
+
+		return () => {
+			cancelled = true;
+			clearTimeout(timer);
+		};
+	}, [api, mode, query, category.flag]);
+
+	const handleInputChange = useCallback((e) => {
+		setQuery(e.target.value);
+	}, []);
+
+	const handleInputKeyDown = useCallback((e) => {
+		if (e.keyCode === KEYS.DOWN) {
+			e.preventDefault();
+			if (results.length > 0) {
+				Spotlight.focus('livetv-program-result-0');
+			}
+		}
+	}, [results.length]);
+
+	if (!mode) return null;
+
+	const now = new Date();
+	const channelsById = new Map(channels.map(channel => [channel.Id, channel]));
+
+	let emptyMessage = null;
+	if (loadFailed) {
+		emptyMessage = t('Could not load programs');
+	} else if (mode === 'search' && query.trim().length < MIN_SEARCH_LENGTH) {
+		emptyMessage = t('Type a program title to search the guide');
+	} else if (results.length === 0) {
+		emptyMessage = mode === 'search' ? t('No upcoming programs found') : t('Nothing on right now');
+	}
+
+	return (
+		<div className={css.listPanel}>
+			<PanelContainer className={css.listPanelContent} spotlightId="livetv-program-list">
+				<div className={css.popupHeader}>
+					<div className={css.popupTitle}>
+						{mode === 'search' ? t('Search Programs') : t('What\'s On Now')}
+						{category.flag && <span> - {t(category.label)}</span>}
+					</div>
+				</div>
+
+				{mode === 'search' && (
+					<SpottableInput
+						className={css.listSearchInput}
+						type="text"
+						placeholder={t('Program title')}
+						value={query}
+						onChange={handleInputChange}
+						onKeyDown={handleInputKeyDown}
+						spotlightId="livetv-search-input"
+					/>
+				)}
+
+				<div className={css.listResults}>
+					{isLoading ? (
+						<div className={css.listMessage}>
+							<LoadingSpinner />
+						</div>
+					) : emptyMessage ? (
+						<div className={css.listMessage}>{emptyMessage}</div>
+					) : (
+						results.map((program, index) => (
+							<ProgramRow
+								key={program.Id}
+								program={program}
+								channel={channelsById.get(program.ChannelId)}
+								index={index}
+								when={mode === 'search' ? formatStart(program, now, i18n) : formatTimeLeft(program, now, i18n)}
+								onSelect={onSelectProgram}
+							/>
+						))
+					)}
+				</div>
+
+				<div className={css.listFooter}>{t('Press BACK to close')}</div>
+			</PanelContainer>
+		</div>
+	);
+};
+
+export default ProgramListPanel;
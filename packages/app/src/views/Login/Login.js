@@ -3,6 +3,7 @@ import Spottable from '@enact/spotlight/Spottable';
 import SpotlightContainerDecorator from '@enact/spotlight/SpotlightContainerDecorator';
 import Spotlight from '@enact/spotlight';
 import {useAuth} from '../../context/AuthContext';
+import {useI18n} from '../../context/I18nContext';
 import * as jellyfinApi from '../../services/jellyfinApi';
 import {KEYS} from '../../utils/keys';
 
@@ -34,6 +35,7 @@ const Login = ({
 		lastServerUrl: storedServerUrl,
 		lastServerName: storedServerName
 	} = useAuth();
+	const {t} = useI18n();
 
 	// Determine if we're in "add server" mode (either adding new server or adding user to current)
 	const isAddingServer = isAddingServerProp || isAddingServerContext;
@@ -59,13 +61,13 @@ const Login = ({
 
 		setIsConnecting(true);
 		setError(null);
-		setStatus('Connecting to server...');
+		setStatus(t('Connecting to server...'));
 
 		try {
 			jellyfinApi.setServer(serverUrl);
 			const info = await jellyfinApi.api.getPublicInfo();
 			setServerInfo(info);
-			setStatus(`Connected to ${info.ServerName}! Loading users...`);
+			setStatus(t('Connected to {server}! Loading users...', {server: info.ServerName}));
 
 			try {
 				const users = await jellyfinApi.api.getPublicUsers();
@@ -85,12 +87,12 @@ const Login = ({
 				setTimeout(() => Spotlight.focus('[data-spotlight-id="username-input"]'), 100);
 			}
 		} catch (err) {
-			setError('Failed to connect to server. Check the address and try again.');
+			setError(t('Failed to connect to server. Check the address and try again.'));
 			setStatus(null);
 		} finally {
 			setIsConnecting(false);
 		}
-	}, [serverUrl]);
+	}, [serverUrl, t]);
 
 	// If we have a pending server, adding user to existing, or a stored server (auto-login disabled), auto-connect
 	useEffect(() => {
@@ -133,7 +135,7 @@ const Login = ({
 			setIsConnecting(true);
 			setError(null);
 			const isAdding = isAddingServer || isAddingToExisting;
-			setStatus(isAdding ? 'Adding user...' : 'Signing in...');
+			setStatus(isAdding ? t('Adding user...') : t('Signing in...'));
 
 			try {
 				const result = await login(jellyfinApi.getServerUrl(), user.Name, '', {
@@ -164,7 +166,7 @@ const Login = ({
 		setPassword('');
 		setStep('password');
 		setTimeout(() => Spotlight.focus('[data-spotlight-id="password-input"]'), 100);
-	}, [login, onLoggedIn, isAddingServer, isAddingToExisting, serverInfo, completeAddServerFlow, onServerAdded]);
+	}, [login, onLoggedIn, isAddingServer, isAddingToExisting, serverInfo, completeAddServerFlow, onServerAdded, t]);
 
 	const handleLogin = useCallback(async () => {
 		if (!username) return;
@@ -172,7 +174,7 @@ const Login = ({
 		setIsConnecting(true);
 		setError(null);
 		const isAdding = isAddingServer || isAddingToExisting;
-		setStatus(isAdding ? 'Adding user...' : 'Signing in...');
+		setStatus(isAdding ? t('Adding user...') : t('Signing in...'));
 
 		try {
 			const result = await login(jellyfinApi.getServerUrl(), username, password, {
@@ -189,12 +191,12 @@ const Login = ({
 			}
 		} catch (err) {
 			console.error('Login error:', err);
-			setError(err.message || 'Login failed. Check your credentials.');
+			setError(err.message || t('Login failed. Check your credentials.'));
 			setStatus(null);
 		} finally {
 			setIsConnecting(false);
 		}
-	}, [username, password, login, onLoggedIn, isAddingServer, isAddingToExisting, serverInfo, completeAddServerFlow, onServerAdded]);
+	}, [username, password, login, onLoggedIn, isAddingServer, isAddingToExisting, serverInfo, completeAddServerFlow, onServerAdded, t]);
 
 	const handleBack = useCallback(() => {
 		setError(null);
@@ -243,7 +245,7 @@ const Login = ({
 	const handleManualQuickConnect = useCallback(async () => {
 		setIsConnecting(true);
 		setError(null);
-		setStatus('Initiating Quick Connect...');
+		setStatus(t('Initiating Quick Connect...'));
 		const isAdding = isAddingServer || isAddingToExisting;
 
 		try {
@@ -251,7 +253,7 @@ const Login = ({
 			setQuickConnectCode(result.Code);
 			setQuickConnectSecret(result.Secret);
 			setStep('quickconnect-manual');
-			setStatus('Enter the code on another device or authorize in the Jellyfin dashboard');
+			setStatus(t('Enter the code on another device or authorize in the Jellyfin dashboard'));
 
 			const intervalId = setInterval(async () => {
 				try {
@@ -259,7 +261,7 @@ const Login = ({
 					if (state.Authenticated) {
 						clearInterval(intervalId);
 						setQuickConnectInterval(null);
-						setStatus(isAdding ? 'Quick Connect authorized! Adding user...' : 'Quick Connect authorized! Signing in...');
+						setStatus(isAdding ? t('Quick Connect authorized! Adding user...') : t('Quick Connect authorized! Signing in...'));
 
 						const authResult = await jellyfinApi.api.authenticateQuickConnect(result.Secret);
 						const loginResult = await loginWithToken(jellyfinApi.getServerUrl(), authResult, {
@@ -284,19 +286,19 @@ const Login = ({
 			setTimeout(() => Spotlight.focus('[data-spotlight-id="qc-back-btn"]'), 100);
 		} catch (err) {
 			console.error('Quick Connect error:', err);
-			setError('Quick Connect is not available on this server. Use password login.');
+			setError(t('Quick Connect is not available on this server. Use password login.'));
 			setStatus(null);
 		} finally {
 			setIsConnecting(false);
 		}
-	}, [loginWithToken, onLoggedIn, isAddingServer, isAddingToExisting, serverInfo, completeAddServerFlow, onServerAdded]);
+	}, [loginWithToken, onLoggedIn, isAddingServer, isAddingToExisting, serverInfo, completeAddServerFlow, onServerAdded, t]);
 
 	const handleQuickConnect = useCallback(async (user) => {
 		setSelectedUser(user);
 		setUsername(user.Name);
 		setIsConnecting(true);
 		setError(null);
-		setStatus('Initiating Quick Connect...');
+		setStatus(t('Initiating Quick Connect...'));
 		const isAdding = isAddingServer || isAddingToExisting;
 
 		try {
@@ -304,7 +306,7 @@ const Login = ({
 			setQuickConnectCode(result.Code);
 			setQuickConnectSecret(result.Secret);
 			setStep('quickconnect');
-			setStatus('Enter the code on another device or authorize in the Jellyfin dashboard');
+			setStatus(t('Enter the code on another device or authorize in the Jellyfin dashboard'));
 
 			const intervalId = setInterval(async () => {
 				try {
@@ -312,7 +314,7 @@ const Login = ({
 					if (state.Authenticated) {
 						clearInterval(intervalId);
 						setQuickConnectInterval(null);
-						setStatus(isAdding ? 'Quick Connect authorized! Adding user...' : 'Quick Connect authorized! Signing in...');
+						setStatus(isAdding ? t('Quick Connect authorized! Adding user...') : t('Quick Connect authorized! Signing in...'));
 
 						const authResult = await jellyfinApi.api.authenticateQuickConnect(result.Secret);
 						const loginResult = await loginWithToken(jellyfinApi.getServerUrl(), authResult, {
@@ -337,12 +339,12 @@ const Login = ({
 			setTimeout(() => Spotlight.focus('[data-spotlight-id="qc-back-btn"]'), 100);
 		} catch (err) {
 			console.error('Quick Connect error:', err);
-			setError('Quick Connect failed. Try password login instead.');
+			setError(t('Quick Connect failed. Try password login instead.'));
 			setStatus(null);
 		} finally {
 			setIsConnecting(false);
 		}
-	}, [loginWithToken, onLoggedIn, isAddingServer, isAddingToExisting, serverInfo, completeAddServerFlow, onServerAdded]);
+	}, [loginWithToken, onLoggedIn, isAddingServer, isAddingToExisting, serverInfo, completeAddServerFlow, onServerAdded, t]);
 
 	const cancelQuickConnect = useCallback(() => {
 		if (quickConnectInterval) {
@@ -425,7 +427,7 @@ const Login = ({
 			<div className={css.page}>
 				<div className={css.loading}>
 					<div className={css.spinner} />
-					<span>Loading...</span>
+					<span>{t('Loading...')}</span>
 				</div>
 			</div>
 		);
@@ -444,14 +446,14 @@ const Login = ({
 				<div className={css.contentWrapper}>
 					{step === 'server' && (
 						<div className={css.section}>
-							<h2>{isAddingServer ? 'Add New Server' : 'Connect to Server'}</h2>
+							<h2>{isAddingServer ? t('Add New Server') : t('Connect to Server')}</h2>
 							<div className={css.formGroup}>
-								<label>Server Address</label>
+								<label>{t('Server Address')}</label>
 								<SpottableInput
 									data-spotlight-id="server-input"
 									type="text"
 									className={css.input}
-									placeholder="192.168.1.100 or jellyfin.example.com"
+									placeholder={t('192.168.1.100 or jellyfin.example.com')}
 									value={serverUrl}
 									onChange={handleServerUrlChange}
 									onKeyDown={handleServerInputKeyDown}
@@ -464,7 +466,7 @@ const Login = ({
 										onClick={handleConnect}
 										disabled={isConnecting || !serverUrl.trim()}
 									>
-										{isConnecting ? 'Connecting...' : 'Connect'}
+										{isConnecting ? t('Connecting...') : t('Connect')}
 									</SpottableButton>
 									{isAddingServer && (
 										<SpottableButton
@@ -472,7 +474,7 @@ const Login = ({
 											className={`${css.btn} ${css.btnSecondary}`}
 											onClick={handleBack}
 										>
-											Cancel
+											{t('Cancel')}
 										</SpottableButton>
 									)}
 								</div>
@@ -483,7 +485,7 @@ const Login = ({
 					{step === 'users' && (
 						<div className={css.section}>
 							<p className={css.serverLabel}>{serverInfo?.ServerName || 'Jellyfin'}</p>
-							<h1>Who&apos;s watching?</h1>
+							<h1>{t('Who\'s watching?')}</h1>
 							<UserGridContainer className={css.userGrid}>
 								{publicUsers.map((user, index) => (
 									<SpottableDiv
@@ -517,14 +519,14 @@ const Login = ({
 									className={`${css.btn} ${css.btnSecondary}`}
 									onClick={handleManualLogin}
 								>
-									Manual Login
+									{t('Manual Login')}
 								</SpottableButton>
 								<SpottableButton
 									data-spotlight-id="back-btn"
 									className={`${css.btn} ${css.btnSecondary}`}
 									onClick={handleBack}
 								>
-									Change Server
+									{t('Change Server')}
 								</SpottableButton>
 							</div>
 						</div>
@@ -532,7 +534,7 @@ const Login = ({
 
 					{step === 'password' && selectedUser && (
 						<div className={css.section}>
-							<h2>Sign In As {selectedUser.Name}</h2>
+							<h2>{t('Sign In As {name}', {name: selectedUser.Name})}</h2>
 							<div className={css.selectedUserInfo}>
 								{selectedUser.PrimaryImageTag ? (
 									<img
@@ -553,14 +555,14 @@ const Login = ({
 									className={`${css.btn} ${css.btnPrimary}`}
 									onClick={handleQuickConnectClick}
 								>
-									Quick Connect
+									{t('Quick Connect')}
 								</SpottableButton>
 								<SpottableButton
 									data-spotlight-id="use-password-btn"
 									className={`${css.btn} ${css.btnSecondary}`}
 									onClick={handlePasswordMethodClick}
 								>
-									Password
+									{t('Password')}
 								</SpottableButton>
 							</div>
 							<div className={css.buttonGroup}>
@@ -569,7 +571,7 @@ const Login = ({
 									className={`${css.btn} ${css.btnSecondary}`}
 									onClick={handleBack}
 								>
-									Back
+									{t('Back')}
 								</SpottableButton>
 							</div>
 						</div>
@@ -577,7 +579,7 @@ const Login = ({
 
 					{step === 'passwordform' && selectedUser && (
 						<div className={css.section}>
-							<h2>Enter Password</h2>
+							<h2>{t('Enter Password')}</h2>
 							<div className={css.selectedUserInfo}>
 								{selectedUser.PrimaryImageTag ? (
 									<img
@@ -597,7 +599,7 @@ const Login = ({
 									data-spotlight-id="password-input"
 									type="password"
 									className={css.input}
-									placeholder="Password (leave empty if none)"
+									placeholder={t('Password (leave empty if none)')}
 									value={password}
 									onChange={handlePasswordChange}
 									onKeyDown={handlePasswordKeyDown}
@@ -610,14 +612,14 @@ const Login = ({
 										onClick={handleLogin}
 										disabled={isConnecting}
 									>
-										{isConnecting ? 'Signing in...' : 'Sign In'}
+										{isConnecting ? t('Signing in...') : t('Sign In')}
 									</SpottableButton>
 									<SpottableButton
 										data-spotlight-id="cancel-btn"
 										className={`${css.btn} ${css.btnSecondary}`}
 										onClick={handlePasswordFormCancel}
 									>
-										Back
+										{t('Back')}
 									</SpottableButton>
 								</div>
 							</div>
@@ -626,7 +628,7 @@ const Login = ({
 
 					{step === 'quickconnect' && selectedUser && (
 						<div className={css.section}>
-							<h2>Quick Connect</h2>
+							<h2>{t('Quick Connect')}</h2>
 							<div className={css.selectedUserInfo}>
 								{selectedUser.PrimaryImageTag ? (
 									<img
@@ -642,9 +644,9 @@ const Login = ({
 								<span className={css.selectedName}>{selectedUser.Name}</span>
 							</div>
 							<div className={css.quickConnectCodeDisplay}>
-								<div className={css.qcLabel}>Enter this code on another device or authorize in Jellyfin dashboard:</div>
+								<div className={css.qcLabel}>{t('Enter this code on another device or authorize in Jellyfin dashboard:')}</div>
 								<div className={css.qcCode}>{quickConnectCode}</div>
-								<div className={css.qcWaiting}>Waiting for authorization...</div>
+								<div className={css.qcWaiting}>{t('Waiting for authorization...')}</div>
 							</div>
 							<div className={css.buttonGroup}>
 								<SpottableButton
@@ -652,14 +654,14 @@ const Login = ({
 									className={`${css.btn} ${css.btnSecondary}`}
 									onClick={handleUsePasswordInstead}
 								>
-									Use Password Instead
+									{t('Use Password Instead')}
 								</SpottableButton>
 								<SpottableButton
 									data-spotlight-id="qc-back-btn"
 									className={`${css.btn} ${css.btnSecondary}`}
 									onClick={cancelQuickConnect}
 								>
-									Cancel
+									{t('Cancel')}
 								</SpottableButton>
 							</div>
 						</div>
@@ -667,27 +669,27 @@ const Login = ({
 
 					{step === 'manual' && (
 						<div className={css.section}>
-							<h2>Manual Login</h2>
+							<h2>{t('Manual Login')}</h2>
 							{serverInfo && <div className={css.serverName}>{serverInfo.ServerName}</div>}
 							<div className={css.formGroup}>
-								<label>Username</label>
+								<label>{t('Username')}</label>
 								<SpottableInput
 									data-spotlight-id="username-input"
 									type="text"
 									className={css.input}
-									placeholder="Username"
+									placeholder={t('Username')}
 									value={username}
 									onChange={handleUsernameChange}
 									disabled={isConnecting}
 								/>
 							</div>
 							<div className={css.formGroup}>
-								<label>Password</label>
+								<label>{t('Password')}</label>
 								<SpottableInput
 									data-spotlight-id="manual-password-input"
 									type="password"
 									className={css.input}
-									placeholder="Password"
+									placeholder={t('Password')}
 									value={password}
 									onChange={handlePasswordChange}
 									onKeyDown={handlePasswordKeyDown}
@@ -702,7 +704,7 @@ const Login = ({
 										onClick={handleLogin}
 										disabled={isConnecting}
 									>
-										{isConnecting ? 'Signing in...' : 'Sign In'}
+										{isConnecting ? t('Signing in...') : t('Sign In')}
 									</SpottableButton>
 								) : (
 									<SpottableButton
@@ -711,7 +713,7 @@ const Login = ({
 										onClick={handleManualQuickConnect}
 										disabled={isConnecting}
 									>
-										{isConnecting ? 'Connecting...' : 'Quick Connect'}
+										{isConnecting ? t('Connecting...') : t('Quick Connect')}
 									</SpottableButton>
 								)}
 								<SpottableButton
@@ -719,7 +721,7 @@ const Login = ({
 									className={`${css.btn} ${css.btnSecondary}`}
 									onClick={handleBack}
 								>
-									Back
+									{t('Back')}
 								</SpottableButton>
 							</div>
 						</div>
@@ -727,12 +729,12 @@ const Login = ({
 
 					{step === 'quickconnect-manual' && (
 						<div className={css.section}>
-							<h2>Quick Connect</h2>
+							<h2>{t('Quick Connect')}</h2>
 							{serverInfo && <div className={css.serverName}>{serverInfo.ServerName}</div>}
 							<div className={css.quickConnectCodeDisplay}>
-								<div className={css.qcLabel}>Enter this code on another device or authorize in Jellyfin dashboard:</div>
+								<div className={css.qcLabel}>{t('Enter this code on another device or authorize in Jellyfin dashboard:')}</div>
 								<div className={css.qcCode}>{quickConnectCode}</div>
-								<div className={css.qcWaiting}>Waiting for authorization...</div>
+								<div className={css.qcWaiting}>{t('Waiting for authorization...')}</div>
 							</div>
 							<div className={css.buttonGroup}>
 								<SpottableButton
@@ -740,7 +742,7 @@ const Login = ({
 									className={`${css.btn} ${css.btnSecondary}`}
 									onClick={handleBack}
 								>
-									Cancel
+									{t('Cancel')}
 								</SpottableButton>
 							</div>
 						</div>
@@ -0,0 +1,95 @@
+import {useState, useEffect, useMemo, useRef, useCallback} from 'react';
+import {Scroller} from '@enact/sandstone/Scroller';
+
+import {fetchLyrics} from '../../services/audioPlayer';
+import {useI18n} from '../../context/I18nContext';
+
+import css from './NowPlaying.module.less';
+
+// Keep the active line this far below the top of the panel
+const ACTIVE_LINE_OFFSET = 220;
+
+// Last line whose start time has been reached
+const getActiveLineIndex = (lines, positionTicks) => {
+	let active = -1;
+	for (let i = 0; i < lines.length; i++) {
+		if (lines[i].startTicks > positionTicks) break;
+		active = i;
+	}
+	return active;
+};
+
+const LyricsPanel = ({track, positionTicks}) => {
+	const {t} = useI18n();
+	const [lyrics, setLyrics] = useState(null);
+	const [status, setStatus] = useState('loading');
+	const scrollToRef = useRef(null);
+	const listRef = useRef(null);
+
+	useEffect(() => {
+		let cancelled = false;
+		setLyrics(null);
+		setStatus('loading');
+
+		fetchLyrics(track).then(result => {
+			if (cancelled) return;
+			setLyrics(result);
+			setStatus(result ? 'ready' : 'none');
+		}).catch(err => {
+			if (cancelled) return;
+			console.warn('[Lyrics] Failed to load lyrics:', err.message);
+			setStatus('error');
+		});
+
+		return () => {
+			cancelled = true;
+		};
+	}, [track]);
+
+	const synced = !!lyrics?.synced;
+	const activeIndex = useMemo(
+		() => (synced ? getActiveLineIndex(lyrics.lines, positionTicks) : -1),
+		[synced, lyrics, positionTicks]
+	);
+
+	const handleScrollTo = useCallback((fn) => {
+		scrollToRef.current = fn;
+	}, []);
+
+	useEffect(() => {
+		if (!synced || !scrollToRef.current) return;
+		const node = activeIndex >= 0 ? listRef.current?.children[activeIndex] : null;
+		const y = node ? Math.max(0, node.offsetTop - ACTIVE_LINE_OFFSET) : 0;
+		scrollToRef.current({position: {y}, animate: true});
+	}, [synced, activeIndex]);
+
+	if (status !== 'ready') {
+		const message = status === 'loading' ? 'Loading lyrics...' :
+			status === 'error' ? 'Lyrics could not be loaded' : 'No lyrics for this track';
+		return <div className={css.lyricsMessage}>{t(message)}</div>;
+	}
+
+	return (
+		<Scroller
+			className={css.lyricsScroller}
+			cbScrollTo={handleScrollTo}
+			direction="vertical"
+			horizontalScrollbar="hidden"
+			verticalScrollbar={synced ? 'hidden' : 'auto'}
+			focusableScrollbar={!synced}
+		>
+			<div ref={listRef} className={`${css.lyricsList} ${synced ? css.synced : ''}`}>
+				{lyrics.lines.map((line, idx) => (
+					<p
+						key={idx}
+						className={`${css.lyricsLine} ${idx === activeIndex ? css.activeLine : ''} ${idx < activeIndex ? css.pastLine : ''}`}
+					>
+						{line.text}
+					</p>
+				))}
+			</div>
+		</Scroller>
+	);
+};
+
+export default LyricsPanel;
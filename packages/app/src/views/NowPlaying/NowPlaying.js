@@ -0,0 +1,224 @@
+import {useState, useEffect, useCallback, useRef} from 'react';
+import Spottable from '@enact/spotlight/Spottable';
+import SpotlightContainerDecorator from '@enact/spotlight/SpotlightContainerDecorator';
+import Spotlight from '@enact/spotlight';
+import {Scroller} from '@enact/sandstone/Scroller';
+
+import {useAudioPlayer, useAudioMediaKeys} from '../../hooks/useAudioPlayer';
+import {RepeatMode} from '../../services/audioQueue';
+import {getServerUrl} from '../../services/jellyfinApi';
+import {getImageUrl, getPrimaryImageId, formatDuration} from '../../utils/helpers';
+import {KEYS} from '../../utils/keys';
+import {formatTime} from '../Player/PlayerConstants';
+import {useI18n} from '../../context/I18nContext';
+
+import LyricsPanel from './LyricsPanel';
+
+import css from './NowPlaying.module.less';
+
+const SpottableDiv = Spottable('div');
+const SpottableButton = Spottable('button');
+const ControlsContainer = SpotlightContainerDecorator({enterTo: 'default-element', defaultElement: '.nowplaying-playpause'}, 'div');
+const QueueContainer = SpotlightContainerDecorator({enterTo: 'last-focused', restrict: 'self-first'}, 'div');
+
+const SEEK_STEP_SECONDS = 10;
+const TICKS_PER_SECOND = 10000000;
+
+// Album art: the track's own image, else its album's
+const getArtUrl = (track, maxHeight) => {
+	const imageId = getPrimaryImageId(track);
+	if (!imageId) return null;
+	return getImageUrl(track._serverUrl || getServerUrl(), imageId, 'Primary', {maxHeight, quality: 90});
+};
+
+const getArtist = (track) => track?.Artists?.join(', ') || track?.AlbumArtist || '';
+
+const MusicNote = ({size = 120}) => (
+	<svg viewBox="0 -960 960 960" fill="currentColor" width={size} height={size}>
+		<path d="M400-120q-66 0-113-47t-47-113q0-66 47-113t113-47q23 0 42.5 5.5T480-418v-422h240v160H560v400q0 66-47 113t-113 47Z"/>
+	</svg>
+);
+
+const NowPlaying = ({onClose, backHandlerRef}) => {
+	const {audioState, audioPlayer} = useAudioPlayer();
+	const {t, tn} = useI18n();
+	const {item, isPlaying, isLoading, positionTicks, durationTicks, queue, currentIndex, shuffle, repeatMode, hasNext, hasPrevious, error} = audioState;
+	const [showLyrics, setShowLyrics] = useState(false);
+	const hadItemRef = useRef(false);
+
+	// Close once the queue runs out
+	useEffect(() => {
+		if (item) {
+			hadItemRef.current = true;
+		} else if (hadItemRef.current) {
+			onClose?.();
+		}
+	}, [item, onClose]);
+
+	useEffect(() => {
+		if (!backHandlerRef) return;
+		backHandlerRef.current = () => {
+			onClose?.();
+			return true;
+		};
+		return () => {
+			if (backHandlerRef) backHandlerRef.current = null;
+		};
+	}, [backHandlerRef, onClose]);
+
+	useEffect(() => {
+		const timer = setTimeout(() => Spotlight.focus('nowplaying-controls'), 100);
+		return () => clearTimeout(timer);
+	}, []);
+
+	useAudioMediaKeys(true);
+
+	const handlePlayPause = useCallback(() => audioPlayer.togglePlayPause(), [audioPlayer]);
+	const handleNext = useCallback(() => audioPlayer.next(), [audioPlayer]);
+	const handlePrevious = useCallback(() => audioPlayer.previous(), [audioPlayer]);
+	const handleShuffle = useCallback(() => audioPlayer.toggleShuffle(), [audioPlayer]);
+	const handleRepeat = useCallback(() => audioPlayer.cycleRepeatMode(), [audioPlayer]);
+	const handleToggleLyrics = useCallback(() => setShowLyrics(prev => !prev), []);
+
+	const handleProgressKeyDown = useCallback((e) => {
+		if (e.keyCode === KEYS.LEFT) {
+			e.preventDefault();
+			e.stopPropagation();
+			audioPlayer.seekBy(-SEEK_STEP_SECONDS);
+		} else if (e.keyCode === KEYS.RIGHT) {
+			e.preventDefault();
+			e.stopPropagation();
+			audioPlayer.seekBy(SEEK_STEP_SECONDS);
+		}
+	}, [audioPlayer]);
+
+	const getQueueIndex = (e) => parseInt(e.currentTarget.dataset.index, 10);
+
+	const handleQueueSelect = useCallback((e) => {
+		audioPlayer.jumpTo(getQueueIndex(e));
+	}, [audioPlayer]);
+
+	const handleMoveUp = useCallback((e) => {
+		const index = getQueueIndex(e);
+		if (index > 0) audioPlayer.moveItem(index, index - 1);
+	}, [audioPlayer]);
+
+	const handleMoveDown = useCallback((e) => {
+		const index = getQueueIndex(e);
+		audioPlayer.moveItem(index, index + 1);
+	}, [audioPlayer]);
+
+	const handleRemove = useCallback((e) => {
+		audioPlayer.removeItem(getQueueIndex(e));
+	}, [audioPlayer]);
+
+	if (!item) {
+		return <div className={css.page} />;
+	}
+
+	const artUrl = getArtUrl(item, 600);
+	const positionSeconds = positionTicks / TICKS_PER_SECOND;
+	const durationSeconds = durationTicks / TICKS_PER_SECOND;
+	const progress = durationSeconds > 0 ? Math.min(100, (positionSeconds / durationSeconds) * 100) : 0;
+	const repeatLabel = repeatMode === RepeatMode.One ? 'Repeat One' : repeatMode === RepeatMode.All ? 'Repeat All' : 'Repeat Off';
+
+	return (
+		<div className={css.page}>
+			{artUrl && <div className={css.backdrop} style={{backgroundImage: `url(${artUrl})`}} />}
+			<div className={css.backdropOverlay} />
+
+			<div className={css.content}>
+				<div className={css.nowPlaying}>
+					<div className={css.albumArt}>
+						{artUrl ? <img src={artUrl} alt="" /> : <div className={css.artPlaceholder}><MusicNote /></div>}
+					</div>
+					<div className={css.trackInfo}>
+						<h1 className={css.trackTitle}>{item.Name}</h1>
+						{getArtist(item) && <p className={css.trackArtist}>{getArtist(item)}</p>}
+						{item.Album && <p className={css.trackAlbum}>{item.Album}</p>}
+						{error && <p className={css.error}>{t(error)}</p>}
+					</div>
+
+					<ControlsContainer className={css.controls} spotlightId="nowplaying-controls">
+						<SpottableDiv className={css.progress} onKeyDown={handleProgressKeyDown} aria-label={t('Seek')}>
+							<div className={css.progressTrack}>
+								<div className={css.progressFill} style={{width: `${progress}%`}} />
+							</div>
+							<div className={css.progressTimes}>
+								<span>{formatTime(positionSeconds)}</span>
+								<span>{durationSeconds > 0 ? formatTime(durationSeconds) : '--:--'}</span>
+							</div>
+						</SpottableDiv>
+
+						<div className={css.buttons}>
+							<SpottableButton className={`${css.controlBtn} ${shuffle ? css.active : ''}`} onClick={handleShuffle} aria-label={t('Shuffle')}>
+								<svg viewBox="0 -960 960 960" fill="currentColor"><path d="M560-160v-80h104L537-367l57-57 126 126v-102h80v240H560Zm-344 0-56-56 504-504H560v-80h240v240h-80v-104L216-160Zm151-377L160-744l56-56 207 207-56 56Z"/></svg>
+							</SpottableButton>
+							<SpottableButton className={css.controlBtn} onClick={handlePrevious} disabled={!hasPrevious && positionSeconds < 1} aria-label={t('Previous')}>
+								<svg viewBox="0 -960 960 960" fill="currentColor"><path d="M220-240v-480h80v480h-80Zm520 0L380-480l360-240v480Z"/></svg>
+							</SpottableButton>
+							<SpottableButton className={`${css.controlBtn} ${css.playPause} nowplaying-playpause`} onClick={handlePlayPause} aria-label={isPlaying ? t('Pause') : t('Play')}>
+								{isPlaying || isLoading ? (
+									<svg viewBox="0 -960 960 960" fill="currentColor"><path d="M560-200v-560h160v560H560Zm-320 0v-560h160v560H240Z"/></svg>
+								) : (
+									<svg viewBox="0 -960 960 960" fill="currentColor"><path d="M320-200v-560l440 280-440 280Z"/></svg>
+								)}
+							</SpottableButton>
+							<SpottableButton className={css.controlBtn} onClick={handleNext} disabled={!hasNext} aria-label={t('Next')}>
+								<svg viewBox="0 -960 960 960" fill="currentColor"><path d="M660-240v-480h80v480h-80Zm-440 0v-480l360 240-360 240Z"/></svg>
+							</SpottableButton>
+							<SpottableButton className={`${css.controlBtn} ${repeatMode !== RepeatMode.None ? css.active : ''}`} onClick={handleRepeat} aria-label={t(repeatLabel)}>
+								{repeatMode === RepeatMode.One ? (
+									<svg viewBox="0 -960 960 960" fill="currentColor"><path d="M460-360v-180h-60v-60h120v240h-60ZM280-80 120-240l160-160 56 58-62 62h406v-160h80v240H274l62 62-56 58Zm-80-440v-240h486l-62-62 56-58 160 160-160 160-56-58 62-62H280v160h-80Z"/></svg>
+								) : (
+									<svg viewBox="0 -960 960 960" fill="currentColor"><path d="M280-80 120-240l160-160 56 58-62 62h406v-160h80v240H274l62 62-56 58Zm-80-440v-240h486l-62-62 56-58 160 160-160 160-56-58 62-62H280v160h-80Z"/></svg>
+								)}
+							</SpottableButton>
+							<SpottableButton className={`${css.controlBtn} ${showLyrics ? css.active : ''}`} onClick={handleToggleLyrics} aria-label={showLyrics ? t('Show queue') : t('Show lyrics')}>
+								<svg viewBox="0 -960 960 960" fill="currentColor"><path d="M240-400h320v-80H240v80Zm0-120h480v-80H240v80Zm0-120h480v-80H240v80ZM80-80v-720q0-33 23.5-56.5T160-880h640q33 0 56.5 23.5T880-800v480q0 33-23.5 56.5T800-240H240L80-80Zm126-240h594v-480H160v525l46-45Zm-46 0v-480 480Z"/></svg>
+							</SpottableButton>
+						</div>
+					</ControlsContainer>
+				</div>
+
+				{showLyrics ? (
+					<div className={css.queuePanel}>
+						<h2 className={css.queueTitle}>{t('Lyrics')}</h2>
+						<LyricsPanel track={item} positionTicks={positionTicks} />
+					</div>
+				) : (
+					<div className={css.queuePanel}>
+						<h2 className={css.queueTitle}>{t('Up Next')}{' '}<span className={css.queueCount}>{tn('{count} Track', '{count} Tracks', queue.length)}</span></h2>
+						<Scroller className={css.queueScroller} direction="vertical" horizontalScrollbar="hidden" verticalScrollbar="hidden">
+							<QueueContainer className={css.queueList} spotlightId="nowplaying-queue">
+								{queue.map((track, idx) => {
+									const thumbUrl = getArtUrl(track, 80);
+									const isCurrent = idx === currentIndex;
+									return (
+										<div key={track._queueId} className={`${css.queueRow} ${isCurrent ? css.current : ''}`}>
+											<SpottableDiv className={css.queueItem} data-index={idx} onClick={handleQueueSelect}>
+												<div className={css.queueThumb}>
+													{thumbUrl ? <img src={thumbUrl} alt="" /> : <MusicNote size={32} />}
+												</div>
+												<div className={css.queueInfo}>
+													<span className={css.queueName}>{track.Name}</span>
+													{getArtist(track) && <span className={css.queueArtist}>{getArtist(track)}</span>}
+												</div>
+												<span className={css.queueDuration}>{track.RunTimeTicks ? formatDuration(track.RunTimeTicks) : ''}</span>
+											</SpottableDiv>
+											<SpottableButton className={css.queueAction} data-index={idx} onClick={handleMoveUp} disabled={idx === 0} aria-label={t('Move up')}>▲</SpottableButton>
+											<SpottableButton className={css.queueAction} data-index={idx} onClick={handleMoveDown} disabled={idx === queue.length - 1} aria-label={t('Move down')}>▼</SpottableButton>
+											<SpottableButton className={css.queueAction} data-index={idx} onClick={handleRemove} aria-label={t('Remove')}>✕</SpottableButton>
+										</div>
+									);
+								})}
+							</QueueContainer>
+						</Scroller>
+					</div>
+				)}
+			</div>
+		</div>
+	);
+};
+
+export default NowPlaying;
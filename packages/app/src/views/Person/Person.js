@@ -4,6 +4,7 @@ import SpotlightContainerDecorator from '@enact/spotlight/SpotlightContainerDeco
 import {VirtualGridList} from '@enact/sandstone/VirtualList';
 import Image from '@enact/sandstone/Image';
 import {useAuth} from '../../context/AuthContext';
+import {useI18n} from '../../context/I18nContext';
 import MediaCard from '../../components/MediaCard';
 import {KEYS} from '../../utils/keys';
 import LoadingSpinner from '../../components/LoadingSpinner';
@@ -14,6 +15,7 @@ const GridContainer = SpotlightContainerDecorator({enterTo: 'last-focused', rest
 
 const Person = ({personId, onSelectItem}) => {
 	const {api, serverUrl} = useAuth();
+	const {t, formatDate} = useI18n();
 	const [person, setPerson] = useState(null);
 	const [items, setItems] = useState([]);
 	const [isLoading, setIsLoading] = useState(true);
@@ -83,7 +85,7 @@ const Person = ({personId, onSelectItem}) => {
 	if (!person) {
 		return (
 			<div className={css.page}>
-				<div className={css.empty}>Person not found</div>
+				<div className={css.empty}>{t('Person not found')}</div>
 			</div>
 		);
 	}
@@ -105,7 +107,7 @@ const Person = ({personId, onSelectItem}) => {
 						<h1 className={css.name}>{person.Name}</h1>
 						{person.PremiereDate && (
 							<div className={css.meta}>
-								Born: {new Date(person.PremiereDate).toLocaleDateString()}
+								{t('Born: {date}', {date: formatDate(person.PremiereDate)})}
 							</div>
 						)}
 						{person.Overview && (
@@ -116,7 +118,7 @@ const Person = ({personId, onSelectItem}) => {
 
 				{items.length > 0 && (
 					<div className={css.filmography}>
-						<h2 className={css.sectionTitle}>Filmography ({items.length})</h2>
+						<h2 className={css.sectionTitle}>{t('Filmography ({count})', {count: items.length})}</h2>
 						<GridContainer className={css.gridContainer}>
 							<VirtualGridList
 								className={css.grid}
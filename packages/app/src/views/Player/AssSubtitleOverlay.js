@@ -0,0 +1,200 @@
+import {useState, useEffect, useRef} from 'react';
+import {getActiveAssEvents} from '../../utils/assParser';
+
+import css from './Player.module.less';
+
+// Redraw rate while playing; karaoke, fades and moves need more than the players' time updates
+const TICK_MS = 100;
+
+// Numpad alignment: 1-3 bottom, 4-6 middle, 7-9 top; left/center/right within each row
+const getRow = (alignment) => (alignment >= 7 ? 'top' : alignment >= 4 ? 'middle' : 'bottom');
+const getColumn = (alignment) => ['left', 'center', 'right'][(alignment - 1) % 3] || 'center';
+
+const ANCHOR_TRANSLATE = {left: '0', center: '-50%', right: '-100%', top: '0', middle: '-50%', bottom: '-100%'};
+
+const joinShadows = (shadows) => shadows.filter(Boolean).join(', ') || 'none';
+
+const getOutlineShadows = (width, color, blur) => {
+	if (!width) return [];
+	return [
+		[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1]
+	].map(([x, y]) => `${x * width}vh ${y * width}vh ${blur}vh ${color}`);
+};
+
+/**
+ * Interpolates the player's clock between its time updates
+ */
+const useSmoothTime = (currentTime, isPaused, playbackRate) => {
+	const baseRef = useRef({time: currentTime, at: Date.now()});
+	const [, setTick] = useState(0);
+
+	useEffect(() => {
+		baseRef.current = {time: currentTime, at: Date.now()};
+	}, [currentTime]);
+
+	useEffect(() => {
+		if (isPaused) return;
+		const interval = setInterval(() => setTick(t => t + 1), TICK_MS);
+		return () => clearInterval(interval);
+	}, [isPaused]);
+
+	if (isPaused) return currentTime;
+	const {time, at} = baseRef.current;
+	// Never run more than a second ahead if time updates stall (buffering)
+	return time + Math.min(1, ((Date.now() - at) / 1000) * (playbackRate || 1));
+};
+
+const getEventOpacity = (event, time) => {
+	if (!event.fade) return 1;
+	const {fadeIn, fadeOut} = event.fade;
+	const elapsed = time - event.start;
+	const remaining = event.end - time;
+	if (fadeIn > 0 && elapsed < fadeIn) return Math.max(0, elapsed / fadeIn);
+	if (fadeOut > 0 && remaining < fadeOut) return Math.max(0, remaining / fadeOut);
+	return 1;
+};
+
+const getEventPosition = (event, time) => {
+	if (event.pos) return event.pos;
+	const {x1, y1, x2, y2, t1, t2} = event.move;
+	const start = t1 ?? 0;
+	const end = t2 ?? (event.end - event.start);
+	const elapsed = time - event.start;
+	const progress = end > start ? Math.min(1, Math.max(0, (elapsed - start) / (end - start))) : 1;
+	return {x: x1 + (x2 - x1) * progress, y: y1 + (y2 - y1) * progress};
+};
+
+const renderText = (text) => {
+	const lines = text.split('\n');
+	return lines.map((line, i) => (
+		// eslint-disable-next-line react/no-array-index-key
+		<span key={i}>
+			{i > 0 && <br />}
+			{line}
+		</span>
+	));
+};
+
+const AssEvent = ({event, time, script}) => {
+	const vh = 100 / script.playResY;
+	const elapsed = time - event.start;
+
+	const segments = event.segments.map((seg, i) => {
+		const s = seg.style;
+		const blur = s.blur * vh;
+		const color = seg.karaoke && elapsed < seg.karaoke.start ? s.secondaryColor : s.primaryColor;
+		const boxed = s.borderStyle === 3;
+		const shadows = boxed ? [] : getOutlineShadows(s.outline * vh, s.outlineColor, blur);
+		if (s.shadow > 0) shadows.push(`${s.shadow * vh}vh ${s.shadow * vh}vh ${blur}vh ${s.backColor}`);
+		const transforms = [];
+		if (s.scaleX !== 100 || s.scaleY !== 100) transforms.push(`scale(${s.scaleX / 100}, ${s.scaleY / 100})`);
+		const decorations = [s.underline && 'underline', s.strikeOut && 'line-through'].filter(Boolean);
+
+		const segmentStyle = {
+			fontFamily: `"${s.fontName}", sans-serif`,
+			fontSize: `${s.fontSize * vh}vh`,
+			fontWeight: s.bold ? 'bold' : 'normal',
+			fontStyle: s.italic ? 'italic' : 'normal',
+			textDecoration: decorations.length ? decorations.join(' ') : 'none',
+			letterSpacing: s.spacing ? `${s.spacing * vh}vh` : undefined,
+			color,
+			textShadow: joinShadows(shadows),
+			backgroundColor: boxed ? s.outlineColor : undefined,
+			padding: boxed ? `0 ${s.outline * vh}vh` : undefined,
+			display: transforms.length ? 'inline-block' : undefined,
+			transform: transforms.length ? transforms.join(' ') : undefined
+		};
+		return (
+			// eslint-disable-next-line react/no-array-index-key
+			<span key={i} style={segmentStyle}>{renderText(seg.text)}</span>
+		);
+	});
+
+	const angle = event.segments[0]?.style.angle || 0;
+	const row = getRow(event.alignment);
+	const column = getColumn(event.alignment);
+	const style = {
+		opacity: getEventOpacity(event, time),
+		textAlign: column
+	};
+
+	if (event.pos || event.move) {
+		const {x, y} = getEventPosition(event, time);
+		style.position = 'absolute';
+		style.left = `${(x / script.playResX) * 100}%`;
+		style.top = `${(y / script.playResY) * 100}%`;
+		style.whiteSpace = 'pre';
+		style.transform = `translate(${ANCHOR_TRANSLATE[column]}, ${ANCHOR_TRANSLATE[row]})${angle ? ` rotate(${-angle}deg)` : ''}`;
+	} else if (angle) {
+		style.transform = `rotate(${-angle}deg)`;
+	}
+
+	return <div className={css.assEvent} style={style}>{segments}</div>;
+};
+
+/**
+ * Draws ASS/SSA events with their own styling and positioning over the video.
+ * Events without \pos stack in one of nine anchor areas like libass does;
+ * the script's PlayRes is mapped onto the full screen.
+ *
+ * @param {Object}  props.script       - Parsed script from utils/assParser
+ * @param {number}  props.currentTime  - Subtitle time in seconds (playback time minus subtitle offset)
+ * @param {boolean} props.isPaused
+ * @param {number}  [props.playbackRate]
+ */
+const AssSubtitleOverlay = ({script, currentTime, isPaused, playbackRate}) => {
+	const time = useSmoothTime(currentTime, isPaused, playbackRate);
+	const active = getActiveAssEvents(script, time);
+
+	if (!active.length) return null;
+
+	const anchors = {};
+	const positioned = [];
+	active.forEach((event) => {
+		if (event.pos || event.move) {
+			positioned.push(event);
+			return;
+		}
+		if (!anchors[event.alignment]) anchors[event.alignment] = [];
+		anchors[event.alignment].push(event);
+	});
+
+	return (
+		<div className={css.assOverlay}>
+			{Object.keys(anchors).map((key) => {
+				const events = anchors[key];
+				const alignment = parseInt(key, 10);
+				const row = getRow(alignment);
+				const column = getColumn(alignment);
+				const first = events[0];
+				const anchorStyle = {
+					left: `${(first.marginL / script.playResX) * 100}%`,
+					right: `${(first.marginR / script.playResX) * 100}%`,
+					alignItems: column === 'left' ? 'flex-start' : column === 'right' ? 'flex-end' : 'center',
+					// Bottom-aligned events stack upwards, so the earliest stays nearest the edge
+					flexDirection: row === 'bottom' ? 'column-reverse' : 'column'
+				};
+				if (row === 'top') anchorStyle.top = `${(first.marginV / script.playResY) * 100}%`;
+				else if (row === 'bottom') anchorStyle.bottom = `${(first.marginV / script.playResY) * 100}%`;
+				else {
+					anchorStyle.top = '50%';
+					anchorStyle.transform = 'translateY(-50%)';
+				}
+				return (
+					<div key={key} className={css.assAnchor} style={anchorStyle}>
+						{events.map((event, i) => (
+							// eslint-disable-next-line react/no-array-index-key
+							<AssEvent key={`${event.start}-${i}`} event={event} time={time} script={script} />
+						))}
+					</div>
+				);
+			})}
+			{positioned.map((event, i) => (
+				// eslint-disable-next-line react/no-array-index-key
+				<AssEvent key={`pos-${event.start}-${i}`} event={event} time={time} script={script} />
+			))}
+		</div>
+	);
+};
+
+export default AssSubtitleOverlay;
@@ -0,0 +1,39 @@
+import {useEffect, useRef} from 'react';
+import {decodeBitmapImage, getActiveBitmapCue} from '../../utils/bitmapSubtitles';
+
+import css from './Player.module.less';
+
+/**
+ * Draws decoded PGS/VobSub cues on a canvas stretched over the video.
+ * The canvas uses the subtitle's own frame size, so image coordinates need no scaling.
+ *
+ * @param {Array}  props.cues        - Cues from utils/bitmapSubtitles
+ * @param {number} props.currentTime - Subtitle time in seconds (playback time minus subtitle offset)
+ */
+const BitmapSubtitleOverlay = ({cues, currentTime}) => {
+	const canvasRef = useRef(null);
+	const cue = getActiveBitmapCue(cues, currentTime);
+
+	useEffect(() => {
+		const canvas = canvasRef.current;
+		if (!canvas) return;
+		const ctx = canvas.getContext('2d');
+		if (!cue) {
+			ctx.clearRect(0, 0, canvas.width, canvas.height);
+			return;
+		}
+		// Resizing also clears the canvas
+		canvas.width = cue.screenWidth;
+		canvas.height = cue.screenHeight;
+		cue.images.forEach((image) => {
+			if (!image.width || !image.height) return;
+			const imageData = ctx.createImageData(image.width, image.height);
+			imageData.data.set(decodeBitmapImage(image));
+			ctx.putImageData(imageData, image.x, image.y);
+		});
+	}, [cue]);
+
+	return <canvas ref={canvasRef} className={css.bitmapSubtitleCanvas} />;
+};
+
+export default BitmapSubtitleOverlay;
@@ -0,0 +1,95 @@
+import {useAuth} from '../../context/AuthContext';
+import {useI18n} from '../../context/I18nContext';
+import {getMiniGuideIndices} from './useChannelZapping';
+
+import css from './Player.module.less';
+
+const getProgramProgress = (program, now) => {
+	const start = new Date(program.StartDate);
+	const end = new Date(program.EndDate);
+	return Math.max(0, Math.min(100, ((now - start) / (end - start)) * 100));
+};
+
+/**
+ * Mini-guide along the bottom of the player with now/next for the channels
+ * around the highlighted one, plus the digits being typed for a channel number.
+ * Everything shown comes from useChannelZapping's channelZap state.
+ */
+const ChannelZapOverlay = ({channels, guideIndex, currentChannelId, lastChannel, programsByChannel, numberEntry, message}) => {
+	const {serverUrl} = useAuth();
+	const {t, formatTimeOfDay} = useI18n();
+
+	const numberOverlay = (numberEntry || message) && (
+		<div className={css.channelNumberEntry}>
+			{numberEntry ? `${numberEntry}_` : message}
+		</div>
+	);
+
+	if (guideIndex === null || channels.length === 0) return numberOverlay || null;
+
+	const now = new Date();
+
+	return (
+		<>
+			{numberOverlay}
+			<div className={css.miniGuide}>
+				{getMiniGuideIndices(guideIndex, channels.length).map(index => {
+					const channel = channels[index];
+					const upcoming = (programsByChannel[channel.Id] || []).filter(p => new Date(p.EndDate) > now);
+					const [current, next] = upcoming;
+					const rowClass = [
+						css.miniGuideRow,
+						index === guideIndex ? css.highlighted : '',
+						channel.Id === currentChannelId ? css.playing : ''
+					].join(' ');
+
+					return (
+						<div key={channel.Id} className={rowClass}>
+							<div className={css.miniGuideNumber}>{channel.ChannelNumber}</div>
+							{channel.ImageTags?.Primary ? (
+								<img
+									className={css.miniGuideLogo}
+									src={`${serverUrl}/Items/${channel.Id}/Images/Primary?maxWidth=120&quality=90`}
+									alt=""
+								/>
+							) : (
+								<div className={css.miniGuideLogo} />
+							)}
+							<div className={css.miniGuideName}>{channel.Name}</div>
+							<div className={css.miniGuideNow}>
+								{current ? (
+									<>
+										<div className={css.miniGuideTitle}>{current.Name}</div>
+										<div className={css.miniGuideProgress}>
+											<div className={css.miniGuideProgressFill} style={{width: `${getProgramProgress(current, now)}%`}} />
+										</div>
+									</>
+								) : (
+									<div className={css.miniGuideEmpty}>{programsByChannel[channel.Id] ? t('No guide data') : ''}</div>
+								)}
+							</div>
+							<div className={css.miniGuideNext}>
+								{next && (
+									<>
+										<span className={css.miniGuideNextTime}>{formatTimeOfDay(new Date(next.StartDate))}</span>
+										{next.Name}
+									</>
+								)}
+							</div>
+						</div>
+					);
+				})}
+				<div className={css.miniGuideHints}>
+					<span>{t('▲▼ Browse')}</span>
+					<span>{t('OK Watch')}</span>
+					{lastChannel && (
+						<span>{t('◀ Last channel: {channel}', {channel: `${lastChannel.ChannelNumber || ''} ${lastChannel.Name}`.trim()})}</span>
+					)}
+					<span>{t('BACK Close')}</span>
+				</div>
+			</div>
+		</>
+	);
+};
+
+export default ChannelZapOverlay;
@@ -0,0 +1,154 @@
+import {useEffect, useState} from 'react';
+import * as playback from '../../services/playback';
+import {useI18n} from '../../context/I18nContext';
+import {
+	formatBitrate, formatTranscodeReason, getHdrType, getVideoCodec, getAudioCodec, getAudioChannels
+} from './PlayerControls';
+
+import css from './Player.module.less';
+
+const REFRESH_INTERVAL_MS = 1000;
+
+// The server's transcode details come over the network, so they refresh less often
+const TRANSCODE_REFRESH_INTERVAL_MS = 5000;
+
+const StatRow = ({label, value, warning}) => (
+	<div className={`${css.statsRow} ${warning ? css.statsWarning : ''}`}>
+		<span className={css.statsLabel}>{label}</span>
+		<span className={css.statsValue}>{value}</span>
+	</div>
+);
+
+/**
+ * Live playback statistics drawn over the video while it keeps playing.
+ * Stream details come from the playback session and the server's transcode
+ * info; rendering details (frames, buffer, output size) come from the platform
+ * player through getMediaStats.
+ *
+ * @param {boolean}  props.visible
+ * @param {Function} props.getMediaStats      - Returns {player, width, height, droppedFrames, totalFrames, bufferAhead, bandwidth, isBuffering}; unknown values left undefined
+ * @param {number}   props.selectedAudioIndex
+ */
+const PlaybackStatsOverlay = ({visible, getMediaStats, selectedAudioIndex}) => {
+	const {t} = useI18n();
+	const [mediaStats, setMediaStats] = useState({});
+	const [transcodingInfo, setTranscodingInfo] = useState(null);
+
+	useEffect(() => {
+		if (!visible) return;
+		const update = () => setMediaStats(getMediaStats() || {});
+		update();
+		const interval = setInterval(update, REFRESH_INTERVAL_MS);
+		return () => clearInterval(interval);
+	}, [visible, getMediaStats]);
+
+	useEffect(() => {
+		if (!visible) return;
+		let cancelled = false;
+		const update = async () => {
+			try {
+				const info = await playback.getTranscodingInfo();
+				if (!cancelled) setTranscodingInfo(info);
+			} catch (err) {
+				console.warn('[Player] Failed to read transcoding info:', err.message);
+			}
+		};
+		update();
+		const interval = setInterval(update, TRANSCODE_REFRESH_INTERVAL_MS);
+		return () => {
+			cancelled = true;
+			clearInterval(interval);
+		};
+	}, [visible]);
+
+	if (!visible) return null;
+
+	const session = playback.getCurrentSession();
+	const mediaSource = session?.mediaSource;
+	const isTranscoding = session?.playMethod === playback.PlayMethod.Transcode;
+	const videoStream = mediaSource?.MediaStreams?.find(s => s.Type === 'Video');
+	const audioStream = mediaSource?.MediaStreams?.find(s => s.Index === selectedAudioIndex) ||
+		mediaSource?.MediaStreams?.find(s => s.Type === 'Audio');
+	const transcodeReasons = playback.getTranscodeReasons();
+	const notAvailable = t('Not available');
+
+	// Output side of a transcode, shown after the source as "source → output"
+	const transcodedVideo = transcodingInfo && !transcodingInfo.IsVideoDirect && transcodingInfo.VideoCodec;
+	const transcodedAudio = transcodingInfo && !transcodingInfo.IsAudioDirect && transcodingInfo.AudioCodec;
+	const container = isTranscoding
+		? transcodingInfo?.Container || mediaSource?.TranscodingContainer
+		: mediaSource?.Container;
+
+	const sourceResolution = videoStream?.Width
+		? `${videoStream.Width}×${videoStream.Height}${videoStream.RealFrameRate ? ` @ ${Math.round(videoStream.RealFrameRate)}fps` : ''}`
+		: null;
+	const outputResolution = mediaStats.width ? `${mediaStats.width}×${mediaStats.height}` : null;
+
+	const droppedFrames = mediaStats.droppedFrames != null
+		? `${mediaStats.droppedFrames} / ${mediaStats.totalFrames ?? '?'}`
+		: notAvailable;
+
+	let bufferHealth = notAvailable;
+	if (mediaStats.isBuffering) {
+		bufferHealth = t('Buffering');
+	} else if (mediaStats.bufferAhead != null) {
+		bufferHealth = `${mediaStats.bufferAhead.toFixed(1)} s`;
+	}
+
+	return (
+		<div className={css.statsOverlay}>
+			<StatRow label={t('Player')} value={mediaStats.player || t('Unknown')} />
+			<StatRow label={t('Play Method')} value={session?.playMethod || t('Unknown')} />
+			<StatRow label={t('Container')} value={(container || t('Unknown')).toUpperCase()} />
+			{videoStream && (
+				<>
+					<StatRow
+						label={t('Video')}
+						value={transcodedVideo ? `${getVideoCodec(videoStream)} → ${transcodedVideo.toUpperCase()}` : getVideoCodec(videoStream)}
+					/>
+					<StatRow
+						label={t('Resolution')}
+						value={[sourceResolution, outputResolution].filter(Boolean).join(' → ') || t('Unknown')}
+					/>
+					<StatRow label={t('HDR')} value={getHdrType(videoStream)} />
+				</>
+			)}
+			{audioStream && (
+				<StatRow
+					label={t('Audio')}
+					value={`${transcodedAudio ? `${getAudioCodec(audioStream)} → ${transcodedAudio.toUpperCase()}` : getAudioCodec(audioStream)} · ${getAudioChannels(audioStream)}`}
+				/>
+			)}
+			<StatRow label={t('Source Bitrate')} value={formatBitrate(mediaSource?.Bitrate)} />
+			{isTranscoding && (
+				<StatRow label={t('Stream Bitrate')} value={formatBitrate(transcodingInfo?.Bitrate || session.streamingBitrate)} />
+			)}
+			{mediaStats.bandwidth > 0 && (
+				<StatRow label={t('Network')} value={formatBitrate(mediaStats.bandwidth)} />
+			)}
+			<StatRow label={t('Dropped Frames')} value={droppedFrames} warning={mediaStats.droppedFrames > 0} />
+			<StatRow label={t('Buffer')} value={bufferHealth} warning={mediaStats.isBuffering} />
+			{isTranscoding && (
+				<>
+					<StatRow
+						label={t('Transcode Reason')}
+						value={transcodeReasons.length ? transcodeReasons.map(formatTranscodeReason).join(', ') : t('Unknown')}
+						warning
+					/>
+					{transcodingInfo && (
+						<StatRow
+							label={t('Transcoder')}
+							value={[
+								transcodingInfo.HardwareAccelerationType || t('Software'),
+								transcodingInfo.Framerate && `${Math.round(transcodingInfo.Framerate)}fps`,
+								transcodingInfo.CompletionPercentage != null && `${Math.round(transcodingInfo.CompletionPercentage)}%`
+							].filter(Boolean).join(' · ')}
+						/>
+					)}
+				</>
+			)}
+		</div>
+	);
+};
+
+export default PlaybackStatsOverlay;
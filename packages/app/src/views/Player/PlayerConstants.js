@@ -1,5 +1,6 @@
 import Spottable from '@enact/spotlight/Spottable';
 import SpotlightContainerDecorator from '@enact/spotlight/SpotlightContainerDecorator';
+import i18n from '../../services/i18n';
 
 export const SpottableButton = Spottable('button');
 export const SpottableDiv = Spottable('div');
@@ -37,9 +38,9 @@ export const formatEndTime = (remainingSeconds, clockDisplay) => {
 	if (clockDisplay === '12-hour') {
 		const ampm = hours >= 12 ? 'PM' : 'AM';
 		const h12 = hours % 12 || 12;
-		return `Ends at ${h12}:${minutes.toString().padStart(2, '0')} ${ampm}`;
+		return i18n.t('Ends at {time}', {time: `${h12}:${minutes.toString().padStart(2, '0')} ${ampm}`});
 	} else {
-		return `Ends at ${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+		return i18n.t('Ends at {time}', {time: `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`});
 	}
 };
 
@@ -58,6 +59,10 @@ export const QUALITY_PRESETS = [
 
 export const CONTROLS_HIDE_DELAY = 5000;
 
+// Most of a live stream a TV can keep client-side for time-shift; TV media
+// buffers run out of room well before longer windows at live bitrates
+export const LIVE_CLIENT_WINDOW_SECONDS = 3 * 60;
+
 export const IconPlay = () => (
 	<svg xmlns="http://www.w3.org/2000/svg" height="24px" viewBox="0 -960 960 960" width="24px" fill="currentColor">
 		<path d="M320-200v-560l440 280-440 280Zm80-280Zm0 134 210-134-210-134v268Z"/>
@@ -129,3 +134,27 @@ export const IconInfo = () => (
 		<path d="M160-120v-720h80v80h80v-80h320v80h80v-80h80v720h-80v-80h-80v80H320v-80h-80v80h-80Zm80-160h80v-80h-80v80Zm0-160h80v-80h-80v80Zm0-160h80v-80h-80v80Zm400 320h80v-80h-80v80Zm0-160h80v-80h-80v80Zm0-160h80v-80h-80v80ZM400-200h160v-560H400v560Zm0-560h160-160Z"/>
 	</svg>
 );
+
+export const IconLive = () => (
+	<svg xmlns="http://www.w3.org/2000/svg" height="24px" viewBox="0 -960 960 960" width="24px" fill="currentColor">
+		<path d="M400-400l240-160-240-160v320ZM320-120v-80H160q-33 0-56.5-23.5T80-280v-480q0-33 23.5-56.5T160-840h640q33 0 56.5 23.5T880-760v480q0 33-23.5 56.5T800-200H640v80H320ZM160-280h640v-480H160v480Zm0 0v-480 480Z"/>
+	</svg>
+);
+
+export const IconChannels = () => (
+	<svg xmlns="http://www.w3.org/2000/svg" height="24px" viewBox="0 -960 960 960" width="24px" fill="currentColor">
+		<path d="M280-280h400v-80H280v80Zm0-160h400v-80H280v80Zm0-160h400v-80H280v80ZM160-120q-33 0-56.5-23.5T80-200v-560q0-33 23.5-56.5T160-840h640q33 0 56.5 23.5T880-760v560q0 33-23.5 56.5T800-120H160Zm0-80h640v-560H160v560Zm0-560v560-560Z"/>
+	</svg>
+);
+
+export const IconSleepTimer = () => (
+	<svg xmlns="http://www.w3.org/2000/svg" height="24px" viewBox="0 -960 960 960" width="24px" fill="currentColor">
+		<path d="M484-80q-84 0-157.5-32t-128-86.5Q144-253 112-326.5T80-484q0-146 93-257.5T410-880q-18 99 11 193.5T521-521q71 71 165.5 100T880-410q-26 144-138 237T484-80Zm0-80q88 0 163-44t118-121q-86-8-163-43.5T464-465q-61-61-97-138t-43-163q-77 43-120.5 118.5T160-484q0 135 94.5 229.5T484-160Zm-20-305Z"/>
+	</svg>
+);
+
+export const IconSyncPlay = () => (
+	<svg xmlns="http://www.w3.org/2000/svg" height="24px" viewBox="0 -960 960 960" width="24px" fill="currentColor">
+		<path d="M40-160v-112q0-34 17.5-62.5T104-378q62-31 126-46.5T360-440q66 0 130 15.5T616-378q29 15 46.5 43.5T680-272v112H40Zm720 0v-120q0-44-24.5-84.5T666-434q51 6 96 20.5t84 35.5q36 20 55 44.5t19 53.5v120H760ZM360-480q-66 0-113-47t-47-113q0-66 47-113t113-47q66 0 113 47t47 113q0 66-47 113t-113 47Zm400-160q0 66-47 113t-113 47q-11 0-28-2.5t-28-5.5q27-32 41.5-71t14.5-81q0-42-14.5-81T544-792q14-5 28-6.5t28-1.5q66 0 113 47t47 113ZM120-240h480v-32q0-11-5.5-20T580-306q-54-27-109-40.5T360-360q-56 0-111 13.5T140-306q-9 5-14.5 14t-5.5 20v32Zm240-320q33 0 56.5-23.5T440-640q0-33-23.5-56.5T360-720q-33 0-56.5 23.5T280-640q0 33 23.5 56.5T360-560Zm0 320Zm0-400Z"/>
+	</svg>
+);
@@ -5,19 +5,24 @@
  * duplicated rendering code. Platform-specific parts (next-episode overlay,
  * info-modal playback rows) are injected via props.
  */
-import {useMemo} from 'react';
+import {useCallback, useMemo} from 'react';
 import Scroller from '@enact/sandstone/Scroller';
 import * as playback from '../../services/playback';
 import TrickplayPreview from '../../components/TrickplayPreview';
 import SubtitleOffsetOverlay from './SubtitleOffsetOverlay';
 import SubtitleSettingsOverlay from './SubtitleSettingsOverlay';
+import SubtitleSearchOverlay from './SubtitleSearchOverlay';
 import {
 	SpottableButton, SpottableDiv, ModalContainer,
 	formatTime, formatEndTime, PLAYBACK_RATES, QUALITY_PRESETS,
 	IconPlay, IconPause, IconRewind, IconForward, IconSubtitle, IconAudio,
-	IconChapters, IconPrevious, IconNext, IconSpeed, IconQuality, IconInfo
+	IconChapters, IconPrevious, IconNext, IconSpeed, IconQuality, IconInfo, IconSyncPlay, IconSleepTimer, IconLive, IconChannels
 } from './PlayerConstants';
 import { useSettings } from '../../context/SettingsContext';
+import {useI18n} from '../../context/I18nContext';
+import i18n from '../../services/i18n';
+import {SLEEP_TIMER_OPTIONS} from '../../services/sleepTimer';
+import {SEGMENT_SKIP_LABELS, getSegmentAction} from '../../utils/segmentConstants';
 
 // ============================================================
 // usePlayerControls — shared button / state logic
@@ -28,8 +33,9 @@ import { useSettings } from '../../context/SettingsContext';
  * Call from the platform player and pass the results to <PlayerControls>.
  */
 export const usePlayerButtons = ({
-	isPaused, audioStreams, subtitleStreams, chapters,
-	nextEpisode, isAudioMode, hasNextTrack, hasPrevTrack
+	isPaused, audioStreams, chapters,
+	nextEpisode, isAudioMode, hasNextTrack, hasPrevTrack,
+	isLive, isAtLiveEdge, isChannel
 }) => {
 	const topButtons = useMemo(() => {
 		const buttons = [
@@ -46,12 +52,14 @@ export const usePlayerButtons = ({
 			buttons.push(
 				{id: 'rewind', icon: <IconRewind />, label: 'Rewind', action: 'rewind'},
 				{id: 'forward', icon: <IconForward />, label: 'Forward', action: 'forward'},
+				...(isLive ? [{id: 'jumpToLive', icon: <IconLive />, label: 'Jump to Live', action: 'jumpToLive', disabled: isAtLiveEdge}] : []),
+				...(isChannel ? [{id: 'channelGuide', icon: <IconChannels />, label: 'Channels', action: 'channelGuide'}] : []),
 				{id: 'audio', icon: <IconAudio />, label: 'Audio', action: 'audio', disabled: audioStreams.length === 0},
-				{id: 'subtitle', icon: <IconSubtitle />, label: 'Subtitles', action: 'subtitle', disabled: subtitleStreams.length === 0}
+				{id: 'subtitle', icon: <IconSubtitle />, label: 'Subtitles', action: 'subtitle'}
 			);
 		}
 		return buttons;
-	}, [isPaused, audioStreams.length, subtitleStreams.length, isAudioMode, hasNextTrack, hasPrevTrack]);
+	}, [isPaused, audioStreams.length, isAudioMode, hasNextTrack, hasPrevTrack, isLive, isAtLiveEdge, isChannel]);
 
 	const bottomButtons = useMemo(() => {
 		if (isAudioMode) {
@@ -63,6 +71,8 @@ export const usePlayerButtons = ({
 			{id: 'next', icon: <IconNext />, label: 'Next', action: 'next', disabled: !nextEpisode},
 			{id: 'speed', icon: <IconSpeed />, label: 'Speed', action: 'speed'},
 			{id: 'quality', icon: <IconQuality />, label: 'Quality', action: 'quality'},
+			{id: 'syncPlay', icon: <IconSyncPlay />, label: 'SyncPlay', action: 'syncPlay'},
+			{id: 'sleepTimer', icon: <IconSleepTimer />, label: 'Sleep Timer', action: 'sleepTimer'},
 			{id: 'info', icon: <IconInfo />, label: 'Info', action: 'info'}
 		];
 	}, [chapters.length, nextEpisode, isAudioMode]);
@@ -75,12 +85,15 @@ export const usePlayerButtons = ({
 // ============================================================
 
 export const formatBitrate = (bitrate) => {
-	if (!bitrate) return 'Unknown';
+	if (!bitrate) return i18n.t('Unknown');
 	if (bitrate >= 1000000) return `${(bitrate / 1000000).toFixed(1)} Mbps`;
 	if (bitrate >= 1000) return `${(bitrate / 1000).toFixed(0)} Kbps`;
 	return `${bitrate} bps`;
 };
 
+// TranscodeReasons codes are PascalCase (e.g. VideoCodecNotSupported)
+export const formatTranscodeReason = (reason) => reason.replace(/([A-Z])/g, ' $1').trim();
+
 export const getHdrType = (videoStream) => {
 	if (!videoStream) return 'SDR';
 	const rangeType = videoStream.VideoRangeType || '';
@@ -93,7 +106,7 @@ export const getHdrType = (videoStream) => {
 };
 
 export const getVideoCodec = (videoStream) => {
-	if (!videoStream) return 'Unknown';
+	if (!videoStream) return i18n.t('Unknown');
 	let codec = (videoStream.Codec || '').toUpperCase();
 	if (codec === 'HEVC') codec = 'HEVC (H.265)';
 	else if (codec === 'H264' || codec === 'AVC') codec = 'AVC (H.264)';
@@ -110,7 +123,7 @@ export const getVideoCodec = (videoStream) => {
 };
 
 export const getAudioCodec = (audioStream) => {
-	if (!audioStream) return 'Unknown';
+	if (!audioStream) return i18n.t('Unknown');
 	let codec = (audioStream.Codec || '').toUpperCase();
 	if (codec === 'EAC3') codec = 'E-AC3 (Dolby Digital Plus)';
 	else if (codec === 'AC3') codec = 'AC3 (Dolby Digital)';
@@ -122,14 +135,39 @@ export const getAudioCodec = (audioStream) => {
 };
 
 export const getAudioChannels = (audioStream) => {
-	if (!audioStream) return 'Unknown';
+	if (!audioStream) return i18n.t('Unknown');
 	const channels = audioStream.Channels;
-	if (!channels) return 'Unknown';
+	if (!channels) return i18n.t('Unknown');
 	if (channels === 8) return '7.1';
 	if (channels === 6) return '5.1';
-	if (channels === 2) return 'Stereo';
-	if (channels === 1) return 'Mono';
-	return `${channels} channels`;
+	if (channels === 2) return i18n.t('Stereo');
+	if (channels === 1) return i18n.t('Mono');
+	return i18n.tn('{count} channel', '{count} channels', channels);
+};
+
+// Device checks from explainTranscode, as shown to the user
+const TRANSCODE_ISSUE_LABELS = {
+	video: "This TV can't decode the video codec",
+	audio: 'None of the audio tracks use a format this TV can play',
+	container: "This TV can't open the file's container",
+	hdr: "This TV doesn't support the video's HDR format",
+	bitrate: 'The video bitrate is higher than this TV can decode',
+	codecContainer: 'This TV only decodes this video codec from other containers'
+};
+
+// Time behind the live edge, next to how far back the window reaches
+const formatLiveOffset = (liveWindow, displayTime, atLiveEdge, t) => {
+	if (!liveWindow) return t('Live');
+	const windowLength = formatTime(liveWindow.end - liveWindow.start);
+	if (atLiveEdge) return `${t('Live')} / ${windowLength}`;
+	return `-${formatTime(Math.max(0, liveWindow.end - displayTime))} / ${windowLength}`;
+};
+
+// Position of a segment on the seek bar (duration in seconds, segment in ticks)
+const getSegmentRangeStyle = (segment, duration) => {
+	const toPercent = (ticks) => Math.min(100, (ticks / 10000000 / duration) * 100);
+	const left = toPercent(segment.startTicks);
+	return {left: `${left}%`, width: `${Math.max(0, toPercent(segment.endTicks) - left)}%`};
 };
 
 // ============================================================
@@ -155,6 +193,10 @@ const PlayerControls = ({
 	progressPercent,
 	isSeeking,
 	seekPosition,
+	// Live TV: seekable window in seconds, null when not live or unknown
+	isLive,
+	liveWindow,
+	isAtLiveEdge,
 	item,
 	mediaSourceId,
 	// Playback state
@@ -162,43 +204,70 @@ const PlayerControls = ({
 	playbackRate,
 	selectedAudioIndex,
 	selectedSubtitleIndex,
+	selectedSecondarySubtitleIndex,
 	selectedQuality,
 	audioStreams,
 	subtitleStreams,
 	chapters,
 	currentTime,
 	subtitleOffset,
-	// Skip intro
-	showSkipIntro,
+	// Media segments
+	mediaSegments,
+	skipSegment,
+	// SyncPlay
+	syncPlayState,
+	syncPlayGroups,
+	syncPlayError,
+	// Sleep timer
+	sleepTimer,
+	stillWatchingCountdown,
 	// Handlers
 	handleControlButtonClick,
 	handleProgressClick,
 	handleProgressKeyDown,
 	handleProgressBlur,
-	handleSkipIntro,
+	handleSkipSegment,
 	handleSelectAudio,
 	handleSelectSubtitle,
 	handleSubtitleKeyDown,
+	handleSelectSecondarySubtitle,
 	handleSelectSpeed,
 	handleSelectQuality,
 	handleSelectChapter,
 	handleOpenSubtitleOffset,
 	handleOpenSubtitleSettings,
+	handleOpenSubtitleSearch,
+	handleOpenSecondarySubtitle,
+	handleSubtitleDownloaded,
 	handleSubtitleOffsetChange,
+	handleJoinSyncPlayGroup,
+	handleCreateSyncPlayGroup,
+	handleLeaveSyncPlayGroup,
+	handleSelectSleepTimer,
+	handleApplyTranscodeRemedy,
+	handleKeepWatching,
+	handleStopWatching,
 	closeModal,
 	stopPropagation,
 	// Info modal: platform-specific rows injected as render prop
 	renderInfoPlaybackRows,
 	renderInfoVideoExtra
 }) => {
-	const { settings } = useSettings();
+	const { settings, updateSetting } = useSettings();
+	const {t, tn} = useI18n();
+	const handleToggleStatsOverlay = useCallback(() => {
+		updateSetting('showPlaybackStats', !settings.showPlaybackStats);
+	}, [settings.showPlaybackStats, updateSetting]);
+	const sleepTimerOptions = item?.Type === 'Episode'
+		? SLEEP_TIMER_OPTIONS
+		: SLEEP_TIMER_OPTIONS.filter(option => !option.episodes);
 	return (
 		<>
-			{/* Skip Intro Button */}
-			{showSkipIntro && !isAudioMode && !activeModal && !controlsVisible && (
+			{/* Skip Segment Button */}
+			{skipSegment && !isAudioMode && !activeModal && !controlsVisible && (
 				<div className={css.skipOverlay}>
-					<SpottableButton className={css.skipButton} onClick={handleSkipIntro} spotlightId="skip-intro-btn">
-						Skip Intro
+					<SpottableButton className={css.skipButton} onClick={handleSkipSegment} spotlightId="skip-segment-btn">
+						{t(SEGMENT_SKIP_LABELS[skipSegment.type])}
 					</SpottableButton>
 				</div>
 			)}
@@ -225,7 +294,7 @@ const PlayerControls = ({
 								className={`${css.controlBtn} ${btn.disabled ? css.controlBtnDisabled : ''}`}
 								data-action={btn.action}
 								onClick={btn.disabled ? undefined : handleControlButtonClick}
-								aria-label={btn.label}
+								aria-label={t(btn.label)}
 								aria-disabled={btn.disabled}
 								spotlightDisabled={focusRow !== 'top'}							spotlightId={btn.id === 'playPause' ? 'play-pause-btn' : undefined}							>
 								{btn.icon}
@@ -236,7 +305,11 @@ const PlayerControls = ({
 					{/* Progress Bar */}
 					<div className={css.progressContainer}>
 						<div className={css.timeInfoTop}>
-							<span className={css.timeEnd}>{formatEndTime(duration - displayTime, settings.clockDisplay)}</span>
+							{isLive ? (
+								<span className={`${css.liveBadge} ${isAtLiveEdge ? css.atLiveEdge : ''}`}>{t('LIVE')}</span>
+							) : (
+								<span className={css.timeEnd}>{formatEndTime(duration - displayTime, settings.clockDisplay)}</span>
+							)}
 						</div>
 						<SpottableDiv
 							className={css.progressBar}
@@ -248,8 +321,18 @@ const PlayerControls = ({
 							spotlightId="progress-bar"
 						>
 							<div className={css.progressFill} style={{width: `${progressPercent}%`}} />
+							{/* Skippable segments */}
+							{!isAudioMode && !isLive && duration > 0 && mediaSegments?.map((segment) => (
+								getSegmentAction(settings, segment.type) !== 'ignore' && (
+									<div
+										key={`${segment.type}-${segment.startTicks}`}
+										className={css.segmentRange}
+										style={getSegmentRangeStyle(segment, duration)}
+									/>
+								)
+							))}
 							<div className={css.seekIndicator} style={{left: `${progressPercent}%`}} />
-							{isSeeking && !isAudioMode && (
+							{isSeeking && !isAudioMode && !isLive && (
 								<TrickplayPreview
 									itemId={item.Id}
 									mediaSourceId={mediaSourceId}
@@ -261,7 +344,9 @@ const PlayerControls = ({
 						</SpottableDiv>
 						<div className={css.timeInfo}>
 							<span className={css.timeDisplay}>
-								{formatTime(displayTime)} / {formatTime(duration)}
+								{isLive
+									? formatLiveOffset(liveWindow, displayTime, isAtLiveEdge && !isSeeking, t)
+									: `${formatTime(displayTime)} / ${formatTime(duration)}`}
 							</span>
 						</div>
 					</div>
@@ -275,7 +360,7 @@ const PlayerControls = ({
 								className={`${css.controlBtn} ${btn.disabled ? css.controlBtnDisabled : ''}`}
 								data-action={btn.action}
 								onClick={btn.disabled ? undefined : handleControlButtonClick}
-								aria-label={btn.label}
+								aria-label={t(btn.label)}
 								aria-disabled={btn.disabled}
 								spotlightDisabled={focusRow !== 'bottom'}
 								spotlightId={btn.id === 'chapters' ? 'bottom-row-default' : undefined}
@@ -292,7 +377,7 @@ const PlayerControls = ({
 			{activeModal === 'audio' && (
 				<div className={css.trackModal} onClick={closeModal}>
 					<ModalContainer className={css.modalContent} onClick={stopPropagation} data-modal="audio" spotlightId="audio-modal">
-						<h2 className={css.modalTitle}>Select Audio Track</h2>
+						<h2 className={css.modalTitle}>{t('Select Audio Track')}</h2>
 						<div className={css.trackList}>
 							{audioStreams.map((stream) => (
 								<SpottableButton
@@ -307,7 +392,7 @@ const PlayerControls = ({
 								</SpottableButton>
 							))}
 						</div>
-						<p className={css.modalFooter}>Press BACK to close</p>
+						<p className={css.modalFooter}>{t('Press BACK to close')}</p>
 					</ModalContainer>
 				</div>
 			)}
@@ -316,7 +401,7 @@ const PlayerControls = ({
 			{activeModal === 'subtitle' && (
 				<div className={css.trackModal} onClick={closeModal}>
 					<ModalContainer className={css.modalContent} onClick={stopPropagation} data-modal="subtitle" spotlightId="subtitle-modal">
-						<h2 className={css.modalTitle}>Select Subtitle</h2>
+						<h2 className={css.modalTitle}>{t('Select Subtitle')}</h2>
 						<div className={css.trackList}>
 							<SpottableButton
 								className={`${css.trackItem} ${selectedSubtitleIndex === -1 ? css.selected : ''}`}
@@ -325,7 +410,7 @@ const PlayerControls = ({
 								onClick={handleSelectSubtitle}
 								onKeyDown={handleSubtitleKeyDown}
 							>
-								<span className={css.trackName}>Off</span>
+								<span className={css.trackName}>{t('Off')}</span>
 							</SpottableButton>
 							{subtitleStreams.map((stream) => (
 								<SpottableButton
@@ -337,15 +422,49 @@ const PlayerControls = ({
 									onKeyDown={handleSubtitleKeyDown}
 								>
 									<span className={css.trackName}>{stream.displayTitle}</span>
-									{stream.isForced && <span className={css.trackInfo}>Forced</span>}
+									{stream.isForced && <span className={css.trackInfo}>{t('Forced')}</span>}
 								</SpottableButton>
 							))}
 						</div>
 						<p className={css.modalFooter}>
-							<SpottableButton spotlightId="btn-subtitle-offset" className={css.actionBtn} onClick={handleOpenSubtitleOffset}>Offset</SpottableButton>
-							<SpottableButton spotlightId="btn-subtitle-appearance" className={css.actionBtn} onClick={handleOpenSubtitleSettings} style={{marginLeft: 15}}>Appearance</SpottableButton>
+							<SpottableButton spotlightId="btn-subtitle-offset" className={css.actionBtn} onClick={handleOpenSubtitleOffset}>{t('Offset')}</SpottableButton>
+							<SpottableButton spotlightId="btn-subtitle-appearance" className={css.actionBtn} onClick={handleOpenSubtitleSettings} style={{marginLeft: 15}}>{t('Appearance')}</SpottableButton>
+							<SpottableButton spotlightId="btn-subtitle-search" className={css.actionBtn} onClick={handleOpenSubtitleSearch} style={{marginLeft: 15}}>{t('Search')}</SpottableButton>
+							<SpottableButton spotlightId="btn-subtitle-secondary" className={css.actionBtn} onClick={handleOpenSecondarySubtitle} style={{marginLeft: 15}}>{t('Secondary')}</SpottableButton>
 						</p>
-						<p className={css.modalFooter} style={{marginTop: 5, fontSize: 14, opacity: 0.5}}>Press BACK to close</p>
+						<p className={css.modalFooter} style={{marginTop: 5, fontSize: 14, opacity: 0.5}}>{t('Press BACK to close')}</p>
+					</ModalContainer>
+				</div>
+			)}
+
+			{/* Secondary Subtitle Modal - text tracks only, drawn alongside the primary */}
+			{activeModal === 'secondarySubtitle' && (
+				<div className={css.trackModal} onClick={closeModal}>
+					<ModalContainer className={css.modalContent} onClick={stopPropagation} data-modal="secondarySubtitle" spotlightId="secondarySubtitle-modal">
+						<h2 className={css.modalTitle}>{t('Secondary Subtitle')}</h2>
+						<div className={css.trackList}>
+							<SpottableButton
+								className={`${css.trackItem} ${selectedSecondarySubtitleIndex === -1 ? css.selected : ''}`}
+								data-index={-1}
+								data-selected={selectedSecondarySubtitleIndex === -1 ? 'true' : undefined}
+								onClick={handleSelectSecondarySubtitle}
+							>
+								<span className={css.trackName}>{t('Off')}</span>
+							</SpottableButton>
+							{subtitleStreams.filter(stream => stream.isTextBased && stream.index !== selectedSubtitleIndex).map((stream) => (
+								<SpottableButton
+									key={stream.index}
+									className={`${css.trackItem} ${stream.index === selectedSecondarySubtitleIndex ? css.selected : ''}`}
+									data-index={stream.index}
+									data-selected={stream.index === selectedSecondarySubtitleIndex ? 'true' : undefined}
+									onClick={handleSelectSecondarySubtitle}
+								>
+									<span className={css.trackName}>{stream.displayTitle}</span>
+									{stream.isForced && <span className={css.trackInfo}>{t('Forced')}</span>}
+								</SpottableButton>
+							))}
+						</div>
+						<p className={css.modalFooter}>{t('Press BACK to close')}</p>
 					</ModalContainer>
 				</div>
 			)}
@@ -354,7 +473,7 @@ const PlayerControls = ({
 			{activeModal === 'speed' && (
 				<div className={css.trackModal} onClick={closeModal}>
 					<ModalContainer className={css.modalContent} onClick={stopPropagation} data-modal="speed" spotlightId="speed-modal">
-						<h2 className={css.modalTitle}>Playback Speed</h2>
+						<h2 className={css.modalTitle}>{t('Playback Speed')}</h2>
 						<div className={css.trackList}>
 							{PLAYBACK_RATES.map((rate) => (
 								<SpottableButton
@@ -364,11 +483,11 @@ const PlayerControls = ({
 									data-selected={rate === playbackRate ? 'true' : undefined}
 									onClick={handleSelectSpeed}
 								>
-									<span className={css.trackName}>{rate === 1 ? 'Normal' : `${rate}x`}</span>
+									<span className={css.trackName}>{rate === 1 ? t('Normal') : `${rate}x`}</span>
 								</SpottableButton>
 							))}
 						</div>
-						<p className={css.modalFooter}>Press BACK to close</p>
+						<p className={css.modalFooter}>{t('Press BACK to close')}</p>
 					</ModalContainer>
 				</div>
 			)}
@@ -377,7 +496,7 @@ const PlayerControls = ({
 			{activeModal === 'quality' && (
 				<div className={css.trackModal} onClick={closeModal}>
 					<ModalContainer className={css.modalContent} onClick={stopPropagation} data-modal="quality" spotlightId="quality-modal">
-						<h2 className={css.modalTitle}>Max Bitrate</h2>
+						<h2 className={css.modalTitle}>{t('Max Bitrate')}</h2>
 						<div className={css.trackList}>
 							{QUALITY_PRESETS.map((preset) => (
 								<SpottableButton
@@ -387,11 +506,11 @@ const PlayerControls = ({
 									data-selected={selectedQuality === preset.value ? 'true' : undefined}
 									onClick={handleSelectQuality}
 								>
-									<span className={css.trackName}>{preset.label}</span>
+									<span className={css.trackName}>{t(preset.label)}</span>
 								</SpottableButton>
 							))}
 						</div>
-						<p className={css.modalFooter}>Current: {playMethod || 'Unknown'}</p>
+						<p className={css.modalFooter}>{t('Current: {method}', {method: playMethod || t('Unknown')})}</p>
 					</ModalContainer>
 				</div>
 			)}
@@ -400,7 +519,7 @@ const PlayerControls = ({
 			{activeModal === 'chapter' && (
 				<div className={css.trackModal} onClick={closeModal}>
 					<ModalContainer className={`${css.modalContent} ${css.chaptersModal}`} onClick={stopPropagation} data-modal="chapter" spotlightId="chapter-modal">
-						<h2 className={css.modalTitle}>Chapters</h2>
+						<h2 className={css.modalTitle}>{t('Chapters')}</h2>
 						<div className={css.trackList}>
 							{chapters.map((chapter) => {
 								const chapterTime = chapter.startPositionTicks / 10000000;
@@ -421,7 +540,109 @@ const PlayerControls = ({
 								);
 							})}
 						</div>
-						<p className={css.modalFooter}>Press BACK to close</p>
+						<p className={css.modalFooter}>{t('Press BACK to close')}</p>
+					</ModalContainer>
+				</div>
+			)}
+
+			{/* SyncPlay Modal */}
+			{activeModal === 'syncPlay' && syncPlayState && (
+				<div className={css.trackModal} onClick={closeModal}>
+					<ModalContainer className={css.modalContent} onClick={stopPropagation} data-modal="syncPlay" spotlightId="syncPlay-modal">
+						<h2 className={css.modalTitle}>{t('SyncPlay')}</h2>
+						{syncPlayState.isInGroup ? (
+							<div className={css.trackList}>
+								<div className={`${css.trackItem} ${css.selected}`}>
+									<span className={css.trackName}>{syncPlayState.groupName}</span>
+									<span className={css.trackInfo}>{syncPlayState.groupState}</span>
+								</div>
+								{syncPlayState.participants.map((name) => (
+									<div key={name} className={css.trackItem}>
+										<span className={css.trackName}>{name}</span>
+									</div>
+								))}
+								<SpottableButton
+									className={css.trackItem}
+									data-selected="true"
+									onClick={handleLeaveSyncPlayGroup}
+								>
+									<span className={css.trackName}>{t('Leave Group')}</span>
+								</SpottableButton>
+							</div>
+						) : (
+							<div className={css.trackList}>
+								<SpottableButton
+									className={css.trackItem}
+									data-selected="true"
+									onClick={handleCreateSyncPlayGroup}
+								>
+									<span className={css.trackName}>{t('New Group')}</span>
+								</SpottableButton>
+								{syncPlayGroups.map((group) => (
+									<SpottableButton
+										key={group.GroupId}
+										className={css.trackItem}
+										data-group-id={group.GroupId}
+										onClick={handleJoinSyncPlayGroup}
+									>
+										<span className={css.trackName}>{group.GroupName}</span>
+										<span className={css.trackInfo}>
+											{(group.Participants || []).length} watching
+										</span>
+									</SpottableButton>
+								))}
+							</div>
+						)}
+						<p className={css.modalFooter}>{syncPlayError || t('Press BACK to close')}</p>
+					</ModalContainer>
+				</div>
+			)}
+
+			{/* Sleep Timer Modal */}
+			{activeModal === 'sleepTimer' && (
+				<div className={css.trackModal} onClick={closeModal}>
+					<ModalContainer className={css.modalContent} onClick={stopPropagation} data-modal="sleepTimer" spotlightId="sleepTimer-modal">
+						<h2 className={css.modalTitle}>{t('Sleep Timer')}</h2>
+						<div className={css.trackList}>
+							{sleepTimerOptions.map((option) => (
+								<SpottableButton
+									key={option.value}
+									className={`${css.trackItem} ${option.value === sleepTimer.option ? css.selected : ''}`}
+									data-value={option.value}
+									data-selected={option.value === sleepTimer.option ? 'true' : undefined}
+									onClick={handleSelectSleepTimer}
+								>
+									<span className={css.trackName}>{t(option.label)}</span>
+								</SpottableButton>
+							))}
+						</div>
+						<p className={css.modalFooter}>
+							{sleepTimer.endsAt
+								? tn('Stops in {count} minute', 'Stops in {count} minutes', Math.max(1, Math.ceil((sleepTimer.endsAt - Date.now()) / 60000)))
+								: sleepTimer.episodesLeft
+									? tn('Stops after this episode', 'Stops after {count} episodes', sleepTimer.episodesLeft)
+									: t('Press BACK to close')}
+						</p>
+					</ModalContainer>
+				</div>
+			)}
+
+			{/* Still Watching Prompt */}
+			{stillWatchingCountdown !== null && (
+				<div className={css.trackModal}>
+					<ModalContainer className={css.modalContent} data-modal="stillWatching" spotlightId="still-watching-modal">
+						<h2 className={css.modalTitle}>{t('Are you still watching?')}</h2>
+						<p className={css.modalFooter}>
+							{tn('Playback will pause in {count} second', 'Playback will pause in {count} seconds', stillWatchingCountdown)}
+						</p>
+						<p className={css.modalFooter}>
+							<SpottableButton spotlightId="still-watching-btn" className={css.actionBtn} onClick={handleKeepWatching} data-selected="true">
+								{t('Keep Watching')}
+							</SpottableButton>
+							<SpottableButton className={css.actionBtn} onClick={handleStopWatching} style={{marginLeft: 15}}>
+								{t('Pause Now')}
+							</SpottableButton>
+						</p>
 					</ModalContainer>
 				</div>
 			)}
@@ -436,11 +657,12 @@ const PlayerControls = ({
 				const subtitleStream = selectedSubtitleIndex >= 0
 					? mediaSource?.MediaStreams?.find(s => s.Index === selectedSubtitleIndex)
 					: null;
+				const transcode = playback.explainTranscode();
 
 				return (
 					<div className={css.trackModal} onClick={closeModal}>
 						<div className={`${css.modalContent} ${css.videoInfoModal}`} onClick={stopPropagation}>
-							<h2 className={css.modalTitle}>Playback Information</h2>
+							<h2 className={css.modalTitle}>{t('Playback Information')}</h2>
 							<Scroller
 								className={css.videoInfoContent}
 								direction="vertical"
@@ -449,51 +671,86 @@ const PlayerControls = ({
 							>
 								{/* Playback Section */}
 								<SpottableDiv className={css.infoSection} spotlightId="info-playback">
-									<h3 className={css.infoHeader}>Playback</h3>
+									<h3 className={css.infoHeader}>{t('Playback')}</h3>
 									<div className={`${css.infoRow} ${css.infoHighlight}`}>
-										<span className={css.infoLabel}>Play Method</span>
-										<span className={css.infoValue}>{playMethod || 'Unknown'}</span>
+										<span className={css.infoLabel}>{t('Play Method')}</span>
+										<span className={css.infoValue}>{playMethod || t('Unknown')}</span>
 									</div>
 									{/* Platform-specific playback rows */}
 									{renderInfoPlaybackRows && renderInfoPlaybackRows({css, mediaSource, playMethod})}
 									<div className={css.infoRow}>
-										<span className={css.infoLabel}>Container</span>
+										<span className={css.infoLabel}>{t('Container')}</span>
 										<span className={css.infoValue}>
-											{(mediaSource?.Container || 'Unknown').toUpperCase()}
+											{(mediaSource?.Container || t('Unknown')).toUpperCase()}
 										</span>
 									</div>
 									<div className={css.infoRow}>
-										<span className={css.infoLabel}>Bitrate</span>
+										<span className={css.infoLabel}>{t('Bitrate')}</span>
 										<span className={css.infoValue}>
 											{formatBitrate(mediaSource?.Bitrate)}
 										</span>
 									</div>
 								</SpottableDiv>
 
+								{/* Transcode Section - why, and what would avoid it */}
+								{transcode && (
+									<SpottableDiv className={css.infoSection} spotlightId="info-transcode">
+										<h3 className={css.infoHeader}>{t('Why Transcoding')}</h3>
+										{transcode.issues.map(issue => (
+											<div key={issue} className={`${css.infoRow} ${css.infoWarning}`}>
+												<span className={css.infoValue}>{t(TRANSCODE_ISSUE_LABELS[issue])}</span>
+											</div>
+										))}
+										<div className={css.infoRow}>
+											<span className={css.infoLabel}>{t('Server')}</span>
+											<span className={css.infoValue}>
+												{transcode.reasons.length ? transcode.reasons.map(formatTranscodeReason).join(', ') : t('Unknown')}
+											</span>
+										</div>
+										{transcode.remedies.length > 0 && (
+											<div className={css.transcodeRemedies}>
+												{transcode.remedies.map(remedy => (
+													<SpottableButton
+														key={`${remedy.type}-${remedy.audioStreamIndex ?? remedy.mediaSourceId ?? ''}`}
+														className={css.actionBtn}
+														data-remedy={remedy.type}
+														data-value={remedy.audioStreamIndex ?? remedy.mediaSourceId}
+														onClick={handleApplyTranscodeRemedy}
+													>
+														{remedy.type === 'audio' && t('Switch Audio to {track}', {track: remedy.label})}
+														{remedy.type === 'subtitlesOff' && t('Turn Off Burned-In Subtitles')}
+														{remedy.type === 'version' && t('Play Version: {name}', {name: remedy.label})}
+													</SpottableButton>
+												))}
+											</div>
+										)}
+									</SpottableDiv>
+								)}
+
 								{/* Video Section */}
 								{videoStream && (
 									<SpottableDiv className={css.infoSection} spotlightId="info-video">
-										<h3 className={css.infoHeader}>Video</h3>
+										<h3 className={css.infoHeader}>{t('Video')}</h3>
 										<div className={css.infoRow}>
-											<span className={css.infoLabel}>Resolution</span>
+											<span className={css.infoLabel}>{t('Resolution')}</span>
 											<span className={css.infoValue}>
 												{videoStream.Width}×{videoStream.Height}
 												{videoStream.RealFrameRate && ` @ ${Math.round(videoStream.RealFrameRate)}fps`}
 											</span>
 										</div>
 										<div className={css.infoRow}>
-											<span className={css.infoLabel}>HDR</span>
+											<span className={css.infoLabel}>{t('HDR')}</span>
 											<span className={css.infoValue}>{getHdrType(videoStream)}</span>
 										</div>
 										<div className={css.infoRow}>
-											<span className={css.infoLabel}>Codec</span>
+											<span className={css.infoLabel}>{t('Codec')}</span>
 											<span className={css.infoValue}>{getVideoCodec(videoStream)}</span>
 										</div>
 										{/* Platform-specific video rows */}
 										{renderInfoVideoExtra && renderInfoVideoExtra({css, videoStream})}
 										{videoStream.BitRate && (
 											<div className={css.infoRow}>
-												<span className={css.infoLabel}>Video Bitrate</span>
+												<span className={css.infoLabel}>{t('Video Bitrate')}</span>
 												<span className={css.infoValue}>{formatBitrate(videoStream.BitRate)}</span>
 											</div>
 										)}
@@ -503,30 +760,30 @@ const PlayerControls = ({
 								{/* Audio Section */}
 								{audioStream && (
 									<SpottableDiv className={css.infoSection} spotlightId="info-audio">
-										<h3 className={css.infoHeader}>Audio</h3>
+										<h3 className={css.infoHeader}>{t('Audio')}</h3>
 										<div className={css.infoRow}>
-											<span className={css.infoLabel}>Track</span>
+											<span className={css.infoLabel}>{t('Track')}</span>
 											<span className={css.infoValue}>
-												{audioStream.DisplayTitle || audioStream.Language || 'Unknown'}
+												{audioStream.DisplayTitle || audioStream.Language || t('Unknown')}
 											</span>
 										</div>
 										<div className={css.infoRow}>
-											<span className={css.infoLabel}>Codec</span>
+											<span className={css.infoLabel}>{t('Codec')}</span>
 											<span className={css.infoValue}>{getAudioCodec(audioStream)}</span>
 										</div>
 										<div className={css.infoRow}>
-											<span className={css.infoLabel}>Channels</span>
+											<span className={css.infoLabel}>{t('Channels')}</span>
 											<span className={css.infoValue}>{getAudioChannels(audioStream)}</span>
 										</div>
 										{audioStream.BitRate && (
 											<div className={css.infoRow}>
-												<span className={css.infoLabel}>Audio Bitrate</span>
+												<span className={css.infoLabel}>{t('Audio Bitrate')}</span>
 												<span className={css.infoValue}>{formatBitrate(audioStream.BitRate)}</span>
 											</div>
 										)}
 										{audioStream.SampleRate && (
 											<div className={css.infoRow}>
-												<span className={css.infoLabel}>Sample Rate</span>
+												<span className={css.infoLabel}>{t('Sample Rate')}</span>
 												<span className={css.infoValue}>{(audioStream.SampleRate / 1000).toFixed(1)} kHz</span>
 											</div>
 										)}
@@ -536,29 +793,38 @@ const PlayerControls = ({
 								{/* Subtitle Section */}
 								{subtitleStream && (
 									<SpottableDiv className={css.infoSection} spotlightId="info-subtitles">
-										<h3 className={css.infoHeader}>Subtitles</h3>
+										<h3 className={css.infoHeader}>{t('Subtitles')}</h3>
 										<div className={css.infoRow}>
-											<span className={css.infoLabel}>Track</span>
+											<span className={css.infoLabel}>{t('Track')}</span>
 											<span className={css.infoValue}>
-												{subtitleStream.DisplayTitle || subtitleStream.Language || 'Unknown'}
+												{subtitleStream.DisplayTitle || subtitleStream.Language || t('Unknown')}
 											</span>
 										</div>
 										<div className={css.infoRow}>
-											<span className={css.infoLabel}>Format</span>
+											<span className={css.infoLabel}>{t('Format')}</span>
 											<span className={css.infoValue}>
-												{(subtitleStream.Codec || 'Unknown').toUpperCase()}
+												{(subtitleStream.Codec || t('Unknown')).toUpperCase()}
 											</span>
 										</div>
 										<div className={css.infoRow}>
-											<span className={css.infoLabel}>Type</span>
+											<span className={css.infoLabel}>{t('Type')}</span>
 											<span className={css.infoValue}>
-												{subtitleStream.IsExternal ? 'External' : 'Embedded'}
+												{subtitleStream.IsExternal ? t('External') : t('Embedded')}
 											</span>
 										</div>
 									</SpottableDiv>
 								)}
 							</Scroller>
-							<p className={css.modalFooter}>Press BACK to close</p>
+							<p className={css.modalFooter}>
+								<SpottableButton
+									spotlightId="btn-stats-overlay"
+									className={css.actionBtn}
+									onClick={handleToggleStatsOverlay}
+								>
+									{settings.showPlaybackStats ? t('Hide Stats Overlay') : t('Show Stats Overlay')}
+								</SpottableButton>
+							</p>
+							<p className={css.modalFooter}>{t('Press BACK to close')}</p>
 						</div>
 					</div>
 				);
@@ -577,6 +843,14 @@ const PlayerControls = ({
 				visible={activeModal === 'subtitleSettings'}
 				onClose={closeModal}
 			/>
+
+			{/* Subtitle Search Modal */}
+			<SubtitleSearchOverlay
+				visible={activeModal === 'subtitleSearch'}
+				subtitleStreams={subtitleStreams}
+				onDownloaded={handleSubtitleDownloaded}
+				onClose={closeModal}
+			/>
 		</>
 	);
 };
@@ -3,6 +3,7 @@ import SpotlightContainerDecorator from '@enact/spotlight/SpotlightContainerDeco
 import Spotlight from '@enact/spotlight';
 import {useCallback, useEffect} from 'react';
 import {isBackKey} from '../../utils/keys';
+import {useI18n} from '../../context/I18nContext';
 
 import css from './Player.module.less';
 
@@ -18,6 +19,8 @@ const OffsetContainer = SpotlightContainerDecorator({
 const stopPropagation = (e) => e.stopPropagation();
 
 const SubtitleOffsetOverlay = ({visible, currentOffset, onClose, onOffsetChange}) => {
+	const {t} = useI18n();
+
 	const handleIncrease = useCallback(() => {
 		onOffsetChange(Math.round((currentOffset + 0.1) * 10) / 10);
 	}, [currentOffset, onOffsetChange]);
@@ -62,7 +65,7 @@ const SubtitleOffsetOverlay = ({visible, currentOffset, onClose, onOffsetChange}
 				onClick={stopPropagation}
 				spotlightId="offset-modal"
 			>
-				<h2 className={css.modalTitle}>Subtitle Offset</h2>
+				<h2 className={css.modalTitle}>{t('Subtitle Offset')}</h2>
 				<div className={css.offsetControls}>
 					<SpottableButton
 						className={css.offsetBtn}
@@ -89,11 +92,11 @@ const SubtitleOffsetOverlay = ({visible, currentOffset, onClose, onOffsetChange}
 						spotlightId="offset-reset"
 						data-spot-default="true"
 					>
-						Reset
+						{t('Reset')}
 					</SpottableButton>
 				</div>
 				<SpottableButton className={css.closeBtn} onClick={onClose} spotlightId="offset-close">
-					Press BACK to close
+					{t('Press BACK to close')}
 				</SpottableButton>
 			</OffsetContainer>
 		</div>
@@ -0,0 +1,188 @@
+import Spottable from '@enact/spotlight/Spottable';
+import SpotlightContainerDecorator from '@enact/spotlight/SpotlightContainerDecorator';
+import Spotlight from '@enact/spotlight';
+import Scroller from '@enact/sandstone/Scroller';
+import {useCallback, useEffect, useState} from 'react';
+import * as playback from '../../services/playback';
+import {useSettings} from '../../context/SettingsContext';
+import {useI18n} from '../../context/I18nContext';
+import {isBackKey} from '../../utils/keys';
+import {SUBTITLE_SEARCH_LANGUAGES, getDefaultSubtitleSearchLanguage} from '../../utils/subtitleConstants';
+
+import css from './Player.module.less';
+
+const SpottableButton = Spottable('button');
+
+const SearchContainer = SpotlightContainerDecorator({
+	enterTo: 'default-element',
+	defaultElement: '[data-spot-default="true"]',
+	straightOnly: false,
+	preserveId: true
+}, 'div');
+
+// Wait for the user to stop cycling languages before hitting the providers
+const SEARCH_DELAY_MS = 600;
+
+const stopPropagation = (e) => e.stopPropagation();
+
+/**
+ * Searches the server's subtitle providers for the playing item and downloads
+ * the picked result. The player gets the refreshed subtitle streams through
+ * onDownloaded and keeps playing.
+ */
+const SubtitleSearchOverlay = ({visible, subtitleStreams, onDownloaded, onClose}) => {
+	const {settings} = useSettings();
+	const {t, tn, locale, formatNumber} = useI18n();
+	const [language, setLanguage] = useState(() => getDefaultSubtitleSearchLanguage(settings, locale));
+	const [results, setResults] = useState(null);
+	const [isSearching, setIsSearching] = useState(false);
+	const [downloadingId, setDownloadingId] = useState(null);
+	const [message, setMessage] = useState(null);
+
+	useEffect(() => {
+		if (visible) {
+			setTimeout(() => {
+				Spotlight.focus('sub-search-language');
+			}, 100);
+		} else {
+			setResults(null);
+			setMessage(null);
+		}
+	}, [visible]);
+
+	useEffect(() => {
+		if (!visible) return;
+
+		const handleKeyDown = (e) => {
+			if (isBackKey(e)) {
+				e.preventDefault();
+				e.stopPropagation();
+				onClose();
+			}
+		};
+
+		window.addEventListener('keydown', handleKeyDown, true);
+		return () => window.removeEventListener('keydown', handleKeyDown, true);
+	}, [visible, onClose]);
+
+	useEffect(() => {
+		if (!visible) return;
+		let cancelled = false;
+		setIsSearching(true);
+		setMessage(null);
+		const timer = setTimeout(async () => {
+			try {
+				const found = await playback.searchRemoteSubtitles(language);
+				if (!cancelled) setResults(found);
+			} catch (err) {
+				console.error('[Player] Subtitle search failed:', err);
+				if (!cancelled) {
+					setResults([]);
+					setMessage(t('Subtitle search failed. Check that a subtitle provider is enabled on the server.'));
+				}
+			} finally {
+				if (!cancelled) setIsSearching(false);
+			}
+		}, SEARCH_DELAY_MS);
+		return () => {
+			cancelled = true;
+			clearTimeout(timer);
+		};
+	}, [visible, language, t]);
+
+	const handleCycleLanguage = useCallback(() => {
+		const index = SUBTITLE_SEARCH_LANGUAGES.findIndex(l => l.value === language);
+		setLanguage(SUBTITLE_SEARCH_LANGUAGES[(index + 1) % SUBTITLE_SEARCH_LANGUAGES.length].value);
+	}, [language]);
+
+	const handleSelectResult = useCallback(async (e) => {
+		const id = e.currentTarget.dataset.id;
+		if (!id || downloadingId) return;
+		setDownloadingId(id);
+		setMessage(t('Downloading subtitle...'));
+		try {
+			const result = await playback.downloadRemoteSubtitle(id, subtitleStreams);
+			if (!result.addedStream) {
+				setMessage(t('Downloaded. The subtitle will be listed once the server has processed it.'));
+			}
+			onDownloaded(result);
+		} catch (err) {
+			console.error('[Player] Subtitle download failed:', err);
+			setMessage(t('Could not download this subtitle'));
+		} finally {
+			setDownloadingId(null);
+		}
+	}, [downloadingId, subtitleStreams, onDownloaded, t]);
+
+	if (!visible) return null;
+
+	const languageLabel = SUBTITLE_SEARCH_LANGUAGES.find(l => l.value === language)?.label || language;
+
+	return (
+		<div className={css.trackModal} onClick={onClose}>
+			<SearchContainer
+				className={`${css.modalContent} ${css.settingsModal}`}
+				onClick={stopPropagation}
+				spotlightId="subtitle-search-modal"
+			>
+				<h2 className={css.modalTitle}>{t('Search Subtitles')}</h2>
+				<SpottableButton
+					className={css.settingItem}
+					onClick={handleCycleLanguage}
+					spotlightId="sub-search-language"
+					data-spot-default="true"
+				>
+					<span className={css.settingLabel}>{t('Language')}</span>
+					<span className={css.settingValue}>{t(languageLabel)}</span>
+				</SpottableButton>
+
+				{message && <p className={css.subtitleSearchStatus}>{message}</p>}
+
+				<Scroller
+					direction="vertical"
+					horizontalScrollbar="hidden"
+					verticalScrollbar="hidden"
+					style={{flex: 1, maxHeight: '50vh'}}
+				>
+					{isSearching && <p className={css.subtitleSearchStatus}>{t('Searching...')}</p>}
+					{!isSearching && results?.length === 0 && !message && (
+						<p className={css.subtitleSearchStatus}>{t('No subtitles found')}</p>
+					)}
+					{!isSearching && results?.length > 0 && (
+						<div className={css.trackList}>
+							{results.map((result) => (
+								<SpottableButton
+									key={result.id}
+									className={css.trackItem}
+									data-id={result.id}
+									onClick={handleSelectResult}
+									aria-busy={downloadingId === result.id}
+								>
+									<div className={css.subtitleSearchResult}>
+										<span className={css.trackName}>{result.name}</span>
+										<span className={css.trackInfo}>
+											{[
+												result.provider,
+												result.format?.toUpperCase(),
+												result.rating != null && `★ ${formatNumber(result.rating, {maximumFractionDigits: 1})}`,
+												result.downloads != null && tn('{count} download', '{count} downloads', result.downloads),
+												result.isHashMatch && t('Exact match'),
+												result.isForced && t('Forced')
+											].filter(Boolean).join(' · ')}
+										</span>
+									</div>
+								</SpottableButton>
+							))}
+						</div>
+					)}
+				</Scroller>
+
+				<SpottableButton className={css.closeBtn} onClick={onClose} spotlightId="sub-search-close">
+					{t('Press BACK to close')}
+				</SpottableButton>
+			</SearchContainer>
+		</div>
+	);
+};
+
+export default SubtitleSearchOverlay;
@@ -5,6 +5,7 @@ import Scroller from '@enact/sandstone/Scroller';
 import Slider from '@enact/sandstone/Slider';
 import {useCallback, useEffect} from 'react';
 import {useSettings} from '../../context/SettingsContext';
+import {useI18n} from '../../context/I18nContext';
 import {isBackKey} from '../../utils/keys';
 
 import css from './Player.module.less';
@@ -44,6 +45,11 @@ const SUBTITLE_POSITION_OPTIONS = [
 	{value: 'absolute', label: 'Absolute'}
 ];
 
+const SECONDARY_SUBTITLE_POSITION_OPTIONS = [
+	{value: 'top', label: 'Top'},
+	{value: 'bottom', label: 'Above Primary'}
+];
+
 const SUBTITLE_SHADOW_COLOR_OPTIONS = [
 	{value: '#000000', label: 'Black'},
 	{value: '#ffffff', label: 'White'},
@@ -78,6 +84,7 @@ const stopPropagation = (e) => e.stopPropagation();
 
 const SubtitleSettingsOverlay = ({visible, onClose}) => {
 	const {settings, updateSetting} = useSettings();
+	const {t} = useI18n();
 
 	useEffect(() => {
 		if (visible) {
@@ -142,6 +149,22 @@ const SubtitleSettingsOverlay = ({visible, onClose}) => {
 		updateSetting('subtitleBackground', e.value);
 	}, [updateSetting]);
 
+	const handleToggleForceStyle = useCallback(() => {
+		updateSetting('subtitleForceStyle', !settings.subtitleForceStyle);
+	}, [settings.subtitleForceStyle, updateSetting]);
+
+	const handleCycleSecondaryPosition = useCallback(() => {
+		cycleOption(SECONDARY_SUBTITLE_POSITION_OPTIONS, settings.secondarySubtitlePosition, updateSetting, 'secondarySubtitlePosition');
+	}, [settings.secondarySubtitlePosition, updateSetting]);
+
+	const handleCycleSecondarySize = useCallback(() => {
+		cycleOption(SUBTITLE_SIZE_OPTIONS, settings.secondarySubtitleSize, updateSetting, 'secondarySubtitleSize');
+	}, [settings.secondarySubtitleSize, updateSetting]);
+
+	const handleCycleSecondaryColor = useCallback(() => {
+		cycleOption(SUBTITLE_COLOR_OPTIONS, settings.secondarySubtitleColor, updateSetting, 'secondarySubtitleColor');
+	}, [settings.secondarySubtitleColor, updateSetting]);
+
 	if (!visible) return null;
 
 	return (
@@ -151,7 +174,7 @@ const SubtitleSettingsOverlay = ({visible, onClose}) => {
 				onClick={stopPropagation}
 				spotlightId="subtitle-settings-modal"
 			>
-				<h2 className={css.modalTitle}>Subtitle Appearance</h2>
+				<h2 className={css.modalTitle}>{t('Subtitle Appearance')}</h2>
 				<Scroller
 					direction="vertical"
 					horizontalScrollbar="hidden"
@@ -165,9 +188,9 @@ const SubtitleSettingsOverlay = ({visible, onClose}) => {
 						spotlightId="sub-setting-size"
 						data-spot-default="true"
 					>
-						<span className={css.settingLabel}>Size</span>
+						<span className={css.settingLabel}>{t('Size')}</span>
 						<span className={css.settingValue}>
-							{getLabel(SUBTITLE_SIZE_OPTIONS, settings.subtitleSize, 'Medium')}
+							{t(getLabel(SUBTITLE_SIZE_OPTIONS, settings.subtitleSize, 'Medium'))}
 						</span>
 					</SpottableButton>
 
@@ -177,9 +200,9 @@ const SubtitleSettingsOverlay = ({visible, onClose}) => {
 						onClick={handleCyclePosition}
 						spotlightId="sub-setting-position"
 					>
-						<span className={css.settingLabel}>Position</span>
+						<span className={css.settingLabel}>{t('Position')}</span>
 						<span className={css.settingValue}>
-							{getLabel(SUBTITLE_POSITION_OPTIONS, settings.subtitlePosition, 'Bottom')}
+							{t(getLabel(SUBTITLE_POSITION_OPTIONS, settings.subtitlePosition, 'Bottom'))}
 						</span>
 					</SpottableButton>
 
@@ -187,7 +210,7 @@ const SubtitleSettingsOverlay = ({visible, onClose}) => {
 					{settings.subtitlePosition === 'absolute' && (
 						<div className={css.sliderItem}>
 							<div className={css.sliderLabel}>
-								<span>Absolute Position</span>
+								<span>{t('Absolute Position')}</span>
 								<span className={css.sliderValue}>{settings.subtitlePositionAbsolute}%</span>
 							</div>
 							<Slider
@@ -208,7 +231,7 @@ const SubtitleSettingsOverlay = ({visible, onClose}) => {
 					{/* Opacity */}
 					<div className={css.sliderItem}>
 						<div className={css.sliderLabel}>
-							<span>Text Opacity</span>
+							<span>{t('Text Opacity')}</span>
 							<span className={css.sliderValue}>{settings.subtitleOpacity}%</span>
 						</div>
 						<Slider
@@ -229,9 +252,9 @@ const SubtitleSettingsOverlay = ({visible, onClose}) => {
 						onClick={handleCycleColor}
 						spotlightId="sub-setting-color"
 					>
-						<span className={css.settingLabel}>Text Color</span>
+						<span className={css.settingLabel}>{t('Text Color')}</span>
 						<span className={css.settingValue}>
-							{getLabel(SUBTITLE_COLOR_OPTIONS, settings.subtitleColor, 'White')}
+							{t(getLabel(SUBTITLE_COLOR_OPTIONS, settings.subtitleColor, 'White'))}
 						</span>
 					</SpottableButton>
 
@@ -243,16 +266,16 @@ const SubtitleSettingsOverlay = ({visible, onClose}) => {
 						onClick={handleCycleShadowColor}
 						spotlightId="sub-setting-shadowColor"
 					>
-						<span className={css.settingLabel}>Shadow Color</span>
+						<span className={css.settingLabel}>{t('Shadow Color')}</span>
 						<span className={css.settingValue}>
-							{getLabel(SUBTITLE_SHADOW_COLOR_OPTIONS, settings.subtitleShadowColor, 'Black')}
+							{t(getLabel(SUBTITLE_SHADOW_COLOR_OPTIONS, settings.subtitleShadowColor, 'Black'))}
 						</span>
 					</SpottableButton>
 
 					{/* Shadow Opacity */}
 					<div className={css.sliderItem}>
 						<div className={css.sliderLabel}>
-							<span>Shadow Opacity</span>
+							<span>{t('Shadow Opacity')}</span>
 							<span className={css.sliderValue}>{settings.subtitleShadowOpacity}%</span>
 						</div>
 						<Slider
@@ -270,7 +293,7 @@ const SubtitleSettingsOverlay = ({visible, onClose}) => {
 					{/* Shadow Blur */}
 					<div className={css.sliderItem}>
 						<div className={css.sliderLabel}>
-							<span>Shadow Size (Blur)</span>
+							<span>{t('Shadow Size (Blur)')}</span>
 							<span className={css.sliderValue}>
 								{settings.subtitleShadowBlur ? settings.subtitleShadowBlur.toFixed(1) : '0.1'}
 							</span>
@@ -295,16 +318,16 @@ const SubtitleSettingsOverlay = ({visible, onClose}) => {
 						onClick={handleCycleBackgroundColor}
 						spotlightId="sub-setting-bgColor"
 					>
-						<span className={css.settingLabel}>Background Color</span>
+						<span className={css.settingLabel}>{t('Background Color')}</span>
 						<span className={css.settingValue}>
-							{getLabel(SUBTITLE_BACKGROUND_COLOR_OPTIONS, settings.subtitleBackgroundColor, 'Black')}
+							{t(getLabel(SUBTITLE_BACKGROUND_COLOR_OPTIONS, settings.subtitleBackgroundColor, 'Black'))}
 						</span>
 					</SpottableButton>
 
 					{/* Background Opacity */}
 					<div className={css.sliderItem}>
 						<div className={css.sliderLabel}>
-							<span>Background Opacity</span>
+							<span>{t('Background Opacity')}</span>
 							<span className={css.sliderValue}>{settings.subtitleBackground}%</span>
 						</div>
 						<Slider
@@ -318,10 +341,60 @@ const SubtitleSettingsOverlay = ({visible, onClose}) => {
 							spotlightId="sub-setting-bgOpacity"
 						/>
 					</div>
+
+					<div className={css.divider} />
+
+					{/* ASS/SSA subtitles keep their own styling unless overridden */}
+					<SpottableButton
+						className={css.settingItem}
+						onClick={handleToggleForceStyle}
+						spotlightId="sub-setting-forceStyle"
+					>
+						<span className={css.settingLabel}>{t('Override Styled Subtitles')}</span>
+						<span className={css.settingValue}>
+							{settings.subtitleForceStyle ? t('On') : t('Off')}
+						</span>
+					</SpottableButton>
+
+					<div className={css.divider} />
+
+					{/* Secondary track - shares shadow and background with the primary */}
+					<SpottableButton
+						className={css.settingItem}
+						onClick={handleCycleSecondaryPosition}
+						spotlightId="sub-setting-secondaryPosition"
+					>
+						<span className={css.settingLabel}>{t('Secondary Position')}</span>
+						<span className={css.settingValue}>
+							{t(getLabel(SECONDARY_SUBTITLE_POSITION_OPTIONS, settings.secondarySubtitlePosition, 'Top'))}
+						</span>
+					</SpottableButton>
+
+					<SpottableButton
+						className={css.settingItem}
+						onClick={handleCycleSecondarySize}
+						spotlightId="sub-setting-secondarySize"
+					>
+						<span className={css.settingLabel}>{t('Secondary Size')}</span>
+						<span className={css.settingValue}>
+							{t(getLabel(SUBTITLE_SIZE_OPTIONS, settings.secondarySubtitleSize, 'Small'))}
+						</span>
+					</SpottableButton>
+
+					<SpottableButton
+						className={css.settingItem}
+						onClick={handleCycleSecondaryColor}
+						spotlightId="sub-setting-secondaryColor"
+					>
+						<span className={css.settingLabel}>{t('Secondary Text Color')}</span>
+						<span className={css.settingValue}>
+							{t(getLabel(SUBTITLE_COLOR_OPTIONS, settings.secondarySubtitleColor, 'Yellow'))}
+						</span>
+					</SpottableButton>
 				</Scroller>
 
 				<SpottableButton className={css.closeBtn} onClick={onClose} spotlightId="sub-settings-close">
-					Press BACK to close
+					{t('Press BACK to close')}
 				</SpottableButton>
 			</SettingsContainer>
 		</div>
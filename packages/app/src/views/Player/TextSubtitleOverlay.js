@@ -0,0 +1,52 @@
+import {useSettings} from '../../context/SettingsContext';
+import {
+	getSubtitleOverlayStyle,
+	getSubtitleTextStyle,
+	getSecondarySubtitleTextStyle,
+	sanitizeSubtitleHtml
+} from '../../utils/subtitleConstants';
+
+import css from './Player.module.less';
+
+/* eslint-disable react/no-danger */
+const SubtitleLine = ({text, style}) => (
+	<div
+		className={css.subtitleText}
+		style={style}
+		dangerouslySetInnerHTML={{__html: sanitizeSubtitleHtml(text)}}
+	/>
+);
+/* eslint-enable react/no-danger */
+
+/**
+ * Draws plain-text subtitles on the web layer, plus the optional secondary track.
+ * The secondary track sits at the top of the screen or stacked above the primary line.
+ *
+ * @param {string} props.text          - Current primary subtitle text
+ * @param {string} props.secondaryText - Current secondary subtitle text
+ */
+const TextSubtitleOverlay = ({text, secondaryText}) => {
+	const {settings} = useSettings();
+	const overlayStyle = getSubtitleOverlayStyle(settings);
+	const secondaryOnTop = settings.secondarySubtitlePosition === 'top';
+
+	return (
+		<>
+			{secondaryText && secondaryOnTop && (
+				<div className={`${css.subtitleOverlay} ${css.subtitleOverlayTop}`} style={{opacity: overlayStyle.opacity}}>
+					<SubtitleLine text={secondaryText} style={getSecondarySubtitleTextStyle(settings)} />
+				</div>
+			)}
+			{(text || (secondaryText && !secondaryOnTop)) && (
+				<div className={`${css.subtitleOverlay} ${css.subtitleOverlayStacked}`} style={overlayStyle}>
+					{secondaryText && !secondaryOnTop && (
+						<SubtitleLine text={secondaryText} style={getSecondarySubtitleTextStyle(settings)} />
+					)}
+					{text && <SubtitleLine text={text} style={getSubtitleTextStyle(settings)} />}
+				</div>
+			)}
+		</>
+	);
+};
+
+export default TextSubtitleOverlay;
@@ -7,15 +7,29 @@ import {
 	avplayOpen, avplayPrepare, avplayPlay, avplayPause,
 	avplaySeek, avplayGetCurrentTime, avplayGetDuration, avplayGetState,
 	avplaySetListener, avplaySetSpeed, avplaySelectTrack, avplaySetSilentSubtitle,
-	avplayGetTracks, avplaySetDisplayMethod, setDisplayWindow, cleanupAVPlay
+	avplayGetTracks, avplayGetCurrentStreamInfo, avplayGetStreamingProperty, avplayGetLiveWindow,
+	avplaySetDisplayMethod, setDisplayWindow, cleanupAVPlay
 } from '@moonfin/platform-tizen/video';
 import {useSettings} from '../../context/SettingsContext';
+import {useI18n} from '../../context/I18nContext';
 import {KEYS, isBackKey} from '../../utils/keys';
 import {getImageUrl} from '../../utils/helpers';
-import {getSubtitleOverlayStyle, getSubtitleTextStyle, sanitizeSubtitleHtml} from '../../utils/subtitleConstants';
+import {getSubtitleEventText} from '../../utils/subtitleConstants';
+import {getAssPlainText} from '../../utils/assParser';
 import {getServerUrl} from '../../services/jellyfinApi';
+import {startSleepTimer} from '../../services/sleepTimer';
+import {getSeriesTrackPreferences, matchStream, rememberAudioTrack, rememberSubtitleTrack, rememberSecondarySubtitleTrack} from '../../services/trackPreferences';
 import PlayerControls, {usePlayerButtons} from './PlayerControls';
+import AssSubtitleOverlay from './AssSubtitleOverlay';
+import BitmapSubtitleOverlay from './BitmapSubtitleOverlay';
+import TextSubtitleOverlay from './TextSubtitleOverlay';
+import PlaybackStatsOverlay from './PlaybackStatsOverlay';
+import ChannelZapOverlay from './ChannelZapOverlay';
 import useSegmentPopups from './useSegmentPopups';
+import useSyncPlay from './useSyncPlay';
+import useSleepTimer from './useSleepTimer';
+import useLiveTimeshift from './useLiveTimeshift';
+import useChannelZapping from './useChannelZapping';
 import {CONTROLS_HIDE_DELAY} from './PlayerConstants';
 
 import css from './TizenPlayer.module.less';
@@ -29,6 +43,7 @@ import css from './TizenPlayer.module.less';
  */
 const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialSubtitleIndex, onEnded, onBack, onPlayNext, audioPlaylist}) => {
 	const {settings} = useSettings();
+	const {t} = useI18n();
 
 	const [isLoading, setIsLoading] = useState(true);
 	const [isBuffering, setIsBuffering] = useState(false);
@@ -45,12 +60,19 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 	const [selectedAudioIndex, setSelectedAudioIndex] = useState(null);
 	const [selectedSubtitleIndex, setSelectedSubtitleIndex] = useState(-1);
 	const [subtitleTrackEvents, setSubtitleTrackEvents] = useState(null);
+	const [assSubtitle, setAssSubtitle] = useState(null);
+	const [bitmapSubtitle, setBitmapSubtitle] = useState(null);
 	const [subtitleOffset, setSubtitleOffset] = useState(0);
 	const [currentSubtitleText, setCurrentSubtitleText] = useState(null);
+	const [selectedSecondarySubtitleIndex, setSelectedSecondarySubtitleIndex] = useState(-1);
+	const [secondaryTrackEvents, setSecondaryTrackEvents] = useState(null);
+	const [secondarySubtitleText, setSecondarySubtitleText] = useState(null);
 	const [controlsVisible, setControlsVisible] = useState(false);
 	const [activeModal, setActiveModal] = useState(null);
 	const [playbackRate, setPlaybackRate] = useState(1);
 	const [selectedQuality, setSelectedQuality] = useState(null);
+	// Options a transcode remedy restarts this item with: {itemId, startPositionTicks, audioStreamIndex, subtitleStreamIndex, mediaSourceId}
+	const [playbackOverride, setPlaybackOverride] = useState(null);
 	const [mediaSegments, setMediaSegments] = useState(null);
 	const [nextEpisode, setNextEpisode] = useState(null);
 	const [isSeeking, setIsSeeking] = useState(false);
@@ -59,11 +81,12 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 	const [hasTriedTranscode, setHasTriedTranscode] = useState(false);
 	const [focusRow, setFocusRow] = useState('top');
 	const [isAudioMode, setIsAudioMode] = useState(false);
+	const [isLive, setIsLive] = useState(false);
 
 	// Audio playlist tracking
 	const audioPlaylistIndex = useMemo(() => {
 		if (!audioPlaylist || !item) return -1;
-		return audioPlaylist.findIndex(t => t.Id === item.Id);
+		return audioPlaylist.findIndex(track => track.Id === item.Id);
 	}, [audioPlaylist, item]);
 	const hasNextTrack = audioPlaylist && audioPlaylistIndex >= 0 && audioPlaylistIndex < audioPlaylist.length - 1;
 	const hasPrevTrack = audioPlaylist && audioPlaylistIndex > 0;
@@ -79,6 +102,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 	// Refs for stable callbacks inside AVPlay listener (avoids stale closures)
 	const handleEndedCallbackRef = useRef(null);
 	const handleErrorCallbackRef = useRef(null);
+	const handleRepeatedBufferingRef = useRef(null);
 	// Ref for time-update logic (reassigned each render to get fresh state)
 	const timeUpdateLogicRef = useRef(null);
 	// Deferred seek: only execute actual avplaySeek after user stops pressing arrows
@@ -88,6 +112,16 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 	const useNativeSubtitleRef = useRef(false);
 	// Ref for the Player container DOM element — used to walk up ancestors for transparency
 	const playerContainerRef = useRef(null);
+	// Set once the sleep timer paused playback so keepScreenOn stays released
+	const screenReleasedRef = useRef(false);
+	const isLiveRef = useRef(false);
+	const lastSeekTimeRef = useRef(0);
+
+	// Seeks buffer too; stamp them so the health monitor only counts network buffering
+	const seekAVPlay = useCallback((ms) => {
+		lastSeekTimeRef.current = Date.now();
+		return avplaySeek(ms);
+	}, []);
 
 	// Shared handler for AVPlay's onsubtitlechange callback
 	// setSilentSubtitle(true) hides native render and fires this with embedded subtitle text
@@ -103,11 +137,57 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 		}
 	}, []);
 
+	// AVPlay reports the window of the HLS playlist it follows, which is the
+	// server's transcode buffer; without one, live can only be paused
+	const getLiveWindow = useCallback(() => {
+		if (!avplayReadyRef.current) return null;
+		const range = avplayGetLiveWindow();
+		return range ? {start: range.start / 1000, end: range.end / 1000} : null;
+	}, []);
+
+	const seekLive = useCallback((seconds) => {
+		seekAVPlay(Math.floor(seconds * 1000)).catch(e => console.warn('[Player] Live seek failed:', e));
+	}, [seekAVPlay]);
+
+	const resumeLive = useCallback(() => {
+		if (avplayGetState() === 'PAUSED') {
+			avplayPlay();
+			setIsPaused(false);
+		}
+	}, []);
+
+	const restartLive = useCallback(() => {
+		setPlaybackOverride({itemId: item.Id});
+	}, [item]);
+
+	const {
+		liveWindow, isAtLiveEdge, clampToLiveWindow, getLiveProgressPercent, jumpToLive
+	} = useLiveTimeshift({
+		isLive,
+		getLiveWindow,
+		currentTime,
+		isPaused,
+		seek: seekLive,
+		play: resumeLive,
+		restart: restartLive
+	});
+
 	const {topButtons, bottomButtons} = usePlayerButtons({
-		isPaused, audioStreams, subtitleStreams, chapters,
-		nextEpisode, isAudioMode, hasNextTrack, hasPrevTrack
+		isPaused, audioStreams, chapters,
+		nextEpisode, isAudioMode, hasNextTrack, hasPrevTrack,
+		isLive, isAtLiveEdge,
+		isChannel: item?.Type === 'TvChannel'
 	});
 
+	// Seek targets stay inside the stream: the time-shift window when live, the runtime otherwise
+	const clampSeekMs = useCallback((ms) => {
+		if (isLive) {
+			const seconds = clampToLiveWindow(ms / 1000);
+			return seconds == null ? avplayGetCurrentTime() : Math.floor(seconds * 1000);
+		}
+		return Math.max(0, Math.min(avplayGetDuration(), ms));
+	}, [isLive, clampToLiveWindow]);
+
 	// ==============================
 	// AVPlay Time Update Polling
 	// ==============================
@@ -131,14 +211,14 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 		// Update custom subtitle text - match current position to subtitle events
 		if (subtitleTrackEvents && subtitleTrackEvents.length > 0) {
 			const lookupTicks = ticks - (subtitleOffset * 10000000);
-			let foundSubtitle = null;
-			for (const event of subtitleTrackEvents) {
-				if (lookupTicks >= event.StartPositionTicks && lookupTicks <= event.EndPositionTicks) {
-					foundSubtitle = event.Text;
-					break;
-				}
-			}
-			setCurrentSubtitleText(foundSubtitle);
+			setCurrentSubtitleText(getSubtitleEventText(subtitleTrackEvents, lookupTicks));
+		} else if (assSubtitle) {
+			// Styled subtitles draw themselves unless the user forces their own style
+			setCurrentSubtitleText(settings.subtitleForceStyle ? getAssPlainText(assSubtitle, time - subtitleOffset) : null);
+		}
+
+		if (secondaryTrackEvents) {
+			setSecondarySubtitleText(getSubtitleEventText(secondaryTrackEvents, ticks - (subtitleOffset * 10000000)));
 		}
 
 		checkSegments(ticks); // eslint-disable-line no-use-before-define
@@ -180,7 +260,12 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 
 		// Set AVPlay event listener
 		avplaySetListener({
-			onbufferingstart: () => { setIsBuffering(true); },
+			onbufferingstart: () => {
+				setIsBuffering(true);
+				if (healthMonitorRef.current && Date.now() - lastSeekTimeRef.current > 15000) {
+					healthMonitorRef.current.recordBuffer();
+				}
+			},
 			onbufferingcomplete: () => { setIsBuffering(false); },
 			onstreamcompleted: () => { handleEndedCallbackRef.current?.(); },
 			onerror: (eventType) => {
@@ -199,16 +284,16 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 		await avplayPrepare();
 		avplayReadyRef.current = true;
 
-		// Get duration from AVPlay (returns ms)
+		// Get duration from AVPlay (returns ms); live streams have none
 		const durationMs = avplayGetDuration();
-		if (durationMs > 0) {
+		if (durationMs > 0 && !isLiveRef.current) {
 			setDuration(durationMs / 1000);
 		}
 
 		// Seek to position if resuming
 		if (seekPositionTicks > 0) {
 			const seekMs = Math.floor(seekPositionTicks / 10000);
-			await avplaySeek(seekMs);
+			await seekAVPlay(seekMs);
 		}
 
 		// Play
@@ -217,7 +302,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 
 		// Start time update polling
 		startTimeUpdatePolling();
-	}, [startTimeUpdatePolling, stopTimeUpdatePolling, handleSubtitleChange]);
+	}, [startTimeUpdatePolling, stopTimeUpdatePolling, handleSubtitleChange, seekAVPlay]);
 
 	// ==============================
 	// Initialization
@@ -225,7 +310,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 	useEffect(() => {
 		const init = async () => {
 			await initTizenAPI();
-			await keepScreenOn(true);
+			if (!screenReleasedRef.current) await keepScreenOn(true);
 
 			// Make ALL ancestor backgrounds transparent so AVPlay video layer shows through.
 			// Enact's ThemeDecorator, Panels, and Panel components all inject opaque
@@ -316,6 +401,11 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 			setIsLoading(true);
 			setError(null);
 			resetPopups(); // eslint-disable-line no-use-before-define
+			setAssSubtitle(null);
+			setBitmapSubtitle(null);
+			setSelectedSecondarySubtitleIndex(-1);
+			setSecondaryTrackEvents(null);
+			setSecondarySubtitleText(null);
 
 			// Stop any previous playback
 			stopTimeUpdatePolling();
@@ -323,20 +413,25 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 			avplayReadyRef.current = false;
 
 			try {
+				const override = playbackOverride?.itemId === item.Id ? playbackOverride : {};
 				const savedPosition = item.UserData?.PlaybackPositionTicks || 0;
-				const startPosition = resume !== false ? savedPosition : 0;
+				const startPosition = override.startPositionTicks ?? (resume !== false ? savedPosition : 0);
 				const effectiveBitrate = selectedQuality || settings.maxBitrate || undefined;
 				const result = await playback.getPlaybackInfo(item.Id, {
 					startPositionTicks: startPosition,
 					maxBitrate: effectiveBitrate,
+					adaptiveBitrate: settings.autoQuality,
 					preferTranscode: settings.preferTranscode,
 					item: item,
-					mediaSourceId: initialMediaSourceId,
-					audioStreamIndex: initialAudioIndex != null ? initialAudioIndex : undefined
+					mediaSourceId: override.mediaSourceId ?? initialMediaSourceId,
+					audioStreamIndex: override.audioStreamIndex ?? (initialAudioIndex != null ? initialAudioIndex : undefined),
+					subtitleStreamIndex: override.subtitleStreamIndex
 				});
 
 				setPlayMethod(result.playMethod);
 				setMediaSourceId(result.mediaSourceId);
+				setIsLive(!!result.isLive);
+				isLiveRef.current = !!result.isLive;
 				playSessionRef.current = result.playSessionId;
 				positionRef.current = startPosition;
 				runTimeRef.current = result.runTimeTicks || 0;
@@ -353,9 +448,13 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				}
 				setChapters(chapterList);
 
+				// Remedy and details-page picks win over the series' remembered ones
+				const startAudioIndex = override.audioStreamIndex ?? initialAudioIndex ?? result.rememberedAudioStreamIndex;
+				const startSubtitleIndex = override.subtitleStreamIndex ?? initialSubtitleIndex ?? result.rememberedSubtitleStreamIndex;
+
 				// Handle initial audio selection
-				if (initialAudioIndex !== undefined && initialAudioIndex !== null) {
-					setSelectedAudioIndex(initialAudioIndex);
+				if (startAudioIndex !== undefined && startAudioIndex !== null) {
+					setSelectedAudioIndex(startAudioIndex);
 				} else {
 					const defaultAudio = result.audioStreams?.find(s => s.isDefault);
 					if (defaultAudio) setSelectedAudioIndex(defaultAudio.index);
@@ -363,14 +462,25 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 
 				// Track pending audio/subtitle setup (apply after AVPlay prepare)
 				let pendingAudioIndex = null;
-				if (initialAudioIndex != null) {
-					pendingAudioIndex = initialAudioIndex;
+				if (startAudioIndex != null) {
+					pendingAudioIndex = startAudioIndex;
 				}
 
 				let pendingSubAction = null;
 
+				let primarySubtitleIndex = -1;
+
 				const loadSubtitleData = async (sub) => {
-					if (sub && sub.isEmbeddedNative) {
+					primarySubtitleIndex = sub.index;
+					const styledScript = playback.isStyledSubtitle(sub) ? await playback.fetchStyledSubtitle(sub) : null;
+					setAssSubtitle(styledScript);
+					const bitmapCues = playback.isBitmapSubtitle(sub) ? await playback.fetchBitmapSubtitle(sub) : null;
+					setBitmapSubtitle(bitmapCues);
+					if (styledScript || bitmapCues) {
+						console.log('[Player] Initial: Rendering subtitle in-app (codec:', sub.codec, ')');
+						pendingSubAction = {type: 'text'};
+						setSubtitleTrackEvents(null);
+					} else if (sub && sub.isEmbeddedNative) {
 				console.log('[Player] Initial: Using native embedded subtitle (codec:', sub.codec, ')');
 						pendingSubAction = {type: 'native', stream: sub};
 						setSubtitleTrackEvents(null);
@@ -395,11 +505,11 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 					setCurrentSubtitleText(null);
 				};
 
-				if (initialSubtitleIndex !== undefined && initialSubtitleIndex !== null) {
-					if (initialSubtitleIndex >= 0) {
-						const initialSub = result.subtitleStreams?.find(s => s.index === initialSubtitleIndex);
+				if (startSubtitleIndex !== undefined && startSubtitleIndex !== null) {
+					if (startSubtitleIndex >= 0) {
+						const initialSub = result.subtitleStreams?.find(s => s.index === startSubtitleIndex);
 						if (initialSub) {
-							setSelectedSubtitleIndex(initialSubtitleIndex);
+							setSelectedSubtitleIndex(startSubtitleIndex);
 							await loadSubtitleData(initialSub);
 						}
 					} else {
@@ -424,6 +534,18 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 					}
 				}
 
+				// Secondary track remembered for this series, matched again by language
+				const {secondarySubtitle} = await getSeriesTrackPreferences(item.SeriesId);
+				const secondarySub = matchStream(result.subtitleStreams, secondarySubtitle,
+					s => s.isTextBased && s.index !== primarySubtitleIndex);
+				if (secondarySub) {
+					const data = await playback.fetchSubtitleData(secondarySub);
+					if (data?.TrackEvents) {
+						setSelectedSecondarySubtitleIndex(secondarySub.index);
+						setSecondaryTrackEvents(data.TrackEvents);
+					}
+				}
+
 				// Build title and subtitle
 				let displayTitle = item.Name;
 				let displaySubtitle = '';
@@ -442,10 +564,8 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				if (result.isAudio) {
 					setControlsVisible(true);
 				} else {
-					if (settings.skipIntro) {
-						const segments = await playback.getMediaSegments(item.Id);
-						setMediaSegments(segments);
-					}
+					const segments = await playback.getMediaSegments(item.Id, item);
+					setMediaSegments(segments);
 
 					// Load next episode for TV shows
 					if (item.Type === 'Episode') {
@@ -460,7 +580,12 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				avplaySetDisplayMethod('PLAYER_DISPLAY_MODE_LETTER_BOX');
 
 				avplaySetListener({
-					onbufferingstart: () => { setIsBuffering(true); },
+					onbufferingstart: () => {
+						setIsBuffering(true);
+						if (healthMonitorRef.current && Date.now() - lastSeekTimeRef.current > 15000) {
+							healthMonitorRef.current.recordBuffer();
+						}
+					},
 					onbufferingcomplete: () => { setIsBuffering(false); },
 					onstreamcompleted: () => { handleEndedCallbackRef.current?.(); },
 					onerror: (eventType) => {
@@ -478,9 +603,9 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				await avplayPrepare();
 				avplayReadyRef.current = true;
 
-				// Get duration from AVPlay (returns ms)
+				// Get duration from AVPlay (returns ms); live streams have none
 				const durationMs = avplayGetDuration();
-				if (durationMs > 0) {
+				if (durationMs > 0 && !result.isLive) {
 					setDuration(durationMs / 1000);
 					runTimeRef.current = Math.floor(durationMs * 10000);
 				}
@@ -488,7 +613,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				// Seek to start position if resuming
 				if (startPosition > 0) {
 					const seekMs = Math.floor(startPosition / 10000);
-					await avplaySeek(seekMs);
+					await seekAVPlay(seekMs);
 				}
 
 				// Play — must be called BEFORE setSelectTrack, which requires PLAYING or PAUSED state
@@ -502,7 +627,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				if (pendingAudioIndex != null && result.playMethod !== playback.PlayMethod.Transcode) {
 					try {
 						// Map Jellyfin stream Index → AVPlay audio track index
-						const audioTracks = allTracks.filter(t => t.type === 'AUDIO');
+						const audioTracks = allTracks.filter(track => track.type === 'AUDIO');
 						const jellyfinAudioStreams = result.audioStreams || [];
 						const jellyfinPos = jellyfinAudioStreams.findIndex(s => s.index === pendingAudioIndex);
 						if (jellyfinPos >= 0 && jellyfinPos < audioTracks.length) {
@@ -523,7 +648,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 						let nativeApplied = false;
 						try {
 							// Samsung AVPlay API uses 'TEXT' (not 'SUBTITLE') for subtitle tracks
-							const subTracks = allTracks.filter(t => t.type === 'TEXT');
+							const subTracks = allTracks.filter(track => track.type === 'TEXT');
 							if (subTracks.length > 0) {
 								const embeddedStreams = (result.subtitleStreams || []).filter(s => s.isEmbeddedNative);
 								const embeddedIndex = embeddedStreams.indexOf(pendingSubAction.stream);
@@ -568,7 +693,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 					10000,
 					() => ({ isPaused: avplayGetState() !== 'PLAYING' })
 				);
-				playback.startHealthMonitoring(handleUnhealthy);
+				playback.startHealthMonitoring(handleUnhealthy, () => handleRepeatedBufferingRef.current?.());
 				healthMonitorRef.current = playback.getHealthMonitor();
 
 				// Start time update polling
@@ -577,7 +702,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				console.log(`[Player] Loaded ${displayTitle} via ${result.playMethod} (AVPlay native)`);
 			} catch (err) {
 				console.error('[Player] Failed to load media:', err);
-				setError(err.message || 'Failed to load media');
+				setError(err.message || t('Failed to load media'));
 			} finally {
 				setIsLoading(false);
 			}
@@ -613,7 +738,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 			pendingSeekMsRef.current = null;
 		};
 	// eslint-disable-next-line react-hooks/exhaustive-deps
-	}, [item, resume, selectedQuality, settings.maxBitrate, settings.preferTranscode, settings.subtitleMode, settings.skipIntro]);
+	}, [item, resume, selectedQuality, settings.maxBitrate, settings.autoQuality, settings.preferTranscode, settings.subtitleMode, playbackOverride]);
 
 	// ==============================
 	// Controls Auto-hide
@@ -648,22 +773,85 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 		onPlayNext(episode);
 	}, [onPlayNext, stopTimeUpdatePolling]);
 
-	const onSeekToIntroEnd = useCallback(() => {
-		if (mediaSegments?.introEnd && avplayReadyRef.current) {
-			const seekMs = Math.floor(mediaSegments.introEnd / 10000);
-			avplaySeek(seekMs).catch(e => console.warn('[Player] Seek failed:', e));
+	// SyncPlay: AVPlay only supports integer speeds, so drift is corrected by seeking
+	const syncPlayPlayer = useMemo(() => ({
+		getPositionTicks: () => (avplayReadyRef.current ? Math.floor(avplayGetCurrentTime() * 10000) : positionRef.current),
+		isPlaying: () => avplayGetState() === 'PLAYING',
+		play: () => {
+			const state = avplayGetState();
+			if (state === 'PAUSED' || state === 'READY') {
+				avplayPlay();
+				setIsPaused(false);
+			}
+		},
+		pause: () => {
+			if (avplayGetState() === 'PLAYING') {
+				avplayPause();
+				setIsPaused(true);
+			}
+		},
+		seek: (ticks) => seekAVPlay(Math.floor(ticks / 10000))
+	}), [seekAVPlay]);
+
+	const {
+		syncPlayState, syncPlayGroups, syncPlayError, refreshSyncPlayGroups,
+		handleCreateSyncPlayGroup, handleJoinSyncPlayGroup, handleLeaveSyncPlayGroup,
+		requestSyncPlayPlay, requestSyncPlayPause, requestSyncPlaySeek
+	} = useSyncPlay({
+		item,
+		isReady: !isLoading && !error,
+		isBuffering,
+		player: syncPlayPlayer,
+		onPlayItem: onPlayNextWithCleanup
+	});
+
+	const pauseForSleepTimer = useCallback(() => {
+		if (avplayGetState() !== 'PLAYING' || requestSyncPlayPause()) return;
+		avplayPause();
+		setIsPaused(true);
+		playback.reportProgress(positionRef.current, {isPaused: true, eventName: 'pause'});
+	}, [requestSyncPlayPause]);
+
+	const {
+		sleepTimer, stillWatchingCountdown, screenReleased, autoPlayAllowed,
+		handleKeepWatching, handleStopWatching, handleSleepTimerKeyDown
+	} = useSleepTimer({
+		item,
+		isPaused,
+		pause: pauseForSleepTimer,
+		hideControls
+	});
+	screenReleasedRef.current = screenReleased;
+
+	const {isChannel, channelZap, openChannelGuide, handleChannelKeyDown} = useChannelZapping({
+		item,
+		onSwitchChannel: onPlayNextWithCleanup,
+		hideControls
+	});
+
+	// Let the screensaver and the TV's power settings take over again
+	useEffect(() => {
+		if (screenReleased) keepScreenOn(false);
+	}, [screenReleased]);
+
+	const onSkipSegment = useCallback((endTicks) => {
+		if (avplayReadyRef.current) {
+			if (requestSyncPlaySeek(endTicks)) return;
+			const seekMs = Math.floor(endTicks / 10000);
+			seekAVPlay(seekMs).catch(e => console.warn('[Player] Seek failed:', e));
 		}
-	}, [mediaSegments]);
+	}, [requestSyncPlaySeek, seekAVPlay]);
 
 	const {
-		showSkipIntro, showSkipCredits, showNextEpisode, nextEpisodeCountdown,
-		handleSkipIntro, handlePlayNextEpisode, cancelNextEpisodeCountdown,
+		skipSegment, showSkipCredits, showNextEpisode, nextEpisodeCountdown,
+		handleSkipSegment, handlePlayNextEpisode, cancelNextEpisodeCountdown,
 		checkSegments, handlePopupKeyDown, resetPopups
 	} = useSegmentPopups({
 		mediaSegments, nextEpisode, settings, runTimeRef,
 		activeModal, controlsVisible, hideControls, showControls,
-		onSeekToIntroEnd,
-		onPlayNext: onPlayNextWithCleanup
+		onSkipSegment,
+		onPlayNext: onPlayNextWithCleanup,
+		autoPlayAllowed
 	});
 
 	// Audio playlist: next track
@@ -680,7 +868,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 			const ms = avplayGetCurrentTime();
 			if (ms > 3000) {
 				// Restart current track
-				avplaySeek(0).catch(e => console.warn('[Player] Seek failed:', e));
+				seekAVPlay(0).catch(e => console.warn('[Player] Seek failed:', e));
 				return;
 			}
 		}
@@ -688,7 +876,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 			await playback.reportStop(positionRef.current);
 			onPlayNext(audioPlaylist[audioPlaylistIndex - 1]);
 		}
-	}, [hasPrevTrack, onPlayNext, audioPlaylist, audioPlaylistIndex]);
+	}, [hasPrevTrack, onPlayNext, audioPlaylist, audioPlaylistIndex, seekAVPlay]);
 
 	// ==============================
 	// Playback Event Handlers (via AVPlay listener refs)
@@ -701,12 +889,12 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 		// Auto-advance to next track in audio playlist
 		if (hasNextTrack && onPlayNext) {
 			onPlayNext(audioPlaylist[audioPlaylistIndex + 1]);
-		} else if (nextEpisode && onPlayNext) {
+		} else if (nextEpisode && onPlayNext && autoPlayAllowed) {
 			onPlayNext(nextEpisode);
 		} else {
 			onEnded?.();
 		}
-	}, [onEnded, onPlayNext, nextEpisode, stopTimeUpdatePolling, hasNextTrack, audioPlaylist, audioPlaylistIndex]);
+	}, [onEnded, onPlayNext, nextEpisode, stopTimeUpdatePolling, hasNextTrack, audioPlaylist, audioPlaylistIndex, autoPlayAllowed]);
 
 	const handleError = useCallback(async () => {
 		console.error('[Player] Playback error');
@@ -719,6 +907,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				const result = await playback.getPlaybackInfo(item.Id, {
 					startPositionTicks: positionRef.current,
 					maxBitrate: selectedQuality || settings.maxBitrate,
+					adaptiveBitrate: settings.autoQuality,
 					enableDirectPlay: false,
 					enableDirectStream: false,
 					enableTranscoding: true,
@@ -739,7 +928,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 						);
 					} catch (restartErr) {
 						console.error('[Player] AVPlay restart failed:', restartErr);
-						setError('Playback failed. The file format may not be supported.');
+						setError(t('Playback failed. The file format may not be supported.'));
 					}
 					return;
 				}
@@ -748,12 +937,51 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 			}
 		}
 
-		setError('Playback failed. The file format may not be supported.');
-	}, [hasTriedTranscode, playMethod, item, selectedQuality, settings.maxBitrate, startAVPlayback, mediaSourceId]);
+		setError(t('Playback failed. The file format may not be supported.'));
+	}, [hasTriedTranscode, playMethod, item, selectedQuality, settings.maxBitrate, settings.autoQuality, startAVPlayback, mediaSourceId, t]);
+
+	// An adaptive transcode that keeps buffering: drop one bitrate step and restart where we are
+	const handleRepeatedBuffering = useCallback(async () => {
+		healthMonitorRef.current?.reset();
+		// Restarting a live stream would throw away the time-shift window
+		if (isLiveRef.current) return;
+		if (Date.now() - lastSeekTimeRef.current < 15000 || avplayGetState() !== 'PLAYING') return;
+		if (!playback.stepDownStreamingBitrate()) return;
+
+		const position = positionRef.current;
+		try {
+			await playback.reportStop(position);
+			const result = await playback.getPlaybackInfo(item.Id, {
+				startPositionTicks: position,
+				maxBitrate: selectedQuality || settings.maxBitrate,
+				adaptiveBitrate: settings.autoQuality,
+				enableDirectPlay: false,
+				enableDirectStream: false,
+				enableTranscoding: true,
+				audioStreamIndex: selectedAudioIndex ?? undefined,
+				mediaSourceId: mediaSourceId,
+				item: item
+			});
+			if (result.url) {
+				setPlayMethod(result.playMethod);
+				playSessionRef.current = result.playSessionId;
+				await startAVPlayback(result.url, position);
+				playback.reportStart(position);
+				playback.startProgressReporting(
+					() => positionRef.current,
+					10000,
+					() => ({ isPaused: avplayGetState() !== 'PLAYING' })
+				);
+			}
+		} catch (err) {
+			console.error('[Player] Restart at lower bitrate failed:', err);
+		}
+	}, [item, selectedQuality, settings.maxBitrate, settings.autoQuality, selectedAudioIndex, startAVPlayback, mediaSourceId]);
 
 	// Keep callback refs in sync
 	handleEndedCallbackRef.current = handleEnded;
 	handleErrorCallbackRef.current = handleError;
+	handleRepeatedBufferingRef.current = handleRepeatedBuffering;
 
 	// ==============================
 	// Control Actions (AVPlay-based)
@@ -770,30 +998,33 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 	const handlePlayPause = useCallback(() => {
 		const state = avplayGetState();
 		if (state === 'PLAYING') {
+			if (requestSyncPlayPause()) return;
 			avplayPause();
 			setIsPaused(true);
 			playback.reportProgress(positionRef.current, { isPaused: true, eventName: 'pause' });
 		} else if (state === 'PAUSED' || state === 'READY') {
+			if (requestSyncPlayPlay()) return;
 			avplayPlay();
 			setIsPaused(false);
 			playback.reportProgress(positionRef.current, { isPaused: false, eventName: 'unpause' });
 		}
-	}, []);
+	}, [requestSyncPlayPlay, requestSyncPlayPause]);
 
 	const handleRewind = useCallback(() => {
 		if (!avplayReadyRef.current) return;
 		const ms = avplayGetCurrentTime();
-		const newMs = Math.max(0, ms - settings.seekStep * 1000);
-		avplaySeek(newMs).catch(e => console.warn('[Player] Seek failed:', e));
-	}, [settings.seekStep]);
+		const newMs = clampSeekMs(ms - settings.seekStep * 1000);
+		if (requestSyncPlaySeek(newMs * 10000)) return;
+		seekAVPlay(newMs).catch(e => console.warn('[Player] Seek failed:', e));
+	}, [settings.seekStep, clampSeekMs, requestSyncPlaySeek, seekAVPlay]);
 
 	const handleForward = useCallback(() => {
 		if (!avplayReadyRef.current) return;
 		const ms = avplayGetCurrentTime();
-		const durationMs = avplayGetDuration();
-		const newMs = Math.min(durationMs, ms + settings.seekStep * 1000);
-		avplaySeek(newMs).catch(e => console.warn('[Player] Seek failed:', e));
-	}, [settings.seekStep]);
+		const newMs = clampSeekMs(ms + settings.seekStep * 1000);
+		if (requestSyncPlaySeek(newMs * 10000)) return;
+		seekAVPlay(newMs).catch(e => console.warn('[Player] Seek failed:', e));
+	}, [settings.seekStep, clampSeekMs, requestSyncPlaySeek, seekAVPlay]);
 
 	// Modal handlers
 	const openModal = useCallback((modal) => {
@@ -829,6 +1060,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 		if (isNaN(index)) return;
 		setSelectedAudioIndex(index);
 		closeModal();
+		rememberAudioTrack(item, audioStreams.find(s => s.index === index));
 
 		try {
 			// AVPlay: try switching audio track natively first
@@ -836,7 +1068,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				try {
 					// Map Jellyfin stream Index to AVPlay's audio track index
 					const trackInfo = avplayGetTracks();
-					const audioTracks = Array.isArray(trackInfo) ? trackInfo.filter(t => t.type === 'AUDIO') : [];
+					const audioTracks = Array.isArray(trackInfo) ? trackInfo.filter(track => track.type === 'AUDIO') : [];
 					const jellyfinPos = audioStreams.findIndex(s => s.index === index);
 					if (jellyfinPos >= 0 && jellyfinPos < audioTracks.length) {
 						const tizenAudioIndex = audioTracks[jellyfinPos].index;
@@ -871,32 +1103,41 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 		} catch (err) {
 			console.error('[Player] Failed to change audio:', err);
 		}
-	}, [playMethod, closeModal, startAVPlayback, audioStreams]);
+	}, [playMethod, closeModal, startAVPlayback, audioStreams, item]);
 
-	const handleSelectSubtitle = useCallback(async (e) => {
-		const index = parseInt(e.currentTarget.dataset.index, 10);
-		if (isNaN(index)) return;
+	// Streams can be passed in when they were just refreshed (downloaded subtitle)
+	const applySubtitleTrack = useCallback(async (index, streams = subtitleStreams) => {
 		if (index === -1) {
 			setSelectedSubtitleIndex(-1);
 			setSubtitleTrackEvents(null);
+			setAssSubtitle(null);
+			setBitmapSubtitle(null);
 			setCurrentSubtitleText(null);
 			useNativeSubtitleRef.current = false;
 			if (subtitleTimeoutRef.current) clearTimeout(subtitleTimeoutRef.current);
 			avplaySetSilentSubtitle(true);
 		} else {
 			setSelectedSubtitleIndex(index);
-			const stream = subtitleStreams.find(s => s.index === index);
+			const stream = streams.find(s => s.index === index);
 
 			let nativeSuccess = false;
+			const styledScript = playback.isStyledSubtitle(stream) ? await playback.fetchStyledSubtitle(stream) : null;
+			setAssSubtitle(styledScript);
+			const bitmapCues = playback.isBitmapSubtitle(stream) ? await playback.fetchBitmapSubtitle(stream) : null;
+			setBitmapSubtitle(bitmapCues);
 
-			if (stream && stream.isEmbeddedNative) {
+			if (styledScript || bitmapCues) {
+				useNativeSubtitleRef.current = false;
+				avplaySetSilentSubtitle(true);
+				setSubtitleTrackEvents(null);
+			} else if (stream && stream.isEmbeddedNative) {
 				try {
 					const trackInfo = avplayGetTracks();
 					// Samsung AVPlay API uses 'TEXT' (not 'SUBTITLE') for subtitle tracks
-					const subTracks = Array.isArray(trackInfo) ? trackInfo.filter(t => t.type === 'TEXT') : [];
+					const subTracks = Array.isArray(trackInfo) ? trackInfo.filter(track => track.type === 'TEXT') : [];
 
 					if (subTracks.length > 0) {
-						const embeddedStreams = subtitleStreams.filter(s => s.isEmbeddedNative);
+						const embeddedStreams = streams.filter(s => s.isEmbeddedNative);
 						const embeddedIndex = embeddedStreams.indexOf(stream);
 
 						if (embeddedIndex >= 0 && embeddedIndex < subTracks.length) {
@@ -912,7 +1153,9 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				}
 			}
 
-			if (nativeSuccess) {
+			if (styledScript || bitmapCues) {
+				console.log('[Player] Rendering subtitle in-app (codec:', stream.codec, ')');
+			} else if (nativeSuccess) {
 				setSubtitleTrackEvents(null);
 				setCurrentSubtitleText(null);
 			} else if (stream && (stream.isTextBased || stream.isEmbeddedNative)) {
@@ -937,8 +1180,46 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 			}
 			setCurrentSubtitleText(null);
 		}
+	}, [subtitleStreams]);
+
+	// Manual picks carry over to the rest of the series, per audio language
+	const rememberSubtitlePick = useCallback((index, streams = subtitleStreams) => {
+		const audioLanguage = audioStreams.find(s => s.index === selectedAudioIndex)?.language;
+		rememberSubtitleTrack(item, audioLanguage, streams.find(s => s.index === index) || null);
+	}, [item, audioStreams, selectedAudioIndex, subtitleStreams]);
+
+	const handleSelectSubtitle = useCallback(async (e) => {
+		const index = parseInt(e.currentTarget.dataset.index, 10);
+		if (isNaN(index)) return;
+		await applySubtitleTrack(index);
+		rememberSubtitlePick(index);
 		closeModal();
-	}, [subtitleStreams, closeModal]);
+	}, [applySubtitleTrack, rememberSubtitlePick, closeModal]);
+
+	const handleSelectSecondarySubtitle = useCallback(async (e) => {
+		const index = parseInt(e.currentTarget.dataset.index, 10);
+		if (isNaN(index)) return;
+		const stream = index === -1 ? null : subtitleStreams.find(s => s.index === index);
+		const data = stream ? await playback.fetchSubtitleData(stream) : null;
+		const events = data?.TrackEvents || null;
+		setSelectedSecondarySubtitleIndex(events ? index : -1);
+		setSecondaryTrackEvents(events);
+		setSecondarySubtitleText(null);
+		// A failed fetch keeps the remembered track for the next episode
+		if (events || index === -1) {
+			rememberSecondarySubtitleTrack(item, events && stream);
+		}
+		closeModal();
+	}, [subtitleStreams, item, closeModal]);
+
+	const handleSubtitleDownloaded = useCallback(async ({subtitleStreams: streams, addedStream}) => {
+		setSubtitleStreams(streams);
+		if (addedStream) {
+			await applySubtitleTrack(addedStream.index, streams);
+			rememberSubtitlePick(addedStream.index, streams);
+			closeModal();
+		}
+	}, [applySubtitleTrack, rememberSubtitlePick, closeModal]);
 
 	const handleSelectSpeed = useCallback((e) => {
 		const rate = parseFloat(e.currentTarget.dataset.rate);
@@ -958,24 +1239,52 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 		closeModal();
 	}, [closeModal]);
 
+	// Restart at the current position with the option picked in the info modal
+	const handleApplyTranscodeRemedy = useCallback((e) => {
+		const {remedy, value} = e.currentTarget.dataset;
+		const override = {itemId: item.Id, startPositionTicks: positionRef.current};
+		if (remedy === 'audio') {
+			override.audioStreamIndex = parseInt(value, 10);
+			rememberAudioTrack(item, audioStreams.find(s => s.index === override.audioStreamIndex));
+		} else if (remedy === 'subtitlesOff') {
+			override.subtitleStreamIndex = -1;
+			rememberSubtitlePick(-1);
+		} else if (remedy === 'version') {
+			override.mediaSourceId = value;
+		}
+		closeModal();
+		// Stream indexes belong to one version, so a version switch starts from a clean slate
+		setPlaybackOverride(prev => (remedy === 'version' || prev?.itemId !== item.Id ? override : {...prev, ...override}));
+	}, [item, audioStreams, rememberSubtitlePick, closeModal]);
+
+	const handleSelectSleepTimer = useCallback((e) => {
+		const value = e.currentTarget.dataset.value;
+		if (!value) return;
+		startSleepTimer(value);
+		closeModal();
+	}, [closeModal]);
+
 	const handleSelectChapter = useCallback((e) => {
 		const ticks = parseInt(e.currentTarget.dataset.ticks, 10);
 		if (isNaN(ticks)) return;
-		if (avplayReadyRef.current && ticks >= 0) {
+		if (avplayReadyRef.current && ticks >= 0 && !requestSyncPlaySeek(ticks)) {
 			const seekMs = Math.floor(ticks / 10000);
-			avplaySeek(seekMs).catch(err => console.warn('[Player] Chapter seek failed:', err));
+			seekAVPlay(seekMs).catch(err => console.warn('[Player] Chapter seek failed:', err));
 		}
 		closeModal();
-	}, [closeModal]);
+	}, [closeModal, requestSyncPlaySeek, seekAVPlay]);
 
 	// Progress bar seeking
 	const handleProgressClick = useCallback((e) => {
 		if (!avplayReadyRef.current) return;
 		const rect = e.currentTarget.getBoundingClientRect();
 		const percent = (e.clientX - rect.left) / rect.width;
-		const newTimeMs = percent * duration * 1000;
-		avplaySeek(newTimeMs).catch(err => console.warn('[Player] Seek failed:', err));
-	}, [duration]);
+		const newTimeMs = isLive && liveWindow
+			? (liveWindow.start + percent * (liveWindow.end - liveWindow.start)) * 1000
+			: percent * duration * 1000;
+		if (requestSyncPlaySeek(newTimeMs * 10000)) return;
+		seekAVPlay(clampSeekMs(newTimeMs)).catch(err => console.warn('[Player] Seek failed:', err));
+	}, [duration, isLive, liveWindow, clampSeekMs, requestSyncPlaySeek, seekAVPlay]);
 
 	// Deferred seek helpers: only execute the actual avplaySeek after the user
 	// stops pressing arrow keys (debounce) or presses OK/Enter to confirm.
@@ -987,9 +1296,10 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 		if (pendingSeekMsRef.current != null && avplayReadyRef.current) {
 			const seekMs = pendingSeekMsRef.current;
 			pendingSeekMsRef.current = null;
-			avplaySeek(seekMs).catch(err => console.warn('[Player] Deferred seek failed:', err));
+			if (requestSyncPlaySeek(seekMs * 10000)) return;
+			seekAVPlay(seekMs).catch(err => console.warn('[Player] Deferred seek failed:', err));
 		}
-	}, []);
+	}, [requestSyncPlaySeek, seekAVPlay]);
 
 	const scheduleDeferredSeek = useCallback((targetMs) => {
 		pendingSeekMsRef.current = targetMs;
@@ -1013,15 +1323,14 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 			setIsSeeking(true);
 			// Use pending position if user is still seeking, otherwise use current AVPlay time
 			const baseMs = pendingSeekMsRef.current != null ? pendingSeekMsRef.current : avplayGetCurrentTime();
-			const newMs = Math.max(0, baseMs - step * 1000);
+			const newMs = clampSeekMs(baseMs - step * 1000);
 			setSeekPosition(Math.floor(newMs * 10000));
 			scheduleDeferredSeek(newMs);
 		} else if (e.key === 'ArrowRight' || e.keyCode === 39) {
 			e.preventDefault();
 			setIsSeeking(true);
 			const baseMs = pendingSeekMsRef.current != null ? pendingSeekMsRef.current : avplayGetCurrentTime();
-			const durationMs = avplayGetDuration();
-			const newMs = Math.min(durationMs, baseMs + step * 1000);
+			const newMs = clampSeekMs(baseMs + step * 1000);
 			setSeekPosition(Math.floor(newMs * 10000));
 			scheduleDeferredSeek(newMs);
 		} else if (e.key === 'Enter' || e.keyCode === 13) {
@@ -1040,7 +1349,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 			setFocusRow('bottom');
 			setIsSeeking(false);
 		}
-	}, [settings.seekStep, showControls, scheduleDeferredSeek, executeDeferredSeek]); // eslint-disable-line react-hooks/exhaustive-deps
+	}, [settings.seekStep, showControls, scheduleDeferredSeek, executeDeferredSeek, clampSeekMs]); // eslint-disable-line react-hooks/exhaustive-deps
 
 	const handleProgressBlur = useCallback(() => {
 		executeDeferredSeek();
@@ -1054,18 +1363,25 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 			case 'playPause': handlePlayPause(); break;
 			case 'rewind': handleRewind(); break;
 			case 'forward': handleForward(); break;
+			case 'jumpToLive': jumpToLive(); break;
+			case 'channelGuide': openChannelGuide(); break;
 			case 'audio': openModal('audio'); break;
 			case 'subtitle': openModal('subtitle'); break;
 			case 'speed': openModal('speed'); break;
 			case 'quality': openModal('quality'); break;
 			case 'chapter': openModal('chapter'); break;
 			case 'info': openModal('info'); break;
+			case 'sleepTimer': openModal('sleepTimer'); break;
+			case 'syncPlay':
+				refreshSyncPlayGroups();
+				openModal('syncPlay');
+				break;
 			case 'next': handlePlayNextEpisode(); break;
 			case 'nextTrack': handleNextTrack(); break;
 			case 'prevTrack': handlePrevTrack(); break;
 			default: break;
 		}
-	}, [showControls, handlePlayPause, handleRewind, handleForward, openModal, handlePlayNextEpisode, handleNextTrack, handlePrevTrack]);
+	}, [showControls, handlePlayPause, handleRewind, handleForward, jumpToLive, openChannelGuide, openModal, refreshSyncPlayGroups, handlePlayNextEpisode, handleNextTrack, handlePrevTrack]);
 
 	// Wrapper for control button clicks - reads action from data attribute
 	const handleControlButtonClick = useCallback((e) => {
@@ -1084,6 +1400,20 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 		e.stopPropagation();
 	}, []);
 
+	// Rendering-side numbers for the stats overlay. AVPlay doesn't expose
+	// dropped frames or the buffered range, so those stay unknown.
+	const getMediaStats = useCallback(() => {
+		const video = avplayGetCurrentStreamInfo().find(stream => stream.type === 'VIDEO');
+		const bandwidth = Number(avplayGetStreamingProperty('CURRENT_BANDWIDTH'));
+		return {
+			player: 'AVPlay (Native)',
+			width: Number(video?.extraInfo.Width) || undefined,
+			height: Number(video?.extraInfo.Height) || undefined,
+			bandwidth: bandwidth > 0 ? bandwidth : undefined,
+			isBuffering
+		};
+	}, [isBuffering]);
+
 	// Extracted handlers for subtitle modal navigation
 	const handleSubtitleItemKeyDown = useCallback((e) => {
 		if (e.keyCode === 39) { // Right -> Appearance
@@ -1099,6 +1429,8 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 
 	const handleOpenSubtitleOffset = useCallback(() => openModal('subtitleOffset'), [openModal]);
 	const handleOpenSubtitleSettings = useCallback(() => openModal('subtitleSettings'), [openModal]);
+	const handleOpenSubtitleSearch = useCallback(() => openModal('subtitleSearch'), [openModal]);
+	const handleOpenSecondarySubtitle = useCallback(() => openModal('secondarySubtitle'), [openModal]);
 
 	// ==============================
 	// Global Key Handler
@@ -1113,7 +1445,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				e.stopPropagation();
 				showControls();
 				const state = avplayGetState();
-				if (state === 'PAUSED' || state === 'READY') {
+				if ((state === 'PAUSED' || state === 'READY') && !requestSyncPlayPlay()) {
 					avplayPlay();
 					setIsPaused(false);
 				}
@@ -1124,7 +1456,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				e.stopPropagation();
 				showControls();
 				const state = avplayGetState();
-				if (state === 'PLAYING') {
+				if (state === 'PLAYING' && !requestSyncPlayPause()) {
 					avplayPause();
 					setIsPaused(true);
 				}
@@ -1158,7 +1490,9 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				return;
 			}
 
+			if (handleSleepTimerKeyDown(e)) return;
 			if (handlePopupKeyDown(e)) return;
+			if (!activeModal && handleChannelKeyDown(e)) return;
 
 			// Back button
 			if (isBackKey(e) || key === 'GoBack' || key === 'Backspace') {
@@ -1188,18 +1522,17 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 					// Apply deferred seek step
 					const step = settings.seekStep;
 					if (key === 'ArrowLeft' || e.keyCode === 37) {
-						const newMs = Math.max(0, ms - step * 1000);
+						const newMs = clampSeekMs(ms - step * 1000);
 						setSeekPosition(Math.floor(newMs * 10000));
 						scheduleDeferredSeek(newMs);
 					} else {
-						const durationMs = avplayGetDuration();
-						const newMs = Math.min(durationMs, ms + step * 1000);
+						const newMs = clampSeekMs(ms + step * 1000);
 						setSeekPosition(Math.floor(newMs * 10000));
 						scheduleDeferredSeek(newMs);
 					}
 					return;
 				}
-				if ((key === 'Enter' || e.keyCode === 13) && (showSkipIntro || showSkipCredits || showNextEpisode)) {
+				if ((key === 'Enter' || e.keyCode === 13) && (skipSegment || showSkipCredits || showNextEpisode)) {
 					return;
 				}
 				if (key === 'Enter' || e.keyCode === 13) {
@@ -1243,11 +1576,12 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 
 		window.addEventListener('keydown', handleKeyDown, true);
 		return () => window.removeEventListener('keydown', handleKeyDown, true);
-	}, [controlsVisible, activeModal, closeModal, hideControls, handleBack, showControls, handlePlayPause, handleForward, handleRewind, currentTime, duration, settings.seekStep, handlePopupKeyDown, bottomButtons.length, scheduleDeferredSeek, showSkipIntro, showSkipCredits, showNextEpisode]);
+	}, [controlsVisible, activeModal, closeModal, hideControls, handleBack, showControls, handlePlayPause, handleForward, handleRewind, currentTime, duration, settings.seekStep, handleSleepTimerKeyDown, handlePopupKeyDown, handleChannelKeyDown, bottomButtons.length, scheduleDeferredSeek, clampSeekMs, skipSegment, showSkipCredits, showNextEpisode, requestSyncPlayPlay, requestSyncPlayPause]);
 
 	// Calculate progress - use seekPosition when actively seeking for smooth scrubbing
 	const displayTime = isSeeking ? (seekPosition / 10000000) : currentTime;
-	const progressPercent = duration > 0 ? (displayTime / duration) * 100 : 0;
+	let progressPercent = duration > 0 ? (displayTime / duration) * 100 : 0;
+	if (isLive) progressPercent = getLiveProgressPercent(displayTime);
 
 	// Focus appropriate element when focusRow changes
 	useEffect(() => {
@@ -1272,7 +1606,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 			<div className={css.container}>
 				<div className={css.loadingIndicator}>
 					<div className={css.spinner} />
-					<p>Loading...</p>
+					<p>{t('Loading...')}</p>
 				</div>
 			</div>
 		);
@@ -1283,9 +1617,9 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 		return (
 			<div className={css.container}>
 				<div className={css.error}>
-					<h2>Playback Error</h2>
+					<h2>{t('Playback Error')}</h2>
 					<p>{error}</p>
-					<Button onClick={onBack}>Go Back</Button>
+					<Button onClick={onBack}>{t('Go Back')}</Button>
 				</div>
 			</div>
 		);
@@ -1332,22 +1666,34 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				</div>
 			)}
 
+			{/* Styled ASS/SSA subtitles - rendered on web layer above AVPlay video */}
+			{assSubtitle && !settings.subtitleForceStyle && !isAudioMode && (
+				<AssSubtitleOverlay
+					script={assSubtitle}
+					currentTime={currentTime - subtitleOffset}
+					isPaused={isPaused}
+					playbackRate={playbackRate}
+				/>
+			)}
+
+			{/* PGS/VobSub subtitles - decoded client-side so direct play can continue */}
+			{bitmapSubtitle && !isAudioMode && (
+				<BitmapSubtitleOverlay cues={bitmapSubtitle} currentTime={currentTime - subtitleOffset} />
+			)}
+
 			{/* Custom Subtitle Overlay - rendered on web layer above AVPlay video */}
-			{currentSubtitleText && !isAudioMode && (
-				<div
-					className={css.subtitleOverlay}
-					style={getSubtitleOverlayStyle(settings)}
-				>
-				{/* eslint-disable react/no-danger */}
-					<div
-						className={css.subtitleText}
-						style={getSubtitleTextStyle(settings)}
-						dangerouslySetInnerHTML={{__html: sanitizeSubtitleHtml(currentSubtitleText)}}
-					/>
-					{/* eslint-enable react/no-danger */}
-				</div>
+			{(currentSubtitleText || secondarySubtitleText) && !isAudioMode && (
+				<TextSubtitleOverlay text={currentSubtitleText} secondaryText={secondarySubtitleText} />
 			)}
 
+			<PlaybackStatsOverlay
+				visible={!isAudioMode && settings.showPlaybackStats}
+				getMediaStats={getMediaStats}
+				selectedAudioIndex={selectedAudioIndex}
+			/>
+
+			{isChannel && <ChannelZapOverlay {...channelZap} />}
+
 			{/* Video Dimmer - not needed for audio */}
 			{!isAudioMode && <div className={`${css.videoDimmer} ${controlsVisible ? css.visible : ''}`} />}
 
@@ -1368,7 +1714,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 			{/* Next Episode Overlay */}
 			{(showSkipCredits || showNextEpisode) && nextEpisode && !isAudioMode && !activeModal && !controlsVisible && (
 				<div className={css.nextEpisodeOverlay}>
-					<div className={css.nextLabel}>Up Next</div>
+					<div className={css.nextLabel}>{t('Up Next')}</div>
 					<div className={css.nextTitle}>{nextEpisode.Name}</div>
 					{nextEpisode.SeriesName && (
 						<div className={css.nextMeta}>
@@ -1377,12 +1723,12 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 					)}
 					{nextEpisodeCountdown !== null && (
 						<div className={css.nextCountdown}>
-							Starting in {nextEpisodeCountdown}s
+							{t('Starting in {seconds}s', {seconds: nextEpisodeCountdown})}
 						</div>
 					)}
 					<div className={css.nextButtons}>
-						<Button onClick={handlePlayNextEpisode} spotlightId="next-episode-play-btn">Play Now</Button>
-						<Button onClick={cancelNextEpisodeCountdown}>Hide</Button>
+						<Button onClick={handlePlayNextEpisode} spotlightId="next-episode-play-btn">{t('Play Now')}</Button>
+						<Button onClick={cancelNextEpisodeCountdown}>{t('Hide')}</Button>
 					</div>
 				</div>
 			)}
@@ -1402,39 +1748,60 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				progressPercent={progressPercent}
 				isSeeking={isSeeking}
 				seekPosition={seekPosition}
+				isLive={isLive}
+				liveWindow={liveWindow}
+				isAtLiveEdge={isAtLiveEdge}
 				item={item}
 				mediaSourceId={mediaSourceId}
 				playMethod={playMethod}
 				playbackRate={playbackRate}
 				selectedAudioIndex={selectedAudioIndex}
 				selectedSubtitleIndex={selectedSubtitleIndex}
+				selectedSecondarySubtitleIndex={selectedSecondarySubtitleIndex}
 				selectedQuality={selectedQuality}
 				audioStreams={audioStreams}
 				subtitleStreams={subtitleStreams}
 				chapters={chapters}
 				currentTime={currentTime}
 				subtitleOffset={subtitleOffset}
-				showSkipIntro={showSkipIntro}
+				mediaSegments={mediaSegments}
+				skipSegment={skipSegment}
+				syncPlayState={syncPlayState}
+				syncPlayGroups={syncPlayGroups}
+				syncPlayError={syncPlayError}
+				sleepTimer={sleepTimer}
+				stillWatchingCountdown={stillWatchingCountdown}
 				handleControlButtonClick={handleControlButtonClick}
 				handleProgressClick={handleProgressClick}
 				handleProgressKeyDown={handleProgressKeyDown}
 				handleProgressBlur={handleProgressBlur}
-				handleSkipIntro={handleSkipIntro}
+				handleSkipSegment={handleSkipSegment}
 				handleSelectAudio={handleSelectAudio}
 				handleSelectSubtitle={handleSelectSubtitle}
+				handleSelectSecondarySubtitle={handleSelectSecondarySubtitle}
 				handleSubtitleKeyDown={handleSubtitleItemKeyDown}
 				handleSelectSpeed={handleSelectSpeed}
 				handleSelectQuality={handleSelectQuality}
 				handleSelectChapter={handleSelectChapter}
 				handleOpenSubtitleOffset={handleOpenSubtitleOffset}
 				handleOpenSubtitleSettings={handleOpenSubtitleSettings}
+				handleOpenSubtitleSearch={handleOpenSubtitleSearch}
+				handleOpenSecondarySubtitle={handleOpenSecondarySubtitle}
+				handleSubtitleDownloaded={handleSubtitleDownloaded}
 				handleSubtitleOffsetChange={handleSubtitleOffsetChange}
+				handleJoinSyncPlayGroup={handleJoinSyncPlayGroup}
+				handleCreateSyncPlayGroup={handleCreateSyncPlayGroup}
+				handleLeaveSyncPlayGroup={handleLeaveSyncPlayGroup}
+				handleSelectSleepTimer={handleSelectSleepTimer}
+				handleApplyTranscodeRemedy={handleApplyTranscodeRemedy}
+				handleKeepWatching={handleKeepWatching}
+				handleStopWatching={handleStopWatching}
 				closeModal={closeModal}
 				stopPropagation={stopPropagation}
 				// eslint-disable-next-line react/jsx-no-bind
 				renderInfoPlaybackRows={({css: c}) => (
 					<div className={c.infoRow}>
-						<span className={c.infoLabel}>Player</span>
+						<span className={c.infoLabel}>{t('Player')}</span>
 						<span className={c.infoValue}>AVPlay (Native)</span>
 					</div>
 				)}
@@ -5,6 +5,8 @@ import Hls from 'hls.js';
 import * as playback from '../../services/playback';
 import {getImageUrl} from '../../utils/helpers';
 import {getServerUrl} from '../../services/jellyfinApi';
+import {startSleepTimer} from '../../services/sleepTimer';
+import {getSeriesTrackPreferences, matchStream, rememberAudioTrack, rememberSubtitleTrack, rememberSecondarySubtitleTrack} from '../../services/trackPreferences';
 import {detectWebOSVersion, getH264FallbackProfile} from '@moonfin/platform-webos/deviceProfile';
 import {
 	initLunaAPI,
@@ -17,17 +19,33 @@ import {
 	setupWebOSLifecycle
 } from '@moonfin/platform-webos/video';
 import {useSettings} from '../../context/SettingsContext';
-import {getSubtitleOverlayStyle, getSubtitleTextStyle, sanitizeSubtitleHtml} from '../../utils/subtitleConstants';
+import {useI18n} from '../../context/I18nContext';
+import {getSubtitleEventText} from '../../utils/subtitleConstants';
+import {getAssPlainText} from '../../utils/assParser';
 import PlayerControls, {usePlayerButtons} from './PlayerControls';
+import AssSubtitleOverlay from './AssSubtitleOverlay';
+import BitmapSubtitleOverlay from './BitmapSubtitleOverlay';
+import TextSubtitleOverlay from './TextSubtitleOverlay';
+import PlaybackStatsOverlay from './PlaybackStatsOverlay';
+import ChannelZapOverlay from './ChannelZapOverlay';
 import useSegmentPopups from './useSegmentPopups';
+import useSyncPlay from './useSyncPlay';
+import useSleepTimer from './useSleepTimer';
+import useLiveTimeshift from './useLiveTimeshift';
+import useChannelZapping from './useChannelZapping';
 import {
-	SpottableButton, NextEpisodeContainer, CONTROLS_HIDE_DELAY
+	SpottableButton, NextEpisodeContainer, CONTROLS_HIDE_DELAY, LIVE_CLIENT_WINDOW_SECONDS
 } from './PlayerConstants';
 
 import css from './WebOSPlayer.module.less';
 
+// Back buffer once the server's transcode keeps the whole stream; seeks further
+// back are fetched again from the server's window
+const LIVE_SERVER_BACK_BUFFER_SECONDS = 90;
+
 const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialSubtitleIndex, onEnded, onBack, onPlayNext, audioPlaylist}) => {
 	const {settings} = useSettings();
+	const {t} = useI18n();
 
 	const [mediaUrl, setMediaUrl] = useState(null);
 	const [mimeType, setMimeType] = useState('video/mp4');
@@ -46,12 +64,19 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 	const [selectedAudioIndex, setSelectedAudioIndex] = useState(null);
 	const [selectedSubtitleIndex, setSelectedSubtitleIndex] = useState(-1);
 	const [subtitleTrackEvents, setSubtitleTrackEvents] = useState(null)
+	const [assSubtitle, setAssSubtitle] = useState(null);
+	const [bitmapSubtitle, setBitmapSubtitle] = useState(null);
 	const [currentSubtitleText, setCurrentSubtitleText] = useState(null);
+	const [selectedSecondarySubtitleIndex, setSelectedSecondarySubtitleIndex] = useState(-1);
+	const [secondaryTrackEvents, setSecondaryTrackEvents] = useState(null);
+	const [secondarySubtitleText, setSecondarySubtitleText] = useState(null);
 	const [subtitleOffset, setSubtitleOffset] = useState(0);
 	const [controlsVisible, setControlsVisible] = useState(false);
 	const [activeModal, setActiveModal] = useState(null);
 	const [playbackRate, setPlaybackRate] = useState(1);
 	const [selectedQuality, setSelectedQuality] = useState(null);
+	// Options a transcode remedy restarts this item with: {itemId, startPositionTicks, audioStreamIndex, subtitleStreamIndex, mediaSourceId}
+	const [playbackOverride, setPlaybackOverride] = useState(null);
 	const [mediaSegments, setMediaSegments] = useState(null);
 	const [nextEpisode, setNextEpisode] = useState(null);
 	const [isSeeking, setIsSeeking] = useState(false);
@@ -60,9 +85,10 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 	const [hasTriedTranscode, setHasTriedTranscode] = useState(false);
 	const [focusRow, setFocusRow] = useState('top');
 	const [isAudioMode, setIsAudioMode] = useState(false);
+	const [isLive, setIsLive] = useState(false);
 	const audioPlaylistIndex = useMemo(() => {
 		if (!audioPlaylist || !item) return -1;
-		return audioPlaylist.findIndex(t => t.Id === item.Id);
+		return audioPlaylist.findIndex(track => track.Id === item.Id);
 	}, [audioPlaylist, item]);
 	const hasNextTrack = audioPlaylist && audioPlaylistIndex >= 0 && audioPlaylistIndex < audioPlaylist.length - 1;
 	const hasPrevTrack = audioPlaylist && audioPlaylistIndex > 0;
@@ -85,6 +111,8 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 	const isHandlingErrorRef = useRef(false);
 	const sourceTransitionRef = useRef(false);
 	const transcodeRetryCountRef = useRef(0);
+	// Set once the sleep timer paused playback so keepScreenOn stays released
+	const screenReleasedRef = useRef(false);
 	const forceHlsJsRef = useRef(false);
 	const prevItemIdRef = useRef(null);
 	const hlsPlayerRef = useRef(null);
@@ -95,6 +123,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 	const pendingResumeTicksRef = useRef(0);
 	const hasReportedStartRef = useRef(false);
 	const lastSeekTimeRef = useRef(0);
+	const isLiveRef = useRef(false);
 
 	const destroyHlsPlayer = () => {
 		if (hlsPlayerRef.current) {
@@ -103,15 +132,58 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 		}
 	};
 
+	// From the oldest point still seekable or buffered up to where hls.js sits at the live edge
+	const getLiveWindow = useCallback(() => {
+		const video = videoRef.current;
+		if (!video || !video.seekable.length) return null;
+		const seekableEnd = video.seekable.end(video.seekable.length - 1);
+		const bufferedStart = video.buffered.length ? video.buffered.start(0) : seekableEnd;
+		const start = Math.min(video.seekable.start(0), bufferedStart);
+		const end = hlsPlayerRef.current?.liveSyncPosition ?? seekableEnd;
+		return end > start ? {start, end} : null;
+	}, []);
+
+	const seekLive = useCallback((seconds) => {
+		if (!videoRef.current) return;
+		lastSeekTimeRef.current = Date.now();
+		if (healthMonitorRef.current) healthMonitorRef.current.reset();
+		videoRef.current.currentTime = seconds;
+	}, []);
+
+	const resumeLive = useCallback(() => {
+		const p = videoRef.current?.play();
+		if (p && typeof p.catch === 'function') {
+			p.catch(err => console.warn('[Player] Resume at live edge failed:', err));
+		}
+	}, []);
+
+	const restartLive = useCallback(() => {
+		setPlaybackOverride({itemId: item.Id});
+	}, [item]);
+
+	const {
+		liveWindow, isAtLiveEdge, clampToLiveWindow, getLiveProgressPercent, jumpToLive
+	} = useLiveTimeshift({
+		isLive,
+		getLiveWindow,
+		currentTime,
+		isPaused,
+		seek: seekLive,
+		play: resumeLive,
+		restart: restartLive
+	});
+
 	const {topButtons, bottomButtons} = usePlayerButtons({
-		isPaused, audioStreams, subtitleStreams, chapters,
-		nextEpisode, isAudioMode, hasNextTrack, hasPrevTrack
+		isPaused, audioStreams, chapters,
+		nextEpisode, isAudioMode, hasNextTrack, hasPrevTrack,
+		isLive, isAtLiveEdge,
+		isChannel: item?.Type === 'TvChannel'
 	});
 
 	useEffect(() => {
 		const init = async () => {
 			await initLunaAPI();
-			await keepScreenOn(true);
+			if (!screenReleasedRef.current) await keepScreenOn(true);
 
 			unregisterAppStateRef.current = registerAppStateObserver(
 				() => {
@@ -233,7 +305,6 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 			maxBitrate: settings.maxBitrate,
 			preferTranscode: settings.preferTranscode,
 			subtitleMode: settings.subtitleMode,
-			skipIntro: settings.skipIntro,
 			initialAudioIndex,
 			initialSubtitleIndex
 		});
@@ -255,12 +326,18 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 
 			resetPopups(); // eslint-disable-line no-use-before-define
 			setNextEpisode(null);
+			setAssSubtitle(null);
+			setBitmapSubtitle(null);
+			setSelectedSecondarySubtitleIndex(-1);
+			setSecondaryTrackEvents(null);
+			setSecondarySubtitleText(null);
 
 			await waitForDecoderRelease();
 
 			try {
+				const override = playbackOverride?.itemId === item.Id ? playbackOverride : {};
 				const savedPosition = item.UserData?.PlaybackPositionTicks || 0;
-				const startPosition = resume !== false ? savedPosition : 0;
+				const startPosition = override.startPositionTicks ?? (resume !== false ? savedPosition : 0);
 				console.log('[Player] Start position:', {
 					resume,
 					savedPosition,
@@ -270,12 +347,13 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				const result = await playback.getPlaybackInfo(item.Id, {
 					startPositionTicks: startPosition,
 					maxBitrate: selectedQuality || settings.maxBitrate,
+					adaptiveBitrate: settings.autoQuality,
 					enableDirectPlay: !settings.preferTranscode,
 					enableDirectStream: !settings.preferTranscode,
 					forceDirectPlay: settings.forceDirectPlay,
-					mediaSourceId: initialMediaSourceId,
-					audioStreamIndex: initialAudioIndex,
-					subtitleStreamIndex: initialSubtitleIndex,
+					mediaSourceId: override.mediaSourceId ?? initialMediaSourceId,
+					audioStreamIndex: override.audioStreamIndex ?? initialAudioIndex,
+					subtitleStreamIndex: override.subtitleStreamIndex ?? initialSubtitleIndex,
 					item: item
 				});
 
@@ -283,6 +361,8 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				setMimeType(result.mimeType || 'video/mp4');
 				setPlayMethod(result.playMethod);
 				setMediaSourceId(result.mediaSourceId);
+				setIsLive(!!result.isLive);
+				isLiveRef.current = !!result.isLive;
 				playSessionRef.current = result.playSessionId;
 
 				positionRef.current = startPosition;
@@ -312,12 +392,16 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				setSubtitleStreams(result.subtitleStreams || []);
 				setChapters(result.chapters || []);
 
+				// Remedy and details-page picks win over the series' remembered ones
+				const startAudioIndex = override.audioStreamIndex ?? initialAudioIndex ?? result.rememberedAudioStreamIndex;
+				const startSubtitleIndex = override.subtitleStreamIndex ?? initialSubtitleIndex ?? result.rememberedSubtitleStreamIndex;
+
 				const defaultAudio = result.audioStreams?.find(s => s.isDefault);
-				if (initialAudioIndex !== undefined && initialAudioIndex !== null) {
-					setSelectedAudioIndex(initialAudioIndex);
+				if (startAudioIndex !== undefined && startAudioIndex !== null) {
+					setSelectedAudioIndex(startAudioIndex);
 					// Store for onFirstTimeUpdate to apply via audioTracks API
 					pendingAudioRef.current = {
-						streamIndex: initialAudioIndex,
+						streamIndex: startAudioIndex,
 						audioStreams: result.audioStreams || []
 					};
 				} else if (defaultAudio) {
@@ -326,7 +410,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				}
 
 				console.log('[Player] === SUBTITLE SELECTION START ===');
-				console.log('[Player] initialSubtitleIndex:', initialSubtitleIndex);
+				console.log('[Player] startSubtitleIndex:', startSubtitleIndex);
 				console.log('[Player] subtitleMode:', settings.subtitleMode);
 				console.log('[Player] availableSubtitles:', result.subtitleStreams?.length || 0);
 				if (result.subtitleStreams) {
@@ -335,10 +419,20 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 					});
 				}
 
+				let primarySubtitleIndex = -1;
+
 				// Helper to load subtitle data
 				const loadSubtitleData = async (sub) => {
+					primarySubtitleIndex = sub.index;
 					console.log('[Player] loadSubtitleData called for:', sub?.index, 'isTextBased:', sub?.isTextBased);
-					if (sub && sub.isTextBased) {
+					const styledScript = playback.isStyledSubtitle(sub) ? await playback.fetchStyledSubtitle(sub) : null;
+					setAssSubtitle(styledScript);
+					const bitmapCues = playback.isBitmapSubtitle(sub) ? await playback.fetchBitmapSubtitle(sub) : null;
+					setBitmapSubtitle(bitmapCues);
+					if (styledScript || bitmapCues) {
+						console.log('[Player] Rendering subtitle in-app (codec:', sub.codec, ')');
+						setSubtitleTrackEvents(null);
+					} else if (sub && sub.isTextBased) {
 						try {
 							console.log('[Player] Fetching subtitle JSON data...');
 							const data = await playback.fetchSubtitleData(sub);
@@ -361,18 +455,18 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 					setCurrentSubtitleText(null);
 				};
 
-				if (initialSubtitleIndex !== undefined && initialSubtitleIndex !== null) {
-					console.log('[Player] Using initialSubtitleIndex path');
-					if (initialSubtitleIndex >= 0) {
-						const selectedSub = result.subtitleStreams?.find(s => s.index === initialSubtitleIndex);
+				if (startSubtitleIndex !== undefined && startSubtitleIndex !== null) {
+					console.log('[Player] Using startSubtitleIndex path');
+					if (startSubtitleIndex >= 0) {
+						const selectedSub = result.subtitleStreams?.find(s => s.index === startSubtitleIndex);
 						if (selectedSub) {
-							console.log('[Player] Using initial subtitle index:', initialSubtitleIndex);
-							setSelectedSubtitleIndex(initialSubtitleIndex);
+							console.log('[Player] Using initial subtitle index:', startSubtitleIndex);
+							setSelectedSubtitleIndex(startSubtitleIndex);
 							await loadSubtitleData(selectedSub);
 						}
 					} else {
 						// -1 means subtitles off
-						console.log('[Player] initialSubtitleIndex is -1, subtitles off');
+						console.log('[Player] startSubtitleIndex is -1, subtitles off');
 						setSelectedSubtitleIndex(-1);
 						setSubtitleTrackEvents(null);
 					}
@@ -407,6 +501,18 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				}
 				console.log('[Player] === SUBTITLE SELECTION END ===');
 
+				// Secondary track remembered for this series, matched again by language
+				const {secondarySubtitle} = await getSeriesTrackPreferences(item.SeriesId);
+				const secondarySub = matchStream(result.subtitleStreams, secondarySubtitle,
+					s => s.isTextBased && s.index !== primarySubtitleIndex);
+				if (secondarySub) {
+					const data = await playback.fetchSubtitleData(secondarySub);
+					if (data?.TrackEvents) {
+						setSelectedSecondarySubtitleIndex(secondarySub.index);
+						setSecondaryTrackEvents(data.TrackEvents);
+					}
+				}
+
 				let displayTitle = item.Name;
 				let displaySubtitle = '';
 				if (item.SeriesName) {
@@ -424,10 +530,8 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				if (result.isAudio) {
 					setControlsVisible(true);
 				} else {
-					if (settings.skipIntro) {
-						const segments = await playback.getMediaSegments(item.Id);
-						setMediaSegments(segments);
-					}
+					const segments = await playback.getMediaSegments(item.Id, item);
+					setMediaSegments(segments);
 
 					if (item.Type === 'Episode') {
 						const next = await playback.getNextEpisode(item);
@@ -438,7 +542,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				console.log(`[Player] Loaded ${displayTitle} via ${result.playMethod}`);
 			} catch (err) {
 				console.error('[Player] Failed to load media:', err);
-				setError(err.message || 'Failed to load media');
+				setError(err.message || t('Failed to load media'));
 			} finally {
 				setIsLoading(false);
 			}
@@ -497,7 +601,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 			}
 		};
 	// eslint-disable-next-line react-hooks/exhaustive-deps
-	}, [item, resume, selectedQuality, settings.maxBitrate, settings.preferTranscode, settings.forceDirectPlay, settings.subtitleMode, settings.skipIntro, initialAudioIndex, initialSubtitleIndex]);
+	}, [item, resume, selectedQuality, settings.maxBitrate, settings.autoQuality, settings.preferTranscode, settings.forceDirectPlay, settings.subtitleMode, initialAudioIndex, initialSubtitleIndex, playbackOverride]);
 
 	useEffect(() => {
 		if (mediaUrl) {
@@ -537,6 +641,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 			const result = await playback.getPlaybackInfo(item.Id, {
 				startPositionTicks: seekPositionTicks,
 				maxBitrate: selectedQuality || settings.maxBitrate,
+				adaptiveBitrate: settings.autoQuality,
 				enableDirectPlay: false,
 				enableDirectStream: false,
 				enableTranscoding: true,
@@ -562,7 +667,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 			}
 		} catch (err) {
 			console.error('[Player] seekInTranscode failed:', err);
-			setError('Failed to seek - please try again');
+			setError(t('Failed to seek - please try again'));
 		} finally {
 			sourceTransitionRef.current = false;
 			seekingTranscodeRef.current = false;
@@ -572,9 +677,17 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				setTimeout(() => seekInTranscode(lastSeekTargetRef.current), 100);
 			}
 		}
-	}, [item, selectedQuality, settings.maxBitrate, mediaSourceId]);
+	}, [item, selectedQuality, settings.maxBitrate, settings.autoQuality, mediaSourceId, t]);
 
 	const seekByOffset = useCallback((deltaSec, updateSeekPosition) => {
+		// Live seeks stay on the current stream, inside the kept window
+		if (isLive) {
+			const liveTarget = clampToLiveWindow((videoRef.current?.currentTime || 0) + deltaSec);
+			if (liveTarget == null) return;
+			if (updateSeekPosition) setSeekPosition(Math.floor(liveTarget * 10000000));
+			seekLive(liveTarget);
+			return;
+		}
 		const baseTime = (playMethod === 'Transcode')
 			? ((lastSeekTargetRef.current != null ? lastSeekTargetRef.current : positionRef.current) / 10000000)
 			: (videoRef.current ? videoRef.current.currentTime : 0);
@@ -599,10 +712,15 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				console.warn('[Player] seekByOffset: failed to set currentTime:', e);
 			}
 		}
-	}, [duration, playMethod, seekInTranscode]);
+	}, [duration, playMethod, seekInTranscode, isLive, clampToLiveWindow, seekLive]);
 
 	const seekToTicks = useCallback((ticks) => {
 		if (!videoRef.current) return;
+		if (isLive) {
+			const target = clampToLiveWindow(ticks / 10000000);
+			if (target != null) seekLive(target);
+			return;
+		}
 		const maxTicks = Math.max(0, runTimeRef.current - 10000000); // 1s before end
 		const clampedTicks = Math.max(0, Math.min(ticks, maxTicks));
 		positionRef.current = clampedTicks;
@@ -618,7 +736,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				console.warn('[Player] seekToTicks: failed to set currentTime:', e);
 			}
 		}
-	}, [playMethod, seekInTranscode]);
+	}, [playMethod, seekInTranscode, isLive, clampToLiveWindow, seekLive]);
 
 	useEffect(() => {
 		const video = videoRef.current;
@@ -647,8 +765,9 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 
 			const isHls = mimeType === 'application/x-mpegURL' || mediaUrl.includes('.m3u8');
 			const webosVersion = detectWebOSVersion();
-			// forceHlsJsRef overrides native when HEVC decoding already failed
-			const nativeHlsOk = !forceHlsJsRef.current
+			// forceHlsJsRef overrides native when HEVC decoding already failed;
+			// live streams always use hls.js so the time-shift window can be kept and measured
+			const nativeHlsOk = !forceHlsJsRef.current && !isLiveRef.current
 				&& !!(video.canPlayType('application/x-mpegURL').replace(/no/, ''));
 			const useHlsJs = isHls && !nativeHlsOk && Hls.isSupported();
 			console.log('[Player] Source type:', { isHls, mimeType, autoplay: video.autoplay, webosVersion, nativeHlsOk, useHlsJs, forceHlsJs: forceHlsJsRef.current });
@@ -667,6 +786,11 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 					startFragPrefetch: true,
 					maxBufferHole: 0.5,
 					nudgeMaxRetry: 5,
+					// Live: keep the last few minutes played so pausing and rewinding work without a server buffer
+					...(isLiveRef.current && {
+						backBufferLength: LIVE_CLIENT_WINDOW_SECONDS,
+						liveDurationInfinity: true
+					})
 				});
 				hlsPlayerRef.current = hls;
 				let hlsPlayStarted = false;
@@ -699,6 +823,16 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 					}
 				});
 
+				// An EVENT playlist keeps every segment since tune-in on the server, so the
+				// client only needs a short back buffer for quick rewinds
+				hls.on(Hls.Events.LEVEL_LOADED, (event, data) => {
+					if (!isLiveRef.current || data.details?.type !== 'EVENT') return;
+					if (hls.config.backBufferLength !== LIVE_SERVER_BACK_BUFFER_SECONDS) {
+						console.log('[Player] Live time-shift using the server transcode buffer');
+						hls.config.backBufferLength = LIVE_SERVER_BACK_BUFFER_SECONDS;
+					}
+				});
+
 				hls.on(Hls.Events.FRAG_LOADING, (event, data) => {
 					console.log('[Player] hls.js loading fragment:', data.frag?.sn);
 				});
@@ -865,26 +999,111 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 		}
 	}, [hasTriedTranscode, playMethod]);
 
+	// An adaptive transcode that keeps buffering: drop one bitrate step and restart where we are
+	const handleRepeatedBuffering = useCallback(() => {
+		if (healthMonitorRef.current) healthMonitorRef.current.reset();
+		// Restarting a live stream would throw away the time-shift window
+		if (isLiveRef.current) return;
+		if (Date.now() - lastSeekTimeRef.current < 15000 || videoRef.current?.paused) return;
+		if (playback.stepDownStreamingBitrate()) {
+			seekInTranscode(positionRef.current);
+		}
+	}, [seekInTranscode]);
+
 	const onPlayNextWithCleanup = useCallback(async (episode) => {
 		await playback.reportStop(positionRef.current);
 		onPlayNext(episode);
 	}, [onPlayNext]);
 
-	const onSeekToIntroEnd = useCallback(() => {
-		if (mediaSegments?.introEnd && videoRef.current) {
-			seekToTicks(mediaSegments.introEnd);
+	// SyncPlay: small drift is absorbed through playbackRate, larger drift by seeking
+	const syncPlayPlayer = useMemo(() => ({
+		getPositionTicks: () => (videoRef.current
+			? Math.floor(videoRef.current.currentTime * 10000000) + transcodeOffsetTicksRef.current
+			: positionRef.current),
+		isPlaying: () => !!videoRef.current && !videoRef.current.paused,
+		play: () => {
+			const p = videoRef.current?.play();
+			if (p && typeof p.catch === 'function') {
+				p.catch(err => console.warn('[Player] SyncPlay play failed:', err));
+			}
+		},
+		pause: () => videoRef.current?.pause(),
+		seek: (ticks) => seekToTicks(ticks),
+		setRate: (rate) => {
+			if (videoRef.current) videoRef.current.playbackRate = rate;
 		}
-	}, [mediaSegments, seekToTicks]);
+	}), [seekToTicks]);
 
 	const {
-		showSkipIntro, showSkipCredits, showNextEpisode, nextEpisodeCountdown,
-		handleSkipIntro, handlePlayNextEpisode, cancelNextEpisodeCountdown,
+		syncPlayState, syncPlayGroups, syncPlayError, refreshSyncPlayGroups,
+		handleCreateSyncPlayGroup, handleJoinSyncPlayGroup, handleLeaveSyncPlayGroup,
+		requestSyncPlayPlay, requestSyncPlayPause, requestSyncPlaySeek
+	} = useSyncPlay({
+		item,
+		isReady: !isLoading && !error,
+		isBuffering,
+		player: syncPlayPlayer,
+		onPlayItem: onPlayNextWithCleanup
+	});
+
+	// Relative seek that goes through the group while in SyncPlay
+	const seekBy = useCallback((deltaSec, updateSeekPosition) => {
+		if (!syncPlayState.isInGroup) {
+			seekByOffset(deltaSec, updateSeekPosition);
+			return;
+		}
+		const baseTicks = lastSeekTargetRef.current != null ? lastSeekTargetRef.current : positionRef.current;
+		const maxTicks = Math.max(0, (duration - 1) * 10000000);
+		const newTicks = Math.max(0, Math.min(maxTicks, baseTicks + deltaSec * 10000000));
+		if (updateSeekPosition) setSeekPosition(newTicks);
+		lastSeekTargetRef.current = newTicks;
+		requestSyncPlaySeek(newTicks);
+	}, [syncPlayState.isInGroup, seekByOffset, duration, requestSyncPlaySeek]);
+
+	const pauseForSleepTimer = useCallback(() => {
+		if (videoRef.current && !videoRef.current.paused && !requestSyncPlayPause()) {
+			videoRef.current.pause();
+		}
+	}, [requestSyncPlayPause]);
+
+	const {
+		sleepTimer, stillWatchingCountdown, screenReleased, autoPlayAllowed,
+		handleKeepWatching, handleStopWatching, handleSleepTimerKeyDown
+	} = useSleepTimer({
+		item,
+		isPaused,
+		pause: pauseForSleepTimer,
+		hideControls
+	});
+	screenReleasedRef.current = screenReleased;
+
+	const {isChannel, channelZap, openChannelGuide, handleChannelKeyDown} = useChannelZapping({
+		item,
+		onSwitchChannel: onPlayNextWithCleanup,
+		hideControls
+	});
+
+	// Let the screensaver and the TV's power settings take over again
+	useEffect(() => {
+		if (screenReleased) keepScreenOn(false);
+	}, [screenReleased]);
+
+	const onSkipSegment = useCallback((endTicks) => {
+		if (videoRef.current && !requestSyncPlaySeek(endTicks)) {
+			seekToTicks(endTicks);
+		}
+	}, [seekToTicks, requestSyncPlaySeek]);
+
+	const {
+		skipSegment, showSkipCredits, showNextEpisode, nextEpisodeCountdown,
+		handleSkipSegment, handlePlayNextEpisode, cancelNextEpisodeCountdown,
 		checkSegments, handlePopupKeyDown, resetPopups
 	} = useSegmentPopups({
 		mediaSegments, nextEpisode, settings, runTimeRef,
 		activeModal, controlsVisible, hideControls, showControls,
-		onSeekToIntroEnd,
-		onPlayNext: onPlayNextWithCleanup
+		onSkipSegment,
+		onPlayNext: onPlayNextWithCleanup,
+		autoPlayAllowed
 	});
 
 	// Audio playlist: next track
@@ -911,9 +1130,11 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 
 	const handleLoadedMetadata = useCallback(() => {
 		if (videoRef.current) {
-			if (playMethod !== 'Transcode') {
+			if (playMethod !== 'Transcode' && !isLiveRef.current) {
 				setDuration(videoRef.current.duration);
 			}
+			// A paused SyncPlay group starts playback through an Unpause command
+			if (syncPlayState.isInGroup && syncPlayState.groupState !== 'Playing') return;
 			const p = videoRef.current.play();
 			if (p && typeof p.catch === 'function') {
 				p.catch(err => {
@@ -921,7 +1142,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				});
 			}
 		}
-	}, [playMethod]);
+	}, [playMethod, syncPlayState.isInGroup, syncPlayState.groupState]);
 
 	const handlePlay = useCallback(() => {
 		setIsPaused(false);
@@ -933,12 +1154,12 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				10000,
 				() => ({ isPaused: videoRef.current?.paused || false })
 			);
-			playback.startHealthMonitoring(handleUnhealthy);
+			playback.startHealthMonitoring(handleUnhealthy, handleRepeatedBuffering);
 			healthMonitorRef.current = playback.getHealthMonitor();
 		} else {
 			playback.reportProgress(positionRef.current, { isPaused: false, eventName: 'unpause' });
 		}
-	}, [handleUnhealthy]);
+	}, [handleUnhealthy, handleRepeatedBuffering]);
 
 	const handlePause = useCallback(() => {
 		setIsPaused(true);
@@ -979,20 +1200,19 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				// Apply offset: lookupTime = currentTime - offset
 				// If offset is positive (delay), we look at earlier time in the subtitle track
 				const lookupTicks = ticks - (subtitleOffset * 10000000);
+				setCurrentSubtitleText(getSubtitleEventText(subtitleTrackEvents, lookupTicks));
+			} else if (assSubtitle) {
+				// Styled subtitles draw themselves unless the user forces their own style
+				setCurrentSubtitleText(settings.subtitleForceStyle ? getAssPlainText(assSubtitle, time - subtitleOffset) : null);
+			}
 
-				let foundSubtitle = null;
-				for (const event of subtitleTrackEvents) {
-					if (lookupTicks >= event.StartPositionTicks && lookupTicks <= event.EndPositionTicks) {
-						foundSubtitle = event.Text;
-						break;
-					}
-				}
-				setCurrentSubtitleText(foundSubtitle);
+			if (secondaryTrackEvents) {
+				setSecondarySubtitleText(getSubtitleEventText(secondaryTrackEvents, ticks - (subtitleOffset * 10000000)));
 			}
 
 			checkSegments(ticks);
 		}
-	}, [playMethod, checkSegments, subtitleTrackEvents, subtitleOffset]);
+	}, [playMethod, checkSegments, subtitleTrackEvents, secondaryTrackEvents, assSubtitle, settings.subtitleForceStyle, subtitleOffset]);
 
 	const handleWaiting = useCallback(() => {
 		setIsBuffering(true);
@@ -1022,12 +1242,12 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 
 		if (hasNextTrack && onPlayNext) {
 			onPlayNext(audioPlaylist[audioPlaylistIndex + 1]);
-		} else if (nextEpisode && onPlayNext) {
+		} else if (nextEpisode && onPlayNext && autoPlayAllowed) {
 			onPlayNext(nextEpisode);
 		} else {
 			onEnded?.();
 		}
-	}, [onEnded, onPlayNext, nextEpisode, hasNextTrack, audioPlaylist, audioPlaylistIndex]);
+	}, [onEnded, onPlayNext, nextEpisode, hasNextTrack, audioPlaylist, audioPlaylistIndex, autoPlayAllowed]);
 
 	const handleError = useCallback(async () => {
 		// Ignore errors fired during cleanup (SDR reset video triggers error code 4)
@@ -1048,25 +1268,25 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 		isHandlingErrorRef.current = true;
 
 		const video = videoRef.current;
-		let errorMessage = 'Playback failed.';
+		let errorMessage = t('Playback failed.');
 
 		try {
 		if (video?.error) {
 			switch (video.error.code) {
 				case 1:
-					errorMessage = 'Playback was aborted.';
+					errorMessage = t('Playback was aborted.');
 					break;
 				case 2:
-					errorMessage = 'A network error occurred. Check your connection.';
+					errorMessage = t('A network error occurred. Check your connection.');
 					break;
 				case 3:
-					errorMessage = 'The video format is not supported by this TV.';
+					errorMessage = t('The video format is not supported by this TV.');
 					break;
 				case 4:
-					errorMessage = 'The video source is not supported.';
+					errorMessage = t('The video source is not supported.');
 					break;
 				default:
-					errorMessage = 'An unknown playback error occurred.';
+					errorMessage = t('An unknown playback error occurred.');
 			}
 			console.error('[Player] Playback error:', video.error.code, video.error.message);
 			console.error('[Player] Error details:', {
@@ -1095,6 +1315,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				const result = await playback.getPlaybackInfo(item.Id, {
 					startPositionTicks: positionRef.current,
 					maxBitrate: selectedQuality || settings.maxBitrate,
+					adaptiveBitrate: settings.autoQuality,
 					enableDirectPlay: false,
 					enableDirectStream: false,
 					enableTranscoding: true,
@@ -1112,7 +1333,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				}
 			} catch (fallbackErr) {
 				console.error('[Player] Transcode fallback failed:', fallbackErr);
-				errorMessage = 'Transcoding failed. The server may not support this format.';
+				errorMessage = t('Transcoding failed. The server may not support this format.');
 			}
 		} else if (playMethod === 'Transcode' && (!forceHlsJsRef.current || transcodeRetryCountRef.current < 1) && Hls.isSupported()) {
 			// Tier 2: native HEVC transcode failed → switch to hls.js H.264+AAC
@@ -1130,6 +1351,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				const result = await playback.getPlaybackInfo(item.Id, {
 					startPositionTicks: positionRef.current,
 					maxBitrate: selectedQuality || settings.maxBitrate,
+					adaptiveBitrate: settings.autoQuality,
 					enableDirectPlay: false,
 					enableDirectStream: false,
 					enableTranscoding: true,
@@ -1149,7 +1371,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				}
 			} catch (fallbackErr) {
 				console.error('[Player] H.264 fallback failed:', fallbackErr);
-				errorMessage = isTier2 ? 'H.264 transcoding fallback failed.' : 'Transcoding failed after retry. Try restarting the app.';
+				errorMessage = isTier2 ? t('H.264 transcoding fallback failed.') : t('Transcoding failed after retry. Try restarting the app.');
 			}
 		}
 
@@ -1159,7 +1381,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 		} finally {
 			isHandlingErrorRef.current = false;
 		}
-	}, [hasTriedTranscode, playMethod, item, selectedQuality, settings.maxBitrate, mediaSourceId]);
+	}, [hasTriedTranscode, playMethod, item, selectedQuality, settings.maxBitrate, settings.autoQuality, mediaSourceId, t]);
 
 	useEffect(() => {
 		handlersRef.current = {
@@ -1195,20 +1417,22 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 	const handlePlayPause = useCallback(() => {
 		if (videoRef.current) {
 			if (isPaused) {
+				if (requestSyncPlayPlay()) return;
 				videoRef.current.play();
 			} else {
+				if (requestSyncPlayPause()) return;
 				videoRef.current.pause();
 			}
 		}
-	}, [isPaused]);
+	}, [isPaused, requestSyncPlayPlay, requestSyncPlayPause]);
 
 	const handleRewind = useCallback(() => {
-		if (videoRef.current) seekByOffset(-settings.seekStep);
-	}, [settings.seekStep, seekByOffset]);
+		if (videoRef.current) seekBy(-settings.seekStep);
+	}, [settings.seekStep, seekBy]);
 
 	const handleForward = useCallback(() => {
-		if (videoRef.current) seekByOffset(settings.seekStep);
-	}, [settings.seekStep, seekByOffset]);
+		if (videoRef.current) seekBy(settings.seekStep);
+	}, [settings.seekStep, seekBy]);
 
 	const openModal = useCallback((modal) => {
 		setActiveModal(modal);
@@ -1257,12 +1481,21 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 		openModal('subtitleSettings');
 	}, [openModal]);
 
+	const handleOpenSubtitleSearch = useCallback(() => {
+		openModal('subtitleSearch');
+	}, [openModal]);
+
+	const handleOpenSecondarySubtitle = useCallback(() => {
+		openModal('secondarySubtitle');
+	}, [openModal]);
+
 	// Track selection - using data attributes to avoid arrow functions in JSX
 	const handleSelectAudio = useCallback(async (e) => {
 		const index = parseInt(e.currentTarget.dataset.index, 10);
 		if (isNaN(index)) return;
 		setSelectedAudioIndex(index);
 		closeModal();
+		rememberAudioTrack(item, audioStreams.find(s => s.index === index));
 
 		setHasTriedTranscode(false);
 		forceHlsJsRef.current = false;
@@ -1305,24 +1538,32 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 		} catch (err) {
 			console.error('[Player] Failed to change audio:', err);
 		}
-	}, [playMethod, closeModal, audioStreams]);
+	}, [playMethod, closeModal, audioStreams, item]);
 
-	const handleSelectSubtitle = useCallback(async (e) => {
-		const index = parseInt(e.currentTarget.dataset.index, 10);
-		console.log('[Player] handleSelectSubtitle called with index:', index);
-		if (isNaN(index)) return;
+	// Streams can be passed in when they were just refreshed (downloaded subtitle)
+	const applySubtitleTrack = useCallback(async (index, streams = subtitleStreams) => {
+		console.log('[Player] applySubtitleTrack called with index:', index);
 		if (index === -1) {
 			console.log('[Player] Turning subtitles OFF');
 			setSelectedSubtitleIndex(-1);
 			setSubtitleTrackEvents(null);
+			setAssSubtitle(null);
+			setBitmapSubtitle(null);
 			setCurrentSubtitleText(null);
 		} else {
 			console.log('[Player] Selecting subtitle index:', index);
 			setSelectedSubtitleIndex(index);
-			const stream = subtitleStreams.find(s => s.index === index);
+			const stream = streams.find(s => s.index === index);
 			console.log('[Player] Found stream:', stream ? 'yes' : 'no', 'codec:', stream?.codec, 'isTextBased:', stream?.isTextBased);
-			// Fetch subtitle data as JSON for custom rendering (webOS doesn't support native <track>)
-			if (stream && stream.isTextBased) {
+			const styledScript = playback.isStyledSubtitle(stream) ? await playback.fetchStyledSubtitle(stream) : null;
+			setAssSubtitle(styledScript);
+			const bitmapCues = playback.isBitmapSubtitle(stream) ? await playback.fetchBitmapSubtitle(stream) : null;
+			setBitmapSubtitle(bitmapCues);
+			if (styledScript || bitmapCues) {
+				console.log('[Player] Manual select: Rendering subtitle in-app (codec:', stream.codec, ')');
+				setSubtitleTrackEvents(null);
+			} else if (stream && stream.isTextBased) {
+				// Fetch subtitle data as JSON for custom rendering (webOS doesn't support native <track>)
 				try {
 					console.log('[Player] Fetching subtitle data for text-based sub...');
 					const data = await playback.fetchSubtitleData(stream);
@@ -1339,14 +1580,52 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 					setSubtitleTrackEvents(null);
 				}
 			} else {
-				// PGS/image-based subtitles - cannot render client-side, need to burn in via transcode
+				// DVB, or a bitmap stream the server could not deliver - needs burn-in via transcode
 				console.log('[Player] Image-based subtitle (codec:', stream?.codec, ') - requires burn-in via transcode');
 				setSubtitleTrackEvents(null);
 			}
 			setCurrentSubtitleText(null);
 		}
+	}, [subtitleStreams]);
+
+	// Manual picks carry over to the rest of the series, per audio language
+	const rememberSubtitlePick = useCallback((index, streams = subtitleStreams) => {
+		const audioLanguage = audioStreams.find(s => s.index === selectedAudioIndex)?.language;
+		rememberSubtitleTrack(item, audioLanguage, streams.find(s => s.index === index) || null);
+	}, [item, audioStreams, selectedAudioIndex, subtitleStreams]);
+
+	const handleSelectSubtitle = useCallback(async (e) => {
+		const index = parseInt(e.currentTarget.dataset.index, 10);
+		if (isNaN(index)) return;
+		await applySubtitleTrack(index);
+		rememberSubtitlePick(index);
+		closeModal();
+	}, [applySubtitleTrack, rememberSubtitlePick, closeModal]);
+
+	const handleSelectSecondarySubtitle = useCallback(async (e) => {
+		const index = parseInt(e.currentTarget.dataset.index, 10);
+		if (isNaN(index)) return;
+		const stream = index === -1 ? null : subtitleStreams.find(s => s.index === index);
+		const data = stream ? await playback.fetchSubtitleData(stream) : null;
+		const events = data?.TrackEvents || null;
+		setSelectedSecondarySubtitleIndex(events ? index : -1);
+		setSecondaryTrackEvents(events);
+		setSecondarySubtitleText(null);
+		// A failed fetch keeps the remembered track for the next episode
+		if (events || index === -1) {
+			rememberSecondarySubtitleTrack(item, events && stream);
+		}
 		closeModal();
-	}, [subtitleStreams, closeModal]);
+	}, [subtitleStreams, item, closeModal]);
+
+	const handleSubtitleDownloaded = useCallback(async ({subtitleStreams: streams, addedStream}) => {
+		setSubtitleStreams(streams);
+		if (addedStream) {
+			await applySubtitleTrack(addedStream.index, streams);
+			rememberSubtitlePick(addedStream.index, streams);
+			closeModal();
+		}
+	}, [applySubtitleTrack, rememberSubtitlePick, closeModal]);
 
 	const handleSelectSpeed = useCallback((e) => {
 		const rate = parseFloat(e.currentTarget.dataset.rate);
@@ -1365,21 +1644,49 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 		closeModal();
 	}, [closeModal]);
 
+	// Restart at the current position with the option picked in the info modal
+	const handleApplyTranscodeRemedy = useCallback((e) => {
+		const {remedy, value} = e.currentTarget.dataset;
+		const override = {itemId: item.Id, startPositionTicks: positionRef.current};
+		if (remedy === 'audio') {
+			override.audioStreamIndex = parseInt(value, 10);
+			rememberAudioTrack(item, audioStreams.find(s => s.index === override.audioStreamIndex));
+		} else if (remedy === 'subtitlesOff') {
+			override.subtitleStreamIndex = -1;
+			rememberSubtitlePick(-1);
+		} else if (remedy === 'version') {
+			override.mediaSourceId = value;
+		}
+		closeModal();
+		// Stream indexes belong to one version, so a version switch starts from a clean slate
+		setPlaybackOverride(prev => (remedy === 'version' || prev?.itemId !== item.Id ? override : {...prev, ...override}));
+	}, [item, audioStreams, rememberSubtitlePick, closeModal]);
+
+	const handleSelectSleepTimer = useCallback((e) => {
+		const value = e.currentTarget.dataset.value;
+		if (!value) return;
+		startSleepTimer(value);
+		closeModal();
+	}, [closeModal]);
+
 	const handleSelectChapter = useCallback((e) => {
 		const ticks = parseInt(e.currentTarget.dataset.ticks, 10);
 		if (isNaN(ticks) || ticks < 0) return;
-		seekToTicks(ticks);
+		if (!requestSyncPlaySeek(ticks)) seekToTicks(ticks);
 		closeModal();
-	}, [closeModal, seekToTicks]);
+	}, [closeModal, seekToTicks, requestSyncPlaySeek]);
 
 	const handleProgressClick = useCallback((e) => {
 		if (!videoRef.current) return;
 		const rect = e.currentTarget.getBoundingClientRect();
 		const percent = (e.clientX - rect.left) / rect.width;
-		const newTime = percent * duration;
+		const newTime = isLive && liveWindow
+			? liveWindow.start + percent * (liveWindow.end - liveWindow.start)
+			: percent * duration;
 		const newTicks = Math.floor(newTime * 10000000);
+		if (requestSyncPlaySeek(newTicks)) return;
 		seekToTicks(newTicks);
-	}, [duration, seekToTicks]);
+	}, [duration, isLive, liveWindow, seekToTicks, requestSyncPlaySeek]);
 
 	const handleProgressKeyDown = useCallback((e) => {
 		if (!videoRef.current) return;
@@ -1389,11 +1696,11 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 		if (e.key === 'ArrowLeft' || e.keyCode === 37) {
 			e.preventDefault();
 			setIsSeeking(true);
-			seekByOffset(-step, true);
+			seekBy(-step, true);
 		} else if (e.key === 'ArrowRight' || e.keyCode === 39) {
 			e.preventDefault();
 			setIsSeeking(true);
-			seekByOffset(step, true);
+			seekBy(step, true);
 		} else if (e.key === 'ArrowUp' || e.keyCode === 38) {
 			e.preventDefault();
 			setFocusRow('top');
@@ -1404,7 +1711,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 			setFocusRow('bottom');
 			setIsSeeking(false);
 		}
-	}, [settings.seekStep, seekByOffset, showControls]);
+	}, [settings.seekStep, seekBy, showControls]);
 
 	const handleProgressBlur = useCallback(() => {
 		setIsSeeking(false);
@@ -1416,18 +1723,25 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 			case 'playPause': handlePlayPause(); break;
 			case 'rewind': handleRewind(); break;
 			case 'forward': handleForward(); break;
+			case 'jumpToLive': jumpToLive(); break;
+			case 'channelGuide': openChannelGuide(); break;
 			case 'audio': openModal('audio'); break;
 			case 'subtitle': openModal('subtitle'); break;
 			case 'speed': openModal('speed'); break;
 			case 'quality': openModal('quality'); break;
 			case 'chapter': openModal('chapter'); break;
 			case 'info': openModal('info'); break;
+			case 'sleepTimer': openModal('sleepTimer'); break;
+			case 'syncPlay':
+				refreshSyncPlayGroups();
+				openModal('syncPlay');
+				break;
 			case 'next': handlePlayNextEpisode(); break;
 			case 'nextTrack': handleNextTrack(); break;
 			case 'prevTrack': handlePrevTrack(); break;
 			default: break;
 		}
-	}, [showControls, handlePlayPause, handleRewind, handleForward, openModal, handlePlayNextEpisode, handleNextTrack, handlePrevTrack]);
+	}, [showControls, handlePlayPause, handleRewind, handleForward, jumpToLive, openChannelGuide, openModal, refreshSyncPlayGroups, handlePlayNextEpisode, handleNextTrack, handlePrevTrack]);
 
 	const handleControlButtonClick = useCallback((e) => {
 		const action = e.currentTarget.dataset.action;
@@ -1444,18 +1758,44 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 		e.stopPropagation();
 	}, []);
 
+	// Rendering-side numbers for the stats overlay
+	const getMediaStats = useCallback(() => {
+		const video = videoRef.current;
+		if (!video) return {};
+		const quality = video.getVideoPlaybackQuality?.();
+		let bufferAhead;
+		for (let i = 0; i < video.buffered.length; i++) {
+			if (video.buffered.start(i) <= video.currentTime && video.currentTime <= video.buffered.end(i)) {
+				bufferAhead = video.buffered.end(i) - video.currentTime;
+			}
+		}
+		const hls = hlsPlayerRef.current;
+		return {
+			player: hls ? 'HTML5 + hls.js' : 'HTML5',
+			width: video.videoWidth,
+			height: video.videoHeight,
+			droppedFrames: quality ? quality.droppedVideoFrames : video.webkitDroppedFrameCount,
+			totalFrames: quality ? quality.totalVideoFrames : video.webkitDecodedFrameCount,
+			bufferAhead,
+			bandwidth: hls?.bandwidthEstimate,
+			isBuffering
+		};
+	}, [isBuffering]);
+
 	useEffect(() => {
 		const handleKeyDown = (e) => {
 			const key = e.key || e.keyCode;
 
+			if (handleSleepTimerKeyDown(e)) return;
 			if (handlePopupKeyDown(e)) return;
+			if (!activeModal && handleChannelKeyDown(e)) return;
 
 			// Media playback keys (webOS remote)
 			// Play: 415, Pause: 19, Fast-forward: 417, Rewind: 412, Stop: 413
 			if (e.keyCode === 415) {
 				e.preventDefault();
 				e.stopPropagation();
-				if (videoRef.current && videoRef.current.paused) {
+				if (videoRef.current && videoRef.current.paused && !requestSyncPlayPlay()) {
 					videoRef.current.play();
 				}
 				return;
@@ -1463,7 +1803,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 			if (e.keyCode === 19) {
 				e.preventDefault();
 				e.stopPropagation();
-				if (videoRef.current && !videoRef.current.paused) {
+				if (videoRef.current && !videoRef.current.paused && !requestSyncPlayPause()) {
 					videoRef.current.pause();
 				}
 				return;
@@ -1514,13 +1854,13 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 					setSeekPosition(Math.floor(currentTime * 10000000));
 					const step = settings.seekStep;
 					if (key === 'ArrowLeft' || e.keyCode === 37) {
-						seekByOffset(-step, true);
+						seekBy(-step, true);
 					} else {
-						seekByOffset(step, true);
+						seekBy(step, true);
 					}
 					return;
 				}
-				if ((key === 'Enter' || e.keyCode === 13) && (showSkipIntro || showSkipCredits || showNextEpisode)) {
+				if ((key === 'Enter' || e.keyCode === 13) && (skipSegment || showSkipCredits || showNextEpisode)) {
 					return;
 				}
 				if (key === 'Enter' || e.keyCode === 13) {
@@ -1564,10 +1904,11 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 
 		window.addEventListener('keydown', handleKeyDown, true);
 		return () => window.removeEventListener('keydown', handleKeyDown, true);
-	}, [controlsVisible, activeModal, closeModal, hideControls, handleBack, showControls, handlePlayPause, handleForward, handleRewind, currentTime, settings.seekStep, seekByOffset, handlePopupKeyDown, bottomButtons.length, showSkipIntro, showSkipCredits, showNextEpisode]);
+	}, [controlsVisible, activeModal, closeModal, hideControls, handleBack, showControls, handlePlayPause, handleForward, handleRewind, currentTime, settings.seekStep, seekBy, handleSleepTimerKeyDown, handlePopupKeyDown, handleChannelKeyDown, bottomButtons.length, skipSegment, showSkipCredits, showNextEpisode, requestSyncPlayPlay, requestSyncPlayPause]);
 
 	const displayTime = isSeeking ? (seekPosition / 10000000) : currentTime;
-	const progressPercent = duration > 0 ? (displayTime / duration) * 100 : 0;
+	let progressPercent = duration > 0 ? (displayTime / duration) * 100 : 0;
+	if (isLive) progressPercent = getLiveProgressPercent(displayTime);
 
 	useEffect(() => {
 		if (!controlsVisible) return;
@@ -1592,15 +1933,15 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 			{isLoading && (
 				<div className={css.loadingIndicator}>
 					<div className={css.spinner} />
-					<p>Loading...</p>
+					<p>{t('Loading...')}</p>
 				</div>
 			)}
 
 			{error && (
 				<div className={css.error}>
-					<h2>Playback Error</h2>
+					<h2>{t('Playback Error')}</h2>
 					<p>{error}</p>
-					<Button onClick={onBack}>Go Back</Button>
+					<Button onClick={onBack}>{t('Go Back')}</Button>
 				</div>
 			)}
 
@@ -1638,21 +1979,34 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				</div>
 			)}
 
+			{/* Styled ASS/SSA subtitles */}
+			{!isLoading && !error && assSubtitle && !settings.subtitleForceStyle && !isAudioMode && (
+				<AssSubtitleOverlay
+					script={assSubtitle}
+					currentTime={currentTime - subtitleOffset}
+					isPaused={isPaused}
+					playbackRate={playbackRate}
+				/>
+			)}
+
+			{/* PGS/VobSub subtitles - decoded client-side so direct play can continue */}
+			{!isLoading && !error && bitmapSubtitle && !isAudioMode && (
+				<BitmapSubtitleOverlay cues={bitmapSubtitle} currentTime={currentTime - subtitleOffset} />
+			)}
+
 			{/* Custom Subtitle Overlay - webOS doesn't support native <track> elements */}
-			{!isLoading && !error && currentSubtitleText && !isAudioMode && (
-				<div
-					className={css.subtitleOverlay}
-					style={getSubtitleOverlayStyle(settings)}
-				>
-					<div
-						className={css.subtitleText}
-						style={getSubtitleTextStyle(settings)}
-						// eslint-disable-next-line react/no-danger
-						dangerouslySetInnerHTML={{__html: sanitizeSubtitleHtml(currentSubtitleText)}}
-					/>
-				</div>
+			{!isLoading && !error && (currentSubtitleText || secondarySubtitleText) && !isAudioMode && (
+				<TextSubtitleOverlay text={currentSubtitleText} secondaryText={secondarySubtitleText} />
 			)}
 
+			<PlaybackStatsOverlay
+				visible={!isLoading && !error && !isAudioMode && settings.showPlaybackStats}
+				getMediaStats={getMediaStats}
+				selectedAudioIndex={selectedAudioIndex}
+			/>
+
+			{isChannel && <ChannelZapOverlay {...channelZap} />}
+
 			{/* Video Dimmer - not needed for audio */}
 			{!isLoading && !error && !isAudioMode && <div className={`${css.videoDimmer} ${controlsVisible ? css.visible : ''}`} />}
 
@@ -1676,7 +2030,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 					<div className={css.nextEpisodeCard}>
 						<div className={css.nextThumbnail}>
 							<img
-								src={getImageUrl(getServerUrl(), nextEpisode.Id, 'Primary', {maxWidth: 400, quality: 80})}
+								src={getImageUrl(nextEpisode._serverUrl || getServerUrl(), nextEpisode.Id, 'Primary', {maxWidth: 400, quality: 80})}
 								alt={nextEpisode.Name}
 								className={css.nextThumbnailImg}
 								onError={handleImageError}
@@ -1684,7 +2038,7 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 							<div className={css.nextThumbnailGradient} />
 						</div>
 						<div className={css.nextInfo}>
-							<div className={css.nextLabel}>UP NEXT</div>
+							<div className={css.nextLabel}>{t('UP NEXT')}</div>
 							<div className={css.nextTitle}>{nextEpisode.Name}</div>
 							{nextEpisode.SeriesName && (
 								<div className={css.nextMeta}>
@@ -1697,13 +2051,13 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 									onClick={handlePlayNextEpisode}
 									data-spot-default="true"
 								>
-									&#9654; Play Now
+									&#9654; {t('Play Now')}
 								</SpottableButton>
 								<SpottableButton
 									className={css.nextCancelBtn}
 									onClick={cancelNextEpisodeCountdown}
 								>
-									Hide
+									{t('Hide')}
 								</SpottableButton>
 							</div>
 						</div>
@@ -1734,62 +2088,61 @@ const Player = ({item, resume, initialMediaSourceId, initialAudioIndex, initialS
 				progressPercent={progressPercent}
 				isSeeking={isSeeking}
 				seekPosition={seekPosition}
+				isLive={isLive}
+				liveWindow={liveWindow}
+				isAtLiveEdge={isAtLiveEdge}
 				item={item}
 				mediaSourceId={mediaSourceId}
 				playMethod={playMethod}
 				playbackRate={playbackRate}
 				selectedAudioIndex={selectedAudioIndex}
 				selectedSubtitleIndex={selectedSubtitleIndex}
+				selectedSecondarySubtitleIndex={selectedSecondarySubtitleIndex}
 				selectedQuality={selectedQuality}
 				audioStreams={audioStreams}
 				subtitleStreams={subtitleStreams}
 				chapters={chapters}
 				currentTime={currentTime}
 				subtitleOffset={subtitleOffset}
-				showSkipIntro={showSkipIntro}
+				mediaSegments={mediaSegments}
+				skipSegment={skipSegment}
+				syncPlayState={syncPlayState}
+				syncPlayGroups={syncPlayGroups}
+				syncPlayError={syncPlayError}
+				sleepTimer={sleepTimer}
+				stillWatchingCountdown={stillWatchingCountdown}
 				handleControlButtonClick={handleControlButtonClick}
 				handleProgressClick={handleProgressClick}
 				handleProgressKeyDown={handleProgressKeyDown}
 				handleProgressBlur={handleProgressBlur}
-				handleSkipIntro={handleSkipIntro}
+				handleSkipSegment={handleSkipSegment}
 				handleSelectAudio={handleSelectAudio}
 				handleSelectSubtitle={handleSelectSubtitle}
+				handleSelectSecondarySubtitle={handleSelectSecondarySubtitle}
 				handleSubtitleKeyDown={handleSubtitleKeyDown}
 				handleSelectSpeed={handleSelectSpeed}
 				handleSelectQuality={handleSelectQuality}
 				handleSelectChapter={handleSelectChapter}
 				handleOpenSubtitleOffset={handleOpenSubtitleOffset}
 				handleOpenSubtitleSettings={handleOpenSubtitleSettings}
+				handleOpenSubtitleSearch={handleOpenSubtitleSearch}
+				handleOpenSecondarySubtitle={handleOpenSecondarySubtitle}
+				handleSubtitleDownloaded={handleSubtitleDownloaded}
 				handleSubtitleOffsetChange={handleSubtitleOffsetChange}
+				handleJoinSyncPlayGroup={handleJoinSyncPlayGroup}
+				handleCreateSyncPlayGroup={handleCreateSyncPlayGroup}
+				handleLeaveSyncPlayGroup={handleLeaveSyncPlayGroup}
+				handleSelectSleepTimer={handleSelectSleepTimer}
+				handleApplyTranscodeRemedy={handleApplyTranscodeRemedy}
+				handleKeepWatching={handleKeepWatching}
+				handleStopWatching={handleStopWatching}
 				closeModal={closeModal}
 				stopPropagation={stopPropagation}
 				// eslint-disable-next-line react/jsx-no-bind
-				renderInfoPlaybackRows={({css: c, mediaSource, playMethod: pm}) => {
-					const getTranscodeReason = () => {
-						if (pm !== 'Transcode') return null;
-						const url = mediaSource?.TranscodingUrl || '';
-						if (url.includes('TranscodeReasons=')) {
-							const match = url.match(/TranscodeReasons=([^&]+)/);
-							if (match) {
-								return decodeURIComponent(match[1]).split(',')
-									.map(r => r.replace(/([A-Z])/g, ' $1').trim())
-									.join(', ');
-							}
-						}
-						return 'Unknown';
-					};
-					return pm === 'Transcode' ? (
-						<div className={`${c.infoRow} ${c.infoWarning}`}>
-							<span className={c.infoLabel}>Transcode Reason</span>
-							<span className={c.infoValue}>{getTranscodeReason()}</span>
-						</div>
-					) : null;
-				}}
-				// eslint-disable-next-line react/jsx-no-bind
 				renderInfoVideoExtra={({css: c, videoStream}) => (
 					videoStream?.BitDepth ? (
 						<div className={c.infoRow}>
-							<span className={c.infoLabel}>Bit Depth</span>
+							<span className={c.infoLabel}>{t('Bit Depth')}</span>
 							<span className={c.infoValue}>{videoStream.BitDepth}-bit</span>
 						</div>
 					) : null
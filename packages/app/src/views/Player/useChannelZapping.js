@@ -0,0 +1,289 @@
+import {useState, useEffect, useCallback, useRef} from 'react';
+import {useAuth} from '../../context/AuthContext';
+import {useI18n} from '../../context/I18nContext';
+import {KEYS, isBackKey, registerKeys, unregisterKeys, LIVE_TV_KEY_NAMES} from '../../utils/keys';
+
+const CHANNELS_PER_REQUEST = 200;
+
+// Rows in the mini-guide; the highlighted channel sits in the middle
+const MINI_GUIDE_ROWS = 5;
+const MINI_GUIDE_HIDE_MS = 8000;
+
+// Same pause as the guide's number entry before a typed channel is tuned
+const NUMBER_ENTRY_TIMEOUT_MS = 1500;
+const MESSAGE_DURATION_MS = 2000;
+
+const channelNumberValue = (channel) => {
+	const number = parseFloat(channel.ChannelNumber);
+	return Number.isNaN(number) ? Number.MAX_VALUE : number;
+};
+
+// Channel up/down follows the numbering, not the server's favorites-first order
+const compareChannels = (a, b) =>
+	(channelNumberValue(a) - channelNumberValue(b)) || (a.Name || '').localeCompare(b.Name || '');
+
+/**
+ * Indices of the channels shown around the highlighted one, wrapping at the ends
+ * @returns {number[]}
+ */
+export const getMiniGuideIndices = (index, count) => {
+	if (count <= MINI_GUIDE_ROWS) return Array.from({length: count}, (_, i) => i);
+	const half = Math.floor(MINI_GUIDE_ROWS / 2);
+	return Array.from({length: MINI_GUIDE_ROWS}, (_, i) => (index - half + i + count) % count);
+};
+
+/**
+ * Shared hook for changing live channels without leaving the player.
+ *
+ * Channel up/down and the previous-channel key tune straight away, digits tune
+ * the typed channel number after a short pause, and a mini-guide shows now/next
+ * for the channels around the highlighted one. Tuning goes through
+ * onSwitchChannel, which swaps the player's item the same way autoplay does.
+ *
+ * @param {Object} options
+ * @param {Object}   options.item            - item loaded in the player; the hook is idle unless it's a TvChannel
+ * @param {Function} options.onSwitchChannel - play another channel in this player
+ * @param {Function} options.hideControls    - hide player controls while the mini-guide is up
+ */
+const useChannelZapping = ({item, onSwitchChannel, hideControls}) => {
+	const {api} = useAuth();
+	const {t} = useI18n();
+	const isChannel = item?.Type === 'TvChannel';
+	const [channels, setChannels] = useState([]);
+	const [guideIndex, setGuideIndex] = useState(null);
+	const [programsByChannel, setProgramsByChannel] = useState({});
+	const [lastChannel, setLastChannel] = useState(null);
+	const [numberEntry, setNumberEntry] = useState('');
+	const [message, setMessage] = useState(null);
+
+	const previousItemRef = useRef(item);
+	const guideTimerRef = useRef(null);
+	const numberTimerRef = useRef(null);
+	const messageTimerRef = useRef(null);
+	const numberEntryRef = useRef('');
+
+	useEffect(() => {
+		if (!isChannel || channels.length > 0) return;
+		let cancelled = false;
+		const load = async () => {
+			try {
+				const all = [];
+				let batch;
+				do {
+					const result = await api.getLiveTvChannels(all.length, CHANNELS_PER_REQUEST);
+					batch = result.Items || [];
+					all.push(...batch);
+				} while (batch.length === CHANNELS_PER_REQUEST && !cancelled);
+				if (!cancelled) setChannels(all.sort(compareChannels));
+			} catch (err) {
+				console.warn('[Player] Failed to load channels:', err.message);
+			}
+		};
+		load();
+		return () => { cancelled = true; };
+	}, [api, isChannel, channels.length]);
+
+	useEffect(() => {
+		if (!isChannel) return;
+		registerKeys(LIVE_TV_KEY_NAMES);
+		return () => unregisterKeys(LIVE_TV_KEY_NAMES);
+	}, [isChannel]);
+
+	useEffect(() => {
+		const previous = previousItemRef.current;
+		previousItemRef.current = item;
+		if (previous?.Type === 'TvChannel' && item?.Type === 'TvChannel' && previous.Id !== item.Id) {
+			setLastChannel(previous);
+		}
+	}, [item]);
+
+	useEffect(() => () => {
+		clearTimeout(guideTimerRef.current);
+		clearTimeout(numberTimerRef.current);
+		clearTimeout(messageTimerRef.current);
+	}, []);
+
+	// Now/next for the rows on screen; a channel is fetched again once all it had has ended (none at all means no guide data)
+	useEffect(() => {
+		if (guideIndex === null || channels.length === 0) return;
+		const now = new Date();
+		const stale = getMiniGuideIndices(guideIndex, channels.length)
+			.map(index => channels[index].Id)
+			.filter(id => {
+				const programs = programsByChannel[id];
+				return !programs || (programs.length > 0 && !programs.some(p => new Date(p.EndDate) > now));
+			});
+		if (stale.length === 0) return;
+
+		let cancelled = false;
+		api.getLiveTvNowAndNext(stale).then(result => {
+			if (cancelled) return;
+			const fetched = Object.fromEntries(stale.map(id => [id, []]));
+			(result.Items || []).forEach(program => {
+				fetched[program.ChannelId]?.push(program);
+			});
+			setProgramsByChannel(prev => ({...prev, ...fetched}));
+		}).catch(err => {
+			console.warn('[Player] Failed to load now/next:', err.message);
+		});
+		return () => { cancelled = true; };
+	}, [api, guideIndex, channels, programsByChannel]);
+
+	const currentIndex = channels.findIndex(ch => ch.Id === item?.Id);
+
+	const closeGuide = useCallback(() => {
+		clearTimeout(guideTimerRef.current);
+		setGuideIndex(null);
+	}, []);
+
+	const showGuide = useCallback((index) => {
+		clearTimeout(guideTimerRef.current);
+		setGuideIndex(index);
+		hideControls();
+		guideTimerRef.current = setTimeout(() => setGuideIndex(null), MINI_GUIDE_HIDE_MS);
+	}, [hideControls]);
+
+	const showMessage = useCallback((text) => {
+		clearTimeout(messageTimerRef.current);
+		setMessage(text);
+		messageTimerRef.current = setTimeout(() => setMessage(null), MESSAGE_DURATION_MS);
+	}, []);
+
+	const tuneIndex = useCallback((index) => {
+		const channel = channels[index];
+		if (!channel) return;
+		if (channel.Id !== item?.Id) onSwitchChannel(channel);
+		showGuide(index);
+	}, [channels, item, onSwitchChannel, showGuide]);
+
+	const zap = useCallback((step) => {
+		if (channels.length === 0) return;
+		const from = currentIndex === -1 ? 0 : currentIndex;
+		tuneIndex((from + step + channels.length) % channels.length);
+	}, [channels.length, currentIndex, tuneIndex]);
+
+	const tuneLastChannel = useCallback(() => {
+		if (!lastChannel) {
+			showMessage(t('No previous channel'));
+			return;
+		}
+		const index = channels.findIndex(ch => ch.Id === lastChannel.Id);
+		if (index === -1) {
+			onSwitchChannel(lastChannel);
+			closeGuide();
+		} else {
+			tuneIndex(index);
+		}
+	}, [lastChannel, channels, onSwitchChannel, closeGuide, tuneIndex, showMessage, t]);
+
+	const tuneNumberEntry = useCallback(() => {
+		clearTimeout(numberTimerRef.current);
+		const number = numberEntryRef.current;
+		numberEntryRef.current = '';
+		setNumberEntry('');
+		if (!number) return;
+		const index = channels.findIndex(ch => ch.ChannelNumber === number);
+		if (index === -1) {
+			showMessage(t('No channel {number}', {number}));
+		} else {
+			tuneIndex(index);
+		}
+	}, [channels, tuneIndex, showMessage, t]);
+
+	const addDigit = useCallback((digit) => {
+		clearTimeout(numberTimerRef.current);
+		numberEntryRef.current += digit;
+		setNumberEntry(numberEntryRef.current);
+		setMessage(null);
+		numberTimerRef.current = setTimeout(tuneNumberEntry, NUMBER_ENTRY_TIMEOUT_MS);
+	}, [tuneNumberEntry]);
+
+	const openChannelGuide = useCallback(() => {
+		if (channels.length === 0) return;
+		showGuide(currentIndex === -1 ? 0 : currentIndex);
+	}, [channels.length, currentIndex, showGuide]);
+
+	const moveGuide = useCallback((step) => {
+		showGuide((guideIndex + step + channels.length) % channels.length);
+	}, [guideIndex, channels.length, showGuide]);
+
+	// Keydown handler (returns true if event was consumed)
+	const handleChannelKeyDown = useCallback((e) => {
+		if (!isChannel || channels.length === 0) return false;
+		const code = e.keyCode;
+		const consume = () => {
+			e.preventDefault();
+			e.stopPropagation();
+			return true;
+		};
+
+		if (code === KEYS.CHANNEL_UP) {
+			zap(1);
+			return consume();
+		}
+		if (code === KEYS.CHANNEL_DOWN) {
+			zap(-1);
+			return consume();
+		}
+		if (code === KEYS.PREVIOUS_CHANNEL) {
+			tuneLastChannel();
+			return consume();
+		}
+		if (code >= KEYS.NUM_0 && code <= KEYS.NUM_9) {
+			addDigit(String.fromCharCode(code));
+			return consume();
+		}
+		if (numberEntryRef.current && code === KEYS.ENTER) {
+			tuneNumberEntry();
+			return consume();
+		}
+
+		if (guideIndex === null) return false;
+
+		if (isBackKey(e)) {
+			closeGuide();
+			return consume();
+		}
+		if (code === KEYS.UP) {
+			moveGuide(-1);
+			return consume();
+		}
+		if (code === KEYS.DOWN) {
+			moveGuide(1);
+			return consume();
+		}
+		if (code === KEYS.ENTER) {
+			if (channels[guideIndex].Id === item?.Id) {
+				closeGuide();
+			} else {
+				tuneIndex(guideIndex);
+			}
+			return consume();
+		}
+		if (code === KEYS.LEFT) {
+			tuneLastChannel();
+			return consume();
+		}
+		if (code === KEYS.RIGHT) {
+			return consume();
+		}
+		return false;
+	}, [isChannel, channels, item, guideIndex, zap, tuneLastChannel, addDigit, tuneNumberEntry, closeGuide, moveGuide, tuneIndex]);
+
+	return {
+		isChannel,
+		channelZap: {
+			channels,
+			guideIndex,
+			currentChannelId: item?.Id,
+			lastChannel,
+			programsByChannel,
+			numberEntry,
+			message
+		},
+		openChannelGuide,
+		handleChannelKeyDown
+	};
+};
+
+export default useChannelZapping;
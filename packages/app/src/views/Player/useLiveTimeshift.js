@@ -0,0 +1,90 @@
+import {useState, useEffect, useCallback, useRef} from 'react';
+
+// The live edge moves, so the window is read again this often
+const WINDOW_REFRESH_MS = 1000;
+
+// Closer than this to the edge still counts as live (a segment or two of latency)
+const LIVE_EDGE_TOLERANCE_SECONDS = 10;
+
+/**
+ * Shared hook for time-shifting live TV.
+ *
+ * The seekable window comes from the platform player: the server's transcode
+ * buffer when its playlist keeps every segment since tune-in, otherwise what
+ * the client kept of the stream. Seeks are clamped to that window, and
+ * jumping to live seeks to its end. When the platform can't report a window,
+ * live can only be paused, and jumping to live restarts the stream.
+ *
+ * @param {Object} options
+ * @param {boolean}  options.isLive        - current item is a live stream
+ * @param {Function} options.getLiveWindow - platform window: {start, end} in seconds on the player's timeline, or null when unknown
+ * @param {number}   options.currentTime   - playback position in seconds
+ * @param {boolean}  options.isPaused      - player paused state
+ * @param {Function} options.seek          - platform seek to a position in seconds
+ * @param {Function} options.play          - platform resume
+ * @param {Function} options.restart       - reopen the stream at the live edge
+ */
+const useLiveTimeshift = ({isLive, getLiveWindow, currentTime, isPaused, seek, play, restart}) => {
+	const [liveWindow, setLiveWindow] = useState(null);
+	const [pausedSinceLive, setPausedSinceLive] = useState(false);
+	const getLiveWindowRef = useRef(getLiveWindow);
+	getLiveWindowRef.current = getLiveWindow;
+
+	useEffect(() => {
+		if (!isLive) {
+			setLiveWindow(null);
+			setPausedSinceLive(false);
+			return;
+		}
+		const update = () => {
+			const next = getLiveWindowRef.current();
+			setLiveWindow(prev => (
+				prev && next && prev.start === next.start && prev.end === next.end ? prev : next
+			));
+		};
+		update();
+		const interval = setInterval(update, WINDOW_REFRESH_MS);
+		return () => clearInterval(interval);
+	}, [isLive]);
+
+	useEffect(() => {
+		if (isLive && isPaused) setPausedSinceLive(true);
+	}, [isLive, isPaused]);
+
+	// Without a window the only way to fall behind is pausing
+	const behindLive = liveWindow ? Math.max(0, liveWindow.end - currentTime) : 0;
+	const isAtLiveEdge = liveWindow ? behindLive <= LIVE_EDGE_TOLERANCE_SECONDS : !pausedSinceLive;
+
+	/**
+	 * Keep a seek target (seconds) inside what can actually be played back
+	 * @returns {number|null} null while the window is unknown, when there is nowhere to seek
+	 */
+	const clampToLiveWindow = useCallback((seconds) => {
+		const current = getLiveWindowRef.current();
+		if (!current) return null;
+		return Math.max(current.start, Math.min(current.end, seconds));
+	}, []);
+
+	/**
+	 * Position within the window as a percentage, for the seek bar
+	 */
+	const getLiveProgressPercent = useCallback((seconds) => {
+		if (!liveWindow || liveWindow.end <= liveWindow.start) return 100;
+		return Math.max(0, Math.min(100, ((seconds - liveWindow.start) / (liveWindow.end - liveWindow.start)) * 100));
+	}, [liveWindow]);
+
+	const jumpToLive = useCallback(() => {
+		const current = getLiveWindowRef.current();
+		setPausedSinceLive(false);
+		if (current) {
+			seek(current.end);
+			play();
+		} else {
+			restart();
+		}
+	}, [seek, play, restart]);
+
+	return {liveWindow, behindLive, isAtLiveEdge, clampToLiveWindow, getLiveProgressPercent, jumpToLive};
+};
+
+export default useLiveTimeshift;
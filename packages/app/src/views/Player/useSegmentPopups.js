@@ -1,21 +1,27 @@
 import {useState, useEffect, useCallback, useRef} from 'react';
 import Spotlight from '@enact/spotlight';
 import {isBackKey} from '../../utils/keys';
+import {getSegmentAction} from '../../utils/segmentConstants';
 
 /**
- * Shared hook for skip-intro, skip-credits, and next-episode popup logic.
+ * Shared hook for skip-segment, skip-credits, and next-episode popup logic.
+ *
+ * Each segment type follows its own setting: skip automatically, show a skip
+ * button, or do nothing. Credits with a next episode lead into the next-episode
+ * popup instead of a plain skip button.
  *
  * @param {Object} options
- * @param {Object|null}  options.mediaSegments     - {introStart, introEnd, creditsStart}
+ * @param {Array|null}   options.mediaSegments     - [{type, startTicks, endTicks}] from playback.getMediaSegments
  * @param {Object|null}  options.nextEpisode       - next episode item (null if none)
- * @param {Object}       options.settings          - {skipIntro, skipCredits, autoPlay}
+ * @param {Object}       options.settings          - segment actions (see segmentConstants) and autoPlay
  * @param {React.MutableRefObject<number>} options.runTimeRef - total runtime in ticks
  * @param {boolean}      options.activeModal       - whether a modal is open
  * @param {boolean}      options.controlsVisible   - whether player controls are showing
  * @param {Function}     options.hideControls      - hide player controls
  * @param {Function}     options.showControls       - show player controls
- * @param {Function}     options.onSeekToIntroEnd  - platform-specific seek to intro end
+ * @param {Function}     options.onSkipSegment     - platform-specific seek, receives the segment end in ticks
  * @param {Function}     options.onPlayNext        - platform-specific play-next handler
+ * @param {boolean}      [options.autoPlayAllowed] - false while the sleep timer holds autoplay back
  */
 const useSegmentPopups = ({
 	mediaSegments,
@@ -26,15 +32,17 @@ const useSegmentPopups = ({
 	controlsVisible,
 	hideControls,
 	showControls,
-	onSeekToIntroEnd,
-	onPlayNext
+	onSkipSegment,
+	onPlayNext,
+	autoPlayAllowed = true
 }) => {
-	const [showSkipIntro, setShowSkipIntro] = useState(false);
+	const [skipSegment, setSkipSegment] = useState(null);
 	const [showSkipCredits, setShowSkipCredits] = useState(false);
 	const [showNextEpisode, setShowNextEpisode] = useState(false);
 	const [nextEpisodeCountdown, setNextEpisodeCountdown] = useState(null);
 
-	const skipIntroDismissedRef = useRef(false);
+	const dismissedSegmentRef = useRef(null);
+	const autoSkippedRef = useRef(new Set());
 	const hasTriggeredNextEpisodeRef = useRef(false);
 	const nextEpisodeTimerRef = useRef(null);
 
@@ -75,21 +83,34 @@ const useSegmentPopups = ({
 		}, 1000);
 	}, [handlePlayNextEpisode]);
 
-	// --- Skip Intro ---
+	// The sleep timer can run out while the countdown is already going
+	useEffect(() => {
+		if (!autoPlayAllowed && nextEpisodeTimerRef.current) {
+			clearInterval(nextEpisodeTimerRef.current);
+			nextEpisodeTimerRef.current = null;
+			setNextEpisodeCountdown(null);
+		}
+	}, [autoPlayAllowed]);
 
-	const handleSkipIntro = useCallback(() => {
-		onSeekToIntroEnd?.();
-		setShowSkipIntro(false);
-	}, [onSeekToIntroEnd]);
+	// --- Skip Segment ---
+
+	const handleSkipSegment = useCallback(() => {
+		if (skipSegment) {
+			dismissedSegmentRef.current = skipSegment;
+			onSkipSegment?.(skipSegment.endTicks);
+		}
+		setSkipSegment(null);
+	}, [skipSegment, onSkipSegment]);
 
 	// --- Reset on new media ---
 
 	const resetPopups = useCallback(() => {
-		setShowSkipIntro(false);
+		setSkipSegment(null);
 		setShowSkipCredits(false);
 		setShowNextEpisode(false);
 		setNextEpisodeCountdown(null);
-		skipIntroDismissedRef.current = false;
+		dismissedSegmentRef.current = null;
+		autoSkippedRef.current = new Set();
 		hasTriggeredNextEpisodeRef.current = false;
 		if (nextEpisodeTimerRef.current) {
 			clearInterval(nextEpisodeTimerRef.current);
@@ -100,27 +121,23 @@ const useSegmentPopups = ({
 	// --- Segment checking (call from timeupdate) ---
 
 	const checkSegments = useCallback((ticks) => {
-		if (mediaSegments && settings.skipIntro) {
-			const {introStart, introEnd, creditsStart} = mediaSegments;
-
-			if (introStart != null && introEnd != null) {
-				const inIntro = ticks >= introStart && ticks < introEnd;
-				if (!inIntro) {
-					skipIntroDismissedRef.current = false;
-					setShowSkipIntro(false);
-				} else if (!skipIntroDismissedRef.current) {
-					setShowSkipIntro(true);
-				}
-			}
+		const current = mediaSegments?.find(seg => ticks >= seg.startTicks && ticks < seg.endTicks) || null;
+		if (current !== dismissedSegmentRef.current) dismissedSegmentRef.current = null;
 
-			if (creditsStart != null && nextEpisode) {
-				const inCredits = ticks >= creditsStart;
-				if (inCredits) {
+		if (current) {
+			const action = getSegmentAction(settings, current.type);
+
+			if (current.type === 'Outro' && nextEpisode) {
+				setSkipSegment(null);
+				if (action !== 'ignore') {
 					setShowSkipCredits(prev => {
 						if (!prev) {
-							if (settings.skipCredits) {
-								// Auto-skip: defer to avoid setState-during-render
-								setTimeout(() => handlePlayNextEpisode(), 0);
+							if (action === 'skip' && autoPlayAllowed) {
+								if (!autoSkippedRef.current.has(current)) {
+									autoSkippedRef.current.add(current);
+									// Auto-skip: defer to avoid setState-during-render
+									setTimeout(() => handlePlayNextEpisode(), 0);
+								}
 								return false;
 							}
 							return true;
@@ -128,7 +145,21 @@ const useSegmentPopups = ({
 						return prev;
 					});
 				}
+			} else if (action === 'skip') {
+				setSkipSegment(null);
+				// Only once, so seeking back into a segment on purpose works
+				if (!autoSkippedRef.current.has(current)) {
+					autoSkippedRef.current.add(current);
+					console.log('[Player] Auto-skipping segment:', current.type);
+					onSkipSegment?.(current.endTicks);
+				}
+			} else if (action === 'ask' && current !== dismissedSegmentRef.current) {
+				setSkipSegment(current);
+			} else {
+				setSkipSegment(null);
 			}
+		} else {
+			setSkipSegment(null);
 		}
 
 		if (nextEpisode && runTimeRef.current > 0) {
@@ -139,23 +170,23 @@ const useSegmentPopups = ({
 				hasTriggeredNextEpisodeRef.current = true;
 			}
 		}
-	}, [mediaSegments, settings.skipIntro, settings.skipCredits, nextEpisode, runTimeRef, handlePlayNextEpisode]);
+	}, [mediaSegments, settings, nextEpisode, runTimeRef, handlePlayNextEpisode, onSkipSegment, autoPlayAllowed]);
 
 	// --- Auto-focus effects ---
 
 	useEffect(() => {
-		if (showSkipIntro && !activeModal) {
+		if (skipSegment && !activeModal) {
 			hideControls();
 			window.requestAnimationFrame(() => {
-				Spotlight.focus('skip-intro-btn');
+				Spotlight.focus('skip-segment-btn');
 			});
 		}
-	}, [showSkipIntro, activeModal, hideControls]);
+	}, [skipSegment, activeModal, hideControls]);
 
 	useEffect(() => {
 		if (showSkipCredits && nextEpisode && !activeModal) {
 			hideControls();
-			if (settings.autoPlay) {
+			if (settings.autoPlay && autoPlayAllowed) {
 				startNextEpisodeCountdown();
 			}
 			window.requestAnimationFrame(() => {
@@ -165,12 +196,12 @@ const useSegmentPopups = ({
 				}
 			});
 		}
-	}, [showSkipCredits, nextEpisode, activeModal, settings.autoPlay, startNextEpisodeCountdown, hideControls]);
+	}, [showSkipCredits, nextEpisode, activeModal, settings.autoPlay, autoPlayAllowed, startNextEpisodeCountdown, hideControls]);
 
 	useEffect(() => {
 		if (showNextEpisode && !showSkipCredits && nextEpisode && !activeModal) {
 			hideControls();
-			if (settings.autoPlay) {
+			if (settings.autoPlay && autoPlayAllowed) {
 				startNextEpisodeCountdown();
 			}
 			window.requestAnimationFrame(() => {
@@ -180,34 +211,34 @@ const useSegmentPopups = ({
 				}
 			});
 		}
-	}, [showNextEpisode, showSkipCredits, nextEpisode, activeModal, settings.autoPlay, startNextEpisodeCountdown, hideControls]);
+	}, [showNextEpisode, showSkipCredits, nextEpisode, activeModal, settings.autoPlay, autoPlayAllowed, startNextEpisodeCountdown, hideControls]);
 
 	// --- Keydown handler (returns true if event was consumed) ---
 
 	const handlePopupKeyDown = useCallback((e) => {
 		const key = e.key || e.keyCode;
-		const skipIntroVisible = showSkipIntro && !activeModal && !controlsVisible;
+		const skipSegmentVisible = skipSegment && !activeModal && !controlsVisible;
 		const nextEpisodeVisible = (showSkipCredits || showNextEpisode) && nextEpisode && !activeModal && !controlsVisible;
 
-		if (!skipIntroVisible && !nextEpisodeVisible) return false;
+		if (!skipSegmentVisible && !nextEpisodeVisible) return false;
 
 		const back = isBackKey(e) || key === 'GoBack';
 
-		// Skip intro popup
-		if (skipIntroVisible) {
+		// Skip segment popup
+		if (skipSegmentVisible) {
 			if (back) {
 				e.preventDefault();
 				e.stopPropagation();
-				skipIntroDismissedRef.current = true;
-				setShowSkipIntro(false);
+				dismissedSegmentRef.current = skipSegment;
+				setSkipSegment(null);
 				return true;
 			}
 			if (key === 'Enter' || e.keyCode === 13) return false;
 			// Any other key: dismiss and show controls
 			e.preventDefault();
 			e.stopPropagation();
-			skipIntroDismissedRef.current = true;
-			setShowSkipIntro(false);
+			dismissedSegmentRef.current = skipSegment;
+			setSkipSegment(null);
 			showControls();
 			return true;
 		}
@@ -231,14 +262,14 @@ const useSegmentPopups = ({
 		}
 
 		return false;
-	}, [showSkipIntro, showSkipCredits, showNextEpisode, nextEpisode, activeModal, controlsVisible, showControls, cancelNextEpisodeCountdown]);
+	}, [skipSegment, showSkipCredits, showNextEpisode, nextEpisode, activeModal, controlsVisible, showControls, cancelNextEpisodeCountdown]);
 
 	return {
-		showSkipIntro,
+		skipSegment,
 		showSkipCredits,
 		showNextEpisode,
 		nextEpisodeCountdown,
-		handleSkipIntro,
+		handleSkipSegment,
 		handlePlayNextEpisode,
 		cancelNextEpisodeCountdown,
 		checkSegments,
@@ -0,0 +1,126 @@
+import {useState, useEffect, useCallback, useRef} from 'react';
+import Spotlight from '@enact/spotlight';
+import {isBackKey} from '../../utils/keys';
+import {
+	getSleepTimerState, subscribeSleepTimer, cancelSleepTimer, restartSleepTimer,
+	allowsAutoplay, countEpisode
+} from '../../services/sleepTimer';
+
+const STILL_WATCHING_SECONDS = 60;
+
+/**
+ * Shared hook connecting a platform player to the sleep timer.
+ *
+ * When the timer runs out a "still watching?" countdown is shown; if nobody
+ * answers, playback pauses and `screenReleased` turns true so the player can
+ * drop keepScreenOn and let the screensaver / TV power settings take over.
+ *
+ * @param {Object} options
+ * @param {Object}   options.item         - item loaded in the player
+ * @param {boolean}  options.isPaused     - player paused state
+ * @param {Function} options.pause        - platform-specific pause
+ * @param {Function} options.hideControls - hide player controls
+ */
+const useSleepTimer = ({item, isPaused, pause, hideControls}) => {
+	const [sleepTimer, setSleepTimer] = useState(getSleepTimerState);
+	const [stillWatchingCountdown, setStillWatchingCountdown] = useState(null);
+	const [screenReleased, setScreenReleased] = useState(false);
+	const countdownTimerRef = useRef(null);
+	const lastItemIdRef = useRef(item?.Id);
+	const pauseRef = useRef(pause);
+	pauseRef.current = pause;
+
+	useEffect(() => {
+		// A timer that ran out while nothing was on screen has nobody left to ask
+		if (getSleepTimerState().expired) cancelSleepTimer();
+		return subscribeSleepTimer(setSleepTimer);
+	}, []);
+
+	// The player stays mounted across autoplayed episodes; each switch uses one up
+	useEffect(() => {
+		if (!item?.Id || item.Id === lastItemIdRef.current) return;
+		lastItemIdRef.current = item.Id;
+		// Flipping between live channels isn't watching another episode
+		if (item.Type === 'TvChannel') return;
+		countEpisode();
+	}, [item?.Id, item?.Type]);
+
+	useEffect(() => {
+		if (!isPaused) setScreenReleased(false);
+	}, [isPaused]);
+
+	const stopCountdown = useCallback(() => {
+		if (countdownTimerRef.current) {
+			clearInterval(countdownTimerRef.current);
+			countdownTimerRef.current = null;
+		}
+		setStillWatchingCountdown(null);
+	}, []);
+
+	const handleStopWatching = useCallback(() => {
+		stopCountdown();
+		console.log('[SleepTimer] Pausing playback');
+		pauseRef.current?.();
+		cancelSleepTimer();
+		setScreenReleased(true);
+	}, [stopCountdown]);
+
+	useEffect(() => {
+		if (!sleepTimer.expired || countdownTimerRef.current) return;
+
+		let remaining = STILL_WATCHING_SECONDS;
+		setStillWatchingCountdown(remaining);
+		hideControls();
+		countdownTimerRef.current = setInterval(() => {
+			remaining--;
+			setStillWatchingCountdown(remaining);
+			if (remaining <= 0) handleStopWatching();
+		}, 1000);
+		window.requestAnimationFrame(() => {
+			Spotlight.focus('still-watching-btn');
+		});
+	}, [sleepTimer.expired, hideControls, handleStopWatching]);
+
+	useEffect(() => () => {
+		if (countdownTimerRef.current) clearInterval(countdownTimerRef.current);
+		if (getSleepTimerState().expired) cancelSleepTimer();
+	}, []);
+
+	const handleKeepWatching = useCallback(() => {
+		stopCountdown();
+		restartSleepTimer();
+	}, [stopCountdown]);
+
+	// Keydown handler (returns true if event was consumed)
+	const handleSleepTimerKeyDown = useCallback((e) => {
+		if (stillWatchingCountdown === null) return false;
+		const key = e.key || e.keyCode;
+
+		if (isBackKey(e) || key === 'GoBack') {
+			e.preventDefault();
+			e.stopPropagation();
+			handleKeepWatching();
+			return true;
+		}
+		if (key === 'Enter' || e.keyCode === 13) return false;
+		if (key === 'ArrowLeft' || e.keyCode === 37 || key === 'ArrowRight' || e.keyCode === 39) {
+			return false;
+		}
+		e.preventDefault();
+		e.stopPropagation();
+		return true;
+	}, [stillWatchingCountdown, handleKeepWatching]);
+
+	return {
+		sleepTimer,
+		stillWatchingCountdown,
+		// Only while still paused; resuming takes the screen back
+		screenReleased: screenReleased && isPaused,
+		autoPlayAllowed: allowsAutoplay(sleepTimer) && stillWatchingCountdown === null && !screenReleased,
+		handleKeepWatching,
+		handleStopWatching,
+		handleSleepTimerKeyDown
+	};
+};
+
+export default useSleepTimer;
@@ -0,0 +1,140 @@
+import {useState, useEffect, useCallback, useRef} from 'react';
+import {getSyncPlayEngine} from '../../services/syncPlay';
+import {useAuth} from '../../context/AuthContext';
+import {useI18n} from '../../context/I18nContext';
+
+/**
+ * Shared hook connecting a platform player to the SyncPlay engine.
+ *
+ * @param {Object} options
+ * @param {Object}   options.item        - item loaded in the player
+ * @param {boolean}  options.isReady     - media is loaded and the player can be driven
+ * @param {boolean}  options.isBuffering - player buffering state (reported to the group)
+ * @param {Object}   options.player      - {getPositionTicks, isPlaying, play, pause, seek, setRate?}
+ * @param {Function} options.onPlayItem  - platform-specific handler to switch to the group's item
+ */
+const useSyncPlay = ({item, isReady, isBuffering, player, onPlayItem}) => {
+	const engine = getSyncPlayEngine();
+	const {user} = useAuth();
+	const {t} = useI18n();
+
+	const [syncPlayState, setSyncPlayState] = useState(() => engine.getState());
+	const [syncPlayGroups, setSyncPlayGroups] = useState([]);
+	const [syncPlayError, setSyncPlayError] = useState(null);
+
+	// Refs so the adapter handed to the engine always reaches the latest player callbacks
+	const playerRef = useRef(player);
+	playerRef.current = player;
+	const onPlayItemRef = useRef(onPlayItem);
+	onPlayItemRef.current = onPlayItem;
+	const createdGroupRef = useRef(false);
+	const lastPlayingItemIdRef = useRef(syncPlayState.playingItemId);
+
+	useEffect(() => engine.subscribe(setSyncPlayState), [engine]);
+
+	useEffect(() => {
+		if (!item || !isReady) return;
+		engine.attachPlayer({
+			getPositionTicks: () => playerRef.current.getPositionTicks(),
+			isPlaying: () => playerRef.current.isPlaying(),
+			play: () => playerRef.current.play(),
+			pause: () => playerRef.current.pause(),
+			seek: (ticks) => playerRef.current.seek(ticks),
+			setRate: playerRef.current.setRate ? (rate) => playerRef.current.setRate(rate) : undefined
+		}, item.Id);
+		return () => engine.detachPlayer();
+	}, [engine, item, isReady]);
+
+	useEffect(() => {
+		if (isReady) engine.reportBuffering(isBuffering);
+	}, [engine, isReady, isBuffering]);
+
+	// Follow the group when it moves on to another item. Only changes are
+	// followed, so starting a new item while grouped replaces the group queue
+	// (see attachPlayer) instead of bouncing back to the old one.
+	useEffect(() => {
+		const {isInGroup, playingItemId} = syncPlayState;
+		if (!isReady || playingItemId === lastPlayingItemIdRef.current) return;
+		lastPlayingItemIdRef.current = playingItemId;
+		if (!isInGroup || !playingItemId || playingItemId === item?.Id) return;
+		let cancelled = false;
+		engine.fetchPlayingItem().then(nextItem => {
+			if (!cancelled && nextItem) onPlayItemRef.current?.(nextItem);
+		}).catch(e => console.warn('[SyncPlay] Failed to load group item:', e));
+		return () => {
+			cancelled = true;
+		};
+	}, [engine, syncPlayState, isReady, item]);
+
+	const refreshSyncPlayGroups = useCallback(async () => {
+		setSyncPlayError(null);
+		try {
+			setSyncPlayGroups(await engine.listGroups());
+		} catch (e) {
+			console.warn('[SyncPlay] Failed to list groups:', e);
+			setSyncPlayError(t('Could not load SyncPlay groups'));
+		}
+	}, [engine, t]);
+
+	const handleCreateSyncPlayGroup = useCallback(async () => {
+		setSyncPlayError(null);
+		createdGroupRef.current = true;
+		try {
+			await engine.createGroup(user?.Name ? t("{name}'s Group", {name: user.Name}) : t('Moonfin Group'));
+		} catch (e) {
+			console.warn('[SyncPlay] Failed to create group:', e);
+			createdGroupRef.current = false;
+			setSyncPlayError(t('Could not create group'));
+		}
+	}, [engine, user, t]);
+
+	const handleJoinSyncPlayGroup = useCallback(async (e) => {
+		const groupId = e.currentTarget.dataset.groupId;
+		if (!groupId) return;
+		setSyncPlayError(null);
+		try {
+			await engine.joinGroup(groupId);
+		} catch (err) {
+			console.warn('[SyncPlay] Failed to join group:', err);
+			setSyncPlayError(t('Could not join group'));
+		}
+	}, [engine, t]);
+
+	const handleLeaveSyncPlayGroup = useCallback(async () => {
+		try {
+			await engine.leaveGroup();
+		} catch (e) {
+			console.warn('[SyncPlay] Failed to leave group:', e);
+		}
+	}, [engine]);
+
+	// A group created from the player starts on the current item
+	useEffect(() => {
+		if (!createdGroupRef.current || !syncPlayState.isInGroup || !isReady || !item) return;
+		createdGroupRef.current = false;
+		if (!syncPlayState.playingItemId) {
+			engine.setNewQueue([item.Id], playerRef.current.getPositionTicks()).catch(e => {
+				console.warn('[SyncPlay] Failed to set group queue:', e);
+			});
+		}
+	}, [engine, syncPlayState, isReady, item]);
+
+	const requestSyncPlayPlay = useCallback(() => engine.requestPlay(), [engine]);
+	const requestSyncPlayPause = useCallback(() => engine.requestPause(), [engine]);
+	const requestSyncPlaySeek = useCallback((ticks) => engine.requestSeek(ticks), [engine]);
+
+	return {
+		syncPlayState,
+		syncPlayGroups,
+		syncPlayError,
+		refreshSyncPlayGroups,
+		handleCreateSyncPlayGroup,
+		handleJoinSyncPlayGroup,
+		handleLeaveSyncPlayGroup,
+		requestSyncPlayPlay,
+		requestSyncPlayPause,
+		requestSyncPlaySeek
+	};
+};
+
+export default useSyncPlay;
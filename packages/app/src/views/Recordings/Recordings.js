@@ -1,7 +1,9 @@
 import {useState, useEffect, useCallback} from 'react';
 import Spottable from '@enact/spotlight/Spottable';
 import {useAuth} from '../../context/AuthContext';
+import {useI18n} from '../../context/I18nContext';
 import LoadingSpinner from '../../components/LoadingSpinner';
+import SeriesTimerDialog from '../../components/SeriesTimerDialog';
 import {formatDuration} from '../../utils/helpers';
 
 import css from './Recordings.module.less';
@@ -80,17 +82,60 @@ const TimerCard = ({timer, serverUrl, formatScheduledTime, onSelect}) => {
 	);
 };
 
+const SeriesRuleCard = ({rule, serverUrl, onSelect}) => {
+	const {t, tn} = useI18n();
+	const handleClick = useCallback(() => {
+		onSelect(rule);
+	}, [rule, onSelect]);
+
+	return (
+		<SpottableDiv
+			className={css.card}
+			onClick={handleClick}
+		>
+			{rule.ParentPrimaryImageTag ? (
+				<img
+					className={css.cardImage}
+					src={`${serverUrl}/Items/${rule.ParentPrimaryImageItemId}/Images/Primary?maxWidth=300&quality=90`}
+					alt=""
+				/>
+			) : (
+				<div className={css.cardPlaceholder}>
+					<span>🔁</span>
+				</div>
+			)}
+			<div className={css.cardInfo}>
+				<div className={css.cardTitle}>{rule.Name}</div>
+				<div className={css.cardMeta}>
+					{rule.RecordAnyChannel ? t('Any channel') : rule.ChannelName}
+				</div>
+				<div className={css.cardSchedule}>
+					{rule.RecordNewOnly ? t('New episodes') : t('All episodes')}
+					{rule.KeepUpTo > 0 && <span> • {tn('Keep {count} episode', 'Keep {count} episodes', rule.KeepUpTo)}</span>}
+				</div>
+			</div>
+		</SpottableDiv>
+	);
+};
+
 const Recordings = ({onPlayRecording, backHandlerRef}) => {
 	const {api, serverUrl} = useAuth();
+	const {t, formatDate, formatTimeOfDay} = useI18n();
 	const [recordings, setRecordings] = useState([]);
 	const [timers, setTimers] = useState([]);
+	const [seriesTimers, setSeriesTimers] = useState([]);
 	const [isLoading, setIsLoading] = useState(true);
 	const [activeTab, setActiveTab] = useState('recordings');
 	const [selectedItem, setSelectedItem] = useState(null);
+	const [selectedRule, setSelectedRule] = useState(null);
 
 	useEffect(() => {
 		if (!backHandlerRef) return;
 		backHandlerRef.current = () => {
+			if (selectedRule) {
+				setSelectedRule(null);
+				return true;
+			}
 			if (selectedItem) {
 				setSelectedItem(null);
 				return true;
@@ -98,18 +143,20 @@ const Recordings = ({onPlayRecording, backHandlerRef}) => {
 			return false;
 		};
 		return () => { if (backHandlerRef) backHandlerRef.current = null; };
-	}, [backHandlerRef, selectedItem]);
+	}, [backHandlerRef, selectedItem, selectedRule]);
 
 	useEffect(() => {
 		const loadData = async () => {
 			try {
 				setIsLoading(true);
-				const [recordingsResult, timersResult] = await Promise.all([
+				const [recordingsResult, timersResult, seriesTimersResult] = await Promise.all([
 					api.getLiveTvRecordings(),
-					api.getLiveTvTimers()
+					api.getLiveTvTimers(),
+					api.getLiveTvSeriesTimers()
 				]);
 				setRecordings(recordingsResult.Items || []);
 				setTimers(timersResult.Items || []);
+				setSeriesTimers(seriesTimersResult.Items || []);
 			} catch (err) {
 				console.error('Failed to load recordings:', err);
 			} finally {
@@ -128,6 +175,10 @@ const Recordings = ({onPlayRecording, backHandlerRef}) => {
 		setActiveTab('scheduled');
 	}, []);
 
+	const handleSetSeriesRulesTab = useCallback(() => {
+		setActiveTab('series');
+	}, []);
+
 	const handleSelectRecording = useCallback((recording) => {
 		setSelectedItem({type: 'recording', item: recording});
 	}, []);
@@ -158,7 +209,7 @@ const Recordings = ({onPlayRecording, backHandlerRef}) => {
 		if (selectedItem?.item?.Id) {
 			try {
 				await api.cancelLiveTvTimer(selectedItem.item.Id);
-				setTimers(prev => prev.filter(t => t.Id !== selectedItem.item.Id));
+				setTimers(prev => prev.filter(timer => timer.Id !== selectedItem.item.Id));
 				setSelectedItem(null);
 			} catch (err) {
 				console.error('Failed to cancel timer:', err);
@@ -170,21 +221,47 @@ const Recordings = ({onPlayRecording, backHandlerRef}) => {
 		setSelectedItem(null);
 	}, []);
 
+	// Changing a rule makes the server add or drop scheduled recordings
+	const reloadTimers = useCallback(async () => {
+		try {
+			const timersResult = await api.getLiveTvTimers();
+			setTimers(timersResult.Items || []);
+		} catch (err) {
+			console.error('Failed to reload timers:', err);
+		}
+	}, [api]);
+
+	const handleSaveRule = useCallback(async (rule) => {
+		await api.updateLiveTvSeriesTimer(rule.Id, rule);
+		setSeriesTimers(prev => prev.map(r => (r.Id === rule.Id ? rule : r)));
+		setSelectedRule(null);
+		reloadTimers();
+	}, [api, reloadTimers]);
+
+	const handleDeleteRule = useCallback(async (rule) => {
+		await api.cancelLiveTvSeriesTimer(rule.Id);
+		setSeriesTimers(prev => prev.filter(r => r.Id !== rule.Id));
+		setSelectedRule(null);
+		reloadTimers();
+	}, [api, reloadTimers]);
+
+	const handleCloseRule = useCallback(() => {
+		setSelectedRule(null);
+	}, []);
+
 	const formatScheduledTime = useCallback((startDate, endDate) => {
 		const start = new Date(startDate);
 		const end = new Date(endDate);
 		const dateOpts = {weekday: 'short', month: 'short', day: 'numeric'};
-		const timeOpts = {hour: 'numeric', minute: '2-digit', hour12: true};
-
-		return `${start.toLocaleDateString('en-US', dateOpts)} ${start.toLocaleTimeString('en-US', timeOpts)} - ${end.toLocaleTimeString('en-US', timeOpts)}`;
-	}, []);
+		return `${formatDate(start, dateOpts)} ${formatTimeOfDay(start)} - ${formatTimeOfDay(end)}`;
+	}, [formatDate, formatTimeOfDay]);
 
 	if (isLoading) {
 		return (
 			<div className={css.page}>
 				<div className={css.loadingContainer}>
 					<LoadingSpinner />
-					<p>Loading Recordings...</p>
+					<p>{t('Loading Recordings...')}</p>
 				</div>
 			</div>
 		);
@@ -193,19 +270,25 @@ const Recordings = ({onPlayRecording, backHandlerRef}) => {
 	return (
 		<div className={css.page}>
 			<div className={css.header}>
-				<div className={css.title}>Recordings</div>
+				<div className={css.title}>{t('Recordings')}</div>
 				<div className={css.tabs}>
 					<SpottableButton
 						className={`${css.tab} ${activeTab === 'recordings' ? css.active : ''}`}
 						onClick={handleSetRecordingsTab}
 					>
-						Recordings ({recordings.length})
+						{t('Recordings ({count})', {count: recordings.length})}
 					</SpottableButton>
 					<SpottableButton
 						className={`${css.tab} ${activeTab === 'scheduled' ? css.active : ''}`}
 						onClick={handleSetScheduledTab}
 					>
-						Scheduled ({timers.length})
+						{t('Scheduled ({count})', {count: timers.length})}
+					</SpottableButton>
+					<SpottableButton
+						className={`${css.tab} ${activeTab === 'series' ? css.active : ''}`}
+						onClick={handleSetSeriesRulesTab}
+					>
+						{t('Series Rules ({count})', {count: seriesTimers.length})}
 					</SpottableButton>
 				</div>
 			</div>
@@ -214,7 +297,7 @@ const Recordings = ({onPlayRecording, backHandlerRef}) => {
 				{activeTab === 'recordings' && (
 					<div className={css.grid}>
 						{recordings.length === 0 ? (
-							<div className={css.empty}>No recordings found</div>
+							<div className={css.empty}>{t('No recordings found')}</div>
 						) : (
 							recordings.map(recording => (
 								<RecordingCard
@@ -231,7 +314,7 @@ const Recordings = ({onPlayRecording, backHandlerRef}) => {
 				{activeTab === 'scheduled' && (
 					<div className={css.grid}>
 						{timers.length === 0 ? (
-							<div className={css.empty}>No scheduled recordings</div>
+							<div className={css.empty}>{t('No scheduled recordings')}</div>
 						) : (
 							timers.map(timer => (
 								<TimerCard
@@ -245,6 +328,23 @@ const Recordings = ({onPlayRecording, backHandlerRef}) => {
 						)}
 					</div>
 				)}
+
+				{activeTab === 'series' && (
+					<div className={css.grid}>
+						{seriesTimers.length === 0 ? (
+							<div className={css.empty}>{t('No series recordings. Use Record Series in the guide to add one.')}</div>
+						) : (
+							seriesTimers.map(rule => (
+								<SeriesRuleCard
+									key={rule.Id}
+									rule={rule}
+									serverUrl={serverUrl}
+									onSelect={setSelectedRule}
+								/>
+							))
+						)}
+					</div>
+				)}
 			</div>
 
 			{selectedItem && (
@@ -262,14 +362,14 @@ const Recordings = ({onPlayRecording, backHandlerRef}) => {
 								<div className={css.popupOverview}>{selectedItem.item.Overview}</div>
 							)}
 							<div className={css.popupMeta}>
-								<div>Channel: {selectedItem.item.ChannelName}</div>
+								<div>{t('Channel: {channel}', {channel: selectedItem.item.ChannelName})}</div>
 								{selectedItem.type === 'timer' && (
 									<div>
-										Scheduled: {formatScheduledTime(selectedItem.item.StartDate, selectedItem.item.EndDate)}
+										{t('Scheduled: {time}', {time: formatScheduledTime(selectedItem.item.StartDate, selectedItem.item.EndDate)})}
 									</div>
 								)}
 								{selectedItem.type === 'recording' && selectedItem.item.RunTimeTicks && (
-									<div>Duration: {formatDuration(selectedItem.item.RunTimeTicks)}</div>
+									<div>{t('Duration: {duration}', {duration: formatDuration(selectedItem.item.RunTimeTicks)})}</div>
 								)}
 							</div>
 						</div>
@@ -281,13 +381,13 @@ const Recordings = ({onPlayRecording, backHandlerRef}) => {
 										className={css.popupBtn}
 										onClick={handlePlaySelectedRecording}
 									>
-										Play
+										{t('Play')}
 									</SpottableButton>
 									<SpottableButton
 										className={`${css.popupBtn} ${css.danger}`}
 										onClick={handleDeleteSelectedRecording}
 									>
-										Delete
+										{t('Delete')}
 									</SpottableButton>
 								</>
 							)}
@@ -296,19 +396,26 @@ const Recordings = ({onPlayRecording, backHandlerRef}) => {
 									className={`${css.popupBtn} ${css.danger}`}
 									onClick={handleCancelSelectedTimer}
 								>
-									Cancel Recording
+									{t('Cancel Recording')}
 								</SpottableButton>
 							)}
 							<SpottableButton
 								className={css.popupBtn}
 								onClick={handleClosePopup}
 							>
-								Close
+								{t('Close')}
 							</SpottableButton>
 						</div>
 					</div>
 				</div>
 			)}
+
+			<SeriesTimerDialog
+				seriesTimer={selectedRule}
+				onSave={handleSaveRule}
+				onDelete={handleDeleteRule}
+				onClose={handleCloseRule}
+			/>
 		</div>
 	);
 };
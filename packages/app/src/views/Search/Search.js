@@ -4,6 +4,7 @@ import SpotlightContainerDecorator from '@enact/spotlight/SpotlightContainerDeco
 import Spotlight from '@enact/spotlight';
 import {useAuth} from '../../context/AuthContext';
 import {useSettings} from '../../context/SettingsContext';
+import {useI18n} from '../../context/I18nContext';
 import {useJellyseerr} from '../../context/JellyseerrContext';
 import * as connectionPool from '../../services/connectionPool';
 import LoadingSpinner from '../../components/LoadingSpinner';
@@ -31,6 +32,7 @@ const SearchIcon = () => (
 const Search = ({onSelectItem, onSelectPerson}) => {
 	const {api, serverUrl, hasMultipleServers} = useAuth();
 	const {settings} = useSettings();
+	const {t} = useI18n();
 	const unifiedMode = settings.unifiedLibraryMode && hasMultipleServers;
 	const {isEnabled: jellyseerrEnabled, api: jellyseerrApi} = useJellyseerr();
 	const [query, setQuery] = useState('');
@@ -337,11 +339,11 @@ const Search = ({onSelectItem, onSelectPerson}) => {
 		if (isEpisode) {
 			subtitle = `${item.SeriesName || ''} S${item.ParentIndexNumber || '?'}E${item.IndexNumber || '?'}`;
 		} else if (isPerson) {
-			subtitle = 'Person';
+			subtitle = t('Person');
 		} else if (isAlbum) {
 			subtitle = item.AlbumArtist || item.ProductionYear || '';
 		} else if (isArtist) {
-			subtitle = 'Artist';
+			subtitle = t('Artist');
 		} else if (isSong) {
 			subtitle = item.AlbumArtist || item.Artists?.[0] || item.Album || '';
 		} else {
@@ -378,7 +380,7 @@ const Search = ({onSelectItem, onSelectPerson}) => {
 				</div>
 			</SpottableDiv>
 		);
-	}, [serverUrl, handleCardClick, unifiedMode]);
+	}, [serverUrl, handleCardClick, unifiedMode, t]);
 
 	return (
 		<div className={css.searchContainer}>
@@ -388,7 +390,7 @@ const Search = ({onSelectItem, onSelectPerson}) => {
 					<SpottableInput
 						type="text"
 						className={css.searchInput}
-						placeholder="Search movies, shows, music, and more..."
+						placeholder={t('Search movies, shows, music, and more...')}
 						value={query}
 						onChange={handleInputChange}
 						onKeyDown={handleInputKeyDown}
@@ -407,18 +409,18 @@ const Search = ({onSelectItem, onSelectPerson}) => {
 				{isLoading ? (
 					<div className={css.loadingIndicator}>
 						<LoadingSpinner />
-						<p>Searching...</p>
+						<p>{t('Searching...')}</p>
 					</div>
 				) : !query || query.length < MIN_SEARCH_LENGTH ? (
 					<div className={css.emptyState}>
 						<SearchIcon />
-						<h2>Search for content</h2>
-						<p>Find movies, TV shows, music, and more</p>
+						<h2>{t('Search for content')}</h2>
+						<p>{t('Find movies, TV shows, music, and more')}</p>
 					</div>
 				) : !hasResults ? (
 					<div className={css.noResults}>
-						<h2>No results found</h2>
-						<p>Try a different search term</p>
+						<h2>{t('No results found')}</h2>
+						<p>{t('Try a different search term')}</p>
 					</div>
 				) : (
 					<div className={css.resultsContainer}>
@@ -432,7 +434,7 @@ const Search = ({onSelectItem, onSelectPerson}) => {
 									onKeyDown={handleRowKeyDown}
 								>
 									<h2 className={css.rowTitle}>
-										{row.title}
+										{t(row.title)}
 										{row.items.length < row.totalCount && (
 											<span className={css.rowCount}> ({row.items.length}/{row.totalCount})</span>
 										)}
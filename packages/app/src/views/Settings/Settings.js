@@ -1,4 +1,4 @@
-import {useCallback, useState, useEffect} from 'react';
+import {useCallback, useState, useEffect, useMemo} from 'react';
 import Spottable from '@enact/spotlight/Spottable';
 import SpotlightContainerDecorator from '@enact/spotlight/SpotlightContainerDecorator';
 import Spotlight from '@enact/spotlight';
@@ -8,10 +8,17 @@ import Slider from '@enact/sandstone/Slider';
 import {useAuth} from '../../context/AuthContext';
 import {useSettings, DEFAULT_HOME_ROWS} from '../../context/SettingsContext';
 import {useJellyseerr} from '../../context/JellyseerrContext';
+import {useI18n} from '../../context/I18nContext';
+import {useParentalControls} from '../../context/ParentalControlContext';
 import {useDeviceInfo} from '../../hooks/useDeviceInfo';
 import serverLogger from '../../services/serverLogger';
 import connectionPool from '../../services/connectionPool';
+import {getAvailableLanguages} from '../../services/i18n';
+import {RATING_LIMIT_OPTIONS} from '../../services/parentalControls';
+import {REMINDER_LEAD_MINUTES} from '../../services/reminders';
+import {getAllSeriesTrackPreferences, clearSeriesTrackPreferences} from '../../services/trackPreferences';
 import {isBackKey, KEYS} from '../../utils/keys';
+import {SEGMENT_TYPES, SEGMENT_ACTION_OPTIONS, SEGMENT_SETTING_KEYS, SEGMENT_LABELS} from '../../utils/segmentConstants';
 
 import css from './Settings.module.less';
 
@@ -46,6 +53,12 @@ const IconAbout = () => (
 	</svg>
 );
 
+const IconParental = () => (
+	<svg viewBox="0 0 24 24" fill="currentColor">
+		<path d="M18 8h-1V6c0-2.76-2.24-5-5-5S7 3.24 7 6v2H6c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V10c0-1.1-.9-2-2-2zm-6 9c-1.1 0-2-.9-2-2s.9-2 2-2 2 .9 2 2-.9 2-2 2zm3.1-9H8.9V6c0-1.71 1.39-3.1 3.1-3.1 1.71 0 3.1 1.39 3.1 3.1v2z" />
+	</svg>
+);
+
 const IconPlugin = () => (
 	<svg viewBox="0 0 24 24" fill="currentColor">
 		<path d="M20.5 11H19V7c0-1.1-.9-2-2-2h-4V3.5C13 2.12 11.88 1 10.5 1S8 2.12 8 3.5V5H4c-1.1 0-1.99.9-1.99 2v3.8H3.5c1.49 0 2.7 1.21 2.7 2.7s-1.21 2.7-2.7 2.7H2V20c0 1.1.9 2 2 2h3.8v-1.5c0-1.49 1.21-2.7 2.7-2.7s2.7 1.21 2.7 2.7V22H17c1.1 0 2-.9 2-2v-4h1.5c1.38 0 2.5-1.12 2.5-2.5S21.88 11 20.5 11z" />
@@ -71,6 +84,7 @@ const BASE_CATEGORIES = [
 	{id: 'playback', label: 'Playback', Icon: IconPlayback},
 	{id: 'display', label: 'Display', Icon: IconDisplay},
 	{id: 'plugin', label: 'Plugin', Icon: IconPlugin},
+	{id: 'parental', label: 'Parental Controls', Icon: IconParental},
 	{id: 'about', label: 'About', Icon: IconAbout}
 ];
 
@@ -120,6 +134,11 @@ const SUBTITLE_POSITION_OPTIONS = [
 	{value: 'absolute', label: 'Absolute', offset: 0}
 ];
 
+const SECONDARY_SUBTITLE_POSITION_OPTIONS = [
+	{value: 'top', label: 'Top'},
+	{value: 'bottom', label: 'Above Primary'}
+];
+
 const SUBTITLE_COLOR_OPTIONS = [
 	{value: '#ffffff', label: 'White'},
 	{value: '#ffff00', label: 'Yellow'},
@@ -156,6 +175,17 @@ const SEEK_STEP_OPTIONS = [
 	{value: 30, label: '30 seconds'}
 ];
 
+const RECORDING_PADDING_OPTIONS = [
+	{value: 'server', label: 'Server Default'},
+	{value: 0, label: 'None'},
+	{value: 60, label: '1 minute'},
+	{value: 120, label: '2 minutes'},
+	{value: 300, label: '5 minutes'},
+	{value: 600, label: '10 minutes'},
+	{value: 900, label: '15 minutes'},
+	{value: 1800, label: '30 minutes'}
+];
+
 const UI_OPACITY_OPTIONS = [
 	{value: 50, label: '50%'},
 	{value: 65, label: '65%'},
@@ -230,14 +260,17 @@ const getLabel = (options, value, fallback) => {
 	return option?.label || fallback;
 };
 
-const Settings = ({onBack, onLibrariesChanged}) => {
+const Settings = ({onBack, onLibrariesChanged, libraries = []}) => {
 	const {
 		api,
 		serverUrl,
 		accessToken,
 		hasMultipleServers,
+		servers
 	} = useAuth();
 	const {settings, updateSetting} = useSettings();
+	const {t, tn} = useI18n();
+	const parental = useParentalControls();
 	const {capabilities} = useDeviceInfo();
 	const jellyseerr = useJellyseerr();
 	const isSeerr = jellyseerr.isMoonfin && jellyseerr.variant === 'seerr';
@@ -245,6 +278,24 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 
 	const categories = BASE_CATEGORIES;
 
+	const languageOptions = useMemo(() => [
+		{value: '', label: 'System Default'},
+		...getAvailableLanguages().map(language => ({value: language.code, label: language.name}))
+	], []);
+
+	const reminderLeadOptions = useMemo(() => REMINDER_LEAD_MINUTES.map(minutes => ({
+		value: minutes,
+		label: tn('{count} minute', '{count} minutes', minutes)
+	})), [tn]);
+
+	// A user can be saved once per server; lock by user, not by server entry
+	const lockableUsers = useMemo(() => {
+		const seen = new Set();
+		return (servers || [])
+			.filter(server => !seen.has(server.userId) && seen.add(server.userId))
+			.map(server => ({id: server.userId, label: `${server.username} (${server.name})`}));
+	}, [servers]);
+
 	const [activeCategory, setActiveCategory] = useState('general');
 	const [showHomeRowsModal, setShowHomeRowsModal] = useState(false);
 	const [tempHomeRows, setTempHomeRows] = useState([]);
@@ -265,6 +316,9 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 	const [moonfinUsername, setMoonfinUsername] = useState('');
 	const [moonfinPassword, setMoonfinPassword] = useState('');
 	const [optionDialog, setOptionDialog] = useState(null);
+	const [parentalListModal, setParentalListModal] = useState(null);
+	const [savedTrackSeries, setSavedTrackSeries] = useState([]);
+	const [showTrackPreferencesModal, setShowTrackPreferencesModal] = useState(false);
 
 	useEffect(() => {
 		Spotlight.focus('sidebar-general');
@@ -274,7 +328,7 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 	useEffect(() => {
 		const handleKeyDown = (e) => {
 			if (isBackKey(e)) {
-				if (e.target.tagName === 'INPUT') {
+				if (e.target.tagName === 'INPUT' || parental.pinPrompt) {
 					return;
 				}
 				e.preventDefault();
@@ -283,6 +337,14 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 					setOptionDialog(null);
 					return;
 				}
+				if (parentalListModal) {
+					setParentalListModal(null);
+					return;
+				}
+				if (showTrackPreferencesModal) {
+					setShowTrackPreferencesModal(false);
+					return;
+				}
 				if (showHomeRowsModal) {
 					setShowHomeRowsModal(false);
 					return;
@@ -297,7 +359,7 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 
 		window.addEventListener('keydown', handleKeyDown, true);
 		return () => window.removeEventListener('keydown', handleKeyDown, true);
-	}, [onBack, optionDialog, showHomeRowsModal, showLibraryModal]);
+	}, [onBack, optionDialog, showHomeRowsModal, showLibraryModal, parentalListModal, showTrackPreferencesModal, parental.pinPrompt]);
 
 	useEffect(() => {
 		if (serverUrl && accessToken) {
@@ -365,24 +427,24 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 
 		if (enabling) {
 			if (!serverUrl || !accessToken) {
-				setMoonfinStatus('Not connected to a Jellyfin server');
+				setMoonfinStatus(t('Not connected to a Jellyfin server'));
 				return;
 			}
 
 			setMoonfinConnecting(true);
-			setMoonfinStatus('Checking Moonfin plugin...');
+			setMoonfinStatus(t('Checking Moonfin plugin...'));
 
 			try {
 				const result = await jellyseerr.configureWithMoonfin(serverUrl, accessToken);
 				if (result.authenticated) {
-					setMoonfinStatus('Connected via Moonfin!');
+					setMoonfinStatus(t('Connected via Moonfin!'));
 					setMoonfinLoginMode(false);
 				} else {
-					setMoonfinStatus('Moonfin plugin found but no session. Please log in.');
+					setMoonfinStatus(t('Moonfin plugin found but no session. Please log in.'));
 					setMoonfinLoginMode(true);
 				}
 			} catch (err) {
-				setMoonfinStatus(`Moonfin connection failed: ${err.message}`);
+				setMoonfinStatus(t('Moonfin connection failed: {error}', {error: err.message}));
 			} finally {
 				setMoonfinConnecting(false);
 			}
@@ -393,10 +455,11 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 			setMoonfinUsername('');
 			setMoonfinPassword('');
 		}
-	}, [settings.useMoonfinPlugin, updateSetting, serverUrl, accessToken, jellyseerr]);
+	}, [settings.useMoonfinPlugin, updateSetting, serverUrl, accessToken, jellyseerr, t]);
 
-	const openOptionDialog = useCallback((title, options, settingKey) => {
-		setOptionDialog({title, options, settingKey});
+	// onSelect/currentValue let a dialog edit something other than a setting
+	const openOptionDialog = useCallback((title, options, settingKey, onSelect, currentValue) => {
+		setOptionDialog({title, options, settingKey, onSelect, currentValue});
 	}, []);
 
 	const closeOptionDialog = useCallback(() => {
@@ -408,7 +471,11 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 		if (optionDialog && value !== undefined) {
 			// Attempt to parse as number for numeric settings
 			const parsed = /^\d+$/.test(value) ? parseInt(value, 10) : value;
-			updateSetting(optionDialog.settingKey, parsed);
+			if (optionDialog.onSelect) {
+				optionDialog.onSelect(parsed);
+			} else {
+				updateSetting(optionDialog.settingKey, parsed);
+			}
 		}
 		setOptionDialog(null);
 	}, [optionDialog, updateSetting]);
@@ -614,25 +681,25 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 
 	const handleMoonfinLogin = useCallback(async () => {
 		if (!moonfinUsername || !moonfinPassword) {
-			setMoonfinStatus('Please enter username and password');
+			setMoonfinStatus(t('Please enter username and password'));
 			return;
 		}
 
 		setMoonfinConnecting(true);
-		setMoonfinStatus('Logging in via Moonfin plugin...');
+		setMoonfinStatus(t('Logging in via Moonfin plugin...'));
 
 		try {
 			await jellyseerr.loginWithMoonfin(moonfinUsername, moonfinPassword);
-			setMoonfinStatus('Connected successfully!');
+			setMoonfinStatus(t('Connected successfully!'));
 			setMoonfinLoginMode(false);
 			setMoonfinUsername('');
 			setMoonfinPassword('');
 		} catch (err) {
-			setMoonfinStatus(`Login failed: ${err.message}`);
+			setMoonfinStatus(t('Login failed: {error}', {error: err.message}));
 		} finally {
 			setMoonfinConnecting(false);
 		}
-	}, [moonfinUsername, moonfinPassword, jellyseerr]);
+	}, [moonfinUsername, moonfinPassword, jellyseerr, t]);
 
 	const handleMoonfinUsernameChange = useCallback((e) => {
 		setMoonfinUsername(e.target.value);
@@ -650,6 +717,86 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 		setMoonfinPassword('');
 	}, [jellyseerr]);
 
+	// Any change to parental controls needs the PIN (skipped if it was entered recently)
+	const withParentalPin = useCallback(async (change) => {
+		if (await parental.requestPin('Enter PIN to change parental controls')) change();
+	}, [parental]);
+
+	const handleSetParentalPin = useCallback(() => {
+		parental.setPin();
+	}, [parental]);
+
+	const handleRemoveParentalPin = useCallback(() => {
+		parental.removePin();
+	}, [parental]);
+
+	const handleToggleParentalSettingsLock = useCallback(() => {
+		withParentalPin(() => parental.updateConfig({lockSettings: !parental.config.lockSettings}));
+	}, [parental, withParentalPin]);
+
+	const handleToggleBlockUnrated = useCallback(() => {
+		withParentalPin(() => parental.updateConfig({blockUnrated: !parental.config.blockUnrated}));
+	}, [parental, withParentalPin]);
+
+	const openMaxRatingDialog = useCallback(() => {
+		withParentalPin(() => openOptionDialog(
+			t('Maximum Rating'),
+			RATING_LIMIT_OPTIONS,
+			null,
+			value => parental.updateConfig({maxRating: value}),
+			parental.config.maxRating
+		));
+	}, [parental, withParentalPin, openOptionDialog, t]);
+
+	const openLockedUsersModal = useCallback(() => {
+		withParentalPin(() => setParentalListModal('users'));
+	}, [withParentalPin]);
+
+	const openLockedLibrariesModal = useCallback(() => {
+		withParentalPin(() => setParentalListModal('libraries'));
+	}, [withParentalPin]);
+
+	const closeParentalListModal = useCallback(() => {
+		setParentalListModal(null);
+	}, []);
+
+	const handleParentalListToggle = useCallback((e) => {
+		const id = e.currentTarget.dataset.id;
+		if (!id) return;
+		if (parentalListModal === 'users') {
+			parental.toggleLockedUser(id);
+		} else {
+			parental.toggleLockedLibrary(id);
+		}
+	}, [parental, parentalListModal]);
+
+	useEffect(() => {
+		if (activeCategory === 'playback') {
+			getAllSeriesTrackPreferences().then(setSavedTrackSeries);
+		}
+	}, [activeCategory]);
+
+	const openTrackPreferencesModal = useCallback(() => {
+		setShowTrackPreferencesModal(true);
+	}, []);
+
+	const closeTrackPreferencesModal = useCallback(() => {
+		setShowTrackPreferencesModal(false);
+	}, []);
+
+	const handleForgetSeriesTracks = useCallback(async (e) => {
+		const id = e.currentTarget.dataset.id;
+		if (!id) return;
+		await clearSeriesTrackPreferences(id);
+		setSavedTrackSeries(await getAllSeriesTrackPreferences());
+	}, []);
+
+	const handleForgetAllSeriesTracks = useCallback(async () => {
+		await clearSeriesTrackPreferences();
+		setSavedTrackSeries([]);
+		setShowTrackPreferencesModal(false);
+	}, []);
+
 	const renderSettingItem = (title, description, value, onClick, key) => (
 		<SpottableDiv
 			key={key}
@@ -669,7 +816,7 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 		renderSettingItem(
 			title,
 			description,
-			settings[settingKey] ? 'On' : 'Off',
+			settings[settingKey] ? t('On') : t('Off'),
 			() => toggleSetting(settingKey),
 			`setting-${settingKey}`
 		)
@@ -677,48 +824,53 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 
 	const renderGeneralPanel = () => (
 		<div className={css.panel}>
-			<h1>General Settings</h1>
+			<h1>{t('General Settings')}</h1>
 			<div className={css.settingsGroup}>
-				<h2>Application</h2>
-				{renderSettingItem('Clock Display', 'Show clock in the interface',
-					getLabel(CLOCK_DISPLAY_OPTIONS, settings.clockDisplay, '24-Hour'),
-					() => openOptionDialog('Clock Display', CLOCK_DISPLAY_OPTIONS, 'clockDisplay'),
+				<h2>{t('Application')}</h2>
+				{renderSettingItem(t('Language'), t('Language used throughout the app'),
+					t(getLabel(languageOptions, settings.language || '', 'System Default')),
+					() => openOptionDialog(t('Language'), languageOptions, 'language'),
+					'setting-language'
+				)}
+				{renderSettingItem(t('Clock Display'), t('Show clock in the interface'),
+					t(getLabel(CLOCK_DISPLAY_OPTIONS, settings.clockDisplay, '24-Hour')),
+					() => openOptionDialog(t('Clock Display'), CLOCK_DISPLAY_OPTIONS, 'clockDisplay'),
 					'setting-clockDisplay'
 				)}
-				{renderToggleItem('Show Clock', 'Show or hide Clock on Home Screen', 'showClock')}
-				{renderToggleItem('Auto Login', 'Automatically sign in on app launch', 'autoLogin')}
+				{renderToggleItem(t('Show Clock'), t('Show or hide Clock on Home Screen'), 'showClock')}
+				{renderToggleItem(t('Auto Login'), t('Automatically sign in on app launch'), 'autoLogin')}
 			</div>
 			{hasMultipleServers && (
 				<div className={css.settingsGroup}>
-					<h2>Multi-Server</h2>
-					{renderToggleItem('Unified Library Mode', 'Combine content from all servers into a single view', 'unifiedLibraryMode')}
+					<h2>{t('Multi-Server')}</h2>
+					{renderToggleItem(t('Unified Library Mode'), t('Combine content from all servers into a single view'), 'unifiedLibraryMode')}
 				</div>
 			)}
 			<div className={css.settingsGroup}>
-				<h2>Navigation Bar</h2>
-				{renderSettingItem('Navigation Style', 'Position of navigation: top bar or left sidebar',
-					getLabel(NAV_POSITION_OPTIONS, settings.navbarPosition, 'Top Bar'),
-					() => openOptionDialog('Navigation Style', NAV_POSITION_OPTIONS, 'navbarPosition'),
+				<h2>{t('Navigation Bar')}</h2>
+				{renderSettingItem(t('Navigation Style'), t('Position of navigation: top bar or left sidebar'),
+					t(getLabel(NAV_POSITION_OPTIONS, settings.navbarPosition, 'Top Bar')),
+					() => openOptionDialog(t('Navigation Style'), NAV_POSITION_OPTIONS, 'navbarPosition'),
 					'setting-navbarPosition'
 				)}
-				{renderToggleItem('Show Shuffle Button', 'Show shuffle button in navigation bar', 'showShuffleButton')}
-				{settings.showShuffleButton && renderSettingItem('Shuffle Content Type', 'Type of content to shuffle',
-					getLabel(CONTENT_TYPE_OPTIONS, settings.shuffleContentType, 'Movies & TV Shows'),
-					() => openOptionDialog('Shuffle Content Type', CONTENT_TYPE_OPTIONS, 'shuffleContentType'),
+				{renderToggleItem(t('Show Shuffle Button'), t('Show shuffle button in navigation bar'), 'showShuffleButton')}
+				{settings.showShuffleButton && renderSettingItem(t('Shuffle Content Type'), t('Type of content to shuffle'),
+					t(getLabel(CONTENT_TYPE_OPTIONS, settings.shuffleContentType, 'Movies & TV Shows')),
+					() => openOptionDialog(t('Shuffle Content Type'), CONTENT_TYPE_OPTIONS, 'shuffleContentType'),
 					'setting-shuffleContentType'
 				)}
-				{renderToggleItem('Show Genres Button', 'Show genres button in navigation bar', 'showGenresButton')}
-				{renderToggleItem('Show Favorites Button', 'Show favorites button in navigation bar', 'showFavoritesButton')}
-				{renderToggleItem('Show Libraries in Toolbar', 'Show expandable library shortcuts in navigation bar', 'showLibrariesInToolbar')}
+				{renderToggleItem(t('Show Genres Button'), t('Show genres button in navigation bar'), 'showGenresButton')}
+				{renderToggleItem(t('Show Favorites Button'), t('Show favorites button in navigation bar'), 'showFavoritesButton')}
+				{renderToggleItem(t('Show Libraries in Toolbar'), t('Show expandable library shortcuts in navigation bar'), 'showLibrariesInToolbar')}
 			</div>
 			<div className={css.settingsGroup}>
-				<h2>Home Screen</h2>
-				{renderToggleItem('Merge Continue Watching & Next Up', 'Combine into a single row', 'mergeContinueWatchingNextUp')}
-				{renderSettingItem('Configure Home Rows', 'Customize which rows appear on home screen',
-					'Edit...', openHomeRowsModal, 'setting-homeRows'
+				<h2>{t('Home Screen')}</h2>
+				{renderToggleItem(t('Merge Continue Watching & Next Up'), t('Combine into a single row'), 'mergeContinueWatchingNextUp')}
+				{renderSettingItem(t('Configure Home Rows'), t('Customize which rows appear on home screen'),
+					t('Edit...'), openHomeRowsModal, 'setting-homeRows'
 				)}
-				{renderSettingItem('Hide Libraries', 'Choose which libraries to hide (syncs across all Jellyfin clients)',
-					'Edit...', openLibraryModal, 'setting-hideLibraries'
+				{renderSettingItem(t('Hide Libraries'), t('Choose which libraries to hide (syncs across all Jellyfin clients)'),
+					t('Edit...'), openLibraryModal, 'setting-hideLibraries'
 				)}
 			</div>
 		</div>
@@ -726,42 +878,72 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 
 	const renderPlaybackPanel = () => (
 		<div className={css.panel}>
-			<h1>Playback Settings</h1>
+			<h1>{t('Playback Settings')}</h1>
 			<div className={css.settingsGroup}>
-				<h2>Video</h2>
-				{renderToggleItem('Skip Intro', 'Automatically skip intros when detected', 'skipIntro')}
-				{renderToggleItem('Skip Credits', 'Automatically skip credits', 'skipCredits')}
-				{renderToggleItem('Auto Play Next', 'Automatically play the next episode', 'autoPlay')}
-				{renderSettingItem('Maximum Bitrate', 'Limit streaming quality',
-					getLabel(BITRATE_OPTIONS, settings.maxBitrate, 'Auto'),
-					() => openOptionDialog('Maximum Bitrate', BITRATE_OPTIONS, 'maxBitrate'),
+				<h2>{t('Video')}</h2>
+				{renderToggleItem(t('Auto Play Next'), t('Automatically play the next episode'), 'autoPlay')}
+				{renderSettingItem(t('Maximum Bitrate'), t('Limit streaming quality'),
+					t(getLabel(BITRATE_OPTIONS, settings.maxBitrate, 'Auto')),
+					() => openOptionDialog(t('Maximum Bitrate'), BITRATE_OPTIONS, 'maxBitrate'),
 					'setting-bitrate'
 				)}
-				{renderSettingItem('Seek Step', 'Seconds to skip when seeking',
-					getLabel(SEEK_STEP_OPTIONS, settings.seekStep, '10 seconds'),
-					() => openOptionDialog('Seek Step', SEEK_STEP_OPTIONS, 'seekStep'),
+				{settings.maxBitrate === 0 && renderToggleItem(t('Automatic Quality'), t('Measure the connection to the server and lower the quality when playback keeps buffering'), 'autoQuality')}
+				{renderSettingItem(t('Seek Step'), t('Seconds to skip when seeking'),
+					t(getLabel(SEEK_STEP_OPTIONS, settings.seekStep, '10 seconds')),
+					() => openOptionDialog(t('Seek Step'), SEEK_STEP_OPTIONS, 'seekStep'),
 					'setting-seekStep'
 				)}
 				<div className={css.divider} />
-				{renderToggleItem('Prefer Transcoding', 'Request transcoded streams when available', 'preferTranscode')}
-				{renderToggleItem('Force Direct Play', 'Skip codec checks and always attempt DirectPlay (debug)', 'forceDirectPlay')}
+				{renderToggleItem(t('Prefer Transcoding'), t('Request transcoded streams when available'), 'preferTranscode')}
+				{renderToggleItem(t('Force Direct Play'), t('Skip codec checks and always attempt DirectPlay (debug)'), 'forceDirectPlay')}
+				{renderToggleItem(t('Playback Statistics'), t('Show codecs, bitrate, dropped frames and buffer health over the video'), 'showPlaybackStats')}
 			</div>
 			<div className={css.settingsGroup}>
-				<h2>Subtitles</h2>
-				{renderSettingItem('Subtitle Size', 'Size of subtitle text',
-					getLabel(SUBTITLE_SIZE_OPTIONS, settings.subtitleSize, 'Medium'),
-					() => openOptionDialog('Subtitle Size', SUBTITLE_SIZE_OPTIONS, 'subtitleSize'),
+				<h2>{t('Media Segments')}</h2>
+				{SEGMENT_TYPES.map(type => {
+					const settingKey = SEGMENT_SETTING_KEYS[type];
+					return renderSettingItem(t(SEGMENT_LABELS[type]), t('What to do when this part of an episode or movie starts'),
+						t(getLabel(SEGMENT_ACTION_OPTIONS, settings[settingKey], 'Show Skip Button')),
+						() => openOptionDialog(t(SEGMENT_LABELS[type]), SEGMENT_ACTION_OPTIONS, settingKey),
+						`setting-${settingKey}`
+					);
+				})}
+			</div>
+			<div className={css.settingsGroup}>
+				<h2>{t('Live TV')}</h2>
+				{renderSettingItem(t('Start Early'), t('Padding added before each new recording'),
+					t(getLabel(RECORDING_PADDING_OPTIONS, settings.recordingPrePadding, 'Server Default')),
+					() => openOptionDialog(t('Start Early'), RECORDING_PADDING_OPTIONS, 'recordingPrePadding'),
+					'setting-recordingPrePadding'
+				)}
+				{renderSettingItem(t('End Late'), t('Padding added after each new recording'),
+					t(getLabel(RECORDING_PADDING_OPTIONS, settings.recordingPostPadding, 'Server Default')),
+					() => openOptionDialog(t('End Late'), RECORDING_PADDING_OPTIONS, 'recordingPostPadding'),
+					'setting-recordingPostPadding'
+				)}
+				{renderSettingItem(t('Reminder Time'), t('How long before a program starts its reminder appears'),
+					tn('{count} minute', '{count} minutes', settings.reminderLeadMinutes),
+					() => openOptionDialog(t('Reminder Time'), reminderLeadOptions, 'reminderLeadMinutes'),
+					'setting-reminderLeadMinutes'
+				)}
+			</div>
+			<div className={css.settingsGroup}>
+				<h2>{t('Subtitles')}</h2>
+				{renderToggleItem(t('Override Styled Subtitles'), t('Show ASS/SSA subtitles with the style below instead of their own'), 'subtitleForceStyle')}
+				{renderSettingItem(t('Subtitle Size'), t('Size of subtitle text'),
+					t(getLabel(SUBTITLE_SIZE_OPTIONS, settings.subtitleSize, 'Medium')),
+					() => openOptionDialog(t('Subtitle Size'), SUBTITLE_SIZE_OPTIONS, 'subtitleSize'),
 					'setting-subtitleSize'
 				)}
-				{renderSettingItem('Subtitle Position', 'Vertical position of subtitles',
-					getLabel(SUBTITLE_POSITION_OPTIONS, settings.subtitlePosition, 'Bottom'),
-					() => openOptionDialog('Subtitle Position', SUBTITLE_POSITION_OPTIONS, 'subtitlePosition'),
+				{renderSettingItem(t('Subtitle Position'), t('Vertical position of subtitles'),
+					t(getLabel(SUBTITLE_POSITION_OPTIONS, settings.subtitlePosition, 'Bottom')),
+					() => openOptionDialog(t('Subtitle Position'), SUBTITLE_POSITION_OPTIONS, 'subtitlePosition'),
 					'setting-subtitlePosition'
 				)}
 				{settings.subtitlePosition === 'absolute' && (
 					<div className={css.sliderItem}>
 						<div className={css.sliderLabel}>
-							<span>Absolute Position</span>
+							<span>{t('Absolute Position')}</span>
 							<span className={css.sliderValue}>{settings.subtitlePositionAbsolute}%</span>
 						</div>
 						<Slider
@@ -778,7 +960,7 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 				)}
 				<div className={css.sliderItem}>
 					<div className={css.sliderLabel}>
-						<span>Text Opacity</span>
+						<span>{t('Text Opacity')}</span>
 						<span className={css.sliderValue}>{settings.subtitleOpacity}%</span>
 					</div>
 					<Slider
@@ -792,22 +974,22 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 						spotlightId="setting-subtitleOpacity"
 					/>
 				</div>
-				{renderSettingItem('Text Color', 'Color of subtitle text',
-					getLabel(SUBTITLE_COLOR_OPTIONS, settings.subtitleColor, 'White'),
-					() => openOptionDialog('Text Color', SUBTITLE_COLOR_OPTIONS, 'subtitleColor'),
+				{renderSettingItem(t('Text Color'), t('Color of subtitle text'),
+					t(getLabel(SUBTITLE_COLOR_OPTIONS, settings.subtitleColor, 'White')),
+					() => openOptionDialog(t('Text Color'), SUBTITLE_COLOR_OPTIONS, 'subtitleColor'),
 					'setting-subtitleColor'
 				)}
 
 				<div className={css.divider} />
 
-				{renderSettingItem('Shadow Color', 'Color of subtitle shadow',
-					getLabel(SUBTITLE_SHADOW_COLOR_OPTIONS, settings.subtitleShadowColor, 'Black'),
-					() => openOptionDialog('Shadow Color', SUBTITLE_SHADOW_COLOR_OPTIONS, 'subtitleShadowColor'),
+				{renderSettingItem(t('Shadow Color'), t('Color of subtitle shadow'),
+					t(getLabel(SUBTITLE_SHADOW_COLOR_OPTIONS, settings.subtitleShadowColor, 'Black')),
+					() => openOptionDialog(t('Shadow Color'), SUBTITLE_SHADOW_COLOR_OPTIONS, 'subtitleShadowColor'),
 					'setting-subtitleShadowColor'
 				)}
 				<div className={css.sliderItem}>
 					<div className={css.sliderLabel}>
-						<span>Shadow Opacity</span>
+						<span>{t('Shadow Opacity')}</span>
 						<span className={css.sliderValue}>{settings.subtitleShadowOpacity}%</span>
 					</div>
 					<Slider
@@ -823,7 +1005,7 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 				</div>
 				<div className={css.sliderItem}>
 					<div className={css.sliderLabel}>
-						<span>Shadow Size (Blur)</span>
+						<span>{t('Shadow Size (Blur)')}</span>
 						<span className={css.sliderValue}>{settings.subtitleShadowBlur ? settings.subtitleShadowBlur.toFixed(1) : '0.1'}</span>
 					</div>
 					<Slider
@@ -840,14 +1022,14 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 
 				<div className={css.divider} />
 
-				{renderSettingItem('Background Color', 'Color of subtitle background',
-					getLabel(SUBTITLE_BACKGROUND_COLOR_OPTIONS, settings.subtitleBackgroundColor, 'Black'),
-					() => openOptionDialog('Background Color', SUBTITLE_BACKGROUND_COLOR_OPTIONS, 'subtitleBackgroundColor'),
+				{renderSettingItem(t('Background Color'), t('Color of subtitle background'),
+					t(getLabel(SUBTITLE_BACKGROUND_COLOR_OPTIONS, settings.subtitleBackgroundColor, 'Black')),
+					() => openOptionDialog(t('Background Color'), SUBTITLE_BACKGROUND_COLOR_OPTIONS, 'subtitleBackgroundColor'),
 					'setting-subtitleBackgroundColor'
 				)}
 				<div className={css.sliderItem}>
 					<div className={css.sliderLabel}>
-						<span>Background Opacity</span>
+						<span>{t('Background Opacity')}</span>
 						<span className={css.sliderValue}>{settings.subtitleBackground}%</span>
 					</div>
 					<Slider
@@ -862,79 +1044,105 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 					/>
 				</div>
 			</div>
+			<div className={css.settingsGroup}>
+				<h2>{t('Secondary Subtitles')}</h2>
+				{renderSettingItem(t('Secondary Position'), t('Where the second subtitle track is shown'),
+					t(getLabel(SECONDARY_SUBTITLE_POSITION_OPTIONS, settings.secondarySubtitlePosition, 'Top')),
+					() => openOptionDialog(t('Secondary Position'), SECONDARY_SUBTITLE_POSITION_OPTIONS, 'secondarySubtitlePosition'),
+					'setting-secondarySubtitlePosition'
+				)}
+				{renderSettingItem(t('Secondary Size'), t('Size of the second subtitle track'),
+					t(getLabel(SUBTITLE_SIZE_OPTIONS, settings.secondarySubtitleSize, 'Small')),
+					() => openOptionDialog(t('Secondary Size'), SUBTITLE_SIZE_OPTIONS, 'secondarySubtitleSize'),
+					'setting-secondarySubtitleSize'
+				)}
+				{renderSettingItem(t('Secondary Text Color'), t('Color of the second subtitle track'),
+					t(getLabel(SUBTITLE_COLOR_OPTIONS, settings.secondarySubtitleColor, 'Yellow')),
+					() => openOptionDialog(t('Secondary Text Color'), SUBTITLE_COLOR_OPTIONS, 'secondarySubtitleColor'),
+					'setting-secondarySubtitleColor'
+				)}
+			</div>
+			<div className={css.settingsGroup}>
+				<h2>{t('Remembered Tracks')}</h2>
+				{renderSettingItem(t('Saved Track Choices'), t('Audio and subtitle picks reused for the next episode of each series'),
+					tn('{count} series', '{count} series', savedTrackSeries.length),
+					openTrackPreferencesModal,
+					'setting-trackPreferences'
+				)}
+			</div>
 		</div>
 	);
 
 	const renderDisplayPanel = () => (
 		<div className={css.panel}>
-			<h1>Display Settings</h1>
+			<h1>{t('Display Settings')}</h1>
 			<div className={css.settingsGroup}>
-				<h2>Backdrop</h2>
-				{renderToggleItem('Home Row Backdrops', 'Show background art when browsing rows on the home screen', 'showHomeBackdrop')}
-				{renderSettingItem('Home Backdrop Blur', 'Amount of blur on home screen backdrop',
-					getLabel(BLUR_OPTIONS, settings.backdropBlurHome, 'Medium'),
-					() => openOptionDialog('Home Backdrop Blur', BLUR_OPTIONS, 'backdropBlurHome'),
+				<h2>{t('Backdrop')}</h2>
+				{renderToggleItem(t('Home Row Backdrops'), t('Show background art when browsing rows on the home screen'), 'showHomeBackdrop')}
+				{renderSettingItem(t('Home Backdrop Blur'), t('Amount of blur on home screen backdrop'),
+					t(getLabel(BLUR_OPTIONS, settings.backdropBlurHome, 'Medium')),
+					() => openOptionDialog(t('Home Backdrop Blur'), BLUR_OPTIONS, 'backdropBlurHome'),
 					'setting-backdropBlurHome'
 				)}
-				{renderSettingItem('Details Backdrop Blur', 'Amount of blur on details page backdrop',
-					getLabel(BLUR_OPTIONS, settings.backdropBlurDetail, 'Medium'),
-					() => openOptionDialog('Details Backdrop Blur', BLUR_OPTIONS, 'backdropBlurDetail'),
+				{renderSettingItem(t('Details Backdrop Blur'), t('Amount of blur on details page backdrop'),
+					t(getLabel(BLUR_OPTIONS, settings.backdropBlurDetail, 'Medium')),
+					() => openOptionDialog(t('Details Backdrop Blur'), BLUR_OPTIONS, 'backdropBlurDetail'),
 					'setting-backdropBlurDetail'
 				)}
 			</div>
 			<div className={css.settingsGroup}>
-				<h2>UI Elements</h2>
-				{renderSettingItem('UI Opacity', 'Background opacity of navbar and UI panels',
-					getLabel(UI_OPACITY_OPTIONS, settings.uiOpacity, '85%'),
-					() => openOptionDialog('UI Opacity', UI_OPACITY_OPTIONS, 'uiOpacity'),
+				<h2>{t('UI Elements')}</h2>
+				{renderSettingItem(t('UI Opacity'), t('Background opacity of navbar and UI panels'),
+					t(getLabel(UI_OPACITY_OPTIONS, settings.uiOpacity, '85%')),
+					() => openOptionDialog(t('UI Opacity'), UI_OPACITY_OPTIONS, 'uiOpacity'),
 					'setting-uiOpacity'
 				)}
-				{renderSettingItem('User Avatar Opacity', 'Opacity of User Avatar on top left',
-					getLabel(USER_OPACITY_OPTIONS, settings.userOpacity, '85%'),
-					() => openOptionDialog('User Avatar Opacity', USER_OPACITY_OPTIONS, 'userOpacity'),
+				{renderSettingItem(t('User Avatar Opacity'), t('Opacity of User Avatar on top left'),
+					t(getLabel(USER_OPACITY_OPTIONS, settings.userOpacity, '85%')),
+					() => openOptionDialog(t('User Avatar Opacity'), USER_OPACITY_OPTIONS, 'userOpacity'),
 					'setting-userOpacity'
 				)}
-				{renderSettingItem('UI Color', 'Background color of navbar and UI panels',
-					getLabel(UI_COLOR_OPTIONS, settings.uiColor, 'Dark Gray'),
-					() => openOptionDialog('UI Color', UI_COLOR_OPTIONS, 'uiColor'),
+				{renderSettingItem(t('UI Color'), t('Background color of navbar and UI panels'),
+					t(getLabel(UI_COLOR_OPTIONS, settings.uiColor, 'Dark Gray')),
+					() => openOptionDialog(t('UI Color'), UI_COLOR_OPTIONS, 'uiColor'),
 					'setting-uiColor'
 				)}
 			</div>
 			<div className={css.settingsGroup}>
-				<h2>Featured Media Bar</h2>
-				{renderToggleItem('Show Featured Bar', 'Display the featured media bar on home screen', 'showFeaturedBar')}
-				{renderSettingItem('Content Type', 'Type of content to display in the featured media bar',
-					getLabel(CONTENT_TYPE_OPTIONS, settings.featuredContentType, 'Movies & TV Shows'),
-					() => openOptionDialog('Content Type', CONTENT_TYPE_OPTIONS, 'featuredContentType'),
+				<h2>{t('Featured Media Bar')}</h2>
+				{renderToggleItem(t('Show Featured Bar'), t('Display the featured media bar on home screen'), 'showFeaturedBar')}
+				{renderSettingItem(t('Content Type'), t('Type of content to display in the featured media bar'),
+					t(getLabel(CONTENT_TYPE_OPTIONS, settings.featuredContentType, 'Movies & TV Shows')),
+					() => openOptionDialog(t('Content Type'), CONTENT_TYPE_OPTIONS, 'featuredContentType'),
 					'setting-featuredContentType'
 				)}
-				{renderSettingItem('Item Count', 'Number of items in the featured media bar',
-					getLabel(FEATURED_ITEM_COUNT_OPTIONS, settings.featuredItemCount, '10 items'),
-					() => openOptionDialog('Item Count', FEATURED_ITEM_COUNT_OPTIONS, 'featuredItemCount'),
+				{renderSettingItem(t('Item Count'), t('Number of items in the featured media bar'),
+					t(getLabel(FEATURED_ITEM_COUNT_OPTIONS, settings.featuredItemCount, '10 items')),
+					() => openOptionDialog(t('Item Count'), FEATURED_ITEM_COUNT_OPTIONS, 'featuredItemCount'),
 					'setting-featuredItemCount'
 				)}
-				{renderToggleItem('Trailer Preview', 'Automatically play trailer previews in the featured media bar background', 'featuredTrailerPreview')}
-				{settings.featuredTrailerPreview && renderToggleItem('Mute Trailers', 'Mute trailer previews in the featured media bar', 'featuredTrailerMuted')}
+				{renderToggleItem(t('Trailer Preview'), t('Automatically play trailer previews in the featured media bar background'), 'featuredTrailerPreview')}
+				{settings.featuredTrailerPreview && renderToggleItem(t('Mute Trailers'), t('Mute trailer previews in the featured media bar'), 'featuredTrailerMuted')}
 			</div>
 			<div className={css.settingsGroup}>
-				<h2>Screensaver</h2>
-				{renderToggleItem('Enable Screensaver', 'Reduce brightness after inactivity to prevent screen burn-in', 'screensaverEnabled')}
-				{settings.screensaverEnabled && renderSettingItem('Screensaver Type', 'Choose between library backdrops or bouncing logo',
-					getLabel(SCREENSAVER_MODE_OPTIONS, settings.screensaverMode, 'Library Backdrops'),
-					() => openOptionDialog('Screensaver Type', SCREENSAVER_MODE_OPTIONS, 'screensaverMode'),
+				<h2>{t('Screensaver')}</h2>
+				{renderToggleItem(t('Enable Screensaver'), t('Reduce brightness after inactivity to prevent screen burn-in'), 'screensaverEnabled')}
+				{settings.screensaverEnabled && renderSettingItem(t('Screensaver Type'), t('Choose between library backdrops or bouncing logo'),
+					t(getLabel(SCREENSAVER_MODE_OPTIONS, settings.screensaverMode, 'Library Backdrops')),
+					() => openOptionDialog(t('Screensaver Type'), SCREENSAVER_MODE_OPTIONS, 'screensaverMode'),
 					'setting-screensaverMode'
 				)}
-				{settings.screensaverEnabled && renderSettingItem('Timeout', 'Time of inactivity before screensaver activates',
-					getLabel(SCREENSAVER_TIMEOUT_OPTIONS, settings.screensaverTimeout, '90 seconds'),
-					() => openOptionDialog('Screensaver Timeout', SCREENSAVER_TIMEOUT_OPTIONS, 'screensaverTimeout'),
+				{settings.screensaverEnabled && renderSettingItem(t('Timeout'), t('Time of inactivity before screensaver activates'),
+					t(getLabel(SCREENSAVER_TIMEOUT_OPTIONS, settings.screensaverTimeout, '90 seconds')),
+					() => openOptionDialog(t('Screensaver Timeout'), SCREENSAVER_TIMEOUT_OPTIONS, 'screensaverTimeout'),
 					'setting-screensaverTimeout'
 				)}
-				{settings.screensaverEnabled && renderSettingItem('Dimming Level', 'Background dimming intensity during screensaver',
-					getLabel(SCREENSAVER_DIMMING_OPTIONS, settings.screensaverDimmingLevel, '50%'),
-					() => openOptionDialog('Dimming Level', SCREENSAVER_DIMMING_OPTIONS, 'screensaverDimmingLevel'),
+				{settings.screensaverEnabled && renderSettingItem(t('Dimming Level'), t('Background dimming intensity during screensaver'),
+					t(getLabel(SCREENSAVER_DIMMING_OPTIONS, settings.screensaverDimmingLevel, '50%')),
+					() => openOptionDialog(t('Dimming Level'), SCREENSAVER_DIMMING_OPTIONS, 'screensaverDimmingLevel'),
 					'setting-screensaverDimmingLevel'
 				)}
-				{settings.screensaverEnabled && renderToggleItem('Show Clock', 'Display a moving clock during screensaver', 'screensaverShowClock')}
+				{settings.screensaverEnabled && renderToggleItem(t('Show Clock'), t('Display a moving clock during screensaver'), 'screensaverShowClock')}
 			</div>
 		</div>
 	);
@@ -945,14 +1153,14 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 
 		return (
 			<div className={css.panel}>
-				<h1>Plugin Settings</h1>
+				<h1>{t('Plugin Settings')}</h1>
 
 				<div className={css.settingsGroup}>
-					<h2>Moonfin Plugin</h2>
+					<h2>{t('Moonfin Plugin')}</h2>
 					{renderSettingItem(
-						'Enable Plugin',
-						'Connect to the Moonfin server plugin for ratings, settings sync, and Jellyseerr/Seerr proxy',
-						settings.useMoonfinPlugin ? 'On' : 'Off',
+						t('Enable Plugin'),
+						t('Connect to the Moonfin server plugin for ratings, settings sync, and Jellyseerr/Seerr proxy'),
+						settings.useMoonfinPlugin ? t('On') : t('Off'),
 						handleMoonfinToggle,
 						'setting-useMoonfinPlugin'
 					)}
@@ -964,10 +1172,10 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 					{settings.useMoonfinPlugin && moonfinLoginMode && (
 						<>
 							<div className={css.inputGroup}>
-								<label>{seerrLabel} Username</label>
+								<label>{t('{service} Username', {service: seerrLabel})}</label>
 								<SpottableInput
 									type="text"
-									placeholder={`Enter ${seerrLabel} username`}
+									placeholder={t('Enter {service} username', {service: seerrLabel})}
 									value={moonfinUsername}
 									onChange={handleMoonfinUsernameChange}
 									className={css.input}
@@ -975,10 +1183,10 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 								/>
 							</div>
 							<div className={css.inputGroup}>
-								<label>{seerrLabel} Password</label>
+								<label>{t('{service} Password', {service: seerrLabel})}</label>
 								<SpottableInput
 									type="password"
-									placeholder={`Enter ${seerrLabel} password`}
+									placeholder={t('Enter {service} password', {service: seerrLabel})}
 									value={moonfinPassword}
 									onChange={handleMoonfinPasswordChange}
 									className={css.input}
@@ -991,7 +1199,7 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 								disabled={moonfinConnecting}
 								spotlightId="moonfin-login-submit"
 							>
-								{moonfinConnecting ? 'Logging in...' : 'Log In'}
+								{moonfinConnecting ? t('Logging in...') : t('Log In')}
 							</SpottableButton>
 						</>
 					)}
@@ -999,36 +1207,36 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 
 				{isConnected && (
 					<div className={css.settingsGroup}>
-						<h2>Plugin Status</h2>
+						<h2>{t('Plugin Status')}</h2>
 						<SpottableDiv className={css.infoItem} tabIndex={0}>
-							<span className={css.infoLabel}>Plugin Version</span>
-							<span className={css.infoValue}>{info.version || 'Unknown'}</span>
+							<span className={css.infoLabel}>{t('Plugin Version')}</span>
+							<span className={css.infoValue}>{info.version || t('Unknown')}</span>
 						</SpottableDiv>
 						<SpottableDiv className={css.infoItem} tabIndex={0}>
-							<span className={css.infoLabel}>Settings Sync</span>
-							<span className={css.infoValue}>{info.settingsSyncEnabled ? 'Available' : 'Not Available'}</span>
+							<span className={css.infoLabel}>{t('Settings Sync')}</span>
+							<span className={css.infoValue}>{info.settingsSyncEnabled ? t('Available') : t('Not Available')}</span>
 						</SpottableDiv>
 						<SpottableDiv className={css.infoItem} tabIndex={0}>
 							<span className={css.infoLabel}>{seerrLabel}</span>
 							<span className={css.infoValue}>
-								{info.jellyseerrEnabled ? 'Enabled by Admin' : 'Disabled by Admin'}
+								{info.jellyseerrEnabled ? t('Enabled by Admin') : t('Disabled by Admin')}
 							</span>
 						</SpottableDiv>
 						<SpottableDiv className={css.infoItem} tabIndex={0}>
-							<span className={css.infoLabel}>MDBList Ratings</span>
+							<span className={css.infoLabel}>{t('MDBList Ratings')}</span>
 							<span className={css.infoValue}>
-								{info.mdblistAvailable ? 'Available' : settings.mdblistApiKey ? 'User Key' : 'Not Configured'}
+								{info.mdblistAvailable ? t('Available') : settings.mdblistApiKey ? t('User Key') : t('Not Configured')}
 							</span>
 						</SpottableDiv>
 						<SpottableDiv className={css.infoItem} tabIndex={0}>
-							<span className={css.infoLabel}>TMDB Ratings</span>
+							<span className={css.infoLabel}>{t('TMDB Ratings')}</span>
 							<span className={css.infoValue}>
-								{info.tmdbAvailable ? 'Available' : settings.tmdbApiKey ? 'User Key' : 'Not Configured'}
+								{info.tmdbAvailable ? t('Available') : settings.tmdbApiKey ? t('User Key') : t('Not Configured')}
 							</span>
 						</SpottableDiv>
 						{isSeerr && (
 							<SpottableDiv className={css.infoItem} tabIndex={0}>
-								<span className={css.infoLabel}>Detected Variant</span>
+								<span className={css.infoLabel}>{t('Detected Variant')}</span>
 								<span className={css.infoValue}>{seerrLabel} (Seerr v3+)</span>
 							</SpottableDiv>
 						)}
@@ -1037,8 +1245,8 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 
 				{isConnected && (
 					<div className={css.settingsGroup}>
-						<h2>MDBList Ratings</h2>
-						{renderToggleItem('Enable Ratings', 'Show MDBList ratings on media details and featured bar', 'mdblistEnabled')}
+						<h2>{t('MDBList Ratings')}</h2>
+						{renderToggleItem(t('Enable Ratings'), t('Show MDBList ratings on media details and featured bar'), 'mdblistEnabled')}
 
 						{settings.mdblistEnabled && (
 							<>
@@ -1046,14 +1254,14 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 									<label>Personal API Key {info.mdblistAvailable ? '(optional)' : '(required)'}</label>
 									<SpottableInput
 										type="text"
-										placeholder={info.mdblistAvailable ? 'Leave blank to use server key' : 'Enter your MDBList API key'}
+										placeholder={info.mdblistAvailable ? t('Leave blank to use server key') : t('Enter your MDBList API key')}
 										value={settings.mdblistApiKey || ''}
 										onChange={handleMdblistApiKeyChange}
 										className={css.input}
 										spotlightId="setting-mdblist-api-key"
 									/>
 								</div>
-								<h3 className={css.subHeader}>Rating Sources</h3>
+								<h3 className={css.subHeader}>{t('Rating Sources')}</h3>
 							{MDBLIST_SOURCE_OPTIONS.map(source => (
 								<SpottableDiv
 									key={source.value}
@@ -1073,7 +1281,7 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 										</div>
 									</div>
 									<div className={css.settingValue}>
-										{(settings.mdblistRatingSources || []).includes(source.value) ? 'On' : 'Off'}
+										{(settings.mdblistRatingSources || []).includes(source.value) ? t('On') : t('Off')}
 									</div>
 								</SpottableDiv>
 							))}
@@ -1084,14 +1292,14 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 
 				{isConnected && (
 					<div className={css.settingsGroup}>
-						<h2>TMDB</h2>
-						{renderToggleItem('Episode Ratings', 'Show TMDB ratings on individual episodes', 'tmdbEpisodeRatingsEnabled')}
+						<h2>{t('TMDB')}</h2>
+						{renderToggleItem(t('Episode Ratings'), t('Show TMDB ratings on individual episodes'), 'tmdbEpisodeRatingsEnabled')}
 						{settings.tmdbEpisodeRatingsEnabled && (
 							<div className={css.inputGroup}>
 								<label>Personal API Key {info.tmdbAvailable ? '(optional)' : '(required)'}</label>
 								<SpottableInput
 									type="text"
-									placeholder={info.tmdbAvailable ? 'Leave blank to use server key' : 'Enter your TMDB API key'}
+									placeholder={info.tmdbAvailable ? t('Leave blank to use server key') : t('Enter your TMDB API key')}
 									value={settings.tmdbApiKey || ''}
 									onChange={handleTmdbApiKeyChange}
 									className={css.input}
@@ -1105,9 +1313,7 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 				{!settings.useMoonfinPlugin && (
 					<div className={css.settingsGroup}>
 						<p className={css.authHint}>
-							Enable the Moonfin plugin to access ratings, settings sync,
-							and {seerrLabel} proxy features. The plugin must be installed
-							on your Jellyfin server.
+							{t('Enable the Moonfin plugin to access ratings, settings sync, and {service} proxy features. The plugin must be installed on your Jellyfin server.', {service: seerrLabel})}
 						</p>
 					</div>
 				)}
@@ -1118,20 +1324,20 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 						{jellyseerr.isEnabled && jellyseerr.isAuthenticated && jellyseerr.isMoonfin ? (
 							<>
 								<div className={css.infoItem}>
-									<span className={css.infoLabel}>Status</span>
-									<span className={css.infoValue}>Connected via Moonfin</span>
+									<span className={css.infoLabel}>{t('Status')}</span>
+									<span className={css.infoValue}>{t('Connected via Moonfin')}</span>
 								</div>
 								{jellyseerr.serverUrl && (
 									<div className={css.infoItem}>
-										<span className={css.infoLabel}>{seerrLabel} URL</span>
+										<span className={css.infoLabel}>{t('{service} URL', {service: seerrLabel})}</span>
 										<span className={css.infoValue}>{jellyseerr.serverUrl}</span>
 									</div>
 								)}
 								{jellyseerr.user && (
 									<div className={css.infoItem}>
-										<span className={css.infoLabel}>User</span>
+										<span className={css.infoLabel}>{t('User')}</span>
 										<span className={css.infoValue}>
-											{jellyseerr.user.displayName || 'Moonfin User'}
+											{jellyseerr.user.displayName || t('Moonfin User')}
 										</span>
 									</div>
 								)}
@@ -1140,13 +1346,12 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 									onClick={handleJellyseerrDisconnect}
 									spotlightId="jellyseerr-disconnect"
 								>
-									Disconnect
+									{t('Disconnect')}
 								</SpottableButton>
 							</>
 						) : (
 							<p className={css.authHint}>
-								{seerrLabel} connection is managed through the Moonfin plugin.
-								Log in above if prompted.
+								{t('{service} connection is managed through the Moonfin plugin. Log in above if prompted.', {service: seerrLabel})}
 							</p>
 						)}
 					</div>
@@ -1155,55 +1360,106 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 		);
 	};
 
+	const renderParentalPanel = () => {
+		const {config, isEnabled} = parental;
+		return (
+			<div className={css.panel}>
+				<h1>{t('Parental Controls')}</h1>
+				<div className={css.settingsGroup}>
+					<h2>{t('PIN')}</h2>
+					{renderSettingItem(isEnabled ? t('Change PIN') : t('Set PIN'),
+						t('Parental controls are active on this TV while a PIN is set'),
+						isEnabled ? t('On') : t('Off'),
+						handleSetParentalPin,
+						'setting-parentalPin'
+					)}
+					{isEnabled && renderSettingItem(t('Remove PIN'), t('Turn off parental controls on this TV'),
+						'', handleRemoveParentalPin, 'setting-parentalRemovePin'
+					)}
+				</div>
+				{isEnabled && (
+					<div className={css.settingsGroup}>
+						<h2>{t('Restrictions')}</h2>
+						{renderSettingItem(t('Protect Settings'), t('Ask for the PIN before opening Settings'),
+							config.lockSettings ? t('On') : t('Off'),
+							handleToggleParentalSettingsLock,
+							'setting-parentalLockSettings'
+						)}
+						{renderSettingItem(t('Maximum Rating'), t('Ask for the PIN before playing anything rated higher'),
+							t(getLabel(RATING_LIMIT_OPTIONS, config.maxRating, 'No Limit')),
+							openMaxRatingDialog,
+							'setting-parentalMaxRating'
+						)}
+						{config.maxRating && renderSettingItem(t('Block Unrated Titles'), t('Also ask for the PIN when a title has no rating'),
+							config.blockUnrated ? t('On') : t('Off'),
+							handleToggleBlockUnrated,
+							'setting-parentalBlockUnrated'
+						)}
+						{renderSettingItem(t('Locked Users'), t('Ask for the PIN before switching to these users'),
+							tn('{count} locked', '{count} locked', config.lockedUserIds.length),
+							openLockedUsersModal,
+							'setting-parentalUsers'
+						)}
+						{renderSettingItem(t('Locked Libraries'), t('Hide these libraries from navigation and ask for the PIN to open them'),
+							tn('{count} locked', '{count} locked', config.lockedLibraryIds.length),
+							openLockedLibrariesModal,
+							'setting-parentalLibraries'
+						)}
+					</div>
+				)}
+			</div>
+		);
+	};
+
 	const renderAboutPanel = () => (
 		<div className={css.panel}>
-			<h1>About</h1>
+			<h1>{t('About')}</h1>
 			<div className={css.settingsGroup}>
-				<h2>Application</h2>
+				<h2>{t('Application')}</h2>
 				<SpottableDiv className={css.infoItem} tabIndex={0}>
-					<span className={css.infoLabel}>App Version</span>
+					<span className={css.infoLabel}>{t('App Version')}</span>
 					<span className={css.infoValue}>{process.env.REACT_APP_VERSION || '0.0.0'}</span>
 				</SpottableDiv>
 				<SpottableDiv className={css.infoItem} tabIndex={0}>
-					<span className={css.infoLabel}>Platform</span>
+					<span className={css.infoLabel}>{t('Platform')}</span>
 					<span className={css.infoValue}>
 						{capabilities?.tizenVersionDisplay
 							? 'Tizen'
 							: capabilities?.webosVersionDisplay
 								? 'webOS'
-								: 'Unknown'}
+								: t('Unknown')}
 					</span>
 				</SpottableDiv>
 			</div>
 
 			<div className={css.settingsGroup}>
-				<h2>Server</h2>
+				<h2>{t('Server')}</h2>
 				<SpottableDiv className={css.infoItem} tabIndex={0}>
-					<span className={css.infoLabel}>Server URL</span>
-					<span className={css.infoValue}>{serverUrl || 'Not connected'}</span>
+					<span className={css.infoLabel}>{t('Server URL')}</span>
+					<span className={css.infoValue}>{serverUrl || t('Not connected')}</span>
 				</SpottableDiv>
 				<SpottableDiv className={css.infoItem} tabIndex={0}>
-					<span className={css.infoLabel}>Server Version</span>
+					<span className={css.infoLabel}>{t('Server Version')}</span>
 					<span className={css.infoValue}>{serverVersion || 'Loading...'}</span>
 				</SpottableDiv>
 			</div>
 
 			<div className={css.settingsGroup}>
-				<h2>Debugging</h2>
-				{renderToggleItem('Server Logging', 'Send logs to Jellyfin server for troubleshooting', 'serverLogging')}
+				<h2>{t('Debugging')}</h2>
+				{renderToggleItem(t('Server Logging'), t('Send logs to Jellyfin server for troubleshooting'), 'serverLogging')}
 			</div>
 
 			{capabilities && (
 				<div className={css.settingsGroup}>
-					<h2>Device</h2>
+					<h2>{t('Device')}</h2>
 					<SpottableDiv className={css.infoItem} tabIndex={0}>
-						<span className={css.infoLabel}>Model</span>
-						<span className={css.infoValue}>{capabilities.modelName || 'Unknown'}</span>
+						<span className={css.infoLabel}>{t('Model')}</span>
+						<span className={css.infoValue}>{capabilities.modelName || t('Unknown')}</span>
 					</SpottableDiv>
 					{(capabilities.tizenVersionDisplay || capabilities.webosVersionDisplay) && (
 						<SpottableDiv className={css.infoItem} tabIndex={0}>
 							<span className={css.infoLabel}>
-								{capabilities.tizenVersionDisplay ? 'Tizen Version' : 'webOS Version'}
+								{capabilities.tizenVersionDisplay ? t('Tizen Version') : t('webOS Version')}
 							</span>
 							<span className={css.infoValue}>
 								{capabilities.tizenVersionDisplay || capabilities.webosVersionDisplay}
@@ -1212,12 +1468,12 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 					)}
 					{capabilities.firmwareVersion && (
 						<SpottableDiv className={css.infoItem} tabIndex={0}>
-							<span className={css.infoLabel}>Firmware</span>
+							<span className={css.infoLabel}>{t('Firmware')}</span>
 							<span className={css.infoValue}>{capabilities.firmwareVersion}</span>
 						</SpottableDiv>
 					)}
 					<SpottableDiv className={css.infoItem} tabIndex={0}>
-						<span className={css.infoLabel}>Resolution</span>
+						<span className={css.infoLabel}>{t('Resolution')}</span>
 						<span className={css.infoValue}>
 							{capabilities.uhd8K ? '7680x4320 (8K)' :
 							 capabilities.uhd ? '3840x2160 (4K)' :
@@ -1230,20 +1486,20 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 
 			{capabilities && (
 				<div className={css.settingsGroup}>
-					<h2>Capabilities</h2>
+					<h2>{t('Capabilities')}</h2>
 					<SpottableDiv className={css.infoItem} tabIndex={0}>
-						<span className={css.infoLabel}>HDR</span>
+						<span className={css.infoLabel}>{t('HDR')}</span>
 						<span className={css.infoValue}>
 							{[
 								capabilities.hdr10 && 'HDR10',
 								capabilities.hdr10Plus && 'HDR10+',
 								capabilities.hlg && 'HLG',
 								capabilities.dolbyVision && 'Dolby Vision'
-							].filter(Boolean).join(', ') || 'Not supported'}
+							].filter(Boolean).join(', ') || t('Not supported')}
 						</span>
 					</SpottableDiv>
 					<SpottableDiv className={css.infoItem} tabIndex={0}>
-						<span className={css.infoLabel}>Video Codecs</span>
+						<span className={css.infoLabel}>{t('Video Codecs')}</span>
 						<span className={css.infoValue}>
 							{[
 								'H.264',
@@ -1254,7 +1510,7 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 						</span>
 					</SpottableDiv>
 					<SpottableDiv className={css.infoItem} tabIndex={0}>
-						<span className={css.infoLabel}>Audio Codecs</span>
+						<span className={css.infoLabel}>{t('Audio Codecs')}</span>
 						<span className={css.infoValue}>
 							{[
 								'AAC',
@@ -1266,7 +1522,7 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 						</span>
 					</SpottableDiv>
 					<SpottableDiv className={css.infoItem} tabIndex={0}>
-						<span className={css.infoLabel}>Containers</span>
+						<span className={css.infoLabel}>{t('Containers')}</span>
 						<span className={css.infoValue}>
 							{[
 								'MP4',
@@ -1292,7 +1548,7 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 				noAutoDismiss
 			>
 				<div className={css.popupContent}>
-					<h2 className={css.popupTitle}>Configure Home Rows</h2>
+					<h2 className={css.popupTitle}>{t('Configure Home Rows')}</h2>
 					<p className={css.popupDescription}>
 						Enable/disable and reorder the rows that appear on your home screen.
 					</p>
@@ -1306,7 +1562,7 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 									size="small"
 								>
 									<span className={css.checkbox}>{row.enabled ? '☑' : '☐'}</span>
-									<span className={css.homeRowName}>{row.name}</span>
+									<span className={css.homeRowName}>{t(row.name)}</span>
 								</Button>
 								<div className={css.homeRowControls}>
 									<Button
@@ -1334,20 +1590,20 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 							onClick={resetHomeRows}
 							size="small"
 						>
-							Reset to Default
+							{t('Reset to Default')}
 						</Button>
 						<Button
 							onClick={closeHomeRowsModal}
 							size="small"
 						>
-							Cancel
+							{t('Cancel')}
 						</Button>
 						<Button
 							onClick={saveHomeRows}
 							size="small"
 							className={css.primaryButton}
 						>
-							Save
+							{t('Save')}
 						</Button>
 					</div>
 				</div>
@@ -1366,12 +1622,12 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 			noAutoDismiss
 		>
 			<div className={css.popupContent}>
-				<h2 className={css.popupTitle}>Hide Libraries</h2>
+				<h2 className={css.popupTitle}>{t('Hide Libraries')}</h2>
 				<p className={css.popupDescription}>
-					Hidden libraries are removed from all Jellyfin clients. This is a server-level setting.
+					{t('Hidden libraries are removed from all Jellyfin clients. This is a server-level setting.')}
 				</p>
 				{libraryLoading ? (
-					<div className={css.libraryListLoading}>Loading libraries...</div>
+					<div className={css.libraryListLoading}>{t('Loading libraries...')}</div>
 				) : (
 					<div className={css.homeRowsList}>
 						{allLibraries.map(lib => {
@@ -1399,7 +1655,7 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 						onClick={closeLibraryModal}
 						size="small"
 					>
-						Cancel
+						{t('Cancel')}
 					</Button>
 					<Button
 						onClick={saveLibraryVisibility}
@@ -1407,16 +1663,119 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 						className={css.primaryButton}
 						disabled={librarySaving}
 					>
-						{librarySaving ? 'Saving...' : 'Save'}
+						{librarySaving ? t('Saving...') : t('Save')}
 					</Button>
 				</div>
 			</div>
 		</Popup>
 	);
 
+	const renderParentalListModal = () => {
+		if (!parentalListModal) return null;
+		const isUsers = parentalListModal === 'users';
+		const lockedIds = isUsers ? parental.config.lockedUserIds : parental.config.lockedLibraryIds;
+		const entries = isUsers ? lockableUsers : libraries.map(lib => ({id: lib.Id, label: lib.Name}));
+		return (
+			<Popup
+				open
+				onClose={closeParentalListModal}
+				position="center"
+				scrimType="translucent"
+				noAutoDismiss
+			>
+				<div className={css.popupContent}>
+					<h2 className={css.popupTitle}>{isUsers ? t('Locked Users') : t('Locked Libraries')}</h2>
+					<p className={css.popupDescription}>
+						{isUsers
+							? t('Switching to a locked user from the account menu asks for the PIN.')
+							: t('Locked libraries are hidden from the navigation bar and ask for the PIN when opened.')}
+					</p>
+					<div className={css.homeRowsList}>
+						{entries.map(entry => (
+							<div key={entry.id} className={css.homeRowItem}>
+								<Button
+									className={css.homeRowToggle}
+									onClick={handleParentalListToggle}
+									data-id={entry.id}
+									size="small"
+								>
+									<span className={css.checkbox}>{lockedIds.includes(entry.id) ? '☑' : '☐'}</span>
+									<span className={css.homeRowName}>{entry.label}</span>
+								</Button>
+							</div>
+						))}
+						{entries.length === 0 && (
+							<div className={css.libraryListLoading}>{isUsers ? t('No saved users') : t('No libraries')}</div>
+						)}
+					</div>
+					<div className={css.popupButtons}>
+						<Button onClick={closeParentalListModal} size="small" className={css.primaryButton}>
+							{t('Done')}
+						</Button>
+					</div>
+				</div>
+			</Popup>
+		);
+	};
+
+	const describeSavedTracks = (entry) => [
+		entry.audio && `${t('Audio')}: ${entry.audio.displayTitle}`,
+		...Object.keys(entry.subtitles || {}).map(audioLanguage =>
+			`${t('Subtitles')} (${audioLanguage}): ${entry.subtitles[audioLanguage]?.displayTitle || t('Off')}`
+		),
+		entry.secondarySubtitle && `${t('Secondary')}: ${entry.secondarySubtitle.displayTitle}`
+	].filter(Boolean).join(' · ');
+
+	const renderTrackPreferencesModal = () => {
+		if (!showTrackPreferencesModal) return null;
+		return (
+			<Popup
+				open
+				onClose={closeTrackPreferencesModal}
+				position="center"
+				scrimType="translucent"
+				noAutoDismiss
+			>
+				<div className={css.popupContent}>
+					<h2 className={css.popupTitle}>{t('Saved Track Choices')}</h2>
+					<p className={css.popupDescription}>
+						{t('Select a series to forget its choices. It will start with the default tracks again.')}
+					</p>
+					<div className={css.homeRowsList}>
+						{savedTrackSeries.map(entry => (
+							<div key={entry.seriesId} className={css.homeRowItem}>
+								<Button
+									className={css.homeRowToggle}
+									onClick={handleForgetSeriesTracks}
+									data-id={entry.seriesId}
+									size="small"
+								>
+									<span className={css.homeRowName}>
+										{entry.seriesName || t('Unknown')} — {describeSavedTracks(entry)}
+									</span>
+								</Button>
+							</div>
+						))}
+						{savedTrackSeries.length === 0 && (
+							<div className={css.libraryListLoading}>{t('No saved choices')}</div>
+						)}
+					</div>
+					<div className={css.popupButtons}>
+						<Button onClick={handleForgetAllSeriesTracks} size="small" disabled={savedTrackSeries.length === 0}>
+							{t('Forget All')}
+						</Button>
+						<Button onClick={closeTrackPreferencesModal} size="small" className={css.primaryButton}>
+							{t('Done')}
+						</Button>
+					</div>
+				</div>
+			</Popup>
+		);
+	};
+
 	const renderOptionDialog = () => {
 		if (!optionDialog) return null;
-		const currentValue = settings[optionDialog.settingKey];
+		const currentValue = optionDialog.onSelect ? optionDialog.currentValue : settings[optionDialog.settingKey];
 		return (
 			<Popup
 				open
@@ -1438,7 +1797,7 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 								spotlightDisabled={false}
 								{...(opt.value === currentValue ? {'data-spotlight-default-element': ''} : {})}
 							>
-								<span className={css.optionLabel}>{opt.label}</span>
+								<span className={css.optionLabel}>{t(opt.label)}</span>
 								{opt.value === currentValue && <span className={css.optionCheck}>✓</span>}
 							</SpottableDiv>
 						))}
@@ -1454,6 +1813,7 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 			case 'playback': return renderPlaybackPanel();
 			case 'display': return renderDisplayPanel();
 			case 'plugin': return renderPluginPanel();
+			case 'parental': return renderParentalPanel();
 			case 'about': return renderAboutPanel();
 			default: return renderGeneralPanel();
 		}
@@ -1476,7 +1836,7 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 						spotlightId={`sidebar-${cat.id}`}
 					>
 						<span className={css.categoryIcon}><cat.Icon /></span>
-						<span className={css.categoryLabel}>{cat.label}</span>
+						<span className={css.categoryLabel}>{t(cat.label)}</span>
 					</SpottableDiv>
 				))}
 			</SidebarContainer>
@@ -1491,6 +1851,8 @@ const Settings = ({onBack, onLibrariesChanged}) => {
 
 			{renderHomeRowsModal()}
 			{renderLibraryModal()}
+			{renderParentalListModal()}
+			{renderTrackPreferencesModal()}
 			{renderOptionDialog()}
 		</div>
 	);
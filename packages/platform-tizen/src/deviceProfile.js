@@ -612,7 +612,9 @@ export const getJellyfinDeviceProfile = async () => {
 	//
 	// External: Jellyfin extracts text subtitles from the container and serves them
 	// via its API. This is lightweight (no video transcoding) and works with HTML5 <video>.
-	// Embed: Only for image-based subs — triggers burn-in (transcoding) when selected.
+	// Embed: the subtitle stays in the container and the player reads it from there.
+	// PGS and DVD subs are decoded in-app from the extracted stream; when the server
+	// can't extract one, no profile matches and the server burns it in instead.
 	const subtitleProfiles = [
 		// External method — server extracts and delivers subtitle tracks via API
 		{Format: 'srt', Method: 'External'},
@@ -623,12 +625,12 @@ export const getJellyfinDeviceProfile = async () => {
 		{Format: 'smi', Method: 'External'},
 		{Format: 'ttml', Method: 'External'},
 		{Format: 'sub', Method: 'External'},
+		{Format: 'pgssub', Method: 'External'},
+		{Format: 'dvdsub', Method: 'External'},
 		// Embed method - allows direct play of embedded subtitles without extraction
 		{Format: 'srt', Method: 'Embed'},
 		{Format: 'subrip', Method: 'Embed'},
-		// Image-based: burn-in only (client cannot render these)
 		{Format: 'pgs', Method: 'Embed'},
-		{Format: 'dvdsub', Method: 'Embed'},
 		{Format: 'dvbsub', Method: 'Embed'}
 	];
 
@@ -1,18 +1,23 @@
 /**
  * Samsung Smart Hub Preview Integration for Moonfin
  *
- * Provides "Continue Watching" and "Next Up" tiles on the Samsung Smart Hub,
- * allowing users to see and launch content directly from the TV home screen.
+ * Provides "Continue Watching", "Next Up" and Live TV reminder tiles on the
+ * Samsung Smart Hub, allowing users to see and launch content directly from
+ * the TV home screen.
  *
  * @see https://developer.samsung.com/smarttv/develop/guides/smart-hub-preview/smart-hub-preview.html
  */
 /* global tizen */
 
 import {getServerUrl, getUserId, getAuthHeader} from '@moonfin/app/src/services/jellyfinApi';
+import {getReminders, subscribeReminders} from '@moonfin/app/src/services/reminders';
+import {formatDate, formatTimeOfDay} from '@moonfin/app/src/services/i18n';
 
 const NEXT_UP_LIMIT = 2;
 const RESUME_LIMIT = 4;
+const REMINDER_LIMIT = 4;
 const UPDATE_INTERVAL_MS = 600000; // 10 minutes
+const REMINDER_UPDATE_DELAY_MS = 5000; // Batch quick reminder changes into one update
 
 let packageId = null;
 let serviceId = null;
@@ -166,6 +171,34 @@ function generateTitleJson (item) {
 	return tile;
 }
 
+/**
+ * Creates the tile for a Live TV reminder. Opening it tunes the program's channel.
+ *
+ * @param {Object} reminder - Stored reminder (see services/reminders)
+ * @returns {Object} Formatted tile JSON
+ */
+function generateReminderTileJson (reminder) {
+	const serverUrl = getServerUrl();
+	const start = new Date(reminder.startDate);
+	const isToday = start.toDateString() === new Date().toDateString();
+	const when = (isToday ? '' : formatDate(start, {weekday: 'short'}) + ' ') + formatTimeOfDay(start);
+
+	return {
+		title: reminder.name,
+		subtitle: [when, reminder.channelName].filter(Boolean).join(' - '),
+		image_ratio: '16by9',
+		image_url: reminder.imageItemId && serverUrl
+			? `${serverUrl}/Items/${reminder.imageItemId}/Images/Primary?fillHeight=250&quality=96&format=jpg`
+			: null,
+		action_data: JSON.stringify({
+			serverid: reminder.serverId,
+			id: reminder.channelId,
+			type: 'channel'
+		}),
+		is_playable: true
+	};
+}
+
 /**
  * Creates the full Smart Hub preview JSON with sections and tiles.
  *
@@ -182,7 +215,7 @@ function generateSmartViewJson (sectionsData) {
 
 	sectionsData.forEach(function (section) {
 		if (Array.isArray(section.data) && section.data.length > 0) {
-			const tiles = section.data.slice(0, section.limit).map(generateTitleJson).filter(Boolean);
+			const tiles = section.data.slice(0, section.limit).map(section.toTile || generateTitleJson).filter(Boolean);
 			if (tiles.length > 0) {
 				smartViewJson.sections.push({
 					title: section.section_title,
@@ -308,7 +341,7 @@ async function apiRequest (endpoint) {
 
 /**
  * Perform a single Smart Hub preview update cycle.
- * Fetches resume/next up data and pushes it to the Smart Hub service.
+ * Fetches resume/next up data and Live TV reminders and pushes them to the Smart Hub service.
  */
 export async function runSmartViewUpdate () {
 	window._smartHubUpdated = false;
@@ -326,16 +359,18 @@ export async function runSmartViewUpdate () {
 		const baseFields = 'PrimaryImageAspectRatio,Overview';
 		const imageFields = 'ImageTypeLimit=1&EnableImageTypes=Primary,Backdrop,Thumb';
 
-		const [resumableItems, nextUpEpisodes] = await Promise.all([
+		const [resumableItems, nextUpEpisodes, reminders] = await Promise.all([
 			apiRequest(
 				`/Users/${userId}/Items/Resume?Limit=${RESUME_LIMIT}&MediaTypes=Video&Fields=${baseFields}&${imageFields}&EnableTotalRecordCount=false&Recursive=true`
 			),
 			apiRequest(
 				`/Shows/NextUp?UserId=${userId}&Limit=${NEXT_UP_LIMIT}&Fields=${baseFields}&${imageFields}&EnableTotalRecordCount=false`
-			)
+			),
+			getReminders()
 		]);
 
 		const smartViewJsonData = generateSmartViewJson([
+			{section_title: 'Reminders', limit: REMINDER_LIMIT, data: reminders, toTile: generateReminderTileJson},
 			{section_title: 'Next Up', limit: NEXT_UP_LIMIT, data: nextUpEpisodes.Items},
 			{section_title: 'Continue Watching', limit: RESUME_LIMIT, data: resumableItems.Items}
 		]);
@@ -469,4 +504,18 @@ export function initSmartHub () {
 	startSmartHubUpdater().catch(function (err) {
 		console.error('[SmartHub] Updater failed:', err);
 	});
+
+	// Reminders are set and cleared in the app, so push those without waiting for the next cycle
+	let reminderUpdateTimer = null;
+	let receivedInitialReminders = false;
+	subscribeReminders(function () {
+		if (!receivedInitialReminders) {
+			receivedInitialReminders = true;
+			return;
+		}
+		clearTimeout(reminderUpdateTimer);
+		reminderUpdateTimer = setTimeout(function () {
+			if (window.runSmartViewUpdate) window.runSmartViewUpdate();
+		}, REMINDER_UPDATE_DELAY_MS);
+	});
 }
@@ -141,9 +141,13 @@ export const findCompatibleAudioStreamIndex = (mediaSource, capabilities) => {
 	return -1;
 };
 
-export const getPlayMethod = (mediaSource, capabilities) => {
-	if (!mediaSource) return 'Transcode';
-
+/**
+ * Compare a media source against the device's capabilities, as getPlayMethod does.
+ * Each flag is false when that part of the source can't be played natively;
+ * codecContainerOk covers codecs Samsung only decodes from certain containers.
+ * @returns {{videoOk: boolean, audioOk: boolean, containerOk: boolean, hdrOk: boolean, codecContainerOk: boolean}}
+ */
+export const checkCompatibility = (mediaSource, capabilities) => {
 	const container = (mediaSource.Container || '').toLowerCase();
 	const videoStream = mediaSource.MediaStreams?.find(s => s.Type === 'Video');
 
@@ -228,6 +232,14 @@ export const getPlayMethod = (mediaSource, capabilities) => {
 
 	const codecContainerOk = hevcContainerOk && vp9ContainerOk && av1ContainerOk;
 
+	return {videoOk, audioOk, containerOk, hdrOk, codecContainerOk};
+};
+
+export const getPlayMethod = (mediaSource, capabilities) => {
+	if (!mediaSource) return 'Transcode';
+
+	const {videoOk, audioOk, containerOk, hdrOk, codecContainerOk} = checkCompatibility(mediaSource, capabilities);
+
 	if (mediaSource.SupportsDirectPlay && videoOk && audioOk && containerOk && hdrOk && codecContainerOk) {
 		return 'DirectPlay';
 	}
@@ -494,6 +506,50 @@ export const avplayGetTracks = () => {
 	}
 };
 
+/**
+ * Streams AVPlay is currently rendering, with extra_info parsed
+ * (e.g. VIDEO: Width, Height, fourCC, Bit_rate; AUDIO: fourCC, channels, sample_rate)
+ */
+export const avplayGetCurrentStreamInfo = () => {
+	if (!isAVPlayAvailable) return [];
+	try {
+		return webapis.avplay.getCurrentStreamInfo().map(stream => {
+			let extraInfo = {};
+			try {
+				extraInfo = JSON.parse(stream.extra_info || '{}');
+			} catch (e) {
+				// Some firmware returns extra_info that isn't valid JSON
+			}
+			return {index: stream.index, type: stream.type, extraInfo};
+		});
+	} catch (e) {
+		return [];
+	}
+};
+
+/**
+ * Read an adaptive-streaming property (e.g. CURRENT_BANDWIDTH, AVAILABLE_BITRATE)
+ * @returns {string|null} null when the property isn't available for this stream
+ */
+export const avplayGetStreamingProperty = (property) => {
+	if (!isAVPlayAvailable) return null;
+	try {
+		return webapis.avplay.getStreamingProperty(property);
+	} catch (e) {
+		return null;
+	}
+};
+
+/**
+ * Seekable window of a live stream, from the HLS playlist AVPlay is following
+ * @returns {{start: number, end: number}|null} Milliseconds on the AVPlay timeline, or null when not live or unknown
+ */
+export const avplayGetLiveWindow = () => {
+	const value = avplayGetStreamingProperty('GET_LIVE_DURATION');
+	const [start, end] = String(value || '').split('|').map(Number);
+	return end > start ? {start, end} : null;
+};
+
 export const avplaySelectTrack = (type, index) => {
 	if (!isAVPlayAvailable) return;
 	try {
@@ -656,6 +712,7 @@ export default {
 	initTizenAPI,
 	getMediaCapabilities,
 	getPlayMethod,
+	checkCompatibility,
 	getMimeType,
 	getSupportedAudioCodecs,
 	findCompatibleAudioStreamIndex,
@@ -679,6 +736,9 @@ export default {
 	avplaySelectTrack,
 	avplaySetSilentSubtitle,
 	avplayGetTracks,
+	avplayGetCurrentStreamInfo,
+	avplayGetStreamingProperty,
+	avplayGetLiveWindow,
 	avplaySetDisplayMethod,
 	cleanupAVPlay
 };
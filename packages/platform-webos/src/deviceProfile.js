@@ -717,8 +717,10 @@ export const getJellyfinDeviceProfile = async () => {
 		{Format: 'sub', Method: 'Encode'},
 		{Format: 'smi', Method: 'Encode'},
 		{Format: 'ttml', Method: 'External'},
-		{Format: 'pgssub', Method: 'Encode'},
-		{Format: 'dvdsub', Method: 'Encode'},
+		// Bitmap subs are decoded in-app. When the server can't extract one, no
+		// profile matches and the server falls back to burning it in.
+		{Format: 'pgssub', Method: 'External'},
+		{Format: 'dvdsub', Method: 'External'},
 		{Format: 'dvbsub', Method: 'Encode'}
 	];
 
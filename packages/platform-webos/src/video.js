@@ -109,14 +109,12 @@ export const findCompatibleAudioStreamIndex = (mediaSource, capabilities) => {
 	return -1;
 };
 
-export const getPlayMethod = (mediaSource, capabilities) => {
-	console.log('[webosVideo] getPlayMethod called with capabilities.truehd:', capabilities?.truehd, 'capabilities.dtshd:', capabilities?.dtshd);
-
-	if (!mediaSource) {
-		console.log('[webosVideo] No media source provided');
-		return 'Transcode';
-	}
-
+/**
+ * Compare a media source against the device's capabilities, as getPlayMethod does.
+ * Each flag is false when that part of the source can't be played natively.
+ * @returns {{videoOk: boolean, audioOk: boolean, containerOk: boolean, hdrOk: boolean, bitrateOk: boolean}}
+ */
+export const checkCompatibility = (mediaSource, capabilities) => {
 	const container = (mediaSource.Container || '').toLowerCase();
 	const videoStream = mediaSource.MediaStreams?.find(s => s.Type === 'Video');
 
@@ -253,6 +251,19 @@ export const getPlayMethod = (mediaSource, capabilities) => {
 		}
 	}
 
+	return {videoOk, audioOk, containerOk, hdrOk, bitrateOk};
+};
+
+export const getPlayMethod = (mediaSource, capabilities) => {
+	console.log('[webosVideo] getPlayMethod called with capabilities.truehd:', capabilities?.truehd, 'capabilities.dtshd:', capabilities?.dtshd);
+
+	if (!mediaSource) {
+		console.log('[webosVideo] No media source provided');
+		return 'Transcode';
+	}
+
+	const {videoOk, audioOk, containerOk, hdrOk, bitrateOk} = checkCompatibility(mediaSource, capabilities);
+
 	console.log('[webosVideo] Compatibility check:', {
 		videoOk,
 		audioOk,
@@ -572,6 +583,7 @@ export default {
 	isWebOS,
 	initLunaAPI,
 	getPlayMethod,
+	checkCompatibility,
 	getMimeType,
 	getSupportedAudioCodecs,
 	findCompatibleAudioStreamIndex,